@@ -25,6 +25,8 @@ export const corsOptions = {
   credentials: true, // Important for cookies/auth sessions
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'x-session-id', 'x-device-type', 'Cache-Control', 'Pragma', 'X-Cache-Invalidate'],
+  // Date is read by the upcoming launches countdown
+  exposedHeaders: ['Date'],
   optionsSuccessStatus: 200,
   maxAge: 86400 // 24 hours - how long preflight requests can be cached
 };
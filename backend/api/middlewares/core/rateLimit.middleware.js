@@ -250,3 +250,48 @@ export const searchLimiter = rateLimit({
   legacyHeaders: false,
   trustProxy: true,
 });
+
+export const messageRateLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // Limit each user to 30 messages per minute
+  keyGenerator: (req) => req.user?._id?.toString() || req.ip,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      message: "You're sending messages too quickly. Please slow down.",
+    });
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  trustProxy: true,
+});
+
+export const forumPostRateLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 10, // Limit each user to 10 threads or replies per minute
+  keyGenerator: (req) => req.user?._id?.toString() || req.ip,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      message: "You're posting too quickly. Please slow down.",
+    });
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  trustProxy: true,
+});
+
+export const reportRateLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20, // Limit each user to 20 reports per hour
+  keyGenerator: (req) => req.user?._id?.toString() || req.ip,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      message: "You've sent too many reports. Please try again later.",
+    });
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  trustProxy: true,
+});
@@ -3,6 +3,7 @@ import Product from "../../../models/product/product.model.js";
 import Comment from "../../../models/product/comment.model.js";
 import { AppError } from "../../../utils/logging/error.js";
 import logger from "../../../utils/logging/logger.js";
+import { paginate, parseCursorParams } from "../../../utils/data/cursorPagination.utils.js";
 
 /**
  * Validates the product slug parameter
@@ -155,10 +156,7 @@ export const validateReply = async (req, res, next) => {
  */
 export const enhanceCommentData = async (req, res, next) => {
   try {
-    const { slug } = req.params;
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 20;
-    const skip = (page - 1) * limit;
+    const { cursor, limit, page, withTotal } = parseCursorParams(req.query);
 
     if (!req.product) {
       return next(new AppError("Product not found", 404));
@@ -167,22 +165,22 @@ export const enhanceCommentData = async (req, res, next) => {
     const productId = req.product._id;
     const userId = req.user ? req.user._id : null;
 
-    // Get the total count for pagination (only top-level comments)
-    const totalCount = await Comment.countDocuments({
-      product: productId,
-      parent: null
-    });
-
-    // Get main comments with pagination
-    const comments = await Comment.find({
-      product: productId,
-      parent: null
-    })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .populate("user", "firstName lastName profilePicture")
-      .select("+likes.users"); // Explicitly include likes data
+    // Get main comments (only top-level ones are paginated)
+    const { items: comments, pageInfo } = await paginate(
+      Comment,
+      { product: productId, parent: null },
+      {
+        scope: `comments:${productId}`,
+        sort: { createdAt: -1 },
+        limit,
+        cursor,
+        page,
+        withTotal,
+        populate: { path: "user", select: "firstName lastName profilePicture" },
+        select: "+likes.users", // Explicitly include likes data
+        lean: false
+      }
+    );
 
     // Get all comment IDs
     const commentIds = comments.map(comment => comment._id);
@@ -279,17 +277,16 @@ export const enhanceCommentData = async (req, res, next) => {
     req.commentData = {
       comments: enhancedComments,
       pagination: {
-        total: totalCount,
+        ...pageInfo,
         page,
-        pages: Math.ceil(totalCount / limit),
-        hasNextPage: page * limit < totalCount,
-        hasPrevPage: page > 1
+        hasNextPage: pageInfo.hasMore,
+        hasPrevPage: Boolean(cursor) || page > 1
       }
     };
     
     next();
   } catch (error) {
     logger.error(`Error enhancing comment data: ${error.message}`);
-    next(new AppError("Error processing comments", 500));
+    next(error instanceof AppError ? error : new AppError("Error processing comments", 500));
   }
 };
\ No newline at end of file
@@ -2,6 +2,7 @@ import Product from '../../../models/product/product.model.js';
 import Category from '../../../models/category/category.model.js';
 import { AppError } from '../../../utils/logging/error.js';
 import logger from '../../../utils/logging/logger.js';
+import { parseCursorParams } from '../../../utils/data/cursorPagination.utils.js';
 import mongoose from 'mongoose';
 
 /**
@@ -124,6 +125,25 @@ export const checkProductPublished = (req, res, next) => {
   }
 };
 
+/**
+ * Like checkProductPublished, but also lets users reach drafts with a
+ * scheduled launch, so they can bookmark them and hear when they go live.
+ * Drafts held back by moderation or reports are not reachable this way.
+ */
+export const checkProductPublishedOrScheduled = (req, res, next) => {
+  const product = req.product;
+  if (
+    product?.status === 'Draft' &&
+    product.scheduledLaunchAt &&
+    !product.flags?.isBanned &&
+    product.moderation?.status !== 'rejected' &&
+    !product.hiddenByReports
+  ) {
+    return next();
+  }
+  checkProductPublished(req, res, next);
+};
+
 /**
  * Middleware to validate product category exists
  */
@@ -194,6 +214,17 @@ export const checkProductVisibility = async (req, res, next) => {
       return next(new AppError('Product not loaded. Use checkProductExists middleware first', 500));
     }
 
+    // Rejected, banned and report-hidden products are only visible to their maker and admins
+    if (product.flags?.isBanned || product.moderation?.status === 'rejected' || product.hiddenByReports) {
+      const isAdmin = req.user && (req.user.role === 'admin' ||
+        (req.user.secondaryRoles && req.user.secondaryRoles.includes('admin')));
+      const isMaker = req.user && product.maker.toString() === req.user._id.toString();
+
+      if (!isAdmin && !isMaker) {
+        return next(new AppError('This product is not currently available', 404));
+      }
+    }
+
     // If product is public, allow access
     if (product.visibility === 'public') {
       return next();
@@ -229,6 +260,35 @@ export const checkProductVisibility = async (req, res, next) => {
   }
 };
 
+// Named sort options accepted by product listings. Every key must be a stored
+// field so it can back a pagination cursor.
+const PRODUCT_SORTS = {
+  newest: '-createdAt',
+  oldest: 'createdAt',
+  launched: '-launchedAt',
+  popular: '-views.count',
+  name: 'name'
+};
+
+const SORTABLE_PRODUCT_FIELDS = ['createdAt', 'updatedAt', 'launchedAt', 'views.count', 'name'];
+
+/**
+ * Map a sort query parameter to a sort string, accepting named options and
+ * raw "-field" values for sortable fields only
+ * @param {string} sort
+ * @returns {string}
+ */
+const resolveProductSort = (sort) => {
+  if (PRODUCT_SORTS[sort]) return PRODUCT_SORTS[sort];
+
+  const fields = String(sort || '')
+    .split(',')
+    .map(field => field.trim())
+    .filter(field => SORTABLE_PRODUCT_FIELDS.includes(field.replace(/^-/, '')));
+
+  return fields.length > 0 ? fields.join(' ') : PRODUCT_SORTS.newest;
+};
+
 /**
  * Middleware to prepare product query with filters
  * Centralizes query building logic
@@ -239,12 +299,12 @@ export const prepareProductQuery = (req, res, next) => {
     const queryObj = { ...req.query };
 
     // Fields to exclude from filtering
-    const excludedFields = ['page', 'sort', 'limit', 'fields', 'search'];
+    const excludedFields = ['page', 'sort', 'limit', 'fields', 'search', 'cursor', 'includeTotal'];
     excludedFields.forEach(field => delete queryObj[field]);
 
-    // Default to published products for non-admins
-    if (!queryObj.status && (!req.user || req.user.role !== 'admin')) {
-      queryObj.status = 'Published';
+    // Non-admins only list public products
+    if (!req.user || req.user.role !== 'admin') {
+      Object.assign(queryObj, Product.publicFilter());
     }
 
     // Handle advanced filtering (e.g., gte, gt, lte, lt)
@@ -270,9 +330,8 @@ export const prepareProductQuery = (req, res, next) => {
     // Attach to request for controller use
     req.productQuery = finalQuery;
     req.productOptions = {
-      sort: req.query.sort || '-createdAt',
-      page: parseInt(req.query.page, 10) || 1,
-      limit: Math.min(parseInt(req.query.limit, 10) || 20, 100),
+      ...parseCursorParams(req.query),
+      sort: resolveProductSort(req.query.sort),
       select: req.query.fields ? req.query.fields.split(',').join(' ') : ''
     };
 
@@ -81,7 +81,7 @@ export const recommendationMiddleware = (strategy) => {
 
       // Check which products actually exist
       const existingProducts = await Product.find(
-        { _id: { $in: productIds }, status: 'Published' },
+        { _id: { $in: productIds }, ...Product.publicFilter() },
         { _id: 1 }
       );
 
@@ -0,0 +1,36 @@
+import express from 'express';
+import * as forumController from '../../../controllers/forum/forum.controller.js';
+import { protect, optionalAuth, isAdmin } from '../../middlewares/user/auth.middleware.js';
+import { forumPostRateLimiter } from '../../middlewares/core/rateLimit.middleware.js';
+
+const router = express.Router();
+
+// === Public Routes ===
+
+router.get('/categories', forumController.getCategories);
+router.get('/tags', forumController.getPopularTags);
+
+router.get('/threads', optionalAuth, forumController.getThreads);
+router.get('/threads/trending', forumController.getTrendingThreads);
+router.get('/threads/:id', optionalAuth, forumController.getThread);
+router.get('/threads/:id/replies', optionalAuth, forumController.getReplies);
+
+// === Protected Routes ===
+router.use(protect);
+
+router.post('/threads', forumPostRateLimiter, forumController.createThread);
+router.patch('/threads/:id', forumController.updateThread);
+router.delete('/threads/:id', forumController.deleteThread);
+router.post('/threads/:id/upvote', forumController.toggleThreadUpvote);
+router.post('/threads/:id/replies', forumPostRateLimiter, forumController.addReply);
+
+router.patch('/replies/:replyId', forumController.updateReply);
+router.delete('/replies/:replyId', forumController.deleteReply);
+router.post('/replies/:replyId/upvote', forumController.toggleReplyUpvote);
+
+// === Admin Routes ===
+router.post('/categories', isAdmin, forumController.createCategory);
+router.patch('/categories/:id', isAdmin, forumController.updateCategory);
+router.patch('/threads/:id/moderation', isAdmin, forumController.moderateThread);
+
+export default router;
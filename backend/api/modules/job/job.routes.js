@@ -1,16 +1,21 @@
 import express from "express";
 import * as jobController from "../../../controllers/jobs/job.controller.js";
 import * as jobSearchController from "../../../controllers/search/jobSearch.controller.js";
-import { protect } from "../../middlewares/user/auth.middleware.js";
+import { protect, optionalAuth } from "../../middlewares/user/auth.middleware.js";
 import { upload } from "../../middlewares/core/upload.middleware.js";
 
 const router = express.Router();
 
 // Public routes
 router.get("/", jobSearchController.getAllJobs); // Use enhanced search controller
-router.get("/:id", jobController.getJob);
+// Defined before "/:id" so "recommended" isn't read as a job ID
+router.get("/recommended", protect, jobController.getRecommendedJobs);
+router.get("/:id", optionalAuth, jobController.getJob);
 
-// Resume download route - public but with token authentication
+// One-click extension link from the expiry reminder email - public but with token authentication
+router.get("/:id/extend", jobController.extendJobFromEmail);
+
+// Resume download route - public but only with a signed download link
 router.get("/applications/:applicationId/resume", jobController.downloadApplicationResume);
 
 // Protected routes
@@ -31,6 +36,9 @@ router.patch(
 
 router.delete("/:id", jobController.deleteJob);
 
+router.post("/:id/extend", jobController.extendJob);
+router.get("/:id/match", jobController.getJobMatch);
+
 // User-specific routes - define these first to avoid conflicts with job ID routes
 router.get("/user/applications", jobController.getUserApplications);
 router.get("/user/posted", jobController.getUserPostedJobs);
@@ -43,6 +51,7 @@ router.post(
 );
 
 router.get("/:jobId/applications", jobController.getJobApplications);
+router.get("/:jobId/pipeline", jobController.getJobPipeline);
 
 router.patch(
   "/applications/:applicationId",
@@ -53,4 +62,8 @@ router.patch(
 router.get("/applications/:applicationId", jobController.getJobApplication);
 router.patch("/applications/:applicationId/withdraw", jobController.withdrawJobApplication);
 
+// Resume access: signed download links and the applicant's download log
+router.post("/applications/:applicationId/resume-link", jobController.createResumeDownloadLink);
+router.get("/applications/:applicationId/resume-downloads", jobController.getResumeDownloads);
+
 export default router;
@@ -0,0 +1,15 @@
+import express from "express";
+import * as jobAlertController from "../../../controllers/jobs/jobAlert.controller.js";
+import { protect } from "../../middlewares/user/auth.middleware.js";
+
+const router = express.Router();
+
+// Saved job searches belong to the signed-in user
+router.use(protect);
+
+router.get("/", jobAlertController.getJobAlerts);
+router.post("/", jobAlertController.createJobAlert);
+router.patch("/:alertId", jobAlertController.updateJobAlert);
+router.delete("/:alertId", jobAlertController.deleteJobAlert);
+
+export default router;
@@ -0,0 +1,17 @@
+import express from 'express';
+import * as leaderboardController from '../../../controllers/leaderboard/leaderboard.controller.js';
+import { apiCache, cacheControl } from '../../middlewares/core/cache.middleware.js';
+
+const router = express.Router();
+
+router.get(
+  '/:period(day|week|month)/:date',
+  cacheControl({ isPublic: true, maxAge: 120, staleWhileRevalidate: 60 }),
+  apiCache(
+    '2 minutes',
+    (req) => `leaderboard:${req.params.period}:${req.params.date}:${req.query.tz || 'default'}:${req.query.limit || 20}`
+  ),
+  leaderboardController.getLeaderboard
+);
+
+export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import * as messageController from '../../../controllers/message/message.controller.js';
+import { protect } from '../../middlewares/user/auth.middleware.js';
+import { messageRateLimiter } from '../../middlewares/core/rateLimit.middleware.js';
+
+const router = express.Router();
+
+// All messaging routes require authentication
+router.use(protect);
+
+router.get('/unread-count', messageController.getUnreadCount);
+router.get('/status/:userId', messageController.getMessagingStatus);
+
+router.get('/conversations', messageController.getConversations);
+router.post('/conversations', messageRateLimiter, messageController.startConversation);
+
+router.get('/conversations/:id', messageController.getMessages);
+router.post('/conversations/:id', messageRateLimiter, messageController.sendMessage);
+router.put('/conversations/:id/read', messageController.markConversationRead);
+router.post('/conversations/:id/report', messageController.reportConversation);
+
+export default router;
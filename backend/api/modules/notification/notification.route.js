@@ -4,7 +4,12 @@ import { protect } from '../../middlewares/user/auth.middleware.js';
 
 const router = express.Router();
 
-// All notification routes require authentication
+// Signed email unsubscribe links: GET only leads to the confirmation page,
+// POST (from that page or one-click clients) unsubscribes
+router.get('/unsubscribe', notificationController.confirmUnsubscribe);
+router.post('/unsubscribe', notificationController.unsubscribe);
+
+// All other notification routes require authentication
 router.use(protect);
 
 // Get all notifications for current user
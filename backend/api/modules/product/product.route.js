@@ -5,6 +5,7 @@ import * as productInteractionController from "../../../controllers/products/pro
 import * as productAnalyticsController from "../../../controllers/products/productAnalytics.controller.js";
 import * as productGalleryController from "../../../controllers/products/productGallery.controller.js";
 import * as productSearchController from "../../../controllers/products/productSearch.controller.js";
+import * as productHistoryController from "../../../controllers/products/productHistory.controller.js";
 import * as productValidator from "../../../validators/product/product.validator.js";
 import {
   isAuthenticated,
@@ -17,6 +18,7 @@ import {
   checkProductExists,
   checkProductOwnership,
   checkProductPublished,
+  checkProductPublishedOrScheduled,
   validateProductCategory,
   checkProductModifiable,
   checkProductVisibility,
@@ -87,13 +89,13 @@ router.get(
   prepareProductQuery,
   cacheControl({ isPublic: true, maxAge: 300, staleWhileRevalidate: 60 }),
   apiCache("5 minutes", (req) => {
-    const { page = 1, limit = 20, sort = "newest", category, tags } = req.query;
+    const { page = 1, limit = 20, sort = "newest", category, tags, cursor = "" } = req.query;
     const userPart = req.user ? `u:${req.user._id}` : "anon";
     const queryHash = JSON.stringify({ category, tags, sort }).replace(
       /[^a-zA-Z0-9]/g,
       ""
     ); // Simple hash
-    return `products:list:${userPart}:${page}:${limit}:${queryHash}`;
+    return `products:list:${userPart}:${cursor || page}:${limit}:${queryHash}`;
   }),
   productController.getAllProducts
 );
@@ -141,6 +143,21 @@ router.get(
   productController.getRecentProducts
 );
 
+router.get(
+  "/upcoming",
+  ...publicGetMiddlewares,
+  // Revalidate every time so the Date header clients count down from is current
+  cacheControl({ isPublic: true, maxAge: 0, staleWhileRevalidate: 0, mustRevalidate: true }),
+  apiCache(
+    "1 minute",
+    (req) =>
+      `products:upcoming:${req.query.cursor || req.query.page || 1}:${
+        req.query.limit || 20
+      }`
+  ),
+  productController.getUpcomingLaunches
+);
+
 router.get(
   "/featured",
   ...publicGetMiddlewares,
@@ -166,10 +183,12 @@ router.get(
 router.get(
   "/user/username/:username",
   ...publicGetMiddlewares,
-  cacheControl({ isPublic: true, maxAge: 900, staleWhileRevalidate: 120 }),
+  // Responses depend on the viewer, so shared caches must not keep them
+  cacheControl({ isPublic: false, maxAge: 0, staleWhileRevalidate: 0, mustRevalidate: true }),
   apiCache(
     "15 minutes",
-    (req) => `products:user:username:${req.params.username}:${req.query.page || 1}`
+    // Per viewer: drafts and followers-only profiles depend on who is asking
+    (req) => `products:user:username:${req.params.username}:${req.user?._id || "anon"}:${req.query.page || 1}`
   ),
   productController.getProductsByUsername
 );
@@ -177,10 +196,10 @@ router.get(
 router.get(
   "/user/:userId",
   ...publicGetMiddlewares,
-  cacheControl({ isPublic: true, maxAge: 900, staleWhileRevalidate: 120 }),
+  cacheControl({ isPublic: false, maxAge: 0, staleWhileRevalidate: 0, mustRevalidate: true }),
   apiCache(
     "15 minutes",
-    (req) => `products:user:${req.params.userId}:${req.query.page || 1}`
+    (req) => `products:user:${req.params.userId}:${req.user?._id || "anon"}:${req.query.page || 1}`
   ),
   productController.getProductsByUser
 );
@@ -222,13 +241,23 @@ router.get(
   apiCache(
     "2 minutes",
     (req) =>
-      `products:comments:${req.params.slug}:${req.query.page || 1}:${
+      `products:comments:${req.params.slug}:${req.query.cursor || req.query.page || 1}:${
         req.user?._id || "anon"
       }`
   ),
   productInteractionController.getComments
 );
 
+router.get(
+  "/:slug/changelog",
+  ...publicGetMiddlewares,
+  checkProductExists,
+  checkProductVisibility,
+  checkProductPublished,
+  cacheControl({ isPublic: true, maxAge: 60, staleWhileRevalidate: 30 }),
+  productHistoryController.getChangelog
+);
+
 router.get(
   "/:slug/trending-insights",
   ...publicGetMiddlewares,
@@ -255,6 +284,7 @@ router.post(
   handleMulterError,
   validateProductCategory,
   productValidator.validateCreateProduct,
+  productValidator.validateScheduledLaunch,
   cloudinaryUploader("products"),
   // Controller calls cache.invalidateProduct
   productController.createProduct
@@ -270,6 +300,7 @@ router.put(
   handleMulterError,
   validateProductCategory,
   productValidator.validateUpdateProduct,
+  productValidator.validateScheduledLaunch,
   cloudinaryUploader("products"),
   // Controller calls cache.invalidateProduct
   productController.updateProduct
@@ -319,6 +350,42 @@ router.put(
   productGalleryController.updateGalleryOrder
 );
 
+// --- Changelog & Revisions ---
+const makerWriteMiddlewares = [
+  isAuthenticated,
+  checkProductExists,
+  checkProductOwnership,
+  checkProductModifiable,
+];
+
+router.post(
+  "/:slug/changelog",
+  ...makerWriteMiddlewares,
+  productHistoryController.createChangelogEntry
+);
+router.put(
+  "/:slug/changelog/:entryId",
+  ...makerWriteMiddlewares,
+  productHistoryController.updateChangelogEntry
+);
+router.delete(
+  "/:slug/changelog/:entryId",
+  ...makerWriteMiddlewares,
+  productHistoryController.deleteChangelogEntry
+);
+router.get(
+  "/:slug/revisions",
+  isAuthenticated,
+  checkProductExists,
+  checkProductOwnership,
+  productHistoryController.getRevisions
+);
+router.post(
+  "/:slug/revisions/:number/restore",
+  ...makerWriteMiddlewares,
+  productHistoryController.restoreRevision
+);
+
 // --- Product Interaction ---
 const interactionMiddlewares = [
   isAuthenticated,
@@ -361,7 +428,10 @@ router.post(
 );
 router.post(
   "/:slug/bookmark",
-  ...interactionMiddlewares,
+  isAuthenticated,
+  interactionLimiter,
+  checkProductExists,
+  checkProductPublishedOrScheduled,
   bookmarkClearCache,
   productInteractionController.toggleBookmark
 );
@@ -0,0 +1,13 @@
+import express from 'express';
+import * as reportController from '../../../controllers/report/report.controller.js';
+import { protect } from '../../middlewares/user/auth.middleware.js';
+import { reportRateLimiter } from '../../middlewares/core/rateLimit.middleware.js';
+
+const router = express.Router();
+
+// All report routes require authentication
+router.use(protect);
+
+router.post('/', reportRateLimiter, reportController.createReport);
+
+export default router;
@@ -9,6 +9,9 @@ import { protect, isAdmin as authIsAdmin } from "../../middlewares/user/auth.mid
 import { isAdmin } from "../../middlewares/user/admin.middleware.js";
 import { AppError, NotFoundError } from "../../../utils/logging/error.js";
 import logger from "../../../utils/logging/logger.js";
+import SchedulerService from "../../../services/scheduler/scheduler.service.js";
+import ProductModerationService from "../../../services/product/productModeration.service.js";
+import ReportService from "../../../services/report/report.service.js";
 import mongoose from "mongoose";
 
 const router = express.Router();
@@ -450,4 +453,287 @@ router.get("/users/suggestions", async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/admin/scheduler/jobs
+ * @desc    List background jobs with their schedule, paused state and latest run
+ * @access  Admin only
+ */
+router.get("/scheduler/jobs", async (req, res, next) => {
+  try {
+    const jobs = await SchedulerService.listJobs();
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        driver: SchedulerService.getDriver(),
+        jobs
+      }
+    });
+  } catch (error) {
+    logger.error(`Admin list scheduled jobs error: ${error.message}`);
+    next(new AppError("Failed to fetch scheduled jobs", 500));
+  }
+});
+
+/**
+ * @route   GET /api/admin/scheduler/jobs/:name/runs
+ * @desc    Get the run history of a background job
+ * @access  Admin only
+ */
+router.get("/scheduler/jobs/:name/runs", async (req, res, next) => {
+  try {
+    const { page, limit, status } = req.query;
+    const result = await SchedulerService.getRuns(req.params.name, { page, limit, status });
+
+    res.status(200).json({
+      status: "success",
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof AppError) return next(error);
+    logger.error(`Admin scheduled job runs error: ${error.message}`);
+    next(new AppError("Failed to fetch job runs", 500));
+  }
+});
+
+/**
+ * @route   POST /api/admin/scheduler/jobs/:name/trigger
+ * @desc    Run a background job now
+ * @access  Admin only
+ */
+router.post("/scheduler/jobs/:name/trigger", async (req, res, next) => {
+  try {
+    const result = await SchedulerService.trigger(req.params.name, req.user._id);
+
+    logger.info(`Admin ${req.user._id} triggered scheduled job ${req.params.name}`);
+
+    res.status(202).json({
+      status: "success",
+      message: `Job ${req.params.name} queued`,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof AppError) return next(error);
+    logger.error(`Admin trigger scheduled job error: ${error.message}`);
+    next(new AppError(error.message || "Failed to trigger job", 500));
+  }
+});
+
+/**
+ * @route   POST /api/admin/scheduler/jobs/:name/pause
+ * @desc    Pause the schedule of a background job
+ * @access  Admin only
+ */
+router.post("/scheduler/jobs/:name/pause", async (req, res, next) => {
+  try {
+    const job = await SchedulerService.pause(req.params.name, req.user._id);
+
+    res.status(200).json({
+      status: "success",
+      message: `Job ${req.params.name} paused`,
+      data: { job }
+    });
+  } catch (error) {
+    if (error instanceof AppError) return next(error);
+    logger.error(`Admin pause scheduled job error: ${error.message}`);
+    next(new AppError(error.message || "Failed to pause job", 500));
+  }
+});
+
+/**
+ * @route   POST /api/admin/scheduler/jobs/:name/resume
+ * @desc    Resume the schedule of a paused background job
+ * @access  Admin only
+ */
+router.post("/scheduler/jobs/:name/resume", async (req, res, next) => {
+  try {
+    const job = await SchedulerService.resume(req.params.name);
+
+    res.status(200).json({
+      status: "success",
+      message: `Job ${req.params.name} resumed`,
+      data: { job }
+    });
+  } catch (error) {
+    if (error instanceof AppError) return next(error);
+    logger.error(`Admin resume scheduled job error: ${error.message}`);
+    next(new AppError(error.message || "Failed to resume job", 500));
+  }
+});
+
+/**
+ * @route   GET /api/admin/moderation/products
+ * @desc    Product moderation queue (pending, approved, rejected or banned) with counts per queue
+ * @access  Admin only
+ */
+router.get("/moderation/products", async (req, res, next) => {
+  try {
+    const { queue, page, limit, search } = req.query;
+    const result = await ProductModerationService.getQueue({ queue, page, limit, search });
+
+    res.status(200).json({
+      status: "success",
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof AppError) return next(error);
+    logger.error(`Admin moderation queue error: ${error.message}`);
+    next(new AppError("Failed to fetch moderation queue", 500));
+  }
+});
+
+/**
+ * @route   GET /api/admin/moderation/log
+ * @desc    Audit trail of moderation actions across all products
+ * @access  Admin only
+ */
+router.get("/moderation/log", async (req, res, next) => {
+  try {
+    const { page, limit, action, actor } = req.query;
+    const result = await ProductModerationService.getLog({ page, limit, action, actor });
+
+    res.status(200).json({
+      status: "success",
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof AppError) return next(error);
+    logger.error(`Admin moderation log error: ${error.message}`);
+    next(new AppError("Failed to fetch moderation log", 500));
+  }
+});
+
+/**
+ * @route   GET /api/admin/moderation/products/:id/history
+ * @desc    Moderation history of one product
+ * @access  Admin only
+ */
+router.get("/moderation/products/:id/history", async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next(new AppError("Invalid product ID", 400));
+    }
+
+    const history = await ProductModerationService.getHistory(req.params.id);
+
+    res.status(200).json({
+      status: "success",
+      data: { history }
+    });
+  } catch (error) {
+    if (error instanceof AppError) return next(error);
+    logger.error(`Admin moderation history error: ${error.message}`);
+    next(new AppError("Failed to fetch moderation history", 500));
+  }
+});
+
+// Success messages for the decisions handled by POST /moderation/products/:id/:decision
+const MODERATION_DECISION_MESSAGES = {
+  approve: "Product approved",
+  reject: "Product rejected",
+  ban: "Product banned",
+  unban: "Product unbanned"
+};
+
+/**
+ * @route   POST /api/admin/moderation/products/:id/:decision
+ * @desc    Approve, reject, ban or unban a product. Body: { reason } (required to reject or ban)
+ * @access  Admin only
+ */
+router.post("/moderation/products/:id/:decision(approve|reject|ban|unban)", async (req, res, next) => {
+  const { id, decision } = req.params;
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return next(new AppError("Invalid product ID", 400));
+    }
+
+    const product = await ProductModerationService[decision](id, req.user._id, req.body?.reason);
+
+    res.status(200).json({
+      status: "success",
+      message: MODERATION_DECISION_MESSAGES[decision],
+      data: {
+        product: {
+          _id: product._id,
+          name: product.name,
+          slug: product.slug,
+          flags: product.flags,
+          moderation: product.moderation
+        }
+      }
+    });
+  } catch (error) {
+    if (error instanceof AppError) return next(error);
+    logger.error(`Admin moderation ${decision} error: ${error.message}`);
+    next(new AppError(`Failed to ${decision} product`, 500));
+  }
+});
+
+/**
+ * @route   GET /api/admin/reports
+ * @desc    Report triage list: reported targets grouped with their report counts and reasons
+ * @access  Admin only
+ */
+router.get("/reports", async (req, res, next) => {
+  try {
+    const { status, targetType, page, limit } = req.query;
+    const result = await ReportService.getTriageList({ status, targetType, page, limit });
+
+    res.status(200).json({
+      status: "success",
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof AppError) return next(error);
+    logger.error(`Admin report triage error: ${error.message}`);
+    next(new AppError("Failed to fetch reports", 500));
+  }
+});
+
+/**
+ * @route   GET /api/admin/reports/:targetType/:targetId
+ * @desc    Every report against one target
+ * @access  Admin only
+ */
+router.get("/reports/:targetType/:targetId", async (req, res, next) => {
+  try {
+    const { targetType, targetId } = req.params;
+    const result = await ReportService.getTargetReports(targetType, targetId);
+
+    res.status(200).json({
+      status: "success",
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof AppError) return next(error);
+    logger.error(`Admin target reports error: ${error.message}`);
+    next(new AppError("Failed to fetch reports", 500));
+  }
+});
+
+/**
+ * @route   POST /api/admin/reports/:targetType/:targetId/:decision
+ * @desc    Resolve (keep the target hidden) or dismiss (show it again) the open reports on a target.
+ *          Body: { notes }
+ * @access  Admin only
+ */
+router.post("/reports/:targetType/:targetId/:decision(resolve|dismiss)", async (req, res, next) => {
+  const { targetType, targetId, decision } = req.params;
+
+  try {
+    const count = await ReportService[decision](targetType, targetId, req.user._id, req.body?.notes);
+
+    res.status(200).json({
+      status: "success",
+      message: `${count} report${count === 1 ? "" : "s"} ${decision === "resolve" ? "resolved" : "dismissed"}`,
+      data: { count }
+    });
+  } catch (error) {
+    if (error instanceof AppError) return next(error);
+    logger.error(`Admin report ${decision} error: ${error.message}`);
+    next(new AppError(`Failed to ${decision} reports`, 500));
+  }
+});
+
 export default router;
@@ -9,9 +9,13 @@ import * as verificationController from "../../../controllers/auth/auth.verifica
 import * as profileController from "../../../controllers/auth/auth.profile.controller.js";
 import * as passwordController from "../../../controllers/auth/auth.password.controller.js";
 import * as accountController from "../../../controllers/auth/auth.account.controller.js";
-import * as googleController from "../../../controllers/auth/auth.google.controller.js";
+import * as oauthController from "../../../controllers/auth/auth.oauth.controller.js";
+import * as twoFactorController from "../../../controllers/auth/auth.twoFactor.controller.js";
+import * as sessionController from "../../../controllers/auth/auth.session.controller.js";
+import * as passkeyController from "../../../controllers/auth/auth.passkey.controller.js";
 
 import * as authValidator from "../../../validators/auth/auth.validators.js";
+import { OAUTH_PROVIDER_NAMES } from "../../../config/oauth.providers.js";
 import {
   protect,
   optionalAuth,
@@ -71,7 +75,7 @@ const passwordResetLimiter = rateLimit({
 // --- Public Routes ---
 
 // Get user by username (must come before the :id route to avoid parameter conflicts)
-router.get("/user/username/:username", baseController.getUserByUsername);
+router.get("/user/username/:username", optionalAuth, baseController.getUserByUsername);
 
 // Get public user profile info (limited fields)
 router.get("/user/:id", baseController.getUserById);
@@ -142,12 +146,26 @@ router.post("/logout", baseController.logout);
 // Get Current User Profile (Optional Authentication)
 router.get("/me", optionalAuth, profileController.getOptionalProfile);
 
-// --- Google OAuth Routes (Public) ---
-// Initiate Google OAuth authentication
-router.get("/google", googleController.initiateGoogleAuth);
+// --- Two-Factor Sign-In (Public, requires a challenge token from login/OAuth) ---
+router.post("/2fa/verify", authLimiter, twoFactorController.verifyChallenge);
+router.post("/2fa/sms", verificationLimiter, twoFactorController.sendChallengeSms);
+router.post("/2fa/passkey/options", authLimiter, twoFactorController.getChallengePasskeyOptions);
 
-// Google OAuth callback
-router.get("/google/callback", googleController.handleGoogleCallback);
+// --- Passkey Sign-In (Public) ---
+router.post("/passkeys/login/options", authLimiter, passkeyController.getLoginOptions);
+router.post("/passkeys/login/verify", authLimiter, passkeyController.verifyLogin);
+
+// "This wasn't me" link from new-login alerts
+router.post("/secure-account", authLimiter, sessionController.secureAccount);
+
+// --- OAuth Routes (Public): /google, /github, /linkedin ---
+const providerPath = `/:provider(${OAUTH_PROVIDER_NAMES.join("|")})`;
+
+// Initiate OAuth authentication (or account linking with ?link_token=)
+router.get(providerPath, oauthController.initiateOAuth);
+
+// OAuth callback
+router.get(`${providerPath}/callback`, oauthController.handleOAuthCallback);
 
 // --- Protected Routes (Require Authentication - `protect`) ---
 router.use(protect);
@@ -249,6 +267,26 @@ router.put(
   accountController.updateSecuritySettings
 );
 
+// --- Two-Factor Authentication Management ---
+router.get("/2fa/status", twoFactorController.getStatus);
+router.post("/2fa/setup", verifyAnyEmailOrPhone, twoFactorController.startSetup);
+router.post("/2fa/enable", authLimiter, twoFactorController.enable);
+// Both require a current second-factor code; disabling also requires the password
+router.post("/2fa/recovery-codes", authLimiter, twoFactorController.regenerateRecoveryCodes);
+router.post("/2fa/disable", authLimiter, twoFactorController.disable);
+
+// --- Passkey Management ---
+router.get("/passkeys", passkeyController.listPasskeys);
+router.post("/passkeys/register/options", verifyAnyEmailOrPhone, passkeyController.getRegistrationOptions);
+router.post("/passkeys/register/verify", authLimiter, passkeyController.verifyRegistration);
+router.patch("/passkeys/:passkeyId", passkeyController.renamePasskey);
+router.delete("/passkeys/:passkeyId", passkeyController.removePasskey);
+
+// --- Active Sessions ---
+router.get("/sessions", sessionController.listSessions);
+router.delete("/sessions", sessionController.revokeOtherSessions);
+router.delete("/sessions/:sessionId", sessionController.revokeSession);
+
 // --- Verification Management (Authenticated) ---
 // Send OTP to user's registered/new phone for verification purposes
 router.post(
@@ -321,14 +359,17 @@ router.post(
   }
 );
 
-// --- Protected Google OAuth Routes ---
-// Link Google account to existing user (Protected)
-router.post("/google/link", googleController.linkGoogleAccount);
+// --- Protected OAuth Account Routes ---
+// Link status for every provider
+router.get("/linked-accounts", oauthController.getLinkedAccounts);
+
+// Start linking a provider account to the current user (returns the provider URL)
+router.post(`${providerPath}/link`, verifyAnyEmailOrPhone, oauthController.linkAccount);
 
-// Unlink Google account from user (Protected)
-router.delete("/google/unlink", googleController.unlinkGoogleAccount);
+// Unlink a provider account (refused for the last sign-in method)
+router.delete(`${providerPath}/unlink`, oauthController.unlinkAccount);
 
-// Get Google OAuth status (Protected)
-router.get("/google/status", googleController.getGoogleAuthStatus);
+// Get link status for one provider
+router.get(`${providerPath}/status`, oauthController.getAccountStatus);
 
 export default router;
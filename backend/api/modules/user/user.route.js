@@ -9,6 +9,18 @@ import { protect, restrictTo, optionalAuth } from "../../middlewares/user/auth.m
 import { AppError, NotFoundError } from "../../../utils/logging/error.js";
 import logger from "../../../utils/logging/logger.js";
 import { getUserInteractions } from "../../../controllers/user/userInteraction.controller.js";
+import {
+  followUser,
+  unfollowUser,
+  getFollowStatus,
+  getFollowers,
+  getFollowing,
+} from "../../../controllers/user/follow.controller.js";
+import {
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+} from "../../../controllers/user/block.controller.js";
 
 const router = express.Router();
 
@@ -115,4 +127,16 @@ router.get("/profile", protect, async (req, res, next) => {
 // Get user interactions (upvotes, bookmarks, etc.)
 router.get("/:id/interactions", optionalAuth, getUserInteractions);
 
+// Follow relationships
+router.get("/:id/follow", optionalAuth, getFollowStatus);
+router.post("/:id/follow", protect, followUser);
+router.delete("/:id/follow", protect, unfollowUser);
+router.get("/:id/followers", optionalAuth, getFollowers);
+router.get("/:id/following", optionalAuth, getFollowing);
+
+// Blocking
+router.get("/blocks", protect, getBlockedUsers);
+router.post("/:id/block", protect, blockUser);
+router.delete("/:id/block", protect, unblockUser);
+
 export default router;
@@ -24,8 +24,13 @@ import analyticsRoutes from "./api/modules/analytics/analytics.route.js";
 import userRoutes from "./api/modules/user/user.route.js";
 import bookmarksRoutes from "./api/modules/product/bookmarks.route.js";
 import jobRoutes from "./api/modules/job/job.routes.js";
+import jobAlertRoutes from "./api/modules/job/jobAlert.routes.js";
 import projectRoutes from "./api/modules/project/project.routes.js";
 import adminRoutes from "./api/modules/user/admin.route.js";
+import messageRoutes from "./api/modules/message/message.route.js";
+import forumRoutes from "./api/modules/forum/forum.route.js";
+import reportRoutes from "./api/modules/report/report.route.js";
+import leaderboardRoutes from "./api/modules/leaderboard/leaderboard.route.js";
 import "./models/analytics/analytic.model.js";
 
 // Import middlewares and utilities
@@ -124,8 +129,13 @@ app.use("/api/v1/analytics", analyticsRoutes);
 app.use("/api/v1/users", userRoutes);
 app.use("/api/v1/user/bookmarks", bookmarksRoutes);
 app.use("/api/v1/jobs", jobRoutes);
+app.use("/api/v1/job-alerts", jobAlertRoutes);
 app.use("/api/v1/projects", projectRoutes);
 app.use("/api/v1/admin", adminRoutes);
+app.use("/api/v1/messages", messageRoutes);
+app.use("/api/v1/forum", forumRoutes);
+app.use("/api/v1/reports", reportRoutes);
+app.use("/api/v1/leaderboard", leaderboardRoutes);
 
 // Root route
 app.get("/", (req, res) => {
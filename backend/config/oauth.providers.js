@@ -0,0 +1,118 @@
+// config/oauth.providers.js
+// OAuth sign-in providers. Each entry describes how to reach the provider and
+// how to turn its profile into the shape OAuthAccountService stores in
+// User.linkedAccounts:
+// { provider, providerId, email, emailVerified, displayName, firstName, lastName, username, profileUrl, profilePicture }
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const GITHUB_API_URL = "https://api.github.com";
+
+const fetchJson = async (url, accessToken, headers = {}) => {
+  const response = await fetch(url, {
+    headers: { Authorization: `Bearer ${accessToken}`, Accept: "application/json", ...headers },
+  });
+  if (!response.ok) {
+    throw new Error(`${url} responded with ${response.status}`);
+  }
+  return response.json();
+};
+
+const splitName = (name = "") => {
+  const [firstName = "", ...rest] = name.trim().split(/\s+/);
+  return { firstName, lastName: rest.join(" ") };
+};
+
+export const OAUTH_PROVIDERS = {
+  google: {
+    label: "Google",
+    envPrefix: "GOOGLE",
+    scope: ["profile", "email"],
+    authOptions: { prompt: "select_account" }, // Always show account selector
+    // Google uses passport-google-oauth20, which fetches the profile itself
+    normalizeProfile: (profile) => ({
+      provider: "google",
+      providerId: profile.id,
+      email: profile.emails?.[0]?.value,
+      emailVerified: profile.emails?.[0]?.verified || false,
+      displayName: profile.displayName,
+      firstName: profile.name?.givenName || "",
+      lastName: profile.name?.familyName || "",
+      profilePicture: profile.photos?.[0]?.value,
+    }),
+  },
+
+  github: {
+    label: "GitHub",
+    envPrefix: "GITHUB",
+    scope: ["read:user", "user:email"],
+    authorizationURL: "https://github.com/login/oauth/authorize",
+    tokenURL: "https://github.com/login/oauth/access_token",
+    fetchProfile: async (accessToken) => {
+      const githubHeaders = { Accept: "application/vnd.github+json", "User-Agent": "Product-Bazar" };
+      const [account, emails] = await Promise.all([
+        fetchJson(`${GITHUB_API_URL}/user`, accessToken, githubHeaders),
+        // Private emails only come from this endpoint
+        fetchJson(`${GITHUB_API_URL}/user/emails`, accessToken, githubHeaders).catch(() => []),
+      ]);
+      const primaryEmail = emails.find((entry) => entry.primary) || emails.find((entry) => entry.verified);
+
+      return {
+        provider: "github",
+        providerId: String(account.id),
+        email: primaryEmail?.email || account.email || undefined,
+        emailVerified: Boolean(primaryEmail?.verified),
+        displayName: account.name || account.login,
+        ...splitName(account.name || ""),
+        username: account.login,
+        profileUrl: account.html_url,
+        profilePicture: account.avatar_url,
+      };
+    },
+  },
+
+  linkedin: {
+    label: "LinkedIn",
+    envPrefix: "LINKEDIN",
+    scope: ["openid", "profile", "email"],
+    authorizationURL: "https://www.linkedin.com/oauth/v2/authorization",
+    tokenURL: "https://www.linkedin.com/oauth/v2/accessToken",
+    // "Sign In with LinkedIn using OpenID Connect"
+    fetchProfile: async (accessToken) => {
+      const account = await fetchJson("https://api.linkedin.com/v2/userinfo", accessToken);
+
+      return {
+        provider: "linkedin",
+        providerId: account.sub,
+        email: account.email,
+        emailVerified: Boolean(account.email_verified),
+        displayName: account.name,
+        firstName: account.given_name || "",
+        lastName: account.family_name || "",
+        profilePicture: account.picture,
+      };
+    },
+  },
+};
+
+export const OAUTH_PROVIDER_NAMES = Object.keys(OAUTH_PROVIDERS);
+
+/**
+ * Client credentials and callback URL for a provider, read from
+ * <PREFIX>_CLIENT_ID, <PREFIX>_CLIENT_SECRET and <PREFIX>_CALLBACK_URL
+ */
+export const getProviderCredentials = (name) => {
+  const { envPrefix } = OAUTH_PROVIDERS[name];
+  return {
+    clientID: process.env[`${envPrefix}_CLIENT_ID`],
+    clientSecret: process.env[`${envPrefix}_CLIENT_SECRET`],
+    callbackURL: process.env[`${envPrefix}_CALLBACK_URL`] || `/api/v1/auth/${name}/callback`,
+  };
+};
+
+export const isProviderConfigured = (name) => {
+  if (!OAUTH_PROVIDERS[name]) return false;
+  const { clientID, clientSecret } = getProviderCredentials(name);
+  return Boolean(clientID && clientSecret);
+};
@@ -17,6 +17,7 @@ import {
   generateRefreshToken,
 } from "../../utils/auth/jwt.utils.js";
 import AccountDeletionService from "../../services/user/accountDeletion.service.js";
+import cache from "../../utils/cache/cache.js";
 
 dotenv.config();
 
@@ -301,7 +302,7 @@ export const revokeAccess = async (req, res, next) => {
         // Only revoke if it's currently active
         tokenToRevoke.revokedAt = Date.now();
         tokenToRevoke.revokedByIp = req.ip;
-        tokenToRevoke.reason = "Manual Revocation by User";
+        tokenToRevoke.revokedReason = "Manual Revocation by User";
         await tokenToRevoke.save();
         revokedCount = 1;
         logger.info(
@@ -327,7 +328,7 @@ export const revokeAccess = async (req, res, next) => {
           $set: {
             revokedAt: Date.now(),
             revokedByIp: req.ip,
-            reason: "Revoke All Other Sessions by User",
+            revokedReason: "Revoke All Other Sessions by User",
           },
         }
       );
@@ -491,7 +492,7 @@ export const updatePrivacySettings = async (req, res, next) => {
       );
     }
 
-    const user = await User.findById(userId).select("privacySettings");
+    const user = await User.findById(userId).select("privacySettings username");
     if (!user) {
       logger.error(`User ${userId} not found during privacy settings update.`);
       return next(
@@ -508,26 +509,33 @@ export const updatePrivacySettings = async (req, res, next) => {
       ...privacySettings,
     };
 
-    // Optional: Validate specific settings values (e.g., profileVisibility enum)
-    const validVisibilities = ["public", "connections", "private"]; // Example
-    if (
-      updatedSettings.profileVisibility &&
-      !validVisibilities.includes(updatedSettings.profileVisibility)
-    ) {
-      return next(
-        new ValidationError(
-          `Invalid profileVisibility value. Must be one of: ${validVisibilities.join(
-            ", "
-          )}`,
-          "INVALID_VISIBILITY_VALUE"
-        )
-      );
+    // Same values the schema and FollowService.canView understand
+    const validVisibilities = User.schema.path("privacySettings.profileVisibility").enumValues;
+    for (const setting of ["profileVisibility", "activityVisibility"]) {
+      if (
+        updatedSettings[setting] &&
+        !validVisibilities.includes(updatedSettings[setting])
+      ) {
+        return next(
+          new ValidationError(
+            `Invalid ${setting} value. Must be one of: ${validVisibilities.join(
+              ", "
+            )}`,
+            "INVALID_VISIBILITY_VALUE"
+          )
+        );
+      }
     }
-    // Add more validations as needed...
 
     user.privacySettings = updatedSettings;
     await user.save();
 
+    // Cached product listings were rendered under the old visibility
+    await Promise.all([
+      cache.delByPattern(`products:user:${userId}:*`),
+      cache.delByPattern(`products:user:username:${user.username}:*`),
+    ]);
+
     logger.info(`Privacy settings updated successfully for user ${userId}.`);
 
     return res.status(200).json(
@@ -562,13 +570,13 @@ export const updatePrivacySettings = async (req, res, next) => {
 };
 
 /**
- * @desc    Update user security settings (e.g., two-factor auth enable/disable)
+ * @desc    Update user security settings (e.g., login alerts). Two-factor auth has its own endpoints under /auth/2fa
  * @route   PUT /auth/security-settings
  * @access  Private
  */
 export const updateSecuritySettings = async (req, res, next) => {
   const userId = req.user._id;
-  const { securitySettings } = req.body; // Expect object like { twoFactorEnabled: true }
+  const { securitySettings } = req.body; // Expect object like { loginAlerts: true }
 
   try {
     if (
@@ -585,9 +593,7 @@ export const updateSecuritySettings = async (req, res, next) => {
       );
     }
 
-    const user = await User.findById(userId).select(
-      "securitySettings isPhoneVerified email"
-    ); // Need phone/email status for 2FA logic
+    const user = await User.findById(userId).select("securitySettings");
     if (!user) {
       logger.error(`User ${userId} not found during security settings update.`);
       return next(
@@ -601,49 +607,24 @@ export const updateSecuritySettings = async (req, res, next) => {
     // --- Handle Specific Security Settings ---
     const updatedSettings = { ...(user.securitySettings?.toObject() || {}) };
 
-    // Example: Enabling Two-Factor Authentication
+    // Two-factor authentication is switched on and off through /auth/2fa,
+    // which verifies the authenticator app and re-authenticates on disable
     if (
       securitySettings.hasOwnProperty("twoFactorEnabled") &&
-      securitySettings.twoFactorEnabled === true
-    ) {
-      // Check prerequisites for enabling 2FA (e.g., verified phone or authenticator app setup)
-      if (
-        !user.isPhoneVerified /* && !user.securitySettings?.authenticatorAppConfigured */
-      ) {
-        // Cannot enable 2FA without a verified method
-        logger.warn(
-          `User ${userId} attempted to enable 2FA without a verified phone/app.`
-        );
-        return next(
-          new ValidationError(
-            "Cannot enable Two-Factor Authentication without a verified phone number or configured authenticator app.",
-            "2FA_MISSING_METHOD"
-          )
-        );
-      }
-      if (!updatedSettings.twoFactorEnabled) {
-        // Only log/act if changing state
-        updatedSettings.twoFactorEnabled = true;
-        logger.info(`User ${userId} enabled Two-Factor Authentication.`);
-        // You might require password re-verification here for security
-        // needsVerification = true; verificationType = 'password';
-      }
-    }
-    // Example: Disabling Two-Factor Authentication
-    else if (
-      securitySettings.hasOwnProperty("twoFactorEnabled") &&
-      securitySettings.twoFactorEnabled === false
+      Boolean(securitySettings.twoFactorEnabled) !== Boolean(updatedSettings.twoFactorEnabled)
     ) {
-      if (updatedSettings.twoFactorEnabled) {
-        // Only log/act if changing state
-        updatedSettings.twoFactorEnabled = false;
-        logger.info(`User ${userId} disabled Two-Factor Authentication.`);
-        // Require password re-verification to disable 2FA
-        // needsVerification = true; verificationType = 'password';
-      }
+      return next(
+        new ValidationError(
+          securitySettings.twoFactorEnabled
+            ? "Set up two-factor authentication with an authenticator app via /auth/2fa/setup."
+            : "Disable two-factor authentication via /auth/2fa/disable."
+        )
+      );
     }
 
-    // Add handlers for other security settings (e.g., authenticator app setup, recovery codes)
+    if (securitySettings.hasOwnProperty("loginAlerts")) {
+      updatedSettings.loginAlerts = Boolean(securitySettings.loginAlerts);
+    }
 
     // --- Apply Updates and Save ---
     user.securitySettings = updatedSettings;
@@ -22,8 +22,10 @@ import {
   ValidationError,
   UnauthorizedError,
   NotFoundError,
+  ForbiddenError,
 } from "../../utils/logging/error.js";
 import { maskPhone } from "../../utils/communication/phone.utils.js";
+import FollowService from "../../services/user/follow.service.js";
 import {
   handleValidationErrors,
   isStrongPassword,
@@ -32,6 +34,8 @@ import {
   ensureAddressStructure,
 } from "./helpers/auth.helpers.js";
 import { isProduction } from "./helpers/auth.constants.js";
+import { issueSession, buildSessionPayload, getRequestLocation } from "./helpers/session.helpers.js";
+import TwoFactorService from "../../services/auth/twoFactor.service.js";
 
 dotenv.config();
 
@@ -94,14 +98,47 @@ export const getUserByUsername = async (req, res, next) => {
       return next(new NotFoundError("User not found")); // Use NotFoundError
     }
 
+    // Resolve "followers" / "private" visibility for the current viewer
+    const viewerContext = await FollowService.getViewerContext(req.user, user._id);
+    const privacy = user.privacySettings || {};
+    const followCounts = await FollowService.getCounts(user._id);
+
+    // Profiles hidden by user reports are restricted for everyone but the user and admins
+    const hiddenByReports = user.hiddenByReports && !viewerContext.isOwner && !viewerContext.isAdmin;
+
+    if (hiddenByReports || !FollowService.canView(privacy.profileVisibility, viewerContext)) {
+      // Restricted profiles only expose what is needed to identify and follow the user
+      const restrictedUserData = {
+        _id: user._id,
+        username: user.username,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        profilePicture: user.profilePicture,
+        role: user.role,
+        isRestricted: true,
+        restrictedBy: hiddenByReports ? "review" : privacy.profileVisibility,
+        followCounts,
+        isFollowing: viewerContext.isFollower,
+      };
+
+      return res.status(200).json(formatResponse("success", "User profile is restricted", { user: restrictedUserData }));
+    }
+
     // Optionally mask sensitive info if needed for public view
     const publicUserData = {
       ...user.toObject(),
       email: maskEmail(user.email),
       phone: maskPhone(user.phone),
+      followCounts,
+      isFollowing: viewerContext.isFollower,
+      canViewActivity: FollowService.canView(privacy.activityVisibility, viewerContext),
       // Remove or mask other fields if necessary
     };
 
+    if (!publicUserData.canViewActivity) {
+      delete publicUserData.activity;
+    }
+
     res.status(200).json(formatResponse("success", "User retrieved successfully", { user: publicUserData }));
   } catch (error) {
     logger.error(`Error fetching user by username ${username}: ${error.message}`);
@@ -249,24 +286,7 @@ export const register = async (req, res, next) => {
       // Proceed with registration, but maybe log this as a critical issue
     }
 
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
-
-    const refreshTokenDoc = new RefreshToken({
-      user: user._id,
-      token: refreshToken,
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
-      createdByIp: req.ip,
-    });
-    await refreshTokenDoc.save();
-
-    res.cookie("refreshToken", refreshToken, {
-      httpOnly: true,
-      secure: isProduction,
-      sameSite: isProduction ? "none" : "lax",
-      path: "/",
-      maxAge: 7 * 24 * 60 * 60 * 1000,
-    });
+    const { accessToken } = await issueSession(req, res, user);
 
     // Refresh user object to get the latest state for next step calculation
     const freshUser = await User.findById(user._id);
@@ -358,57 +378,35 @@ export const login = async (req, res, next) => {
       return next(new ValidationError("Invalid email or password")); // Consistent generic message
     }
 
+    // The user reported a sign-in they didn't make; this password can't be trusted until it's reset
+    if (user.passwordResetRequired) {
+      logger.warn(`Password login blocked pending reset`, { userId: user._id });
+      return next(new ForbiddenError("For your security, reset your password before signing in. Use the link we emailed you or request a new one."));
+    }
+
     // Ensure address structure on successful login
     await ensureAddressStructure(user); // Await the update
 
     user.loginAttempts = 0;
     user.lockUntil = undefined;
-    user.lastLogin = new Date();
-    await user.save();
-
-    // Generate tokens with appropriate expiry times
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
-    const refreshTokenExpiry = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
 
-    // Clean up old refresh tokens for the user (good practice to prevent token buildup)
-    // Only keep the 5 most recent tokens to allow multiple devices
-    const oldTokens = await RefreshToken.find({
-      user: user._id,
-      revokedAt: null // Only count active tokens
-    }).sort({ createdAt: -1 }).skip(4); // Keep the 5 most recent
-
-    if (oldTokens.length > 0) {
-      const oldTokenIds = oldTokens.map(t => t._id);
-      await RefreshToken.updateMany(
-        { _id: { $in: oldTokenIds } },
-        {
-          revokedAt: new Date(),
-          revokedByIp: req.ip,
-          revokedReason: 'Token limit exceeded'
-        }
+    // The password was right, but the session waits for the second factor
+    if (TwoFactorService.isEnabled(user)) {
+      await user.save();
+      const challenge = TwoFactorService.createChallenge(user, { provider: "password" });
+      logger.info(`Two-factor challenge issued for user ${user._id}`);
+      return res.status(200).json(
+        formatResponse("success", "Two-factor authentication required", {
+          twoFactorRequired: true,
+          ...challenge,
+        })
       );
-      logger.info(`Revoked ${oldTokenIds.length} old refresh tokens for user ${user._id}`);
     }
 
-    // Create new refresh token document
-    const refreshTokenDoc = new RefreshToken({
-      user: user._id,
-      token: refreshToken,
-      expiresAt: refreshTokenExpiry,
-      createdByIp: req.ip,
-      userAgent: req.headers['user-agent'] || 'Unknown' // Store user agent
-    });
-    await refreshTokenDoc.save();
-
-    // Set refresh token cookie with appropriate security settings
-    res.cookie("refreshToken", refreshToken, {
-      httpOnly: true, // Prevent JavaScript access
-      secure: isProduction, // HTTPS only in production
-      sameSite: isProduction ? "none" : "lax", // Allow cross-site in production for frontend/backend separation
-      path: "/", // Available across the site
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days in milliseconds
-    });
+    user.lastLogin = new Date();
+    await user.save();
+
+    const tokens = await issueSession(req, res, user, { loginMethod: "password" });
 
     // Send verification if needed AFTER successful login and token generation
     let verificationSent = false;
@@ -435,35 +433,7 @@ export const login = async (req, res, next) => {
     const nextStep = getVerificationNextStep(user);
     const message = verificationSent ? "Login successful. Please check your email to verify your account." : "Login successful";
 
-    // Extract relevant populated role details
-    const roleDetailData = user.roleDetails ? user.roleDetails[user.role] : null;
-
-    // Determine if client is mobile or web based on user agent
-    const isMobileClient = req.headers['user-agent'] &&
-      (req.headers['user-agent'].includes('Mobile') ||
-       req.headers['user-agent'].includes('Android') ||
-       req.headers['user-agent'].includes('iOS'));
-
-    // For mobile clients, include refresh token in response
-    // For web clients, rely on the HTTP-only cookie
-     const responseData = {
-      accessToken,
-      ...(isMobileClient && { refreshToken }),
-      user: {
-        _id: user._id, // CHANGED FROM id to _id
-        username: user.username,
-        email: maskEmail(user.email),
-        firstName: user.firstName || "",
-        lastName: user.lastName || "",
-        phone: maskPhone(user.phone) || "",
-        role: user.role,
-        isEmailVerified: user.isEmailVerified,
-        isPhoneVerified: user.isPhoneVerified,
-        isProfileCompleted: user.isProfileCompleted,
-        profilePicture: user.profilePicture?.url || null,
-        roleDetailsSummary: roleDetailData ? { /* ... */ } : null,
-      },
-    };
+    const responseData = buildSessionPayload(req, user, tokens);
 
     res.status(200).json(
       formatResponse(
@@ -508,6 +478,7 @@ export const logout = async (req, res, next) => {
       if (storedToken && storedToken.isActive) { // Check if it's currently active
         storedToken.revokedAt = Date.now();
         storedToken.revokedByIp = req.ip;
+        storedToken.revokedReason = "Logged out";
         await storedToken.save();
         logger.info(`Refresh token revoked for user: ${storedToken.user}`, { tokenId: storedToken._id });
       } else if (storedToken) {
@@ -685,6 +656,7 @@ export const refreshToken = async (req, res, next) => {
     // Mark old token as revoked and create new token
     storedToken.revokedAt = Date.now();
     storedToken.revokedByIp = req.ip;
+    storedToken.revokedReason = "Rotated";
     storedToken.replacedByToken = newRefreshToken;
     await storedToken.save();
 
@@ -693,7 +665,11 @@ export const refreshToken = async (req, res, next) => {
       token: newRefreshToken,
       expiresAt: refreshTokenExpiry,
       createdByIp: req.ip,
-      userAgent: req.headers['user-agent'] || 'Unknown'
+      userAgent: req.headers['user-agent'] || 'Unknown',
+      // Keep the session's identity across rotations
+      sessionStartedAt: storedToken.sessionStartedAt || storedToken.createdAt,
+      lastUsedAt: new Date(),
+      location: getRequestLocation(req)
     }).save();
 
     // 6. Set the new refresh token cookie
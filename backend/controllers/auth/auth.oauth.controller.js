@@ -0,0 +1,263 @@
+import passport from "passport";
+import OAuthAccountService from "../../services/auth/oauthAccount.service.js";
+import { OAUTH_PROVIDERS, isProviderConfigured } from "../../config/oauth.providers.js";
+import { generateOAuthLinkToken, verifyOAuthLinkToken } from "../../utils/auth/jwt.utils.js";
+import logger from "../../utils/logging/logger.js";
+import { AppError, ValidationError } from "../../utils/logging/error.js";
+import { formatResponse } from "./helpers/auth.helpers.js";
+import { issueSession } from "./helpers/session.helpers.js";
+import TwoFactorService from "../../services/auth/twoFactor.service.js";
+
+const getClientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Where the settings page shows the result of a link attempt
+const LINK_RESULT_PATH = '/user/settings?tab=security';
+
+const forwardError = (error, next, fallbackMessage) => {
+  if (error instanceof AppError) {
+    return next(error);
+  }
+  logger.error(`${fallbackMessage}: ${error.message}`, { stack: error.stack });
+  return next(new AppError(fallbackMessage, 500));
+};
+
+/**
+ * @desc    Initiate OAuth authentication with a provider (also starts account linking when a link token is passed)
+ * @route   GET /auth/:provider
+ * @access  Public
+ */
+export const initiateOAuth = async (req, res, next) => {
+  const { provider } = req.params;
+  const { label, scope, authOptions } = OAUTH_PROVIDERS[provider];
+
+  try {
+    if (!isProviderConfigured(provider)) {
+      return res.redirect(`${getClientUrl()}/auth/login?error=oauth_failed&message=${encodeURIComponent(`${label} sign-in is not available`)}`);
+    }
+
+    // Linking from the settings page: the redirect can't carry the access token, so a short-lived link token stands in for it
+    if (req.query.link_token) {
+      try {
+        const decoded = await verifyOAuthLinkToken(req.query.link_token);
+        if (decoded.provider !== provider) throw new Error('Provider mismatch');
+        req.session.oauthLink = { userId: decoded.id, provider };
+      } catch (error) {
+        return res.redirect(`${getClientUrl()}${LINK_RESULT_PATH}&link_error=${encodeURIComponent('Your link request expired. Please try again.')}`);
+      }
+    } else {
+      delete req.session.oauthLink;
+    }
+
+    // Store redirect URL in session if provided
+    if (req.query.redirect) {
+      req.session.redirectUrl = req.query.redirect;
+    }
+
+    // Store auth type (login vs register) from query params
+    if (req.query.type) {
+      req.session.authType = req.query.type;
+    }
+
+    logger.info(`Initiating ${label} OAuth authentication`, {
+      redirectUrl: req.session.redirectUrl,
+      authType: req.session.authType,
+      linking: Boolean(req.session.oauthLink),
+      sessionId: req.sessionID
+    });
+
+    passport.authenticate(provider, { scope, ...authOptions })(req, res, next);
+  } catch (error) {
+    logger.error(`${label} OAuth initiation error: ${error.message}`);
+    next(new AppError(`Failed to initiate ${label} authentication`, 500));
+  }
+};
+
+/**
+ * @desc    Handle the OAuth callback from a provider
+ * @route   GET /auth/:provider/callback
+ * @access  Public
+ */
+export const handleOAuthCallback = async (req, res, next) => {
+  const { provider } = req.params;
+  const { label } = OAUTH_PROVIDERS[provider];
+  const clientUrl = getClientUrl();
+
+  // A link attempt returns to the settings page whatever the outcome
+  const pendingLink = req.session?.oauthLink;
+
+  passport.authenticate(provider, { session: false }, async (err, user, info = {}) => {
+    try {
+      if (pendingLink) {
+        delete req.session.oauthLink;
+        if (err || !user) {
+          const message = err instanceof AppError ? err.message : `Failed to link your ${label} account`;
+          return res.redirect(`${clientUrl}${LINK_RESULT_PATH}&link_error=${encodeURIComponent(message)}`);
+        }
+        return res.redirect(`${clientUrl}${LINK_RESULT_PATH}&linked=${provider}`);
+      }
+
+      if (err) {
+        logger.error(`${label} OAuth callback error: ${err.message}`);
+        const message = err instanceof AppError ? err.message : 'Authentication failed';
+        return res.redirect(`${clientUrl}/auth/login?error=oauth_failed&message=${encodeURIComponent(message)}`);
+      }
+
+      if (!user) {
+        logger.warn(`${label} OAuth callback: No user returned`);
+        return res.redirect(`${clientUrl}/auth/login?error=oauth_failed&message=${encodeURIComponent('Authentication was cancelled or failed')}`);
+      }
+
+      // Get stored session data
+      const redirectUrl = req.session?.redirectUrl;
+      const authType = req.session?.authType || 'login';
+
+      logger.info(`${label} OAuth callback processing`, {
+        userId: user._id,
+        redirectUrl,
+        authType,
+        sessionId: req.sessionID
+      });
+
+      // Clear session data
+      if (req.session) {
+        delete req.session.redirectUrl;
+        delete req.session.authType;
+      }
+
+      // Check if user needs to complete profile
+      const needsProfileCompletion = !user.firstName || !user.lastName || !user.role || user.role === 'user';
+      const isNewUser = Boolean(info.isNewUser);
+
+      // Accounts with 2FA get a challenge instead of tokens; the client
+      // finishes sign-in with POST /auth/2fa/verify
+      if (TwoFactorService.isEnabled(user)) {
+        const { challengeToken, methods } = TwoFactorService.createChallenge(user, {
+          provider,
+          redirectTo: needsProfileCompletion
+            ? '/complete-profile'
+            : redirectUrl?.startsWith('/') ? redirectUrl : null,
+        });
+        const challengeParams = new URLSearchParams({
+          two_factor: 'required',
+          challenge: challengeToken,
+          methods: methods.join(','),
+          provider,
+        });
+
+        logger.info(`${label} OAuth requires two-factor verification for user ${user._id}`);
+        return res.redirect(`${clientUrl}/auth/login?${challengeParams.toString()}`);
+      }
+
+      // Update user's last login
+      user.lastLogin = new Date();
+      await user.save();
+
+      const { accessToken, refreshToken } = await issueSession(req, res, user, { loginMethod: provider });
+
+      // Build redirect URL with tokens and user info
+      const redirectParams = new URLSearchParams({
+        oauth_success: 'true',
+        token: accessToken,
+        refresh_token: refreshToken,
+        provider,
+        new_user: isNewUser ? 'true' : 'false',
+        type: authType
+      });
+
+      // Determine final redirect URL
+      let finalRedirectUrl;
+
+      if (needsProfileCompletion) {
+        // User needs to complete profile
+        finalRedirectUrl = `${clientUrl}/complete-profile?${redirectParams.toString()}`;
+      } else if (redirectUrl && redirectUrl.startsWith('/')) {
+        // Use stored redirect URL (make sure it's a relative path)
+        finalRedirectUrl = `${clientUrl}${redirectUrl}?${redirectParams.toString()}`;
+      } else {
+        // Default redirect based on auth type
+        const defaultPath = authType === 'register' ? '/auth/register' : '/auth/login';
+        finalRedirectUrl = `${clientUrl}${defaultPath}?${redirectParams.toString()}`;
+      }
+
+      logger.info(`${label} OAuth success for user ${user._id}`);
+
+      res.redirect(finalRedirectUrl);
+    } catch (error) {
+      logger.error(`${label} OAuth callback processing error: ${error.message}`);
+      res.redirect(`${clientUrl}/auth/login?error=processing_error&message=${encodeURIComponent('Failed to process authentication')}`);
+    }
+  })(req, res, next);
+};
+
+/**
+ * @desc    Start linking a provider account to the authenticated user
+ * @route   POST /auth/:provider/link
+ * @access  Private
+ * @returns {url} Where the client should send the browser to continue at the provider
+ */
+export const linkAccount = async (req, res, next) => {
+  const { provider } = req.params;
+  const { label } = OAUTH_PROVIDERS[provider];
+
+  if (!isProviderConfigured(provider)) {
+    return next(new ValidationError(`${label} sign-in is not available`));
+  }
+
+  try {
+    const linkToken = generateOAuthLinkToken(req.user._id, provider);
+    const apiUrl = process.env.SERVER_URL || `${req.protocol}://${req.get('host')}`;
+    const url = `${apiUrl}/api/v1/auth/${provider}?link_token=${encodeURIComponent(linkToken)}`;
+
+    res.status(200).json(formatResponse("success", `Continue at ${label} to link your account`, { url }));
+  } catch (error) {
+    forwardError(error, next, `Failed to link ${label} account`);
+  }
+};
+
+/**
+ * @desc    Unlink a provider account from the authenticated user
+ * @route   DELETE /auth/:provider/unlink
+ * @access  Private
+ */
+export const unlinkAccount = async (req, res, next) => {
+  const { provider } = req.params;
+
+  try {
+    await OAuthAccountService.unlink(req.user._id, provider);
+    const status = await OAuthAccountService.getStatus(req.user._id, provider);
+
+    res.status(200).json(formatResponse("success", `${OAUTH_PROVIDERS[provider].label} account unlinked successfully`, status));
+  } catch (error) {
+    forwardError(error, next, `Failed to unlink ${OAUTH_PROVIDERS[provider].label} account`);
+  }
+};
+
+/**
+ * @desc    Get link status for one provider
+ * @route   GET /auth/:provider/status
+ * @access  Private
+ */
+export const getAccountStatus = async (req, res, next) => {
+  const { provider } = req.params;
+
+  try {
+    const status = await OAuthAccountService.getStatus(req.user._id, provider);
+    res.status(200).json(formatResponse("success", `${OAUTH_PROVIDERS[provider].label} authentication status retrieved`, status));
+  } catch (error) {
+    forwardError(error, next, `Failed to retrieve ${OAUTH_PROVIDERS[provider].label} authentication status`);
+  }
+};
+
+/**
+ * @desc    Get link status for every provider
+ * @route   GET /auth/linked-accounts
+ * @access  Private
+ */
+export const getLinkedAccounts = async (req, res, next) => {
+  try {
+    const providers = await OAuthAccountService.getAllStatuses(req.user._id);
+    res.status(200).json(formatResponse("success", "Linked accounts retrieved", { providers }));
+  } catch (error) {
+    forwardError(error, next, "Failed to retrieve linked accounts");
+  }
+};
@@ -0,0 +1,148 @@
+import mongoose from "mongoose";
+import PasskeyService, { PASSKEY_PURPOSES } from "../../services/auth/passkey.service.js";
+import logger from "../../utils/logging/logger.js";
+import { AppError, ValidationError, UnauthorizedError, ForbiddenError } from "../../utils/logging/error.js";
+import { formatResponse, getVerificationNextStep } from "./helpers/auth.helpers.js";
+import { issueSession, buildSessionPayload } from "./helpers/session.helpers.js";
+
+const forwardError = (error, next, fallbackMessage) => {
+  if (error instanceof AppError) {
+    return next(error);
+  }
+  logger.error(`${fallbackMessage}: ${error.message}`, { stack: error.stack });
+  return next(new AppError(fallbackMessage, 500));
+};
+
+/**
+ * @desc    Start a passkey sign-in
+ * @route   POST /auth/passkeys/login/options
+ * @access  Public
+ */
+export const getLoginOptions = (req, res, next) => {
+  try {
+    const options = PasskeyService.getAuthenticationOptions({ purpose: PASSKEY_PURPOSES.LOGIN });
+    res.status(200).json(formatResponse("success", "Choose a passkey to sign in", options));
+  } catch (error) {
+    forwardError(error, next, "Failed to start passkey sign-in");
+  }
+};
+
+/**
+ * @desc    Finish a passkey sign-in. Passkeys always verify the user (PIN or
+ *          biometrics) on the device, so they satisfy two-factor on their own.
+ * @route   POST /auth/passkeys/login/verify
+ * @access  Public
+ */
+export const verifyLogin = async (req, res, next) => {
+  const { ceremonyToken, credential } = req.body;
+
+  try {
+    const user = await PasskeyService.authenticate({ ceremonyToken, credential });
+
+    if (user.isLocked) {
+      const timeLeft = Math.ceil((user.lockUntil - Date.now()) / 1000 / 60);
+      return next(new UnauthorizedError(`Account locked. Try again in ${timeLeft} minutes.`));
+    }
+    // A reported intruder may have registered a passkey of their own
+    if (user.passwordResetRequired) {
+      logger.warn(`Passkey login blocked pending reset`, { userId: user._id });
+      return next(new ForbiddenError("For your security, reset your password before signing in. Use the link we emailed you or request a new one."));
+    }
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    const tokens = await issueSession(req, res, user, { loginMethod: "passkey" });
+    logger.info(`Passkey sign-in for user ${user._id}`);
+
+    res.status(200).json(
+      formatResponse("success", "Login successful", buildSessionPayload(req, user, tokens), getVerificationNextStep(user))
+    );
+  } catch (error) {
+    forwardError(error, next, "Passkey sign-in failed");
+  }
+};
+
+/**
+ * @desc    List the current user's passkeys
+ * @route   GET /auth/passkeys
+ * @access  Private
+ */
+export const listPasskeys = async (req, res, next) => {
+  try {
+    const passkeys = await PasskeyService.listPasskeys(req.user._id);
+    res.status(200).json(formatResponse("success", "Passkeys retrieved", { passkeys }));
+  } catch (error) {
+    forwardError(error, next, "Failed to fetch passkeys");
+  }
+};
+
+/**
+ * @desc    Start registering a new passkey
+ * @route   POST /auth/passkeys/register/options
+ * @access  Private
+ */
+export const getRegistrationOptions = async (req, res, next) => {
+  try {
+    const options = await PasskeyService.getRegistrationOptions(req.user._id);
+    res.status(200).json(formatResponse("success", "Create a passkey on your device", options));
+  } catch (error) {
+    forwardError(error, next, "Failed to start passkey registration");
+  }
+};
+
+/**
+ * @desc    Finish registering a passkey
+ * @route   POST /auth/passkeys/register/verify
+ * @access  Private
+ */
+export const verifyRegistration = async (req, res, next) => {
+  const { ceremonyToken, credential, name } = req.body;
+
+  try {
+    const passkey = await PasskeyService.registerPasskey(req.user._id, { ceremonyToken, credential, name });
+    res.status(201).json(formatResponse("success", "Passkey added", { passkey }));
+  } catch (error) {
+    forwardError(error, next, "Failed to register passkey");
+  }
+};
+
+/**
+ * @desc    Rename a passkey
+ * @route   PATCH /auth/passkeys/:passkeyId
+ * @access  Private
+ */
+export const renamePasskey = async (req, res, next) => {
+  const { passkeyId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(passkeyId)) {
+    return next(new ValidationError("Invalid passkey ID"));
+  }
+
+  try {
+    const passkey = await PasskeyService.renamePasskey(req.user._id, passkeyId, req.body.name);
+    res.status(200).json(formatResponse("success", "Passkey renamed", { passkey }));
+  } catch (error) {
+    forwardError(error, next, "Failed to rename passkey");
+  }
+};
+
+/**
+ * @desc    Remove a passkey
+ * @route   DELETE /auth/passkeys/:passkeyId
+ * @access  Private
+ */
+export const removePasskey = async (req, res, next) => {
+  const { passkeyId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(passkeyId)) {
+    return next(new ValidationError("Invalid passkey ID"));
+  }
+
+  try {
+    await PasskeyService.removePasskey(req.user._id, passkeyId);
+    res.status(200).json(formatResponse("success", "Passkey removed"));
+  } catch (error) {
+    forwardError(error, next, "Failed to remove passkey");
+  }
+};
@@ -8,11 +8,13 @@ import RefreshToken from "../../models/core/refreshToken.model.js";
 import { maskEmail, sendVerificationEmail } from "../../utils/communication/mail.utils.js";
 import logger from "../../utils/logging/logger.js";
 import jwt from "jsonwebtoken";
+import { generatePasswordResetToken } from "../../utils/auth/jwt.utils.js";
 import dotenv from "dotenv";
 import {
   AppError,
   ValidationError,
   NotFoundError,
+  ForbiddenError,
 } from "../../utils/logging/error.js";
 import {
   isStrongPassword,
@@ -65,11 +67,7 @@ export const forgotPassword = async (req, res, next) => {
     }
 
     // Generate the password reset token
-    const resetToken = jwt.sign(
-      { id: user._id },
-      process.env.JWT_RESET_SECRET,
-      { expiresIn: "1h" } // Token valid for 1 hour
-    );
+    const resetToken = generatePasswordResetToken(user._id); // Valid for 1 hour
 
     // Construct the reset link
     const resetLink = `${process.env.CLIENT_URL}/auth/reset-password/${resetToken}`;
@@ -227,6 +225,7 @@ export const resetPassword = async (req, res, next) => {
     user.password = password; // The pre-save hook in the User model will hash it
     user.passwordResetToken = undefined; // Clear the reset token fields
     user.passwordResetExpires = undefined;
+    user.passwordResetRequired = false; // Clears a lock from a reported sign-in
     user.passwordChangedAt = new Date(); // Track when password was last changed
     user.loginAttempts = 0; // Reset login attempts
     user.lockUntil = undefined; // Unlock account if it was locked
@@ -239,7 +238,7 @@ export const resetPassword = async (req, res, next) => {
     try {
         const { modifiedCount } = await RefreshToken.updateMany(
             { user: user._id, revokedAt: null }, // Find active tokens for this user
-            { $set: { revokedAt: Date.now(), revokedByIp: req.ip, reason: "Password Reset" } } // Mark as revoked
+            { $set: { revokedAt: Date.now(), revokedByIp: req.ip, revokedReason: "Password Reset" } } // Mark as revoked
         );
          logger.info(`Invalidated ${modifiedCount} active refresh tokens for user ${user._id} after password reset.`);
     } catch(tokenError) {
@@ -293,6 +292,11 @@ export const changePassword = async (req, res, next) => {
         return next(new NotFoundError("User session invalid. Please log in again.", "CHANGE_PASS_USER_NOT_FOUND"));
     }
 
+    // A reported sign-in means the current password may be known to someone else
+    if (user.passwordResetRequired) {
+      return next(new ForbiddenError("For your security, reset your password using the link we emailed you."));
+    }
+
     // 2. Verify the current password
     if (!currentPassword || !(await user.verifyPassword(currentPassword))) {
       logger.warn(`Incorrect current password provided during change password attempt by user ${userId}.`);
@@ -331,7 +335,7 @@ export const changePassword = async (req, res, next) => {
                 revokedAt: null,
                 token: { $ne: currentRefreshToken } // Exclude the current session's token
             },
-            { $set: { revokedAt: Date.now(), revokedByIp: req.ip, reason: "Password Change" } }
+            { $set: { revokedAt: Date.now(), revokedByIp: req.ip, revokedReason: "Password Change" } }
         );
          logger.info(`Invalidated ${modifiedCount} other active refresh tokens for user ${userId} after password change.`);
     } catch(tokenError) {
@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+import SessionService from "../../services/auth/session.service.js";
+import LoginAlertService from "../../services/auth/loginAlert.service.js";
+import logger from "../../utils/logging/logger.js";
+import { AppError, ValidationError } from "../../utils/logging/error.js";
+import { formatResponse } from "./helpers/auth.helpers.js";
+import { isProduction } from "./helpers/auth.constants.js";
+
+const forwardError = (error, next, fallbackMessage) => {
+  if (error instanceof AppError) {
+    return next(error);
+  }
+  logger.error(`${fallbackMessage}: ${error.message}`, { stack: error.stack });
+  return next(new AppError(fallbackMessage, 500));
+};
+
+/**
+ * @desc    List the current user's active sessions
+ * @route   GET /auth/sessions
+ * @access  Private
+ */
+export const listSessions = async (req, res, next) => {
+  try {
+    const sessions = await SessionService.listSessions(req.user._id, req.cookies.refreshToken);
+    res.status(200).json(formatResponse("success", "Active sessions retrieved", { sessions }));
+  } catch (error) {
+    forwardError(error, next, "Failed to fetch active sessions");
+  }
+};
+
+/**
+ * @desc    Sign out one of the user's other sessions
+ * @route   DELETE /auth/sessions/:sessionId
+ * @access  Private
+ */
+export const revokeSession = async (req, res, next) => {
+  const { sessionId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return next(new ValidationError("Invalid session ID"));
+  }
+
+  try {
+    await SessionService.revokeSession(req.user._id, sessionId, {
+      currentToken: req.cookies.refreshToken,
+      ip: req.ip,
+    });
+    res.status(200).json(formatResponse("success", "Session signed out"));
+  } catch (error) {
+    forwardError(error, next, "Failed to sign out session");
+  }
+};
+
+/**
+ * @desc    Sign out every session except this one
+ * @route   DELETE /auth/sessions
+ * @access  Private
+ */
+export const revokeOtherSessions = async (req, res, next) => {
+  try {
+    const revokedCount = await SessionService.revokeOtherSessions(req.user._id, {
+      currentToken: req.cookies.refreshToken,
+      ip: req.ip,
+    });
+    res.status(200).json(
+      formatResponse("success", `Signed out of ${revokedCount} other session(s)`, { revokedCount })
+    );
+  } catch (error) {
+    forwardError(error, next, "Failed to sign out other sessions");
+  }
+};
+
+/**
+ * @desc    "This wasn't me" from a login alert: sign out everywhere and require a new password
+ * @route   POST /auth/secure-account
+ * @access  Public (requires the token from the alert)
+ */
+export const secureAccount = async (req, res, next) => {
+  try {
+    const { revokedCount, resetEmailSent } = await LoginAlertService.secureAccount(req.body.token, { ip: req.ip });
+
+    // This browser's session (if any) was revoked with the rest
+    res.clearCookie("refreshToken", {
+      httpOnly: true,
+      secure: isProduction,
+      sameSite: isProduction ? "none" : "lax",
+      path: "/",
+    });
+
+    res.status(200).json(
+      formatResponse(
+        "success",
+        resetEmailSent
+          ? "All sessions have been signed out. We've emailed you a link to choose a new password."
+          : "All sessions have been signed out.",
+        { revokedCount, resetEmailSent }
+      )
+    );
+  } catch (error) {
+    forwardError(error, next, "Failed to secure account");
+  }
+};
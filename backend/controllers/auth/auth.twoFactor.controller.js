@@ -0,0 +1,169 @@
+import TwoFactorService from "../../services/auth/twoFactor.service.js";
+import PasskeyService, { PASSKEY_PURPOSES } from "../../services/auth/passkey.service.js";
+import logger from "../../utils/logging/logger.js";
+import { AppError, ValidationError } from "../../utils/logging/error.js";
+import { formatResponse, getVerificationNextStep } from "./helpers/auth.helpers.js";
+import { issueSession, buildSessionPayload } from "./helpers/session.helpers.js";
+
+const forwardError = (error, next, fallbackMessage) => {
+  if (error instanceof AppError) {
+    return next(error);
+  }
+  logger.error(`${fallbackMessage}: ${error.message}`, { stack: error.stack });
+  return next(new AppError(fallbackMessage, 500));
+};
+
+/**
+ * @desc    Complete a sign-in by proving the second factor
+ * @route   POST /auth/2fa/verify
+ * @access  Public (requires a challenge token from login or OAuth)
+ */
+export const verifyChallenge = async (req, res, next) => {
+  const { challengeToken, code, method, passkey } = req.body;
+
+  try {
+    const { user, context, methods } = await TwoFactorService.resolveChallenge(challengeToken);
+    if (!methods.includes(method || "totp")) {
+      return next(new ValidationError("This verification method is not available for this sign-in"));
+    }
+    const usedMethod = await TwoFactorService.verifyCode(user, { code, method, passkey });
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    const tokens = await issueSession(req, res, user, { loginMethod: context.provider || "password" });
+    logger.info(`Two-factor sign-in completed for user ${user._id} via ${usedMethod}`);
+
+    const data = {
+      ...buildSessionPayload(req, user, tokens),
+      ...(context.redirectTo && { redirectTo: context.redirectTo }),
+      ...(usedMethod === "recovery" && {
+        recoveryCodesRemaining: TwoFactorService.countRemainingCodes(user),
+      }),
+    };
+
+    res.status(200).json(formatResponse("success", "Login successful", data, getVerificationNextStep(user)));
+  } catch (error) {
+    forwardError(error, next, "Two-factor verification failed");
+  }
+};
+
+/**
+ * @desc    Text a fallback code for a pending sign-in challenge
+ * @route   POST /auth/2fa/sms
+ * @access  Public (requires a challenge token)
+ */
+export const sendChallengeSms = async (req, res, next) => {
+  try {
+    const { user, methods } = await TwoFactorService.resolveChallenge(req.body.challengeToken);
+    if (!methods.includes("sms")) {
+      return next(new ValidationError("SMS verification is not available for this sign-in"));
+    }
+    const phone = await TwoFactorService.sendSmsCode(user);
+
+    res.status(200).json(formatResponse("success", `Verification code sent to ${phone}`, { phone }));
+  } catch (error) {
+    forwardError(error, next, "Failed to send verification code");
+  }
+};
+
+/**
+ * @desc    Start a passkey ceremony for a pending sign-in challenge
+ * @route   POST /auth/2fa/passkey/options
+ * @access  Public (requires a challenge token)
+ */
+export const getChallengePasskeyOptions = async (req, res, next) => {
+  try {
+    const { user, methods } = await TwoFactorService.resolveChallenge(req.body.challengeToken);
+    if (!methods.includes("passkey")) {
+      return next(new ValidationError("Passkey verification is not available for this sign-in"));
+    }
+    const options = PasskeyService.getAuthenticationOptions({ purpose: PASSKEY_PURPOSES.SECOND_FACTOR, user });
+
+    res.status(200).json(formatResponse("success", "Confirm with your passkey", options));
+  } catch (error) {
+    forwardError(error, next, "Failed to start passkey verification");
+  }
+};
+
+/**
+ * @desc    Get the current user's 2FA status
+ * @route   GET /auth/2fa/status
+ * @access  Private
+ */
+export const getStatus = async (req, res, next) => {
+  try {
+    const status = await TwoFactorService.getStatus(req.user._id);
+    res.status(200).json(formatResponse("success", "Two-factor status retrieved", status));
+  } catch (error) {
+    forwardError(error, next, "Failed to fetch two-factor status");
+  }
+};
+
+/**
+ * @desc    Start authenticator-app enrollment
+ * @route   POST /auth/2fa/setup
+ * @access  Private
+ */
+export const startSetup = async (req, res, next) => {
+  try {
+    const setup = await TwoFactorService.startEnrollment(req.user._id);
+    res.status(200).json(
+      formatResponse("success", "Scan the code with your authenticator app, then enter the 6-digit code", setup)
+    );
+  } catch (error) {
+    forwardError(error, next, "Failed to start two-factor setup");
+  }
+};
+
+/**
+ * @desc    Confirm enrollment with a code from the authenticator app
+ * @route   POST /auth/2fa/enable
+ * @access  Private
+ */
+export const enable = async (req, res, next) => {
+  try {
+    const recoveryCodes = await TwoFactorService.confirmEnrollment(req.user._id, req.body.code);
+    res.status(200).json(
+      formatResponse("success", "Two-factor authentication enabled. Save your recovery codes somewhere safe.", {
+        recoveryCodes,
+      })
+    );
+  } catch (error) {
+    forwardError(error, next, "Failed to enable two-factor authentication");
+  }
+};
+
+/**
+ * @desc    Replace recovery codes
+ * @route   POST /auth/2fa/recovery-codes
+ * @access  Private
+ */
+export const regenerateRecoveryCodes = async (req, res, next) => {
+  const { code, method } = req.body;
+
+  try {
+    const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(req.user._id, { code, method });
+    res.status(200).json(
+      formatResponse("success", "New recovery codes generated. Your old codes no longer work.", { recoveryCodes })
+    );
+  } catch (error) {
+    forwardError(error, next, "Failed to regenerate recovery codes");
+  }
+};
+
+/**
+ * @desc    Disable 2FA after re-authenticating
+ * @route   POST /auth/2fa/disable
+ * @access  Private
+ */
+export const disable = async (req, res, next) => {
+  const { password, code, method } = req.body;
+
+  try {
+    await TwoFactorService.disable(req.user._id, { password, code, method });
+    res.status(200).json(formatResponse("success", "Two-factor authentication disabled"));
+  } catch (error) {
+    forwardError(error, next, "Failed to disable two-factor authentication");
+  }
+};
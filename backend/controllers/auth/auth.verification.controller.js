@@ -1,5 +1,4 @@
 import User from "../../models/user/user.model.js";
-import RefreshToken from "../../models/core/refreshToken.model.js";
 import Investor from "../../models/user/investor.model.js";
 import Startup from "../../models/user/startup.model.js";
 import Agency from "../../models/user/agency.model.js";
@@ -7,11 +6,7 @@ import Freelancer from "../../models/user/freelancer.model.js";
 import Jobseeker from "../../models/user/jobseeker.model.js";
 import { generateUsername } from "../../utils/auth/username.utils.js";
 import { sendOTP, verifyOTP } from "../../utils/communication/twilio.utils.js";
-import {
-  generateAccessToken,
-  generateRefreshToken,
-  generateEmailToken,
-} from "../../utils/auth/jwt.utils.js";
+import { generateEmailToken } from "../../utils/auth/jwt.utils.js";
 import { sendVerificationEmail, maskEmail } from "../../utils/communication/mail.utils.js";
 import logger from "../../utils/logging/logger.js";
 import jwt from "jsonwebtoken";
@@ -29,7 +24,9 @@ import {
   ensureAddressStructure,
   sendVerificationForMissingMethods,
 } from "./helpers/auth.helpers.js";
-import { isProduction, OTP_RATE_LIMIT } from "./helpers/auth.constants.js";
+import { OTP_RATE_LIMIT } from "./helpers/auth.constants.js";
+import { issueSession } from "./helpers/session.helpers.js";
+import TwoFactorService from "../../services/auth/twoFactor.service.js";
 
 dotenv.config();
 
@@ -583,10 +580,24 @@ export const verifyOtp = async (req, res, next) => {
 
       user.loginAttempts = 0; // Reset login attempts as well
       user.lockUntil = undefined;
-      user.lastLogin = new Date();
       user.isPhoneVerified = true; // Ensure phone is marked verified
       user.otpFailedAttempts = 0; // Reset OTP attempts on success
       user.otpSentAt = undefined; // Clear OTP timestamp
+
+      // The SMS code was the first factor; 2FA accounts still need the second
+      if (type === "login" && TwoFactorService.isEnabled(user)) {
+        await user.save();
+        const challenge = TwoFactorService.createChallenge(user, { provider: "phone" });
+        logger.info(`Two-factor challenge issued for user ${user._id} after phone login`);
+        return res.status(200).json(
+          formatResponse("success", "Two-factor authentication required", {
+            twoFactorRequired: true,
+            ...challenge,
+          })
+        );
+      }
+
+      user.lastLogin = new Date();
       await user.save();
       logger.info(
         `User ${
@@ -596,27 +607,7 @@ export const verifyOtp = async (req, res, next) => {
     }
 
     // --- Generate Tokens and Respond ---
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
-
-    // Save refresh token
-    const refreshTokenDoc = new RefreshToken({
-      user: user._id,
-      token: refreshToken,
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
-      createdByIp: req.ip,
-      userAgent: req.headers["user-agent"] || "Unknown",
-    });
-    await refreshTokenDoc.save();
-
-    // Set refresh token cookie
-    res.cookie("refreshToken", refreshToken, {
-      httpOnly: true,
-      secure: isProduction,
-      sameSite: isProduction ? "none" : "lax",
-      path: "/",
-      maxAge: 7 * 24 * 60 * 60 * 1000,
-    });
+    const { accessToken } = await issueSession(req, res, user, type === "login" ? { loginMethod: "phone" } : {});
 
     // Determine next steps and send verification for missing methods (e.g., email)
     const nextStep = getVerificationNextStep(user);
@@ -0,0 +1,109 @@
+// Controllers/auth/helpers/session.helpers.js
+// Shared by every flow that ends in a signed-in session (password login,
+// two-factor challenge, OAuth callbacks).
+import RefreshToken from "../../../models/core/refreshToken.model.js";
+import { generateAccessToken, generateRefreshToken } from "../../../utils/auth/jwt.utils.js";
+import { maskEmail } from "../../../utils/communication/mail.utils.js";
+import { maskPhone } from "../../../utils/communication/phone.utils.js";
+import logger from "../../../utils/logging/logger.js";
+import LoginAlertService from "../../../services/auth/loginAlert.service.js";
+import { isProduction } from "./auth.constants.js";
+
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MAX_ACTIVE_SESSIONS = 5;
+
+/**
+ * Approximate location from the geo headers our CDN adds (same source as view tracking)
+ */
+export const getRequestLocation = (req) => ({
+  country: req.headers["cf-ipcountry"] || req.headers["x-country-code"] || null,
+  region: req.headers["cf-region"] || null,
+  city: req.headers["cf-city"] || null,
+});
+
+/**
+ * Issue an access token and a persisted refresh token, and set the refresh cookie.
+ * Only the most recent sessions are kept so tokens don't pile up across devices.
+ * Pass loginMethod for sign-ins (not registrations) to run the new-device alert check.
+ * @returns {Promise<Object>} { accessToken, refreshToken }
+ */
+export const issueSession = async (req, res, user, { loginMethod } = {}) => {
+  // Compare against earlier sessions before this one is stored
+  if (loginMethod) {
+    await LoginAlertService.checkLogin(user, {
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      location: getRequestLocation(req),
+      method: loginMethod
+    });
+  }
+
+  const accessToken = generateAccessToken(user._id);
+  const refreshToken = generateRefreshToken(user._id);
+
+  const oldTokens = await RefreshToken.find({
+    user: user._id,
+    revokedAt: null // Only count active tokens
+  }).sort({ createdAt: -1 }).skip(MAX_ACTIVE_SESSIONS - 1);
+
+  if (oldTokens.length > 0) {
+    const oldTokenIds = oldTokens.map(t => t._id);
+    await RefreshToken.updateMany(
+      { _id: { $in: oldTokenIds } },
+      {
+        revokedAt: new Date(),
+        revokedByIp: req.ip,
+        revokedReason: 'Token limit exceeded'
+      }
+    );
+    logger.info(`Revoked ${oldTokenIds.length} old refresh tokens for user ${user._id}`);
+  }
+
+  await RefreshToken.create({
+    user: user._id,
+    token: refreshToken,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    createdByIp: req.ip,
+    userAgent: req.headers['user-agent'] || 'Unknown',
+    location: getRequestLocation(req)
+  });
+
+  res.cookie("refreshToken", refreshToken, {
+    httpOnly: true, // Prevent JavaScript access
+    secure: isProduction, // HTTPS only in production
+    sameSite: isProduction ? "none" : "lax", // Allow cross-site in production for frontend/backend separation
+    path: "/", // Available across the site
+    maxAge: REFRESH_TOKEN_TTL_MS,
+  });
+
+  return { accessToken, refreshToken };
+};
+
+/**
+ * Response body for a successful sign-in.
+ * Mobile clients can't rely on the HTTP-only cookie, so they also get the refresh token.
+ */
+export const buildSessionPayload = (req, user, { accessToken, refreshToken }) => {
+  const userAgent = req.headers['user-agent'] || '';
+  const isMobileClient = userAgent.includes('Mobile') || userAgent.includes('Android') || userAgent.includes('iOS');
+  const roleDetailData = user.roleDetails ? user.roleDetails[user.role] : null;
+
+  return {
+    accessToken,
+    ...(isMobileClient && { refreshToken }),
+    user: {
+      _id: user._id,
+      username: user.username,
+      email: maskEmail(user.email),
+      firstName: user.firstName || "",
+      lastName: user.lastName || "",
+      phone: maskPhone(user.phone) || "",
+      role: user.role,
+      isEmailVerified: user.isEmailVerified,
+      isPhoneVerified: user.isPhoneVerified,
+      isProfileCompleted: user.isProfileCompleted,
+      profilePicture: user.profilePicture?.url || null,
+      roleDetailsSummary: roleDetailData ? { /* ... */ } : null,
+    },
+  };
+};
@@ -363,7 +363,7 @@ export const getProductsByCategory = async (req, res, next) => {
     // Query products
     const query = {
       category: { $in: categoryIds },
-      status: "Published",
+      ...Product.publicFilter(),
     };
 
     // Get products
@@ -408,7 +408,7 @@ export const getAllProductsInCategory = async (req, res, next) => {
     // Query products
     const query = {
       category: category._id,
-      status: "Published",
+      ...Product.publicFilter(),
     };
 
     // Get products
@@ -1,4 +1,5 @@
 import Category from "../../models/category/category.model.js";
+import Product from "../../models/product/product.model.js";
 import { AppError } from "../../utils/logging/error.js";
 import logger from "../../utils/logging/logger.js";
 
@@ -212,7 +213,7 @@ export const getTrendingProductsInSubcategory = async (req, res, next) => {
     // Get trending products
     const products = await Product.find({
       category: subcategory._id,
-      status: 'Published'
+      ...Product.publicFilter()
     })
       .sort({ trendingScore: -1 })
       .limit(limit)
@@ -0,0 +1,323 @@
+import ForumService from '../../services/forum/forum.service.js';
+import { AppError } from '../../utils/logging/error.js';
+import { parseCursorParams } from '../../utils/data/cursorPagination.utils.js';
+import logger from '../../utils/logging/logger.js';
+
+const handleError = (error, next, fallbackMessage) => {
+  if (error instanceof AppError) {
+    return next(error);
+  }
+  logger.error(`${fallbackMessage}: ${error.message}`);
+  return next(new AppError(fallbackMessage, 500));
+};
+
+/**
+ * List forum categories
+ * @route GET /api/v1/forum/categories
+ */
+export const getCategories = async (req, res, next) => {
+  try {
+    const categories = await ForumService.listCategories();
+
+    return res.status(200).json({
+      status: 'success',
+      data: { categories }
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to fetch forum categories');
+  }
+};
+
+/**
+ * Create a forum category
+ * @route POST /api/v1/forum/categories
+ * @access Admin
+ */
+export const createCategory = async (req, res, next) => {
+  try {
+    const category = await ForumService.createCategory(req.user, req.body);
+
+    return res.status(201).json({
+      status: 'success',
+      data: { category }
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to create forum category');
+  }
+};
+
+/**
+ * Update a forum category
+ * @route PATCH /api/v1/forum/categories/:id
+ * @access Admin
+ */
+export const updateCategory = async (req, res, next) => {
+  try {
+    const category = await ForumService.updateCategory(req.params.id, req.body);
+
+    return res.status(200).json({
+      status: 'success',
+      data: { category }
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to update forum category');
+  }
+};
+
+/**
+ * List threads, filtered by category, tag or author
+ * @route GET /api/v1/forum/threads
+ */
+export const getThreads = async (req, res, next) => {
+  try {
+    const { category, tag, author, sort } = req.query;
+    const { threads, pagination } = await ForumService.listThreads(
+      { category, tag, author, sort },
+      parseCursorParams(req.query),
+      req.user?._id
+    );
+
+    return res.status(200).json({
+      status: 'success',
+      data: { threads },
+      pagination
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to fetch threads');
+  }
+};
+
+/**
+ * Most discussed threads of the past week
+ * @route GET /api/v1/forum/threads/trending
+ */
+export const getTrendingThreads = async (req, res, next) => {
+  try {
+    const threads = await ForumService.getTrendingThreads(req.query.limit);
+
+    return res.status(200).json({
+      status: 'success',
+      data: { threads }
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to fetch trending threads');
+  }
+};
+
+/**
+ * Most used thread tags
+ * @route GET /api/v1/forum/tags
+ */
+export const getPopularTags = async (req, res, next) => {
+  try {
+    const tags = await ForumService.getPopularTags(req.query.limit);
+
+    return res.status(200).json({
+      status: 'success',
+      data: { tags }
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to fetch forum tags');
+  }
+};
+
+/**
+ * Get a thread and count the view
+ * @route GET /api/v1/forum/threads/:id
+ */
+export const getThread = async (req, res, next) => {
+  try {
+    const thread = await ForumService.getThread(req.params.id, req.user?._id);
+    thread.views = {
+      count: await ForumService.recordView(thread, req.user?._id?.toString() || req.ip)
+    };
+
+    return res.status(200).json({
+      status: 'success',
+      data: { thread }
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to fetch thread');
+  }
+};
+
+/**
+ * Start a thread
+ * @route POST /api/v1/forum/threads
+ */
+export const createThread = async (req, res, next) => {
+  try {
+    const { title, body, category, tags } = req.body;
+    const thread = await ForumService.createThread(req.user, { title, body, category, tags });
+
+    return res.status(201).json({
+      status: 'success',
+      data: { thread }
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to create thread');
+  }
+};
+
+/**
+ * Edit a thread
+ * @route PATCH /api/v1/forum/threads/:id
+ */
+export const updateThread = async (req, res, next) => {
+  try {
+    const { title, body, category, tags } = req.body;
+    const thread = await ForumService.updateThread(req.params.id, req.user, { title, body, category, tags });
+
+    return res.status(200).json({
+      status: 'success',
+      data: { thread }
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to update thread');
+  }
+};
+
+/**
+ * Pin or lock a thread
+ * @route PATCH /api/v1/forum/threads/:id/moderation
+ * @access Admin
+ */
+export const moderateThread = async (req, res, next) => {
+  try {
+    const { isPinned, isLocked } = req.body;
+    const thread = await ForumService.moderateThread(req.params.id, { isPinned, isLocked });
+
+    return res.status(200).json({
+      status: 'success',
+      data: { thread }
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to update thread');
+  }
+};
+
+/**
+ * Delete a thread with its replies
+ * @route DELETE /api/v1/forum/threads/:id
+ */
+export const deleteThread = async (req, res, next) => {
+  try {
+    await ForumService.deleteThread(req.params.id, req.user);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Thread deleted'
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to delete thread');
+  }
+};
+
+/**
+ * Toggle the current user's upvote on a thread
+ * @route POST /api/v1/forum/threads/:id/upvote
+ */
+export const toggleThreadUpvote = async (req, res, next) => {
+  try {
+    const result = await ForumService.toggleThreadUpvote(req.params.id, req.user._id);
+
+    return res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to update upvote');
+  }
+};
+
+/**
+ * Replies of a thread
+ * @route GET /api/v1/forum/threads/:id/replies
+ */
+export const getReplies = async (req, res, next) => {
+  try {
+    const { replies, pagination } = await ForumService.listReplies(
+      req.params.id,
+      req.user?._id,
+      parseCursorParams(req.query)
+    );
+
+    return res.status(200).json({
+      status: 'success',
+      data: { replies },
+      pagination
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to fetch replies');
+  }
+};
+
+/**
+ * Reply to a thread or to one of its replies
+ * @route POST /api/v1/forum/threads/:id/replies
+ */
+export const addReply = async (req, res, next) => {
+  try {
+    const { body, parentId } = req.body;
+    const reply = await ForumService.addReply(req.user, req.params.id, { body, parentId });
+
+    return res.status(201).json({
+      status: 'success',
+      data: { reply }
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to add reply');
+  }
+};
+
+/**
+ * Edit a reply
+ * @route PATCH /api/v1/forum/replies/:replyId
+ */
+export const updateReply = async (req, res, next) => {
+  try {
+    const reply = await ForumService.updateReply(req.params.replyId, req.user, req.body.body);
+
+    return res.status(200).json({
+      status: 'success',
+      data: { reply }
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to update reply');
+  }
+};
+
+/**
+ * Delete a reply and the replies nested under it
+ * @route DELETE /api/v1/forum/replies/:replyId
+ */
+export const deleteReply = async (req, res, next) => {
+  try {
+    const deletedCount = await ForumService.deleteReply(req.params.replyId, req.user);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Reply deleted',
+      data: { deletedCount }
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to delete reply');
+  }
+};
+
+/**
+ * Toggle the current user's upvote on a reply
+ * @route POST /api/v1/forum/replies/:replyId/upvote
+ */
+export const toggleReplyUpvote = async (req, res, next) => {
+  try {
+    const result = await ForumService.toggleReplyUpvote(req.params.replyId, req.user._id);
+
+    return res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to update upvote');
+  }
+};
@@ -1,10 +1,20 @@
-import jwt from "jsonwebtoken";
+import crypto from "crypto";
 import Job from "../../models/job/job.model.js";
 import JobApplication from "../../models/job/jobApplication.model.js";
 import User from "../../models/user/user.model.js";
 import { AppError } from "../../utils/logging/error.js";
 import logger from "../../utils/logging/logger.js";
+import { paginate, parseCursorParams } from "../../utils/data/cursorPagination.utils.js";
 import { uploadToCloudinary, deleteFromCloudinary } from "../../utils/storage/cloudinary.utils.js";
+import JobLifecycleService from "../../services/job/jobLifecycle.service.js";
+import JobPipelineService from "../../services/job/jobPipeline.service.js";
+import JobScreeningService from "../../services/job/jobScreening.service.js";
+import JobAlertService from "../../services/job/jobAlert.service.js";
+import JobMatchService, { MATCH_FIELDS } from "../../services/job/jobMatch.service.js";
+import ResumeAccessService from "../../services/job/resumeAccess.service.js";
+
+// Knockout rules are left out of job queries unless asked for
+const WITH_KNOCKOUTS = "+screeningQuestions.knockout";
 
 // Create a new job posting
 export const createJob = async (req, res, next) => {
@@ -58,8 +68,15 @@ export const createJob = async (req, res, next) => {
       }
     }
 
+    if (jobData.screeningQuestions !== undefined) {
+      jobData.screeningQuestions = JobScreeningService.normalizeQuestions(jobData.screeningQuestions);
+    }
+
     const job = await Job.create(jobData);
 
+    // Matching runs in the background so posting isn't slowed down by it
+    JobAlertService.matchPublishedJob(job);
+
     res.status(201).json({
       status: "success",
       data: {
@@ -68,7 +85,7 @@ export const createJob = async (req, res, next) => {
     });
   } catch (error) {
     logger.error(`Error creating job: ${error.message}`);
-    next(new AppError(error.message, 400));
+    next(error instanceof AppError ? error : new AppError(error.message, 400));
   }
 };
 
@@ -84,11 +101,12 @@ export const getAllJobs = async (req, res, next) => {
     let queryStr = JSON.stringify(queryObj);
     queryStr = queryStr.replace(/\b(gte|gt|lte|lt)\b/g, (match) => `$${match}`);
 
-    // Only show published jobs by default
+    // Only show published jobs by default; report-hidden postings never show
     let filterObj = JSON.parse(queryStr);
     if (!filterObj.status) {
       filterObj.status = "Published";
     }
+    filterObj.hiddenByReports = { $ne: true };
 
     // Add expiration filter
     if (filterObj.status === "Published") {
@@ -195,17 +213,17 @@ export const getJob = async (req, res, next) => {
     let job;
     if (isObjectId) {
       logger.info(`Looking up job by ID: ${id}`);
-      job = await Job.findById(id).populate("posterData");
+      job = await Job.findById(id).select(WITH_KNOCKOUTS).populate("posterData");
     } else {
       logger.info(`Looking up job by slug: ${id}`);
-      job = await Job.findOne({ slug: id }).populate("posterData");
+      job = await Job.findOne({ slug: id }).select(WITH_KNOCKOUTS).populate("posterData");
 
       // If not found by exact slug, try case-insensitive search
       if (!job) {
         logger.info(`Job not found by exact slug, trying case-insensitive search`);
         job = await Job.findOne({
           slug: { $regex: new RegExp('^' + id + '$', 'i') }
-        }).populate("posterData");
+        }).select(WITH_KNOCKOUTS).populate("posterData");
       }
     }
 
@@ -216,14 +234,30 @@ export const getJob = async (req, res, next) => {
 
     logger.info(`Found job: ${job.title} (${job._id})`);
 
+    const canManage =
+      (req.user && job.poster.toString() === req.user._id.toString()) || req.user?.role === "admin";
+
+    // Postings hidden by user reports stay visible to their poster and admins only
+    if (job.hiddenByReports && !canManage) {
+      return next(new AppError("Job not found", 404));
+    }
+
     // Increment view count
     job.views += 1;
     await job.save({ validateBeforeSave: false });
 
+    // Candidates see the questions, not which answers knock them out
+    const jobData = job.toJSON();
+    // Postings that expired since the last scheduled run read as closed
+    jobData.status = job.getDisplayStatus();
+    if (!canManage) {
+      jobData.screeningQuestions = jobData.screeningQuestions?.map(({ knockout, ...question }) => question);
+    }
+
     res.status(200).json({
       status: "success",
       data: {
-        job,
+        job: jobData,
       },
     });
   } catch (error) {
@@ -340,11 +374,28 @@ export const updateJob = async (req, res, next) => {
       }
     }
 
+    if (updateData.screeningQuestions !== undefined) {
+      updateData.screeningQuestions = JobScreeningService.normalizeQuestions(updateData.screeningQuestions);
+    }
+
+    // Lifecycle fields are managed by JobLifecycleService
+    delete updateData.closedAt;
+    delete updateData.closeReason;
+    delete updateData.expiryReminderSentAt;
+    delete updateData.publishedAt;
+
     // Update job
     const updatedJob = await Job.findByIdAndUpdate(id, updateData, {
       new: true,
       runValidators: true,
-    });
+    }).select(WITH_KNOCKOUTS);
+
+    await JobLifecycleService.handleStatusChange(job.status, updatedJob);
+
+    // Applications are rescored against the new requirements when next ranked
+    if (MATCH_FIELDS.some((field) => updateData[field] !== undefined)) {
+      await JobMatchService.clearApplicationScores(job._id);
+    }
 
     res.status(200).json({
       status: "success",
@@ -354,7 +405,7 @@ export const updateJob = async (req, res, next) => {
     });
   } catch (error) {
     logger.error(`Error updating job: ${error.message}`);
-    next(new AppError(error.message, 400));
+    next(error instanceof AppError ? error : new AppError(error.message, 400));
   }
 };
 
@@ -404,14 +455,23 @@ export const applyForJob = async (req, res, next) => {
     }
 
     // Check if job exists and is published
-    const job = await Job.findOne({
-      _id: jobId,
-      status: "Published",
-      expiresAt: { $gt: new Date() },
-    });
+    const job = await Job.findById(jobId).select(WITH_KNOCKOUTS);
 
-    if (!job) {
-      return next(new AppError("Job not found or no longer accepting applications", 404));
+    if (!job || job.status === "Draft") {
+      return next(new AppError("Job not found", 404));
+    }
+
+    if (job.status === "Published" && job.expiresAt && job.expiresAt <= new Date()) {
+      await JobLifecycleService.closeJob(job._id, "expired");
+      return next(new AppError("This job is no longer accepting applications", 400));
+    }
+
+    if (job.status !== "Published") {
+      return next(new AppError("This job is no longer accepting applications", 400));
+    }
+
+    if (job.isPastDeadline()) {
+      return next(new AppError("The application deadline for this job has passed", 400));
     }
 
     // Check if user has already applied
@@ -449,6 +509,22 @@ export const applyForJob = async (req, res, next) => {
       formData = req.body;
     }
 
+    // Answers arrive as a JSON string when sent alongside a file
+    let submittedAnswers = formData.answers || [];
+    if (typeof submittedAnswers === "string") {
+      try {
+        submittedAnswers = JSON.parse(submittedAnswers);
+      } catch (parseError) {
+        return next(new AppError("Invalid screening answers format", 400));
+      }
+    }
+
+    // Check answers before uploading anything
+    const { answers, knockoutQuestions } = JobScreeningService.evaluateAnswers(
+      job.screeningQuestions,
+      submittedAnswers
+    );
+
     let applicationData;
     try {
       logger.info(`Processing resume upload for job application by user ${userId}`);
@@ -491,14 +567,32 @@ export const applyForJob = async (req, res, next) => {
           fileSize: resumeFile.size
         },
         coverLetter: formData.coverLetter || "",
-        answers: formData.answers || [],
+        answers,
       };
+
+      // Knockout answers reject the application straight away
+      if (knockoutQuestions.length > 0) {
+        applicationData.status = "Rejected";
+        applicationData.screening = { knockedOut: true, knockoutQuestions };
+        applicationData.stageHistory = [{
+          from: "Pending",
+          to: "Rejected",
+          message: "This application didn't meet the job's screening requirements.",
+        }];
+        logger.info(`Application by user ${userId} to job ${jobId} knocked out by screening`);
+      }
     } catch (uploadError) {
       logger.error(`Error uploading resume: ${uploadError.message}`);
       return next(new AppError(`Failed to upload resume: ${uploadError.message}`, 500));
     }
 
-    const application = await JobApplication.create(applicationData);
+    applicationData.match = await JobMatchService.scoreApplicant(userId, job);
+
+    const application = (await JobApplication.create(applicationData)).toObject();
+
+    // Applicants get the file back through a signed download link too
+    delete application.resume.url;
+    delete application.resume.publicId;
 
     res.status(201).json({
       status: "success",
@@ -508,7 +602,7 @@ export const applyForJob = async (req, res, next) => {
     });
   } catch (error) {
     logger.error(`Error applying for job: ${error.message}`);
-    next(new AppError(error.message, 400));
+    next(error instanceof AppError ? error : new AppError(error.message, 400));
   }
 };
 
@@ -529,24 +623,57 @@ export const getJobApplications = async (req, res, next) => {
       return next(new AppError("You don't have permission to view these applications", 403));
     }
 
+    // Filter by screening answers, e.g. ?answers[<questionId>]=Yes
+    const filter = { job: job._id };
+    const answerFilters = JobScreeningService.buildAnswerFilters(job.screeningQuestions, req.query.answers);
+    if (answerFilters.length > 0) {
+      filter.$and = answerFilters;
+    }
+
+    // ?sort=match ranks candidates by how well their profile fits the job
+    const byMatch = req.query.sort === "match";
+    if (byMatch) {
+      await JobMatchService.scoreApplications(job);
+    }
+
+    // Cursors are only valid for the answer filters they were issued with
+    const answersHash = crypto
+      .createHash("sha1")
+      .update(JSON.stringify(answerFilters.map((answerFilter) => JSON.stringify(answerFilter)).sort()))
+      .digest("base64url")
+      .slice(0, 16);
+
     // Get applications
-    const applications = await JobApplication.find({ job: jobId })
-      .populate({
-        path: "applicant",
-        select: "firstName lastName email profilePicture",
-      })
-      .sort("-createdAt");
+    const { cursor, limit, page, withTotal } = parseCursorParams(req.query);
+    const { items: applications, pageInfo } = await paginate(
+      JobApplication,
+      filter,
+      {
+        scope: `job-applications:${job._id}:${byMatch ? "match" : "recent"}:${answersHash}`,
+        sort: byMatch ? "-match.score -createdAt" : "-createdAt",
+        limit,
+        cursor,
+        page,
+        withTotal,
+        populate: {
+          path: "applicant",
+          select: "firstName lastName email profilePicture",
+        },
+        lean: false,
+      }
+    );
 
     res.status(200).json({
       status: "success",
       results: applications.length,
+      pagination: pageInfo,
       data: {
         applications,
       },
     });
   } catch (error) {
     logger.error(`Error getting job applications: ${error.message}`);
-    next(new AppError(error.message, 400));
+    next(error instanceof AppError ? error : new AppError(error.message, 400));
   }
 };
 
@@ -554,11 +681,11 @@ export const getJobApplications = async (req, res, next) => {
 export const updateApplicationStatus = async (req, res, next) => {
   try {
     const { applicationId } = req.params;
-    const { status, notes, rating } = req.body;
+    const { status, message, notes, rating } = req.body;
     const userId = req.user._id;
 
     // Find the application
-    const application = await JobApplication.findById(applicationId);
+    let application = await JobApplication.findById(applicationId);
     if (!application) {
       return next(new AppError("Application not found", 404));
     }
@@ -574,22 +701,112 @@ export const updateApplicationStatus = async (req, res, next) => {
       return next(new AppError("You don't have permission to update this application", 403));
     }
 
-    // Update application
-    const updatedApplication = await JobApplication.findByIdAndUpdate(
-      applicationId,
-      { status, notes, rating },
-      { new: true, runValidators: true }
-    );
+    // Stage moves go through the pipeline so they're logged and the candidate is told
+    if (status && status !== application.status) {
+      application = await JobPipelineService.moveApplication(application, job, {
+        to: status,
+        message,
+        movedBy: userId,
+      });
+    }
+
+    if (notes !== undefined || rating !== undefined) {
+      application = await JobApplication.findByIdAndUpdate(
+        applicationId,
+        { ...(notes !== undefined && { notes }), ...(rating !== undefined && { rating }) },
+        { new: true, runValidators: true }
+      );
+    }
 
     res.status(200).json({
       status: "success",
       data: {
-        application: updatedApplication,
+        application,
       },
     });
   } catch (error) {
     logger.error(`Error updating application status: ${error.message}`);
-    next(new AppError(error.message, 400));
+    next(error instanceof AppError ? error : new AppError(error.message, 400));
+  }
+};
+
+// Get a job's applications grouped by pipeline stage (for job poster)
+export const getJobPipeline = async (req, res, next) => {
+  try {
+    const job = await Job.findById(req.params.jobId);
+    if (!job) {
+      return next(new AppError("Job not found", 404));
+    }
+
+    // Check if user is the poster or an admin
+    if (!job.poster.equals(req.user._id) && req.user.role !== "admin") {
+      return next(new AppError("You don't have permission to view these applications", 403));
+    }
+
+    const sort = req.query.sort === "match" ? "match" : "recent";
+    if (sort === "match") {
+      await JobMatchService.scoreApplications(job);
+    }
+
+    const pipeline = await JobPipelineService.getPipeline(job, {
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 100),
+      sort,
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        job: { _id: job._id, title: job.title, slug: job.slug, status: job.status, company: job.company },
+        ...pipeline,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error getting job pipeline: ${error.message}`);
+    next(error instanceof AppError ? error : new AppError(error.message, 400));
+  }
+};
+
+// Get how well the current user's profile matches a job
+export const getJobMatch = async (req, res, next) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job || job.status === "Draft") {
+      return next(new AppError("Job not found", 404));
+    }
+
+    const match = await JobMatchService.getMatch(req.user._id, job);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        profileComplete: match !== null,
+        match,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error getting job match: ${error.message}`);
+    next(error instanceof AppError ? error : new AppError(error.message, 400));
+  }
+};
+
+// Get open jobs that best match the current user's profile
+export const getRecommendedJobs = async (req, res, next) => {
+  try {
+    const { profileComplete, jobs } = await JobMatchService.recommendJobs(req.user._id, {
+      limit: parseInt(req.query.limit, 10) || 10,
+    });
+
+    res.status(200).json({
+      status: "success",
+      results: jobs.length,
+      data: {
+        profileComplete,
+        jobs,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error getting recommended jobs: ${error.message}`);
+    next(error instanceof AppError ? error : new AppError(error.message, 400));
   }
 };
 
@@ -684,7 +901,8 @@ export const getJobApplication = async (req, res, next) => {
       .populate({
         path: "job",
         select: "title company status slug location locationType jobType experienceLevel salary deadline poster",
-      });
+      })
+      .populate("stageHistory.movedBy", "firstName lastName username");
 
     if (!application) {
       return next(new AppError("Application not found", 404));
@@ -716,42 +934,13 @@ export const downloadApplicationResume = async (req, res, next) => {
   try {
     const { applicationId } = req.params;
 
-    // Get user ID from req.user or from token in query parameter
-    let userId;
-    if (req.user) {
-      userId = req.user._id;
-    } else if (req.query.token) {
-      try {
-        // Verify the token from query parameter
-        const decoded = jwt.verify(req.query.token, process.env.JWT_ACCESS_SECRET);
-        userId = decoded.id;
-      } catch (tokenError) {
-        logger.error(`Invalid token in resume download: ${tokenError.message}`);
-        return next(new AppError("Invalid or expired token", 401));
-      }
-    } else {
-      return next(new AppError("Authentication required", 401));
+    // Only signed download links are accepted here, never access tokens
+    if (!req.query.token) {
+      return next(new AppError("A download link is required", 401));
     }
 
-    // Find the application
-    const application = await JobApplication.findById(applicationId);
-
-    if (!application) {
-      return next(new AppError("Application not found", 404));
-    }
-
-    // Check if user is the applicant, job poster, or an admin
-    const isApplicant = application.applicant.equals(userId);
-    const job = await Job.findById(application.job);
-    const isJobPoster = job && job.poster.equals(userId);
-
-    // Get user to check role
-    const user = await User.findById(userId);
-    const isAdmin = user && user.role === "admin";
-
-    if (!isApplicant && !isJobPoster && !isAdmin) {
-      return next(new AppError("You don't have permission to download this resume", 403));
-    }
+    const access = await ResumeAccessService.verifyDownloadToken(applicationId, req.query.token);
+    const { application } = access;
 
     // Check if resume exists
     if (!application.resume || !application.resume.url) {
@@ -852,7 +1041,13 @@ export const downloadApplicationResume = async (req, res, next) => {
         resumeFileType = 'application/pdf';
       }
 
+      if (fetchSuccessful) {
+        await ResumeAccessService.recordDownload(access, req);
+      }
+
       // Set appropriate headers
+      res.setHeader('Cache-Control', 'no-store');
+      res.setHeader('Referrer-Policy', 'no-referrer');
       res.setHeader('Content-Disposition', `attachment; filename="${resumeName}"`);
       res.setHeader('Content-Type', resumeFileType);
       res.setHeader('Content-Length', fileBuffer.byteLength);
@@ -876,7 +1071,45 @@ export const downloadApplicationResume = async (req, res, next) => {
     }
   } catch (error) {
     logger.error(`Error downloading application resume: ${error.message}`);
-    next(new AppError(error.message, 400));
+    next(error instanceof AppError ? error : new AppError(error.message, 400));
+  }
+};
+
+// Create a short-lived resume download link for the current user
+export const createResumeDownloadLink = async (req, res, next) => {
+  try {
+    const link = await ResumeAccessService.createDownloadLink(req.params.applicationId, req.user);
+
+    res.status(201).json({
+      status: "success",
+      data: link,
+    });
+  } catch (error) {
+    logger.error(`Error creating resume download link: ${error.message}`);
+    next(error instanceof AppError ? error : new AppError(error.message, 400));
+  }
+};
+
+// Get who downloaded an application's resume (for the applicant)
+export const getResumeDownloads = async (req, res, next) => {
+  try {
+    const { items: downloads, pageInfo } = await ResumeAccessService.listDownloads(
+      req.params.applicationId,
+      req.user,
+      parseCursorParams(req.query)
+    );
+
+    res.status(200).json({
+      status: "success",
+      results: downloads.length,
+      pagination: pageInfo,
+      data: {
+        downloads,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error getting resume downloads: ${error.message}`);
+    next(error instanceof AppError ? error : new AppError(error.message, 400));
   }
 };
 
@@ -904,6 +1137,7 @@ export const withdrawJobApplication = async (req, res, next) => {
     }
 
     // Update application status to Withdrawn
+    application.stageHistory.push({ from: application.status, to: 'Withdrawn', movedBy: userId });
     application.status = 'Withdrawn';
     await application.save();
 
@@ -930,9 +1164,10 @@ export const getUserPostedJobs = async (req, res, next) => {
     // Build base query - always filter by poster
     const query = { poster: userId };
 
-    // Add status filter if provided
+    // Add status filter if provided. Expired postings count as closed even
+    // before the scheduled run closes them; $and keeps it apart from search's $or
     if (req.query.status) {
-      query.status = req.query.status;
+      query.$and = [Job.displayStatusFilter(req.query.status)];
     }
 
     // Add job type filter if provided
@@ -1005,11 +1240,14 @@ export const getUserPostedJobs = async (req, res, next) => {
     // Calculate total pages
     const totalPages = Math.ceil(totalJobs / limit);
 
+    const now = new Date();
+    const jobsData = jobs.map((job) => ({ ...job.toJSON(), status: job.getDisplayStatus(now) }));
+
     res.status(200).json({
       status: "success",
       results: jobs.length,
       data: {
-        jobs,
+        jobs: jobsData,
         pagination: {
           page,
           pages: totalPages,
@@ -1023,3 +1261,50 @@ export const getUserPostedJobs = async (req, res, next) => {
     next(new AppError(error.message, 400));
   }
 };
+
+// Extend a job posting by 30 days (for job poster)
+export const extendJob = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const job = await Job.findById(id);
+    if (!job) {
+      return next(new AppError("Job not found", 404));
+    }
+
+    // Check if user is the poster or an admin
+    if (!job.poster.equals(userId) && req.user.role !== "admin") {
+      return next(new AppError("You don't have permission to extend this job", 403));
+    }
+
+    const extendedJob = await JobLifecycleService.extendJob(job);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        job: extendedJob,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error extending job: ${error.message}`);
+    next(error instanceof AppError ? error : new AppError(error.message, 400));
+  }
+};
+
+// Extend a job posting from the one-click link in the expiry reminder email
+export const extendJobFromEmail = async (req, res) => {
+  const { id } = req.params;
+  const { token } = req.query;
+
+  try {
+    const job = await JobLifecycleService.extendWithToken(id, token);
+
+    res.redirect(`${process.env.CLIENT_URL}/jobs/${job.slug}?extended=true`);
+  } catch (error) {
+    logger.error(`Error extending job from email link: ${error.message}`);
+    res.redirect(
+      `${process.env.CLIENT_URL}/user/myjobs?extendError=${encodeURIComponent(error.message)}`
+    );
+  }
+};
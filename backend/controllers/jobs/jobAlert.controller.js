@@ -0,0 +1,70 @@
+import JobAlertService from "../../services/job/jobAlert.service.js";
+import { AppError } from "../../utils/logging/error.js";
+import logger from "../../utils/logging/logger.js";
+
+// Get the current user's job alerts
+export const getJobAlerts = async (req, res, next) => {
+  try {
+    const alerts = await JobAlertService.listAlerts(req.user._id);
+
+    res.status(200).json({
+      status: "success",
+      results: alerts.length,
+      data: {
+        alerts,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error getting job alerts: ${error.message}`);
+    next(error instanceof AppError ? error : new AppError(error.message, 400));
+  }
+};
+
+// Save a job search as an alert
+export const createJobAlert = async (req, res, next) => {
+  try {
+    const alert = await JobAlertService.createAlert(req.user._id, req.body);
+
+    res.status(201).json({
+      status: "success",
+      data: {
+        alert,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error creating job alert: ${error.message}`);
+    next(error instanceof AppError ? error : new AppError(error.message, 400));
+  }
+};
+
+// Update an alert's criteria or settings, including pausing and resuming it
+export const updateJobAlert = async (req, res, next) => {
+  try {
+    const alert = await JobAlertService.updateAlert(req.params.alertId, req.user._id, req.body);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        alert,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error updating job alert: ${error.message}`);
+    next(error instanceof AppError ? error : new AppError(error.message, 400));
+  }
+};
+
+// Delete a job alert
+export const deleteJobAlert = async (req, res, next) => {
+  try {
+    await JobAlertService.deleteAlert(req.params.alertId, req.user._id);
+
+    res.status(204).json({
+      status: "success",
+      data: null,
+    });
+  } catch (error) {
+    logger.error(`Error deleting job alert: ${error.message}`);
+    next(error instanceof AppError ? error : new AppError(error.message, 400));
+  }
+};
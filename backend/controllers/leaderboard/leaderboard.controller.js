@@ -0,0 +1,34 @@
+import LeaderboardService from '../../services/leaderboard/leaderboard.service.js';
+import { AppError } from '../../utils/logging/error.js';
+import logger from '../../utils/logging/logger.js';
+
+const handleError = (error, next, fallbackMessage) => {
+  if (error instanceof AppError) {
+    return next(error);
+  }
+  logger.error(`${fallbackMessage}: ${error.message}`);
+  return next(new AppError(fallbackMessage, 500));
+};
+
+/**
+ * Launch leaderboard for a day, week or month. `date` is any day in the
+ * period (YYYY-MM-DD), a month (YYYY-MM) or "today"; `?tz=` picks the time
+ * zone the calendar is read in.
+ * @route GET /api/v1/leaderboard/:period/:date
+ */
+export const getLeaderboard = async (req, res, next) => {
+  try {
+    const { period, date } = req.params;
+    const leaderboard = await LeaderboardService.getLeaderboard(period, date, {
+      timeZone: req.query.tz || undefined,
+      limit: req.query.limit
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      data: leaderboard
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to fetch leaderboard');
+  }
+};
@@ -0,0 +1,169 @@
+import MessageService from '../../services/message/message.service.js';
+import { AppError } from '../../utils/logging/error.js';
+import { parseCursorParams } from '../../utils/data/cursorPagination.utils.js';
+import logger from '../../utils/logging/logger.js';
+
+const handleError = (error, next, fallbackMessage) => {
+  if (error instanceof AppError) {
+    return next(error);
+  }
+  logger.error(`${fallbackMessage}: ${error.message}`);
+  return next(new AppError(fallbackMessage, 500));
+};
+
+/**
+ * List the current user's conversations
+ * @route GET /api/v1/messages/conversations
+ */
+export const getConversations = async (req, res, next) => {
+  try {
+    const { conversations, pagination } = await MessageService.listConversations(
+      req.user._id,
+      parseCursorParams(req.query)
+    );
+
+    return res.status(200).json({
+      status: 'success',
+      data: { conversations },
+      pagination
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to fetch conversations');
+  }
+};
+
+/**
+ * Open the conversation with a user, optionally sending a first message
+ * @route POST /api/v1/messages/conversations
+ */
+export const startConversation = async (req, res, next) => {
+  try {
+    const { recipientId, content } = req.body;
+    const { conversation, created } = await MessageService.getOrCreateConversation(req.user, recipientId);
+
+    const message = content
+      ? await MessageService.sendMessage(req.user, conversation._id, content)
+      : null;
+
+    return res.status(created ? 201 : 200).json({
+      status: 'success',
+      data: { conversationId: conversation._id, message }
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to start conversation');
+  }
+};
+
+/**
+ * Messages of a conversation, newest first
+ * @route GET /api/v1/messages/conversations/:id
+ */
+export const getMessages = async (req, res, next) => {
+  try {
+    const { conversation, messages, pagination } = await MessageService.listMessages(
+      req.params.id,
+      req.user,
+      parseCursorParams(req.query, { defaultLimit: 30 })
+    );
+
+    return res.status(200).json({
+      status: 'success',
+      data: { conversation, messages },
+      pagination
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to fetch messages');
+  }
+};
+
+/**
+ * Send a message in a conversation
+ * @route POST /api/v1/messages/conversations/:id
+ */
+export const sendMessage = async (req, res, next) => {
+  try {
+    const message = await MessageService.sendMessage(req.user, req.params.id, req.body.content);
+
+    return res.status(201).json({
+      status: 'success',
+      data: { message }
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to send message');
+  }
+};
+
+/**
+ * Mark a conversation as read
+ * @route PUT /api/v1/messages/conversations/:id/read
+ */
+export const markConversationRead = async (req, res, next) => {
+  try {
+    const readAt = await MessageService.markRead(req.params.id, req.user._id);
+
+    return res.status(200).json({
+      status: 'success',
+      data: { readAt }
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to mark conversation as read');
+  }
+};
+
+/**
+ * Report a conversation or one of its messages
+ * @route POST /api/v1/messages/conversations/:id/report
+ */
+export const reportConversation = async (req, res, next) => {
+  try {
+    const { reason, details, messageId, block } = req.body;
+    const { report, blocked } = await MessageService.report(req.user, req.params.id, {
+      reason,
+      details,
+      messageId,
+      block: block === true
+    });
+
+    return res.status(201).json({
+      status: 'success',
+      message: blocked ? 'Report submitted and user blocked' : 'Report submitted',
+      data: { reportId: report._id, blocked }
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to submit report');
+  }
+};
+
+/**
+ * Total unread messages of the current user
+ * @route GET /api/v1/messages/unread-count
+ */
+export const getUnreadCount = async (req, res, next) => {
+  try {
+    const unreadCount = await MessageService.getUnreadCount(req.user._id);
+
+    return res.status(200).json({
+      status: 'success',
+      data: { unreadCount }
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to fetch unread count');
+  }
+};
+
+/**
+ * Whether the current user may message a user
+ * @route GET /api/v1/messages/status/:userId
+ */
+export const getMessagingStatus = async (req, res, next) => {
+  try {
+    const status = await MessageService.getMessagingStatus(req.user, req.params.userId);
+
+    return res.status(200).json({
+      status: 'success',
+      data: status
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to check messaging permissions');
+  }
+};
@@ -1,11 +1,23 @@
 import Notification from '../../models/notification/notification.model.js';
+import User from '../../models/user/user.model.js';
 import { AppError } from '../../utils/logging/error.js';
 import logger from '../../utils/logging/logger.js';
+import { paginate, parseCursorParams } from '../../utils/data/cursorPagination.utils.js';
+import { verifyUnsubscribeToken } from '../../utils/communication/mail.utils.js';
+import JobAlertService from '../../services/job/jobAlert.service.js';
+
+const EMAIL_PREFERENCE_KEYS = [
+  'productUpdates',
+  'newFollowers',
+  'comments',
+  'mentions',
+  'upvotes',
+  'newsletter'
+];
 
 export const getUserNotifications = async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
+    const { cursor, limit, page, withTotal } = parseCursorParams(req.query);
     const unreadOnly = req.query.unread === 'true';
     
     const query = { user: req.user._id };
@@ -13,30 +25,38 @@ export const getUserNotifications = async (req, res, next) => {
       query.isRead = false;
     }
     
-    const notifications = await Notification.find(query)
-      .sort({ createdAt: -1 })
-      .skip((page - 1) * limit)
-      .limit(limit);
-      
-    const total = await Notification.countDocuments(query);
-    const unreadCount = await Notification.countDocuments({ 
-      user: req.user._id,
-      isRead: false
-    });
+    // Grouped notifications are ordered by their latest activity so a group
+    // that received new upvotes moves back to the top of the list. A group
+    // updated while the client is scrolling shows up on its next refresh.
+    const [{ items: notifications, pageInfo }, unreadCount] = await Promise.all([
+      paginate(Notification, query, {
+        scope: `notifications:${req.user._id}:${unreadOnly ? 'unread' : 'all'}`,
+        sort: { lastActivityAt: -1, createdAt: -1 },
+        limit,
+        cursor,
+        page,
+        withTotal,
+        populate: { path: 'actors', select: 'firstName lastName username profilePicture' },
+        lean: false
+      }),
+      Notification.countDocuments({
+        user: req.user._id,
+        isRead: false
+      })
+    ]);
     
     res.status(200).json({
       success: true,
       data: notifications,
       pagination: {
+        ...pageInfo,
         page,
-        pages: Math.ceil(total / limit),
-        total,
         unreadCount
       }
     });
   } catch (error) {
     logger.error('Failed to get user notifications:', error);
-    next(new AppError('Failed to fetch notifications', 500));
+    next(error instanceof AppError ? error : new AppError('Failed to fetch notifications', 500));
   }
 };
 
@@ -102,4 +122,103 @@ export const deleteNotification = async (req, res, next) => {
     logger.error('Failed to delete notification:', error);
     next(new AppError('Failed to delete notification', 500));
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Landing point for the unsubscribe link in emails. Nothing changes here:
+ * link scanners and prefetchers follow GET links, so the user confirms on
+ * the client's unsubscribe page, which POSTs the token.
+ * @route GET /api/v1/notifications/unsubscribe?token=...
+ * @access Public
+ */
+export const confirmUnsubscribe = (req, res, next) => {
+  const token = req.query.token || '';
+
+  if (process.env.CLIENT_URL) {
+    return res.redirect(`${process.env.CLIENT_URL}/unsubscribe?token=${encodeURIComponent(token)}`);
+  }
+
+  const decoded = verifyUnsubscribeToken(token);
+  if (!decoded) {
+    return next(new AppError('Invalid or tampered unsubscribe link', 400));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'POST this token to the same URL to unsubscribe',
+    data: { type: decoded.type }
+  });
+};
+
+/**
+ * Unsubscribe from emails using a signed link
+ * The token type is "all", "digest", a single emailNotifications key or
+ * "job-alert-<alertId>" for one job alert's emails.
+ * Called by the client's confirmation page and by List-Unsubscribe one-click.
+ * @route POST /api/v1/notifications/unsubscribe?token=...
+ * @access Public
+ */
+export const unsubscribe = async (req, res, next) => {
+  try {
+    const token = req.query.token || req.body?.token;
+    const decoded = verifyUnsubscribeToken(token);
+
+    if (!decoded) {
+      return next(new AppError('Invalid or tampered unsubscribe link', 400));
+    }
+
+    const { email, type } = decoded;
+
+    // A single job alert's emails: "job-alert-<alertId>"
+    if (type.startsWith('job-alert-')) {
+      const user = await User.findOne({ email: email.toLowerCase() }).select('_id');
+      if (!user || !(await JobAlertService.disableEmails(user._id, type.slice('job-alert-'.length)))) {
+        return next(new AppError('Job alert not found', 404));
+      }
+
+      logger.info(`User ${user._id} turned off emails for ${type}`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Emails for this job alert have been turned off',
+        data: { type }
+      });
+    }
+
+    const update = {};
+
+    if (type === 'all') {
+      EMAIL_PREFERENCE_KEYS.forEach((key) => {
+        update[`notificationPreferences.emailNotifications.${key}`] = false;
+      });
+      update['notificationPreferences.emailNotifications.digestFrequency'] = 'never';
+    } else if (type === 'digest') {
+      update['notificationPreferences.emailNotifications.digestFrequency'] = 'never';
+    } else if (EMAIL_PREFERENCE_KEYS.includes(type)) {
+      update[`notificationPreferences.emailNotifications.${type}`] = false;
+    } else {
+      return next(new AppError('Unknown unsubscribe type', 400));
+    }
+
+    const user = await User.findOneAndUpdate(
+      { email: email.toLowerCase() },
+      { $set: update },
+      { new: true }
+    ).select('_id');
+
+    if (!user) {
+      return next(new AppError('Subscriber not found', 404));
+    }
+
+    logger.info(`User ${user._id} unsubscribed from "${type}" emails`);
+
+    res.status(200).json({
+      success: true,
+      message: 'You have been unsubscribed successfully',
+      data: { type }
+    });
+  } catch (error) {
+    logger.error('Failed to process unsubscribe request:', error);
+    next(new AppError('Failed to unsubscribe', 500));
+  }
+};
@@ -1,9 +1,10 @@
 // file: backend/Controllers/products/product.controller.js
-import Product from "../../models/product/product.model.js";
+import Product, { MODERATION_VISIBLE_FILTER } from "../../models/product/product.model.js";
 import User from "../../models/user/user.model.js";
 import Category from "../../models/category/category.model.js";
 import { AppError } from "../../utils/logging/error.js";
 import logger from "../../utils/logging/logger.js";
+import { paginate, parseCursorParams } from "../../utils/data/cursorPagination.utils.js";
 import { uploadToCloudinary, deleteFromCloudinary } from "../../utils/storage/cloudinary.utils.js";
 import { generateUniqueSlug } from "../../utils/formatting/slugGenerator.js";
 import slugify from "slugify";
@@ -13,6 +14,11 @@ import { getLinkPreview } from "link-preview-js";
 import cache from "../../utils/cache/cache.js";
 import recommendationCacheService from "../../services/recommendation/recommendationCache.service.js";
 import UserContextService from "../../services/recommendation/userContext.service.js";
+import NotificationService from "../../services/notification/notification.service.js";
+import ProductModerationService from "../../services/product/productModeration.service.js";
+import ProductLaunchService from "../../services/product/productLaunch.service.js";
+import ProductRevisionService from "../../services/product/productRevision.service.js";
+import FollowService from "../../services/user/follow.service.js";
 
 // --- Enhanced Helper Functions ---
 
@@ -349,6 +355,11 @@ export const createProduct = async (req, res, next) => {
     const productName = (req.body.name || urlData?.title || "").trim();
     const slug = await generateUniqueSlug(productName);
 
+    // A scheduled launch (checked by validateScheduledLaunch) is saved as a Draft
+    // and published by ProductLaunchService when the time comes
+    const scheduledLaunchAt = req.body.scheduledLaunchAt ? new Date(req.body.scheduledLaunchAt) : null;
+    const isDraft = Boolean(scheduledLaunchAt) || req.body.status === "Draft";
+
     // Create Product Data Object
     const productData = {
       name: productName,
@@ -360,8 +371,9 @@ export const createProduct = async (req, res, next) => {
       category: categoryId,
       categoryName,
       maker: user._id,
-      status: "Published",
-      launchedAt: new Date(),
+      status: isDraft ? "Draft" : "Published",
+      launchedAt: isDraft ? undefined : new Date(),
+      scheduledLaunchAt,
       tags,
       links,
       pricing,
@@ -381,14 +393,16 @@ export const createProduct = async (req, res, next) => {
     const product = await Product.create(productData);
 
     // Post-Creation Actions
-    try {
-      await user.addActivity("Launched", {
-        description: `Launched product: ${product.name}`,
-        reference: product._id,
-        referenceModel: "Product"
-      });
-    } catch (activityError) {
-      logger.warn(`Failed log launch activity user ${user._id}: ${activityError.message}`);
+    if (!isDraft) {
+      try {
+        await user.addActivity("Launched", {
+          description: `Launched product: ${product.name}`,
+          reference: product._id,
+          referenceModel: "Product"
+        });
+      } catch (activityError) {
+        logger.warn(`Failed log launch activity user ${user._id}: ${activityError.message}`);
+      }
     }
 
     // Invalidate caches
@@ -399,7 +413,9 @@ export const createProduct = async (req, res, next) => {
     res.status(201).json({
       success: true,
       data: product,
-      message: "Product created successfully"
+      message: scheduledLaunchAt
+        ? "Product scheduled for launch"
+        : isDraft ? "Product saved as draft" : "Product created successfully"
     });
 
   } catch (error) {
@@ -453,6 +469,7 @@ export const updateProduct = async (req, res, next) => {
     const product = req.product; // From middleware
     const oldSlug = product.slug;
     let slugChanged = false;
+    const revisionBase = ProductRevisionService.snapshot(product);
 
     // --- Thumbnail Update ---
     if (req.file) {
@@ -538,6 +555,19 @@ export const updateProduct = async (req, res, next) => {
       }
     }
 
+    // Scheduled launch update; an empty value clears the schedule
+    if (req.body.scheduledLaunchAt !== undefined) {
+      const nextStatus = updates.status || product.status;
+      if (req.body.scheduledLaunchAt && nextStatus !== "Draft")
+        throw new AppError("Only draft products can be scheduled", 400);
+
+      updates.scheduledLaunchAt = req.body.scheduledLaunchAt ? new Date(req.body.scheduledLaunchAt) : null;
+    }
+
+    // Launching a scheduled draft early still tells the people waiting for it
+    const launchesEarly =
+      updates.status === "Published" && product.status === "Draft" && Boolean(product.scheduledLaunchAt);
+
     // Category update
     if (req.body.category || req.body.categoryName) {
       const { categoryId, categoryName } = await processCategory(
@@ -556,9 +586,25 @@ export const updateProduct = async (req, res, next) => {
     Object.assign(product, updates);
     await product.save();
 
+    // A rejected product goes back into the moderation queue once its maker changes it
+    if (product.maker.toString() === req.user._id.toString()) {
+      await ProductModerationService.resubmit(product, req.user._id);
+    }
+
+    try {
+      await ProductRevisionService.record(product, revisionBase, req.user._id);
+    } catch (revisionError) {
+      logger.warn(`Failed to record revision for product ${product._id}: ${revisionError.message}`);
+    }
+
     // Invalidate Caches
     await updateProductCaches(product, slugChanged, oldSlug);
 
+    if (launchesEarly) {
+      ProductLaunchService.announce(product)
+        .catch(e => logger.warn(`Failed to announce launch of ${product._id}: ${e.message}`));
+    }
+
     // Update recommendation data when product is significantly changed
     if (req.body.tags || req.body.category || slugChanged) {
       try {
@@ -719,7 +765,7 @@ export const getRecentProducts = async (req, res, next) => {
 
     // Query for products created within the specified time period
     const query = {
-      status: "Published",
+      ...Product.publicFilter(),
       createdAt: { $gte: dateThreshold }
     };
 
@@ -763,28 +809,75 @@ export const getRecentProducts = async (req, res, next) => {
   }
 };
 
+/**
+ * Get scheduled launches that haven't gone live yet, soonest first
+ * @route GET /api/products/upcoming
+ */
+export const getUpcomingLaunches = async (req, res, next) => {
+  try {
+    const { cursor, limit, page, withTotal } = parseCursorParams(req.query, { maxLimit: 50 });
+
+    const { items: products, pageInfo } = await paginate(
+      Product,
+      {
+        status: "Draft",
+        scheduledLaunchAt: { $gt: new Date() },
+        ...MODERATION_VISIBLE_FILTER,
+      },
+      {
+        scope: "products:upcoming",
+        sort: "scheduledLaunchAt",
+        limit,
+        cursor,
+        page,
+        withTotal,
+        select: "name slug tagline thumbnail category categoryName maker scheduledLaunchAt",
+        populate: [
+          { path: "maker", select: "firstName lastName fullName username profilePicture" },
+          { path: "category", select: "name slug" },
+        ],
+      }
+    );
+
+    // Clients run countdowns against the Date response header rather than
+    // the device clock; it is set per response, so the cached body can't stale it
+    res.status(200).json({
+      success: true,
+      results: products.length,
+      pagination: pageInfo,
+      data: products,
+    });
+  } catch (error) {
+    logger.error("Failed to fetch upcoming launches:", error);
+    next(error instanceof AppError ? error : new AppError("Failed to fetch upcoming launches", 500));
+  }
+};
+
 /**
  * Get all products with filtering, sorting and pagination
  * @route GET /api/products
  */
 export const getAllProducts = async (req, res, next) => {
   try {
-    const { dbQuery, pagination, sortOptions } = req; // From prepareProductQuery middleware
-    const { limit, skip, page } = pagination;
+    const { productQuery, productOptions } = req; // From prepareProductQuery middleware
+    const { sort, limit, cursor, page, withTotal } = productOptions;
 
-    // Execute query and count in parallel for better performance
-    const [products, totalCount] = await Promise.all([
-      Product.find(dbQuery)
-        .sort(sortOptions)
-        .skip(skip)
-        .limit(limit)
-        .populate("maker", "firstName lastName fullName profilePicture")
-        .populate("category", "name slug")
-        .populate(['upvotes', 'bookmarkCount']) // Populate virtual fields
-        .select("-__v -moderation -gallery")
-        .lean({ virtuals: true }),
-      Product.countDocuments(dbQuery)
-    ]);
+    const { items: products, pageInfo } = await paginate(Product, productQuery, {
+      scope: "products",
+      sort,
+      limit,
+      cursor,
+      page,
+      withTotal,
+      select: "-__v -moderation -gallery",
+      populate: [
+        { path: "maker", select: "firstName lastName fullName profilePicture" },
+        { path: "category", select: "name slug" },
+        { path: "upvotes" },
+        { path: "bookmarkCount" }, // Populate virtual fields
+      ],
+      lean: { virtuals: true },
+    });
 
     // Enhance with User Interactions if authenticated
     let userInteractionsMap = new Map();
@@ -869,26 +962,21 @@ export const getAllProducts = async (req, res, next) => {
       };
     });
 
-    // Format pagination object
-    const paginationData = {
-      total: totalCount,
-      page,
-      limit,
-      pages: Math.ceil(totalCount / limit),
-      hasNextPage: (page * limit) < totalCount,
-      hasPrevPage: page > 1
-    };
-
     res.status(200).json({
       success: true,
       results: enhancedProducts.length,
-      pagination: paginationData,
+      pagination: {
+        ...pageInfo,
+        page,
+        hasNextPage: pageInfo.hasMore,
+        hasPrevPage: Boolean(cursor) || page > 1
+      },
       data: enhancedProducts,
     });
 
   } catch (error) {
     logger.error("Failed fetch products:", error);
-    next(new AppError("Failed fetch products", 500));
+    next(error instanceof AppError ? error : new AppError("Failed fetch products", 500));
   }
 };
 
@@ -904,10 +992,9 @@ export const getProductsByUser = async (req, res, next) => {
       return next(new AppError("Invalid user ID", 400));
     }
 
-    // Check for view permissions
-    const isOwner = req.user && req.user._id.toString() === userId;
-    const isAdmin = req.user && req.user.role === "admin";
-    const canViewNonPublished = isOwner || isAdmin;
+    // Products are part of the profile, so they follow its visibility
+    const { context } = await FollowService.assertCanView(req.user, userId, "profileVisibility");
+    const canViewNonPublished = context.isOwner || context.isAdmin;
 
     // Execute queries in parallel
     const [user, totalCount, publishedCount] = await Promise.all([
@@ -915,7 +1002,7 @@ export const getProductsByUser = async (req, res, next) => {
         .select("firstName lastName fullName profilePicture bio")
         .populate({
           path: "products",
-          match: canViewNonPublished ? {} : { status: "Published" },
+          match: canViewNonPublished ? {} : Product.publicFilter(),
           options: { sort: { createdAt: -1 } },
           select: "-__v -moderation",
           populate: { path: 'category', select: 'name slug' }
@@ -948,7 +1035,7 @@ export const getProductsByUser = async (req, res, next) => {
 
   } catch (error) {
     logger.error(`Failed fetch products for user ${req.params.userId}:`, error);
-    next(new AppError("Failed fetch user products", 500));
+    next(error instanceof AppError ? error : new AppError("Failed fetch user products", 500));
   }
 };
 
@@ -984,6 +1071,8 @@ export const deleteProduct = async (req, res, next) => {
           mongoose.model("View").deleteMany({ product: productId }),
           mongoose.model("Bookmark").deleteMany({ product: productId }),
           mongoose.model("RecommendationInteraction").deleteMany({ product: productId }),
+          mongoose.model("ProductRevision").deleteMany({ product: productId }),
+          mongoose.model("Changelog").deleteMany({ product: productId }),
         ]);
         logger.info(`Background cleanup completed for product ${productId}`);
       } catch (relatedError) {
@@ -1045,6 +1134,21 @@ export const toggleFeatureProduct = async (req, res, next) => {
       cache.invalidateProduct(product._id, product.slug),
     ]);
 
+    if (product.featured) {
+      await NotificationService.notify({
+        recipient: product.maker,
+        actor: req.user._id,
+        type: "product",
+        message: `Your product ${product.name} is now featured on Product Bazar!`,
+        data: {
+          productId: product._id,
+          productName: product.name,
+          productSlug: product.slug,
+          event: "featured",
+        },
+      });
+    }
+
     logger.info(`Product ${product._id} featured: ${product.featured} by admin ${req.user._id}`);
 
     res.status(200).json({
@@ -1194,16 +1298,15 @@ export const getProductsByUsername = async (req, res, next) => {
       return next(new AppError("User not found", 404));
     }
 
-    // Check for view permissions
-    const isOwner = req.user && req.user._id.toString() === user._id.toString();
-    const isAdmin = req.user && req.user.role === "admin";
-    const canViewNonPublished = isOwner || isAdmin;
+    // Products are part of the profile, so they follow its visibility
+    const { context } = await FollowService.assertCanView(req.user, user._id, "profileVisibility");
+    const canViewNonPublished = context.isOwner || context.isAdmin;
 
     // Execute queries in parallel
     const [products, totalCount, publishedCount] = await Promise.all([
       Product.find({
         maker: user._id,
-        ...(canViewNonPublished ? {} : { status: "Published" })
+        ...(canViewNonPublished ? {} : Product.publicFilter())
       })
       .sort({ createdAt: -1 })
       .populate("category", "name slug")
@@ -1233,6 +1336,6 @@ export const getProductsByUsername = async (req, res, next) => {
 
   } catch (error) {
     logger.error(`Failed to fetch products for username ${req.params.username}:`, error);
-    next(new AppError("Failed to fetch user products", 500));
+    next(error instanceof AppError ? error : new AppError("Failed to fetch user products", 500));
   }
 };
\ No newline at end of file
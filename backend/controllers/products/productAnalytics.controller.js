@@ -7,6 +7,8 @@ import { AppError } from "../../utils/logging/error.js";
 import logger from "../../utils/logging/logger.js";
 import mongoose from "mongoose";
 import Recommendation from "../../models/recommendation/recommendation.model.js";
+import TrendingService from "../../services/product/trending.service.js";
+import { SCORING_CONSTANTS } from "../../utils/constants/scoring/scoring.constants.js";
 
 /**
  * Get product analytics
@@ -228,7 +230,7 @@ export const getPostInteractionRecommendations = async (req, res, next) => {
         // After upvoting, recommend products with similar tags, then from the same category
         const upvoteSimilarProducts = await Product.find({
           _id: { $ne: productId },
-          status: "Published",
+          ...Product.publicFilter(),
           $or: [
             { tags: { $in: product.tags } },
             { category: product.category },
@@ -366,14 +368,13 @@ export const getPostInteractionRecommendations = async (req, res, next) => {
 };
 
 /**
- * Get trending products using advanced algorithm
+ * Get trending products, ranked by TrendingService over the requested window
  * @route GET /api/v1/products/trending
  * @access Public
  */
 export const getTrendingProducts = async (req, res, next) => {
   try {
     const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
-    const timeRange = req.query.timeRange || "7d"; // Default to last 7 days
     const excludedIds = req.query.exclude ? req.query.exclude.split(",") : [];
 
     // Convert excluded IDs to ObjectIds, filtering out invalid ones
@@ -381,321 +382,16 @@ export const getTrendingProducts = async (req, res, next) => {
       .filter((id) => mongoose.Types.ObjectId.isValid(id))
       .map((id) => new mongoose.Types.ObjectId(id));
 
-    // Calculate date range for trending period
-    const startDate = new Date();
-    switch (timeRange) {
-      case "24h":
-        startDate.setHours(startDate.getHours() - 24);
-        break;
-      case "3d":
-        startDate.setDate(startDate.getDate() - 3);
-        break;
-      case "7d":
-        startDate.setDate(startDate.getDate() - 7);
-        break;
-      case "30d":
-        startDate.setDate(startDate.getDate() - 30);
-        break;
-      default:
-        startDate.setDate(startDate.getDate() - 7); // Default to 7 days
-    }
-
-    // Build complex aggregation pipeline for trending calculation
-    const pipeline = [
-      // Initial match: only published products not in excluded list
-      {
-        $match: {
-          status: "Published",
-          _id: { $nin: excludedObjectIds },
-          createdAt: { $lt: new Date(Date.now() - 2 * 60 * 60 * 1000) }, // At least 2 hours old
-        },
-      },
-
-      // Lookup upvotes
-      {
-        $lookup: {
-          from: "upvotes",
-          let: { productId: "$_id" },
-          pipeline: [
-            {
-              $match: {
-                $expr: {
-                  $and: [
-                    { $eq: ["$product", "$$productId"] },
-                    { $gte: ["$createdAt", startDate] },
-                  ],
-                },
-              },
-            },
-          ],
-          as: "recentUpvotes",
-        },
-      },
-
-      // Lookup comments
-      {
-        $lookup: {
-          from: "comments",
-          let: { productId: "$_id" },
-          pipeline: [
-            {
-              $match: {
-                $expr: {
-                  $and: [
-                    { $eq: ["$product", "$$productId"] },
-                    { $gte: ["$createdAt", startDate] },
-                  ],
-                },
-              },
-            },
-          ],
-          as: "recentComments",
-        },
-      },
-
-      // Lookup views
-      {
-        $lookup: {
-          from: "views",
-          let: { productId: "$_id" },
-          pipeline: [
-            {
-              $match: {
-                $expr: {
-                  $and: [
-                    { $eq: ["$product", "$$productId"] },
-                    { $gte: ["$createdAt", startDate] },
-                  ],
-                },
-              },
-            },
-          ],
-          as: "recentViews",
-        },
-      },
-
-      // Add calculated fields for trending algorithm
-      {
-        $addFields: {
-          // Count metrics
-          upvoteCount: { $size: "$recentUpvotes" },
-          commentCount: { $size: "$recentComments" },
-          viewCount: { $size: "$recentViews" },
-          bookmarkCount: { $size: "$bookmarks" },
-
-          // Calculate age decay factor (newer products get boost)
-          ageInHours: {
-            $divide: [
-              { $subtract: [new Date(), "$createdAt"] },
-              1000 * 60 * 60,
-            ],
-          },
-
-          // Calculate velocity (rate of change) - Fixed bracket placement
-          upvoteVelocity: {
-            $cond: [
-              { $gt: [{ $size: "$recentUpvotes" }, 0] },
-              {
-                $divide: [
-                  { $size: "$recentUpvotes" },
-                  {
-                    $max: [
-                      {
-                        $divide: [
-                          { $subtract: [new Date(), startDate] },
-                          1000 * 60 * 60 * 24,
-                        ],
-                      },
-                      1,
-                    ],
-                  },
-                ],
-              },
-              0,
-            ],
-          },
-
-          // Calculate unique user engagement
-          uniqueUsers: {
-            $size: {
-              $setUnion: [
-                {
-                  $map: {
-                    input: "$recentUpvotes",
-                    as: "upvote",
-                    in: "$$upvote.user",
-                  },
-                },
-                {
-                  $map: {
-                    input: "$recentComments",
-                    as: "comment",
-                    in: "$$comment.user",
-                  },
-                },
-                {
-                  $map: {
-                    input: "$recentViews",
-                    as: "view",
-                    in: "$$view.user",
-                  },
-                },
-              ],
-            },
-          },
-        },
-      },
-
-      // Calculate final trending score using complex formula
-      {
-        $addFields: {
-          trendingScore: {
-            $let: {
-              vars: {
-                // Configuration weights for different factors
-                upvoteWeight: 3,
-                commentWeight: 2,
-                viewWeight: 0.5,
-                bookmarkWeight: 2.5,
-
-                // Decay settings
-                halfLifeHours: 72,
-                recencyBoost: { $cond: [{ $lt: ["$ageInHours", 48] }, 1.5, 1] },
-
-                // Activity score (weighted sum of all activities)
-                activityScore: {
-                  $add: [
-                    { $multiply: ["$upvoteCount", 3] },
-                    { $multiply: ["$commentCount", 2] },
-                    { $multiply: ["$viewCount", 0.5] },
-                    { $multiply: ["$bookmarkCount", 2.5] },
-                  ],
-                },
-
-                // Velocity impact (how quickly gaining traction)
-                velocityMultiplier: {
-                  $add: [
-                    1,
-                    { $min: [{ $multiply: ["$upvoteVelocity", 5] }, 3] },
-                  ],
-                },
-
-                // Engagement diversity factor
-                userDiversityFactor: {
-                  $min: [{ $divide: ["$uniqueUsers", 5] }, 1.5],
-                },
-
-                // Long-term popularity baseline (total upvotes overall)
-                basePopularity: {
-                  $divide: [{ $add: [{ $size: "$bookmarks" }, 1] }, 10],
-                },
-              },
-              in: {
-                $multiply: [
-                  // Main activity score
-                  "$$activityScore",
-
-                  // Velocity boost
-                  "$$velocityMultiplier",
-
-                  // User diversity factor
-                  "$$userDiversityFactor",
-
-                  // Recency boost
-                  "$$recencyBoost",
-
-                  // Time decay (Wilson score inspired)
-                  {
-                    $divide: [
-                      1,
-                      {
-                        $pow: [
-                          { $add: ["$ageInHours", "$$halfLifeHours"] },
-                          1.5,
-                        ],
-                      },
-                    ],
-                  },
-
-                  // Add baseline popularity to prevent cold start
-                  { $add: [1, "$$basePopularity"] },
-                ],
-              },
-            },
-          },
-        },
-      },
-
-      // For products with very few engagements, give a small boost to newer ones
-      {
-        $addFields: {
-          finalScore: {
-            $cond: [
-              { $lt: [{ $add: ["$upvoteCount", "$commentCount"] }, 3] },
-              {
-                $add: [
-                  "$trendingScore",
-                  { $divide: [1, { $add: ["$ageInHours", 1] }] },
-                ],
-              },
-              "$trendingScore",
-            ],
-          },
-        },
-      },
-
-      // Sort by final score
-      { $sort: { finalScore: -1 } },
-
-      // Limit results
-      { $limit: limit },
-
-      // Lookup maker details
-      {
-        $lookup: {
-          from: "users",
-          localField: "maker",
-          foreignField: "_id",
-          as: "makerDetails",
-        },
-      },
-
-      // Combined project stage for final fields and maker formatting
-      {
-        $project: {
-          _id: 1,
-          name: 1,
-          slug: 1,
-          tagline: 1,
-          description: 1,
-          thumbnail: 1,
-          category: 1,
-          categoryName: 1,
-          views: 1,
-          tags: 1,
-          pricing: 1,
-          links: 1,
-          trendingScore: "$finalScore",
-          createdAt: 1,
-          maker: {
-            $let: {
-              vars: {
-                makerDetail: { $arrayElemAt: ["$makerDetails", 0] },
-              },
-              in: {
-                _id: "$$makerDetail._id",
-                firstName: "$$makerDetail.firstName",
-                lastName: "$$makerDetail.lastName",
-                profilePicture: "$$makerDetail.profilePicture",
-              },
-            },
-          },
-        },
-      },
-    ];
-
-    // Execute the aggregation pipeline
-    const trendingProducts = await Product.aggregate(pipeline);
+    // ?timeRange=24h|3d|7d|30d picks the engagement window
+    const windowDays = TrendingService.parseTimeRange(req.query.timeRange);
+    const trendingProducts = await TrendingService.findTrending({
+      windowDays,
+      limit,
+      excludeIds: excludedObjectIds,
+      select:
+        "name slug tagline description thumbnail category categoryName views tags pricing links trendingScore createdAt maker",
+      populate: { path: "maker", select: "firstName lastName profilePicture" },
+    });
 
     // Handle user-specific data if user is authenticated
     if (req.user) {
@@ -731,7 +427,7 @@ export const getTrendingProducts = async (req, res, next) => {
 
     // Log the success for monitoring
     logger.info(
-      `Trending products fetched successfully. Count: ${trendingProducts.length}, timeRange: ${timeRange}`
+      `Trending products fetched successfully. Count: ${trendingProducts.length}`
     );
 
     res.status(200).json({
@@ -739,7 +435,7 @@ export const getTrendingProducts = async (req, res, next) => {
       results: trendingProducts.length,
       data: trendingProducts,
       meta: {
-        timeRange,
+        timeRange: `${windowDays}d`,
         calculatedAt: new Date(),
       },
     });
@@ -757,379 +453,82 @@ export const getTrendingProducts = async (req, res, next) => {
 export const getTrendingRankInsights = async (req, res, next) => {
   try {
     const { slug } = req.params;
-    const { timeRange = "7d" } = req.query;
 
-    // First, get the product details
-    const targetProduct = await Product.findOne({ slug }).select(
-      "_id name slug tagline description thumbnail upvoteCount views bookmarks createdAt trendingScore category"
-    );
+    const targetProduct = await Product.findOne({ slug })
+      .select("_id name slug thumbnail status views bookmarks createdAt launchedAt category trendingScore trendingStats")
+      .lean();
 
     if (!targetProduct) {
       return next(new AppError("Product not found", 404));
     }
 
-    // Calculate date range for trending period
-    const startDate = new Date();
-    switch (timeRange) {
-      case "24h":
-        startDate.setHours(startDate.getHours() - 24);
-        break;
-      case "3d":
-        startDate.setDate(startDate.getDate() - 3);
-        break;
-      case "7d":
-        startDate.setDate(startDate.getDate() - 7);
-        break;
-      case "30d":
-        startDate.setDate(startDate.getDate() - 30);
-        break;
-      default:
-        startDate.setDate(startDate.getDate() - 7); // Default to 7 days
-    }
-
-    // Get upvote metrics
-    const upvotesCount = await Upvote.countDocuments({
-      product: targetProduct._id,
-    });
+    const windowDays = TrendingService.windowDays;
+    const startDate = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+    const score = targetProduct.trendingScore || 0;
+    const recent = {
+      upvotes: targetProduct.trendingStats?.upvotes || 0,
+      comments: targetProduct.trendingStats?.comments || 0,
+      views: targetProduct.trendingStats?.views || 0,
+      bookmarks: targetProduct.trendingStats?.bookmarks || 0,
+    };
 
-    const recentUpvotesCount = await Upvote.countDocuments({
-      product: targetProduct._id,
-      createdAt: { $gte: startDate },
-    });
+    // Rank and category rank are counts over the stored, indexed score
+    const ranked = Product.publicFilter();
+    const inCategory = { ...ranked, category: targetProduct.category };
+    const [
+      higherCount,
+      totalProducts,
+      categoryHigherCount,
+      categoryTotal,
+      upvotesCount,
+      commentsCount,
+      uniqueEngagements,
+    ] = await Promise.all([
+      Product.countDocuments({ ...ranked, trendingScore: { $gt: score } }),
+      Product.countDocuments(ranked),
+      Product.countDocuments({ ...inCategory, trendingScore: { $gt: score } }),
+      Product.countDocuments(inCategory),
+      Upvote.countDocuments({ product: targetProduct._id }),
+      Comment.countDocuments({ product: targetProduct._id }),
+      // Unique users who viewed this product in the window
+      View.aggregate([
+        { $match: { product: targetProduct._id, createdAt: { $gte: startDate } } },
+        { $group: { _id: "$user" } },
+        { $count: "count" },
+      ]),
+    ]);
 
-    // Get comment metrics
-    const commentsCount = await Comment.countDocuments({
-      product: targetProduct._id,
-    });
+    const isRanked = targetProduct.status === "Published";
+    const rank = isRanked ? higherCount + 1 : 0;
+    const percentile =
+      isRanked && totalProducts > 0 ? Math.round(((totalProducts - rank) / totalProducts) * 100) : 0;
 
-    const recentCommentsCount = await Comment.countDocuments({
-      product: targetProduct._id,
-      createdAt: { $gte: startDate },
-    });
+    const trendingMetrics = await getTrendingScoreDistribution(ranked, totalProducts);
 
-    // Get view metrics
     const viewsCount = targetProduct.views?.count || 0;
-
-    const recentViewsCount = await View.aggregate([
-      {
-        $match: {
-          product: targetProduct._id,
-          createdAt: { $gte: startDate },
-        },
-      },
-      {
-        $group: {
-          _id: null,
-          count: { $sum: "$viewCount" },
-        },
-      },
-    ]);
-
-    // Get bookmark metrics
     const bookmarksCount = targetProduct.bookmarks?.length || 0;
-
-    // Calculate age in hours since creation
-    const ageInHours =
-      (new Date() - targetProduct.createdAt) / (1000 * 60 * 60);
-    const ageInDays = ageInHours / 24;
-
-    // Calculate velocity metrics
-    const timeRangeInDays =
-      timeRange === "24h"
-        ? 1
-        : timeRange === "3d"
-        ? 3
-        : timeRange === "7d"
-        ? 7
-        : timeRange === "30d"
-        ? 30
-        : 7;
-
-    const upvoteVelocity = recentUpvotesCount / timeRangeInDays;
-    const commentVelocity = recentCommentsCount / timeRangeInDays;
-    const viewVelocity = (recentViewsCount[0]?.count || 0) / timeRangeInDays;
-
-    // Get unique users who engaged with this product in the timeframe
-    const uniqueEngagements = await mongoose.connection.db
-      .collection("views")
-      .aggregate([
-        {
-          $match: {
-            product: targetProduct._id,
-            createdAt: { $gte: startDate },
-          },
-        },
-        { $group: { _id: "$user" } },
-        { $count: "count" },
-      ])
-      .toArray();
-
     const uniqueUserCount = uniqueEngagements[0]?.count || 0;
 
-    // Calculate a trending score using the same algorithm as the getTrendingProducts function
-    // This ensures consistency between endpoints
-    const halfLifeHours = 72;
-    const recencyBoost = ageInHours < 48 ? 1.5 : 1;
-
-    const activityScore =
-      recentUpvotesCount * 3 +
-      recentCommentsCount * 2 +
-      (recentViewsCount[0]?.count || 0) * 0.5 +
-      bookmarksCount * 2.5;
-
-    const velocityMultiplier = 1 + Math.min(upvoteVelocity * 5, 3);
-
-    const userDiversityFactor = Math.min(uniqueUserCount / 5, 1.5);
-
-    const basePopularity = (bookmarksCount + 1) / 10;
-
-    const timeDecay = 1 / Math.pow(ageInHours / halfLifeHours + 1, 1.5);
-
-    const trendingScore =
-      activityScore *
-      velocityMultiplier *
-      userDiversityFactor *
-      recencyBoost *
-      timeDecay *
-      (1 + basePopularity);
-
-    // Now, get a ranking by fetching all trending products and finding the position
-    const trendingProducts = await Product.aggregate([
-      {
-        $match: {
-          status: "Published",
-          createdAt: { $lt: new Date(Date.now() - 2 * 60 * 60 * 1000) }, // At least 2 hours old
-        },
-      },
-      // Simplified pipeline that follows the same logic as getTrendingProducts
-      // but only calculates the score for ranking purposes
-      {
-        $lookup: {
-          from: "upvotes",
-          let: { productId: "$_id" },
-          pipeline: [
-            {
-              $match: {
-                $expr: {
-                  $and: [
-                    { $eq: ["$product", "$$productId"] },
-                    { $gte: ["$createdAt", startDate] },
-                  ],
-                },
-              },
-            },
-          ],
-          as: "recentUpvotes",
-        },
-      },
-      {
-        $lookup: {
-          from: "comments",
-          let: { productId: "$_id" },
-          pipeline: [
-            {
-              $match: {
-                $expr: {
-                  $and: [
-                    { $eq: ["$product", "$$productId"] },
-                    { $gte: ["$createdAt", startDate] },
-                  ],
-                },
-              },
-            },
-          ],
-          as: "recentComments",
-        },
-      },
-      {
-        $lookup: {
-          from: "views",
-          let: { productId: "$_id" },
-          pipeline: [
-            {
-              $match: {
-                $expr: {
-                  $and: [
-                    { $eq: ["$product", "$$productId"] },
-                    { $gte: ["$createdAt", startDate] },
-                  ],
-                },
-              },
-            },
-          ],
-          as: "recentViews",
-        },
-      },
-      {
-        $addFields: {
-          trendingScore: {
-            $let: {
-              vars: {
-                upvoteCount: { $size: "$recentUpvotes" },
-                commentCount: { $size: "$recentComments" },
-                viewCount: { $size: "$recentViews" },
-                bookmarkCount: { $size: "$bookmarks" },
-                ageInHours: {
-                  $divide: [
-                    { $subtract: [new Date(), "$createdAt"] },
-                    1000 * 60 * 60,
-                  ],
-                },
-              },
-              in: {
-                $multiply: [
-                  {
-                    $add: [
-                      { $multiply: ["$$upvoteCount", 3] },
-                      { $multiply: ["$$commentCount", 2] },
-                      { $multiply: ["$$viewCount", 0.5] },
-                      { $multiply: ["$$bookmarkCount", 2.5] },
-                    ],
-                  },
-                  {
-                    $add: [
-                      1,
-                      {
-                        $min: [
-                          {
-                            $multiply: [
-                              {
-                                $divide: [
-                                  "$$upvoteCount",
-                                  {
-                                    $max: [
-                                      {
-                                        $divide: [
-                                          {
-                                            $subtract: [new Date(), startDate],
-                                          },
-                                          1000 * 60 * 60 * 24,
-                                        ],
-                                      },
-                                      1,
-                                    ],
-                                  },
-                                ],
-                              },
-                              5,
-                            ],
-                          },
-                          3,
-                        ],
-                      },
-                    ],
-                  },
-                  {
-                    $divide: [
-                      1,
-                      {
-                        $pow: [
-                          { $add: [{ $divide: ["$$ageInHours", 72] }, 1] },
-                          1.5,
-                        ],
-                      },
-                    ],
-                  },
-                  { $cond: [{ $lt: ["$$ageInHours", 48] }, 1.5, 1] },
-                ],
-              },
-            },
-          },
-        },
-      },
-      { $sort: { trendingScore: -1 } },
-      {
-        $project: {
-          _id: 1,
-          name: 1,
-          slug: 1,
-          trendingScore: 1,
-        },
-      },
-    ]);
-
-    // Find the rank of the target product
-    let rank = 0;
-    let percentile = 0;
-    let totalProducts = trendingProducts.length;
-
-    for (let i = 0; i < trendingProducts.length; i++) {
-      if (trendingProducts[i]._id.equals(targetProduct._id)) {
-        rank = i + 1;
-        percentile = Math.round(((totalProducts - rank) / totalProducts) * 100);
-        break;
-      }
-    }
-
-    // Get overall trending metrics for context
-    const trendingMetrics = {
-      averageScore: 0,
-      medianScore: 0,
-      highestScore:
-        trendingProducts.length > 0 ? trendingProducts[0].trendingScore : 0,
-      top10AverageScore: 0,
-      bottom10AverageScore: 0,
-    };
+    const launchedAt = targetProduct.launchedAt || targetProduct.createdAt;
+    const ageInHours = (new Date() - launchedAt) / (1000 * 60 * 60);
+    const ageInDays = ageInHours / 24;
 
-    if (trendingProducts.length > 0) {
-      const scores = trendingProducts.map((p) => p.trendingScore);
-      trendingMetrics.averageScore =
-        scores.reduce((a, b) => a + b, 0) / scores.length;
-
-      // Calculate median
-      scores.sort((a, b) => a - b);
-      const mid = Math.floor(scores.length / 2);
-      trendingMetrics.medianScore =
-        scores.length % 2 === 0
-          ? (scores[mid - 1] + scores[mid]) / 2
-          : scores[mid];
-
-      // Calculate top and bottom 10% averages
-      const top10Count = Math.max(1, Math.ceil(scores.length * 0.1));
-      const bottom10Count = Math.max(1, Math.ceil(scores.length * 0.1));
-
-      trendingMetrics.top10AverageScore =
-        trendingProducts
-          .slice(0, top10Count)
-          .reduce((sum, p) => sum + p.trendingScore, 0) / top10Count;
-
-      trendingMetrics.bottom10AverageScore =
-        trendingProducts
-          .slice(-bottom10Count)
-          .reduce((sum, p) => sum + p.trendingScore, 0) / bottom10Count;
-    }
+    const upvoteVelocity = recent.upvotes / windowDays;
+    const commentVelocity = recent.comments / windowDays;
+    const viewVelocity = recent.views / windowDays;
 
-    // Calculate the primary reasons for the product's trending status
+    // Break the score's activity term down by engagement type
+    const { WEIGHTS } = SCORING_CONSTANTS.TRENDING_SCORE;
     const reasonFactors = [
-      {
-        factor: "upvotes",
-        value: recentUpvotesCount,
-        weight: 3,
-        weightedValue: recentUpvotesCount * 3,
-        percentOfTotal: 0,
-      },
-      {
-        factor: "comments",
-        value: recentCommentsCount,
-        weight: 2,
-        weightedValue: recentCommentsCount * 2,
-        percentOfTotal: 0,
-      },
-      {
-        factor: "views",
-        value: recentViewsCount[0]?.count || 0,
-        weight: 0.5,
-        weightedValue: (recentViewsCount[0]?.count || 0) * 0.5,
-        percentOfTotal: 0,
-      },
-      {
-        factor: "bookmarks",
-        value: bookmarksCount,
-        weight: 2.5,
-        weightedValue: bookmarksCount * 2.5,
-        percentOfTotal: 0,
-      },
-    ];
+      { factor: "upvotes", value: recent.upvotes, weight: WEIGHTS.UPVOTES },
+      { factor: "comments", value: recent.comments, weight: WEIGHTS.COMMENTS },
+      { factor: "views", value: recent.views, weight: WEIGHTS.VIEWS },
+      { factor: "bookmarks", value: recent.bookmarks, weight: WEIGHTS.BOOKMARKS },
+    ].map((factor) => ({
+      ...factor,
+      weightedValue: factor.value * factor.weight,
+      percentOfTotal: 0,
+    }));
 
     // Calculate percentage contribution of each factor
     const totalWeightedValue = reasonFactors.reduce(
@@ -1192,14 +591,9 @@ export const getTrendingRankInsights = async (req, res, next) => {
     }
 
     // Performance relative to category
-    const categoryProducts = await Product.find({
-      category: targetProduct.category,
-      status: "Published",
-    }).select("_id");
-
-    if (categoryProducts.length > 0) {
+    if (isRanked && categoryTotal > 0) {
       const categoryPercentile = Math.round(
-        (rank / categoryProducts.length) * 100
+        ((categoryHigherCount + 1) / categoryTotal) * 100
       );
 
       if (categoryPercentile <= 20) {
@@ -1221,28 +615,29 @@ export const getTrendingRankInsights = async (req, res, next) => {
       trending: {
         rank,
         percentile,
-        timeRange,
-        score: trendingScore,
+        timeRange: `${windowDays}d`,
+        score,
         totalProductsRanked: totalProducts,
       },
       metrics: {
         upvotes: {
           total: upvotesCount,
-          recent: recentUpvotesCount,
+          recent: recent.upvotes,
           velocity: upvoteVelocity,
         },
         comments: {
           total: commentsCount,
-          recent: recentCommentsCount,
+          recent: recent.comments,
           velocity: commentVelocity,
         },
         views: {
           total: viewsCount,
-          recent: recentViewsCount[0]?.count || 0,
+          recent: recent.views,
           velocity: viewVelocity,
         },
         bookmarks: {
           total: bookmarksCount,
+          recent: recent.bookmarks,
         },
         engagement: {
           uniqueUsers: uniqueUserCount,
@@ -1256,7 +651,7 @@ export const getTrendingRankInsights = async (req, res, next) => {
       insights: trendingInsights,
       context: {
         trendingMetrics,
-        calculatedAt: new Date(),
+        calculatedAt: targetProduct.trendingStats?.calculatedAt || null,
       },
     };
 
@@ -1273,3 +668,62 @@ export const getTrendingRankInsights = async (req, res, next) => {
     next(new AppError("Failed to generate trending insights", 500));
   }
 };
+
+/**
+ * Average, median, highest and top/bottom 10% average trending scores
+ * @param {Object} filter - Products to include
+ * @param {number} total - Number of matching products
+ * @returns {Promise<Object>}
+ */
+const getTrendingScoreDistribution = async (filter, total) => {
+  const distribution = {
+    averageScore: 0,
+    medianScore: 0,
+    highestScore: 0,
+    top10AverageScore: 0,
+    bottom10AverageScore: 0,
+  };
+  if (total === 0) return distribution;
+
+  const tailSize = Math.max(1, Math.ceil(total * 0.1));
+  const averageOfTail = (direction) =>
+    Product.aggregate([
+      { $match: filter },
+      { $sort: { trendingScore: direction } },
+      { $limit: tailSize },
+      { $group: { _id: null, average: { $avg: "$trendingScore" } } },
+    ]);
+  const scoreAt = (position) =>
+    Product.findOne(filter)
+      .sort({ trendingScore: -1 })
+      .skip(position)
+      .select("trendingScore")
+      .lean();
+
+  const mid = Math.floor(total / 2);
+  const [overall, top, bottom, upperMiddle, lowerMiddle] = await Promise.all([
+    Product.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: null,
+          average: { $avg: "$trendingScore" },
+          highest: { $max: "$trendingScore" },
+        },
+      },
+    ]),
+    averageOfTail(-1),
+    averageOfTail(1),
+    scoreAt(mid),
+    total % 2 === 0 ? scoreAt(mid - 1) : null,
+  ]);
+
+  const upper = upperMiddle?.trendingScore || 0;
+  distribution.averageScore = overall[0]?.average || 0;
+  distribution.highestScore = overall[0]?.highest || 0;
+  distribution.medianScore = lowerMiddle ? (upper + (lowerMiddle.trendingScore || 0)) / 2 : upper;
+  distribution.top10AverageScore = top[0]?.average || 0;
+  distribution.bottom10AverageScore = bottom[0]?.average || 0;
+
+  return distribution;
+};
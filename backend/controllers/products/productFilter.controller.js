@@ -43,7 +43,7 @@ export const getProductsByCategory = async (req, res, next) => {
 
     // Build query
     const query = {
-      status: "Published",
+      ...Product.publicFilter(),
     };
     
     // Handle subcategory filter
@@ -0,0 +1,175 @@
+import mongoose from "mongoose";
+import ProductRevisionService from "../../services/product/productRevision.service.js";
+import ProductChangelogService from "../../services/product/productChangelog.service.js";
+import ProductModerationService from "../../services/product/productModeration.service.js";
+import { AppError } from "../../utils/logging/error.js";
+import logger from "../../utils/logging/logger.js";
+import { parseCursorParams } from "../../utils/data/cursorPagination.utils.js";
+import cache from "../../utils/cache/cache.js";
+
+const handleError = (error, next, fallbackMessage) => {
+  if (error instanceof AppError) {
+    return next(error);
+  }
+  // Schema validation failures (e.g. field too long)
+  if (error.name === "ValidationError" && error.errors) {
+    const messages = Object.values(error.errors).map((e) => e.message);
+    return next(new AppError(messages.join(", "), 400));
+  }
+  logger.error(`${fallbackMessage}: ${error.message}`);
+  return next(new AppError(fallbackMessage, 500));
+};
+
+const checkEntryId = (req, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.entryId)) {
+    next(new AppError("Changelog entry not found", 404));
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Get a product's public changelog
+ * @route GET /api/v1/products/:slug/changelog
+ * @access Public
+ */
+export const getChangelog = async (req, res, next) => {
+  try {
+    const { items, pageInfo } = await ProductChangelogService.list(
+      req.product._id,
+      parseCursorParams(req.query, { defaultLimit: 10, maxLimit: 50 })
+    );
+
+    res.status(200).json({
+      success: true,
+      results: items.length,
+      pagination: pageInfo,
+      data: items,
+    });
+  } catch (error) {
+    handleError(error, next, "Failed to fetch changelog");
+  }
+};
+
+/**
+ * Publish a changelog entry
+ * @route POST /api/v1/products/:slug/changelog
+ * @access Private (maker)
+ */
+export const createChangelogEntry = async (req, res, next) => {
+  try {
+    const entry = await ProductChangelogService.create(req.product, req.user._id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: entry,
+      message: "Update published",
+    });
+  } catch (error) {
+    handleError(error, next, "Failed to publish update");
+  }
+};
+
+/**
+ * Edit a changelog entry
+ * @route PUT /api/v1/products/:slug/changelog/:entryId
+ * @access Private (maker)
+ */
+export const updateChangelogEntry = async (req, res, next) => {
+  try {
+    if (!checkEntryId(req, next)) return;
+    const entry = await ProductChangelogService.update(req.product, req.params.entryId, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: entry,
+      message: "Update edited",
+    });
+  } catch (error) {
+    handleError(error, next, "Failed to edit update");
+  }
+};
+
+/**
+ * Delete a changelog entry
+ * @route DELETE /api/v1/products/:slug/changelog/:entryId
+ * @access Private (maker)
+ */
+export const deleteChangelogEntry = async (req, res, next) => {
+  try {
+    if (!checkEntryId(req, next)) return;
+    await ProductChangelogService.remove(req.product, req.params.entryId);
+
+    res.status(200).json({
+      success: true,
+      message: "Update deleted",
+    });
+  } catch (error) {
+    handleError(error, next, "Failed to delete update");
+  }
+};
+
+/**
+ * Get a product's revision history
+ * @route GET /api/v1/products/:slug/revisions
+ * @access Private (maker, admin)
+ */
+export const getRevisions = async (req, res, next) => {
+  try {
+    const { items, pageInfo } = await ProductRevisionService.list(
+      req.product._id,
+      parseCursorParams(req.query)
+    );
+
+    res.status(200).json({
+      success: true,
+      results: items.length,
+      pagination: pageInfo,
+      data: items,
+    });
+  } catch (error) {
+    handleError(error, next, "Failed to fetch revisions");
+  }
+};
+
+/**
+ * Restore a product to an earlier revision
+ * @route POST /api/v1/products/:slug/revisions/:number/restore
+ * @access Private (maker, admin)
+ */
+export const restoreRevision = async (req, res, next) => {
+  try {
+    const number = parseInt(req.params.number, 10);
+    if (!Number.isInteger(number) || number < 0) {
+      return next(new AppError("Revision not found", 404));
+    }
+
+    const oldSlug = req.product.slug;
+    const { product, revision } = await ProductRevisionService.restore(req.product, number, req.user._id);
+
+    // Same as any other edit: a rejected product goes back for review
+    if (product.maker.toString() === req.user._id.toString()) {
+      await ProductModerationService.resubmit(product, req.user._id);
+    }
+
+    const makerId = product.maker.toString();
+    try {
+      await cache.invalidateProduct(product._id, product.slug, { invalidateRelated: true, makerId });
+      if (product.slug !== oldSlug) {
+        await cache.invalidateProduct(product._id, oldSlug, { invalidateRelated: true, makerId });
+      }
+    } catch (cacheError) {
+      logger.warn(`Failed to invalidate caches for product ${product._id}: ${cacheError.message}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { product, revision },
+      message: number === 0 ? "Restored the original version" : `Restored revision ${number}`,
+      slugChanged: product.slug !== oldSlug,
+      newSlug: product.slug !== oldSlug ? product.slug : undefined,
+    });
+  } catch (error) {
+    handleError(error, next, "Failed to restore revision");
+  }
+};
@@ -4,8 +4,10 @@ import Upvote from "../../models/product/upvote.model.js";
 import Bookmark from "../../models/product/bookmark.model.js";
 import { AppError } from "../../utils/logging/error.js";
 import logger from "../../utils/logging/logger.js";
+import { paginate, parseCursorParams } from "../../utils/data/cursorPagination.utils.js";
 import mongoose from "mongoose";
 import {io} from "../../socket/socket.js";
+import NotificationService from "../../services/notification/notification.service.js";
 
 /**
  * Toggle upvote on a product
@@ -63,7 +65,9 @@ export const toggleUpvote = async (req, res, next) => {
       });
 
       // Notify the product maker
-      io.to(`user:${product.maker}`).emit("notification", {
+      await NotificationService.notify({
+        recipient: product.maker,
+        actor: userId,
         type: "upvote",
         message: `Your product ${product.name} received a new upvote!`,
         data: {
@@ -71,7 +75,6 @@ export const toggleUpvote = async (req, res, next) => {
           productName: product.name,
           productSlug: product.slug,
           upvoteCount: result.count,
-          timestamp: new Date().toISOString(),
         },
       });
 
@@ -200,9 +203,10 @@ export const toggleBookmark = async (req, res, next) => {
       return next(new AppError("Product not found", 404));
     }
 
-    if (product.status !== "Published") {
+    const isScheduled = product.status === "Draft" && Boolean(product.scheduledLaunchAt);
+    if (product.status !== "Published" && !isScheduled) {
       return next(
-        new AppError("You can only bookmark published products", 400)
+        new AppError("You can only bookmark published or upcoming products", 400)
       );
     }
 
@@ -235,7 +239,9 @@ export const toggleBookmark = async (req, res, next) => {
       });
 
       // Notify the product maker
-      io.to(`user:${product.maker}`).emit("notification", {
+      await NotificationService.notify({
+        recipient: product.maker,
+        actor: userId,
         type: "bookmark",
         message: `Your product ${product.name} was bookmarked!`,
         data: {
@@ -243,7 +249,6 @@ export const toggleBookmark = async (req, res, next) => {
           productName: product.name,
           productSlug: product.slug,
           bookmarkCount: result.count,
-          timestamp: new Date().toISOString(),
         },
       });
 
@@ -391,8 +396,9 @@ export const addComment = async (req, res, next) => {
     }
 
     // Validate parent comment if provided
+    let parentComment = null;
     if (parentId) {
-      const parentComment = await Comment.findById(parentId);
+      parentComment = await Comment.findById(parentId);
       if (!parentComment) {
         return next(new AppError("Parent comment not found", 404));
       }
@@ -423,6 +429,43 @@ export const addComment = async (req, res, next) => {
       referenceModel: "Product",
     });
 
+    // Notify the parent comment author (for replies) or the product maker
+    const notificationData = {
+      productId: product._id,
+      productName: product.name,
+      productSlug: product.slug,
+      commentId: comment._id,
+    };
+    const notifiedUserIds = [];
+
+    if (parentComment) {
+      await NotificationService.notify({
+        recipient: parentComment.user,
+        actor: userId,
+        type: "reply",
+        message: `${req.user.fullName || "Someone"} replied to your comment on ${product.name}`,
+        data: notificationData,
+      });
+      notifiedUserIds.push(parentComment.user);
+    } else {
+      await NotificationService.notify({
+        recipient: product.maker,
+        actor: userId,
+        type: "comment",
+        message: `${req.user.fullName || "Someone"} commented on your product ${product.name}`,
+        data: notificationData,
+      });
+      notifiedUserIds.push(product.maker);
+    }
+
+    await NotificationService.notifyMentions({
+      content: comment.content,
+      actor: req.user,
+      product,
+      comment,
+      exclude: notifiedUserIds,
+    });
+
     logger.info(`User ${userId} commented on product ${product._id}`);
 
     res.status(201).json({
@@ -455,9 +498,7 @@ export const getComments = async (req, res, next) => {
 
     // Fallback if the middleware hasn't been used
     const { slug } = req.params;
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 20;
-    const skip = (page - 1) * limit;
+    const { cursor, limit, page, withTotal } = parseCursorParams(req.query);
 
     if (!slug) {
       return next(new AppError("Product slug is required", 400));
@@ -468,20 +509,21 @@ export const getComments = async (req, res, next) => {
       return next(new AppError("Product not found", 404));
     }
 
-    const totalCount = await Comment.countDocuments({
-      product: product._id,
-      parent: null,
-    });
-
-    const comments = await Comment.find({
-      product: product._id,
-      parent: null,
-    })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .populate("user", "firstName lastName profilePicture")
-      .select("+likes.users"); // Explicitly include likes.users
+    const { items: comments, pageInfo } = await paginate(
+      Comment,
+      { product: product._id, parent: null },
+      {
+        scope: `comments:${product._id}`,
+        sort: { createdAt: -1 },
+        limit,
+        cursor,
+        page,
+        withTotal,
+        populate: { path: "user", select: "firstName lastName profilePicture" },
+        select: "+likes.users", // Explicitly include likes.users
+        lean: false,
+      }
+    );
 
     const commentIds = comments.map((comment) => comment._id);
     const replies = await Comment.find({
@@ -534,17 +576,16 @@ export const getComments = async (req, res, next) => {
       success: true,
       results: enhancedComments.length,
       pagination: {
-        total: totalCount,
+        ...pageInfo,
         page,
-        pages: Math.ceil(totalCount / limit),
-        hasNextPage: page * limit < totalCount,
-        hasPrevPage: page > 1,
+        hasNextPage: pageInfo.hasMore,
+        hasPrevPage: Boolean(cursor) || page > 1,
       },
       data: enhancedComments,
     });
   } catch (error) {
     logger.error("Failed to fetch product comments:", error);
-    next(new AppError("Failed to fetch comments", 500));
+    next(error instanceof AppError ? error : new AppError("Failed to fetch comments", 500));
   }
 };
 
@@ -836,6 +877,29 @@ export const addReply = async (req, res, next) => {
       logger.error(`Failed to record reply activity: ${activityError.message}`);
     }
 
+    // Notify the user being replied to and anyone mentioned in the reply
+    await NotificationService.notify({
+      recipient: replyingToUserId,
+      actor: userId,
+      type: "reply",
+      message: `${req.user.fullName || "Someone"} replied to your comment on ${product.name}`,
+      data: {
+        productId: product._id,
+        productName: product.name,
+        productSlug: product.slug,
+        commentId: reply._id,
+        rootCommentId: parentCommentId,
+      },
+    });
+
+    await NotificationService.notifyMentions({
+      content: reply.content,
+      actor: req.user,
+      product,
+      comment: reply,
+      exclude: [replyingToUserId],
+    });
+
     logger.info(
       `User ${userId} replied to comment thread ${parentCommentId} on product ${product._id}`
     );
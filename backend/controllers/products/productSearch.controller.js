@@ -48,7 +48,7 @@ export const getProductsByCategory = async (req, res, next) => {
     // Query products
     const query = {
       category: { $in: categoryIds },
-      status: "Published",
+      ...Product.publicFilter(),
     };
 
     // Determine sort options
@@ -186,7 +186,7 @@ export const searchProducts = async (req, res, next) => {
 
     // Initialize search criteria
     const searchCriteria = {
-      status: "Published",
+      ...Product.publicFilter(),
     };
 
     // Natural language search implementation
@@ -397,76 +397,11 @@ export const searchProducts = async (req, res, next) => {
         );
         break;
       case "trending":
-        useAggregation = true;
-        // Calculate trending score in the aggregation pipeline
-        aggregationPipeline.push(
-          {
-            $addFields: {
-              ageInHours: {
-                $divide: [
-                  { $subtract: [new Date(), "$createdAt"] },
-                  1000 * 60 * 60,
-                ],
-              },
-            },
-          },
-          {
-            $lookup: {
-              from: "upvotes",
-              localField: "_id",
-              foreignField: "product",
-              as: "upvotes",
-            },
-          },
-          {
-            $lookup: {
-              from: "comments",
-              localField: "_id",
-              foreignField: "product",
-              as: "comments",
-            },
-          },
-          {
-            $addFields: {
-              upvoteCount: { $size: "$upvotes" },
-              commentCount: { $size: "$comments" },
-              bookmarkCount: { $size: "$bookmarks" },
-              // Calculate trending score with weights and decay
-              trendingScore: {
-                $divide: [
-                  {
-                    $multiply: [
-                      {
-                        $add: [
-                          { $multiply: [{ $size: "$upvotes" }, 3] }, // upvotes weight
-                          { $multiply: ["$views.count", 1] }, // views weight
-                          { $multiply: [{ $size: "$comments" }, 2] }, // comments weight
-                          { $multiply: [{ $size: "$bookmarks" }, 2.5] }, // bookmarks weight
-                        ],
-                      },
-                      {
-                        $cond: [
-                          { $lt: ["$ageInHours", 72] },
-                          1.5, // recency boost for new products
-                          1,
-                        ],
-                      },
-                    ],
-                  },
-                  {
-                    $pow: [
-                      { $add: ["$ageInHours", 12] },
-                      1.8, // decay factor
-                    ],
-                  },
-                ],
-              },
-            },
-          },
-          {
-            $sort: { trendingScore: -1 },
-          }
-        );
+        // Stored score, kept current by TrendingService
+        sortOptions = { trendingScore: -1, launchedAt: -1 };
+        if (useAggregation) {
+          aggregationPipeline.push({ $sort: sortOptions });
+        }
         break;
       case "relevance":
       default:
@@ -644,7 +579,7 @@ export const getFeaturedProducts = async (req, res, next) => {
     const limit = Math.min(parseInt(req.query.limit, 10) || 6, 20); // Prevent excessive limits
 
     const featuredProducts = await Product.find({
-      status: "Published",
+      ...Product.publicFilter(),
       featured: true,
     })
       .limit(limit)
@@ -660,7 +595,7 @@ export const getFeaturedProducts = async (req, res, next) => {
       // Get trending products not already in featured list
       const trendingProducts = await Product.find({
         _id: { $nin: featuredIds },
-        status: "Published",
+        ...Product.publicFilter(),
         featured: false,
       })
         .sort({ trendingScore: -1 })
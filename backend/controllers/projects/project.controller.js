@@ -2,6 +2,8 @@ import Project from "../../models/project/project.model.js";
 import User from "../../models/user/user.model.js";
 import { AppError } from "../../utils/logging/error.js";
 import logger from "../../utils/logging/logger.js";
+import FollowService from "../../services/user/follow.service.js";
+import { paginate, parseCursorParams } from "../../utils/data/cursorPagination.utils.js";
 import { uploadToCloudinary, deleteFromCloudinary } from "../../utils/storage/cloudinary.utils.js";
 
 // Create a new project
@@ -248,8 +250,8 @@ export const getProject = async (req, res, next) => {
     logger.info(`Found project: ${project.title} (${project._id})`);
 
 
-    // Check visibility
-    if (project.visibility !== "public") {
+    // Check visibility. Projects hidden by user reports are treated as private.
+    if (project.visibility !== "public" || project.hiddenByReports) {
       // If not public, check if the requester is the owner
       const userId = req.user?._id;
       if (!userId || !project.owner.equals(userId)) {
@@ -550,19 +552,39 @@ export const getUserProjects = async (req, res, next) => {
   try {
     const userId = req.params.userId || req.user._id;
 
+    // Someone else's projects respect their profile visibility, and only
+    // public ones are listed (the model also drops report-hidden ones)
+    const { context } = await FollowService.assertCanView(req.user, userId, "profileVisibility");
+    const canViewAll = context.isOwner || context.isAdmin;
+    const filter = canViewAll ? { owner: userId } : { owner: userId, visibility: "public" };
+
     // Get projects
-    const projects = await Project.find({ owner: userId }).sort("-createdAt");
+    const { cursor, limit, page, withTotal } = parseCursorParams(req.query);
+    const { items: projects, pageInfo } = await paginate(
+      Project,
+      filter,
+      {
+        scope: `user-projects:${userId}:${canViewAll ? "all" : "public"}`,
+        sort: "-createdAt",
+        limit,
+        cursor,
+        page,
+        withTotal,
+        lean: false,
+      }
+    );
 
     res.status(200).json({
       status: "success",
       results: projects.length,
+      pagination: pageInfo,
       data: {
         projects,
       },
     });
   } catch (error) {
     logger.error(`Error getting user projects: ${error.message}`);
-    next(new AppError(error.message, 400));
+    next(error instanceof AppError ? error : new AppError(error.message, 400));
   }
 };
 
@@ -0,0 +1,30 @@
+import ReportService from '../../services/report/report.service.js';
+import { AppError } from '../../utils/logging/error.js';
+import logger from '../../utils/logging/logger.js';
+
+const handleError = (error, next, fallbackMessage) => {
+  if (error instanceof AppError) {
+    return next(error);
+  }
+  logger.error(`${fallbackMessage}: ${error.message}`);
+  return next(new AppError(fallbackMessage, 500));
+};
+
+/**
+ * Report a product, comment, reply, project, job posting or user
+ * @route POST /api/v1/reports
+ */
+export const createReport = async (req, res, next) => {
+  try {
+    const { targetType, targetId, reason, details } = req.body;
+    const { report } = await ReportService.createReport(req.user, { targetType, targetId, reason, details });
+
+    return res.status(201).json({
+      status: 'success',
+      message: 'Report submitted. Thanks for helping keep Product Bazar safe.',
+      data: { reportId: report._id }
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to submit report');
+  }
+};
@@ -10,6 +10,8 @@ export const globalSearch = async (req, res, next) => {
       type,
       page,
       limit,
+      cursor,
+      includeTotal,
       natural_language,
       ...filters
     } = req.query;
@@ -33,7 +35,8 @@ export const globalSearch = async (req, res, next) => {
       type,
       filters,
       page: parseInt(page, 10) || 1,
-      limit: parseInt(limit, 10) || 20,
+      limit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), 50),
+      cursor: cursor || null,
       naturalLanguage: natural_language === 'true',
       userId: req.user?._id // Pass user ID for search history
     });
@@ -44,7 +47,7 @@ export const globalSearch = async (req, res, next) => {
     res.status(200).json(searchResults);
   } catch (error) {
     logger.error('Global search error:', error);
-    next(new AppError('Search operation failed', 500));
+    next(error instanceof AppError ? error : new AppError('Search operation failed', 500));
   }
 };
 
@@ -1,6 +1,7 @@
 import Job from "../../models/job/job.model.js";
 import logger from "../../utils/logging/logger.js";
 import { AppError } from "../../utils/logging/error.js";
+import JobAlertService from "../../services/job/jobAlert.service.js";
 
 // Helper function to build search query
 const buildSearchQuery = (searchParams) => {
@@ -14,7 +15,7 @@ const buildSearchQuery = (searchParams) => {
   
   // Base filter - always show published jobs that haven't expired
   const baseFilter = {
-    status: "Published",
+    ...Job.publicFilter(),
     expiresAt: { $gt: new Date() }
   };
   
@@ -113,6 +114,11 @@ export const getAllJobs = async (req, res, next) => {
     if (jobType) searchFilter.jobType = jobType;
     if (locationType) searchFilter.locationType = locationType;
     if (experienceLevel) searchFilter.experienceLevel = experienceLevel;
+
+    // Salary range and skills filter the same way saved job alerts do
+    const { salaryMin, salaryMax, skills } = req.query;
+    const criteriaConditions = JobAlertService.getCriteriaConditions({ salaryMin, salaryMax, skills });
+    if (criteriaConditions.length > 0) searchFilter.$and = criteriaConditions;
     
     // Determine sort order
     let sortOptions = {};
@@ -165,7 +171,7 @@ export const getAllJobs = async (req, res, next) => {
     });
   } catch (error) {
     logger.error(`Error in enhanced job search: ${error.message}`);
-    next(new AppError(error.message, 500));
+    next(error instanceof AppError ? error : new AppError(error.message, 500));
   }
 };
 
@@ -0,0 +1,69 @@
+import BlockService from '../../services/user/block.service.js';
+import { AppError } from '../../utils/logging/error.js';
+import { parseCursorParams } from '../../utils/data/cursorPagination.utils.js';
+import logger from '../../utils/logging/logger.js';
+
+const handleError = (error, next, fallbackMessage) => {
+  if (error instanceof AppError) {
+    return next(error);
+  }
+  logger.error(`${fallbackMessage}: ${error.message}`);
+  return next(new AppError(fallbackMessage, 500));
+};
+
+/**
+ * Block a user
+ * @route POST /api/v1/users/:id/block
+ */
+export const blockUser = async (req, res, next) => {
+  try {
+    const { created } = await BlockService.block(req.user._id, req.params.id);
+
+    return res.status(created ? 201 : 200).json({
+      status: 'success',
+      message: created ? 'User blocked' : 'User already blocked',
+      data: { isBlocked: true }
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to block user');
+  }
+};
+
+/**
+ * Unblock a user
+ * @route DELETE /api/v1/users/:id/block
+ */
+export const unblockUser = async (req, res, next) => {
+  try {
+    const removed = await BlockService.unblock(req.user._id, req.params.id);
+
+    return res.status(200).json({
+      status: 'success',
+      message: removed ? 'User unblocked' : 'User was not blocked',
+      data: { isBlocked: false }
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to unblock user');
+  }
+};
+
+/**
+ * Users blocked by the current user
+ * @route GET /api/v1/users/blocks
+ */
+export const getBlockedUsers = async (req, res, next) => {
+  try {
+    const { users, pagination } = await BlockService.getBlockedUsers(
+      req.user._id,
+      parseCursorParams(req.query)
+    );
+
+    return res.status(200).json({
+      status: 'success',
+      data: { users },
+      pagination
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to fetch blocked users');
+  }
+};
@@ -0,0 +1,110 @@
+import FollowService from '../../services/user/follow.service.js';
+import { AppError } from '../../utils/logging/error.js';
+import logger from '../../utils/logging/logger.js';
+
+const handleError = (error, next, fallbackMessage) => {
+  if (error instanceof AppError) {
+    return next(error);
+  }
+  logger.error(`${fallbackMessage}: ${error.message}`);
+  return next(new AppError(fallbackMessage, 500));
+};
+
+/**
+ * Follow a user
+ * @route POST /api/v1/users/:id/follow
+ */
+export const followUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { created } = await FollowService.follow(req.user._id, id);
+    const counts = await FollowService.getCounts(id);
+
+    return res.status(created ? 201 : 200).json({
+      status: 'success',
+      message: created ? 'User followed' : 'Already following this user',
+      data: { isFollowing: true, counts }
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to follow user');
+  }
+};
+
+/**
+ * Unfollow a user
+ * @route DELETE /api/v1/users/:id/follow
+ */
+export const unfollowUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const removed = await FollowService.unfollow(req.user._id, id);
+    const counts = await FollowService.getCounts(id);
+
+    return res.status(200).json({
+      status: 'success',
+      message: removed ? 'User unfollowed' : 'You were not following this user',
+      data: { isFollowing: false, counts }
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to unfollow user');
+  }
+};
+
+/**
+ * Follower/following counts and whether the viewer follows the user
+ * @route GET /api/v1/users/:id/follow
+ */
+export const getFollowStatus = async (req, res, next) => {
+  try {
+    const { isFollowing, counts } = await FollowService.getFollowStatus(req.user, req.params.id);
+
+    return res.status(200).json({
+      status: 'success',
+      data: { isFollowing, counts }
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to fetch follow status');
+  }
+};
+
+/**
+ * List a user's followers, subject to their profile visibility
+ * @route GET /api/v1/users/:id/followers
+ */
+export const getFollowers = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    await FollowService.assertCanView(req.user, id, 'profileVisibility');
+
+    const { page, limit } = req.query;
+    const result = await FollowService.getFollowers(id, { page, limit });
+
+    return res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to fetch followers');
+  }
+};
+
+/**
+ * List the users someone follows, subject to their profile visibility
+ * @route GET /api/v1/users/:id/following
+ */
+export const getFollowing = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    await FollowService.assertCanView(req.user, id, 'profileVisibility');
+
+    const { page, limit } = req.query;
+    const result = await FollowService.getFollowing(id, { page, limit });
+
+    return res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    return handleError(error, next, 'Failed to fetch following');
+  }
+};
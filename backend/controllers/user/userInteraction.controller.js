@@ -3,8 +3,9 @@ import User from '../../models/user/user.model.js';
 import Upvote from '../../models/product/upvote.model.js';
 import Bookmark from '../../models/product/bookmark.model.js';
 import Product from '../../models/product/product.model.js';
-import { AppError, NotFoundError } from '../../utils/logging/error.js';
+import { AppError, ForbiddenError, NotFoundError } from '../../utils/logging/error.js';
 import logger from '../../utils/logging/logger.js';
+import FollowService from '../../services/user/follow.service.js';
 import { startOfWeek, endOfWeek, subWeeks, format, subDays, addDays } from 'date-fns';
 
 /**
@@ -53,6 +54,12 @@ export const getUserInteractions = async (req, res, next) => {
       return next(new NotFoundError('User not found'));
     }
 
+    // Upvotes and bookmarks are activity, protected by activityVisibility
+    const viewerContext = await FollowService.getViewerContext(req.user, user._id);
+    if (!FollowService.canView(user.privacySettings?.activityVisibility, viewerContext)) {
+      return next(new ForbiddenError('This user\'s activity is not visible to you'));
+    }
+
     // Get user's products
     const userProducts = await Product.find({ maker: id }).select('_id name slug');
     const productIds = userProducts.map(product => product._id);
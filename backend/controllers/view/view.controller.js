@@ -1118,7 +1118,7 @@ export const getRelatedProducts = async (req, res, next) => {
     const relatedProductIds = relatedViews.map((v) => v.product);
     const relatedProducts = await Product.find({
       _id: { $in: relatedProductIds },
-      status: "Published",
+      ...Product.publicFilter(),
     })
       .select("name slug thumbnail tagline maker category")
       .populate({
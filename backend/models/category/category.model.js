@@ -175,9 +175,10 @@ categorySchema.methods.getProductsWithSubcategories = async function(limit = 50)
     const allCategoryIds = [this._id, ...subcategories.map(sub => sub._id)];
     
     // Get products from this category and all subcategories
-    const products = await mongoose.model('Product').find({
+    const Product = mongoose.model('Product');
+    const products = await Product.find({
       category: { $in: allCategoryIds },
-      status: 'Published'
+      ...Product.publicFilter()
     })
     .sort({ createdAt: -1 })
     .limit(limit)
@@ -58,7 +58,7 @@ subcategorySchema.methods.getRelatedProducts = async function(limit = 10) {
   return await Product.find({ 
     category: this._id,
     categoryType: 'Subcategory',
-    status: 'Published'
+    ...Product.publicFilter()
   })
   .sort({ trendingScore: -1 })
   .limit(limit)
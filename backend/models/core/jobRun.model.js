@@ -0,0 +1,75 @@
+// models/core/jobRun.model.js
+
+import mongoose from "mongoose";
+
+const JOB_RUN_RETENTION_DAYS = parseInt(process.env.JOB_RUN_RETENTION_DAYS || "30", 10);
+
+/**
+ * One execution of a scheduled background job (see services/scheduler)
+ */
+const JobRunSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["running", "completed", "failed"],
+      default: "running",
+    },
+    trigger: {
+      type: String,
+      enum: ["schedule", "manual"],
+      default: "schedule",
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Driver that executed the run: "bullmq" or the in-process "local" fallback
+    driver: {
+      type: String,
+      enum: ["bullmq", "local"],
+      required: true,
+    },
+    attempt: {
+      type: Number,
+      default: 1,
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+    duration: {
+      type: Number,
+      default: null,
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+JobRunSchema.index({ name: 1, startedAt: -1 });
+JobRunSchema.index({ status: 1, startedAt: -1 });
+// Run history is only kept for a limited time
+JobRunSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: JOB_RUN_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const JobRun = mongoose.model("JobRun", JobRunSchema);
+
+export default JobRun;
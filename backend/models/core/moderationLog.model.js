@@ -0,0 +1,59 @@
+// models/core/moderationLog.model.js
+
+import mongoose from "mongoose";
+
+export const MODERATION_ACTIONS = [
+  "approve",
+  "reject",
+  "ban",
+  "unban",
+  "resubmit",
+  // Outcomes of user reports (see ReportService)
+  "auto_hide",
+  "resolve_reports",
+  "dismiss_reports",
+];
+
+/**
+ * Audit trail of moderation decisions. Entries are append-only; the current
+ * state lives on the moderated document itself.
+ */
+const ModerationLogSchema = new mongoose.Schema(
+  {
+    targetModel: {
+      type: String,
+      enum: ["Product", "Comment", "Project", "Job", "User"],
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "targetModel",
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: MODERATION_ACTIONS,
+      required: true,
+    },
+    // Reviewer who took the action; the maker for "resubmit", empty for "auto_hide"
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    previousStatus: String,
+    newStatus: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+ModerationLogSchema.index({ targetModel: 1, target: 1, createdAt: -1 });
+ModerationLogSchema.index({ actor: 1, createdAt: -1 });
+ModerationLogSchema.index({ createdAt: -1 });
+
+const ModerationLog = mongoose.model("ModerationLog", ModerationLogSchema);
+export default ModerationLog;
@@ -31,14 +31,39 @@ const RefreshTokenSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: "Unknown",
+    },
     replacedByToken: {
       type: String,
       default: null,
     },
+    // Rotation replaces the token on every refresh; these carry the session's
+    // identity across rotations for the active sessions list
+    sessionStartedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    location: {
+      country: { type: String, default: null },
+      region: { type: String, default: null },
+      city: { type: String, default: null },
+    },
   },
   { timestamps: true }
 );
 
+RefreshTokenSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+
 // Virtual to check if the token is expired
 RefreshTokenSchema.virtual("isExpired").get(function () {
   return Date.now() >= this.expiresAt;
@@ -0,0 +1,92 @@
+// models/core/report.model.js
+
+import mongoose from "mongoose";
+
+export const REPORT_REASONS = [
+  "spam",
+  "harassment",
+  "scam",
+  "fake",
+  "impersonation",
+  "inappropriate",
+  "other",
+];
+
+// "comment" and "reply" are both stored as Comment documents
+export const REPORT_TARGET_MODELS = {
+  product: "Product",
+  comment: "Comment",
+  reply: "Comment",
+  project: "Project",
+  job: "Job",
+  user: "User",
+};
+
+export const REPORT_TARGET_TYPES = Object.keys(REPORT_TARGET_MODELS);
+
+/**
+ * A user's report against a piece of content or a profile. Each reporter can
+ * report a target once; the target's hiddenByReports flag reflects the outcome.
+ */
+const reportSchema = new mongoose.Schema(
+  {
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: REPORT_TARGET_TYPES,
+      required: true,
+    },
+    targetModel: {
+      type: String,
+      enum: [...new Set(Object.values(REPORT_TARGET_MODELS))],
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "targetModel",
+      required: true,
+    },
+    // Author of the reported content (the user themselves for profile reports)
+    targetOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true,
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    status: {
+      type: String,
+      enum: ["open", "resolved", "dismissed"],
+      default: "open",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: Date,
+    reviewNotes: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+  },
+  { timestamps: true }
+);
+
+reportSchema.index({ reporter: 1, targetModel: 1, target: 1 }, { unique: true });
+reportSchema.index({ targetModel: 1, target: 1, status: 1 });
+reportSchema.index({ status: 1, createdAt: -1 });
+
+const Report = mongoose.model("Report", reportSchema);
+export default Report;
@@ -0,0 +1,44 @@
+// models/core/scheduledJob.model.js
+
+import mongoose from "mongoose";
+
+/**
+ * Persistent state of a named recurring job. Job definitions live in code
+ * (services/scheduler/jobs.js); this only tracks what must survive restarts.
+ */
+const ScheduledJobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    isPaused: {
+      type: Boolean,
+      default: false,
+    },
+    pausedAt: {
+      type: Date,
+      default: null,
+    },
+    pausedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastStatus: {
+      type: String,
+      enum: ["completed", "failed", null],
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const ScheduledJob = mongoose.model("ScheduledJob", ScheduledJobSchema);
+
+export default ScheduledJob;
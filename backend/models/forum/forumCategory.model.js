@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+import slugify from "slugify";
+
+const forumCategorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Category name is required"],
+      trim: true,
+      unique: true,
+      minlength: [2, "Category name must be at least 2 characters long"],
+      maxlength: [50, "Category name cannot exceed 50 characters"],
+    },
+    slug: {
+      type: String,
+      unique: true,
+      lowercase: true,
+      index: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    color: {
+      type: String,
+      default: "#7C3AED",
+      validate: {
+        validator: function (v) {
+          return /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(v);
+        },
+        message: "Invalid color hex code",
+      },
+    },
+    order: {
+      type: Number,
+      default: 1000, // New categories are listed last
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Denormalized for the category list, kept in sync by ForumService
+    threadCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+forumCategorySchema.index({ isActive: 1, order: 1 });
+
+// Generate a unique slug whenever the name changes
+forumCategorySchema.pre("save", async function (next) {
+  if (!this.isModified("name")) {
+    return next();
+  }
+
+  const baseSlug = slugify(this.name, { lower: true, strict: true });
+  let slug = baseSlug;
+  let counter = 0;
+
+  while (
+    await mongoose.model("ForumCategory").exists({ slug, _id: { $ne: this._id } })
+  ) {
+    counter++;
+    slug = `${baseSlug}-${counter}`;
+  }
+
+  this.slug = slug;
+  next();
+});
+
+const ForumCategory = mongoose.model("ForumCategory", forumCategorySchema);
+export default ForumCategory;
@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+// Replies nested deeper than this are attached at this depth
+export const MAX_REPLY_DEPTH = 5;
+
+const forumReplySchema = new mongoose.Schema(
+  {
+    // Sanitized HTML, see ForumService.sanitizeBody
+    body: {
+      type: String,
+      required: [true, "Reply content is required"],
+      maxlength: [10000, "Reply is too long"],
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    thread: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ForumThread",
+      required: true,
+      index: true,
+    },
+    // Reply being answered, null for top-level replies
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ForumReply",
+      default: null,
+      index: true,
+    },
+    // Top-level reply of the conversation this reply belongs to
+    rootParent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ForumReply",
+      default: null,
+      index: true,
+    },
+    depth: {
+      type: Number,
+      default: 0, // 0 = top-level reply, 1+ = nested replies
+    },
+    // Author of the parent, for "replying to @username"
+    replyingTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    upvotes: {
+      count: {
+        type: Number,
+        default: 0,
+      },
+      users: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+        select: false,
+      },
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+forumReplySchema.index({ thread: 1, parent: 1, createdAt: 1 });
+forumReplySchema.index({ thread: 1, rootParent: 1 });
+
+const ForumReply = mongoose.model("ForumReply", forumReplySchema);
+export default ForumReply;
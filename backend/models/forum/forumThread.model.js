@@ -0,0 +1,113 @@
+import mongoose from "mongoose";
+
+export const MAX_THREAD_TAGS = 5;
+
+const forumThreadSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Thread title is required"],
+      trim: true,
+      minlength: [5, "Title must be at least 5 characters long"],
+      maxlength: [200, "Title cannot exceed 200 characters"],
+    },
+    // Sanitized HTML, see ForumService.sanitizeBody
+    body: {
+      type: String,
+      required: [true, "Thread body is required"],
+      maxlength: [50000, "Thread body is too long"],
+    },
+    // Plain text of the body, used for search and excerpts
+    bodyText: {
+      type: String,
+      select: false,
+    },
+    excerpt: {
+      type: String,
+      maxlength: 300,
+    },
+    wordCount: {
+      type: Number,
+      default: 0,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ForumCategory",
+      required: [true, "Thread category is required"],
+    },
+    tags: {
+      type: [
+        {
+          type: String,
+          trim: true,
+          lowercase: true,
+          maxlength: [30, "Tags cannot exceed 30 characters"],
+        },
+      ],
+      validate: {
+        validator: (tags) => tags.length <= MAX_THREAD_TAGS,
+        message: `A thread can have at most ${MAX_THREAD_TAGS} tags`,
+      },
+    },
+    upvotes: {
+      count: {
+        type: Number,
+        default: 0,
+      },
+      users: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+        select: false,
+      },
+    },
+    views: {
+      count: {
+        type: Number,
+        default: 0,
+      },
+    },
+    // Denormalized reply stats, kept in sync by ForumService
+    replyCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastActivityAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastReplyBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    isPinned: {
+      type: Boolean,
+      default: false,
+    },
+    // Locked threads can be read but not replied to
+    isLocked: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+forumThreadSchema.index({ category: 1, isPinned: -1, lastActivityAt: -1 });
+forumThreadSchema.index({ isPinned: -1, lastActivityAt: -1 });
+forumThreadSchema.index({ tags: 1, lastActivityAt: -1 });
+forumThreadSchema.index({ createdAt: -1 });
+forumThreadSchema.index({ "upvotes.count": -1 });
+
+const ForumThread = mongoose.model("ForumThread", forumThreadSchema);
+export default ForumThread;
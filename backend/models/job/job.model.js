@@ -2,6 +2,59 @@ import mongoose from "mongoose";
 import slugify from "slugify";
 import { nanoid } from "nanoid";
 import logger from "../../utils/logging/logger.js";
+import { PIPELINE_STAGES } from "./jobApplication.model.js";
+
+export const SCREENING_QUESTION_TYPES = [
+  "short_text",
+  "long_text",
+  "yes_no",
+  "single_choice",
+  "multi_choice",
+  "number",
+];
+
+export const JOB_LOCATION_TYPES = ["Remote", "On-site", "Hybrid", "Flexible"];
+export const JOB_TYPES = ["Full-time", "Part-time", "Contract", "Freelance", "Internship"];
+export const EXPERIENCE_LEVELS = ["Entry Level", "Junior", "Mid-Level", "Senior", "Executive"];
+
+const screeningQuestionSchema = new mongoose.Schema({
+  prompt: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [300, "Question cannot exceed 300 characters"],
+  },
+  type: {
+    type: String,
+    enum: SCREENING_QUESTION_TYPES,
+    required: true,
+  },
+  required: {
+    type: Boolean,
+    default: false,
+  },
+  // Choices for single_choice and multi_choice
+  options: {
+    type: [String],
+    default: undefined,
+  },
+  // Answers that auto-reject the application: listed values for yes/no and
+  // choice questions, an allowed range for numbers. Hidden from candidates.
+  knockout: {
+    type: new mongoose.Schema(
+      {
+        values: {
+          type: [mongoose.Schema.Types.Mixed],
+          default: undefined,
+        },
+        min: Number,
+        max: Number,
+      },
+      { _id: false }
+    ),
+    select: false,
+  },
+});
 
 const jobSchema = new mongoose.Schema(
   {
@@ -27,12 +80,12 @@ const jobSchema = new mongoose.Schema(
     },
     locationType: {
       type: String,
-      enum: ["Remote", "On-site", "Hybrid", "Flexible"],
+      enum: JOB_LOCATION_TYPES,
       default: "Remote",
     },
     jobType: {
       type: String,
-      enum: ["Full-time", "Part-time", "Contract", "Freelance", "Internship"],
+      enum: JOB_TYPES,
       default: "Full-time",
     },
     description: {
@@ -54,7 +107,7 @@ const jobSchema = new mongoose.Schema(
     },
     experienceLevel: {
       type: String,
-      enum: ["Entry Level", "Junior", "Mid-Level", "Senior", "Executive"],
+      enum: EXPERIENCE_LEVELS,
       default: "Mid-Level",
     },
     salary: {
@@ -163,6 +216,54 @@ const jobSchema = new mongoose.Schema(
     expiresAt: {
       type: Date,
     },
+    // First time the posting went live; job alerts match on it
+    publishedAt: {
+      type: Date,
+      default: null,
+    },
+    // Lifecycle: set when the posting leaves the Published state
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    closeReason: {
+      type: String,
+      enum: ["expired", "filled", "manual", null],
+      default: null,
+    },
+    // Last expiry reminder sent to the poster (reset when the job is extended)
+    expiryReminderSentAt: {
+      type: Date,
+      default: null,
+    },
+    screeningQuestions: {
+      type: [screeningQuestionSchema],
+      default: [],
+    },
+    // Poster's own allowed application moves (stage -> stages). Stages left
+    // out use DEFAULT_STAGE_TRANSITIONS.
+    pipelineTransitions: {
+      type: Map,
+      of: [String],
+      default: undefined,
+      validate: {
+        validator: function (value) {
+          const entries = value instanceof Map ? [...value.entries()] : Object.entries(value || {});
+          return entries.every(
+            ([from, targets]) =>
+              PIPELINE_STAGES.includes(from) &&
+              Array.isArray(targets) &&
+              targets.every((to) => PIPELINE_STAGES.includes(to) && to !== from)
+          );
+        },
+        message: `Pipeline transitions may only use the stages ${PIPELINE_STAGES.join(", ")}`,
+      },
+    },
+    // Set once enough users report the posting, until an admin reviews it
+    hiddenByReports: {
+      type: Boolean,
+      default: false,
+    },
     metadata: {
       type: Map,
       of: mongoose.Schema.Types.Mixed,
@@ -197,7 +298,24 @@ jobSchema.pre("save", async function (next) {
       // Default to 30 days from now
       this.expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
     }
+
+    // Only a change into Published counts; plain saves (e.g. view counts) must not
+    if (!this.publishedAt && this.status === "Published" && (this.isNew || this.isModified("status"))) {
+      this.publishedAt = new Date();
+    }
     
+    // Track when the posting stopped accepting applications
+    if (this.isModified("status")) {
+      if (["Closed", "Filled"].includes(this.status)) {
+        this.closedAt = this.closedAt || new Date();
+        this.closeReason =
+          this.closeReason || (this.status === "Filled" ? "filled" : "manual");
+      } else {
+        this.closedAt = null;
+        this.closeReason = null;
+      }
+    }
+
     next();
   } catch (error) {
     logger.error(`Error in job pre-save hook: ${error.message}`);
@@ -205,6 +323,45 @@ jobSchema.pre("save", async function (next) {
   }
 });
 
+/**
+ * Whether the application deadline has passed. Date-only deadlines (midnight
+ * UTC, as sent by the job form) stay open until the end of that day.
+ */
+jobSchema.methods.isPastDeadline = function (now = new Date()) {
+  if (!this.deadline) return false;
+
+  const deadline = new Date(this.deadline);
+  if (
+    deadline.getUTCHours() === 0 &&
+    deadline.getUTCMinutes() === 0 &&
+    deadline.getUTCSeconds() === 0
+  ) {
+    deadline.setUTCHours(23, 59, 59, 999);
+  }
+  return now > deadline;
+};
+
+/**
+ * Status to show for the posting. A published job whose expiresAt has passed
+ * reads as Closed until the scheduled lifecycle run actually closes it.
+ */
+jobSchema.methods.getDisplayStatus = function (now = new Date()) {
+  if (this.status === "Published" && this.expiresAt && this.expiresAt <= now) {
+    return "Closed";
+  }
+  return this.status;
+};
+
+// Virtual for whether the job currently accepts applications
+jobSchema.virtual("isAcceptingApplications").get(function () {
+  const now = new Date();
+  return (
+    this.status === "Published" &&
+    (!this.expiresAt || this.expiresAt > now) &&
+    !this.isPastDeadline(now)
+  );
+});
+
 // Virtual for applications
 jobSchema.virtual("jobApplications", {
   ref: "JobApplication",
@@ -227,6 +384,34 @@ jobSchema.index({ status: 1, expiresAt: 1 });
 jobSchema.index({ poster: 1 });
 jobSchema.index({ featured: 1 });
 jobSchema.index({ createdAt: -1 });
+jobSchema.index({ status: 1, publishedAt: -1 });
+
+/**
+ * Conditions for a posting anyone may see: published and not hidden by user
+ * reports. Public listings, search and alerts spread this into their queries;
+ * the poster's own views and lifecycle jobs filter on status directly.
+ * @returns {Object}
+ */
+jobSchema.statics.publicFilter = function () {
+  return { status: "Published", hiddenByReports: { $ne: true } };
+};
+
+/**
+ * Conditions matching postings by the status getDisplayStatus() reports, so
+ * filtering on "Closed" also finds published postings that have expired.
+ * @param {string} status - Status to match
+ * @param {Date} [now] - Reference time
+ * @returns {Object}
+ */
+jobSchema.statics.displayStatusFilter = function (status, now = new Date()) {
+  if (status === "Published") {
+    return { status, expiresAt: { $not: { $lte: now } } };
+  }
+  if (status === "Closed") {
+    return { $or: [{ status }, { status: "Published", expiresAt: { $lte: now } }] };
+  }
+  return { status };
+};
 
 const Job = mongoose.model("Job", jobSchema);
 export default Job;
@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+import { JOB_LOCATION_TYPES, JOB_TYPES, EXPERIENCE_LEVELS } from "./job.model.js";
+
+export const ALERT_FREQUENCIES = ["instant", "daily", "weekly"];
+
+/**
+ * A saved job search. New postings matching the criteria are sent to the
+ * user as notifications and emails, right away or in a daily/weekly batch.
+ */
+const jobAlertSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [100, "Alert name cannot exceed 100 characters"],
+    },
+    // Criteria, matched the same way as the jobs page filters. Empty ones match anything.
+    query: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Search text cannot exceed 200 characters"],
+    },
+    locationType: {
+      type: String,
+      enum: [...JOB_LOCATION_TYPES, null],
+      default: null,
+    },
+    jobType: {
+      type: String,
+      enum: [...JOB_TYPES, null],
+      default: null,
+    },
+    experienceLevel: {
+      type: String,
+      enum: [...EXPERIENCE_LEVELS, null],
+      default: null,
+    },
+    salaryMin: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    salaryMax: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    skills: {
+      type: [String],
+      default: [],
+    },
+    frequency: {
+      type: String,
+      enum: ALERT_FREQUENCIES,
+      default: "daily",
+    },
+    emailEnabled: {
+      type: Boolean,
+      default: true,
+    },
+    paused: {
+      type: Boolean,
+      default: false,
+    },
+    // Start of the next daily/weekly batch window
+    lastCheckedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastSentAt: {
+      type: Date,
+      default: null,
+    },
+    // Recently sent jobs, so a job is never sent twice for one alert
+    sentJobs: {
+      type: [mongoose.Schema.Types.ObjectId],
+      default: [],
+      select: false,
+    },
+  },
+  { timestamps: true }
+);
+
+jobAlertSchema.index({ user: 1, createdAt: -1 });
+jobAlertSchema.index({ frequency: 1, paused: 1, lastCheckedAt: 1 });
+
+const JobAlert = mongoose.model("JobAlert", jobAlertSchema);
+export default JobAlert;
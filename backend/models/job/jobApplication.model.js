@@ -1,6 +1,50 @@
 import mongoose from "mongoose";
 import logger from "../../utils/logging/logger.js";
 
+export const APPLICATION_STATUSES = ["Pending", "Reviewed", "Shortlisted", "Rejected", "Hired", "Withdrawn"];
+
+// Stages a poster can move an application between ("Withdrawn" is the
+// applicant's own action)
+export const PIPELINE_STAGES = APPLICATION_STATUSES.filter((status) => status !== "Withdrawn");
+
+// Moves allowed when a job doesn't configure its own
+export const DEFAULT_STAGE_TRANSITIONS = {
+  Pending: ["Reviewed", "Shortlisted", "Rejected"],
+  Reviewed: ["Shortlisted", "Rejected"],
+  Shortlisted: ["Reviewed", "Hired", "Rejected"],
+  Rejected: ["Reviewed"],
+  Hired: [],
+};
+
+const stageChangeSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      enum: APPLICATION_STATUSES,
+    },
+    to: {
+      type: String,
+      enum: APPLICATION_STATUSES,
+      required: true,
+    },
+    movedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Optional note to the candidate, included in their email
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Message cannot exceed 2000 characters"],
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
 const jobApplicationSchema = new mongoose.Schema(
   {
     job: {
@@ -13,12 +57,15 @@ const jobApplicationSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // The stored file is only served through signed download links, so its
+    // location never leaves the server
     resume: {
       url: {
         type: String,
         required: true,
+        select: false,
       },
-      publicId: String,
+      publicId: { type: String, select: false },
       name: String,
       fileType: String, // PDF, DOC, DOCX
       fileSize: Number, // Size in bytes
@@ -29,13 +76,47 @@ const jobApplicationSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["Pending", "Reviewed", "Shortlisted", "Rejected", "Hired", "Withdrawn"],
+      enum: APPLICATION_STATUSES,
       default: "Pending",
     },
+    // Every status change, oldest first
+    stageHistory: {
+      type: [stageChangeSchema],
+      default: [],
+    },
+    // Screening answers, with the question copied in case the job changes later
     answers: [{
+      questionId: mongoose.Schema.Types.ObjectId,
       question: String,
-      answer: String,
+      type: { type: String },
+      answer: mongoose.Schema.Types.Mixed,
     }],
+    // Set when an answer hit one of the job's knockout rules
+    screening: {
+      knockedOut: {
+        type: Boolean,
+        default: false,
+      },
+      knockoutQuestions: [mongoose.Schema.Types.ObjectId],
+    },
+    // Candidate-job match from the applicant's jobseeker/freelancer profile,
+    // scored when they apply. Cleared when the job's requirements change.
+    match: {
+      score: {
+        type: Number,
+        min: 0,
+        max: 100,
+      },
+      matchingSkills: {
+        type: [String],
+        default: undefined,
+      },
+      missingSkills: {
+        type: [String],
+        default: undefined,
+      },
+      scoredAt: Date,
+    },
     notes: {
       type: String,
       trim: true,
@@ -63,6 +144,7 @@ jobApplicationSchema.index({ job: 1, applicant: 1 }, { unique: true });
 
 // Indexes for querying
 jobApplicationSchema.index({ job: 1, status: 1 });
+jobApplicationSchema.index({ job: 1, "match.score": -1 });
 jobApplicationSchema.index({ applicant: 1 });
 jobApplicationSchema.index({ createdAt: -1 });
 
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+/**
+ * Audit record written each time a resume is downloaded through a signed
+ * link, so applicants can see who opened it and when. Append-only.
+ */
+const resumeDownloadSchema = new mongoose.Schema(
+  {
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JobApplication",
+      required: true,
+    },
+    viewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // How the viewer was allowed in
+    viewerRole: {
+      type: String,
+      enum: ["applicant", "poster", "admin"],
+      required: true,
+    },
+    ip: String,
+    userAgent: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+resumeDownloadSchema.index({ application: 1, createdAt: -1 });
+
+const ResumeDownload = mongoose.model("ResumeDownload", resumeDownloadSchema);
+export default ResumeDownload;
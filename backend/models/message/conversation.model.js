@@ -0,0 +1,92 @@
+// models/message/conversation.model.js
+import mongoose from "mongoose";
+
+// Per-participant read state of a conversation
+const participantStateSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    lastReadAt: {
+      type: Date,
+      default: null,
+    },
+    unreadCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+const conversationSchema = new mongoose.Schema(
+  {
+    // Exactly two users; direct messages only
+    participants: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      validate: {
+        validator: (participants) => participants.length === 2,
+        message: "A conversation must have exactly two participants",
+      },
+    },
+    // Sorted participant IDs joined with ":", so each pair has one conversation
+    participantKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // User who sent the first message. They can always be replied to, even
+    // when their own allowMessaging setting would reject new conversations.
+    initiator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    participantStates: [participantStateSchema],
+    lastMessage: {
+      sender: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      preview: { type: String, maxlength: 140 },
+      sentAt: Date,
+    },
+    lastMessageAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+
+/**
+ * Sorted key identifying the conversation between two users
+ * @param {string|ObjectId} userA
+ * @param {string|ObjectId} userB
+ * @returns {string}
+ */
+conversationSchema.statics.buildParticipantKey = function (userA, userB) {
+  return [userA.toString(), userB.toString()].sort().join(":");
+};
+
+/**
+ * @param {string|ObjectId} userId
+ * @returns {boolean}
+ */
+conversationSchema.methods.hasParticipant = function (userId) {
+  return this.participants.some((participant) => participant.toString() === userId.toString());
+};
+
+/**
+ * The participant who isn't the given user
+ * @param {string|ObjectId} userId
+ * @returns {ObjectId}
+ */
+conversationSchema.methods.getOtherParticipant = function (userId) {
+  return this.participants.find((participant) => participant.toString() !== userId.toString());
+};
+
+const Conversation = mongoose.model("Conversation", conversationSchema);
+export default Conversation;
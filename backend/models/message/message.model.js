@@ -0,0 +1,31 @@
+// models/message/message.model.js
+import mongoose from "mongoose";
+
+export const MAX_MESSAGE_LENGTH = 5000;
+
+const messageSchema = new mongoose.Schema(
+  {
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      required: true,
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    content: {
+      type: String,
+      required: [true, "Message content is required"],
+      trim: true,
+      maxlength: [MAX_MESSAGE_LENGTH, `Messages cannot exceed ${MAX_MESSAGE_LENGTH} characters`],
+    },
+  },
+  { timestamps: true }
+);
+
+messageSchema.index({ conversation: 1, createdAt: -1 });
+
+const Message = mongoose.model("Message", messageSchema);
+export default Message;
@@ -0,0 +1,53 @@
+// models/message/messageReport.model.js
+import mongoose from "mongoose";
+
+export const MESSAGE_REPORT_REASONS = ["spam", "harassment", "scam", "inappropriate", "other"];
+
+const messageReportSchema = new mongoose.Schema(
+  {
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // User being reported (the other participant)
+    reportedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      required: true,
+    },
+    // Specific message, when the report is about one
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    reason: {
+      type: String,
+      enum: MESSAGE_REPORT_REASONS,
+      required: true,
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    status: {
+      type: String,
+      enum: ["open", "resolved", "dismissed"],
+      default: "open",
+    },
+  },
+  { timestamps: true }
+);
+
+messageReportSchema.index({ status: 1, createdAt: -1 });
+messageReportSchema.index({ reporter: 1, conversation: 1, message: 1 }, { unique: true });
+
+const MessageReport = mongoose.model("MessageReport", messageReportSchema);
+export default MessageReport;
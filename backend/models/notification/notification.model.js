@@ -8,9 +8,15 @@ const notificationSchema = new mongoose.Schema(
       required: true,
       index: true
     },
+    // User whose action triggered the notification (null for system events)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
     type: {
       type: String,
-      enum: ['upvote', 'comment', 'reply', 'system', 'product'],
+      enum: ['upvote', 'bookmark', 'comment', 'reply', 'mention', 'system', 'product', 'job', 'follow'],
       required: true
     },
     message: {
@@ -24,6 +30,36 @@ const notificationSchema = new mongoose.Schema(
     isRead: {
       type: Boolean,
       default: false
+    },
+    // Grouping: repeated events of the same type on the same target collapse
+    // into one record (e.g. "Alice and 12 others upvoted X")
+    groupKey: {
+      type: String,
+      default: null
+    },
+    // Most recent actors, newest first (a small sample for display)
+    actors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    ],
+    // Every distinct actor in the group; actorCount is its size
+    actorIds: {
+      type: [mongoose.Schema.Types.ObjectId],
+      select: false
+    },
+    actorCount: {
+      type: Number,
+      default: 1
+    },
+    lastActivityAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Set while a group still accepts new activity; unset once it goes quiet
+    groupOpen: {
+      type: Boolean
     }
   },
   { timestamps: true }
@@ -32,7 +68,22 @@ const notificationSchema = new mongoose.Schema(
 // Index for efficient querying
 notificationSchema.index({ user: 1, createdAt: -1 });
 notificationSchema.index({ user: 1, isRead: 1 });
+notificationSchema.index({ user: 1, lastActivityAt: -1 });
+notificationSchema.index({ user: 1, groupKey: 1, lastActivityAt: -1 });
+// One open group per recipient and key, so concurrent first events can't
+// each start their own
+notificationSchema.index(
+  { user: 1, groupKey: 1 },
+  { unique: true, partialFilterExpression: { groupOpen: true } }
+);
+
+notificationSchema.virtual('isGrouped').get(function () {
+  return (this.actorCount || 1) > 1;
+});
+
+notificationSchema.set('toJSON', { virtuals: true });
+notificationSchema.set('toObject', { virtuals: true });
 
 const Notification = mongoose.model('Notification', notificationSchema);
 
-export default Notification;
\ No newline at end of file
+export default Notification;
@@ -0,0 +1,45 @@
+// models/product/changelog.model.js
+
+import mongoose from "mongoose";
+
+/**
+ * Public "What's new" entry a maker writes about a product update
+ */
+const ChangelogSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    title: {
+      type: String,
+      required: [true, "Changelog title is required"],
+      trim: true,
+      maxlength: [120, "Changelog title cannot exceed 120 characters"],
+    },
+    body: {
+      type: String,
+      required: [true, "Changelog details are required"],
+      trim: true,
+      maxlength: [5000, "Changelog details cannot exceed 5000 characters"],
+    },
+    // Optional release label, e.g. "v2.1"
+    version: {
+      type: String,
+      trim: true,
+      maxlength: [30, "Version cannot exceed 30 characters"],
+    },
+  },
+  { timestamps: true }
+);
+
+ChangelogSchema.index({ product: 1, createdAt: -1 });
+
+const Changelog = mongoose.model("Changelog", ChangelogSchema);
+export default Changelog;
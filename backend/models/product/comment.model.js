@@ -47,6 +47,11 @@ const commentSchema = new mongoose.Schema(
       ref: "User",
       default: null,
     },
+    // Set once enough users report the comment, until an admin reviews it
+    hiddenByReports: {
+      type: Boolean,
+      default: false,
+    },
     likes: {
       count: {
         type: Number,
@@ -73,6 +78,14 @@ commentSchema.index({ product: 1, rootParent: 1 }); // For fetching all replies
 commentSchema.index({ createdAt: -1 });
 commentSchema.index({ depth: 1 }); // For filtering by depth
 
+// Comments hidden by user reports drop out of a product's comment threads.
+// Lookups by id (editing, moderation) are unaffected.
+commentSchema.pre(["find", "countDocuments"], function () {
+  if (this.getFilter().product) {
+    this.where({ hiddenByReports: { $ne: true } });
+  }
+});
+
 // Count direct replies to this comment
 commentSchema.virtual("replyCount", {
   ref: "Comment",
@@ -0,0 +1,67 @@
+// models/product/leaderboardSnapshot.model.js
+
+import mongoose from "mongoose";
+
+export const LEADERBOARD_PERIODS = ["day", "week", "month"];
+
+/**
+ * Final standings of a closed leaderboard period. Written once when the
+ * period ends (see LeaderboardService) and served instead of a live ranking
+ * from then on, so later upvotes can't reshuffle a finished day.
+ */
+const LeaderboardSnapshotSchema = new mongoose.Schema(
+  {
+    period: {
+      type: String,
+      enum: LEADERBOARD_PERIODS,
+      required: true,
+    },
+    // First day of the period ("2026-10-19"), or the month for monthly ("2026-10")
+    periodKey: {
+      type: String,
+      required: true,
+    },
+    timeZone: {
+      type: String,
+      required: true,
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+    },
+    entries: [
+      {
+        _id: false,
+        rank: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        upvoteCount: {
+          type: Number,
+          default: 0,
+        },
+        commentCount: {
+          type: Number,
+          default: 0,
+        },
+      },
+    ],
+  },
+  { timestamps: { createdAt: "finalizedAt", updatedAt: false } }
+);
+
+LeaderboardSnapshotSchema.index({ period: 1, periodKey: 1, timeZone: 1 }, { unique: true });
+LeaderboardSnapshotSchema.index({ "entries.product": 1 });
+
+const LeaderboardSnapshot = mongoose.model("LeaderboardSnapshot", LeaderboardSnapshotSchema);
+export default LeaderboardSnapshot;
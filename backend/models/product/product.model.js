@@ -303,7 +303,48 @@ const productSchema = new mongoose.Schema(
       },
     ],
     launchedAt: Date,
+    // Drafts go live automatically at this time (see ProductLaunchService)
+    scheduledLaunchAt: {
+      type: Date,
+      default: null,
+    },
     lastPromoted: Date,
+    // Recomputed by TrendingService from engagement in the trending window
+    trendingScore: {
+      type: Number,
+      default: 0,
+    },
+    trendingStats: {
+      upvotes: { type: Number, default: 0 },
+      comments: { type: Number, default: 0 },
+      views: { type: Number, default: 0 },
+      bookmarks: { type: Number, default: 0 },
+      calculatedAt: Date,
+    },
+    // Top leaderboard placements, awarded when a period closes (see LeaderboardService)
+    badges: [
+      {
+        _id: false,
+        period: {
+          type: String,
+          enum: ["day", "week", "month"],
+          required: true,
+        },
+        periodKey: {
+          type: String,
+          required: true,
+        },
+        rank: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        awardedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     metadata: {
       seo: {
         title: {
@@ -327,6 +368,13 @@ const productSchema = new mongoose.Schema(
         type: Boolean,
         default: false,
       },
+      banReason: String,
+      bannedAt: Date,
+    },
+    // Set once enough users report the product, until an admin reviews it
+    hiddenByReports: {
+      type: Boolean,
+      default: false,
     },
     moderation: {
       lastReviewedAt: Date,
@@ -363,8 +411,36 @@ productSchema.index({ createdAt: -1 });
 productSchema.index({ status: 1, featured: 1 });
 productSchema.index({ "views.count": -1 });
 productSchema.index({ launchedAt: -1 });
+productSchema.index({ status: 1, launchedAt: 1 });
+productSchema.index({ status: 1, scheduledLaunchAt: 1 });
 productSchema.index({ bookmarks: 1 });
 productSchema.index({ trendingScore: -1 });
+productSchema.index({ status: 1, trendingScore: -1 });
+productSchema.index({ "moderation.status": 1, createdAt: 1 });
+
+// Rejected, banned and report-hidden products stay reachable for their maker and admins but
+// drop out of everything public
+export const MODERATION_VISIBLE_FILTER = {
+  "flags.isBanned": { $ne: true },
+  "moderation.status": { $ne: "rejected" },
+  hiddenByReports: { $ne: true },
+};
+
+/**
+ * Conditions for a product anyone may see: published and not held back by
+ * moderation. Public lists, search and recommendations spread this into their
+ * queries; the maker's own views and internal jobs filter on status directly.
+ * @param {string} [prefix] - Path of a joined product, e.g. "product."
+ * @returns {Object}
+ */
+productSchema.statics.publicFilter = function (prefix = "") {
+  return Object.fromEntries(
+    Object.entries({ status: "Published", ...MODERATION_VISIBLE_FILTER }).map(([path, condition]) => [
+      `${prefix}${path}`,
+      condition,
+    ])
+  );
+};
 
 // Virtual fields
 productSchema.virtual("comments", {
@@ -393,42 +469,6 @@ productSchema.virtual("categoryNameVirtual").get(function () {
   return this.categoryName || "";
 });
 
-// Virtual field for calculating trending score
-productSchema.virtual("trendingScore").get(function () {
-  try {
-    const now = new Date();
-    const ageInHours = Math.max(1, (now - this.createdAt) / (1000 * 60 * 60));
-    const ageInDays = ageInHours / 24;
-
-    // Get engagement metrics with safe fallbacks
-    const viewCount = this.views?.count || 0;
-    const uniqueViewCount = this.views?.unique || 0;
-    const upvoteCount = this.upvoteCount || 0;
-    const bookmarkCount = this.bookmarkCount || 0; // Use the virtual field
-    const commentCount = this.commentCount || 0;
-
-    // Calculate weighted engagement score
-    const engagementScore =
-      (upvoteCount * 5) +
-      (viewCount * 0.5) +
-      (uniqueViewCount * 1) +
-      (bookmarkCount * 3) +
-      (commentCount * 2);
-
-    // Apply time-based decay factor
-    const recencyBonus = Math.min(30 / (ageInDays + 1), 3);
-
-    // Calculate final score with fallbacks for edge cases
-    const rawScore = Math.max(0, engagementScore * recencyBonus);
-
-    // Apply logarithmic scaling to prevent extreme outliers
-    return rawScore > 0 ? Math.log10(1 + rawScore) * 2 : 0.01;
-  } catch (error) {
-    console.error(`Error calculating trending score for product ${this._id}:`, error);
-    return 0.01; // Return minimum score on error
-  }
-});
-
 // Add recommendation-related virtuals
 productSchema.virtual("recommendationStats").get(function () {
   return {
@@ -444,57 +484,6 @@ productSchema.virtual("recommendationStats").get(function () {
   };
 });
 
-// Enhanced trending score calculation
-productSchema.virtual("trendingScore").get(function () {
-  const now = new Date();
-  const ageInHours = Math.max(1, (now - this.createdAt) / (1000 * 60 * 60));
-  const ageInDays = ageInHours / 24;
-
-  // Get engagement metrics
-  const viewCount = this.views?.count || 0;
-  const uniqueViewCount = this.views?.unique || 0;
-  const upvoteCount = this.upvoteCount || 0;
-  const bookmarkCount = this.bookmarkCount || 0; // Use the virtual field
-  const commentCount = this.commentCount || 0;
-
-  // Calculate recent engagement (last 7 days)
-  const recentViews = (this.views?.history || []).filter(
-    (view) => now - new Date(view.timestamp) < 7 * 24 * 60 * 60 * 1000
-  ).length;
-
-  // Calculate weighted engagement score
-  const engagementScore =
-    upvoteCount * 5 +
-    viewCount * 0.5 +
-    uniqueViewCount * 1 +
-    bookmarkCount * 3 +
-    commentCount * 2 +
-    recentViews * 1.5;
-
-  // Apply time-based decay factor (Wilson score inspired)
-  const recencyBonus = Math.min(30 / (ageInDays + 1), 3);
-
-  // Apply velocity factor (engagement per unit time)
-  const velocityFactor = Math.min(
-    engagementScore / Math.max(ageInDays, 1),
-    100
-  );
-
-  // Calculate final trending score with logarithmic scaling
-  const rawScore = (engagementScore + velocityFactor) * recencyBonus;
-
-  // Add recommendation engagement to trending score
-  const recommendationEngagement =
-    ((this.views?.recommendationClicks || 0) * 2 +
-      (this.views?.recommendationImpressions || 0) * 0.1) /
-    Math.max(1, (now - this.createdAt) / (1000 * 60 * 60 * 24));
-
-  return (
-    (rawScore * 0.7 + recommendationEngagement * 0.3) /
-    (Math.max(viewCount, 1) * Math.pow(ageInHours + 12, 1.8))
-  );
-});
-
 // Pre-save middleware
 productSchema.pre("save", async function (next) {
   try {
@@ -529,6 +518,11 @@ productSchema.pre("save", async function (next) {
       this.launchedAt = new Date();
     }
 
+    // A launch schedule only applies to drafts
+    if (this.status !== "Draft" && this.scheduledLaunchAt) {
+      this.scheduledLaunchAt = null;
+    }
+
     // Process tags
     if (this.isModified("tags")) {
       this.tags = this.tags
@@ -689,19 +683,6 @@ productSchema.methods.recordView = async function (userId, clientId) {
   }
 };
 
-productSchema.virtual("trendingScore").get(function () {
-  const ageInHours = (new Date() - this.createdAt) / (1000 * 60 * 60);
-  const upvoteCount = this.upvotes?.length || 0;
-  const viewCount = this.views?.count || 0;
-  const commentCount = this.comments?.length || 0;
-  const bookmarkCount = this.bookmarks?.length || 0;
-
-  const rawScore =
-    (upvoteCount * 3 + viewCount * 1 + commentCount * 2 + bookmarkCount * 2.5) *
-    (ageInHours < 72 ? 1.5 : 1);
-  return rawScore / (Math.max(viewCount, 1) * Math.pow(ageInHours + 12, 1.8)); // Normalize by views
-});
-
 // Toggle upvote method
 productSchema.methods.toggleUpvote = async function (userId) {
   try {
@@ -0,0 +1,56 @@
+// models/product/productRevision.model.js
+
+import mongoose from "mongoose";
+
+/**
+ * One edit to a product: the fields that changed, with their values before
+ * and after. Written by ProductRevisionService on every update; never edited.
+ * Revision 0 is the baseline: the product as it was before its first
+ * recorded edit, kept whole in `snapshot` so it can be restored.
+ */
+const ProductRevisionSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // Per-product sequence: 0 for the baseline, then 1, 2, ...
+    number: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    editor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    changes: [
+      {
+        _id: false,
+        field: {
+          type: String,
+          required: true,
+        },
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    // Tracked fields as they were before the first edit (baseline only)
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+    // Set when this revision rolled the product back to an earlier one
+    restoredFrom: {
+      type: Number,
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+ProductRevisionSchema.index({ product: 1, number: -1 }, { unique: true });
+
+const ProductRevision = mongoose.model("ProductRevision", ProductRevisionSchema);
+export default ProductRevision;
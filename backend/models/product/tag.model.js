@@ -70,7 +70,7 @@ tagSchema.statics.updateTagCounts = async function() {
   for (const tag of tags) {
     const count = await Product.countDocuments({ 
       tags: tag.name,
-      status: 'Published'
+      ...Product.publicFilter()
     });
     
     tag.count = count;
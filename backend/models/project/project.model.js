@@ -240,6 +240,11 @@ const projectSchema = new mongoose.Schema(
       enum: ["public", "private", "unlisted"],
       default: "public",
     },
+    // Set once enough users report the project, until an admin reviews it
+    hiddenByReports: {
+      type: Boolean,
+      default: false,
+    },
     // Analytics
     analytics: {
       views: {
@@ -665,5 +670,20 @@ projectSchema.index({ category: 1, subCategory: 1 });
 projectSchema.index({ technologies: 1 });
 projectSchema.index({ skills: 1 });
 
+// Projects hidden by user reports drop out of public listings and search,
+// which all filter on visibility "public"
+projectSchema.pre(["find", "findOne", "countDocuments"], function () {
+  if (this.getFilter().visibility === "public") {
+    this.where({ hiddenByReports: { $ne: true } });
+  }
+});
+
+projectSchema.pre("aggregate", function () {
+  const [firstStage] = this.pipeline();
+  if (firstStage?.$match?.visibility === "public") {
+    firstStage.$match = { ...firstStage.$match, hiddenByReports: { $ne: true } };
+  }
+});
+
 const Project = mongoose.model("Project", projectSchema);
 export default Project;
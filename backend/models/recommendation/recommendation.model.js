@@ -156,7 +156,7 @@ recommendationSchema.statics.getRecommendationsForUser = async function (
     const rec = await this.findOne({ user: userId })
       .populate({
         path: "recommendedProducts.product",
-        match: { status: "Published" },
+        match: mongoose.model("Product").publicFilter(),
         select:
           "name slug tagline description thumbnail category tags maker createdAt upvoteCount views",
         populate: [
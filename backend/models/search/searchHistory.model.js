@@ -14,7 +14,7 @@ const searchHistorySchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['all', 'products', 'jobs', 'projects', 'users'],
+      enum: ['all', 'products', 'jobs', 'projects', 'users', 'threads'],
       default: 'all'
     },
     count: {
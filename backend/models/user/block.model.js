@@ -0,0 +1,26 @@
+// models/user/block.model.js
+import mongoose from "mongoose";
+
+const blockSchema = new mongoose.Schema(
+  {
+    // User who blocks
+    blocker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // User being blocked
+    blocked: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+blockSchema.index({ blocked: 1 });
+
+const Block = mongoose.model("Block", blockSchema);
+export default Block;
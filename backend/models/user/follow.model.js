@@ -0,0 +1,27 @@
+// models/follow.model.js
+import mongoose from "mongoose";
+
+const followSchema = new mongoose.Schema(
+  {
+    // User who follows
+    follower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // User being followed (makers, startups and regular users alike)
+    following: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ following: 1, createdAt: -1 });
+followSchema.index({ follower: 1, createdAt: -1 });
+
+const Follow = mongoose.model("Follow", followSchema);
+export default Follow;
@@ -61,7 +61,7 @@ const userSchema = new mongoose.Schema(
     },
     registrationMethod: {
       type: String,
-      enum: ["email", "phone", "google"],
+      enum: ["email", "phone", "google", "github", "linkedin"],
       default: "email",
     },
     isEmailVerified: {
@@ -72,22 +72,21 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
-    // Google OAuth fields
-    googleId: {
-      type: String,
-      sparse: true, // Allows multiple null values
-      index: true,
-    },
-    isGoogleLinked: {
-      type: Boolean,
-      default: false,
-    },
-    googleProfile: {
-      displayName: String,
-      email: String,
-      profilePicture: String,
-      emailVerified: Boolean,
-    },
+    // Accounts at OAuth providers (Google, GitHub, LinkedIn), managed by OAuthAccountService
+    linkedAccounts: [
+      {
+        provider: { type: String, enum: ["google", "github", "linkedin"], required: true },
+        providerId: { type: String, required: true },
+        email: String,
+        emailVerified: { type: Boolean, default: false },
+        displayName: String,
+        username: String, // Provider handle, e.g. the GitHub login
+        profileUrl: String,
+        profilePicture: String,
+        linkedAt: { type: Date, default: Date.now },
+        lastUsedAt: { type: Date, default: null },
+      },
+    ],
     role: {
       type: String,
       enum: [
@@ -140,6 +139,7 @@ const userSchema = new mongoose.Schema(
         mentions: { type: Boolean, default: true },
         upvotes: { type: Boolean, default: true },
         newsletter: { type: Boolean, default: true },
+        digestFrequency: { type: String, enum: ["daily", "weekly", "never"], default: "weekly" },
       },
       pushNotifications: {
         productUpdates: { type: Boolean, default: true },
@@ -166,6 +166,34 @@ const userSchema = new mongoose.Schema(
       twoFactorEnabled: { type: Boolean, default: false },
       loginAlerts: { type: Boolean, default: false },
     },
+    // Authenticator-app 2FA state, managed by TwoFactorService
+    twoFactor: {
+      secret: { type: String, select: false }, // Encrypted TOTP secret
+      pendingSecret: { type: String, select: false }, // Set during enrollment until the first code is verified
+      pendingSecretCreatedAt: { type: Date, select: false },
+      lastUsedStep: { type: Number, select: false }, // Prevents replaying a code inside its time window
+      recoveryCodes: {
+        type: [{ hash: String, usedAt: { type: Date, default: null } }],
+        select: false,
+      },
+      enabledAt: { type: Date, default: null },
+      failedAttempts: { type: Number, default: 0, select: false },
+      lockedUntil: { type: Date, select: false },
+    },
+    // Registered WebAuthn authenticators, managed by PasskeyService
+    passkeys: [
+      {
+        credentialId: { type: String, required: true }, // base64url
+        publicKey: { type: String, select: false }, // base64url COSE key
+        algorithm: { type: Number, required: true }, // COSE algorithm identifier
+        signCount: { type: Number, default: 0 },
+        transports: [String],
+        name: { type: String, trim: true, maxlength: 50, default: "Passkey" },
+        backedUp: { type: Boolean, default: false }, // Synced passkey (e.g. iCloud Keychain)
+        createdAt: { type: Date, default: Date.now },
+        lastUsedAt: { type: Date, default: null },
+      },
+    ],
     headline: {
       type: String,
       trim: true,
@@ -382,9 +410,23 @@ const userSchema = new mongoose.Schema(
       },
     ],
     lastLogin: Date,
+    lastDigestSentAt: { type: Date, default: null },
     lastEmailVerificationRequest: { type: Date, default: null },
     lockUntil: Date,
     loginAttempts: { type: Number, default: 0 },
+    // Password reset state (written by the password controller)
+    passwordResetToken: { type: String, select: false },
+    passwordResetExpires: { type: Date, select: false },
+    lastPasswordResetRequest: { type: Date, select: false },
+    passwordChangedAt: Date,
+    // Set when the user reports a sign-in they don't recognize; password login
+    // stays blocked until the password is reset
+    passwordResetRequired: { type: Boolean, default: false },
+    // jti of each unused "this wasn't me" link from login alerts, newest last
+    securityAlertJtis: { type: [String], select: false },
+    // Set once enough users report the profile, until an admin reviews it;
+    // the profile is shown restricted to everyone but the user and admins
+    hiddenByReports: { type: Boolean, default: false },
     tempPhone: { type: String, default: null }, // For phone verification process
     otpSentAt: { type: Date, default: null },
     otpFailedAttempts: { type: Number, default: 0 },
@@ -442,6 +484,12 @@ userSchema.index({ role: 1 });
 userSchema.index({ secondaryRoles: 1 });
 userSchema.index({ interests: 1 });
 userSchema.index({ lastLogin: -1 });
+// A provider account can be linked to one user only
+userSchema.index(
+  { "linkedAccounts.provider": 1, "linkedAccounts.providerId": 1 },
+  { unique: true, partialFilterExpression: { "linkedAccounts.providerId": { $exists: true } } }
+);
+userSchema.index({ "passkeys.credentialId": 1 }, { sparse: true });
 // Sparse indexes for role details if querying by specific role is needed
 userSchema.index({ "roleDetails.startupOwner": 1 }, { sparse: true });
 userSchema.index({ "roleDetails.investor": 1 }, { sparse: true });
@@ -613,6 +661,7 @@ userSchema.methods.getFullProfile = function () {
   delete profile.otpFailedAttempts;
   delete profile.verificationAttempts;
   delete profile.verificationRequirements;
+  delete profile.passkeys;
   delete profile.__v;
   // Decide if activity should be included here or fetched separately
   // delete profile.activity;
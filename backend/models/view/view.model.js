@@ -984,7 +984,7 @@ viewSchema.statics.getPopularProducts = async function (limit = 10, days = 7) {
         },
       },
       { $unwind: "$productInfo" }, // Deconstruct the array
-      { $match: { "productInfo.status": "Published" } }, // Ensure product is published
+      { $match: mongoose.model("Product").publicFilter("productInfo.") }, // Ensure product is public
       // --- Lookup Upvotes --- (Optional but useful)
       {
         $lookup: {
@@ -3,6 +3,7 @@ import app from "./app.js";
 import { connectDB } from "./config/database.config.js";
 import logger from "./utils/logging/logger.js";
 import { initializeSocketIO } from "./socket/socket.js";
+import SchedulerService from "./services/scheduler/scheduler.service.js";
 
 const PORT = process.env.PORT || 5004;
 
@@ -19,6 +20,9 @@ const startServer = async () => {
     initializeSocketIO(server);
     console.log("Socket.IO initialized successfully");
 
+    // Start background jobs (BullMQ, or in-process timers without Redis)
+    await SchedulerService.start();
+
     // Start server
     server.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
@@ -38,6 +42,14 @@ const startServer = async () => {
       process.exit(1);
     });
 
+    // Stop background jobs before exiting
+    process.on("SIGTERM", () => {
+      logger.info("SIGTERM received, shutting down...");
+      SchedulerService.stop().finally(() => {
+        server.close(() => process.exit(0));
+      });
+    });
+
     // Global error handler
     process.on("unhandledRejection", (err) => {
       logger.error("UNHANDLED REJECTION! Shutting down...", err);
@@ -0,0 +1,200 @@
+import { UAParser } from "ua-parser-js";
+import { v4 as uuidv4 } from "uuid";
+import User from "../../models/user/user.model.js";
+import RefreshToken from "../../models/core/refreshToken.model.js";
+import SessionService from "./session.service.js";
+import {
+  generateSecurityAlertToken,
+  verifySecurityAlertToken,
+  generatePasswordResetToken,
+} from "../../utils/auth/jwt.utils.js";
+import { sendNewLoginAlertEmail, sendVerificationEmail } from "../../utils/communication/mail.utils.js";
+import { sendSMS } from "../../utils/communication/twilio.utils.js";
+import { ValidationError, NotFoundError } from "../../utils/logging/error.js";
+import logger from "../../utils/logging/logger.js";
+
+const HISTORY_LIMIT = 200; // Distinct device/IP combinations compared per login
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // Matches the reset token lifetime
+const MAX_PENDING_ALERT_LINKS = 5; // Older "this wasn't me" links stop working
+
+/**
+ * Service for new-device sign-in alerts.
+ *
+ * A sign-in is compared with the user's earlier refresh-token sessions. It is
+ * recognized when the same browser/OS/device type was used before from the same
+ * IP or the same country; anything else triggers an email (and an SMS when the
+ * user allows security texts) with a single-use "this wasn't me" link.
+ */
+class LoginAlertService {
+  // Browser, OS and device type without versions, so routine updates don't look like a new device
+  static getDeviceSignature(userAgent) {
+    const { browser, os, device } = UAParser(userAgent || "");
+    return [browser.name || "unknown", os.name || "unknown", device.type || "desktop"].join("|");
+  }
+
+  /**
+   * Whether a sign-in comes from a device/network the user hasn't used before
+   * @param {string} userId
+   * @param {Object} login - { ip, userAgent, location }
+   * @returns {Promise<boolean>}
+   */
+  static async isNewDevice(userId, { ip, userAgent, location }) {
+    const history = await RefreshToken.aggregate([
+      { $match: { user: userId } },
+      {
+        $group: {
+          _id: { userAgent: "$userAgent", ip: "$createdByIp", country: "$location.country" },
+        },
+      },
+      { $limit: HISTORY_LIMIT },
+    ]);
+
+    // Nothing to compare with (first sign-in, or every session has expired)
+    if (history.length === 0) return false;
+
+    const signature = this.getDeviceSignature(userAgent);
+    const country = location?.country;
+
+    return !history.some(
+      ({ _id: seen }) =>
+        this.getDeviceSignature(seen.userAgent) === signature &&
+        (seen.ip === ip || (country && seen.country === country))
+    );
+  }
+
+  /**
+   * Check a completed sign-in and alert the user if it's from a new device.
+   * Must run before the new session is stored. Alerts are sent in the background.
+   * @param {Object} user
+   * @param {Object} login - { ip, userAgent, location, method }
+   * @returns {Promise<boolean>} Whether an alert was sent
+   */
+  static async checkLogin(user, login) {
+    if (!user?.securitySettings?.loginAlerts) return false;
+
+    try {
+      if (!(await this.isNewDevice(user._id, login))) return false;
+    } catch (error) {
+      logger.error(`Login alert check failed for user ${user._id}: ${error.message}`);
+      return false;
+    }
+
+    this.sendAlerts(user, login).catch((error) =>
+      logger.error(`Failed to send login alert to user ${user._id}: ${error.message}`)
+    );
+    return true;
+  }
+
+  static async sendAlerts(user, { ip, userAgent, location, method }) {
+    const jti = uuidv4();
+    await User.updateOne(
+      { _id: user._id },
+      { $push: { securityAlertJtis: { $each: [jti], $slice: -MAX_PENDING_ALERT_LINKS } } }
+    );
+
+    const secureAccountUrl = `${process.env.CLIENT_URL}/auth/secure-account?token=${generateSecurityAlertToken(user._id, jti)}`;
+    const device = SessionService.describeDevice(userAgent).label;
+    const place = SessionService.formatLocation(location);
+
+    logger.info(`New-device sign-in for user ${user._id} via ${method || "unknown"} from ${ip}`);
+
+    const tasks = [];
+    if (user.email) {
+      tasks.push(
+        sendNewLoginAlertEmail(
+          user.email,
+          user.firstName || user.username || "there",
+          { device, location: place, ipAddress: ip, time: new Date() },
+          secureAccountUrl
+        )
+      );
+    }
+    if (user.notificationPreferences?.smsNotifications?.securityAlerts && user.phone && user.isPhoneVerified) {
+      tasks.push(
+        sendSMS(
+          user.phone,
+          `Product Bazar: new sign-in from ${device}${place ? ` near ${place}` : ""}. Not you? Secure your account: ${secureAccountUrl}`
+        )
+      );
+    }
+    await Promise.all(tasks);
+  }
+
+  /**
+   * Handle a "this wasn't me" link: sign out every session, require a new
+   * password and email a reset link to the account's own address. The link
+   * itself never grants a reset, since it may have been forwarded or read
+   * from an SMS.
+   * @param {string} token - Security alert token from the email or SMS
+   * @param {Object} options - { ip }
+   * @returns {Promise<Object>} { revokedCount, resetEmailSent }
+   */
+  static async secureAccount(token, { ip } = {}) {
+    if (!token) {
+      throw new ValidationError("Security link token is required");
+    }
+
+    let decoded;
+    try {
+      decoded = await verifySecurityAlertToken(token);
+    } catch (error) {
+      throw new ValidationError("This security link is invalid or has expired. Sign in and review your active sessions instead.");
+    }
+
+    // Consuming the jti atomically makes the link single-use
+    const user = await User.findOneAndUpdate(
+      { _id: decoded.id, securityAlertJtis: decoded.jti },
+      { $pull: { securityAlertJtis: decoded.jti } },
+      { new: true }
+    ).select("+password");
+    if (!user) {
+      if (await User.exists({ _id: decoded.id })) {
+        throw new ValidationError("This security link has already been used. Sign in and review your active sessions instead.");
+      }
+      throw new NotFoundError("User not found");
+    }
+
+    // A password set after the alert was sent already locked the intruder out
+    if (user.passwordChangedAt && user.passwordChangedAt.getTime() > decoded.iat * 1000) {
+      throw new ValidationError("Your password has been changed since this alert was sent, so this link no longer applies.");
+    }
+
+    const revokedCount = await SessionService.revokeOtherSessions(user._id, {
+      ip,
+      reason: "Reported unrecognized sign-in",
+    });
+
+    let resetEmailSent = false;
+    if (user.password) {
+      const resetToken = generatePasswordResetToken(user._id);
+      user.passwordResetRequired = true;
+      user.passwordResetToken = resetToken;
+      user.passwordResetExpires = Date.now() + PASSWORD_RESET_TTL_MS;
+      await user.save();
+
+      if (user.email) {
+        resetEmailSent = await this.sendResetEmail(user.email, resetToken);
+      }
+    }
+
+    logger.warn(`User ${user._id} reported an unrecognized sign-in; revoked ${revokedCount} sessions`);
+    return { revokedCount, resetEmailSent };
+  }
+
+  // Same reset link and wording as forgot-password
+  static async sendResetEmail(email, resetToken) {
+    const resetLink = `${process.env.CLIENT_URL}/auth/reset-password/${resetToken}`;
+    const result = await sendVerificationEmail(
+      email,
+      "Password Reset Request",
+      `You reported a sign-in you didn't recognize, so we signed you out everywhere. Please click the link below to set a new password:\n\n${resetLink}\n\nThis link is valid for 1 hour.\n`
+    );
+    if (result?.success === false) {
+      logger.error(`Failed to send secure-account reset email: ${result.error}`);
+      return false;
+    }
+    return true;
+  }
+}
+
+export default LoginAlertService;
@@ -0,0 +1,312 @@
+import User from "../../models/user/user.model.js";
+import { OAUTH_PROVIDERS, OAUTH_PROVIDER_NAMES, isProviderConfigured } from "../../config/oauth.providers.js";
+import { generateUsername } from "../../utils/auth/username.utils.js";
+import { ValidationError, NotFoundError } from "../../utils/logging/error.js";
+import logger from "../../utils/logging/logger.js";
+
+/**
+ * Service for accounts at OAuth providers (Google, GitHub, LinkedIn).
+ *
+ * Provider accounts live in User.linkedAccounts, one entry per provider. A
+ * provider sign-in finds the user by that entry, falls back to an existing
+ * account with the same verified email, and otherwise registers a new user.
+ */
+class OAuthAccountService {
+  static getProvider(provider) {
+    const config = OAUTH_PROVIDERS[provider];
+    if (!config) {
+      throw new ValidationError(`Unsupported sign-in provider: ${provider}`);
+    }
+    return config;
+  }
+
+  static getLinkedAccount(user, provider) {
+    return (user.linkedAccounts || []).find((account) => account.provider === provider) || null;
+  }
+
+  /**
+   * Ways the user can currently sign in. Email alone isn't one: email sign-in needs the password.
+   * @param {Object} user - Loaded with +password
+   * @returns {string[]} e.g. ["password", "phone", "passkey", "github"]
+   */
+  static getSignInMethods(user) {
+    const methods = [];
+    if (user.password) methods.push("password");
+    if (user.phone && user.isPhoneVerified) methods.push("phone");
+    if (user.passkeys?.length) methods.push("passkey");
+    (user.linkedAccounts || []).forEach((account) => methods.push(account.provider));
+    // A Google link from before linkedAccounts that hasn't been moved yet
+    if (user.get?.("googleId") && !methods.includes("google")) methods.push("google");
+    return methods;
+  }
+
+  static toPublicAccount(account) {
+    return {
+      provider: account.provider,
+      email: account.email || null,
+      displayName: account.displayName || null,
+      username: account.username || null,
+      profileUrl: account.profileUrl || null,
+      profilePicture: account.profilePicture || null,
+      linkedAt: account.linkedAt,
+      lastUsedAt: account.lastUsedAt,
+    };
+  }
+
+  // Refresh the stored copy of the provider profile
+  static applyProfile(account, profile) {
+    account.email = profile.email;
+    account.emailVerified = Boolean(profile.emailVerified);
+    account.displayName = profile.displayName;
+    account.username = profile.username;
+    account.profileUrl = profile.profileUrl;
+    account.profilePicture = profile.profilePicture;
+    account.lastUsedAt = new Date();
+  }
+
+  static async buildUsername({ firstName, lastName, username, email }) {
+    let baseUsername = "user";
+    if (username) {
+      baseUsername = username;
+    } else if (firstName && lastName) {
+      baseUsername = `${firstName}.${lastName}`;
+    } else if (firstName || lastName) {
+      baseUsername = firstName || lastName;
+    } else if (email) {
+      baseUsername = email.split("@")[0];
+    }
+
+    try {
+      return await generateUsername(baseUsername);
+    } catch (error) {
+      logger.error(`Failed to generate username: ${error.message}`);
+      return `user${Date.now().toString().slice(-8)}`;
+    }
+  }
+
+  /**
+   * Find the user who linked this provider account. Accounts linked before
+   * linkedAccounts existed only have the old googleId field; they are moved
+   * over the first time they're found.
+   */
+  static async findByProviderAccount(provider, providerId) {
+    const user = await User.findOne({ linkedAccounts: { $elemMatch: { provider, providerId } } });
+    if (user || provider !== "google") return user;
+
+    const legacyUser = await User.findOne({ googleId: providerId }).setOptions({ strictQuery: false });
+    if (!legacyUser) return null;
+
+    await this.moveLegacyGoogleLink(legacyUser);
+    return User.findById(legacyUser._id);
+  }
+
+  /**
+   * Move a Google link kept in the old googleId field into linkedAccounts.
+   * The caller reloads the user when this returns true.
+   * @param {Object} user - Loaded user document
+   * @returns {Promise<boolean>} Whether there was a legacy link to move
+   */
+  static async moveLegacyGoogleLink(user) {
+    const googleId = user.get("googleId");
+    if (!googleId) return false;
+
+    const update = { $unset: { googleId: 1, isGoogleLinked: 1, googleProfile: 1 } };
+    if (!this.getLinkedAccount(user, "google")) {
+      update.$push = { linkedAccounts: { provider: "google", providerId: googleId, linkedAt: user.createdAt } };
+    }
+    await User.updateOne({ _id: user._id }, update, { strict: false });
+    logger.info(`Moved legacy Google link to linkedAccounts for user ${user._id}`);
+    return true;
+  }
+
+  /**
+   * Load a user for the sign-in method checks, moving a legacy Google link
+   * first so it counts as one of their ways to sign in.
+   * @param {string} userId
+   * @returns {Promise<Object>} The user, with +password
+   */
+  static async findForSignInMethods(userId) {
+    const user = await User.findById(userId).select("+password");
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+    if (await this.moveLegacyGoogleLink(user)) {
+      return User.findById(userId).select("+password");
+    }
+    return user;
+  }
+
+  /**
+   * Resolve a provider sign-in to a user, linking or registering as needed
+   * @param {Object} profile - Normalized profile from config/oauth.providers.js
+   * @returns {Promise<Object>} { user, isNewUser }
+   */
+  static async signIn(profile) {
+    const { provider, providerId } = profile;
+
+    let user = await this.findByProviderAccount(provider, providerId);
+    if (user) {
+      this.applyProfile(this.getLinkedAccount(user, provider), profile);
+      if (!user.username) {
+        user.username = await this.buildUsername(user);
+      }
+      await user.save();
+      logger.info(`Existing ${provider} user signed in: ${user._id}`);
+      return { user, isNewUser: false };
+    }
+
+    // Only a verified address proves the provider account belongs to the same person
+    if (profile.email && profile.emailVerified) {
+      user = await User.findOne({ email: profile.email.toLowerCase() });
+      if (user) {
+        if (this.getLinkedAccount(user, provider)) {
+          const { label } = this.getProvider(provider);
+          throw new ValidationError(`The account for ${profile.email} is linked to a different ${label} account`);
+        }
+        this.addLinkedAccount(user, profile);
+        if (!user.username) {
+          user.username = await this.buildUsername(user);
+        }
+        user.isEmailVerified = true;
+        await user.save();
+        logger.info(`${provider} account linked to existing user by email: ${user._id}`);
+        return { user, isNewUser: false };
+      }
+    }
+
+    user = new User({
+      firstName: profile.firstName,
+      lastName: profile.lastName,
+      email: profile.email?.toLowerCase(),
+      username: await this.buildUsername(profile),
+      registrationMethod: provider,
+      isEmailVerified: Boolean(profile.email && profile.emailVerified),
+      role: "user", // Default role for OAuth users
+      profilePicture: profile.profilePicture
+        ? { url: profile.profilePicture, publicId: null } // Provider images don't have a Cloudinary publicId
+        : undefined,
+      registrationDate: new Date(),
+    });
+    this.addLinkedAccount(user, profile);
+    await user.save();
+
+    logger.info(`New ${provider} user created: ${user._id}`);
+    return { user, isNewUser: true };
+  }
+
+  static addLinkedAccount(user, profile) {
+    user.linkedAccounts.push({ provider: profile.provider, providerId: profile.providerId });
+    this.applyProfile(user.linkedAccounts[user.linkedAccounts.length - 1], profile);
+
+    if (profile.profilePicture && !user.profilePicture?.url) {
+      user.profilePicture = { url: profile.profilePicture, publicId: null };
+    }
+  }
+
+  /**
+   * Link a provider account to a signed-in user
+   * @param {string} userId
+   * @param {Object} profile - Normalized provider profile
+   * @returns {Promise<Object>} The user
+   */
+  static async link(userId, profile) {
+    const { provider, providerId } = profile;
+    const label = this.getProvider(provider).label;
+
+    const owner = await this.findByProviderAccount(provider, providerId);
+    if (owner && owner._id.toString() !== userId.toString()) {
+      throw new ValidationError(`This ${label} account is already linked to another user`);
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    const existing = this.getLinkedAccount(user, provider);
+    if (existing && existing.providerId !== providerId) {
+      throw new ValidationError(`A different ${label} account is already linked. Unlink it first.`);
+    }
+
+    if (existing) {
+      this.applyProfile(existing, profile);
+    } else {
+      this.addLinkedAccount(user, profile);
+    }
+    if (profile.emailVerified && profile.email?.toLowerCase() === user.email) {
+      user.isEmailVerified = true;
+    }
+    try {
+      await user.save();
+    } catch (error) {
+      // Another user linked the same provider account concurrently
+      if (error.code === 11000) {
+        throw new ValidationError(`This ${label} account is already linked to another user`);
+      }
+      throw error;
+    }
+
+    logger.info(`${label} account linked for user: ${user._id}`);
+    return user;
+  }
+
+  /**
+   * Unlink a provider account. Refused when it's the user's only way to sign in.
+   * @param {string} userId
+   * @param {string} provider
+   */
+  static async unlink(userId, provider) {
+    const { label } = this.getProvider(provider);
+
+    const user = await this.findForSignInMethods(userId);
+    if (!this.getLinkedAccount(user, provider)) {
+      throw new ValidationError(`No ${label} account is linked to this user`);
+    }
+
+    const otherMethods = this.getSignInMethods(user).filter((method) => method !== provider);
+    if (otherMethods.length === 0) {
+      throw new ValidationError(
+        `Cannot unlink ${label} as it's your only way to sign in. Set a password or add another sign-in method first.`
+      );
+    }
+
+    user.linkedAccounts = user.linkedAccounts.filter((account) => account.provider !== provider);
+    await user.save();
+
+    logger.info(`${label} account unlinked for user: ${user._id}`);
+  }
+
+  /**
+   * Link status for one provider
+   * @param {string} userId
+   * @param {string} provider
+   * @returns {Promise<Object>}
+   */
+  static async getStatus(userId, provider) {
+    const statuses = await this.getAllStatuses(userId);
+    return statuses.find((status) => status.provider === provider);
+  }
+
+  /**
+   * Link status for every provider, for the connected accounts settings
+   * @param {string} userId
+   * @returns {Promise<Object[]>} [{ provider, label, enabled, linked, account, canUnlink }]
+   */
+  static async getAllStatuses(userId) {
+    const user = await this.findForSignInMethods(userId);
+    const methods = this.getSignInMethods(user);
+    return OAUTH_PROVIDER_NAMES.map((provider) => {
+      const account = this.getLinkedAccount(user, provider);
+      return {
+        provider,
+        label: OAUTH_PROVIDERS[provider].label,
+        enabled: isProviderConfigured(provider),
+        linked: Boolean(account),
+        account: account ? this.toPublicAccount(account) : null,
+        canUnlink: Boolean(account) && methods.some((method) => method !== provider),
+      };
+    });
+  }
+}
+
+export default OAuthAccountService;
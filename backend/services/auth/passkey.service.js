@@ -0,0 +1,360 @@
+import User from "../../models/user/user.model.js";
+import OAuthAccountService from "./oauthAccount.service.js";
+import cache from "../../utils/cache/cache.js";
+import {
+  WEBAUTHN_TIMEOUT_MS,
+  SUPPORTED_ALGORITHMS,
+  WebAuthnError,
+  getRelyingParty,
+  generateChallenge,
+  toBase64Url,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse,
+} from "../../utils/auth/webauthn.utils.js";
+import {
+  generateWebAuthnCeremonyToken,
+  verifyWebAuthnCeremonyToken,
+} from "../../utils/auth/jwt.utils.js";
+import { AppError, ValidationError, UnauthorizedError, NotFoundError } from "../../utils/logging/error.js";
+import logger from "../../utils/logging/logger.js";
+
+export const MAX_PASSKEYS = 10;
+
+// Ceremony purposes; a token minted for one can't complete another
+export const PASSKEY_PURPOSES = {
+  REGISTER: "register",
+  LOGIN: "login",
+  SECOND_FACTOR: "2fa",
+};
+
+const USED_CHALLENGE_TTL_SECONDS = Math.ceil(WEBAUTHN_TIMEOUT_MS / 1000) * 5; // Outlives the ceremony token
+
+/**
+ * Service for passkey (WebAuthn) credentials.
+ *
+ * Passkeys work as a passwordless sign-in method of their own and as a second
+ * factor for accounts with two-factor authentication. The challenge for each
+ * ceremony travels in a short-lived signed token rather than server state, and
+ * is claimed in Redis before use so a response can't be replayed. Synced
+ * passkeys keep their counter at 0, so that claim is the replay protection.
+ */
+class PasskeyService {
+  static issueCeremony(purpose, userId = null) {
+    const challenge = generateChallenge();
+    return {
+      challenge,
+      ceremonyToken: generateWebAuthnCeremonyToken({
+        challenge,
+        ceremony: purpose,
+        ...(userId && { id: userId.toString() }),
+      }),
+    };
+  }
+
+  /**
+   * Check a ceremony token and consume its challenge
+   * @param {string} ceremonyToken
+   * @param {string} purpose - One of PASSKEY_PURPOSES
+   * @returns {Promise<Object>} { challenge, userId }
+   */
+  static async consumeCeremony(ceremonyToken, purpose) {
+    if (!ceremonyToken) {
+      throw new ValidationError("Passkey ceremony token is required");
+    }
+
+    let decoded;
+    try {
+      decoded = await verifyWebAuthnCeremonyToken(ceremonyToken);
+    } catch (error) {
+      throw new UnauthorizedError("Your passkey request has expired. Please try again.");
+    }
+    if (decoded.ceremony !== purpose) {
+      throw new UnauthorizedError("Invalid passkey request");
+    }
+
+    // One atomic SET NX: of two parallel requests only one gets "OK". Without
+    // Redis a challenge can't be claimed, so the ceremony fails closed.
+    let claimed;
+    try {
+      claimed = await cache
+        .getClient()
+        .set(`webauthn:used:${decoded.challenge}`, "1", "EX", USED_CHALLENGE_TTL_SECONDS, "NX");
+    } catch (error) {
+      logger.error(`Could not claim passkey challenge: ${error.message}`);
+      throw new AppError("Passkeys are temporarily unavailable. Please try again shortly.", 503);
+    }
+    if (claimed !== "OK") {
+      throw new UnauthorizedError("This passkey request has already been used. Please try again.");
+    }
+
+    return { challenge: decoded.challenge, userId: decoded.id || null };
+  }
+
+  // Passkeys as shown in settings, without key material
+  static toPublicPasskey(passkey) {
+    return {
+      _id: passkey._id,
+      name: passkey.name,
+      backedUp: passkey.backedUp,
+      transports: passkey.transports,
+      createdAt: passkey.createdAt,
+      lastUsedAt: passkey.lastUsedAt,
+    };
+  }
+
+  static async loadUser(userId, select = "") {
+    const user = await User.findById(userId).select(select);
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+    return user;
+  }
+
+  /**
+   * List the user's passkeys
+   * @param {string} userId
+   * @returns {Promise<Object[]>}
+   */
+  static async listPasskeys(userId) {
+    const user = await this.loadUser(userId);
+    return (user.passkeys || []).map((passkey) => this.toPublicPasskey(passkey));
+  }
+
+  /**
+   * Options for navigator.credentials.create()
+   * @param {string} userId
+   * @returns {Promise<Object>} { ceremonyToken, publicKey }
+   */
+  static async getRegistrationOptions(userId) {
+    const user = await this.loadUser(userId);
+    if ((user.passkeys || []).length >= MAX_PASSKEYS) {
+      throw new ValidationError(`You can register up to ${MAX_PASSKEYS} passkeys. Remove one to add another.`);
+    }
+
+    const rp = getRelyingParty();
+    const { challenge, ceremonyToken } = this.issueCeremony(PASSKEY_PURPOSES.REGISTER, user._id);
+    const displayName = [user.firstName, user.lastName].filter(Boolean).join(" ");
+    const accountName = user.email || user.username || user.phone || user._id.toString();
+
+    return {
+      ceremonyToken,
+      publicKey: {
+        challenge,
+        rp: { id: rp.id, name: rp.name },
+        user: {
+          id: toBase64Url(user._id.toString()),
+          name: accountName,
+          displayName: displayName || accountName,
+        },
+        pubKeyCredParams: SUPPORTED_ALGORITHMS.map((alg) => ({ type: "public-key", alg })),
+        timeout: WEBAUTHN_TIMEOUT_MS,
+        attestation: "none",
+        authenticatorSelection: { residentKey: "required", userVerification: "required" },
+        excludeCredentials: (user.passkeys || []).map((passkey) => ({
+          type: "public-key",
+          id: passkey.credentialId,
+          transports: passkey.transports,
+        })),
+      },
+    };
+  }
+
+  /**
+   * Verify a registration response and store the new passkey
+   * @param {string} userId
+   * @param {Object} input - { ceremonyToken, credential, name }
+   * @returns {Promise<Object>} The stored passkey
+   */
+  static async registerPasskey(userId, { ceremonyToken, credential, name } = {}) {
+    const ceremony = await this.consumeCeremony(ceremonyToken, PASSKEY_PURPOSES.REGISTER);
+    if (ceremony.userId !== userId.toString()) {
+      throw new UnauthorizedError("Invalid passkey request");
+    }
+
+    let verified;
+    try {
+      verified = await verifyRegistrationResponse({
+        credential,
+        expectedChallenge: ceremony.challenge,
+        requireUserVerification: true,
+      });
+    } catch (error) {
+      if (error instanceof WebAuthnError) {
+        logger.warn(`Passkey registration rejected for user ${userId}: ${error.message}`);
+        throw new ValidationError("We couldn't verify this passkey. Please try again.");
+      }
+      throw error;
+    }
+
+    const user = await this.loadUser(userId);
+    if ((user.passkeys || []).length >= MAX_PASSKEYS) {
+      throw new ValidationError(`You can register up to ${MAX_PASSKEYS} passkeys. Remove one to add another.`);
+    }
+    if (await User.exists({ "passkeys.credentialId": verified.credentialId })) {
+      throw new ValidationError("This passkey is already registered");
+    }
+
+    user.passkeys.push({
+      credentialId: verified.credentialId,
+      publicKey: verified.publicKey,
+      algorithm: verified.algorithm,
+      signCount: verified.signCount,
+      transports: verified.transports,
+      backedUp: verified.backedUp,
+      name: name?.trim() || `Passkey ${user.passkeys.length + 1}`,
+    });
+    await user.save();
+
+    const passkey = user.passkeys[user.passkeys.length - 1];
+    logger.info(`User ${userId} registered passkey ${passkey._id}`);
+    return this.toPublicPasskey(passkey);
+  }
+
+  /**
+   * Options for navigator.credentials.get(). Sign-in leaves allowCredentials
+   * empty so the browser offers any passkey for this site; the second-factor
+   * ceremony is limited to the user's own passkeys.
+   * @param {Object} params - { purpose, user }
+   * @returns {Object} { ceremonyToken, publicKey }
+   */
+  static getAuthenticationOptions({ purpose = PASSKEY_PURPOSES.LOGIN, user = null } = {}) {
+    const { challenge, ceremonyToken } = this.issueCeremony(purpose, user?._id);
+
+    return {
+      ceremonyToken,
+      publicKey: {
+        challenge,
+        rpId: getRelyingParty().id,
+        timeout: WEBAUTHN_TIMEOUT_MS,
+        userVerification: purpose === PASSKEY_PURPOSES.LOGIN ? "required" : "preferred",
+        allowCredentials: user
+          ? (user.passkeys || []).map((passkey) => ({
+              type: "public-key",
+              id: passkey.credentialId,
+              transports: passkey.transports,
+            }))
+          : [],
+      },
+    };
+  }
+
+  // Check an assertion against the stored passkey and record its use
+  static async verifyAssertion(user, credential, challenge, requireUserVerification) {
+    const passkey = user.passkeys.find((entry) => entry.credentialId === credential?.id);
+    if (!passkey) {
+      throw new UnauthorizedError("This passkey isn't registered to your account");
+    }
+
+    let verified;
+    try {
+      verified = await verifyAuthenticationResponse({
+        credential,
+        expectedChallenge: challenge,
+        storedPasskey: passkey,
+        requireUserVerification,
+      });
+    } catch (error) {
+      if (error instanceof WebAuthnError) {
+        logger.warn(`Passkey assertion rejected for user ${user._id}: ${error.message}`);
+        throw new UnauthorizedError("Passkey verification failed");
+      }
+      throw error;
+    }
+
+    passkey.signCount = verified.signCount;
+    passkey.backedUp = verified.backedUp;
+    passkey.lastUsedAt = new Date();
+    return passkey;
+  }
+
+  /**
+   * Passwordless sign-in: find the account that owns the passkey and verify it
+   * @param {Object} input - { ceremonyToken, credential }
+   * @returns {Promise<Object>} The signed-in user (saved, with the passkey's counter updated)
+   */
+  static async authenticate({ ceremonyToken, credential } = {}) {
+    const { challenge } = await this.consumeCeremony(ceremonyToken, PASSKEY_PURPOSES.LOGIN);
+    if (!credential?.id || typeof credential.id !== "string") {
+      throw new ValidationError("Passkey response is required");
+    }
+
+    const user = await User.findOne({ "passkeys.credentialId": credential.id }).select(
+      "+passkeys.publicKey +loginAttempts +lockUntil"
+    );
+    if (!user) {
+      throw new UnauthorizedError("This passkey isn't registered with any account");
+    }
+
+    // Discoverable credentials report who they were created for
+    const userHandle = credential.response?.userHandle;
+    if (userHandle && Buffer.from(userHandle, "base64url").toString("utf8") !== user._id.toString()) {
+      throw new UnauthorizedError("Passkey verification failed");
+    }
+
+    await this.verifyAssertion(user, credential, challenge, true);
+    await user.save();
+    return user;
+  }
+
+  /**
+   * Second-factor check for a user who already passed the first factor
+   * @param {Object} user - Loaded with +passkeys.publicKey
+   * @param {Object} input - { ceremonyToken, credential }
+   */
+  static async verifySecondFactor(user, { ceremonyToken, credential } = {}) {
+    const ceremony = await this.consumeCeremony(ceremonyToken, PASSKEY_PURPOSES.SECOND_FACTOR);
+    if (ceremony.userId !== user._id.toString()) {
+      throw new UnauthorizedError("Invalid passkey request");
+    }
+    await this.verifyAssertion(user, credential, ceremony.challenge, false);
+  }
+
+  /**
+   * Rename a passkey
+   * @param {string} userId
+   * @param {string} passkeyId
+   * @param {string} name
+   * @returns {Promise<Object>}
+   */
+  static async renamePasskey(userId, passkeyId, name) {
+    const trimmed = typeof name === "string" ? name.trim() : "";
+    if (!trimmed || trimmed.length > 50) {
+      throw new ValidationError("Passkey name must be between 1 and 50 characters");
+    }
+
+    const user = await this.loadUser(userId);
+    const passkey = user.passkeys.id(passkeyId);
+    if (!passkey) {
+      throw new NotFoundError("Passkey not found");
+    }
+
+    passkey.name = trimmed;
+    await user.save();
+    return this.toPublicPasskey(passkey);
+  }
+
+  /**
+   * Remove a passkey. The last one can't be removed from an account with no
+   * other way to sign in.
+   * @param {string} userId
+   * @param {string} passkeyId
+   */
+  static async removePasskey(userId, passkeyId) {
+    const user = await this.loadUser(userId, "+password");
+    const passkey = user.passkeys.id(passkeyId);
+    if (!passkey) {
+      throw new NotFoundError("Passkey not found");
+    }
+
+    const hasOtherSignIn = OAuthAccountService.getSignInMethods(user).some((method) => method !== "passkey");
+    if (user.passkeys.length === 1 && !hasOtherSignIn) {
+      throw new ValidationError("Add a password or another sign-in method before removing your only passkey");
+    }
+
+    user.passkeys.pull(passkeyId);
+    await user.save();
+    logger.info(`User ${userId} removed passkey ${passkeyId}`);
+  }
+}
+
+export default PasskeyService;
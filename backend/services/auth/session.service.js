@@ -0,0 +1,114 @@
+import { UAParser } from "ua-parser-js";
+import RefreshToken from "../../models/core/refreshToken.model.js";
+import { ValidationError, NotFoundError } from "../../utils/logging/error.js";
+import logger from "../../utils/logging/logger.js";
+
+/**
+ * Service for the signed-in devices a user can see and revoke.
+ *
+ * Every active (unrevoked, unexpired) refresh token is one session. Refreshing
+ * rotates the token but carries sessionStartedAt over, so a session keeps its
+ * start time while lastUsedAt follows the latest refresh. Revoking a session
+ * stops it refreshing; its current access token lapses on its own shortly after.
+ */
+class SessionService {
+  /**
+   * Readable device details from a user-agent string
+   * @param {string} userAgent
+   * @returns {Object} { browser, os, deviceType, label }
+   */
+  static describeDevice(userAgent) {
+    if (!userAgent || userAgent === "Unknown") {
+      return { browser: null, os: null, deviceType: "unknown", label: "Unknown device" };
+    }
+
+    const { browser, os, device } = UAParser(userAgent);
+    const browserName = [browser.name, browser.major].filter(Boolean).join(" ") || null;
+    const osName = [os.name, os.version].filter(Boolean).join(" ") || null;
+    // ua-parser leaves the type empty for desktops
+    const deviceType = device.type || (os.name ? "desktop" : "unknown");
+    const model = [device.vendor, device.model].filter(Boolean).join(" ");
+
+    return {
+      browser: browserName,
+      os: osName,
+      deviceType,
+      label: [browser.name, model || os.name].filter(Boolean).join(" on ") || "Unknown device",
+    };
+  }
+
+  static formatLocation(location) {
+    if (!location) return null;
+    const parts = [location.city, location.region, location.country].filter(Boolean);
+    return parts.length ? parts.join(", ") : null;
+  }
+
+  static activeQuery(userId) {
+    return { user: userId, revokedAt: null, expiresAt: { $gt: new Date() } };
+  }
+
+  /**
+   * Active sessions for a user, most recently used first
+   * @param {string} userId
+   * @param {string} [currentToken] - Refresh token of the requesting device
+   * @returns {Promise<Object[]>}
+   */
+  static async listSessions(userId, currentToken) {
+    const tokens = await RefreshToken.find(this.activeQuery(userId))
+      .select("token createdByIp userAgent location sessionStartedAt lastUsedAt createdAt expiresAt")
+      .sort({ lastUsedAt: -1, createdAt: -1 })
+      .lean();
+
+    return tokens.map((session) => ({
+      _id: session._id,
+      ...this.describeDevice(session.userAgent),
+      ipAddress: session.createdByIp,
+      location: this.formatLocation(session.location),
+      createdAt: session.sessionStartedAt || session.createdAt,
+      lastUsedAt: session.lastUsedAt || session.createdAt,
+      expiresAt: session.expiresAt,
+      isCurrent: Boolean(currentToken) && session.token === currentToken,
+    }));
+  }
+
+  /**
+   * Revoke one of the user's other sessions
+   * @param {string} userId
+   * @param {string} sessionId
+   * @param {Object} options - { currentToken, ip }
+   */
+  static async revokeSession(userId, sessionId, { currentToken, ip } = {}) {
+    const session = await RefreshToken.findOne({ _id: sessionId, ...this.activeQuery(userId) });
+    if (!session) {
+      throw new NotFoundError("Session not found or already signed out");
+    }
+    if (currentToken && session.token === currentToken) {
+      throw new ValidationError("Use sign out to end the session on this device");
+    }
+
+    session.revokedAt = new Date();
+    session.revokedByIp = ip || null;
+    session.revokedReason = "Revoked from sessions list";
+    await session.save();
+
+    logger.info(`User ${userId} revoked session ${sessionId}`);
+  }
+
+  /**
+   * Revoke every session except the requesting device's
+   * @param {string} userId
+   * @param {Object} options - { currentToken, ip, reason }
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  static async revokeOtherSessions(userId, { currentToken, ip, reason = "Revoked from sessions list" } = {}) {
+    const { modifiedCount } = await RefreshToken.updateMany(
+      { ...this.activeQuery(userId), ...(currentToken && { token: { $ne: currentToken } }) },
+      { $set: { revokedAt: new Date(), revokedByIp: ip || null, revokedReason: reason } }
+    );
+
+    logger.info(`User ${userId} revoked ${modifiedCount} other sessions`);
+    return modifiedCount;
+  }
+}
+
+export default SessionService;
@@ -0,0 +1,380 @@
+import User from "../../models/user/user.model.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpAuthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from "../../utils/auth/totp.utils.js";
+import {
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+} from "../../utils/auth/jwt.utils.js";
+import PasskeyService from "./passkey.service.js";
+import { sendOTP, verifyOTP } from "../../utils/communication/twilio.utils.js";
+import { maskPhone } from "../../utils/communication/phone.utils.js";
+import {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  NotFoundError,
+  TooManyRequestsError,
+} from "../../utils/logging/error.js";
+import logger from "../../utils/logging/logger.js";
+
+// Hidden 2FA fields needed to check or change a user's second factor
+const TWO_FACTOR_FIELDS = [
+  "+twoFactor.secret",
+  "+twoFactor.pendingSecret",
+  "+twoFactor.pendingSecretCreatedAt",
+  "+twoFactor.lastUsedStep",
+  "+twoFactor.recoveryCodes",
+  "+twoFactor.failedAttempts",
+  "+twoFactor.lockedUntil",
+  "+passkeys.publicKey",
+].join(" ");
+
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000; // 15 minutes
+const ENROLLMENT_TTL_MS = 15 * 60 * 1000; // Pending secrets expire after 15 minutes
+
+export const TWO_FACTOR_METHODS = ["totp", "recovery", "sms", "passkey"];
+
+/**
+ * Service for authenticator-app (TOTP) two-factor authentication.
+ *
+ * Sign-in is split in two: after the first factor (password, phone code or
+ * OAuth) the user gets a short-lived challenge token instead of a session, and trades
+ * it for a session by proving the second factor with an authenticator code,
+ * a one-time recovery code, a registered passkey or, when the phone is
+ * verified, an SMS code.
+ */
+class TwoFactorService {
+  static isEnabled(user) {
+    return Boolean(user?.securitySettings?.twoFactorEnabled);
+  }
+
+  static canUseSms(user) {
+    return Boolean(user?.phone && user?.isPhoneVerified);
+  }
+
+  static canUsePasskey(user) {
+    return Boolean(user?.passkeys?.length);
+  }
+
+  /**
+   * Second factors that can complete a challenge. SMS is left out when the
+   * first factor was already a code texted to the same phone.
+   */
+  static getChallengeMethods(user, context = {}) {
+    const smsAllowed = this.canUseSms(user) && context.provider !== "phone";
+    return TWO_FACTOR_METHODS.filter((method) => {
+      if (method === "sms") return smsAllowed;
+      if (method === "passkey") return this.canUsePasskey(user);
+      return true;
+    });
+  }
+
+  /**
+   * Issue a challenge for a user who passed the first factor
+   * @param {Object} user
+   * @param {Object} context - Carried through the challenge, e.g. { provider, redirectTo }
+   * @returns {Object} { challengeToken, methods, phone }
+   */
+  static createChallenge(user, context = {}) {
+    const methods = this.getChallengeMethods(user, context);
+    return {
+      challengeToken: generateTwoFactorChallengeToken(user._id, context),
+      methods,
+      phone: methods.includes("sms") ? maskPhone(user.phone) : null,
+    };
+  }
+
+  /**
+   * Resolve a challenge token to its user
+   * @param {string} challengeToken
+   * @returns {Promise<Object>} { user, context, methods }
+   */
+  static async resolveChallenge(challengeToken) {
+    if (!challengeToken) {
+      throw new ValidationError("Two-factor challenge token is required");
+    }
+
+    let decoded;
+    try {
+      decoded = await verifyTwoFactorChallengeToken(challengeToken);
+    } catch (error) {
+      throw new UnauthorizedError("Your sign-in attempt has expired. Please sign in again.");
+    }
+
+    const { id, purpose, iat, exp, ...context } = decoded;
+    const user = await User.findById(id).select(TWO_FACTOR_FIELDS);
+    if (!user || !this.isEnabled(user)) {
+      throw new UnauthorizedError("Your sign-in attempt has expired. Please sign in again.");
+    }
+
+    return { user, context, methods: this.getChallengeMethods(user, context) };
+  }
+
+  /**
+   * Check a second-factor code and record the outcome. Repeated failures
+   * lock the second factor for a while, independently of the password lock.
+   * @param {Object} user - Loaded with TWO_FACTOR_FIELDS
+   * @param {Object} input - { code, method, passkey } where passkey is { ceremonyToken, credential }
+   * @returns {Promise<string>} The method that was used
+   */
+  static async verifyCode(user, { code, method = "totp", passkey } = {}) {
+    if (!TWO_FACTOR_METHODS.includes(method)) {
+      throw new ValidationError(`Unsupported verification method: ${method}`);
+    }
+    if (method === "passkey" && !passkey?.credential) {
+      throw new ValidationError("Passkey response is required");
+    }
+    if (method !== "passkey" && (!code || typeof code !== "string")) {
+      throw new ValidationError("Verification code is required");
+    }
+
+    const { twoFactor } = user;
+    if (twoFactor.lockedUntil && twoFactor.lockedUntil > Date.now()) {
+      const minutesLeft = Math.ceil((twoFactor.lockedUntil - Date.now()) / 60000);
+      throw new TooManyRequestsError(`Too many invalid codes. Try again in ${minutesLeft} minutes.`);
+    }
+
+    let valid = false;
+    if (method === "totp") {
+      valid = this.consumeTotp(user, code);
+    } else if (method === "recovery") {
+      valid = this.consumeRecoveryCode(user, code);
+    } else if (method === "passkey") {
+      if (!this.canUsePasskey(user)) {
+        throw new ValidationError("No passkeys are registered for this account");
+      }
+      try {
+        await PasskeyService.verifySecondFactor(user, passkey);
+        valid = true;
+      } catch (error) {
+        if (!(error instanceof UnauthorizedError)) throw error;
+        valid = false;
+      }
+    } else {
+      if (!this.canUseSms(user)) {
+        throw new ValidationError("SMS verification requires a verified phone number");
+      }
+      try {
+        valid = await verifyOTP(user.phone, code.trim());
+      } catch (error) {
+        logger.warn(`SMS two-factor check failed for user ${user._id}: ${error.message}`);
+        valid = false;
+      }
+    }
+
+    if (!valid) {
+      twoFactor.failedAttempts = (twoFactor.failedAttempts || 0) + 1;
+      if (twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+        twoFactor.lockedUntil = new Date(Date.now() + LOCKOUT_MS);
+        twoFactor.failedAttempts = 0;
+        logger.warn(`Two-factor locked after repeated failures for user ${user._id}`);
+      }
+      await user.save();
+      throw new UnauthorizedError(method === "passkey" ? "Passkey verification failed" : "Invalid verification code");
+    }
+
+    twoFactor.failedAttempts = 0;
+    twoFactor.lockedUntil = undefined;
+    await user.save();
+
+    if (method === "recovery") {
+      logger.info(`Recovery code used by user ${user._id}; ${this.countRemainingCodes(user)} left`);
+    }
+    return method;
+  }
+
+  // Accept a TOTP code once; the matched step must be newer than the last one used
+  static consumeTotp(user, code) {
+    if (!user.twoFactor.secret) return false;
+
+    const step = verifyTotp(decryptSecret(user.twoFactor.secret), code);
+    if (step === null || step <= (user.twoFactor.lastUsedStep ?? -1)) {
+      return false;
+    }
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  static consumeRecoveryCode(user, code) {
+    const hash = hashRecoveryCode(code);
+    const entry = (user.twoFactor.recoveryCodes || []).find(
+      (recoveryCode) => recoveryCode.hash === hash && !recoveryCode.usedAt
+    );
+    if (!entry) return false;
+
+    entry.usedAt = new Date();
+    return true;
+  }
+
+  static countRemainingCodes(user) {
+    return (user.twoFactor?.recoveryCodes || []).filter((code) => !code.usedAt).length;
+  }
+
+  /**
+   * Send an SMS code for a pending challenge
+   * @param {Object} user
+   * @returns {Promise<string>} Masked phone number the code was sent to
+   */
+  static async sendSmsCode(user) {
+    if (!this.canUseSms(user)) {
+      throw new ValidationError("SMS verification requires a verified phone number");
+    }
+
+    try {
+      await sendOTP(user.phone);
+    } catch (error) {
+      if (error.code === "RATE_LIMIT_EXCEEDED") {
+        throw new TooManyRequestsError(error.message);
+      }
+      logger.error(`Failed to send two-factor SMS to user ${user._id}: ${error.message}`);
+      throw new AppError("Failed to send verification code", 502);
+    }
+    return maskPhone(user.phone);
+  }
+
+  static async loadUser(userId) {
+    const user = await User.findById(userId).select(`${TWO_FACTOR_FIELDS} +password`);
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+    return user;
+  }
+
+  /**
+   * 2FA status for the settings page
+   * @param {string} userId
+   * @returns {Promise<Object>}
+   */
+  static async getStatus(userId) {
+    const user = await this.loadUser(userId);
+    return {
+      enabled: this.isEnabled(user),
+      enabledAt: user.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: this.isEnabled(user) ? this.countRemainingCodes(user) : 0,
+      smsFallbackAvailable: this.canUseSms(user),
+      passwordRequired: Boolean(user.password),
+    };
+  }
+
+  /**
+   * Start enrollment: generate a secret the user adds to their authenticator app.
+   * Nothing changes until confirmEnrollment verifies a code from the app.
+   * @param {string} userId
+   * @returns {Promise<Object>} { secret, otpauthUri }
+   */
+  static async startEnrollment(userId) {
+    const user = await this.loadUser(userId);
+    if (this.isEnabled(user)) {
+      throw new ValidationError("Two-factor authentication is already enabled");
+    }
+
+    const secret = generateTotpSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    user.twoFactor.pendingSecretCreatedAt = new Date();
+    await user.save();
+
+    return {
+      secret,
+      otpauthUri: buildOtpAuthUri({ secret, accountName: user.email || user.username || user.phone }),
+    };
+  }
+
+  /**
+   * Finish enrollment with a code from the authenticator app
+   * @param {string} userId
+   * @param {string} code
+   * @returns {Promise<string[]>} Recovery codes, shown to the user once
+   */
+  static async confirmEnrollment(userId, code) {
+    const user = await this.loadUser(userId);
+    if (this.isEnabled(user)) {
+      throw new ValidationError("Two-factor authentication is already enabled");
+    }
+
+    const { pendingSecret, pendingSecretCreatedAt } = user.twoFactor;
+    if (!pendingSecret || Date.now() - pendingSecretCreatedAt > ENROLLMENT_TTL_MS) {
+      throw new ValidationError("Setup has expired. Please start again.");
+    }
+
+    const step = verifyTotp(decryptSecret(pendingSecret), code);
+    if (step === null) {
+      throw new ValidationError("Invalid verification code");
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.secret = pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.pendingSecretCreatedAt = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.map((recoveryCode) => ({ hash: hashRecoveryCode(recoveryCode) }));
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.failedAttempts = 0;
+    user.securitySettings.twoFactorEnabled = true;
+    await user.save();
+
+    logger.info(`User ${userId} enabled two-factor authentication`);
+    return recoveryCodes;
+  }
+
+  /**
+   * Replace all recovery codes. Requires a current second-factor code.
+   * @param {string} userId
+   * @param {Object} input - { code, method }
+   * @returns {Promise<string[]>}
+   */
+  static async regenerateRecoveryCodes(userId, input) {
+    const user = await this.loadUser(userId);
+    if (!this.isEnabled(user)) {
+      throw new ValidationError("Two-factor authentication is not enabled");
+    }
+
+    await this.verifyCode(user, input);
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map((recoveryCode) => ({ hash: hashRecoveryCode(recoveryCode) }));
+    await user.save();
+
+    logger.info(`User ${userId} regenerated two-factor recovery codes`);
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn 2FA off. The user must re-authenticate: their password when they
+   * have one, and a current second-factor code in every case.
+   * @param {string} userId
+   * @param {Object} input - { password, code, method }
+   */
+  static async disable(userId, { password, code, method } = {}) {
+    const user = await this.loadUser(userId);
+    if (!this.isEnabled(user)) {
+      throw new ValidationError("Two-factor authentication is not enabled");
+    }
+
+    if (user.password) {
+      if (!password) {
+        throw new ValidationError("Password is required to disable two-factor authentication");
+      }
+      if (!(await user.verifyPassword(password))) {
+        throw new UnauthorizedError("Incorrect password");
+      }
+    }
+
+    await this.verifyCode(user, { code, method });
+
+    user.twoFactor = { enabledAt: null, failedAttempts: 0 };
+    user.securitySettings.twoFactorEnabled = false;
+    await user.save();
+
+    logger.info(`User ${userId} disabled two-factor authentication`);
+  }
+}
+
+export default TwoFactorService;
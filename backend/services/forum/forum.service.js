@@ -0,0 +1,789 @@
+import mongoose from "mongoose";
+import sanitizeHtml from "sanitize-html";
+import ForumCategory from "../../models/forum/forumCategory.model.js";
+import ForumThread, { MAX_THREAD_TAGS } from "../../models/forum/forumThread.model.js";
+import ForumReply, { MAX_REPLY_DEPTH } from "../../models/forum/forumReply.model.js";
+import NotificationService from "../notification/notification.service.js";
+import cache from "../../utils/cache/cache.js";
+import { ForbiddenError, NotFoundError, ValidationError } from "../../utils/logging/error.js";
+import { paginate } from "../../utils/data/cursorPagination.utils.js";
+import logger from "../../utils/logging/logger.js";
+
+const AUTHOR_FIELDS = "firstName lastName username profilePicture headline role";
+const CATEGORY_FIELDS = "name slug color";
+
+const EXCERPT_LENGTH = 280;
+
+// A viewer is counted once per thread within this window
+const VIEW_DEDUPE_SECONDS = 60 * 60;
+
+const TRENDING_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Links open in a new tab and pass no ranking or referrer to the target
+const LINK_TRANSFORM = {
+  a: sanitizeHtml.simpleTransform("a", {
+    rel: "nofollow noopener noreferrer",
+    target: "_blank",
+  }),
+};
+
+const THREAD_HTML_OPTIONS = {
+  allowedTags: [
+    "p", "br", "h2", "h3", "h4", "strong", "b", "em", "i", "u", "s",
+    "blockquote", "code", "pre", "ul", "ol", "li", "a", "img", "hr",
+    "figure", "figcaption",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "target", "rel"],
+    img: ["src", "alt", "title", "width", "height"],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["https"] },
+  transformTags: LINK_TRANSFORM,
+  // Images whose source was stripped for using a disallowed scheme
+  exclusiveFilter: (frame) => frame.tag === "img" && !frame.attribs.src,
+};
+
+// Replies are conversational: no headings or images
+const REPLY_HTML_OPTIONS = {
+  ...THREAD_HTML_OPTIONS,
+  allowedTags: [
+    "p", "br", "strong", "b", "em", "i", "u", "s", "blockquote", "code",
+    "pre", "ul", "ol", "li", "a",
+  ],
+  allowedAttributes: { a: ["href", "title", "target", "rel"] },
+};
+
+// Block level tags, which separate words once markup is stripped
+const BLOCK_END_REGEX = /<\/(?:p|h[2-4]|li|blockquote|pre|figcaption)>|<br\s*\/?>|<hr\s*\/?>/gi;
+
+const HTML_ENTITIES = { "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": '"', "&#39;": "'", "&nbsp;": " " };
+
+/**
+ * Plain text of sanitized HTML, with entities decoded
+ * @param {string} html
+ * @returns {string}
+ */
+const toPlainText = (html) =>
+  sanitizeHtml(html.replace(BLOCK_END_REGEX, "$& "), { allowedTags: [], allowedAttributes: {} })
+    .replace(/&(?:amp|lt|gt|quot|#39|nbsp);/g, (entity) => HTML_ENTITIES[entity])
+    .replace(/\s+/g, " ")
+    .trim();
+
+const THREAD_SORTS = {
+  active: { isPinned: -1, lastActivityAt: -1 },
+  newest: { createdAt: -1 },
+  top: { "upvotes.count": -1 },
+  views: { "views.count": -1 },
+  unanswered: { createdAt: -1 },
+};
+
+/**
+ * Atomically add or remove a user's upvote on a thread or reply
+ * @param {Model} Model - ForumThread or ForumReply
+ * @param {string} id - Document ID
+ * @param {string|ObjectId} userId - Voting user
+ * @returns {Promise<Object>} { upvoted, count }
+ */
+const toggleUpvote = async (Model, id, userId) => {
+  const added = await Model.findOneAndUpdate(
+    { _id: id, "upvotes.users": { $ne: userId } },
+    { $addToSet: { "upvotes.users": userId }, $inc: { "upvotes.count": 1 } },
+    { new: true, projection: "upvotes.count" }
+  );
+  if (added) {
+    return { upvoted: true, count: added.upvotes.count };
+  }
+
+  const removed = await Model.findOneAndUpdate(
+    { _id: id, "upvotes.users": userId },
+    { $pull: { "upvotes.users": userId }, $inc: { "upvotes.count": -1 } },
+    { new: true, projection: "upvotes.count" }
+  );
+  if (removed) {
+    return { upvoted: false, count: removed.upvotes.count };
+  }
+
+  throw new NotFoundError(Model === ForumThread ? "Thread not found" : "Reply not found");
+};
+
+/**
+ * Service for the discussion forum: categories, threads and nested replies.
+ * Replies follow the Comment model's layout: `parent` is the reply being
+ * answered, `rootParent` the top-level reply of the conversation.
+ */
+class ForumService {
+  /**
+   * Sanitize user supplied HTML
+   * @param {string} html - Raw HTML
+   * @param {Object} [options] - { isReply, minLength }
+   * @returns {Object} { body, text } - Sanitized HTML and its plain text
+   * @throws {ValidationError} When nothing readable is left
+   */
+  static sanitizeBody(html, { isReply = false, minLength = 2 } = {}) {
+    if (typeof html !== "string") {
+      throw new ValidationError("Content is required");
+    }
+
+    const body = sanitizeHtml(html, isReply ? REPLY_HTML_OPTIONS : THREAD_HTML_OPTIONS).trim();
+    const text = toPlainText(body);
+
+    if (text.length < minLength) {
+      throw new ValidationError(`Content must be at least ${minLength} characters long`);
+    }
+
+    return { body, text };
+  }
+
+  /**
+   * Normalize tags given as an array or a comma separated string
+   * @param {Array|string} tags
+   * @returns {Array<string>} Lowercase, unique tags without leading '#'
+   */
+  static normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+    const normalized = [
+      ...new Set(
+        list
+          .map((tag) => String(tag).trim().replace(/^#+/, "").toLowerCase())
+          .filter(Boolean)
+      ),
+    ];
+
+    if (normalized.length > MAX_THREAD_TAGS) {
+      throw new ValidationError(`A thread can have at most ${MAX_THREAD_TAGS} tags`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Shape a thread or reply for API responses: reports whether the viewer
+   * upvoted it without exposing who else did
+   * @param {Object} doc - Lean thread or reply selected with +upvotes.users
+   * @param {string|ObjectId|null} viewerId
+   * @returns {Object}
+   */
+  static formatPost(doc, viewerId = null) {
+    const { upvotes = {}, bodyText, ...rest } = doc;
+    const viewer = viewerId?.toString();
+
+    return {
+      ...rest,
+      // Minutes at ~200 words per minute
+      ...(rest.wordCount !== undefined && {
+        readTime: Math.max(1, Math.ceil(rest.wordCount / 200)),
+      }),
+      upvotes: {
+        count: upvotes.count || 0,
+        userHasUpvoted: Boolean(viewer && upvotes.users?.some((id) => id.toString() === viewer)),
+      },
+    };
+  }
+
+  /**
+   * Throw unless the user wrote the post or is an admin
+   * @param {Object} doc - Thread or reply
+   * @param {Object} user - Authenticated user
+   * @param {string} action - Verb used in the error message
+   */
+  static assertCanModify(doc, user, action) {
+    if (doc.author.toString() !== user._id.toString() && user.role !== "admin") {
+      throw new ForbiddenError(`You can only ${action} your own posts`);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Categories
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Active categories in display order
+   * @returns {Promise<Array>}
+   */
+  static async listCategories() {
+    return ForumCategory.find({ isActive: true })
+      .sort({ order: 1, name: 1 })
+      .select("-createdBy")
+      .lean();
+  }
+
+  /**
+   * Find an active category by ID or slug
+   * @param {string} idOrSlug
+   * @returns {Promise<Object>} The category (lean)
+   * @throws {NotFoundError}
+   */
+  static async resolveCategory(idOrSlug) {
+    const filter = mongoose.Types.ObjectId.isValid(idOrSlug)
+      ? { _id: idOrSlug }
+      : { slug: String(idOrSlug).toLowerCase() };
+    const category = await ForumCategory.findOne({ ...filter, isActive: true }).lean();
+    if (!category) {
+      throw new NotFoundError("Forum category not found");
+    }
+    return category;
+  }
+
+  /**
+   * Create a category (admin)
+   * @param {Object} user - Authenticated admin
+   * @param {Object} data - { name, description, color, order }
+   * @returns {Promise<Object>}
+   */
+  static async createCategory(user, { name, description, color, order }) {
+    try {
+      return await ForumCategory.create({
+        name,
+        description,
+        color,
+        order,
+        createdBy: user._id,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ValidationError("A category with this name already exists");
+      }
+      if (error.name === "ValidationError") {
+        throw new ValidationError(error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a category (admin)
+   * @param {string} categoryId
+   * @param {Object} data - Any of { name, description, color, order, isActive }
+   * @returns {Promise<Object>}
+   */
+  static async updateCategory(categoryId, data) {
+    if (!mongoose.Types.ObjectId.isValid(categoryId)) {
+      throw new ValidationError("Invalid category ID");
+    }
+
+    const category = await ForumCategory.findById(categoryId);
+    if (!category) {
+      throw new NotFoundError("Forum category not found");
+    }
+
+    for (const field of ["name", "description", "color", "order", "isActive"]) {
+      if (data[field] !== undefined) {
+        category[field] = data[field];
+      }
+    }
+
+    try {
+      return await category.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ValidationError("A category with this name already exists");
+      }
+      if (error.name === "ValidationError") {
+        throw new ValidationError(error.message);
+      }
+      throw error;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Threads
+  // ---------------------------------------------------------------------------
+
+  /**
+   * List threads, pinned threads first in the default "active" order
+   * @param {Object} query - { category, tag, author, sort }
+   * @param {Object} options - Cursor params from parseCursorParams
+   * @param {string|ObjectId|null} viewerId
+   * @returns {Promise<Object>} { threads, pagination }
+   */
+  static async listThreads({ category, tag, author, sort = "active" } = {}, options = {}, viewerId = null) {
+    const sortKey = THREAD_SORTS[sort] ? sort : "active";
+    const filter = {};
+
+    if (category) {
+      filter.category = (await this.resolveCategory(category))._id;
+    }
+    if (tag) {
+      filter.tags = String(tag).trim().replace(/^#+/, "").toLowerCase();
+    }
+    if (author) {
+      if (!mongoose.Types.ObjectId.isValid(author)) {
+        throw new ValidationError("Invalid author ID");
+      }
+      filter.author = new mongoose.Types.ObjectId(String(author));
+    }
+    if (sortKey === "unanswered") {
+      filter.replyCount = 0;
+    }
+
+    const { items, pageInfo } = await paginate(ForumThread, filter, {
+      ...options,
+      scope: `forum-threads:${sortKey}:${filter.category || ""}:${filter.tags || ""}:${filter.author || ""}`,
+      sort: THREAD_SORTS[sortKey],
+      select: "-body +upvotes.users",
+      populate: [
+        { path: "author", select: AUTHOR_FIELDS },
+        { path: "category", select: CATEGORY_FIELDS },
+        { path: "lastReplyBy", select: "firstName lastName username" },
+      ],
+    });
+
+    return {
+      threads: items.map((thread) => this.formatPost(thread, viewerId)),
+      pagination: pageInfo,
+    };
+  }
+
+  /**
+   * Threads with the most discussion over the last week
+   * @param {number} [limit]
+   * @returns {Promise<Array>}
+   */
+  static async getTrendingThreads(limit = 5) {
+    const threads = await ForumThread.find({
+      lastActivityAt: { $gte: new Date(Date.now() - TRENDING_WINDOW_MS) },
+    })
+      .sort({ replyCount: -1, "upvotes.count": -1, lastActivityAt: -1 })
+      .limit(Math.min(Math.max(parseInt(limit, 10) || 5, 1), 20))
+      .select("-body")
+      .populate("author", AUTHOR_FIELDS)
+      .populate("category", CATEGORY_FIELDS)
+      .lean();
+
+    return threads.map((thread) => this.formatPost(thread));
+  }
+
+  /**
+   * Most used tags
+   * @param {number} [limit]
+   * @returns {Promise<Array>} [{ tag, count }]
+   */
+  static async getPopularTags(limit = 20) {
+    return ForumThread.aggregate([
+      { $unwind: "$tags" },
+      { $group: { _id: "$tags", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), 50) },
+      { $project: { _id: 0, tag: "$_id", count: 1 } },
+    ]);
+  }
+
+  /**
+   * Load a thread for display
+   * @param {string} threadId
+   * @param {string|ObjectId|null} viewerId
+   * @returns {Promise<Object>}
+   * @throws {ValidationError|NotFoundError}
+   */
+  static async getThread(threadId, viewerId = null) {
+    if (!mongoose.Types.ObjectId.isValid(threadId)) {
+      throw new ValidationError("Invalid thread ID");
+    }
+
+    const thread = await ForumThread.findById(threadId)
+      .select("+upvotes.users")
+      .populate("author", AUTHOR_FIELDS)
+      .populate("category", CATEGORY_FIELDS)
+      .lean();
+    if (!thread) {
+      throw new NotFoundError("Thread not found");
+    }
+
+    return this.formatPost(thread, viewerId);
+  }
+
+  /**
+   * Count a view, at most once per viewer per hour. Authors viewing their
+   * own thread are not counted.
+   * @param {Object} thread - Thread as returned by getThread
+   * @param {string} viewerKey - User ID, or client IP for anonymous viewers
+   * @returns {Promise<number>} The view count after recording
+   */
+  static async recordView(thread, viewerKey) {
+    const count = thread.views?.count || 0;
+    if (!viewerKey || thread.author?._id?.toString() === viewerKey.toString()) {
+      return count;
+    }
+
+    try {
+      const key = `forum:view:${thread._id}:${viewerKey}`;
+      if (await cache.exists(key)) {
+        return count;
+      }
+      await cache.set(key, 1, VIEW_DEDUPE_SECONDS);
+    } catch (error) {
+      logger.warn(`Forum view dedupe unavailable: ${error.message}`);
+    }
+
+    await ForumThread.updateOne({ _id: thread._id }, { $inc: { "views.count": 1 } });
+    return count + 1;
+  }
+
+  /**
+   * Start a thread
+   * @param {Object} user - Authenticated user
+   * @param {Object} data - { title, body, category, tags }
+   * @returns {Promise<Object>}
+   */
+  static async createThread(user, { title, body, category, tags } = {}) {
+    if (!category) {
+      throw new ValidationError("Thread category is required");
+    }
+
+    const forumCategory = await this.resolveCategory(category);
+    const { body: sanitizedBody, text } = this.sanitizeBody(body, { minLength: 20 });
+
+    let thread;
+    try {
+      thread = await ForumThread.create({
+        title: typeof title === "string" ? title.trim() : title,
+        body: sanitizedBody,
+        bodyText: text,
+        excerpt: text.slice(0, EXCERPT_LENGTH),
+        wordCount: text.split(" ").length,
+        author: user._id,
+        category: forumCategory._id,
+        tags: this.normalizeTags(tags),
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        throw new ValidationError(error.message);
+      }
+      throw error;
+    }
+
+    await ForumCategory.updateOne({ _id: forumCategory._id }, { $inc: { threadCount: 1 } });
+
+    logger.info(`User ${user._id} started forum thread ${thread._id}`);
+    return this.getThread(thread._id, user._id);
+  }
+
+  /**
+   * Edit a thread's title, body, category or tags
+   * @param {string} threadId
+   * @param {Object} user - Authenticated user (author or admin)
+   * @param {Object} data - Any of { title, body, category, tags }
+   * @returns {Promise<Object>}
+   */
+  static async updateThread(threadId, user, { title, body, category, tags } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(threadId)) {
+      throw new ValidationError("Invalid thread ID");
+    }
+
+    const thread = await ForumThread.findById(threadId);
+    if (!thread) {
+      throw new NotFoundError("Thread not found");
+    }
+    this.assertCanModify(thread, user, "edit");
+
+    const previousCategory = thread.category;
+
+    if (title !== undefined) {
+      thread.title = typeof title === "string" ? title.trim() : title;
+    }
+    if (body !== undefined) {
+      const { body: sanitizedBody, text } = this.sanitizeBody(body, { minLength: 20 });
+      thread.body = sanitizedBody;
+      thread.bodyText = text;
+      thread.excerpt = text.slice(0, EXCERPT_LENGTH);
+      thread.wordCount = text.split(" ").length;
+    }
+    if (category !== undefined) {
+      thread.category = (await this.resolveCategory(category))._id;
+    }
+    if (tags !== undefined) {
+      thread.tags = this.normalizeTags(tags);
+    }
+
+    try {
+      await thread.save();
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        throw new ValidationError(error.message);
+      }
+      throw error;
+    }
+
+    if (previousCategory.toString() !== thread.category.toString()) {
+      await ForumCategory.bulkWrite([
+        { updateOne: { filter: { _id: previousCategory }, update: { $inc: { threadCount: -1 } } } },
+        { updateOne: { filter: { _id: thread.category }, update: { $inc: { threadCount: 1 } } } },
+      ]);
+    }
+
+    return this.getThread(thread._id, user._id);
+  }
+
+  /**
+   * Pin or lock a thread (admin)
+   * @param {string} threadId
+   * @param {Object} data - Any of { isPinned, isLocked }
+   * @returns {Promise<Object>}
+   */
+  static async moderateThread(threadId, { isPinned, isLocked } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(threadId)) {
+      throw new ValidationError("Invalid thread ID");
+    }
+
+    const update = {};
+    if (isPinned !== undefined) update.isPinned = Boolean(isPinned);
+    if (isLocked !== undefined) update.isLocked = Boolean(isLocked);
+
+    const thread = await ForumThread.findByIdAndUpdate(threadId, { $set: update }, { new: true })
+      .select("isPinned isLocked")
+      .lean();
+    if (!thread) {
+      throw new NotFoundError("Thread not found");
+    }
+    return thread;
+  }
+
+  /**
+   * Delete a thread and all of its replies
+   * @param {string} threadId
+   * @param {Object} user - Authenticated user (author or admin)
+   */
+  static async deleteThread(threadId, user) {
+    if (!mongoose.Types.ObjectId.isValid(threadId)) {
+      throw new ValidationError("Invalid thread ID");
+    }
+
+    const thread = await ForumThread.findById(threadId).select("author category");
+    if (!thread) {
+      throw new NotFoundError("Thread not found");
+    }
+    this.assertCanModify(thread, user, "delete");
+
+    await ForumReply.deleteMany({ thread: thread._id });
+    await thread.deleteOne();
+    await ForumCategory.updateOne({ _id: thread.category }, { $inc: { threadCount: -1 } });
+
+    logger.info(`Forum thread ${thread._id} deleted by user ${user._id}`);
+  }
+
+  /**
+   * Toggle the user's upvote on a thread
+   * @param {string} threadId
+   * @param {string|ObjectId} userId
+   * @returns {Promise<Object>} { upvoted, count }
+   */
+  static async toggleThreadUpvote(threadId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(threadId)) {
+      throw new ValidationError("Invalid thread ID");
+    }
+    return toggleUpvote(ForumThread, threadId, userId);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Replies
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Top-level replies of a thread, oldest first, each with its nested
+   * replies flattened in chronological order
+   * @param {string} threadId
+   * @param {string|ObjectId|null} viewerId
+   * @param {Object} options - Cursor params from parseCursorParams
+   * @returns {Promise<Object>} { replies, pagination }
+   */
+  static async listReplies(threadId, viewerId = null, options = {}) {
+    if (!mongoose.Types.ObjectId.isValid(threadId)) {
+      throw new ValidationError("Invalid thread ID");
+    }
+    if (!(await ForumThread.exists({ _id: threadId }))) {
+      throw new NotFoundError("Thread not found");
+    }
+
+    const { items: roots, pageInfo } = await paginate(
+      ForumReply,
+      { thread: threadId, parent: null },
+      {
+        ...options,
+        scope: `forum-replies:${threadId}`,
+        sort: { createdAt: 1 },
+        select: "+upvotes.users",
+        populate: { path: "author", select: AUTHOR_FIELDS },
+      }
+    );
+
+    const nested = roots.length
+      ? await ForumReply.find({ thread: threadId, rootParent: { $in: roots.map((reply) => reply._id) } })
+          .sort({ createdAt: 1 })
+          .select("+upvotes.users")
+          .populate("author", AUTHOR_FIELDS)
+          .populate("replyingTo", "firstName lastName username")
+          .lean()
+      : [];
+
+    const byRoot = new Map();
+    for (const reply of nested) {
+      const key = reply.rootParent.toString();
+      if (!byRoot.has(key)) byRoot.set(key, []);
+      byRoot.get(key).push(this.formatPost(reply, viewerId));
+    }
+
+    return {
+      replies: roots.map((reply) => ({
+        ...this.formatPost(reply, viewerId),
+        replies: byRoot.get(reply._id.toString()) || [],
+      })),
+      pagination: pageInfo,
+    };
+  }
+
+  /**
+   * Reply to a thread, or to another reply when parentId is given
+   * @param {Object} user - Authenticated user
+   * @param {string} threadId
+   * @param {Object} data - { body, parentId }
+   * @returns {Promise<Object>} The created reply
+   */
+  static async addReply(user, threadId, { body, parentId } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(threadId)) {
+      throw new ValidationError("Invalid thread ID");
+    }
+
+    const thread = await ForumThread.findById(threadId).select("title author isLocked");
+    if (!thread) {
+      throw new NotFoundError("Thread not found");
+    }
+    if (thread.isLocked) {
+      throw new ForbiddenError("This thread is locked");
+    }
+
+    let parent = null;
+    if (parentId) {
+      if (!mongoose.Types.ObjectId.isValid(parentId)) {
+        throw new ValidationError("Invalid reply ID");
+      }
+      parent = await ForumReply.findById(parentId).select("thread author depth rootParent");
+      if (!parent || parent.thread.toString() !== thread._id.toString()) {
+        throw new NotFoundError("The reply you are answering was not found in this thread");
+      }
+    }
+
+    const { body: sanitizedBody } = this.sanitizeBody(body, { isReply: true });
+
+    const reply = await ForumReply.create({
+      body: sanitizedBody,
+      author: user._id,
+      thread: thread._id,
+      parent: parent?._id || null,
+      rootParent: parent ? parent.rootParent || parent._id : null,
+      depth: parent ? Math.min(parent.depth + 1, MAX_REPLY_DEPTH) : 0,
+      replyingTo: parent?.author || null,
+    });
+
+    await ForumThread.updateOne(
+      { _id: thread._id },
+      {
+        $inc: { replyCount: 1 },
+        $set: { lastActivityAt: reply.createdAt, lastReplyBy: user._id },
+      }
+    );
+
+    await reply.populate([
+      { path: "author", select: AUTHOR_FIELDS },
+      { path: "replyingTo", select: "firstName lastName username" },
+    ]);
+
+    const actorName = user.fullName || user.username || "Someone";
+    const data = { threadId: thread._id, threadTitle: thread.title, replyId: reply._id };
+    const recipients = new Map();
+    if (parent) {
+      recipients.set(parent.author.toString(), `${actorName} replied to you in "${thread.title}"`);
+    }
+    if (!recipients.has(thread.author.toString())) {
+      recipients.set(thread.author.toString(), `${actorName} replied to your thread "${thread.title}"`);
+    }
+    await Promise.all(
+      [...recipients].map(([recipient, message]) =>
+        NotificationService.notify({ recipient, actor: user._id, type: "reply", message, data })
+      )
+    );
+
+    return { ...this.formatPost(reply.toObject(), user._id), replies: [] };
+  }
+
+  /**
+   * Edit a reply
+   * @param {string} replyId
+   * @param {Object} user - Authenticated user (author or admin)
+   * @param {string} body - New HTML body
+   * @returns {Promise<Object>}
+   */
+  static async updateReply(replyId, user, body) {
+    if (!mongoose.Types.ObjectId.isValid(replyId)) {
+      throw new ValidationError("Invalid reply ID");
+    }
+
+    const reply = await ForumReply.findById(replyId).select("+upvotes.users");
+    if (!reply) {
+      throw new NotFoundError("Reply not found");
+    }
+    this.assertCanModify(reply, user, "edit");
+
+    reply.body = this.sanitizeBody(body, { isReply: true }).body;
+    reply.editedAt = new Date();
+    await reply.save();
+
+    await reply.populate([
+      { path: "author", select: AUTHOR_FIELDS },
+      { path: "replyingTo", select: "firstName lastName username" },
+    ]);
+
+    return this.formatPost(reply.toObject(), user._id);
+  }
+
+  /**
+   * Delete a reply together with every reply nested under it
+   * @param {string} replyId
+   * @param {Object} user - Authenticated user (author or admin)
+   * @returns {Promise<number>} Number of replies deleted
+   */
+  static async deleteReply(replyId, user) {
+    if (!mongoose.Types.ObjectId.isValid(replyId)) {
+      throw new ValidationError("Invalid reply ID");
+    }
+
+    const reply = await ForumReply.findById(replyId).select("author thread parent rootParent");
+    if (!reply) {
+      throw new NotFoundError("Reply not found");
+    }
+    this.assertCanModify(reply, user, "delete");
+
+    // Top-level replies own their whole conversation; nested ones are walked
+    // down level by level
+    const ids = [reply._id];
+    if (!reply.parent) {
+      ids.push(...(await ForumReply.distinct("_id", { rootParent: reply._id })));
+    } else {
+      let frontier = [reply._id];
+      while (frontier.length > 0) {
+        frontier = await ForumReply.distinct("_id", { parent: { $in: frontier } });
+        ids.push(...frontier);
+      }
+    }
+
+    const { deletedCount } = await ForumReply.deleteMany({ _id: { $in: ids } });
+    await ForumThread.updateOne({ _id: reply.thread }, { $inc: { replyCount: -deletedCount } });
+
+    logger.info(`Forum reply ${reply._id} (${deletedCount} total) deleted by user ${user._id}`);
+    return deletedCount;
+  }
+
+  /**
+   * Toggle the user's upvote on a reply
+   * @param {string} replyId
+   * @param {string|ObjectId} userId
+   * @returns {Promise<Object>} { upvoted, count }
+   */
+  static async toggleReplyUpvote(replyId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(replyId)) {
+      throw new ValidationError("Invalid reply ID");
+    }
+    return toggleUpvote(ForumReply, replyId, userId);
+  }
+}
+
+export default ForumService;
@@ -0,0 +1,468 @@
+import Job, { JOB_LOCATION_TYPES, JOB_TYPES, EXPERIENCE_LEVELS } from "../../models/job/job.model.js";
+import JobAlert, { ALERT_FREQUENCIES } from "../../models/job/jobAlert.model.js";
+import NotificationService from "../notification/notification.service.js";
+import { AppError } from "../../utils/logging/error.js";
+import logger from "../../utils/logging/logger.js";
+import { sendJobAlertEmail, generateUnsubscribeLink } from "../../utils/communication/mail.utils.js";
+
+const MAX_ALERTS_PER_USER = 20;
+const MAX_SKILLS = 20;
+// Jobs listed in one notification/email
+const MAX_JOBS_PER_ALERT = 10;
+// Sent job ids remembered per alert
+const MAX_SENT_JOBS = 200;
+
+const BATCH_PERIOD_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+const ENUM_CRITERIA = {
+  locationType: JOB_LOCATION_TYPES,
+  jobType: JOB_TYPES,
+  experienceLevel: EXPERIENCE_LEVELS,
+};
+
+const USER_FIELDS = "email firstName lastName username";
+const JOB_FIELDS = "title slug company.name locationType jobType experienceLevel";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const toNumberOrNull = (value, label) => {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new AppError(`${label} must be a positive number`, 400);
+  }
+  return number;
+};
+
+/**
+ * Service for saved job searches: checking alert criteria, matching them
+ * against published jobs and delivering the matches.
+ */
+class JobAlertService {
+  /**
+   * Clean up alert settings from a request. Only fields present in the
+   * input are returned, so the result can be used for partial updates.
+   * @param {Object} input - Request body
+   * @returns {Object} Fields ready to store on the alert
+   * @throws {AppError} When a field is invalid
+   */
+  static normalizeAlert(input = {}) {
+    const alert = {};
+
+    if (input.name !== undefined) {
+      alert.name = typeof input.name === "string" ? input.name.trim() : "";
+    }
+    if (input.query !== undefined) {
+      alert.query = typeof input.query === "string" ? input.query.trim() : "";
+    }
+
+    for (const [field, allowed] of Object.entries(ENUM_CRITERIA)) {
+      if (input[field] === undefined) continue;
+      if (input[field] && !allowed.includes(input[field])) {
+        throw new AppError(`${field} must be one of: ${allowed.join(", ")}`, 400);
+      }
+      alert[field] = input[field] || null;
+    }
+
+    if (input.salaryMin !== undefined) alert.salaryMin = toNumberOrNull(input.salaryMin, "Minimum salary");
+    if (input.salaryMax !== undefined) alert.salaryMax = toNumberOrNull(input.salaryMax, "Maximum salary");
+
+    if (input.skills !== undefined) {
+      const skills = Array.isArray(input.skills) ? input.skills : String(input.skills || "").split(",");
+      alert.skills = [...new Set(skills.map((skill) => String(skill).trim()).filter(Boolean))];
+      if (alert.skills.length > MAX_SKILLS) {
+        throw new AppError(`An alert can have at most ${MAX_SKILLS} skills`, 400);
+      }
+    }
+
+    if (input.frequency !== undefined) {
+      if (!ALERT_FREQUENCIES.includes(input.frequency)) {
+        throw new AppError(`Frequency must be one of: ${ALERT_FREQUENCIES.join(", ")}`, 400);
+      }
+      alert.frequency = input.frequency;
+    }
+    if (input.emailEnabled !== undefined) alert.emailEnabled = input.emailEnabled === true;
+    if (input.paused !== undefined) alert.paused = input.paused === true;
+
+    return alert;
+  }
+
+  /**
+   * Check that an alert has at least one criterion and a sane salary range
+   * @param {Object} alert - Alert fields after any update
+   * @throws {AppError}
+   */
+  static validateCriteria(alert) {
+    const hasCriteria =
+      alert.query ||
+      Object.keys(ENUM_CRITERIA).some((field) => alert[field]) ||
+      alert.salaryMin != null ||
+      alert.salaryMax != null ||
+      alert.skills?.length > 0;
+    if (!hasCriteria) {
+      throw new AppError("Add search text or at least one filter to save this search", 400);
+    }
+    if (alert.salaryMin != null && alert.salaryMax != null && alert.salaryMin > alert.salaryMax) {
+      throw new AppError("Minimum salary cannot be greater than maximum salary", 400);
+    }
+  }
+
+  /**
+   * Query conditions for search criteria, shared by alerts and the jobs search.
+   * Salaries are compared with the posting's range as posted.
+   * @param {Object} criteria - { query, locationType, jobType, experienceLevel, salaryMin, salaryMax, skills }
+   * @returns {Array} Conditions to combine with $and
+   */
+  static getCriteriaConditions(criteria = {}) {
+    const conditions = [];
+
+    if (criteria.query) {
+      const pattern = { $regex: escapeRegex(criteria.query), $options: "i" };
+      conditions.push({
+        $or: [
+          { title: pattern },
+          { description: pattern },
+          { "company.name": pattern },
+          { skills: pattern },
+        ],
+      });
+    }
+
+    for (const field of Object.keys(ENUM_CRITERIA)) {
+      if (criteria[field]) conditions.push({ [field]: criteria[field] });
+    }
+
+    const salaryMin = toNumberOrNull(criteria.salaryMin, "Minimum salary");
+    if (salaryMin != null) {
+      conditions.push({
+        $or: [
+          { "salary.max": { $gte: salaryMin } },
+          { "salary.max": null, "salary.min": { $gte: salaryMin } },
+        ],
+      });
+    }
+    const salaryMax = toNumberOrNull(criteria.salaryMax, "Maximum salary");
+    if (salaryMax != null) {
+      conditions.push({
+        $or: [
+          { "salary.min": { $lte: salaryMax } },
+          { "salary.min": null, "salary.max": { $lte: salaryMax } },
+        ],
+      });
+    }
+
+    const skills = Array.isArray(criteria.skills)
+      ? criteria.skills
+      : String(criteria.skills || "").split(",").map((skill) => skill.trim()).filter(Boolean);
+    if (skills.length > 0) {
+      conditions.push({ skills: { $in: skills.map((skill) => new RegExp(`^${escapeRegex(skill)}$`, "i")) } });
+    }
+
+    return conditions;
+  }
+
+  /**
+   * In-memory equivalent of getCriteriaConditions() for a single job
+   * @param {Object} alert
+   * @param {Object} job
+   * @returns {boolean}
+   */
+  static matchesJob(alert, job) {
+    const lower = (value) => String(value ?? "").toLowerCase();
+
+    if (alert.query) {
+      const query = lower(alert.query);
+      const haystack = [job.title, job.description, job.company?.name, ...(job.skills || [])];
+      if (!haystack.some((value) => lower(value).includes(query))) return false;
+    }
+
+    if (Object.keys(ENUM_CRITERIA).some((field) => alert[field] && alert[field] !== job[field])) {
+      return false;
+    }
+
+    const top = job.salary?.max ?? job.salary?.min;
+    const bottom = job.salary?.min ?? job.salary?.max;
+    if (alert.salaryMin != null && !(top >= alert.salaryMin)) return false;
+    if (alert.salaryMax != null && !(bottom <= alert.salaryMax)) return false;
+
+    if (alert.skills?.length > 0) {
+      const jobSkills = new Set((job.skills || []).map(lower));
+      if (!alert.skills.some((skill) => jobSkills.has(lower(skill)))) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * A user's alerts, newest first
+   * @param {string} userId
+   * @returns {Promise<Array>}
+   */
+  static async listAlerts(userId) {
+    return JobAlert.find({ user: userId }).sort({ createdAt: -1 }).lean();
+  }
+
+  /**
+   * Save a search for a user
+   * @param {string} userId
+   * @param {Object} input - Request body
+   * @returns {Promise<Object>} The new alert
+   */
+  static async createAlert(userId, input) {
+    const fields = this.normalizeAlert(input);
+    this.validateCriteria(fields);
+
+    const count = await JobAlert.countDocuments({ user: userId });
+    if (count >= MAX_ALERTS_PER_USER) {
+      throw new AppError(`You can save at most ${MAX_ALERTS_PER_USER} job alerts`, 400);
+    }
+
+    const alert = await JobAlert.create({
+      ...fields,
+      name: fields.name || fields.query || "My job search",
+      user: userId,
+    });
+    logger.info(`Job alert ${alert._id} created by user ${userId}`);
+    return alert;
+  }
+
+  /**
+   * Change an alert's name, criteria, frequency, email setting or paused state
+   * @param {string} alertId
+   * @param {string} userId - Owner
+   * @param {Object} input - Request body
+   * @returns {Promise<Object>} The updated alert
+   */
+  static async updateAlert(alertId, userId, input) {
+    const alert = await JobAlert.findOne({ _id: alertId, user: userId });
+    if (!alert) {
+      throw new AppError("Job alert not found", 404);
+    }
+
+    const fields = this.normalizeAlert(input);
+    if (fields.name === "") {
+      throw new AppError("Alert name cannot be empty", 400);
+    }
+    this.validateCriteria({ ...alert.toObject(), ...fields });
+
+    // Resuming starts from now; jobs posted while paused are not sent
+    if (alert.paused && fields.paused === false) {
+      alert.lastCheckedAt = new Date();
+    }
+
+    alert.set(fields);
+    await alert.save();
+    return alert;
+  }
+
+  /**
+   * Delete an alert
+   * @param {string} alertId
+   * @param {string} userId - Owner
+   */
+  static async deleteAlert(alertId, userId) {
+    const result = await JobAlert.deleteOne({ _id: alertId, user: userId });
+    if (result.deletedCount === 0) {
+      throw new AppError("Job alert not found", 404);
+    }
+  }
+
+  /**
+   * Send a newly published job to every matching instant alert. Runs after
+   * the publish request has been answered and never throws.
+   * @param {Object} job - Published job document
+   * @returns {Promise<number>} Number of alerts sent
+   */
+  static async matchPublishedJob(job) {
+    try {
+      if (job.status !== "Published" || job.hiddenByReports) {
+        return 0;
+      }
+
+      const candidates = JobAlert.find({
+        frequency: "instant",
+        paused: false,
+        user: { $ne: job.poster },
+        sentJobs: { $ne: job._id },
+        locationType: { $in: [null, job.locationType] },
+        jobType: { $in: [null, job.jobType] },
+        experienceLevel: { $in: [null, job.experienceLevel] },
+      })
+        .populate("user", USER_FIELDS)
+        .cursor();
+
+      let sent = 0;
+      for await (const alert of candidates) {
+        if (!alert.user || !this.matchesJob(alert, job)) continue;
+
+        // Claim the job for this alert first so it's only ever sent once
+        const claimed = await JobAlert.findOneAndUpdate(
+          { _id: alert._id, sentJobs: { $ne: job._id } },
+          {
+            $set: { lastSentAt: new Date() },
+            $push: { sentJobs: { $each: [job._id], $slice: -MAX_SENT_JOBS } },
+          }
+        );
+        if (!claimed) continue;
+
+        await this.deliver(alert, alert.user, [job]);
+        sent += 1;
+      }
+
+      if (sent > 0) {
+        logger.info(`Job ${job._id} sent to ${sent} instant job alerts`);
+      }
+      return sent;
+    } catch (error) {
+      logger.error(`Failed to match job ${job._id} against job alerts: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Send daily and weekly alerts whose batch window has passed
+   * @param {Object} [options]
+   * @param {number} [options.batchSize=100] - Alerts loaded per batch
+   * @returns {Promise<Object>} Summary of the run
+   */
+  static async sendScheduledAlerts({ batchSize = 100 } = {}) {
+    const now = new Date();
+    const summary = { checked: 0, sent: 0, failed: 0 };
+
+    for (const [frequency, periodMs] of Object.entries(BATCH_PERIOD_MS)) {
+      // Allow some slack so a run that starts slightly early doesn't skip alerts
+      const cutoff = new Date(now.getTime() - periodMs * 0.9);
+      const query = { frequency, paused: false, lastCheckedAt: { $lte: cutoff } };
+
+      let lastId = null;
+      while (true) {
+        const batchQuery = lastId ? { ...query, _id: { $gt: lastId } } : query;
+        const alerts = await JobAlert.find(batchQuery)
+          .select("+sentJobs")
+          .populate("user", USER_FIELDS)
+          .sort({ _id: 1 })
+          .limit(batchSize);
+
+        if (alerts.length === 0) break;
+        lastId = alerts[alerts.length - 1]._id;
+
+        for (const alert of alerts) {
+          summary.checked += 1;
+          try {
+            if (await this.sendBatch(alert, now)) summary.sent += 1;
+          } catch (error) {
+            summary.failed += 1;
+            logger.error(`Failed to send job alert ${alert._id}: ${error.message}`);
+          }
+        }
+
+        if (alerts.length < batchSize) break;
+      }
+    }
+
+    logger.info("Completed job alert run", summary);
+    return summary;
+  }
+
+  /**
+   * Send one alert's jobs published since its last check
+   * @param {Object} alert - JobAlert document with sentJobs and user
+   * @param {Date} now - End of the window
+   * @returns {Promise<boolean>} Whether anything was sent
+   */
+  static async sendBatch(alert, now) {
+    // Move the window forward first; if another run got here first, skip
+    const claimed = await JobAlert.updateOne(
+      { _id: alert._id, lastCheckedAt: alert.lastCheckedAt },
+      { $set: { lastCheckedAt: now } }
+    );
+    if (claimed.modifiedCount === 0 || !alert.user) {
+      return false;
+    }
+
+    const conditions = this.getCriteriaConditions(alert);
+    const jobs = await Job.find({
+      ...Job.publicFilter(),
+      expiresAt: { $gt: now },
+      publishedAt: { $gt: alert.lastCheckedAt, $lte: now },
+      poster: { $ne: alert.user._id },
+      _id: { $nin: alert.sentJobs },
+      ...(conditions.length > 0 && { $and: conditions }),
+    })
+      .sort({ publishedAt: -1 })
+      .limit(MAX_JOBS_PER_ALERT)
+      .select(JOB_FIELDS)
+      .lean();
+
+    if (jobs.length === 0) {
+      return false;
+    }
+
+    await JobAlert.updateOne(
+      { _id: alert._id },
+      {
+        $set: { lastSentAt: now },
+        $push: { sentJobs: { $each: jobs.map((job) => job._id), $slice: -MAX_SENT_JOBS } },
+      }
+    );
+    await this.deliver(alert, alert.user, jobs);
+    return true;
+  }
+
+  /**
+   * In-app notification and (unless turned off) email for an alert's jobs.
+   * Failures are logged, not thrown.
+   * @param {Object} alert
+   * @param {Object} user - Alert owner with email and name fields
+   * @param {Array} jobs - Matching jobs, newest first
+   */
+  static async deliver(alert, user, jobs) {
+    try {
+      await NotificationService.notify({
+        recipient: user._id,
+        type: "job",
+        message:
+          jobs.length === 1
+            ? `New job for "${alert.name}": ${jobs[0].title}`
+            : `${jobs.length} new jobs for "${alert.name}"`,
+        data: {
+          event: "alert",
+          alertId: alert._id,
+          jobIds: jobs.map((job) => job._id),
+          jobId: jobs[0]._id,
+          jobSlug: jobs[0].slug,
+        },
+      });
+
+      if (alert.emailEnabled && user.email) {
+        const userName =
+          `${user.firstName || ""} ${user.lastName || ""}`.trim() || user.username || "there";
+        await sendJobAlertEmail(
+          user.email,
+          userName,
+          alert,
+          jobs,
+          generateUnsubscribeLink(user.email, `job-alert-${alert._id}`)
+        );
+      }
+    } catch (error) {
+      logger.error(`Failed to deliver job alert ${alert._id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Turn off emails for one alert from its unsubscribe link
+   * @param {string} userId
+   * @param {string} alertId
+   * @returns {Promise<boolean>} Whether the alert was found
+   */
+  static async disableEmails(userId, alertId) {
+    const result = await JobAlert.updateOne({ _id: alertId, user: userId }, { $set: { emailEnabled: false } });
+    return result.matchedCount > 0;
+  }
+}
+
+export default JobAlertService;
@@ -0,0 +1,341 @@
+import jwt from "jsonwebtoken";
+import Job from "../../models/job/job.model.js";
+import JobApplication from "../../models/job/jobApplication.model.js";
+import NotificationService from "../notification/notification.service.js";
+import JobAlertService from "./jobAlert.service.js";
+import logger from "../../utils/logging/logger.js";
+import { AppError } from "../../utils/logging/error.js";
+import {
+  sendJobExpiryReminderEmail,
+  sendJobClosedEmail,
+} from "../../utils/communication/mail.utils.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long before expiresAt the poster is reminded
+const REMINDER_DAYS = parseInt(process.env.JOB_EXPIRY_REMINDER_DAYS || "3", 10);
+
+// Days added by the "extend" action
+export const EXTENSION_DAYS = 30;
+
+// Application statuses that are still waiting on a decision
+const OPEN_APPLICATION_STATUSES = ["Pending", "Reviewed", "Shortlisted"];
+
+const EXTEND_TOKEN_PURPOSE = "job-extend";
+
+/**
+ * Service that moves job postings through their lifecycle: closing them at
+ * expiry, reminding posters before that happens and notifying applicants
+ * whose applications were still open.
+ */
+class JobLifecycleService {
+  /**
+   * Scheduled entry point: close expired postings and send reminders
+   * @returns {Promise<Object>} { closed, reminded }
+   */
+  static async runLifecycle() {
+    const backfilled = await this.backfillPublishedAt();
+    const closed = await this.closeExpiredJobs();
+    const reminded = await this.sendExpiryReminders();
+    return { backfilled, closed, reminded };
+  }
+
+  /**
+   * Give postings that went live before publishedAt existed their creation
+   * date, so they are never treated as newly published.
+   * @returns {Promise<number>} Number of jobs updated
+   */
+  static async backfillPublishedAt() {
+    const result = await Job.updateMany(
+      { status: { $ne: "Draft" }, publishedAt: null },
+      [{ $set: { publishedAt: "$createdAt" } }]
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.info(`Backfilled publishedAt on ${result.modifiedCount} job postings`);
+    }
+    return result.modifiedCount;
+  }
+
+  /**
+   * Close every published posting whose expiresAt has passed
+   * @param {Object} [filter] - Extra conditions (e.g. { poster })
+   * @returns {Promise<number>} Number of closed jobs
+   */
+  static async closeExpiredJobs(filter = {}) {
+    const expiredJobs = await Job.find({
+      ...filter,
+      status: "Published",
+      expiresAt: { $lte: new Date() },
+    })
+      .select("_id")
+      .lean();
+
+    let closed = 0;
+    for (const { _id } of expiredJobs) {
+      const job = await this.closeJob(_id, "expired");
+      if (job) closed += 1;
+    }
+
+    if (closed > 0) {
+      logger.info(`Closed ${closed} expired job postings`);
+    }
+    return closed;
+  }
+
+  /**
+   * Atomically move a published job to Closed (or Filled) and notify its
+   * open applicants. Does nothing if the job is no longer published.
+   * @param {string|ObjectId} jobId - Job to close
+   * @param {string} reason - "expired", "filled" or "manual"
+   * @returns {Promise<Object|null>} The closed job or null
+   */
+  static async closeJob(jobId, reason = "expired") {
+    const job = await Job.findOneAndUpdate(
+      { _id: jobId, status: "Published" },
+      {
+        $set: {
+          status: reason === "filled" ? "Filled" : "Closed",
+          closedAt: new Date(),
+          closeReason: reason,
+        },
+      },
+      { new: true }
+    );
+
+    if (job) {
+      await this.notifyOpenApplicants(job, reason);
+    }
+    return job;
+  }
+
+  /**
+   * Keep lifecycle fields in sync after a poster edits a job's status,
+   * notify open applicants when a published job gets closed or filled, and
+   * send job alerts when a draft is published.
+   * @param {string} previousStatus - Status before the update
+   * @param {Object} job - Updated job document
+   * @returns {Promise<Object>} The job
+   */
+  static async handleStatusChange(previousStatus, job) {
+    if (!job || previousStatus === job.status) {
+      return job;
+    }
+
+    if (["Closed", "Filled"].includes(job.status)) {
+      job.closedAt = new Date();
+      job.closeReason = job.status === "Filled" ? "filled" : "manual";
+      await Job.updateOne(
+        { _id: job._id },
+        { $set: { closedAt: job.closedAt, closeReason: job.closeReason } }
+      );
+
+      if (previousStatus === "Published") {
+        await this.notifyOpenApplicants(job, job.closeReason);
+      }
+    } else if (job.closedAt) {
+      job.closedAt = null;
+      job.closeReason = null;
+      await Job.updateOne({ _id: job._id }, { $set: { closedAt: null, closeReason: null } });
+    }
+
+    // Job alerts only go out the first time a posting goes live
+    if (job.status === "Published" && previousStatus !== "Published" && !job.publishedAt) {
+      job.publishedAt = new Date();
+      await Job.updateOne({ _id: job._id }, { $set: { publishedAt: job.publishedAt } });
+      JobAlertService.matchPublishedJob(job);
+    }
+
+    return job;
+  }
+
+  /**
+   * Send an in-app notification and an email to every applicant whose
+   * application is still open.
+   * @param {Object} job - Closed or filled job
+   * @param {string} reason - "expired", "filled" or "manual"
+   * @returns {Promise<number>} Number of applicants notified
+   */
+  static async notifyOpenApplicants(job, reason) {
+    try {
+      const applications = await JobApplication.find({
+        job: job._id,
+        status: { $in: OPEN_APPLICATION_STATUSES },
+      })
+        .populate("applicant", "email firstName lastName username")
+        .lean();
+
+      const emailReason = reason === "filled" ? "filled" : "closed";
+      const message =
+        reason === "filled"
+          ? `The ${job.title} position you applied for has been filled`
+          : `The ${job.title} job you applied for is no longer accepting applications`;
+
+      for (const application of applications) {
+        const applicant = application.applicant;
+        if (!applicant) continue;
+
+        await NotificationService.notify({
+          recipient: applicant._id,
+          type: "job",
+          message,
+          data: {
+            event: emailReason,
+            jobId: job._id,
+            jobTitle: job.title,
+            jobSlug: job.slug,
+            applicationId: application._id,
+          },
+        });
+
+        const userName =
+          `${applicant.firstName || ""} ${applicant.lastName || ""}`.trim() ||
+          applicant.username ||
+          "there";
+        await sendJobClosedEmail(applicant.email, userName, job, emailReason);
+      }
+
+      return applications.length;
+    } catch (error) {
+      logger.error(`Failed to notify applicants of job ${job?._id}: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Email posters whose jobs expire within REMINDER_DAYS, once per expiry date
+   * @returns {Promise<number>} Number of reminders sent
+   */
+  static async sendExpiryReminders() {
+    const now = new Date();
+    const jobs = await Job.find({
+      status: "Published",
+      expiresAt: { $gt: now, $lte: new Date(now.getTime() + REMINDER_DAYS * DAY_MS) },
+      expiryReminderSentAt: null,
+    })
+      .select("_id")
+      .lean();
+
+    let sent = 0;
+    for (const { _id } of jobs) {
+      // Claim the reminder first so concurrent runs don't send it twice
+      const sentAt = new Date();
+      const job = await Job.findOneAndUpdate(
+        { _id, expiryReminderSentAt: null },
+        { $set: { expiryReminderSentAt: sentAt } },
+        { new: true }
+      ).populate("poster", "email firstName lastName username");
+
+      if (!job?.poster?.email) continue;
+
+      const userName =
+        `${job.poster.firstName || ""} ${job.poster.lastName || ""}`.trim() ||
+        job.poster.username;
+      const result = await sendJobExpiryReminderEmail(
+        job.poster.email,
+        userName,
+        job,
+        this.generateExtendUrl(job, sentAt)
+      );
+
+      if (result.success) {
+        sent += 1;
+      } else {
+        // Release the claim so the next run retries
+        await Job.updateOne({ _id }, { $set: { expiryReminderSentAt: null } });
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * One-click extension link for a reminder email. The token is bound to the
+   * reminder it was sent with, so it stops working once used.
+   * @param {Object} job - Job document
+   * @param {Date} reminderSentAt - Timestamp stored on the job for this reminder
+   * @returns {string}
+   */
+  static generateExtendUrl(job, reminderSentAt) {
+    const token = jwt.sign(
+      {
+        purpose: EXTEND_TOKEN_PURPOSE,
+        jobId: job._id.toString(),
+        reminder: reminderSentAt.getTime(),
+      },
+      process.env.JWT_EMAIL_VERIFICATION_SECRET,
+      { expiresIn: `${REMINDER_DAYS + EXTENSION_DAYS}d` }
+    );
+
+    const baseUrl = process.env.SERVER_URL || process.env.CLIENT_URL;
+    return `${baseUrl}/api/v1/jobs/${job._id}/extend?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Extend a job from the reminder email link
+   * @param {string} jobId - Job ID from the URL
+   * @param {string} token - Signed token from the link
+   * @returns {Promise<Object>} The extended job
+   * @throws {AppError} When the token is invalid, expired or already used
+   */
+  static async extendWithToken(jobId, token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, process.env.JWT_EMAIL_VERIFICATION_SECRET);
+    } catch (error) {
+      logger.warn(`Invalid job extension token for job ${jobId}: ${error.message}`);
+      throw new AppError("This link is invalid or has expired", 400);
+    }
+
+    if (payload.purpose !== EXTEND_TOKEN_PURPOSE || payload.jobId !== jobId) {
+      throw new AppError("This link is invalid or has expired", 400);
+    }
+
+    const job = await Job.findById(jobId);
+    if (!job) {
+      throw new AppError("Job not found", 404);
+    }
+
+    if (job.expiryReminderSentAt?.getTime() !== payload.reminder) {
+      throw new AppError("This link has already been used", 400);
+    }
+
+    return this.extendJob(job);
+  }
+
+  /**
+   * Push a job's expiry out by EXTENSION_DAYS from now or its current
+   * expiry, whichever is later. An application deadline that would fall
+   * before the new expiry moves with it, and jobs closed by expiry are
+   * reopened.
+   * @param {Object} job - Job document
+   * @param {number} [days] - Days to add
+   * @returns {Promise<Object>} The saved job
+   */
+  static async extendJob(job, days = EXTENSION_DAYS) {
+    const reopenable = job.status === "Closed" && job.closeReason === "expired";
+    if (job.status !== "Published" && !reopenable) {
+      throw new AppError(`A ${job.status.toLowerCase()} job cannot be extended`, 400);
+    }
+
+    const now = Date.now();
+    const base = Math.max(now, job.expiresAt ? job.expiresAt.getTime() : now);
+    job.expiresAt = new Date(base + days * DAY_MS);
+    job.expiryReminderSentAt = null;
+
+    // Otherwise the extended posting would still refuse applications
+    if (job.deadline && job.deadline < job.expiresAt) {
+      job.deadline = job.expiresAt;
+    }
+
+    if (job.status === "Closed") {
+      job.status = "Published";
+    }
+
+    await job.save();
+    logger.info(`Job ${job._id} extended until ${job.expiresAt.toISOString()}`);
+    return job;
+  }
+}
+
+export default JobLifecycleService;
@@ -0,0 +1,329 @@
+import Job, { JOB_TYPES, EXPERIENCE_LEVELS } from "../../models/job/job.model.js";
+import JobApplication from "../../models/job/jobApplication.model.js";
+import User from "../../models/user/user.model.js";
+import logger from "../../utils/logging/logger.js";
+
+// Share of the score each factor carries. Factors that can't be compared
+// (e.g. a job without skills) are left out and the rest scaled up.
+const WEIGHTS = {
+  skills: 50,
+  experience: 20,
+  jobType: 10,
+  location: 10,
+  salary: 10,
+};
+
+// Freelancer experience mapped onto job experience levels
+const FREELANCER_LEVELS = {
+  Beginner: "Entry Level",
+  Intermediate: "Mid-Level",
+  Advanced: "Senior",
+  Expert: "Executive",
+};
+
+// How well a job's locationType suits a remote work preference
+const LOCATION_FIT = {
+  "Remote only": { Remote: 1, Flexible: 1, Hybrid: 0.3, "On-site": 0 },
+  Hybrid: { Remote: 0.7, Flexible: 1, Hybrid: 1, "On-site": 0.5 },
+  "On-site": { Remote: 0.5, Flexible: 1, Hybrid: 0.7, "On-site": 1 },
+  Flexible: { Remote: 1, Flexible: 1, Hybrid: 1, "On-site": 1 },
+};
+
+const YEARLY_MULTIPLIER = { Hourly: 2080, Monthly: 12, Yearly: 1 };
+
+// Jobs scored per recommendation request
+const CANDIDATE_POOL = 200;
+const MIN_RECOMMENDED_SCORE = 30;
+const MAX_RECOMMENDATIONS = 50;
+
+// Job fields a match depends on; editing any of them clears stored application scores
+export const MATCH_FIELDS = ["skills", "experienceLevel", "jobType", "locationType", "location", "salary"];
+
+const PROFILE_FIELDS = "skills roleDetails.jobseeker roleDetails.freelancer";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// "Node.js", "NodeJS" and "node js" all compare equal
+const normalizeSkill = (skill) => String(skill).toLowerCase().replace(/[^a-z0-9+#]/g, "");
+
+const toYearly = (amount, period = "Yearly") => amount * (YEARLY_MULTIPLIER[period] || 1);
+
+/**
+ * Service that scores how well a candidate's jobseeker or freelancer
+ * profile fits a job, for applicants, posters and job recommendations.
+ */
+class JobMatchService {
+  /**
+   * Combine a user's jobseeker and freelancer profiles into match criteria
+   * @param {Object} user - User with roleDetails.jobseeker/freelancer populated
+   * @returns {Object|null} Profile, or null if the user has neither role profile
+   */
+  static buildProfile(user) {
+    const jobseeker = user?.roleDetails?.jobseeker;
+    const freelancer = user?.roleDetails?.freelancer;
+    if (!jobseeker?._id && !freelancer?._id) {
+      return null;
+    }
+
+    const skills = [
+      ...(jobseeker?.skills || []),
+      ...(freelancer?.skills || []),
+      ...(freelancer?.specializations || []),
+      ...(user.skills || []),
+    ].filter((skill) => typeof skill === "string" && skill.trim());
+
+    // Freelancers suit contract and freelance roles on top of their availability
+    const preferredJobTypes = [
+      ...(jobseeker?.preferredJobTypes || []),
+      ...(freelancer ? ["Freelance", "Contract", freelancer.availability] : []),
+    ].filter((type) => JOB_TYPES.includes(type));
+
+    let expectedSalary = null;
+    if (jobseeker?.expectedSalary?.amount) {
+      expectedSalary = { amount: jobseeker.expectedSalary.amount, period: jobseeker.expectedSalary.period };
+    } else if (freelancer?.hourlyRate?.amount) {
+      expectedSalary = { amount: freelancer.hourlyRate.amount, period: "Hourly" };
+    }
+
+    return {
+      skills: [...new Map(skills.map((skill) => [normalizeSkill(skill), skill.trim()])).values()],
+      experienceLevel: jobseeker?.experience || FREELANCER_LEVELS[freelancer?.experience] || null,
+      preferredJobTypes: [...new Set(preferredJobTypes)],
+      preferredLocations: jobseeker?.preferredLocations || [],
+      willingToRelocate: jobseeker?.willingToRelocate === true,
+      remoteWorkPreference:
+        jobseeker?.remoteWorkPreference ||
+        (freelancer?.workPreferences?.remoteOnly ? "Remote only" : "Flexible"),
+      expectedSalary,
+    };
+  }
+
+  /**
+   * Match profiles for several users
+   * @param {Array} userIds
+   * @returns {Promise<Map>} userId string -> profile (null when incomplete)
+   */
+  static async getCandidateProfiles(userIds) {
+    const users = await User.find({ _id: { $in: userIds } })
+      .select(PROFILE_FIELDS)
+      .populate("roleDetails.jobseeker")
+      .populate("roleDetails.freelancer")
+      .lean();
+    return new Map(users.map((user) => [user._id.toString(), this.buildProfile(user)]));
+  }
+
+  /**
+   * Match profile for one user
+   * @param {string} userId
+   * @returns {Promise<Object|null>}
+   */
+  static async getCandidateProfile(userId) {
+    const profiles = await this.getCandidateProfiles([userId]);
+    return profiles.get(userId.toString()) || null;
+  }
+
+  /**
+   * Score a profile against a job
+   * @param {Object} profile - Result of buildProfile()
+   * @param {Object} job - Job document or lean object
+   * @returns {Object} { score, matchingSkills, missingSkills, factors: [{ key, score, weight, detail }] }
+   */
+  static scoreMatch(profile, job) {
+    const factors = [];
+    const addFactor = (key, value, detail) =>
+      factors.push({ key, score: Math.round(value * 100), weight: WEIGHTS[key], detail });
+
+    // Skills: share of the job's skills the candidate has
+    const candidateSkills = new Set(profile.skills.map(normalizeSkill));
+    const jobSkills = (job.skills || []).filter((skill) => typeof skill === "string" && skill.trim());
+    const matchingSkills = jobSkills.filter((skill) => candidateSkills.has(normalizeSkill(skill)));
+    const missingSkills = jobSkills.filter((skill) => !candidateSkills.has(normalizeSkill(skill)));
+    if (jobSkills.length > 0) {
+      addFactor(
+        "skills",
+        matchingSkills.length / jobSkills.length,
+        `${matchingSkills.length} of ${jobSkills.length} skills`
+      );
+    }
+
+    // Experience: full marks on the same level, less for each level apart
+    const jobLevel = EXPERIENCE_LEVELS.indexOf(job.experienceLevel);
+    const candidateLevel = EXPERIENCE_LEVELS.indexOf(profile.experienceLevel);
+    if (jobLevel >= 0 && candidateLevel >= 0) {
+      const distance = Math.abs(jobLevel - candidateLevel);
+      addFactor(
+        "experience",
+        [1, 0.6, 0.2][distance] ?? 0,
+        `${job.experienceLevel} role, you're ${profile.experienceLevel}`
+      );
+    }
+
+    if (job.jobType && profile.preferredJobTypes.length > 0) {
+      const preferred = profile.preferredJobTypes.includes(job.jobType);
+      addFactor(
+        "jobType",
+        preferred ? 1 : 0,
+        preferred ? `${job.jobType} is a type you want` : `You prefer ${profile.preferredJobTypes.join(", ")}`
+      );
+    }
+
+    // Location: remote preference, halved for on-site work outside preferred locations
+    if (job.locationType) {
+      let fit = LOCATION_FIT[profile.remoteWorkPreference]?.[job.locationType] ?? 1;
+      const onSite = ["On-site", "Hybrid"].includes(job.locationType);
+      if (onSite && job.location && profile.preferredLocations.length > 0 && !profile.willingToRelocate) {
+        const jobLocation = job.location.toLowerCase();
+        const nearby = profile.preferredLocations.some(
+          (location) => location && jobLocation.includes(location.toLowerCase())
+        );
+        if (!nearby) fit /= 2;
+      }
+      addFactor("location", fit, `${job.locationType} role, you prefer ${profile.remoteWorkPreference}`);
+    }
+
+    // Salary: compared yearly; hidden salaries are not used
+    const jobTop = job.salary?.max ?? job.salary?.min;
+    if (profile.expectedSalary && jobTop && job.salary?.isVisible !== false) {
+      const offered = toYearly(jobTop, job.salary.period);
+      const expected = toYearly(profile.expectedSalary.amount, profile.expectedSalary.period);
+      addFactor(
+        "salary",
+        Math.min(1, offered / expected),
+        offered >= expected ? "Meets your expected salary" : "Below your expected salary"
+      );
+    }
+
+    const totalWeight = factors.reduce((sum, factor) => sum + factor.weight, 0);
+    const score = totalWeight
+      ? Math.round(factors.reduce((sum, factor) => sum + factor.score * factor.weight, 0) / totalWeight)
+      : 0;
+
+    return { score, matchingSkills, missingSkills, factors };
+  }
+
+  /**
+   * A user's match for a job
+   * @param {string} userId
+   * @param {Object} job
+   * @returns {Promise<Object|null>} Match, or null if the user has no jobseeker/freelancer profile
+   */
+  static async getMatch(userId, job) {
+    const profile = await this.getCandidateProfile(userId);
+    return profile ? this.scoreMatch(profile, job) : null;
+  }
+
+  /**
+   * The match stored on an application. Never throws, so scoring can't
+   * block an application.
+   * @param {string} userId - Applicant
+   * @param {Object} job
+   * @returns {Promise<Object|undefined>}
+   */
+  static async scoreApplicant(userId, job) {
+    try {
+      return this.toStoredMatch(await this.getMatch(userId, job));
+    } catch (error) {
+      logger.error(`Failed to score applicant ${userId} for job ${job._id}: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  /**
+   * Shape of a match as stored on an application
+   * @param {Object|null} match
+   * @returns {Object}
+   */
+  static toStoredMatch(match) {
+    return {
+      score: match ? match.score : null,
+      matchingSkills: match?.matchingSkills || [],
+      missingSkills: match?.missingSkills || [],
+      scoredAt: new Date(),
+    };
+  }
+
+  /**
+   * Score a job's applications that have no stored match yet (applied before
+   * scoring existed, or since the job's requirements changed)
+   * @param {Object} job
+   * @returns {Promise<number>} Number of applications scored
+   */
+  static async scoreApplications(job) {
+    const applications = await JobApplication.find({ job: job._id, "match.scoredAt": { $exists: false } })
+      .select("applicant")
+      .lean();
+    if (applications.length === 0) {
+      return 0;
+    }
+
+    const profiles = await this.getCandidateProfiles(applications.map(({ applicant }) => applicant));
+    await JobApplication.bulkWrite(
+      applications.map(({ _id, applicant }) => {
+        const profile = profiles.get(applicant.toString());
+        return {
+          updateOne: {
+            filter: { _id },
+            update: { $set: { match: this.toStoredMatch(profile ? this.scoreMatch(profile, job) : null) } },
+          },
+        };
+      })
+    );
+
+    logger.info(`Scored ${applications.length} applications for job ${job._id}`);
+    return applications.length;
+  }
+
+  /**
+   * Drop stored matches so they are recomputed against the edited job
+   * @param {string} jobId
+   */
+  static async clearApplicationScores(jobId) {
+    await JobApplication.updateMany({ job: jobId }, { $unset: { match: "" } });
+  }
+
+  /**
+   * Open jobs that fit a user's profile best, excluding their own postings
+   * and jobs they applied to
+   * @param {string} userId
+   * @param {Object} [options] - { limit }
+   * @returns {Promise<Object>} { profileComplete, jobs: [job with match] }
+   */
+  static async recommendJobs(userId, { limit = 10 } = {}) {
+    const profile = await this.getCandidateProfile(userId);
+    if (!profile) {
+      return { profileComplete: false, jobs: [] };
+    }
+
+    // Only score jobs that share a skill or the experience level
+    const relevance = [];
+    if (profile.skills.length > 0) {
+      relevance.push({ skills: { $in: profile.skills.map((skill) => new RegExp(`^${escapeRegex(skill)}$`, "i")) } });
+    }
+    if (profile.experienceLevel) {
+      relevance.push({ experienceLevel: profile.experienceLevel });
+    }
+
+    const appliedJobIds = await JobApplication.distinct("job", { applicant: userId });
+    const jobs = await Job.find({
+      ...Job.publicFilter(),
+      expiresAt: { $gt: new Date() },
+      poster: { $ne: userId },
+      _id: { $nin: appliedJobIds },
+      ...(relevance.length > 0 && { $or: relevance }),
+    })
+      .sort({ createdAt: -1 })
+      .limit(CANDIDATE_POOL)
+      .select("title slug company location locationType jobType experienceLevel skills salary createdAt")
+      .lean();
+
+    const recommended = jobs
+      .map((job) => ({ ...job, match: this.scoreMatch(profile, job) }))
+      .filter((job) => job.match.score >= MIN_RECOMMENDED_SCORE)
+      .sort((a, b) => b.match.score - a.match.score || b.createdAt - a.createdAt)
+      .slice(0, Math.min(Math.max(limit, 1), MAX_RECOMMENDATIONS));
+
+    return { profileComplete: true, jobs: recommended };
+  }
+}
+
+export default JobMatchService;
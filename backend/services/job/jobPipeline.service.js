@@ -0,0 +1,149 @@
+import JobApplication, {
+  PIPELINE_STAGES,
+  DEFAULT_STAGE_TRANSITIONS,
+} from "../../models/job/jobApplication.model.js";
+import NotificationService from "../notification/notification.service.js";
+import { AppError } from "../../utils/logging/error.js";
+import logger from "../../utils/logging/logger.js";
+import { sendApplicationStageEmail } from "../../utils/communication/mail.utils.js";
+
+// Applications returned per stage column
+const DEFAULT_STAGE_LIMIT = 50;
+
+const APPLICANT_FIELDS = "firstName lastName username email profilePicture";
+
+/**
+ * Service for a job's hiring pipeline: moving applications between stages,
+ * keeping each application's stage history and telling the candidate.
+ */
+class JobPipelineService {
+  /**
+   * Allowed moves for a job, with the job's own rules over the defaults
+   * @param {Object} job - Job document
+   * @returns {Object} stage -> [stages]
+   */
+  static getTransitions(job) {
+    const custom = job?.pipelineTransitions;
+    const overrides = custom instanceof Map ? Object.fromEntries(custom) : custom || {};
+    return Object.fromEntries(
+      PIPELINE_STAGES.map((stage) => [stage, overrides[stage] ?? DEFAULT_STAGE_TRANSITIONS[stage]])
+    );
+  }
+
+  /**
+   * Move an application to another stage. The move only applies if the
+   * application is still in the stage it was read in, so two posters moving
+   * the same card can't both succeed.
+   * @param {Object} application - JobApplication document
+   * @param {Object} job - The application's job
+   * @param {Object} move - { to, message, movedBy }
+   * @returns {Promise<Object>} The updated application
+   * @throws {AppError} When the move isn't allowed
+   */
+  static async moveApplication(application, job, { to, message, movedBy }) {
+    const from = application.status;
+
+    if (!PIPELINE_STAGES.includes(to)) {
+      throw new AppError(`Status must be one of: ${PIPELINE_STAGES.join(", ")}`, 400);
+    }
+    if (from === "Withdrawn") {
+      throw new AppError("This application was withdrawn by the candidate", 400);
+    }
+    if (!this.getTransitions(job)[from]?.includes(to)) {
+      throw new AppError(`Applications can't move from ${from} to ${to}`, 400);
+    }
+
+    const change = {
+      from,
+      to,
+      movedBy,
+      message: typeof message === "string" && message.trim() ? message.trim() : undefined,
+      createdAt: new Date(),
+    };
+
+    const updated = await JobApplication.findOneAndUpdate(
+      { _id: application._id, status: from },
+      { $set: { status: to }, $push: { stageHistory: change } },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      throw new AppError("This application was updated by someone else. Refresh and try again.", 409);
+    }
+
+    logger.info(`Application ${application._id} moved from ${from} to ${to} by ${movedBy}`);
+    await this.notifyApplicant(updated, job, change);
+
+    return updated;
+  }
+
+  /**
+   * In-app notification and email for a stage change. Failures are logged,
+   * not thrown, so they never undo the move.
+   * @param {Object} application
+   * @param {Object} job
+   * @param {Object} change - Stage history entry
+   */
+  static async notifyApplicant(application, job, change) {
+    try {
+      await application.populate("applicant", APPLICANT_FIELDS);
+      const applicant = application.applicant;
+      if (!applicant) return;
+
+      await NotificationService.notify({
+        recipient: applicant._id,
+        actor: change.movedBy,
+        type: "job",
+        message: `Your application for ${job.title} is now ${change.to.toLowerCase()}`,
+        data: {
+          event: "stage",
+          stage: change.to,
+          jobId: job._id,
+          jobTitle: job.title,
+          jobSlug: job.slug,
+          applicationId: application._id,
+        },
+      });
+
+      const userName =
+        `${applicant.firstName || ""} ${applicant.lastName || ""}`.trim() ||
+        applicant.username ||
+        "there";
+      await sendApplicationStageEmail(applicant.email, userName, job, application, change.to, change.message);
+    } catch (error) {
+      logger.error(`Failed to notify applicant of application ${application._id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * A job's applications grouped by stage, newest activity or best match first
+   * @param {Object} job - Job document
+   * @param {Object} [options] - { limit } applications per stage, { sort } "recent" or "match"
+   * @returns {Promise<Object>} { stages: [{ status, count, applications }], transitions }
+   */
+  static async getPipeline(job, { limit = DEFAULT_STAGE_LIMIT, sort = "recent" } = {}) {
+    const counts = await JobApplication.aggregate([
+      { $match: { job: job._id } },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+    const countByStatus = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+
+    const stages = await Promise.all(
+      [...PIPELINE_STAGES, "Withdrawn"].map(async (status) => ({
+        status,
+        count: countByStatus[status] || 0,
+        applications: countByStatus[status]
+          ? await JobApplication.find({ job: job._id, status })
+              .sort(sort === "match" ? { "match.score": -1, updatedAt: -1 } : { updatedAt: -1 })
+              .limit(limit)
+              .select("applicant status rating coverLetter resume.name answers screening match stageHistory createdAt updatedAt")
+              .populate("applicant", APPLICANT_FIELDS)
+              .lean()
+          : [],
+      }))
+    );
+
+    return { stages, transitions: this.getTransitions(job) };
+  }
+}
+
+export default JobPipelineService;
@@ -0,0 +1,266 @@
+import mongoose from "mongoose";
+import { SCREENING_QUESTION_TYPES } from "../../models/job/job.model.js";
+import { AppError } from "../../utils/logging/error.js";
+
+const MAX_QUESTIONS = 15;
+const MAX_OPTIONS = 20;
+const MAX_OPTION_LENGTH = 100;
+const MAX_ANSWER_LENGTH = { short_text: 300, long_text: 5000 };
+
+const CHOICE_TYPES = ["single_choice", "multi_choice"];
+
+const YES_VALUES = [true, "true", "yes"];
+const NO_VALUES = [false, "false", "no"];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const isBlank = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "") ||
+  (Array.isArray(value) && value.length === 0);
+
+const toBoolean = (value) => {
+  const normalized = typeof value === "string" ? value.trim().toLowerCase() : value;
+  if (YES_VALUES.includes(normalized)) return true;
+  if (NO_VALUES.includes(normalized)) return false;
+  return null;
+};
+
+/**
+ * Service for a job's screening questions: checking the questions a poster
+ * defines, checking a candidate's answers against them, and turning answer
+ * filters into application queries.
+ */
+class JobScreeningService {
+  /**
+   * Clean up a poster's question list
+   * @param {Array} questions
+   * @returns {Array} Questions ready to store on the job
+   * @throws {AppError} When a question is malformed
+   */
+  static normalizeQuestions(questions) {
+    if (!Array.isArray(questions)) {
+      throw new AppError("Screening questions must be a list", 400);
+    }
+    if (questions.length > MAX_QUESTIONS) {
+      throw new AppError(`A job can have at most ${MAX_QUESTIONS} screening questions`, 400);
+    }
+
+    return questions.map((question, index) => {
+      const label = `Screening question ${index + 1}`;
+      const prompt = typeof question?.prompt === "string" ? question.prompt.trim() : "";
+      if (!prompt) {
+        throw new AppError(`${label} needs a prompt`, 400);
+      }
+      if (!SCREENING_QUESTION_TYPES.includes(question.type)) {
+        throw new AppError(`${label} must be one of: ${SCREENING_QUESTION_TYPES.join(", ")}`, 400);
+      }
+
+      const normalized = {
+        prompt,
+        type: question.type,
+        required: question.required === true,
+      };
+      // Keep ids of existing questions so answer filters keep working after edits
+      if (question._id && mongoose.Types.ObjectId.isValid(question._id)) {
+        normalized._id = question._id;
+      }
+
+      const knockout = question.knockout || {};
+
+      if (CHOICE_TYPES.includes(question.type)) {
+        const options = [
+          ...new Set((question.options || []).map((option) => String(option).trim()).filter(Boolean)),
+        ];
+        if (options.length < 2 || options.length > MAX_OPTIONS) {
+          throw new AppError(`${label} needs between 2 and ${MAX_OPTIONS} options`, 400);
+        }
+        if (options.some((option) => option.length > MAX_OPTION_LENGTH)) {
+          throw new AppError(`${label} has an option over ${MAX_OPTION_LENGTH} characters`, 400);
+        }
+        normalized.options = options;
+
+        const values = (knockout.values || []).map((value) => String(value).trim());
+        if (values.some((value) => !options.includes(value))) {
+          throw new AppError(`${label} has a knockout answer that isn't one of its options`, 400);
+        }
+        if (values.length >= options.length) {
+          throw new AppError(`${label} can't knock out every option`, 400);
+        }
+        if (values.length) normalized.knockout = { values };
+      } else if (question.type === "yes_no") {
+        const values = [...new Set((knockout.values || []).map(toBoolean))];
+        if (values.includes(null) || values.length > 1) {
+          throw new AppError(`${label} can knock out either "yes" or "no", not both`, 400);
+        }
+        if (values.length) normalized.knockout = { values };
+      } else if (question.type === "number") {
+        const range = {};
+        for (const bound of ["min", "max"]) {
+          if (isBlank(knockout[bound])) continue;
+          range[bound] = Number(knockout[bound]);
+          if (!Number.isFinite(range[bound])) {
+            throw new AppError(`${label} has an invalid ${bound === "min" ? "minimum" : "maximum"}`, 400);
+          }
+        }
+        if (range.min !== undefined && range.max !== undefined && range.min > range.max) {
+          throw new AppError(`${label}'s minimum is greater than its maximum`, 400);
+        }
+        if (Object.keys(range).length) normalized.knockout = range;
+      }
+
+      return normalized;
+    });
+  }
+
+  /**
+   * Check a candidate's answers against a job's questions
+   * @param {Array} questions - job.screeningQuestions
+   * @param {Array|Object} rawAnswers - [{ questionId, answer }] or { questionId: answer }
+   * @returns {Object} { answers, knockoutQuestions }
+   * @throws {AppError} When a required question is unanswered or an answer is invalid
+   */
+  static evaluateAnswers(questions = [], rawAnswers = []) {
+    const given = Array.isArray(rawAnswers)
+      ? Object.fromEntries(rawAnswers.filter(Boolean).map(({ questionId, answer }) => [String(questionId), answer]))
+      : rawAnswers || {};
+
+    const answers = [];
+    const knockoutQuestions = [];
+
+    for (const question of questions) {
+      const raw = given[question._id.toString()];
+      if (isBlank(raw)) {
+        if (question.required) {
+          throw new AppError(`Please answer: ${question.prompt}`, 400);
+        }
+        continue;
+      }
+
+      const answer = this.parseAnswer(question, raw);
+      answers.push({
+        questionId: question._id,
+        question: question.prompt,
+        type: question.type,
+        answer,
+      });
+
+      if (this.isKnockout(question, answer)) {
+        knockoutQuestions.push(question._id);
+      }
+    }
+
+    return { answers, knockoutQuestions };
+  }
+
+  /**
+   * @param {Object} question
+   * @param {*} raw - Submitted answer
+   * @returns {*} The answer in its stored form
+   * @throws {AppError}
+   */
+  static parseAnswer(question, raw) {
+    const invalid = (reason) => new AppError(`Invalid answer to "${question.prompt}": ${reason}`, 400);
+
+    switch (question.type) {
+      case "short_text":
+      case "long_text": {
+        const text = String(raw).trim();
+        if (text.length > MAX_ANSWER_LENGTH[question.type]) {
+          throw invalid(`keep it under ${MAX_ANSWER_LENGTH[question.type]} characters`);
+        }
+        return text;
+      }
+      case "yes_no": {
+        const value = toBoolean(raw);
+        if (value === null) throw invalid("answer yes or no");
+        return value;
+      }
+      case "single_choice": {
+        const value = String(raw).trim();
+        if (!question.options.includes(value)) throw invalid("pick one of the options");
+        return value;
+      }
+      case "multi_choice": {
+        const values = [...new Set((Array.isArray(raw) ? raw : [raw]).map((value) => String(value).trim()))];
+        if (values.some((value) => !question.options.includes(value))) {
+          throw invalid("pick from the options");
+        }
+        return values;
+      }
+      case "number": {
+        const value = Number(raw);
+        if (!Number.isFinite(value)) throw invalid("enter a number");
+        return value;
+      }
+      default:
+        throw invalid("unsupported question type");
+    }
+  }
+
+  /**
+   * @param {Object} question
+   * @param {*} answer - Parsed answer
+   * @returns {boolean} Whether the answer hits the question's knockout rule
+   */
+  static isKnockout(question, answer) {
+    const { values = [], min, max } = question.knockout || {};
+
+    if (question.type === "number") {
+      return (min != null && answer < min) || (max != null && answer > max);
+    }
+    if (question.type === "multi_choice") {
+      return answer.some((value) => values.includes(value));
+    }
+    return values.includes(answer);
+  }
+
+  /**
+   * Build application filters from query parameters like
+   * answers[<questionId>]=value, or answers[<questionId>][gte]=2 for numbers.
+   * Text answers match on a case-insensitive substring; multi-choice answers
+   * match when any chosen option equals the value.
+   * @param {Array} questions - job.screeningQuestions
+   * @param {Object} answerQuery - req.query.answers
+   * @returns {Array} Conditions to $and into the applications filter
+   * @throws {AppError} On unknown questions or bad values
+   */
+  static buildAnswerFilters(questions = [], answerQuery) {
+    if (!answerQuery || typeof answerQuery !== "object") {
+      return [];
+    }
+
+    return Object.entries(answerQuery).map(([questionId, value]) => {
+      const question = questions.find((q) => q._id.toString() === questionId);
+      if (!question) {
+        throw new AppError("Unknown screening question in answer filter", 400);
+      }
+
+      let match;
+      if (question.type === "number") {
+        const range = typeof value === "object" ? value : { eq: value };
+        match = {};
+        for (const [operator, bound] of Object.entries(range)) {
+          if (!["eq", "gte", "lte"].includes(operator) || !Number.isFinite(Number(bound))) {
+            throw new AppError(`Invalid number filter for "${question.prompt}"`, 400);
+          }
+          match[`$${operator}`] = Number(bound);
+        }
+      } else if (question.type === "yes_no") {
+        match = toBoolean(value);
+        if (match === null) {
+          throw new AppError(`Filter "${question.prompt}" by yes or no`, 400);
+        }
+      } else if (CHOICE_TYPES.includes(question.type)) {
+        match = String(value);
+      } else {
+        match = { $regex: escapeRegex(String(value).trim()), $options: "i" };
+      }
+
+      return { answers: { $elemMatch: { questionId: question._id, answer: match } } };
+    });
+  }
+}
+
+export default JobScreeningService;
@@ -0,0 +1,168 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Job from "../../models/job/job.model.js";
+import JobApplication from "../../models/job/jobApplication.model.js";
+import ResumeDownload from "../../models/job/resumeDownload.model.js";
+import User from "../../models/user/user.model.js";
+import { paginate } from "../../utils/data/cursorPagination.utils.js";
+import { AppError } from "../../utils/logging/error.js";
+import logger from "../../utils/logging/logger.js";
+
+// How long a download link works
+const LINK_TTL_SECONDS = parseInt(process.env.RESUME_LINK_TTL_SECONDS || "300", 10);
+
+const DOWNLOAD_TOKEN_PURPOSE = "resume-download";
+
+// Signed with their own secret so no other token type can open a resume
+const getSecret = () =>
+  process.env.RESUME_LINK_SECRET ||
+  (process.env.JWT_ACCESS_SECRET && `${process.env.JWT_ACCESS_SECRET}:resume-download`);
+
+/**
+ * Service for resume downloads. Resumes are only served through short-lived
+ * links signed for one application and one viewer, and every download is
+ * recorded for the applicant to see.
+ */
+class ResumeAccessService {
+  /**
+   * Why a user may open an application's resume
+   * @param {Object} application - JobApplication document
+   * @param {Object} job - The application's job
+   * @param {Object} user - User document
+   * @returns {string|null} "applicant", "poster", "admin" or null
+   */
+  static getViewerRole(application, job, user) {
+    if (!user) return null;
+    if (application.applicant.equals(user._id)) return "applicant";
+    if (job?.poster.equals(user._id)) return "poster";
+    if (user.role === "admin") return "admin";
+    return null;
+  }
+
+  /**
+   * Sign a download link for the current user
+   * @param {string} applicationId
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} { url, token, expiresAt }
+   * @throws {AppError} When the application is missing or the user can't see it
+   */
+  static async createDownloadLink(applicationId, user) {
+    const application = await JobApplication.findById(applicationId).select("applicant job resume.url");
+    if (!application) {
+      throw new AppError("Application not found", 404);
+    }
+
+    const job = await Job.findById(application.job).select("poster");
+    if (!this.getViewerRole(application, job, user)) {
+      throw new AppError("You don't have permission to download this resume", 403);
+    }
+    if (!application.resume?.url) {
+      throw new AppError("Resume not found", 404);
+    }
+
+    const token = jwt.sign(
+      {
+        purpose: DOWNLOAD_TOKEN_PURPOSE,
+        applicationId: application._id.toString(),
+        viewer: user._id.toString(),
+      },
+      getSecret(),
+      { expiresIn: LINK_TTL_SECONDS, jwtid: crypto.randomUUID() }
+    );
+
+    const baseUrl = process.env.SERVER_URL || process.env.CLIENT_URL;
+    return {
+      url: `${baseUrl}/api/v1/jobs/applications/${application._id}/resume?token=${encodeURIComponent(token)}`,
+      token,
+      expiresAt: new Date(Date.now() + LINK_TTL_SECONDS * 1000),
+    };
+  }
+
+  /**
+   * Check a download token. Permissions are checked again, so a link stops
+   * working if the viewer loses access before it expires.
+   * @param {string} applicationId - Application ID from the URL
+   * @param {string} token
+   * @returns {Promise<Object>} { application, viewer, viewerRole }
+   * @throws {AppError} When the token is invalid, expired or for something else
+   */
+  static async verifyDownloadToken(applicationId, token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, getSecret());
+    } catch (error) {
+      logger.warn(`Invalid resume download token for application ${applicationId}: ${error.message}`);
+      throw new AppError("This download link is invalid or has expired", 401);
+    }
+
+    if (payload.purpose !== DOWNLOAD_TOKEN_PURPOSE || payload.applicationId !== applicationId) {
+      throw new AppError("This download link is invalid or has expired", 401);
+    }
+
+    const application = await JobApplication.findById(applicationId).select("+resume.url");
+    if (!application) {
+      throw new AppError("Application not found", 404);
+    }
+
+    const [job, viewer] = await Promise.all([
+      Job.findById(application.job).select("poster"),
+      User.findById(payload.viewer).select("role"),
+    ]);
+    const viewerRole = this.getViewerRole(application, job, viewer);
+    if (!viewerRole) {
+      throw new AppError("You don't have permission to download this resume", 403);
+    }
+
+    return { application, viewer, viewerRole };
+  }
+
+  /**
+   * Write the audit record for a download. Never throws.
+   * @param {Object} access - Result of verifyDownloadToken()
+   * @param {Object} req - Express request, for IP and user agent
+   */
+  static async recordDownload({ application, viewer, viewerRole }, req) {
+    try {
+      await ResumeDownload.create({
+        application: application._id,
+        viewer: viewer._id,
+        viewerRole,
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+      });
+    } catch (error) {
+      logger.error(`Failed to record resume download for application ${application._id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Downloads of an application's resume, newest first. Open to the
+   * applicant and admins.
+   * @param {string} applicationId
+   * @param {Object} user - Authenticated user
+   * @param {Object} options - { cursor, limit, page, withTotal }
+   * @returns {Promise<Object>} { items, pageInfo }
+   */
+  static async listDownloads(applicationId, user, { cursor, limit, page, withTotal } = {}) {
+    const application = await JobApplication.findById(applicationId).select("applicant");
+    if (!application) {
+      throw new AppError("Application not found", 404);
+    }
+    if (!application.applicant.equals(user._id) && user.role !== "admin") {
+      throw new AppError("You don't have permission to view this resume's downloads", 403);
+    }
+
+    return paginate(ResumeDownload, { application: application._id }, {
+      scope: `resume-downloads:${application._id}`,
+      sort: "-createdAt",
+      limit,
+      cursor,
+      page,
+      withTotal,
+      select: "viewer viewerRole createdAt",
+      populate: { path: "viewer", select: "firstName lastName username profilePicture" },
+    });
+  }
+}
+
+export default ResumeAccessService;
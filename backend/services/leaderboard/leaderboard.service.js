@@ -0,0 +1,349 @@
+import Product from "../../models/product/product.model.js";
+import Upvote from "../../models/product/upvote.model.js";
+import Comment from "../../models/product/comment.model.js";
+import LeaderboardSnapshot, { LEADERBOARD_PERIODS } from "../../models/product/leaderboardSnapshot.model.js";
+import NotificationService from "../notification/notification.service.js";
+import cache from "../../utils/cache/cache.js";
+import { ValidationError } from "../../utils/logging/error.js";
+import {
+  isValidTimeZone,
+  getZonedDateParts,
+  getZonedStartOfDay,
+} from "../../utils/formatting/time.utils.js";
+import logger from "../../utils/logging/logger.js";
+
+// Time zone the official standings, snapshots and badges use
+const PLATFORM_TIME_ZONE = isValidTimeZone(process.env.LEADERBOARD_TIME_ZONE)
+  ? process.env.LEADERBOARD_TIME_ZONE
+  : "America/Los_Angeles";
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Entries kept in a snapshot, and how many of them earn a badge
+const SNAPSHOT_SIZE = 50;
+const BADGE_RANKS = 3;
+
+// Closed periods the scheduled job looks back over, in case it missed a run
+const FINALIZE_LOOKBACK = 3;
+
+const PERIOD_NOUNS = { day: "Day", week: "Week", month: "Month" };
+
+const PRODUCT_FIELDS = "name slug tagline thumbnail categoryName maker launchedAt";
+const MAKER_FIELDS = "firstName lastName fullName username profilePicture";
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/**
+ * Service for the launch leaderboard: products launched within a calendar
+ * day, week (Monday start) or month, ranked by upvotes received before the
+ * period closed. Ties go to more comments, then to the earlier launch.
+ */
+class LeaderboardService {
+  static get timeZone() {
+    return PLATFORM_TIME_ZONE;
+  }
+
+  /**
+   * Label shown for a badge, e.g. "#1 Product of the Day"
+   * @param {Object} badge - { period, rank }
+   * @returns {string}
+   */
+  static getBadgeLabel({ period, rank }) {
+    return `#${rank} Product of the ${PERIOD_NOUNS[period]}`;
+  }
+
+  /**
+   * Work out the calendar period a date falls in
+   * @param {string} period - day, week or month
+   * @param {string} date - YYYY-MM-DD, YYYY-MM for months, or "today"
+   * @param {string} [timeZone]
+   * @returns {Object} { period, periodKey, timeZone, startsAt, endsAt }
+   */
+  static resolvePeriod(period, date = "today", timeZone = PLATFORM_TIME_ZONE) {
+    if (!LEADERBOARD_PERIODS.includes(period)) {
+      throw new ValidationError(`Period must be one of: ${LEADERBOARD_PERIODS.join(", ")}`);
+    }
+    if (!isValidTimeZone(timeZone)) {
+      throw new ValidationError("Unknown time zone");
+    }
+
+    let year, month, day;
+    if (date === "today") {
+      ({ year, month, day } = getZonedDateParts(new Date(), timeZone));
+    } else {
+      const match = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/.exec(date || "");
+      if (!match || (!match[3] && period !== "month")) {
+        throw new ValidationError("Date must be YYYY-MM-DD (or YYYY-MM for monthly) or \"today\"");
+      }
+      [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3] || 1)];
+
+      const parsed = new Date(Date.UTC(year, month - 1, day));
+      if (parsed.getUTCFullYear() !== year || parsed.getUTCMonth() !== month - 1 || parsed.getUTCDate() !== day) {
+        throw new ValidationError("Invalid date");
+      }
+    }
+
+    let start, end;
+    if (period === "day") {
+      start = [year, month, day];
+      end = [year, month, day + 1];
+    } else if (period === "week") {
+      const sinceMonday = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+      start = [year, month, day - sinceMonday];
+      end = [year, month, day - sinceMonday + 7];
+    } else {
+      start = [year, month, 1];
+      end = [year, month + 1, 1];
+    }
+
+    // Normalize rolled-over days (e.g. March 0) for the key
+    const first = new Date(Date.UTC(start[0], start[1] - 1, start[2]));
+    const periodKey =
+      period === "month"
+        ? `${first.getUTCFullYear()}-${pad(first.getUTCMonth() + 1)}`
+        : `${first.getUTCFullYear()}-${pad(first.getUTCMonth() + 1)}-${pad(first.getUTCDate())}`;
+
+    return {
+      period,
+      periodKey,
+      timeZone,
+      startsAt: getZonedStartOfDay(...start, timeZone),
+      endsAt: getZonedStartOfDay(...end, timeZone),
+    };
+  }
+
+  /**
+   * The period just before the given one
+   * @param {Object} range - Result of resolvePeriod()
+   * @returns {Object}
+   */
+  static previousPeriod({ period, startsAt, timeZone }) {
+    const { year, month, day } = getZonedDateParts(new Date(startsAt.getTime() - 1), timeZone);
+    return this.resolvePeriod(period, `${year}-${pad(month)}-${pad(day)}`, timeZone);
+  }
+
+  /**
+   * Rank products launched in a period. Only upvotes and comments made
+   * before the period closed count, so a closed period ranks the same
+   * whenever it is computed.
+   * @param {Object} range - Result of resolvePeriod()
+   * @param {number} limit
+   * @returns {Promise<Array>} [{ rank, product, upvoteCount, commentCount }]
+   */
+  static async rank({ startsAt, endsAt }, limit) {
+    const countBefore = (from, extraMatch = {}) => ({
+      from,
+      let: { productId: "$_id" },
+      pipeline: [
+        {
+          $match: {
+            $expr: { $and: [{ $eq: ["$product", "$$productId"] }, { $lt: ["$createdAt", endsAt] }] },
+            ...extraMatch,
+          },
+        },
+        { $count: "count" },
+      ],
+    });
+
+    const ranked = await Product.aggregate([
+      { $match: { ...Product.publicFilter(), launchedAt: { $gte: startsAt, $lt: endsAt } } },
+      { $lookup: { ...countBefore(Upvote.collection.name), as: "upvoteStats" } },
+      {
+        $lookup: {
+          ...countBefore(Comment.collection.name, { hiddenByReports: { $ne: true } }),
+          as: "commentStats",
+        },
+      },
+      {
+        $addFields: {
+          upvoteCount: { $ifNull: [{ $first: "$upvoteStats.count" }, 0] },
+          commentCount: { $ifNull: [{ $first: "$commentStats.count" }, 0] },
+        },
+      },
+      { $sort: { upvoteCount: -1, commentCount: -1, launchedAt: 1, _id: 1 } },
+      { $limit: limit },
+      {
+        $project: {
+          ...Object.fromEntries(PRODUCT_FIELDS.split(" ").map((field) => [field, 1])),
+          upvoteCount: 1,
+          commentCount: 1,
+        },
+      },
+    ]);
+
+    return ranked.map(({ upvoteCount, commentCount, ...product }, index) => ({
+      rank: index + 1,
+      product,
+      upvoteCount,
+      commentCount,
+    }));
+  }
+
+  /**
+   * Leaderboard for a period: the stored final standings once the period has
+   * been finalized, otherwise a live ranking
+   * @param {string} period
+   * @param {string} date
+   * @param {Object} [options] - { timeZone, limit }
+   * @returns {Promise<Object>}
+   */
+  static async getLeaderboard(period, date, { timeZone = PLATFORM_TIME_ZONE, limit } = {}) {
+    const range = this.resolvePeriod(period, date, timeZone);
+    const size = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const now = new Date();
+
+    if (range.startsAt > now) {
+      throw new ValidationError("That period hasn't started yet");
+    }
+
+    const snapshot =
+      range.endsAt <= now
+        ? await LeaderboardSnapshot.findOne({
+            period: range.period,
+            periodKey: range.periodKey,
+            timeZone: range.timeZone,
+          }).lean()
+        : null;
+
+    let entries;
+    if (snapshot && size <= SNAPSHOT_SIZE) {
+      entries = await this.populateEntries(snapshot.entries.slice(0, size));
+    } else {
+      entries = await this.rank(range, size);
+      await Product.populate(
+        entries.map((entry) => entry.product),
+        { path: "maker", select: MAKER_FIELDS }
+      );
+    }
+
+    return {
+      ...range,
+      status: snapshot ? "final" : range.endsAt <= now ? "closed" : "live",
+      finalizedAt: snapshot?.finalizedAt || null,
+      entries,
+    };
+  }
+
+  /**
+   * Attach product details to snapshot entries. Products removed or hidden
+   * since the snapshot drop out; the remaining entries keep their ranks.
+   * @param {Array} entries
+   * @returns {Promise<Array>}
+   */
+  static async populateEntries(entries) {
+    const products = await Product.find({
+      _id: { $in: entries.map((entry) => entry.product) },
+      ...Product.publicFilter(),
+    })
+      .select(PRODUCT_FIELDS)
+      .populate("maker", MAKER_FIELDS)
+      .lean();
+
+    const byId = new Map(products.map((product) => [product._id.toString(), product]));
+    return entries
+      .filter((entry) => byId.has(entry.product.toString()))
+      .map((entry) => ({ ...entry, product: byId.get(entry.product.toString()) }));
+  }
+
+  /**
+   * Scheduled entry point: store final standings for recently closed periods
+   * in the platform time zone and award their badges
+   * @returns {Promise<Object>} { finalized, badges }
+   */
+  static async finalizeClosedPeriods() {
+    let finalized = 0;
+    let badges = 0;
+
+    for (const period of LEADERBOARD_PERIODS) {
+      let range = this.resolvePeriod(period, "today");
+      for (let i = 0; i < FINALIZE_LOOKBACK; i += 1) {
+        range = this.previousPeriod(range);
+        const snapshot = await this.finalize(range);
+        if (snapshot) {
+          finalized += 1;
+          badges += await this.awardBadges(snapshot);
+        }
+      }
+    }
+
+    return { finalized, badges };
+  }
+
+  /**
+   * Store the final standings of a closed period
+   * @param {Object} range - Result of resolvePeriod()
+   * @returns {Promise<Object|null>} The new snapshot, or null if one already exists
+   */
+  static async finalize(range) {
+    const { period, periodKey, timeZone } = range;
+    if (range.endsAt > new Date() || (await LeaderboardSnapshot.exists({ period, periodKey, timeZone }))) {
+      return null;
+    }
+
+    const entries = await this.rank(range, SNAPSHOT_SIZE);
+    try {
+      const snapshot = await LeaderboardSnapshot.create({
+        ...range,
+        entries: entries.map(({ rank, product, upvoteCount, commentCount }) => ({
+          rank,
+          product: product._id,
+          upvoteCount,
+          commentCount,
+        })),
+      });
+      logger.info(`Leaderboard ${period} ${periodKey} finalized with ${entries.length} products`);
+      return snapshot;
+    } catch (error) {
+      // Another instance finalized it first
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Give the top products of a snapshot their badge and tell their makers.
+   * Products without upvotes don't get one.
+   * @param {Object} snapshot
+   * @returns {Promise<number>} Badges awarded
+   */
+  static async awardBadges(snapshot) {
+    const { period, periodKey } = snapshot;
+    let awarded = 0;
+
+    for (const entry of snapshot.entries.slice(0, BADGE_RANKS)) {
+      if (entry.upvoteCount < 1) continue;
+
+      const badge = { period, periodKey, rank: entry.rank };
+      const product = await Product.findOneAndUpdate(
+        { _id: entry.product, badges: { $not: { $elemMatch: { period, periodKey } } } },
+        { $push: { badges: { ...badge, awardedAt: new Date() } } },
+        { new: true }
+      )
+        .select("name slug maker")
+        .lean();
+      if (!product) continue;
+      awarded += 1;
+
+      try {
+        await cache.invalidateProduct(product._id, product.slug, {
+          invalidateRelated: false,
+          makerId: product.maker.toString(),
+        });
+      } catch (error) {
+        logger.warn(`Failed to invalidate caches for product ${product._id}: ${error.message}`);
+      }
+
+      await NotificationService.notify({
+        recipient: product.maker,
+        type: "product",
+        message: `${product.name} finished ${this.getBadgeLabel(badge)}`,
+        data: { productId: product._id, productSlug: product.slug, badge },
+      });
+    }
+
+    return awarded;
+  }
+}
+
+export default LeaderboardService;
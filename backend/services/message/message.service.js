@@ -0,0 +1,423 @@
+import mongoose from "mongoose";
+import Conversation from "../../models/message/conversation.model.js";
+import Message, { MAX_MESSAGE_LENGTH } from "../../models/message/message.model.js";
+import MessageReport, { MESSAGE_REPORT_REASONS } from "../../models/message/messageReport.model.js";
+import User from "../../models/user/user.model.js";
+import FollowService from "../user/follow.service.js";
+import BlockService from "../user/block.service.js";
+import { io } from "../../socket/socket.js";
+import { ForbiddenError, NotFoundError, ValidationError } from "../../utils/logging/error.js";
+import { paginate } from "../../utils/data/cursorPagination.utils.js";
+import logger from "../../utils/logging/logger.js";
+
+const PARTICIPANT_FIELDS = "firstName lastName username profilePicture headline role";
+
+const PREVIEW_LENGTH = 140;
+
+// allowMessaging values mapped onto FollowService privacy levels
+const MESSAGING_PRIVACY_LEVELS = {
+  everyone: "public",
+  followers: "followers",
+  nobody: "private",
+};
+
+/**
+ * Service for direct messages between two users. Delivery is real time over
+ * the `user:<id>` Socket.IO rooms every authenticated socket joins.
+ */
+class MessageService {
+  /**
+   * Throw unless the sender may message the recipient: neither user blocked
+   * the other and the recipient's allowMessaging setting admits the sender.
+   * Replies to the user who started a conversation are always allowed.
+   * @param {Object} sender - Authenticated user
+   * @param {string|ObjectId} recipientId
+   * @param {Object|null} [conversation] - Existing conversation between them
+   * @returns {Promise<Object>} The recipient (lean)
+   * @throws {ValidationError|NotFoundError|ForbiddenError}
+   */
+  static async assertCanMessage(sender, recipientId, conversation = null) {
+    if (!mongoose.Types.ObjectId.isValid(recipientId)) {
+      throw new ValidationError("Invalid user ID");
+    }
+    if (sender._id.toString() === recipientId.toString()) {
+      throw new ValidationError("You cannot message yourself");
+    }
+
+    const recipient = await User.findById(recipientId).select("privacySettings").lean();
+    if (!recipient) {
+      throw new NotFoundError("User not found");
+    }
+
+    if (await BlockService.isBlockedBetween(sender._id, recipientId)) {
+      throw new ForbiddenError("You can't message this user");
+    }
+
+    if (conversation?.initiator?.toString() === recipientId.toString()) {
+      return recipient;
+    }
+
+    const setting = recipient.privacySettings?.allowMessaging || "everyone";
+    const context = await FollowService.getViewerContext(sender, recipientId);
+    if (!FollowService.canView(MESSAGING_PRIVACY_LEVELS[setting], context)) {
+      throw new ForbiddenError(
+        setting === "followers"
+          ? "This user only accepts messages from their followers"
+          : "This user doesn't accept messages"
+      );
+    }
+
+    return recipient;
+  }
+
+  /**
+   * Whether the sender may message a user, for showing or hiding a
+   * "Message" button
+   * @param {Object} sender - Authenticated user
+   * @param {string|ObjectId} recipientId
+   * @returns {Promise<Object>} { canMessage, reason, conversationId }
+   */
+  static async getMessagingStatus(sender, recipientId) {
+    const conversation = mongoose.Types.ObjectId.isValid(recipientId)
+      ? await Conversation.findOne({
+          participantKey: Conversation.buildParticipantKey(sender._id, recipientId),
+        })
+      : null;
+
+    try {
+      await this.assertCanMessage(sender, recipientId, conversation);
+      return { canMessage: true, reason: null, conversationId: conversation?._id || null };
+    } catch (error) {
+      if (error instanceof ForbiddenError) {
+        return { canMessage: false, reason: error.message, conversationId: conversation?._id || null };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find the conversation between the sender and a recipient, creating it
+   * when the sender may message them
+   * @param {Object} sender - Authenticated user
+   * @param {string|ObjectId} recipientId
+   * @returns {Promise<Object>} { conversation, created }
+   */
+  static async getOrCreateConversation(sender, recipientId) {
+    if (!mongoose.Types.ObjectId.isValid(recipientId)) {
+      throw new ValidationError("Invalid user ID");
+    }
+
+    const participantKey = Conversation.buildParticipantKey(sender._id, recipientId);
+    const existing = await Conversation.findOne({ participantKey });
+    await this.assertCanMessage(sender, recipientId, existing);
+
+    if (existing) {
+      return { conversation: existing, created: false };
+    }
+
+    try {
+      const conversation = await Conversation.create({
+        participants: [sender._id, recipientId],
+        participantKey,
+        initiator: sender._id,
+        participantStates: [{ user: sender._id }, { user: recipientId }],
+      });
+      return { conversation, created: true };
+    } catch (error) {
+      // Both users opened the conversation at the same time
+      if (error.code === 11000) {
+        return { conversation: await Conversation.findOne({ participantKey }), created: false };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load a conversation the user takes part in
+   * @param {string|ObjectId} conversationId
+   * @param {string|ObjectId} userId
+   * @returns {Promise<Object>} Conversation document
+   * @throws {NotFoundError} Also for conversations of other users
+   */
+  static async getConversationForUser(conversationId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+      throw new NotFoundError("Conversation not found");
+    }
+
+    const conversation = await Conversation.findOne({ _id: conversationId, participants: userId });
+    if (!conversation) {
+      throw new NotFoundError("Conversation not found");
+    }
+    return conversation;
+  }
+
+  /**
+   * Send a message in a conversation and deliver it to both participants'
+   * sockets (the sender may have other tabs or devices open)
+   * @param {Object} sender - Authenticated user
+   * @param {string|ObjectId} conversationId
+   * @param {string} content
+   * @returns {Promise<Object>} The message with its sender populated
+   */
+  static async sendMessage(sender, conversationId, content) {
+    const text = typeof content === "string" ? content.trim() : "";
+    if (!text) {
+      throw new ValidationError("Message content is required");
+    }
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      throw new ValidationError(`Messages cannot exceed ${MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    const conversation = await this.getConversationForUser(conversationId, sender._id);
+    const recipientId = conversation.getOtherParticipant(sender._id);
+    await this.assertCanMessage(sender, recipientId, conversation);
+
+    const message = await Message.create({
+      conversation: conversation._id,
+      sender: sender._id,
+      content: text,
+    });
+
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      {
+        $set: {
+          lastMessage: {
+            sender: sender._id,
+            preview: text.slice(0, PREVIEW_LENGTH),
+            sentAt: message.createdAt,
+          },
+          lastMessageAt: message.createdAt,
+          "participantStates.$[sender].lastReadAt": message.createdAt,
+          "participantStates.$[sender].unreadCount": 0,
+        },
+        $inc: { "participantStates.$[recipient].unreadCount": 1 },
+      },
+      {
+        arrayFilters: [{ "sender.user": sender._id }, { "recipient.user": recipientId }],
+      }
+    );
+
+    await message.populate("sender", PARTICIPANT_FIELDS);
+
+    this.emitToUsers([sender._id, recipientId], "message:new", {
+      conversationId: conversation._id,
+      message,
+    });
+
+    return message;
+  }
+
+  /**
+   * Conversations of a user with at least one message, most recently active
+   * first
+   * @param {string|ObjectId} userId
+   * @param {Object} [options] - { cursor, limit, page, withTotal }
+   * @returns {Promise<Object>} { conversations, pagination }
+   */
+  static async listConversations(userId, options = {}) {
+    const { items, pageInfo } = await paginate(
+      Conversation,
+      { participants: userId, lastMessageAt: { $ne: null } },
+      {
+        ...options,
+        scope: `conversations:${userId}`,
+        sort: { lastMessageAt: -1 },
+        populate: { path: "participants", select: PARTICIPANT_FIELDS },
+      }
+    );
+
+    const conversations = items.map((conversation) => this.formatConversation(conversation, userId));
+    return { conversations, pagination: pageInfo };
+  }
+
+  /**
+   * Shape a lean conversation for one participant: the other user and this
+   * user's unread state
+   * @param {Object} conversation - Lean conversation with populated participants
+   * @param {string|ObjectId} userId - Viewing participant
+   * @returns {Object}
+   */
+  static formatConversation(conversation, userId) {
+    const id = userId.toString();
+    const participantId = (participant) => (participant?._id || participant)?.toString();
+    const ownState = conversation.participantStates?.find((state) => state.user.toString() === id);
+    const otherState = conversation.participantStates?.find((state) => state.user.toString() !== id);
+
+    return {
+      _id: conversation._id,
+      otherParticipant: conversation.participants.find((participant) => participantId(participant) !== id) || null,
+      lastMessage: conversation.lastMessage,
+      lastMessageAt: conversation.lastMessageAt,
+      unreadCount: ownState?.unreadCount || 0,
+      lastReadAt: ownState?.lastReadAt || null,
+      otherLastReadAt: otherState?.lastReadAt || null,
+      createdAt: conversation.createdAt,
+    };
+  }
+
+  /**
+   * Messages of a conversation, newest first
+   * @param {string|ObjectId} conversationId
+   * @param {Object} user - Authenticated participant
+   * @param {Object} [options] - { cursor, limit, page, withTotal }
+   * @returns {Promise<Object>} { conversation, messages, pagination }
+   */
+  static async listMessages(conversationId, user, options = {}) {
+    const conversation = await this.getConversationForUser(conversationId, user._id);
+    await conversation.populate("participants", PARTICIPANT_FIELDS);
+
+    const { items, pageInfo } = await paginate(
+      Message,
+      { conversation: conversation._id },
+      {
+        ...options,
+        scope: `messages:${conversation._id}`,
+        sort: { createdAt: -1 },
+        populate: { path: "sender", select: PARTICIPANT_FIELDS },
+      }
+    );
+
+    return {
+      conversation: this.formatConversation(conversation.toObject(), user._id),
+      messages: items,
+      pagination: pageInfo,
+    };
+  }
+
+  /**
+   * Mark a conversation read for a user and tell the other participant
+   * @param {string|ObjectId} conversationId
+   * @param {string|ObjectId} userId
+   * @returns {Promise<Date>} The read timestamp
+   */
+  static async markRead(conversationId, userId) {
+    const conversation = await this.getConversationForUser(conversationId, userId);
+    const readAt = new Date();
+
+    await Conversation.updateOne(
+      { _id: conversation._id, "participantStates.user": userId },
+      {
+        $set: {
+          "participantStates.$.lastReadAt": readAt,
+          "participantStates.$.unreadCount": 0,
+        },
+      }
+    );
+
+    this.emitToUsers([conversation.getOtherParticipant(userId), userId], "message:read", {
+      conversationId: conversation._id,
+      userId,
+      readAt,
+    });
+
+    return readAt;
+  }
+
+  /**
+   * Total unread messages across a user's conversations
+   * @param {string|ObjectId} userId
+   * @returns {Promise<number>}
+   */
+  static async getUnreadCount(userId) {
+    const objectId = new mongoose.Types.ObjectId(userId.toString());
+    const [result] = await Conversation.aggregate([
+      { $match: { participants: objectId } },
+      { $unwind: "$participantStates" },
+      { $match: { "participantStates.user": objectId } },
+      { $group: { _id: null, total: { $sum: "$participantStates.unreadCount" } } },
+    ]);
+    return result?.total || 0;
+  }
+
+  /**
+   * Report a conversation (or one message in it) for review, optionally
+   * blocking the other participant as well
+   * @param {Object} reporter - Authenticated participant
+   * @param {string|ObjectId} conversationId
+   * @param {Object} report - { reason, details, messageId, block }
+   * @returns {Promise<Object>} { report, blocked }
+   */
+  static async report(reporter, conversationId, { reason, details, messageId = null, block = false } = {}) {
+    if (!MESSAGE_REPORT_REASONS.includes(reason)) {
+      throw new ValidationError(`Reason must be one of: ${MESSAGE_REPORT_REASONS.join(", ")}`);
+    }
+
+    const conversation = await this.getConversationForUser(conversationId, reporter._id);
+    const reportedUser = conversation.getOtherParticipant(reporter._id);
+
+    if (messageId) {
+      const message = mongoose.Types.ObjectId.isValid(messageId)
+        ? await Message.exists({ _id: messageId, conversation: conversation._id, sender: reportedUser })
+        : null;
+      if (!message) {
+        throw new NotFoundError("Message not found");
+      }
+    }
+
+    let report;
+    try {
+      report = await MessageReport.create({
+        reporter: reporter._id,
+        reportedUser,
+        conversation: conversation._id,
+        message: messageId,
+        reason,
+        details,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ValidationError("You have already reported this");
+      }
+      throw error;
+    }
+
+    logger.warn(`User ${reporter._id} reported user ${reportedUser} in conversation ${conversation._id} (${reason})`);
+
+    if (block) {
+      await BlockService.block(reporter._id, reportedUser);
+    }
+
+    return { report, blocked: Boolean(block) };
+  }
+
+  /**
+   * The participant to show a typing indicator to, or null when the user
+   * may not message in this conversation
+   * @param {string|ObjectId} userId - Typing user
+   * @param {string|ObjectId} conversationId
+   * @returns {Promise<ObjectId|null>}
+   */
+  static async getTypingRecipient(userId, conversationId) {
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) return null;
+
+    const conversation = await Conversation.findOne({ _id: conversationId, participants: userId })
+      .select("participants")
+      .lean();
+    if (!conversation) return null;
+
+    const recipientId = conversation.participants.find((participant) => participant.toString() !== userId.toString());
+    if (await BlockService.isBlockedBetween(userId, recipientId)) return null;
+
+    return recipientId;
+  }
+
+  /**
+   * Emit an event to the personal rooms of the given users
+   * @param {Array} userIds
+   * @param {string} event
+   * @param {Object} payload
+   */
+  static emitToUsers(userIds, event, payload) {
+    if (!io) return;
+    try {
+      userIds.filter(Boolean).forEach((userId) => {
+        io.to(`user:${userId}`).emit(event, payload);
+      });
+    } catch (error) {
+      logger.error(`Failed to emit ${event}: ${error.message}`);
+    }
+  }
+}
+
+export default MessageService;
@@ -0,0 +1,300 @@
+import mongoose from "mongoose";
+import User from "../../models/user/user.model.js";
+import Product from "../../models/product/product.model.js";
+import Upvote from "../../models/product/upvote.model.js";
+import Comment from "../../models/product/comment.model.js";
+import View from "../../models/view/view.model.js";
+import Notification from "../../models/notification/notification.model.js";
+import logger from "../../utils/logging/logger.js";
+import {
+  sendWeeklyDigestEmail,
+  generateUnsubscribeLink,
+} from "../../utils/communication/mail.utils.js";
+
+// Maps a notification type to the notificationPreferences.emailNotifications
+// toggle that decides whether it is included in a digest. "system"
+// notifications are always included.
+export const EMAIL_PREFERENCE_BY_TYPE = {
+  upvote: "upvotes",
+  bookmark: "productUpdates",
+  comment: "comments",
+  reply: "comments",
+  mention: "mentions",
+  product: "productUpdates",
+  follow: "newFollowers",
+};
+
+const DIGEST_PERIOD_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+const MAX_DIGEST_NOTIFICATIONS = 10;
+const MAX_DIGEST_PRODUCTS = 5;
+
+/**
+ * Service that compiles and sends daily/weekly email digests
+ */
+class DigestService {
+  /**
+   * Send digests to every user subscribed to the given frequency whose last
+   * digest is older than the period.
+   * @param {string} frequency - "daily" or "weekly"
+   * @param {Object} [options]
+   * @param {number} [options.batchSize=100] - Users loaded per batch
+   * @returns {Promise<Object>} Summary of the run
+   */
+  static async sendDigests(frequency = "weekly", options = {}) {
+    const { batchSize = 100 } = options;
+    const periodMs = DIGEST_PERIOD_MS[frequency];
+    if (!periodMs) {
+      throw new Error(`Unsupported digest frequency: ${frequency}`);
+    }
+
+    const startTime = Date.now();
+    const now = new Date();
+    const since = new Date(now.getTime() - periodMs);
+    // Allow some slack so a run that starts slightly early doesn't skip users
+    const cutoff = new Date(now.getTime() - periodMs * 0.9);
+
+    const summary = { frequency, sent: 0, skipped: 0, failed: 0, duration: 0 };
+
+    // Users created before digestFrequency existed default to weekly
+    const frequencyFilter =
+      frequency === "weekly" ? { $in: ["weekly", null] } : frequency;
+
+    const query = {
+      email: { $exists: true, $ne: null },
+      isEmailVerified: true,
+      "notificationPreferences.emailNotifications.digestFrequency": frequencyFilter,
+      $or: [{ lastDigestSentAt: null }, { lastDigestSentAt: { $lte: cutoff } }],
+    };
+
+    const trendingProducts = await this.getTrendingProducts(since);
+
+    let lastId = null;
+    while (true) {
+      const batchQuery = lastId ? { ...query, _id: { $gt: lastId } } : query;
+      const users = await User.find(batchQuery)
+        .select("email firstName lastName username interests notificationPreferences lastDigestSentAt")
+        .sort({ _id: 1 })
+        .limit(batchSize)
+        .lean();
+
+      if (users.length === 0) break;
+      lastId = users[users.length - 1]._id;
+
+      for (const user of users) {
+        try {
+          const sent = await this.sendUserDigest(user, {
+            frequency,
+            since,
+            trendingProducts,
+          });
+          if (sent) summary.sent += 1;
+          else summary.skipped += 1;
+        } catch (error) {
+          summary.failed += 1;
+          logger.error(`Failed to send ${frequency} digest to user ${user._id}: ${error.message}`);
+        }
+      }
+
+      if (users.length < batchSize) break;
+    }
+
+    summary.duration = Date.now() - startTime;
+    logger.info(`Completed ${frequency} digest run`, summary);
+    return summary;
+  }
+
+  /**
+   * Compile and send one user's digest. Nothing is sent when every section
+   * is empty or disabled by the user's emailNotifications toggles.
+   * @param {Object} user - Lean user document
+   * @param {Object} context - { frequency, since, trendingProducts }
+   * @returns {Promise<boolean>} Whether an email was sent
+   */
+  static async sendUserDigest(user, { frequency, since, trendingProducts = [] }) {
+    const digest = await this.compileDigest(user, since, trendingProducts);
+
+    const hasContent =
+      digest.notifications.length > 0 ||
+      digest.interestProducts.length > 0 ||
+      digest.trendingProducts.length > 0;
+
+    if (!hasContent) {
+      return false;
+    }
+
+    const userName =
+      `${user.firstName || ""} ${user.lastName || ""}`.trim() || user.username;
+
+    const result = await sendWeeklyDigestEmail(
+      user.email,
+      userName,
+      digest.stats,
+      digest.trendingProducts,
+      {
+        period: frequency,
+        notifications: digest.notifications,
+        interestProducts: digest.interestProducts,
+        unsubscribeLink: generateUnsubscribeLink(user.email, "digest"),
+      }
+    );
+
+    if (!result.success) {
+      throw new Error(result.error || "Digest email failed");
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { lastDigestSentAt: new Date() } });
+    return true;
+  }
+
+  /**
+   * Gather the digest sections for a user, honoring each emailNotifications toggle:
+   * unread notifications per type, new products in the user's interests
+   * (productUpdates) and platform-wide trending products (newsletter).
+   * @param {Object} user - Lean user document
+   * @param {Date} since - Start of the digest period
+   * @param {Array} trendingProducts - Precomputed trending products
+   * @returns {Promise<Object>} { notifications, interestProducts, trendingProducts, stats }
+   */
+  static async compileDigest(user, since, trendingProducts = []) {
+    const preferences = user.notificationPreferences?.emailNotifications || {};
+
+    const allowedTypes = [
+      "system",
+      ...Object.entries(EMAIL_PREFERENCE_BY_TYPE)
+        .filter(([, key]) => preferences[key] !== false)
+        .map(([type]) => type),
+    ];
+
+    const [notifications, interestProducts, stats] = await Promise.all([
+      Notification.find({
+        user: user._id,
+        isRead: false,
+        type: { $in: allowedTypes },
+        lastActivityAt: { $gte: since },
+      })
+        .sort({ lastActivityAt: -1 })
+        .limit(MAX_DIGEST_NOTIFICATIONS)
+        .select("type message data lastActivityAt")
+        .lean(),
+      preferences.productUpdates !== false
+        ? this.getInterestProducts(user, since)
+        : [],
+      this.getMakerStats(user._id, since),
+    ]);
+
+    return {
+      notifications,
+      interestProducts,
+      trendingProducts: preferences.newsletter !== false ? trendingProducts : [],
+      stats,
+    };
+  }
+
+  /**
+   * New published products in the categories or tags the user declared as interests
+   * @param {Object} user - Lean user document
+   * @param {Date} since - Start of the digest period
+   * @returns {Promise<Array>}
+   */
+  static async getInterestProducts(user, since) {
+    const interestNames = (user.interests || []).map((interest) => interest.name).filter(Boolean);
+    if (interestNames.length === 0) {
+      return [];
+    }
+
+    const categoryIds = interestNames
+      .filter((name) => /^[a-f0-9]{24}$/i.test(name))
+      .map((name) => new mongoose.Types.ObjectId(name));
+    const tags = interestNames.map((name) => name.toLowerCase());
+
+    const products = await Product.find({
+      ...Product.publicFilter(),
+      maker: { $ne: user._id },
+      launchedAt: { $gte: since },
+      $or: [
+        { category: { $in: categoryIds } },
+        { categoryName: { $in: interestNames } },
+        { tags: { $in: tags } },
+      ],
+    })
+      .sort({ launchedAt: -1 })
+      .limit(MAX_DIGEST_PRODUCTS)
+      .select("name slug tagline")
+      .lean();
+
+    return products.map((product) => ({
+      title: product.name,
+      slug: product.slug,
+      tagline: product.tagline,
+    }));
+  }
+
+  /**
+   * Products with the most upvotes received during the period
+   * @param {Date} since - Start of the digest period
+   * @param {number} [limit] - Number of products
+   * @returns {Promise<Array>}
+   */
+  static async getTrendingProducts(since, limit = MAX_DIGEST_PRODUCTS) {
+    try {
+      const results = await Upvote.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        { $group: { _id: "$product", upvotes: { $sum: 1 } } },
+        { $sort: { upvotes: -1 } },
+        { $limit: limit * 3 },
+        {
+          $lookup: {
+            from: "products",
+            localField: "_id",
+            foreignField: "_id",
+            as: "product",
+          },
+        },
+        { $unwind: "$product" },
+        { $match: Product.publicFilter("product.") },
+        { $limit: limit },
+        {
+          $project: {
+            _id: 0,
+            title: "$product.name",
+            slug: "$product.slug",
+            upvotes: 1,
+            views: { $ifNull: ["$product.views.count", 0] },
+          },
+        },
+      ]);
+
+      return results;
+    } catch (error) {
+      logger.error(`Failed to compute digest trending products: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Views, upvotes and comments received by the user's own products in the period
+   * @param {ObjectId} userId - Maker
+   * @param {Date} since - Start of the digest period
+   * @returns {Promise<Object|null>} Stats or null when the user has no products
+   */
+  static async getMakerStats(userId, since) {
+    const productIds = await Product.distinct("_id", { maker: userId });
+    if (productIds.length === 0) {
+      return null;
+    }
+
+    const [views, upvotes, comments] = await Promise.all([
+      View.countDocuments({ product: { $in: productIds }, isBot: false, createdAt: { $gte: since } }),
+      Upvote.countDocuments({ product: { $in: productIds }, createdAt: { $gte: since } }),
+      Comment.countDocuments({ product: { $in: productIds }, createdAt: { $gte: since } }),
+    ]);
+
+    return { views, upvotes, comments };
+  }
+}
+
+export default DigestService;
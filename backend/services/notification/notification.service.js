@@ -0,0 +1,376 @@
+import mongoose from "mongoose";
+import Notification from "../../models/notification/notification.model.js";
+import User from "../../models/user/user.model.js";
+import logger from "../../utils/logging/logger.js";
+import { io } from "../../socket/socket.js";
+
+// Maps a notification type to the notificationPreferences.pushNotifications
+// toggle that controls its real-time delivery. Types without an entry are
+// always delivered.
+const PUSH_PREFERENCE_BY_TYPE = {
+  upvote: "upvotes",
+  bookmark: "productUpdates",
+  comment: "comments",
+  reply: "comments",
+  mention: "mentions",
+  product: "productUpdates",
+  follow: "newFollowers",
+};
+
+// Types that collapse into a single record per target while activity keeps
+// coming in, with the verb used to build the grouped message.
+const GROUPABLE_TYPES = {
+  upvote: "upvoted",
+  bookmark: "bookmarked",
+  comment: "commented on",
+};
+
+// Activity older than this starts a new group instead of updating the old one
+const GROUP_WINDOW_MS =
+  parseInt(process.env.NOTIFICATION_GROUP_WINDOW_HOURS || "24", 10) * 60 * 60 * 1000;
+
+// Number of most recent actors kept on a grouped notification
+const GROUP_ACTOR_SAMPLE_SIZE = 5;
+
+const MENTION_REGEX = /(?:^|[^a-zA-Z0-9._-])@([a-zA-Z0-9._-]{3,30})/g;
+
+class NotificationService {
+  /**
+   * Persist a notification and deliver it to the recipient's socket room.
+   * Failures are logged and swallowed so they never break the triggering action.
+   * @param {Object} params
+   * @param {string|ObjectId} params.recipient - User receiving the notification
+   * @param {string|ObjectId} [params.actor] - User who triggered it
+   * @param {string} params.type - Notification type (see Notification model)
+   * @param {string} params.message - Human readable message
+   * @param {Object} [params.data] - Extra payload (product, comment references...)
+   * @returns {Promise<Object|null>} The created notification or null
+   */
+  static async notify({ recipient, actor = null, type, message, data = {} }) {
+    try {
+      if (!recipient || !type || !message) {
+        return null;
+      }
+
+      // Users are never notified about their own actions
+      if (actor && actor.toString() === recipient.toString()) {
+        return null;
+      }
+
+      const groupKey = this.getGroupKey(type, data);
+      const notification = groupKey
+        ? await this.upsertGroup({ recipient, actor, type, message, data, groupKey })
+        : await Notification.create({
+            user: recipient,
+            actor,
+            actors: actor ? [actor] : [],
+            type,
+            message,
+            data,
+          });
+
+      await this.deliver(notification);
+
+      return notification;
+    } catch (error) {
+      logger.error(
+        `Failed to create ${type} notification for user ${recipient}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Build the grouping key for a notification, or null if it is not groupable.
+   * @param {string} type - Notification type
+   * @param {Object} data - Notification payload
+   * @returns {string|null}
+   */
+  static getGroupKey(type, data = {}) {
+    if (!GROUPABLE_TYPES[type] || !data.productId) {
+      return null;
+    }
+    return `${type}:product:${data.productId}`;
+  }
+
+  /**
+   * Fold an event into the recipient's open group for the same type and
+   * target, or start a new group when none is active within the window.
+   * New activity marks the group unread again. The fold is a single atomic
+   * upsert so concurrent events can't lose counts; an actor who is already
+   * in the group only refreshes it. At most one group per recipient and key
+   * is open (enforced by a unique index), so when two first events race the
+   * loser retries and folds into the winner's group.
+   * @param {Object} params - Same as notify() plus the computed groupKey
+   * @param {number} [attempt=0] - Retry count after a duplicate key error
+   * @returns {Promise<Object>} The created or updated notification
+   */
+  static async upsertGroup(params, attempt = 0) {
+    const { recipient, groupKey } = params;
+    const now = new Date();
+
+    // A group that went quiet is closed so the next event starts a fresh one
+    await Notification.updateOne(
+      {
+        user: recipient,
+        groupKey,
+        groupOpen: true,
+        lastActivityAt: { $lt: new Date(now.getTime() - GROUP_WINDOW_MS) },
+      },
+      { $unset: { groupOpen: "" } },
+      { timestamps: false }
+    );
+
+    let group;
+    try {
+      group = await this.foldIntoGroup(params, now);
+    } catch (error) {
+      if (error.code === 11000 && attempt === 0) {
+        return this.upsertGroup(params, attempt + 1);
+      }
+      throw error;
+    }
+
+    if (group.actorCount > 1) {
+      // Only written while the count is unchanged, so a slower event can't
+      // overwrite the message of a newer one
+      const groupedMessage = await this.buildGroupMessage({
+        actor: group.actor,
+        actorCount: group.actorCount,
+        type: params.type,
+        data: params.data,
+      });
+      await Notification.updateOne(
+        { _id: group._id, actorCount: group.actorCount },
+        { $set: { message: groupedMessage } }
+      );
+      group.message = groupedMessage;
+    }
+
+    return group;
+  }
+
+  /**
+   * Atomically add an event to the recipient's open group, creating the
+   * group if there is none.
+   * @param {Object} params - Same as upsertGroup()
+   * @param {Date} now - Time of the event
+   * @returns {Promise<Object>} The created or updated notification
+   */
+  static async foldIntoGroup({ recipient, actor, type, message, data, groupKey }, now) {
+    const actorId = actor ? new mongoose.Types.ObjectId(actor.toString()) : null;
+
+    // Groups created before actorIds existed fall back to their actor sample
+    const knownActors = { $ifNull: ["$actorIds", { $ifNull: ["$actors", []] }] };
+
+    return Notification.findOneAndUpdate(
+      { user: recipient, groupKey, groupOpen: true },
+      [
+        {
+          $set: {
+            isNewActor: actorId ? { $not: [{ $in: [actorId, knownActors] }] } : true,
+          },
+        },
+        {
+          $set: {
+            type,
+            actor: { $cond: ["$isNewActor", actorId, "$actor"] },
+            actors: {
+              $cond: [
+                { $and: ["$isNewActor", actorId !== null] },
+                { $slice: [{ $concatArrays: [[actorId], { $ifNull: ["$actors", []] }] }, GROUP_ACTOR_SAMPLE_SIZE] },
+                { $ifNull: ["$actors", []] },
+              ],
+            },
+            actorIds: actorId ? { $setUnion: [knownActors, [actorId]] } : knownActors,
+            actorCount: {
+              $cond: ["$isNewActor", { $add: [{ $ifNull: ["$actorCount", 0] }, 1] }, "$actorCount"],
+            },
+            message: { $ifNull: ["$message", { $literal: message }] },
+            data: { $literal: data },
+            isRead: false,
+            groupOpen: true,
+            lastActivityAt: now,
+            createdAt: { $ifNull: ["$createdAt", now] },
+            updatedAt: now,
+          },
+        },
+        { $unset: "isNewActor" },
+      ],
+      { new: true, upsert: true, timestamps: false }
+    );
+  }
+
+  /**
+   * Build the collapsed message for a group, e.g. "Alice and 12 others upvoted X".
+   * @param {Object} params
+   * @param {string|ObjectId} params.actor - Most recent actor
+   * @param {number} params.actorCount - Total actors in the group
+   * @param {string} params.type - Notification type
+   * @param {Object} params.data - Notification payload
+   * @returns {Promise<string>}
+   */
+  static async buildGroupMessage({ actor, actorCount, type, data = {} }) {
+    let actorName = "Someone";
+    if (actor) {
+      const actorUser = await User.findById(actor)
+        .select("firstName lastName username")
+        .lean();
+      actorName =
+        `${actorUser?.firstName || ""} ${actorUser?.lastName || ""}`.trim() ||
+        actorUser?.username ||
+        actorName;
+    }
+
+    const others = actorCount - 1;
+    const subject =
+      others > 0
+        ? `${actorName} and ${others} other${others === 1 ? "" : "s"}`
+        : actorName;
+
+    return `${subject} ${GROUPABLE_TYPES[type]} ${data.productName || "your product"}`;
+  }
+
+  /**
+   * Emit a persisted notification over Socket.IO, honoring the recipient's
+   * push notification preferences.
+   * @param {Object} notification - Notification document
+   * @returns {Promise<boolean>} Whether the notification was pushed
+   */
+  static async deliver(notification) {
+    try {
+      if (!io) {
+        return false;
+      }
+
+      const allowed = await this.isPushEnabled(notification.user, notification.type);
+      if (!allowed) {
+        logger.debug(
+          `Push delivery of ${notification.type} notification skipped for user ${notification.user} (preferences)`
+        );
+        return false;
+      }
+
+      io.to(`user:${notification.user}`).emit("notification", {
+        _id: notification._id,
+        type: notification.type,
+        message: notification.message,
+        actor: notification.actor,
+        actors: notification.actors,
+        actorCount: notification.actorCount,
+        isGrouped: (notification.actorCount || 1) > 1,
+        data: {
+          ...notification.data,
+          timestamp: (notification.lastActivityAt || notification.createdAt || new Date()).toISOString(),
+        },
+        isRead: notification.isRead,
+        createdAt: notification.createdAt,
+        lastActivityAt: notification.lastActivityAt,
+      });
+
+      return true;
+    } catch (error) {
+      logger.error(`Failed to deliver notification ${notification?._id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a user accepts real-time notifications of the given type.
+   * @param {string|ObjectId} userId - Recipient
+   * @param {string} type - Notification type
+   * @returns {Promise<boolean>}
+   */
+  static async isPushEnabled(userId, type) {
+    const preferenceKey = PUSH_PREFERENCE_BY_TYPE[type];
+    if (!preferenceKey) {
+      return true;
+    }
+
+    const user = await User.findById(userId)
+      .select("notificationPreferences.pushNotifications")
+      .lean();
+
+    if (!user) {
+      return false;
+    }
+
+    return user.notificationPreferences?.pushNotifications?.[preferenceKey] !== false;
+  }
+
+  /**
+   * Extract unique @username mentions from a piece of text.
+   * @param {string} content - Text to scan
+   * @returns {string[]} Lowercased usernames
+   */
+  static extractMentions(content) {
+    if (!content || typeof content !== "string") {
+      return [];
+    }
+
+    const usernames = new Set();
+    for (const match of content.matchAll(MENTION_REGEX)) {
+      usernames.add(match[1].toLowerCase().replace(/[._-]+$/, ""));
+    }
+    return Array.from(usernames).filter((username) => username.length >= 3);
+  }
+
+  /**
+   * Notify every user mentioned in a comment or reply.
+   * Users who disabled mentions in their privacy settings are skipped.
+   * @param {Object} params
+   * @param {string} params.content - Comment content
+   * @param {Object} params.actor - User document of the author
+   * @param {Object} params.product - Product the comment belongs to
+   * @param {Object} params.comment - Created comment document
+   * @param {Array} [params.exclude] - User IDs that were already notified
+   * @returns {Promise<number>} Number of mention notifications created
+   */
+  static async notifyMentions({ content, actor, product, comment, exclude = [] }) {
+    try {
+      const usernames = this.extractMentions(content);
+      if (usernames.length === 0) {
+        return 0;
+      }
+
+      const excluded = new Set(
+        [actor._id, ...exclude].filter(Boolean).map((id) => id.toString())
+      );
+
+      const mentionedUsers = await User.find({
+        username: { $in: usernames },
+        "privacySettings.allowMentions": { $ne: false },
+      })
+        .select("_id")
+        .lean();
+
+      const recipients = mentionedUsers.filter(
+        (user) => !excluded.has(user._id.toString())
+      );
+
+      const results = await Promise.all(
+        recipients.map((user) =>
+          this.notify({
+            recipient: user._id,
+            actor: actor._id,
+            type: "mention",
+            message: `${actor.fullName || actor.username || "Someone"} mentioned you on ${product.name}`,
+            data: {
+              productId: product._id,
+              productName: product.name,
+              productSlug: product.slug,
+              commentId: comment._id,
+            },
+          })
+        )
+      );
+
+      return results.filter(Boolean).length;
+    } catch (error) {
+      logger.error(`Failed to process mentions for comment ${comment?._id}: ${error.message}`);
+      return 0;
+    }
+  }
+}
+
+export default NotificationService;
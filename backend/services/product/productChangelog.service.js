@@ -0,0 +1,134 @@
+import Changelog from "../../models/product/changelog.model.js";
+import Upvote from "../../models/product/upvote.model.js";
+import NotificationService from "../notification/notification.service.js";
+import { paginate } from "../../utils/data/cursorPagination.utils.js";
+import { NotFoundError, ValidationError } from "../../utils/logging/error.js";
+import logger from "../../utils/logging/logger.js";
+
+const AUTHOR_FIELDS = "firstName lastName fullName username profilePicture";
+
+/**
+ * Service for a product's public changelog ("What's new"). Publishing an
+ * entry tells everyone who upvoted the product.
+ */
+class ProductChangelogService {
+  /**
+   * Trim and check entry fields. On update only the given fields are checked.
+   * @param {Object} input - { title, body, version }
+   * @param {boolean} partial
+   * @returns {Object}
+   */
+  static sanitize({ title, body, version } = {}, partial = false) {
+    const fields = {};
+
+    if (title !== undefined || !partial) {
+      fields.title = typeof title === "string" ? title.trim() : "";
+      if (!fields.title) throw new ValidationError("Changelog title is required");
+    }
+    if (body !== undefined || !partial) {
+      fields.body = typeof body === "string" ? body.trim() : "";
+      if (!fields.body) throw new ValidationError("Changelog details are required");
+    }
+    if (version !== undefined) {
+      fields.version = typeof version === "string" ? version.trim() : "";
+    }
+
+    return fields;
+  }
+
+  /**
+   * A product's changelog, newest first
+   * @param {string|ObjectId} productId
+   * @param {Object} options - { cursor, limit, page, withTotal }
+   * @returns {Promise<Object>} { items, pageInfo }
+   */
+  static async list(productId, { cursor, limit, page, withTotal } = {}) {
+    return paginate(Changelog, { product: productId }, {
+      scope: `product-changelog:${productId}`,
+      sort: "-createdAt",
+      limit,
+      cursor,
+      page,
+      withTotal,
+      populate: { path: "author", select: AUTHOR_FIELDS },
+    });
+  }
+
+  /**
+   * Publish a changelog entry and notify the product's upvoters
+   * @param {Object} product - Product document
+   * @param {string|ObjectId} authorId
+   * @param {Object} input - { title, body, version }
+   * @returns {Promise<Object>} The entry
+   */
+  static async create(product, authorId, input) {
+    const entry = await Changelog.create({
+      product: product._id,
+      author: authorId,
+      ...this.sanitize(input),
+    });
+    await entry.populate("author", AUTHOR_FIELDS);
+
+    logger.info(`Changelog entry ${entry._id} published for product ${product._id}`);
+
+    this.notifyUpvoters(product, entry).catch((error) =>
+      logger.warn(`Failed to notify upvoters of changelog ${entry._id}: ${error.message}`)
+    );
+
+    return entry;
+  }
+
+  /**
+   * Edit a changelog entry
+   * @param {Object} product - Product document
+   * @param {string} entryId
+   * @param {Object} input - { title, body, version }
+   * @returns {Promise<Object>} The updated entry
+   */
+  static async update(product, entryId, input) {
+    const entry = await Changelog.findOne({ _id: entryId, product: product._id });
+    if (!entry) {
+      throw new NotFoundError("Changelog entry not found");
+    }
+
+    entry.set(this.sanitize(input, true));
+    await entry.save();
+    return entry.populate("author", AUTHOR_FIELDS);
+  }
+
+  /**
+   * Delete a changelog entry
+   * @param {Object} product - Product document
+   * @param {string} entryId
+   */
+  static async remove(product, entryId) {
+    const { deletedCount } = await Changelog.deleteOne({ _id: entryId, product: product._id });
+    if (!deletedCount) {
+      throw new NotFoundError("Changelog entry not found");
+    }
+  }
+
+  /**
+   * @param {Object} product
+   * @param {Object} entry
+   * @returns {Promise<number>} Users notified
+   */
+  static async notifyUpvoters(product, entry) {
+    const upvoterIds = await Upvote.find({ product: product._id }).distinct("user");
+
+    let notified = 0;
+    for (const recipient of upvoterIds) {
+      const notification = await NotificationService.notify({
+        recipient,
+        actor: entry.author?._id || entry.author,
+        type: "product",
+        message: `${product.name} shipped an update: ${entry.title}`,
+        data: { productId: product._id, productSlug: product.slug, changelogId: entry._id },
+      });
+      if (notification) notified += 1;
+    }
+    return notified;
+  }
+}
+
+export default ProductChangelogService;
@@ -0,0 +1,148 @@
+import Product, { MODERATION_VISIBLE_FILTER } from "../../models/product/product.model.js";
+import Bookmark from "../../models/product/bookmark.model.js";
+import Follow from "../../models/user/follow.model.js";
+import User from "../../models/user/user.model.js";
+import NotificationService from "../notification/notification.service.js";
+import cache from "../../utils/cache/cache.js";
+import logger from "../../utils/logging/logger.js";
+
+// Products launched per scheduler run; the rest wait for the next minute
+const LAUNCH_BATCH_SIZE = 100;
+
+/**
+ * Service for scheduled product launches. A maker saves a product as Draft
+ * with scheduledLaunchAt; the "product-launches" job publishes it when that
+ * time comes, stamps launchedAt with the time it actually went live and tells
+ * the maker's followers and anyone who bookmarked the upcoming product.
+ */
+class ProductLaunchService {
+  /**
+   * Scheduled entry point: publish every draft whose launch time has passed
+   * @returns {Promise<Object>} { due, launched, failed }
+   */
+  static async launchDueProducts() {
+    const due = await Product.find({
+      status: "Draft",
+      scheduledLaunchAt: { $lte: new Date() },
+      // Banned, rejected or report-hidden drafts wait for review instead
+      ...MODERATION_VISIBLE_FILTER,
+    })
+      .select("_id")
+      .sort({ scheduledLaunchAt: 1 })
+      .limit(LAUNCH_BATCH_SIZE)
+      .lean();
+
+    let launched = 0;
+    let failed = 0;
+    for (const { _id } of due) {
+      try {
+        if (await this.launch(_id)) {
+          launched += 1;
+        }
+      } catch (error) {
+        failed += 1;
+        logger.error(`Scheduled launch failed for product ${_id}: ${error.message}`);
+      }
+    }
+
+    return { due: due.length, launched, failed };
+  }
+
+  /**
+   * Publish one scheduled draft. The conditional update makes this safe to
+   * race with another instance or with the maker editing the product.
+   * @param {string|ObjectId} productId
+   * @returns {Promise<Object|null>} The launched product, or null if it was no longer due
+   */
+  static async launch(productId) {
+    const now = new Date();
+    const draft = await Product.findById(productId).select("status scheduledLaunchAt").lean();
+    if (draft?.status !== "Draft" || !draft.scheduledLaunchAt || draft.scheduledLaunchAt > now) {
+      return null;
+    }
+
+    const product = await Product.findOneAndUpdate(
+      {
+        _id: productId,
+        status: "Draft",
+        scheduledLaunchAt: draft.scheduledLaunchAt,
+        ...MODERATION_VISIBLE_FILTER,
+      },
+      {
+        $set: {
+          status: "Published",
+          // A draft held for moderation can go live well after its scheduled
+          // time, so record when it actually launched
+          launchedAt: now,
+          scheduledLaunchAt: null,
+        },
+      },
+      { new: true }
+    );
+    if (!product) {
+      return null;
+    }
+
+    logger.info(`Product ${product.slug} (${product._id}) launched on schedule`);
+
+    try {
+      const maker = await User.findById(product.maker);
+      await maker?.addActivity("Launched", {
+        description: `Launched product: ${product.name}`,
+        reference: product._id,
+        referenceModel: "Product",
+      });
+    } catch (error) {
+      logger.warn(`Failed to log launch activity for product ${product._id}: ${error.message}`);
+    }
+
+    try {
+      await cache.invalidateProduct(product._id, product.slug, {
+        invalidateRelated: true,
+        makerId: product.maker.toString(),
+      });
+    } catch (error) {
+      logger.warn(`Failed to invalidate caches for launched product ${product._id}: ${error.message}`);
+    }
+
+    await this.announce(product);
+    return product;
+  }
+
+  /**
+   * Notify the maker's followers and the product's bookmarkers that it is live
+   * @param {Object} product - The launched product
+   * @returns {Promise<number>} Number of users notified
+   */
+  static async announce(product) {
+    const [followerIds, bookmarkerIds, maker] = await Promise.all([
+      Follow.find({ following: product.maker }).distinct("follower"),
+      Bookmark.find({ product: product._id }).distinct("user"),
+      User.findById(product.maker).select("firstName lastName username").lean(),
+    ]);
+
+    const makerName =
+      `${maker?.firstName || ""} ${maker?.lastName || ""}`.trim() || maker?.username || "A maker you follow";
+    const bookmarkers = new Set(bookmarkerIds.map((id) => id.toString()));
+    const recipients = [...new Set([...bookmarkers, ...followerIds.map((id) => id.toString())])];
+
+    let notified = 0;
+    for (const recipient of recipients) {
+      const notification = await NotificationService.notify({
+        recipient,
+        actor: product.maker,
+        type: "product",
+        message: bookmarkers.has(recipient)
+          ? `${product.name} just launched`
+          : `${makerName} just launched ${product.name}`,
+        data: { productId: product._id, productSlug: product.slug, launch: true },
+      });
+      if (notification) notified += 1;
+    }
+
+    logger.info(`Launch of product ${product._id} announced to ${notified} users`);
+    return notified;
+  }
+}
+
+export default ProductLaunchService;
@@ -0,0 +1,337 @@
+import Product from "../../models/product/product.model.js";
+import ModerationLog from "../../models/core/moderationLog.model.js";
+import NotificationService from "../notification/notification.service.js";
+import cache from "../../utils/cache/cache.js";
+import { sendProductModerationEmail } from "../../utils/communication/mail.utils.js";
+import { ValidationError, NotFoundError } from "../../utils/logging/error.js";
+import logger from "../../utils/logging/logger.js";
+
+const MAX_REASON_LENGTH = 1000;
+
+// Queue tabs. Banned products only show under "banned" whatever their review status.
+const QUEUE_FILTERS = {
+  pending: { "moderation.status": "pending", status: { $ne: "Draft" }, "flags.isBanned": { $ne: true } },
+  approved: { "moderation.status": "approved", "flags.isBanned": { $ne: true } },
+  rejected: { "moderation.status": "rejected", "flags.isBanned": { $ne: true } },
+  banned: { "flags.isBanned": true },
+};
+
+export const MODERATION_QUEUES = Object.keys(QUEUE_FILTERS);
+
+const QUEUE_FIELDS =
+  "name slug tagline description thumbnail links tags categoryName status maker flags moderation launchedAt createdAt updatedAt";
+
+/**
+ * Service for the admin product moderation workflow: the review queue,
+ * approve/reject/ban decisions, the maker emails that go with them and the
+ * audit trail in ModerationLog.
+ *
+ * Visibility follows from the stored state: the Product model hides rejected
+ * and banned products from public queries, and checkProductVisibility keeps
+ * their pages to the maker and admins.
+ */
+class ProductModerationService {
+  /**
+   * Products in one queue tab, oldest first so nothing waits forever
+   * @param {Object} params - { queue, page, limit, search }
+   * @returns {Promise<Object>} { products, counts, totalPages, currentPage, total }
+   */
+  static async getQueue({ queue = "pending", page = 1, limit = 20, search = "" } = {}) {
+    if (!QUEUE_FILTERS[queue]) {
+      throw new ValidationError(`Queue must be one of: ${MODERATION_QUEUES.join(", ")}`);
+    }
+
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const query = { ...QUEUE_FILTERS[queue] };
+    if (search?.trim()) {
+      const pattern = search.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      query.$or = [
+        { name: { $regex: pattern, $options: "i" } },
+        { tagline: { $regex: pattern, $options: "i" } },
+        { slug: { $regex: pattern, $options: "i" } },
+      ];
+    }
+
+    const sort = queue === "pending" ? { createdAt: 1 } : { "moderation.lastReviewedAt": -1, updatedAt: -1 };
+
+    const [products, total, counts] = await Promise.all([
+      Product.find(query)
+        .select(QUEUE_FIELDS)
+        .populate("maker", "firstName lastName username email profilePicture")
+        .populate("moderation.lastReviewedBy", "firstName lastName username")
+        .sort(sort)
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      Product.countDocuments(query),
+      this.getCounts(),
+    ]);
+
+    return {
+      products,
+      counts,
+      total,
+      currentPage: pageNumber,
+      totalPages: Math.max(Math.ceil(total / pageSize), 1),
+    };
+  }
+
+  /**
+   * Number of products in every queue tab
+   * @returns {Promise<Object>} { pending, approved, rejected, banned }
+   */
+  static async getCounts() {
+    const totals = await Promise.all(
+      MODERATION_QUEUES.map((queue) => Product.countDocuments(QUEUE_FILTERS[queue]))
+    );
+    return Object.fromEntries(MODERATION_QUEUES.map((queue, index) => [queue, totals[index]]));
+  }
+
+  /**
+   * Approve a product
+   * @param {string} productId
+   * @param {string|ObjectId} reviewerId
+   * @param {string} [notes]
+   * @returns {Promise<Object>} The updated product
+   */
+  static async approve(productId, reviewerId, notes = "") {
+    const product = await this.loadProduct(productId);
+    const previousStatus = this.getState(product);
+
+    this.setReview(product, "approved", reviewerId, this.cleanReason(notes));
+    await product.save();
+
+    await this.record(product, "approve", reviewerId, notes, previousStatus);
+    await this.notifyMaker(product, "approved");
+    return product;
+  }
+
+  /**
+   * Reject a product. It disappears from public listings until its maker
+   * updates it, which puts it back in the pending queue.
+   * @param {string} productId
+   * @param {string|ObjectId} reviewerId
+   * @param {string} reason - Required, sent to the maker
+   * @returns {Promise<Object>} The updated product
+   */
+  static async reject(productId, reviewerId, reason) {
+    const cleanReason = this.requireReason(reason, "rejecting");
+    const product = await this.loadProduct(productId);
+    const previousStatus = this.getState(product);
+
+    this.setReview(product, "rejected", reviewerId, cleanReason);
+    await product.save();
+
+    await this.record(product, "reject", reviewerId, cleanReason, previousStatus);
+    await this.notifyMaker(product, "rejected", cleanReason);
+    return product;
+  }
+
+  /**
+   * Ban a product. Unlike a rejection, editing it doesn't bring it back.
+   * @param {string} productId
+   * @param {string|ObjectId} reviewerId
+   * @param {string} reason - Required, sent to the maker
+   * @returns {Promise<Object>} The updated product
+   */
+  static async ban(productId, reviewerId, reason) {
+    const cleanReason = this.requireReason(reason, "banning");
+    const product = await this.loadProduct(productId);
+    if (product.flags?.isBanned) {
+      throw new ValidationError("This product is already banned");
+    }
+    const previousStatus = this.getState(product);
+
+    product.flags.isBanned = true;
+    product.flags.banReason = cleanReason;
+    product.flags.bannedAt = new Date();
+    product.moderation.lastReviewedAt = new Date();
+    product.moderation.lastReviewedBy = reviewerId;
+    await product.save();
+
+    await this.record(product, "ban", reviewerId, cleanReason, previousStatus);
+    await this.notifyMaker(product, "banned", cleanReason);
+    return product;
+  }
+
+  /**
+   * Lift a ban. The product returns to whatever review status it had.
+   * @param {string} productId
+   * @param {string|ObjectId} reviewerId
+   * @param {string} [notes]
+   * @returns {Promise<Object>} The updated product
+   */
+  static async unban(productId, reviewerId, notes = "") {
+    const product = await this.loadProduct(productId);
+    if (!product.flags?.isBanned) {
+      throw new ValidationError("This product is not banned");
+    }
+
+    product.flags.isBanned = false;
+    product.flags.banReason = undefined;
+    product.flags.bannedAt = undefined;
+    product.moderation.lastReviewedAt = new Date();
+    product.moderation.lastReviewedBy = reviewerId;
+    await product.save();
+
+    await this.record(product, "unban", reviewerId, notes, "banned");
+    await this.invalidateCaches(product);
+    return product;
+  }
+
+  /**
+   * Send a rejected product back for review after its maker saved changes
+   * @param {Object} product - The saved product document
+   * @param {string|ObjectId} makerId
+   * @returns {Promise<boolean>} Whether the product was resubmitted
+   */
+  static async resubmit(product, makerId) {
+    const { modifiedCount } = await Product.updateOne(
+      { _id: product._id, "moderation.status": "rejected", "flags.isBanned": { $ne: true } },
+      { $set: { "moderation.status": "pending" } }
+    );
+    if (modifiedCount === 0) {
+      return false;
+    }
+
+    product.moderation.status = "pending";
+    await this.record(product, "resubmit", makerId, "", "rejected");
+    return true;
+  }
+
+  /**
+   * Moderation history of one product, newest first
+   * @param {string} productId
+   * @returns {Promise<Object[]>}
+   */
+  static async getHistory(productId) {
+    const product = await this.loadProduct(productId);
+    return ModerationLog.find({ targetModel: "Product", target: product._id })
+      .populate("actor", "firstName lastName username")
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Site-wide audit trail of moderation actions
+   * @param {Object} params - { page, limit, action, actor }
+   * @returns {Promise<Object>} { entries, totalPages, currentPage, total }
+   */
+  static async getLog({ page = 1, limit = 50, action, actor } = {}) {
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100);
+
+    const query = {};
+    if (action) query.action = action;
+    if (actor) query.actor = actor;
+
+    const [entries, total] = await Promise.all([
+      ModerationLog.find(query)
+        .populate("actor", "firstName lastName username")
+        .populate("target", "name slug")
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      ModerationLog.countDocuments(query),
+    ]);
+
+    return {
+      entries,
+      total,
+      currentPage: pageNumber,
+      totalPages: Math.max(Math.ceil(total / pageSize), 1),
+    };
+  }
+
+  static async loadProduct(productId) {
+    const product = await Product.findById(productId);
+    if (!product) {
+      throw new NotFoundError("Product not found");
+    }
+    return product;
+  }
+
+  // Single label for the audit trail: a ban overrides the review status
+  static getState(product) {
+    return product.flags?.isBanned ? "banned" : product.moderation?.status || "pending";
+  }
+
+  static setReview(product, status, reviewerId, notes) {
+    product.moderation.status = status;
+    product.moderation.lastReviewedAt = new Date();
+    product.moderation.lastReviewedBy = reviewerId;
+    product.moderation.reviewNotes = notes || undefined;
+  }
+
+  static cleanReason(reason) {
+    return typeof reason === "string" ? reason.trim().slice(0, MAX_REASON_LENGTH) : "";
+  }
+
+  static requireReason(reason, actionLabel) {
+    const cleanReason = this.cleanReason(reason);
+    if (!cleanReason) {
+      throw new ValidationError(`A reason is required when ${actionLabel} a product`);
+    }
+    return cleanReason;
+  }
+
+  static async record(product, action, actorId, reason, previousStatus) {
+    await ModerationLog.create({
+      targetModel: "Product",
+      target: product._id,
+      action,
+      actor: actorId,
+      reason: this.cleanReason(reason) || undefined,
+      previousStatus,
+      newStatus: this.getState(product),
+    });
+    logger.info(`Product ${product._id} moderation: ${action} by ${actorId}`);
+  }
+
+  static async invalidateCaches(product) {
+    try {
+      await cache.invalidateProduct(product._id, product.slug, {
+        invalidateRelated: true,
+        makerId: product.maker.toString(),
+      });
+    } catch (error) {
+      logger.warn(`Failed to invalidate caches for moderated product ${product._id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Clear cached listings and tell the maker by email and in-app notification.
+   * Delivery failures are logged and never undo the decision.
+   */
+  static async notifyMaker(product, decision, reason = "") {
+    await this.invalidateCaches(product);
+
+    await product.populate("maker", "firstName lastName email");
+    const maker = product.maker;
+    if (!maker?._id) return;
+
+    await NotificationService.notify({
+      recipient: maker._id,
+      type: "product",
+      message:
+        decision === "approved"
+          ? `${product.name} was approved`
+          : decision === "rejected"
+            ? `${product.name} needs changes before it can be listed`
+            : `${product.name} was removed for breaking our guidelines`,
+      data: { productId: product._id, productSlug: product.slug, moderation: decision },
+    });
+
+    if (maker.email) {
+      const userName = maker.firstName || "there";
+      sendProductModerationEmail(maker.email, userName, product, decision, reason).catch((error) =>
+        logger.error(`Failed to send moderation email for product ${product._id}: ${error.message}`)
+      );
+    }
+  }
+}
+
+export default ProductModerationService;
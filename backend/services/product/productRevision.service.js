@@ -0,0 +1,163 @@
+import ProductRevision from "../../models/product/productRevision.model.js";
+import { paginate } from "../../utils/data/cursorPagination.utils.js";
+import { NotFoundError, ValidationError } from "../../utils/logging/error.js";
+import logger from "../../utils/logging/logger.js";
+
+// Content fields kept in revision history. Media is left out because
+// replaced images are deleted from storage, and status because restoring
+// content shouldn't publish or unpublish a product.
+const TRACKED_FIELDS = ["name", "tagline", "description", "tags", "links", "pricing", "category"];
+
+// Attempts at claiming the next revision number when two edits race
+const MAX_NUMBER_ATTEMPTS = 3;
+
+const toPlain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Service for product revision history. Each update stores the changed
+ * fields with their before and after values, so any earlier revision can be
+ * restored by undoing the ones after it. The first update also stores a
+ * baseline (revision 0) holding the product as it was before any edit.
+ */
+class ProductRevisionService {
+  /**
+   * Current values of the tracked fields, as plain JSON
+   * @param {Object} product - Product document
+   * @returns {Object}
+   */
+  static snapshot(product) {
+    const doc = typeof product.toObject === "function"
+      ? product.toObject({ depopulate: true, virtuals: false })
+      : product;
+    return Object.fromEntries(TRACKED_FIELDS.map((field) => [field, toPlain(doc[field])]));
+  }
+
+  /**
+   * Record a revision for whatever changed since `before` was taken
+   * @param {Object} product - Saved product document
+   * @param {Object} before - snapshot() taken before the changes
+   * @param {string|ObjectId} editorId
+   * @param {Object} [options] - { restoredFrom }
+   * @returns {Promise<Object|null>} The revision, or null if nothing tracked changed
+   */
+  static async record(product, before, editorId, { restoredFrom = null } = {}) {
+    const after = this.snapshot(product);
+    const changes = TRACKED_FIELDS
+      .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+      .map((field) => ({ field, before: before[field], after: after[field] }));
+
+    if (changes.length === 0) {
+      return null;
+    }
+
+    for (let attempt = 1; attempt <= MAX_NUMBER_ATTEMPTS; attempt += 1) {
+      const latest = await ProductRevision.findOne({ product: product._id })
+        .sort({ number: -1 })
+        .select("number")
+        .lean();
+
+      try {
+        if (!latest) {
+          await this.recordBaseline(product, before);
+        }
+        return await ProductRevision.create({
+          product: product._id,
+          number: (latest?.number || 0) + 1,
+          editor: editorId,
+          changes,
+          restoredFrom,
+        });
+      } catch (error) {
+        if (error.code !== 11000 || attempt === MAX_NUMBER_ATTEMPTS) throw error;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Store the product's pre-edit state as revision 0. A concurrent first
+   * edit may already have written it, which is fine.
+   * @param {Object} product - Product document
+   * @param {Object} before - snapshot() taken before the first edit
+   */
+  static async recordBaseline(product, before) {
+    try {
+      await ProductRevision.create({
+        product: product._id,
+        number: 0,
+        editor: product.maker,
+        changes: [],
+        snapshot: before,
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  /**
+   * A product's revisions, newest first
+   * @param {string|ObjectId} productId
+   * @param {Object} options - { cursor, limit, page, withTotal }
+   * @returns {Promise<Object>} { items, pageInfo }
+   */
+  static async list(productId, { cursor, limit, page, withTotal } = {}) {
+    return paginate(ProductRevision, { product: productId }, {
+      scope: `product-revisions:${productId}`,
+      sort: "-number",
+      limit,
+      cursor,
+      page,
+      withTotal,
+      populate: { path: "editor", select: "firstName lastName fullName username profilePicture" },
+    });
+  }
+
+  /**
+   * Put a product's tracked fields back the way they were right after an
+   * earlier revision, or before the first edit for revision 0. The rollback
+   * is itself recorded as a new revision.
+   * @param {Object} product - Product document
+   * @param {number} number - Revision to go back to
+   * @param {string|ObjectId} editorId
+   * @returns {Promise<Object>} { product, revision }
+   */
+  static async restore(product, number, editorId) {
+    const target = await ProductRevision.findOne({ product: product._id, number })
+      .select("snapshot")
+      .lean();
+    // History from before baselines were kept can still be undone back to 0
+    if (!target && number !== 0) {
+      throw new NotFoundError("Revision not found");
+    }
+
+    const later = await ProductRevision.find({ product: product._id, number: { $gt: number } })
+      .sort({ number: -1 })
+      .lean();
+    if (later.length === 0) {
+      throw new ValidationError("The product is already at this revision");
+    }
+
+    // Undo newest first, so each field ends at its value before the
+    // earliest later revision touched it
+    const values = {};
+    for (const revision of later) {
+      for (const change of revision.changes) {
+        values[change.field] = change.before;
+      }
+    }
+    Object.assign(values, target?.snapshot);
+
+    const before = this.snapshot(product);
+    for (const [field, value] of Object.entries(values)) {
+      product.set(field, value);
+    }
+    await product.save();
+
+    const revision = await this.record(product, before, editorId, { restoredFrom: number });
+    logger.info(`Product ${product._id} restored to revision ${number} by ${editorId}`);
+
+    return { product, revision };
+  }
+}
+
+export default ProductRevisionService;
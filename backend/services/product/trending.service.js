@@ -0,0 +1,261 @@
+import Product, { MODERATION_VISIBLE_FILTER } from "../../models/product/product.model.js";
+import Upvote from "../../models/product/upvote.model.js";
+import Comment from "../../models/product/comment.model.js";
+import Bookmark from "../../models/product/bookmark.model.js";
+import View from "../../models/view/view.model.js";
+import { SCORING_CONSTANTS } from "../../utils/constants/scoring/scoring.constants.js";
+import logger from "../../utils/logging/logger.js";
+
+const {
+  WINDOW_DAYS,
+  WEIGHTS,
+  VELOCITY_WEIGHT,
+  MAX_VELOCITY_BOOST,
+  NEW_PRODUCT_HOURS,
+  NEW_PRODUCT_BOOST,
+  HALF_LIFE_HOURS,
+  DECAY_EXPONENT,
+  SCORE_MIDPOINT,
+} = SCORING_CONSTANTS.TRENDING_SCORE;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Products written per bulkWrite
+const WRITE_BATCH_SIZE = 500;
+
+// Windows a trending list can be asked for, in days. The stored score uses
+// WINDOW_DAYS; the others are ranked on request and cached.
+export const TIME_RANGES = { "24h": 1, "1d": 1, "3d": 3, "7d": 7, "30d": 30 };
+
+// Products kept per cached window ranking, and how long it is reused
+const RANKING_SIZE = 500;
+const RANKING_TTL_MS = 15 * 60 * 1000;
+
+const rankings = new Map(); // windowDays -> { expiresAt, ranking: [{ id, score }] }
+
+/**
+ * Service for the stored product trending score. Scores live on
+ * Product.trendingScore so trending lists are an indexed sort; the scheduled
+ * "trending-scores" job recomputes them from recent engagement.
+ */
+class TrendingService {
+  static get windowDays() {
+    return WINDOW_DAYS;
+  }
+
+  /**
+   * Days for a time range query parameter, e.g. "24h" or "30d"
+   * @param {string} [timeRange]
+   * @returns {number} The matching window, or the stored score's window
+   */
+  static parseTimeRange(timeRange) {
+    return TIME_RANGES[timeRange] || WINDOW_DAYS;
+  }
+
+  /**
+   * The trending formula. Everything that ranks by trend goes through here.
+   * @param {Object} counts - { upvotes, comments, views, bookmarks } within the window
+   * @param {Date} launchedAt - When the product went live
+   * @param {Date} [now]
+   * @param {number} [windowDays] - Length of the window the counts cover
+   * @returns {number}
+   */
+  static computeScore(counts, launchedAt, now = new Date(), windowDays = WINDOW_DAYS) {
+    const activity =
+      (counts.upvotes || 0) * WEIGHTS.UPVOTES +
+      (counts.comments || 0) * WEIGHTS.COMMENTS +
+      (counts.views || 0) * WEIGHTS.VIEWS +
+      (counts.bookmarks || 0) * WEIGHTS.BOOKMARKS;
+    if (activity <= 0) return 0;
+
+    const ageInHours = Math.max(0, (now - new Date(launchedAt)) / HOUR_MS);
+    const windowInDays = Math.min(windowDays, Math.max(ageInHours / 24, 1));
+
+    const velocityBoost = 1 + Math.min(((counts.upvotes || 0) / windowInDays) * VELOCITY_WEIGHT, MAX_VELOCITY_BOOST);
+    const newProductBoost = ageInHours < NEW_PRODUCT_HOURS ? NEW_PRODUCT_BOOST : 1;
+    const decay = Math.pow(ageInHours / HALF_LIFE_HOURS + 1, DECAY_EXPONENT);
+
+    return (activity * velocityBoost * newProductBoost) / decay;
+  }
+
+  /**
+   * Scale a stored score to 0-1 for mixing with other recommendation scores
+   * @param {number} score
+   * @returns {number}
+   */
+  static normalize(score) {
+    return score > 0 ? score / (score + SCORE_MIDPOINT) : 0;
+  }
+
+  /**
+   * Engagement per product since a date, for the products that had any
+   * @param {Date} since
+   * @returns {Promise<Map>} productId -> { upvotes, comments, views, bookmarks }
+   */
+  static async getRecentEngagement(since) {
+    const countBy = (Model, extraMatch = {}) =>
+      Model.aggregate([
+        { $match: { createdAt: { $gte: since }, ...extraMatch } },
+        { $group: { _id: "$product", count: { $sum: 1 } } },
+      ]);
+
+    const [upvotes, comments, views, bookmarks] = await Promise.all([
+      countBy(Upvote),
+      countBy(Comment, { hiddenByReports: { $ne: true } }),
+      countBy(View, { isBot: { $ne: true } }),
+      countBy(Bookmark),
+    ]);
+
+    const engagement = new Map();
+    const add = (rows, key) => {
+      for (const { _id, count } of rows) {
+        if (!_id) continue;
+        const id = _id.toString();
+        if (!engagement.has(id)) {
+          engagement.set(id, { upvotes: 0, comments: 0, views: 0, bookmarks: 0 });
+        }
+        engagement.get(id)[key] = count;
+      }
+    };
+    add(upvotes, "upvotes");
+    add(comments, "comments");
+    add(views, "views");
+    add(bookmarks, "bookmarks");
+
+    return engagement;
+  }
+
+  /**
+   * Published products ranked by trend over a window. The default window is
+   * an indexed sort on the stored score; other windows are scored with the
+   * same formula from engagement in that window.
+   * @param {Object} options
+   * @param {number} [options.windowDays]
+   * @param {number} [options.limit]
+   * @param {Array} [options.excludeIds] - ObjectIds to leave out
+   * @param {string} [options.select]
+   * @param {Object} [options.populate]
+   * @returns {Promise<Array>} Lean products; trendingScore is the window's score
+   */
+  static async findTrending({ windowDays = WINDOW_DAYS, limit = 10, excludeIds = [], select, populate } = {}) {
+    // Every query here goes through find(), so none can skip the moderation filter
+    const find = ({ $in, $nin = [] } = {}) => {
+      const skipIds = [...$nin, ...excludeIds];
+      const idFilter = {
+        ...($in && { $in }),
+        ...(skipIds.length > 0 && { $nin: skipIds }),
+      };
+      const cursor = Product.find({
+        status: "Published",
+        ...MODERATION_VISIBLE_FILTER,
+        ...(Object.keys(idFilter).length > 0 && { _id: idFilter }),
+      }).select(select);
+      return (populate ? cursor.populate(populate) : cursor).lean();
+    };
+
+    // Newest products fill in when too few have recent engagement
+    if (windowDays === WINDOW_DAYS) {
+      return find().sort({ trendingScore: -1, launchedAt: -1 }).limit(limit);
+    }
+
+    const scores = new Map((await this.getRanking(windowDays)).map(({ id, score }) => [id, score]));
+    const ranked = (await find({ $in: [...scores.keys()] }))
+      .map((product) => ({ ...product, trendingScore: scores.get(product._id.toString()) }))
+      .sort((a, b) => b.trendingScore - a.trendingScore)
+      .slice(0, limit);
+
+    if (ranked.length < limit) {
+      const fill = await find({ $nin: ranked.map((product) => product._id) })
+        .sort({ launchedAt: -1 })
+        .limit(limit - ranked.length);
+      ranked.push(...fill.map((product) => ({ ...product, trendingScore: 0 })));
+    }
+
+    return ranked;
+  }
+
+  /**
+   * Top product ids and scores for a window, cached for RANKING_TTL_MS
+   * @param {number} windowDays
+   * @returns {Promise<Array>} [{ id, score }], best first
+   */
+  static async getRanking(windowDays) {
+    const cached = rankings.get(windowDays);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.ranking;
+    }
+
+    const now = new Date();
+    const engagement = await this.getRecentEngagement(new Date(now - windowDays * DAY_MS));
+    const products = await Product.find({
+      _id: { $in: [...engagement.keys()] },
+      status: "Published",
+      ...MODERATION_VISIBLE_FILTER,
+    })
+      .select("_id launchedAt createdAt")
+      .lean();
+
+    const ranking = products
+      .map((product) => {
+        const id = product._id.toString();
+        const launchedAt = product.launchedAt || product.createdAt;
+        return { id, score: this.computeScore(engagement.get(id), launchedAt, now, windowDays) };
+      })
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, RANKING_SIZE);
+
+    rankings.set(windowDays, { expiresAt: Date.now() + RANKING_TTL_MS, ranking });
+    return ranking;
+  }
+
+  /**
+   * Scheduled entry point: rescore every published product with engagement
+   * in the window and zero out the ones that no longer have any
+   * @returns {Promise<Object>} { scored, reset }
+   */
+  static async refreshScores() {
+    const now = new Date();
+    const engagement = await this.getRecentEngagement(new Date(now - WINDOW_DAYS * DAY_MS));
+
+    const activeIds = [...engagement.keys()];
+    const products = await Product.find({ _id: { $in: activeIds }, status: "Published" })
+      .select("_id launchedAt createdAt")
+      .lean();
+
+    const operations = products.map((product) => {
+      const counts = engagement.get(product._id.toString());
+      return {
+        updateOne: {
+          filter: { _id: product._id },
+          update: {
+            $set: {
+              trendingScore: this.computeScore(counts, product.launchedAt || product.createdAt, now),
+              trendingStats: { ...counts, calculatedAt: now },
+            },
+          },
+        },
+      };
+    });
+
+    for (let i = 0; i < operations.length; i += WRITE_BATCH_SIZE) {
+      await Product.bulkWrite(operations.slice(i, i + WRITE_BATCH_SIZE), { ordered: false });
+    }
+
+    const { modifiedCount: reset } = await Product.updateMany(
+      { _id: { $nin: products.map((product) => product._id) }, trendingScore: { $gt: 0 } },
+      {
+        $set: {
+          trendingScore: 0,
+          trendingStats: { upvotes: 0, comments: 0, views: 0, bookmarks: 0, calculatedAt: now },
+        },
+      }
+    );
+
+    logger.info(`Trending scores refreshed: ${operations.length} scored, ${reset} reset`);
+    return { scored: operations.length, reset };
+  }
+}
+
+export default TrendingService;
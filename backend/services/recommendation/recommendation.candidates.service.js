@@ -5,9 +5,9 @@ import recommendationCacheService from "./recommendationCache.service.js";
 import logger from "../../utils/logging/logger.js";
 import { SCORING_CONSTANTS } from "../../utils/constants/scoring/scoring.constants.js";
 import { buildAggregationPipeline } from "../../utils/recommendation/recommendationPipelines.js";
+import TrendingService from "../product/trending.service.js";
 import {
   calculateEngagementScore,
-  calculateTrendingScore,
   calculateRecencyScore,
   calculatePersonalizedScore,
   calculateSimilarityScore,
@@ -25,10 +25,11 @@ const fetchCandidates = async (type, config = {}) => {
     sort = { createdAt: -1 },
     extraFields = {},
     postProcess,
+    indexedSort = false,
   } = config;
   
-  // Ensure we only fetch published products regardless of source
-  const finalQuery = { ...query, status: "Published" };
+  // Ensure we only fetch public products regardless of source
+  const finalQuery = { ...query, ...Product.publicFilter() };
 
   // Add a timestamp to the cache key to ensure we don't get stale data
   const cacheKey = `${type}:${JSON.stringify({ finalQuery, limit, sort })}:${Math.floor(
@@ -57,6 +58,7 @@ const fetchCandidates = async (type, config = {}) => {
       extraFields,
       sort,
       limit: limit * 2, // Fetch extra for scoring/diversity
+      indexedSort,
     });
 
     // Execute the query
@@ -161,7 +163,7 @@ export const getTrendingCandidates = async (options = {}) => {
 
   // Build the query
   const query = {
-    status: "Published", // Always ensure we only get published products
+    ...Product.publicFilter(), // Always ensure we only get public products
     createdAt: { $gte: cutoff },
     ...(categoryId &&
       mongoose.Types.ObjectId.isValid(categoryId) && {
@@ -197,27 +199,31 @@ export const getTrendingCandidates = async (options = {}) => {
     logger.debug(`Trending candidates query:`, { query, limit, days, extraFields: Object.keys(extraFields) });
   }
 
+  // Ranked by the stored trending score (see TrendingService), so the
+  // sort and limit run on the index before any lookups
+  const trendingSort = { trendingScore: -1, createdAt: -1 };
+  const trendingScoreFn = (product) => TrendingService.normalize(product.trendingScore);
+
   // First try with the standard query and time window
   let candidates = await fetchCandidates("trending", {
     query,
     limit,
     extraFields,
-    // Sort first by upvotes and views to prioritize engagement
-    sort: { upvoteCount: -1, "views.count": -1, createdAt: -1 },
+    sort: trendingSort,
+    indexedSort: true,
     scoreFn: (product) => {
-      const score = calculateTrendingScore(product, { days });
+      const score = trendingScoreFn(product);
 
       // Return both the score and components for analysis
       if (debug) {
         return {
           score,
           components: {
-            views: product.views?.count || 0,
-            recentViews: product.views?.recentCount || product.recentViewsEstimate || 0,
-            upvotes: product.upvoteCount || 0,
-            bookmarks: product.bookmarkCount || 0,
-            comments: product.commentCount || 0,
-            engagementScore: product.engagementScore || 0,
+            trendingScore: product.trendingScore || 0,
+            recentViews: product.trendingStats?.views || 0,
+            recentUpvotes: product.trendingStats?.upvotes || 0,
+            recentBookmarks: product.trendingStats?.bookmarks || 0,
+            recentComments: product.trendingStats?.comments || 0,
             ageInDays: (new Date() - new Date(product.createdAt)) / (1000 * 60 * 60 * 24)
           }
         };
@@ -240,8 +246,9 @@ export const getTrendingCandidates = async (options = {}) => {
       query,
       limit,
       extraFields,
-      sort: { upvoteCount: -1, "views.count": -1, createdAt: -1 },
-      scoreFn: (product) => calculateTrendingScore(product, { days: extendedDays })
+      sort: trendingSort,
+      indexedSort: true,
+      scoreFn: trendingScoreFn
     });
   }
 
@@ -257,9 +264,9 @@ export const getTrendingCandidates = async (options = {}) => {
       query: relaxedQuery,
       limit, 
       extraFields,
-      // Sort by upvotes and views for trending without date filter
-      sort: { upvoteCount: -1, "views.count": -1, createdAt: -1 },
-      scoreFn: (product) => calculateTrendingScore(product, { days: 30 })
+      sort: trendingSort,
+      indexedSort: true,
+      scoreFn: trendingScoreFn
     });
   }
 
@@ -272,7 +279,7 @@ export const getTrendingCandidates = async (options = {}) => {
     
     // Get additional diverse products
     const diverseQuery = { 
-      status: "Published",
+      ...Product.publicFilter(),
       _id: { $nin: existingIds.map(id => new mongoose.Types.ObjectId(id)) }
     };
     
@@ -280,8 +287,9 @@ export const getTrendingCandidates = async (options = {}) => {
       query: diverseQuery,
       limit: limit - candidates.length,
       extraFields,
-      sort: { upvoteCount: -1, "views.count": -1 },
-      scoreFn: (product) => calculateTrendingScore(product, { days: 30 }) * 0.9 // Slightly lower score
+      sort: trendingSort,
+      indexedSort: true,
+      scoreFn: (product) => trendingScoreFn(product) * 0.9 // Slightly lower score
     });
     
     // Append diverse candidates
@@ -318,7 +326,7 @@ export const getNewCandidates = async (options = {}) => {
 
   // Build the base query
   const query = { 
-    status: "Published", // Always ensure we only get published products
+    ...Product.publicFilter(), // Always ensure we only get public products
     createdAt: { $gte: cutoff },
     ...(excludeIds.length > 0 && {
       _id: { $nin: excludeIds.map(id => new mongoose.Types.ObjectId(id)) }
@@ -432,7 +440,7 @@ export const getNewCandidates = async (options = {}) => {
     
     // Get additional diverse products with good engagement
     const diverseQuery = { 
-      status: "Published",
+      ...Product.publicFilter(),
       _id: { $nin: existingIds.map(id => new mongoose.Types.ObjectId(id)) }
     };
     
@@ -750,7 +758,7 @@ export const getCategorySpotlightCandidates = async (
 
 
   const pipeline = [
-    { $match: { status: "Published" } },
+    { $match: Product.publicFilter() },
     {
       $group: {
         _id: "$category",
@@ -780,7 +788,7 @@ export const getCategorySpotlightCandidates = async (
           {
             $match: {
               $expr: { $eq: ["$category", "$$categoryId"] },
-              status: "Published",
+              ...Product.publicFilter(),
               upvoteCount: { $gte: SCORING_CONSTANTS.minExplorationUpvotes },
             },
           },
@@ -810,7 +818,7 @@ export const getCategorySpotlightCandidates = async (
     try {
       logger.info(`CategorySpotlight retry with fallback approach`);
       const pipeline = [
-        { $match: { status: "Published", upvoteCount: { $gte: 1 } } },
+        { $match: { ...Product.publicFilter(), upvoteCount: { $gte: 1 } } },
         { $sample: { size: limit * 2 } },
         ...buildAggregationPipeline({ match: {}, limit }).slice(1), // Reuse lookups and fields
       ];
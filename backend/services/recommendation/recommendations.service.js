@@ -996,7 +996,7 @@ class RecommendationService {
       // Find categories with good engagement but not over-represented in the user's feed
       // Optimized pipeline with better performance
       const pipeline = [
-        { $match: { status: "Published" } },
+        { $match: mongoose.model("Product").publicFilter() },
         // Project only the fields we need to improve performance
         { $project: {
             _id: 1,
@@ -1223,7 +1223,7 @@ class RecommendationService {
       // Use a more aggressive approach to ensure we get enough products
       // First try to get products with some engagement
       const engagedQuery = {
-        status: "Published",
+        ...mongoose.model("Product").publicFilter(),
         $or: [
           { upvoteCount: { $gt: 0 } },
           { bookmarkCount: { $gt: 0 } },
@@ -1247,7 +1247,7 @@ class RecommendationService {
       if (products.length < limit) {
         logger.warn(`Not enough engaged products (${products.length}/${limit}), falling back to any published products`);
 
-        const anyQuery = { status: "Published" };
+        const anyQuery = mongoose.model("Product").publicFilter();
         const fallbackPipeline = buildAggregationPipeline({
           match: anyQuery,
           sort: { createdAt: -1 },
@@ -1324,7 +1324,7 @@ class RecommendationService {
 
   static async getBackupRecommendations(limit) {
     const query = {
-      status: "Published",
+      ...mongoose.model("Product").publicFilter(),
       $or: [{ upvoteCount: { $gt: 0 } }, { bookmarkCount: { $gte: 1 } }],
     };
 
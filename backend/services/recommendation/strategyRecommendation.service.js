@@ -82,7 +82,7 @@ class StrategyRecommendationService {
     if (!sourceProduct) throw new Error("Source product not found");
 
     const query = {
-      status: "Published",
+      ...Product.publicFilter(),
       _id: { $ne: productId },
       $or: [
         { category: sourceProduct.category },
@@ -105,7 +105,7 @@ class StrategyRecommendationService {
   static async getCategoryRecommendations(_, categoryId, options = {}) {
     const { limit = 20, offset = 0 } = validate.options(options);
     const query = {
-      status: "Published",
+      ...Product.publicFilter(),
       category: validate.id(categoryId, "Category ID"),
     };
     const context = {
@@ -123,7 +123,7 @@ class StrategyRecommendationService {
 
   static async getTagRecommendations(_, tags, options = {}) {
     const { limit = 20, offset = 0 } = validate.options(options);
-    const query = { status: "Published", tags: { $in: tags } };
+    const query = { ...Product.publicFilter(), tags: { $in: tags } };
     const context = { reason: "tag", timeContext: buildTimeContext(), tags };
     const recommendations = await fetchAndScoreProducts(query, context, limit, {
       offset,
@@ -183,7 +183,7 @@ class StrategyRecommendationService {
       ))];
 
       // Build query based on similar users' interests
-      const query = { status: "Published" };
+      const query = Product.publicFilter();
 
       // Add filters to exclude products the user has already seen
       if (userContext.history?.viewedProducts?.length) {
@@ -364,7 +364,7 @@ class StrategyRecommendationService {
 
     const userPreferences = await getUserPreferences(userId);
     const query = {
-      status: "Published",
+      ...Product.publicFilter(),
       _id: { $nin: userPreferences?.viewedProducts || [] },
     };
     const context = {
@@ -410,7 +410,7 @@ class StrategyRecommendationService {
       }
 
       // Build query based on user interests
-      const query = { status: "Published" };
+      const query = Product.publicFilter();
 
       // Add filters to exclude products the user has already seen
       if (userContext.history?.viewedProducts?.length) {
@@ -569,7 +569,7 @@ class StrategyRecommendationService {
   static async getMakerRecommendations(_, makerId, options = {}) {
     const { limit = 20, offset = 0 } = validate.options(options);
     const query = {
-      status: "Published",
+      ...Product.publicFilter(),
       maker: validate.id(makerId, "Maker ID"),
     };
     const context = {
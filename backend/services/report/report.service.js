@@ -0,0 +1,389 @@
+import mongoose from "mongoose";
+import Report, {
+  REPORT_REASONS,
+  REPORT_TARGET_MODELS,
+  REPORT_TARGET_TYPES,
+} from "../../models/core/report.model.js";
+import ModerationLog from "../../models/core/moderationLog.model.js";
+import Product from "../../models/product/product.model.js";
+import Comment from "../../models/product/comment.model.js";
+import Project from "../../models/project/project.model.js";
+import Job from "../../models/job/job.model.js";
+import User from "../../models/user/user.model.js";
+import NotificationService from "../notification/notification.service.js";
+import cache from "../../utils/cache/cache.js";
+import { ValidationError, NotFoundError } from "../../utils/logging/error.js";
+import logger from "../../utils/logging/logger.js";
+
+// Open reports from distinct users that hide a target until an admin reviews it
+const AUTO_HIDE_THRESHOLD = Math.max(parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD || "5", 10) || 5, 1);
+
+const MAX_NOTES_LENGTH = 1000;
+
+// Model, owner field and the fields shown in the admin triage list, per target model
+const TARGET_CONFIG = {
+  Product: { model: Product, ownerField: "maker", summary: "name slug thumbnail maker hiddenByReports" },
+  Comment: { model: Comment, ownerField: "user", summary: "content product parent user hiddenByReports" },
+  Project: { model: Project, ownerField: "owner", summary: "title slug owner hiddenByReports" },
+  Job: { model: Job, ownerField: "poster", summary: "title slug company.name poster hiddenByReports" },
+  User: { model: User, ownerField: "_id", summary: "firstName lastName username profilePicture hiddenByReports" },
+};
+
+const LABELS = {
+  product: "product",
+  comment: "comment",
+  reply: "reply",
+  project: "project",
+  job: "job posting",
+  user: "profile",
+};
+
+/**
+ * Service for user-submitted reports against content and profiles. Reports
+ * are de-duplicated per reporter; once a target collects enough open reports
+ * it is hidden (hiddenByReports) until an admin resolves or dismisses them.
+ * Every hide, resolve and dismiss is written to ModerationLog.
+ */
+class ReportService {
+  /**
+   * Report a target
+   * @param {Object} reporter - Authenticated user
+   * @param {Object} params - { targetType, targetId, reason, details }
+   * @returns {Promise<Object>} { report, hidden }
+   */
+  static async createReport(reporter, { targetType, targetId, reason, details } = {}) {
+    if (!REPORT_REASONS.includes(reason)) {
+      throw new ValidationError(`Reason must be one of: ${REPORT_REASONS.join(", ")}`);
+    }
+
+    const target = await this.loadTarget(targetType, targetId);
+
+    if (target.owner && target.owner.toString() === reporter._id.toString()) {
+      throw new ValidationError(`You can't report your own ${LABELS[target.type]}`);
+    }
+
+    let report;
+    try {
+      report = await Report.create({
+        reporter: reporter._id,
+        targetType: target.type,
+        targetModel: target.model,
+        target: target.doc._id,
+        targetOwner: target.owner,
+        reason,
+        details: typeof details === "string" ? details.trim().slice(0, MAX_NOTES_LENGTH) : undefined,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ValidationError(`You have already reported this ${LABELS[target.type]}`);
+      }
+      throw error;
+    }
+
+    logger.warn(`User ${reporter._id} reported ${target.type} ${target.doc._id} (${reason})`);
+
+    const hidden = await this.hideIfOverThreshold(target);
+    return { report, hidden };
+  }
+
+  /**
+   * Targets with reports in a given status, most reported first
+   * @param {Object} params - { status, targetType, page, limit }
+   * @returns {Promise<Object>} { items, counts, total, currentPage, totalPages }
+   */
+  static async getTriageList({ status = "open", targetType, page = 1, limit = 20 } = {}) {
+    if (!["open", "resolved", "dismissed"].includes(status)) {
+      throw new ValidationError("Status must be one of: open, resolved, dismissed");
+    }
+    if (targetType && !REPORT_TARGET_TYPES.includes(targetType)) {
+      throw new ValidationError(`Target type must be one of: ${REPORT_TARGET_TYPES.join(", ")}`);
+    }
+
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const match = { status };
+    if (targetType) match.targetType = targetType;
+
+    const [result] = await Report.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { targetModel: "$targetModel", target: "$target" },
+          targetType: { $first: "$targetType" },
+          targetOwner: { $first: "$targetOwner" },
+          reportCount: { $sum: 1 },
+          reasons: { $push: "$reason" },
+          firstReportedAt: { $min: "$createdAt" },
+          lastReportedAt: { $max: "$createdAt" },
+        },
+      },
+      { $sort: { reportCount: -1, lastReportedAt: -1 } },
+      {
+        $facet: {
+          items: [{ $skip: (pageNumber - 1) * pageSize }, { $limit: pageSize }],
+          total: [{ $count: "count" }],
+        },
+      },
+    ]);
+
+    const items = await this.attachTargets(
+      result.items.map(({ _id, reasons, ...group }) => ({
+        ...group,
+        targetModel: _id.targetModel,
+        target: _id.target,
+        reasons: this.countReasons(reasons),
+      }))
+    );
+    const total = result.total[0]?.count || 0;
+
+    return {
+      items,
+      counts: await this.getOpenCounts(),
+      threshold: AUTO_HIDE_THRESHOLD,
+      total,
+      currentPage: pageNumber,
+      totalPages: Math.max(Math.ceil(total / pageSize), 1),
+    };
+  }
+
+  /**
+   * All reports against one target, newest first
+   * @param {string} targetType
+   * @param {string} targetId
+   * @returns {Promise<Object>} { target, reports }
+   */
+  static async getTargetReports(targetType, targetId) {
+    const target = await this.loadTarget(targetType, targetId);
+
+    const reports = await Report.find({ targetModel: target.model, target: target.doc._id })
+      .populate("reporter", "firstName lastName username")
+      .populate("reviewedBy", "firstName lastName username")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return { target: target.doc, reports };
+  }
+
+  /**
+   * Uphold the open reports against a target. The target stays hidden.
+   * @param {string} targetType
+   * @param {string} targetId
+   * @param {string|ObjectId} reviewerId
+   * @param {string} [notes]
+   * @returns {Promise<number>} Number of reports resolved
+   */
+  static async resolve(targetType, targetId, reviewerId, notes = "") {
+    const target = await this.loadTarget(targetType, targetId);
+    const count = await this.closeReports(target, "resolved", reviewerId, notes);
+
+    await this.setHidden(target, true);
+    await this.notifyOwner(target, "removed");
+
+    await this.record(target, "resolve_reports", reviewerId, notes);
+    return count;
+  }
+
+  /**
+   * Dismiss the open reports against a target and show it again
+   * @param {string} targetType
+   * @param {string} targetId
+   * @param {string|ObjectId} reviewerId
+   * @param {string} [notes]
+   * @returns {Promise<number>} Number of reports dismissed
+   */
+  static async dismiss(targetType, targetId, reviewerId, notes = "") {
+    const target = await this.loadTarget(targetType, targetId);
+    const count = await this.closeReports(target, "dismissed", reviewerId, notes);
+
+    if (target.doc.hiddenByReports) {
+      await this.setHidden(target, false);
+      await this.notifyOwner(target, "restored");
+    }
+
+    await this.record(target, "dismiss_reports", reviewerId, notes);
+    return count;
+  }
+
+  /**
+   * Number of targets with open reports, per target type
+   * @returns {Promise<Object>}
+   */
+  static async getOpenCounts() {
+    const groups = await Report.aggregate([
+      { $match: { status: "open" } },
+      { $group: { _id: { targetType: "$targetType", target: "$target" } } },
+      { $group: { _id: "$_id.targetType", count: { $sum: 1 } } },
+    ]);
+
+    const counts = Object.fromEntries(REPORT_TARGET_TYPES.map((type) => [type, 0]));
+    groups.forEach(({ _id, count }) => {
+      counts[_id] = count;
+    });
+    return counts;
+  }
+
+  /**
+   * Load a report target and resolve its owner. "comment" and "reply" are
+   * interchangeable on input; the stored type follows the comment's parent.
+   */
+  static async loadTarget(targetType, targetId) {
+    if (!REPORT_TARGET_TYPES.includes(targetType)) {
+      throw new ValidationError(`Target type must be one of: ${REPORT_TARGET_TYPES.join(", ")}`);
+    }
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      throw new ValidationError("Invalid target ID");
+    }
+
+    const model = REPORT_TARGET_MODELS[targetType];
+    const doc = await TARGET_CONFIG[model].model.findById(targetId);
+    if (!doc) {
+      throw new NotFoundError(`${LABELS[targetType].charAt(0).toUpperCase()}${LABELS[targetType].slice(1)} not found`);
+    }
+
+    const type = model === "Comment" ? (doc.parent ? "reply" : "comment") : targetType;
+    const owner = doc.get(TARGET_CONFIG[model].ownerField);
+
+    return { type, model, doc, owner };
+  }
+
+  static async hideIfOverThreshold(target) {
+    if (target.doc.hiddenByReports) return false;
+
+    const openReports = await Report.countDocuments({
+      targetModel: target.model,
+      target: target.doc._id,
+      status: "open",
+    });
+    if (openReports < AUTO_HIDE_THRESHOLD) return false;
+
+    // Conditional update so concurrent reports hide and log the target once
+    const hidden = await this.setHidden(target, true);
+    if (!hidden) return false;
+
+    logger.warn(`${target.model} ${target.doc._id} hidden after ${openReports} reports`);
+    await this.record(target, "auto_hide", null, `${openReports} open reports`);
+    await this.notifyOwner(target, "hidden");
+    return true;
+  }
+
+  static async setHidden(target, hidden) {
+    const { modifiedCount } = await TARGET_CONFIG[target.model].model.updateOne(
+      { _id: target.doc._id, hiddenByReports: hidden ? { $ne: true } : true },
+      { $set: { hiddenByReports: hidden } }
+    );
+
+    if (modifiedCount > 0) {
+      target.doc.hiddenByReports = hidden;
+      await this.invalidateCaches(target);
+    }
+    return modifiedCount > 0;
+  }
+
+  static async closeReports(target, status, reviewerId, notes) {
+    const { modifiedCount } = await Report.updateMany(
+      { targetModel: target.model, target: target.doc._id, status: "open" },
+      {
+        $set: {
+          status,
+          reviewedBy: reviewerId,
+          reviewedAt: new Date(),
+          reviewNotes: this.cleanNotes(notes) || undefined,
+        },
+      }
+    );
+
+    if (modifiedCount === 0) {
+      throw new ValidationError(`There are no open reports on this ${LABELS[target.type]}`);
+    }
+    return modifiedCount;
+  }
+
+  static cleanNotes(notes) {
+    return typeof notes === "string" ? notes.trim().slice(0, MAX_NOTES_LENGTH) : "";
+  }
+
+  static countReasons(reasons) {
+    return reasons.reduce((counts, reason) => {
+      counts[reason] = (counts[reason] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  // Add a short summary of each target (and its owner) to triage items
+  static async attachTargets(items) {
+    const idsByModel = {};
+    items.forEach((item) => {
+      idsByModel[item.targetModel] = [...(idsByModel[item.targetModel] || []), item.target];
+    });
+
+    const docsByModel = {};
+    await Promise.all(
+      Object.entries(idsByModel).map(async ([model, ids]) => {
+        const docs = await TARGET_CONFIG[model].model
+          .find({ _id: { $in: ids } })
+          .select(TARGET_CONFIG[model].summary)
+          .lean();
+        docsByModel[model] = new Map(docs.map((doc) => [doc._id.toString(), doc]));
+      })
+    );
+
+    const ownerIds = [...new Set(items.map((item) => item.targetOwner?.toString()).filter(Boolean))];
+    const owners = await User.find({ _id: { $in: ownerIds } })
+      .select("firstName lastName username email")
+      .lean();
+    const ownersById = new Map(owners.map((owner) => [owner._id.toString(), owner]));
+
+    return items.map((item) => ({
+      ...item,
+      target: docsByModel[item.targetModel]?.get(item.target.toString()) || { _id: item.target, deleted: true },
+      targetOwner: item.targetOwner ? ownersById.get(item.targetOwner.toString()) || null : null,
+    }));
+  }
+
+  static async record(target, action, actorId, notes) {
+    await ModerationLog.create({
+      targetModel: target.model,
+      target: target.doc._id,
+      action,
+      actor: actorId || undefined,
+      reason: this.cleanNotes(notes) || undefined,
+      newStatus: target.doc.hiddenByReports ? "hidden" : "visible",
+    });
+    logger.info(`${target.model} ${target.doc._id} moderation: ${action}${actorId ? ` by ${actorId}` : ""}`);
+  }
+
+  static async invalidateCaches(target) {
+    if (target.model !== "Product") return;
+
+    try {
+      await cache.invalidateProduct(target.doc._id, target.doc.slug, {
+        invalidateRelated: true,
+        makerId: target.doc.maker?.toString(),
+      });
+    } catch (error) {
+      logger.warn(`Failed to invalidate caches for reported product ${target.doc._id}: ${error.message}`);
+    }
+  }
+
+  // In-app notice to the owner when their content is hidden, removed or restored
+  static async notifyOwner(target, outcome) {
+    if (!target.owner) return;
+
+    const label = LABELS[target.type];
+    const messages = {
+      hidden: `Your ${label} was reported by several members and is hidden until our team reviews it`,
+      removed: `Your ${label} was removed after review for breaking our guidelines`,
+      restored: `Your ${label} was reviewed and is visible again`,
+    };
+
+    await NotificationService.notify({
+      recipient: target.owner,
+      type: "system",
+      message: messages[outcome],
+      data: { targetType: target.type, targetId: target.doc._id, moderation: outcome },
+    });
+  }
+}
+
+export default ReportService;
@@ -0,0 +1,135 @@
+import View from "../../models/view/view.model.js";
+import AnalyticsCleanupService from "../recommendation/analyticsCleanup.service.js";
+import recommendationCacheService from "../recommendation/recommendationCache.service.js";
+import DigestService from "../notification/digest.service.js";
+import JobLifecycleService from "../job/jobLifecycle.service.js";
+import JobAlertService from "../job/jobAlert.service.js";
+import ProductLaunchService from "../product/productLaunch.service.js";
+import LeaderboardService from "../leaderboard/leaderboard.service.js";
+import TrendingService from "../product/trending.service.js";
+import logger from "../../utils/logging/logger.js";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const VIEW_SYNC_INTERVAL = 15 * MINUTE;
+
+/**
+ * Recurring background jobs.
+ *
+ * Each definition has:
+ *  - name: unique job name, used in the admin API and run history
+ *  - description: shown in the admin job list
+ *  - every: interval between runs in milliseconds
+ *  - attempts: total tries before a run is marked failed
+ *  - backoff: base delay in milliseconds between retries (doubled each retry)
+ *  - handler: async function returning a JSON-serializable result
+ */
+const jobs = [
+  {
+    name: "analytics-cleanup",
+    description: "Remove invalid, duplicated and orphaned recommendation interactions",
+    every: 24 * HOUR,
+    attempts: 2,
+    backoff: 5 * MINUTE,
+    handler: () => AnalyticsCleanupService.runComprehensiveCleanup(),
+  },
+  {
+    name: "recommendation-cache-prime",
+    description: "Prime trending, new and hybrid recommendation caches",
+    every: 30 * MINUTE,
+    attempts: 2,
+    backoff: MINUTE,
+    handler: async () => {
+      const result = await recommendationCacheService.primeCache();
+      if (!result.success) {
+        throw new Error(result.error || "Cache priming failed");
+      }
+      return result;
+    },
+  },
+  {
+    name: "view-sync",
+    description: "Sync view counters of recently viewed products from the views collection",
+    every: VIEW_SYNC_INTERVAL,
+    attempts: 3,
+    backoff: MINUTE,
+    handler: async () => {
+      // Look back two intervals so a delayed run doesn't miss products
+      const since = new Date(Date.now() - VIEW_SYNC_INTERVAL * 2);
+      const productIds = await View.distinct("product", { createdAt: { $gte: since } });
+
+      let synced = 0;
+      let failed = 0;
+      for (const productId of productIds) {
+        try {
+          await View.syncViewsWithProduct(productId.toString());
+          synced += 1;
+        } catch (error) {
+          failed += 1;
+          logger.warn(`View sync failed for product ${productId}: ${error.message}`);
+        }
+      }
+
+      return { products: productIds.length, synced, failed };
+    },
+  },
+  {
+    name: "job-expiry",
+    description: "Close expired job postings and remind posters of upcoming expiries",
+    every: HOUR,
+    attempts: 3,
+    backoff: MINUTE,
+    handler: () => JobLifecycleService.runLifecycle(),
+  },
+  {
+    name: "job-alerts",
+    description: "Send daily and weekly job alerts with new postings matching saved searches",
+    every: HOUR,
+    attempts: 2,
+    backoff: 5 * MINUTE,
+    handler: () => JobAlertService.sendScheduledAlerts(),
+  },
+  {
+    name: "product-launches",
+    description: "Publish drafts whose scheduled launch time has passed",
+    every: MINUTE,
+    attempts: 3,
+    backoff: MINUTE,
+    handler: () => ProductLaunchService.launchDueProducts(),
+  },
+  {
+    name: "trending-scores",
+    description: "Recompute stored product trending scores from recent engagement",
+    every: 15 * MINUTE,
+    attempts: 2,
+    backoff: MINUTE,
+    handler: () => TrendingService.refreshScores(),
+  },
+  {
+    name: "leaderboard-finalize",
+    description: "Snapshot final leaderboard standings and award badges for closed periods",
+    every: 15 * MINUTE,
+    attempts: 3,
+    backoff: 5 * MINUTE,
+    handler: () => LeaderboardService.finalizeClosedPeriods(),
+  },
+  {
+    name: "daily-digest",
+    description: "Send daily email digests to subscribed users",
+    every: HOUR,
+    attempts: 2,
+    backoff: 5 * MINUTE,
+    handler: () => DigestService.sendDigests("daily"),
+  },
+  {
+    name: "weekly-digest",
+    description: "Send weekly email digests to subscribed users",
+    every: 6 * HOUR,
+    attempts: 2,
+    backoff: 5 * MINUTE,
+    handler: () => DigestService.sendDigests("weekly"),
+  },
+];
+
+export default jobs;
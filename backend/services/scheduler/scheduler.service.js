@@ -0,0 +1,537 @@
+import Redis from "ioredis";
+import { Queue, Worker } from "bullmq";
+import JobRun from "../../models/core/jobRun.model.js";
+import ScheduledJob from "../../models/core/scheduledJob.model.js";
+import jobs from "./jobs.js";
+import logger from "../../utils/logging/logger.js";
+import { NotFoundError } from "../../utils/logging/error.js";
+
+const QUEUE_NAME = "scheduled-jobs";
+const REDIS_CONNECT_TIMEOUT_MS = 5000;
+
+const definitions = new Map(jobs.map((job) => [job.name, job]));
+
+// Runtime state
+let driver = null; // "bullmq" | "local"
+let connection = null;
+let queue = null;
+let worker = null;
+const localTimers = new Map(); // name -> { timer, nextRunAt }
+const localRunning = new Set();
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Runs the recurring jobs defined in ./jobs.js.
+ *
+ * BullMQ over Redis is used when Redis is reachable, so schedules are shared
+ * between instances and each run executes once. Otherwise (or with
+ * SCHEDULER_DRIVER=local) jobs run on in-process timers, which is meant for
+ * local development with a single instance.
+ */
+class SchedulerService {
+  /**
+   * Start the scheduler. Set SCHEDULER_ENABLED=false to disable it entirely.
+   * @returns {Promise<string|null>} The driver in use, or null when disabled
+   */
+  static async start() {
+    if (process.env.SCHEDULER_ENABLED === "false") {
+      logger.info("Job scheduler disabled (SCHEDULER_ENABLED=false)");
+      return null;
+    }
+    if (driver) {
+      return driver;
+    }
+
+    driver = await this.resolveDriver();
+
+    const pausedNames = new Set(
+      await ScheduledJob.find({ isPaused: true }).distinct("name")
+    );
+
+    if (driver === "bullmq") {
+      await this.startBullMQ(pausedNames);
+    } else {
+      for (const definition of definitions.values()) {
+        if (!pausedNames.has(definition.name)) {
+          this.scheduleLocal(definition);
+        }
+      }
+    }
+
+    logger.info(
+      `Job scheduler started with ${driver} driver (${definitions.size} jobs, ${pausedNames.size} paused)`
+    );
+    return driver;
+  }
+
+  /**
+   * Stop timers and close BullMQ connections.
+   */
+  static async stop() {
+    for (const { timer } of localTimers.values()) {
+      clearInterval(timer);
+    }
+    localTimers.clear();
+
+    try {
+      await worker?.close();
+      await queue?.close();
+      await connection?.quit();
+    } catch (error) {
+      logger.warn(`Error while stopping job scheduler: ${error.message}`);
+    }
+
+    worker = null;
+    queue = null;
+    connection = null;
+    driver = null;
+  }
+
+  /**
+   * Pick BullMQ when Redis answers, otherwise fall back to in-process timers.
+   * @returns {Promise<string>} "bullmq" or "local"
+   */
+  static async resolveDriver() {
+    if (process.env.SCHEDULER_DRIVER === "local") {
+      return "local";
+    }
+
+    const options = {
+      host: process.env.REDIS_HOST || "localhost",
+      port: parseInt(process.env.REDIS_PORT || "6379", 10),
+      username: process.env.REDIS_USERNAME,
+      password: process.env.REDIS_PASSWORD,
+      db: parseInt(process.env.REDIS_DB || "0", 10),
+      // Required by BullMQ for blocking commands
+      maxRetriesPerRequest: null,
+      lazyConnect: true,
+      connectTimeout: REDIS_CONNECT_TIMEOUT_MS,
+    };
+
+    const client = process.env.REDIS_URL
+      ? new Redis(process.env.REDIS_URL, options)
+      : new Redis(options);
+    client.on("error", (err) => logger.debug(`Scheduler Redis error: ${err.message}`));
+
+    try {
+      await client.connect();
+      await client.ping();
+      connection = client;
+      return "bullmq";
+    } catch (error) {
+      logger.warn(
+        `Redis unavailable for job scheduler (${error.message}), falling back to in-process timers`
+      );
+      client.disconnect();
+      return "local";
+    }
+  }
+
+  /**
+   * Create the queue and worker, and sync BullMQ job schedulers with the
+   * definitions and paused state.
+   * @param {Set<string>} pausedNames - Jobs that must not be scheduled
+   */
+  static async startBullMQ(pausedNames) {
+    queue = new Queue(QUEUE_NAME, { connection });
+
+    worker = new Worker(
+      QUEUE_NAME,
+      (bullJob) =>
+        this.execute(bullJob.name, {
+          trigger: bullJob.data?.trigger || "schedule",
+          triggeredBy: bullJob.data?.triggeredBy || null,
+          attempt: bullJob.attemptsMade + 1,
+        }),
+      { connection, concurrency: 1 }
+    );
+
+    worker.on("failed", (bullJob, error) => {
+      logger.error(
+        `Scheduled job ${bullJob?.name} failed (attempt ${bullJob?.attemptsMade}): ${error.message}`
+      );
+    });
+    worker.on("error", (error) => {
+      logger.error(`Job scheduler worker error: ${error.message}`);
+    });
+
+    // Drop schedulers for jobs that no longer exist
+    const existing = await queue.getJobSchedulers();
+    for (const scheduler of existing) {
+      if (!definitions.has(scheduler.key)) {
+        await queue.removeJobScheduler(scheduler.key);
+      }
+    }
+
+    for (const definition of definitions.values()) {
+      if (pausedNames.has(definition.name)) {
+        await queue.removeJobScheduler(definition.name);
+      } else {
+        await this.upsertBullMQScheduler(definition);
+      }
+    }
+  }
+
+  /**
+   * Create or update the BullMQ job scheduler for a definition
+   * @param {Object} definition - Job definition
+   */
+  static async upsertBullMQScheduler(definition) {
+    await queue.upsertJobScheduler(
+      definition.name,
+      { every: definition.every },
+      {
+        name: definition.name,
+        data: { trigger: "schedule" },
+        opts: this.getJobOptions(definition),
+      }
+    );
+  }
+
+  /**
+   * BullMQ options for retries and history trimming
+   * @param {Object} definition - Job definition
+   * @returns {Object}
+   */
+  static getJobOptions(definition) {
+    return {
+      attempts: definition.attempts || 1,
+      backoff: { type: "exponential", delay: definition.backoff || 60000 },
+      // Run history is kept in MongoDB (JobRun)
+      removeOnComplete: 100,
+      removeOnFail: 100,
+    };
+  }
+
+  /**
+   * Start the in-process timer for a definition
+   * @param {Object} definition - Job definition
+   */
+  static scheduleLocal(definition) {
+    if (localTimers.has(definition.name)) {
+      return;
+    }
+
+    const entry = { timer: null, nextRunAt: new Date(Date.now() + definition.every) };
+    entry.timer = setInterval(() => {
+      entry.nextRunAt = new Date(Date.now() + definition.every);
+      this.runLocal(definition, { trigger: "schedule" }).catch(() => {});
+    }, definition.every);
+    // Timers must not keep the process alive on shutdown
+    entry.timer.unref();
+
+    localTimers.set(definition.name, entry);
+  }
+
+  /**
+   * Stop the in-process timer for a job
+   * @param {string} name - Job name
+   */
+  static unscheduleLocal(name) {
+    const entry = localTimers.get(name);
+    if (entry) {
+      clearInterval(entry.timer);
+      localTimers.delete(name);
+    }
+  }
+
+  /**
+   * Execute a job in-process with the definition's retry policy. Runs of the
+   * same job never overlap.
+   * @param {Object} definition - Job definition
+   * @param {Object} options - { trigger, triggeredBy }
+   * @returns {Promise<*>} Handler result
+   */
+  static async runLocal(definition, { trigger, triggeredBy = null }) {
+    if (localRunning.has(definition.name)) {
+      logger.debug(`Skipping ${definition.name}: previous run still in progress`);
+      return null;
+    }
+
+    localRunning.add(definition.name);
+    try {
+      const attempts = definition.attempts || 1;
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return await this.execute(definition.name, { trigger, triggeredBy, attempt });
+        } catch (error) {
+          if (attempt >= attempts) {
+            throw error;
+          }
+          await wait((definition.backoff || 60000) * Math.pow(2, attempt - 1));
+        }
+      }
+    } finally {
+      localRunning.delete(definition.name);
+    }
+  }
+
+  /**
+   * Run a job handler once and record it in the run history. Errors are
+   * rethrown so the driver can retry.
+   * @param {string} name - Job name
+   * @param {Object} options - { trigger, triggeredBy, attempt }
+   * @returns {Promise<*>} Handler result
+   */
+  static async execute(name, { trigger = "schedule", triggeredBy = null, attempt = 1 } = {}) {
+    const definition = definitions.get(name);
+    if (!definition) {
+      throw new Error(`Unknown scheduled job: ${name}`);
+    }
+
+    // A scheduled run may already be queued when the job gets paused
+    if (trigger === "schedule") {
+      const state = await ScheduledJob.findOne({ name }).select("isPaused").lean();
+      if (state?.isPaused) {
+        logger.debug(`Skipping paused job ${name}`);
+        return null;
+      }
+    }
+
+    const startedAt = new Date();
+    const run = await JobRun.create({
+      name,
+      trigger,
+      triggeredBy,
+      driver,
+      attempt,
+      startedAt,
+    });
+
+    try {
+      const result = await definition.handler();
+      const finishedAt = new Date();
+
+      await Promise.all([
+        JobRun.updateOne(
+          { _id: run._id },
+          {
+            $set: {
+              status: "completed",
+              finishedAt,
+              duration: finishedAt - startedAt,
+              result: result ?? null,
+            },
+          }
+        ),
+        ScheduledJob.updateOne(
+          { name },
+          { $set: { lastRunAt: startedAt, lastStatus: "completed" } },
+          { upsert: true }
+        ),
+      ]);
+
+      return result;
+    } catch (error) {
+      const finishedAt = new Date();
+      logger.error(`Job ${name} failed on attempt ${attempt}: ${error.message}`);
+
+      await Promise.all([
+        JobRun.updateOne(
+          { _id: run._id },
+          {
+            $set: {
+              status: "failed",
+              finishedAt,
+              duration: finishedAt - startedAt,
+              error: error.message,
+            },
+          }
+        ),
+        ScheduledJob.updateOne(
+          { name },
+          { $set: { lastRunAt: startedAt, lastStatus: "failed" } },
+          { upsert: true }
+        ),
+      ]).catch((recordError) =>
+        logger.error(`Failed to record failed run of ${name}: ${recordError.message}`)
+      );
+
+      throw error;
+    }
+  }
+
+  /**
+   * List every job with its schedule, paused state and latest run
+   * @returns {Promise<Array>}
+   */
+  static async listJobs() {
+    const names = Array.from(definitions.keys());
+
+    const [states, lastRuns, bullSchedulers] = await Promise.all([
+      ScheduledJob.find({ name: { $in: names } }).lean(),
+      JobRun.aggregate([
+        { $match: { name: { $in: names } } },
+        { $sort: { startedAt: -1 } },
+        { $group: { _id: "$name", run: { $first: "$$ROOT" } } },
+      ]),
+      driver === "bullmq" ? queue.getJobSchedulers() : [],
+    ]);
+
+    const stateByName = new Map(states.map((state) => [state.name, state]));
+    const lastRunByName = new Map(lastRuns.map(({ _id, run }) => [_id, run]));
+    const nextRunByName = new Map(
+      bullSchedulers.map((scheduler) => [scheduler.key, scheduler.next ? new Date(scheduler.next) : null])
+    );
+
+    return names.map((name) => {
+      const definition = definitions.get(name);
+      const state = stateByName.get(name);
+      const nextRunAt =
+        driver === "bullmq"
+          ? nextRunByName.get(name) || null
+          : localTimers.get(name)?.nextRunAt || null;
+
+      return {
+        name,
+        description: definition.description,
+        every: definition.every,
+        attempts: definition.attempts || 1,
+        isPaused: state?.isPaused || false,
+        pausedAt: state?.pausedAt || null,
+        lastRunAt: state?.lastRunAt || null,
+        lastStatus: state?.lastStatus || null,
+        nextRunAt: state?.isPaused ? null : nextRunAt,
+        lastRun: lastRunByName.get(name) || null,
+      };
+    });
+  }
+
+  /**
+   * Paginated run history of a job
+   * @param {string} name - Job name
+   * @param {Object} [options] - { page, limit, status }
+   * @returns {Promise<Object>} { runs, pagination }
+   */
+  static async getRuns(name, { page = 1, limit = 20, status } = {}) {
+    this.getDefinition(name);
+
+    const query = { name };
+    if (status) {
+      query.status = status;
+    }
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const [runs, total] = await Promise.all([
+      JobRun.find(query)
+        .sort({ startedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate("triggeredBy", "firstName lastName username")
+        .lean(),
+      JobRun.countDocuments(query),
+    ]);
+
+    return {
+      runs,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    };
+  }
+
+  /**
+   * Queue an immediate run of a job, regardless of its paused state
+   * @param {string} name - Job name
+   * @param {string|ObjectId} [triggeredBy] - Admin who triggered the run
+   * @returns {Promise<Object>} { name, driver, jobId }
+   */
+  static async trigger(name, triggeredBy = null) {
+    const definition = this.getDefinition(name);
+    this.ensureStarted();
+
+    if (driver === "bullmq") {
+      const bullJob = await queue.add(
+        name,
+        { trigger: "manual", triggeredBy: triggeredBy?.toString() || null },
+        this.getJobOptions(definition)
+      );
+      return { name, driver, jobId: bullJob.id };
+    }
+
+    this.runLocal(definition, { trigger: "manual", triggeredBy }).catch(() => {});
+    return { name, driver, jobId: null };
+  }
+
+  /**
+   * Pause a job's schedule. Manual triggers still work.
+   * @param {string} name - Job name
+   * @param {string|ObjectId} [pausedBy] - Admin pausing the job
+   * @returns {Promise<Object>} Updated job state
+   */
+  static async pause(name, pausedBy = null) {
+    this.getDefinition(name);
+    this.ensureStarted();
+
+    const state = await ScheduledJob.findOneAndUpdate(
+      { name },
+      { $set: { isPaused: true, pausedAt: new Date(), pausedBy } },
+      { new: true, upsert: true }
+    ).lean();
+
+    if (driver === "bullmq") {
+      await queue.removeJobScheduler(name);
+    } else {
+      this.unscheduleLocal(name);
+    }
+
+    logger.info(`Scheduled job ${name} paused`);
+    return state;
+  }
+
+  /**
+   * Resume a paused job's schedule
+   * @param {string} name - Job name
+   * @returns {Promise<Object>} Updated job state
+   */
+  static async resume(name) {
+    const definition = this.getDefinition(name);
+    this.ensureStarted();
+
+    const state = await ScheduledJob.findOneAndUpdate(
+      { name },
+      { $set: { isPaused: false, pausedAt: null, pausedBy: null } },
+      { new: true, upsert: true }
+    ).lean();
+
+    if (driver === "bullmq") {
+      await this.upsertBullMQScheduler(definition);
+    } else {
+      this.scheduleLocal(definition);
+    }
+
+    logger.info(`Scheduled job ${name} resumed`);
+    return state;
+  }
+
+  /**
+   * @param {string} name - Job name
+   * @returns {Object} Job definition
+   * @throws {NotFoundError} When no job has this name
+   */
+  static getDefinition(name) {
+    const definition = definitions.get(name);
+    if (!definition) {
+      throw new NotFoundError(`Scheduled job "${name}" not found`);
+    }
+    return definition;
+  }
+
+  static ensureStarted() {
+    if (!driver) {
+      throw new Error("Job scheduler is not running");
+    }
+  }
+
+  static getDriver() {
+    return driver;
+  }
+}
+
+export default SchedulerService;
@@ -1,27 +1,62 @@
+import crypto from "crypto";
 import mongoose from "mongoose";
 import Product from "../../models/product/product.model.js";
 import Job from "../../models/job/job.model.js";
 import Project from "../../models/project/project.model.js";
 import User from "../../models/user/user.model.js";
+import ForumThread from "../../models/forum/forumThread.model.js";
 import SearchHistory from "../../models/search/searchHistory.model.js";
 import logger from "../../utils/logging/logger.js";
 import { rankSearchResults, calculateContextualRelevance, getSynonyms, getFuzzyMatches, calculateWordSimilarity } from "../../utils/data/searchUtils.js";
 import { findSimilarDocuments } from "../../utils/data/vectorEmbeddings.js";
 import cache from "../../utils/cache/cache.js";
+import { ValidationError } from "../../utils/logging/error.js";
+import {
+  normalizeSort,
+  parseCursor,
+  buildCursorFilter,
+  buildPage,
+  countApproximate,
+} from "../../utils/data/cursorPagination.utils.js";
+
+// Search results are ordered by relevance, with _id as tie-breaker
+const SEARCH_SORT = normalizeSort({ finalScore: -1 });
+
+const SEARCHABLE_TYPES = ["products", "jobs", "projects", "users", "threads"];
 
 class GlobalSearchService {
   async search(params) {
     try {
       const {
         query,
-        type = "all", // 'all', 'products', 'jobs', 'projects', 'users'
+        type = "all", // 'all', 'products', 'jobs', 'projects', 'users', 'threads'
         filters = {},
         page = 1,
         limit = 20,
+        cursor = null,
         // naturalLanguage parameter removed as we're not using text search anymore
         userId = null,
       } = params;
 
+      // Scores depend on item age, so every page of a result set is scored
+      // as of the time its first page was requested
+      let asOf = new Date();
+      let position = null;
+      if (cursor) {
+        if (!SEARCHABLE_TYPES.includes(type)) {
+          throw new ValidationError("A cursor can only be used when searching a single type");
+        }
+        const { values, meta } = parseCursor(
+          cursor,
+          SEARCH_SORT,
+          this.getSearchCursorScope(type, query, this.getTypeFilters(type, filters, userId))
+        );
+        position = values;
+        if (Number.isFinite(meta.asOf)) {
+          asOf = new Date(meta.asOf);
+        }
+      }
+
       // Log search query for analytics
       logger.info(
         `Global search: "${query}" (type: ${type}, page: ${page}, limit: ${limit})`
@@ -53,7 +88,7 @@ class GlobalSearchService {
             // Calculate age in days for recency scoring
             ageInDays: {
               $divide: [
-                { $subtract: [new Date(), "$createdAt"] },
+                { $subtract: [asOf, "$createdAt"] },
                 1000 * 60 * 60 * 24, // Convert ms to days
               ],
             },
@@ -395,7 +430,7 @@ class GlobalSearchService {
             },
           },
         },
-        { $sort: { finalScore: -1 } },
+        { $sort: { finalScore: -1, _id: -1 } },
       ];
 
       // We're not using text score in the aggregation pipeline anymore
@@ -408,8 +443,13 @@ class GlobalSearchService {
         query,
         filters,
         baseAggregation,
-        page,
-        limit,
+        {
+          skip: cursor ? 0 : (Math.max(page, 1) - 1) * limit,
+          limit,
+          cursor,
+          position,
+          asOf,
+        },
         userId // Pass userId to exclude current user from results
       );
 
@@ -429,6 +469,9 @@ class GlobalSearchService {
         ...results,
       };
     } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
       logger.error("Global search error:", error);
       return {
         success: false,
@@ -446,13 +489,12 @@ class GlobalSearchService {
     query,
     filters,
     baseAggregation,
-    page,
-    limit,
+    paging,
     userId = null
   ) {
     const searchResults = {};
-    const skip = (page - 1) * limit;
     const counts = {};
+    const pageInfo = {};
 
     // Initialize counts to 0 for all types
     if (type === "all") {
@@ -460,6 +502,7 @@ class GlobalSearchService {
       counts.jobs = 0;
       counts.projects = 0;
       counts.users = 0;
+      counts.threads = 0;
     }
 
     // Execute searches in parallel for better performance
@@ -471,11 +514,11 @@ class GlobalSearchService {
           query,
           filters,
           baseAggregation,
-          skip,
-          limit
+          paging
         ).then((results) => {
           searchResults.products = results.data;
-          counts.products = results.count;
+          pageInfo.products = results.pageInfo;
+          if (results.count !== null) counts.products = results.count;
         })
       );
     }
@@ -486,11 +529,11 @@ class GlobalSearchService {
           query,
           filters,
           baseAggregation,
-          skip,
-          limit
+          paging
         ).then((results) => {
           searchResults.jobs = results.data;
-          counts.jobs = results.count;
+          pageInfo.jobs = results.pageInfo;
+          if (results.count !== null) counts.jobs = results.count;
         })
       );
     }
@@ -501,20 +544,19 @@ class GlobalSearchService {
           query,
           filters,
           baseAggregation,
-          skip,
-          limit
+          paging
         ).then((results) => {
           searchResults.projects = results.data;
-          counts.projects = results.count;
+          pageInfo.projects = results.pageInfo;
+          if (results.count !== null) counts.projects = results.count;
         })
       );
     }
 
     if (type === "all" || type === "users") {
       // Add userId to filters to exclude current user from results
-      const userFilters = { ...filters };
+      const userFilters = this.getTypeFilters("users", filters, userId);
       if (userId) {
-        userFilters.excludeUserId = userId;
         logger.info(`Excluding user ${userId} from search results`);
       }
 
@@ -523,11 +565,26 @@ class GlobalSearchService {
           query,
           userFilters,
           baseAggregation,
-          skip,
-          limit
+          paging
         ).then((results) => {
           searchResults.users = results.data;
-          counts.users = results.count;
+          pageInfo.users = results.pageInfo;
+          if (results.count !== null) counts.users = results.count;
+        })
+      );
+    }
+
+    if (type === "all" || type === "threads") {
+      searchPromises.push(
+        this.searchThreads(
+          query,
+          filters,
+          baseAggregation,
+          paging
+        ).then((results) => {
+          searchResults.threads = results.data;
+          pageInfo.threads = results.pageInfo;
+          if (results.count !== null) counts.threads = results.count;
         })
       );
     }
@@ -538,6 +595,7 @@ class GlobalSearchService {
     return {
       results: searchResults,
       counts,
+      pageInfo,
       totalResults: Object.values(counts).reduce(
         (sum, count) => sum + count,
         0
@@ -545,8 +603,41 @@ class GlobalSearchService {
     };
   }
 
+  /**
+   * Filters applied to one entity type. User searches exclude the searcher.
+   * @param {string} type - Entity type
+   * @param {Object} filters - Search filters
+   * @param {string|ObjectId|null} userId - Searching user
+   * @returns {Object}
+   */
+  getTypeFilters(type, filters, userId) {
+    if (type === "users" && userId) {
+      return { ...filters, excludeUserId: userId };
+    }
+    return filters;
+  }
+
+  /**
+   * Scope binding a search cursor to its entity type, query and filters
+   * @param {string} entityType - Entity type
+   * @param {string} query - Search query
+   * @param {Object} filters - Search filters
+   * @returns {string}
+   */
+  getSearchCursorScope(entityType, query, filters = {}) {
+    const sortedFilters = Object.keys(filters)
+      .sort()
+      .map((key) => [key, filters[key]]);
+    const hash = crypto
+      .createHash("sha1")
+      .update(JSON.stringify([(query || "").toLowerCase().trim(), sortedFilters]))
+      .digest("base64url")
+      .slice(0, 16);
+    return `search:${entityType}:${hash}`;
+  }
+
   // Helper methods for specific type searches
-  async searchProducts(query, filters, baseAggregation, skip, limit) {
+  async searchProducts(query, filters, baseAggregation, paging) {
     // Define product-specific search options
     const options = {
       lookups: [
@@ -702,14 +793,13 @@ class GlobalSearchService {
       query,
       filters,
       baseAggregation,
-      skip,
-      limit,
+      paging,
       options
     );
   }
 
   async buildProductSearchCriteria(query, filters) {
-    const criteria = { status: "Published" };
+    const criteria = Product.publicFilter();
 
     // Apply filters first
     if (filters.category) criteria.category = filters.category;
@@ -949,15 +1039,17 @@ class GlobalSearchService {
    * @param {string} query - Search query
    * @param {Object} filters - Search filters
    * @param {Array} baseAggregation - Base aggregation pipeline
-   * @param {number} skip - Number of items to skip
-   * @param {number} limit - Number of items to limit
+   * @param {Object} paging - { skip, limit, cursor, position, asOf }; position
+   *   holds the decoded cursor values and replaces skip when present
    * @param {Object} options - Additional options
-   * @returns {Promise<Object>} - Search results and count
+   * @returns {Promise<Object>} - Search results, count (first page only) and pageInfo
    */
-  async commonSearch(entityType, model, buildCriteriaFn, query, filters, baseAggregation, skip, limit, options = {}) {
+  async commonSearch(entityType, model, buildCriteriaFn, query, filters, baseAggregation, paging, options = {}) {
+    const { skip = 0, limit, cursor = null, position = null, asOf = new Date() } = paging;
+
     try {
       // Try to get from cache first using optimized key generation
-      const cacheKey = this.generateSearchCacheKey(entityType, query, filters, skip, limit);
+      const cacheKey = this.generateSearchCacheKey(entityType, query, filters, cursor || skip, limit);
       const cachedResults = await this.getFromCache(cacheKey);
 
       if (cachedResults) {
@@ -968,21 +1060,34 @@ class GlobalSearchService {
       // Build search criteria
       const searchCriteria = await buildCriteriaFn(query, filters);
 
-      // Get total count for pagination
-      const count = await model.countDocuments(searchCriteria);
+      // Totals are only computed for the first page
+      const total = position ? null : await countApproximate(model, searchCriteria);
 
-      // Execute search query with the provided aggregation pipeline
-      let data = await model.aggregate([
+      // Execute search query with the provided aggregation pipeline. One
+      // extra result tells whether there is a next page.
+      const rawData = await model.aggregate([
         { $match: searchCriteria },
         ...(options.transformAggregation ?
             baseAggregation.map(options.transformAggregation) :
             baseAggregation),
-        { $skip: skip },
-        { $limit: limit },
+        ...(position ? [{ $match: buildCursorFilter(SEARCH_SORT, position) }] : []),
+        ...(skip > 0 ? [{ $skip: skip }] : []),
+        { $limit: limit + 1 },
         ...(options.lookups || []),
-        ...(options.projections ? [{ $project: options.projections }] : [])
+        // finalScore is kept because the cursor is built from it
+        ...(options.projections ? [{ $project: { ...options.projections, finalScore: 1 } }] : [])
       ]);
 
+      const { items, pageInfo } = buildPage(rawData, {
+        sortSpec: SEARCH_SORT,
+        limit,
+        scope: this.getSearchCursorScope(entityType, query, filters),
+        count: total,
+        meta: { asOf: asOf.getTime() },
+      });
+      let data = items;
+      const count = total ? total.total : null;
+
       // Apply advanced ranking and explanations if query is provided
       if (data && data.length > 0 && query) {
         // Use the rankSearchResults function for better relevance
@@ -1007,12 +1112,12 @@ class GlobalSearchService {
 
       // Cache the results
       const ttl = options.cacheTTL || 300; // Default 5 minutes
-      await this.saveToCache(cacheKey, { data, count }, ttl);
+      await this.saveToCache(cacheKey, { data, count, pageInfo }, ttl);
 
-      return { data, count };
+      return { data, count, pageInfo };
     } catch (error) {
       logger.error(`Error searching ${entityType}:`, error);
-      return { data: [], count: 0 };
+      return { data: [], count: 0, pageInfo: { limit, hasMore: false, nextCursor: null } };
     }
   }
 
@@ -1047,6 +1152,9 @@ class GlobalSearchService {
         case 'projects':
           textFields = ['title', 'technologies', 'category.name', 'description'];
           break;
+        case 'threads':
+          textFields = ['title', 'tags', 'excerpt'];
+          break;
       }
 
       // Use the findSimilarDocuments function from vectorEmbeddings.js with entity-specific settings
@@ -1137,15 +1245,14 @@ class GlobalSearchService {
       );
 
       // Blend original results with new semantic results
-      const originalResultsCount = Math.ceil(limit * (1 - blendFactor));
       const semanticResultsCount = Math.floor(limit * blendFactor);
 
-      // Take top results from each source
-      const topOriginalResults = results.slice(0, originalResultsCount);
+      // Original results are never dropped: pages are cursor-bounded, so a
+      // result cut here would not show up on any page
       const topSemanticResults = newSemanticResults.slice(0, semanticResultsCount);
 
       // Combine and return
-      return [...topOriginalResults, ...topSemanticResults];
+      return [...results, ...topSemanticResults];
     } catch (error) {
       logger.error('Error enhancing search results:', error);
       return results;
@@ -1238,7 +1345,7 @@ class GlobalSearchService {
   }
 
   // Search jobs with improved relevance
-  async searchJobs(query, filters, baseAggregation, skip, limit) {
+  async searchJobs(query, filters, baseAggregation, paging) {
     // Define job-specific search options
     const options = {
       // Transform the aggregation pipeline for jobs
@@ -1323,15 +1430,14 @@ class GlobalSearchService {
       query,
       filters,
       baseAggregation,
-      skip,
-      limit,
+      paging,
       options
     );
   }
 
   async buildJobSearchCriteria(query, filters) {
     const criteria = {
-      status: "Published",
+      ...Job.publicFilter(),
       expiresAt: { $gt: new Date() }, // Only show non-expired jobs
     };
 
@@ -1432,7 +1538,7 @@ class GlobalSearchService {
   }
 
   // Search projects
-  async searchProjects(query, filters, baseAggregation, skip, limit) {
+  async searchProjects(query, filters, baseAggregation, paging) {
     // Define project-specific search options
     const options = {
       lookups: [
@@ -1485,8 +1591,7 @@ class GlobalSearchService {
       query,
       filters,
       baseAggregation,
-      skip,
-      limit,
+      paging,
       options
     );
   }
@@ -1578,8 +1683,163 @@ class GlobalSearchService {
     return criteria;
   }
 
+  // Search forum threads
+  async searchThreads(query, filters, baseAggregation, paging) {
+    const options = {
+      // Threads have a title instead of a name and an excerpt instead of a
+      // description
+      transformAggregation: (stage) => {
+        if (stage.$addFields && stage.$addFields.titleScore) {
+          const matches = (field) =>
+            query
+              ? {
+                  $regexMatch: {
+                    input: { $ifNull: [field, ""] },
+                    regex: query,
+                    options: "i",
+                  },
+                }
+              : false;
+
+          return {
+            $addFields: {
+              ...stage.$addFields,
+              titleScore: {
+                $cond: {
+                  if: { $eq: [{ $toLower: "$title" }, "$queryLower"] },
+                  then: 15,
+                  else: { $cond: { if: matches("$title"), then: 8, else: 0 } },
+                },
+              },
+              descriptionScore: {
+                $cond: { if: matches("$bodyText"), then: 3, else: 0 },
+              },
+              // Discussion volume stands in for product comments
+              commentScore: {
+                $multiply: [{ $min: [{ $ifNull: ["$replyCount", 0] }, 10] }, 0.4],
+              },
+            },
+          };
+        }
+        return stage;
+      },
+      lookups: [
+        {
+          $lookup: {
+            from: "users",
+            localField: "author",
+            foreignField: "_id",
+            as: "authorDetails",
+          },
+        },
+        {
+          $lookup: {
+            from: "forumcategories",
+            localField: "category",
+            foreignField: "_id",
+            as: "categoryDetails",
+          },
+        },
+      ],
+      projections: {
+        _id: 1,
+        title: 1,
+        excerpt: 1,
+        tags: 1,
+        category: 1,
+        author: 1,
+        replyCount: 1,
+        views: 1,
+        upvoteCount: "$upvotes.count",
+        isPinned: 1,
+        createdAt: 1,
+        lastActivityAt: 1,
+        authorDetails: {
+          _id: 1,
+          firstName: 1,
+          lastName: 1,
+          username: 1,
+          profilePicture: 1,
+        },
+        categoryDetails: {
+          _id: 1,
+          name: 1,
+          slug: 1,
+          color: 1,
+        },
+      },
+      fieldWeights: {
+        title: 10,
+        tags: 8,
+        excerpt: 5,
+      },
+      boostFactors: {
+        recency: 0.3,
+        views: 0.15,
+      },
+      blendFactor: 0.3,
+      cacheTTL: 300 // 5 minutes
+    };
+
+    return this.commonSearch(
+      'threads',
+      ForumThread,
+      this.buildThreadSearchCriteria.bind(this),
+      query,
+      filters,
+      baseAggregation,
+      paging,
+      options
+    );
+  }
+
+  async buildThreadSearchCriteria(query, filters) {
+    const criteria = {};
+
+    if (query) {
+      const { synonyms: synonymsList } = getSynonyms(query);
+      const { matches: fuzzyMatches } = getFuzzyMatches(query);
+      const partialPattern = new RegExp(query, "i");
+
+      criteria.$or = [
+        { title: partialPattern },
+        { tags: { $in: [partialPattern] } },
+        { bodyText: partialPattern },
+      ];
+
+      // Fuzzy matches and synonyms only look at titles and tags
+      [...fuzzyMatches, ...synonymsList].forEach((term) => {
+        if (term !== query) {
+          const fuzzyPattern = new RegExp(term, "i");
+          criteria.$or.push({ title: fuzzyPattern }, { tags: { $in: [fuzzyPattern] } });
+        }
+      });
+
+      // For multi-word queries, add criteria to match individual words
+      const words = query.split(/\s+/).filter((word) => word.length > 2);
+      if (words.length > 1) {
+        words.forEach((word) => {
+          const wordPattern = new RegExp(`\\b${word}\\b`, "i");
+          criteria.$or.push({ title: wordPattern }, { tags: { $in: [wordPattern] } });
+        });
+      }
+    }
+
+    // Forum categories are distinct from product categories, so only
+    // ObjectId filters can match
+    if (filters.category && mongoose.Types.ObjectId.isValid(filters.category)) {
+      criteria.category = new mongoose.Types.ObjectId(String(filters.category));
+    }
+    if (filters.tag) criteria.tags = String(filters.tag).toLowerCase();
+    if (filters.author && mongoose.Types.ObjectId.isValid(filters.author)) {
+      criteria.author = new mongoose.Types.ObjectId(String(filters.author));
+    }
+
+    return criteria;
+  }
+
   // Search users
-  async searchUsers(query, filters, baseAggregation, skip, limit) {
+  async searchUsers(query, filters, baseAggregation, paging) {
     // Define user-specific search options
     const options = {
       // Transform the aggregation pipeline for users
@@ -1721,15 +1981,14 @@ class GlobalSearchService {
       query,
       filters,
       baseAggregation,
-      skip,
-      limit,
+      paging,
       options
     );
   }
 
   async buildUserSearchCriteria(query, filters) {
-    // Only search for active users
-    const criteria = { status: "active" };
+    // Only search for active users whose profiles aren't hidden by reports
+    const criteria = { status: "active", hiddenByReports: { $ne: true } };
 
     // Exclude current user from search results if userId is provided
     if (filters.excludeUserId) {
@@ -1872,7 +2131,7 @@ class GlobalSearchService {
         // Find products with similar names using regex for efficiency
         // This is a broader search than the prefix search in getSearchSuggestions
         const potentialProducts = await Product.find({
-          status: "Published",
+          ...Product.publicFilter(),
           // Look for products that might be similar but don't start with the query
           $or: [
             {
@@ -1963,7 +2222,7 @@ class GlobalSearchService {
           {
             $match: {
               name: { $regex: `^${query}`, $options: "i" },
-              status: "Published",
+              ...Product.publicFilter(),
             },
           },
           { $sort: { views: -1 } },
@@ -1984,7 +2243,7 @@ class GlobalSearchService {
           {
             $match: {
               title: { $regex: `^${query}`, $options: "i" },
-              status: "Published",
+              ...Job.publicFilter(),
               expiresAt: { $gt: new Date() },
             },
           },
@@ -1995,6 +2254,16 @@ class GlobalSearchService {
         entitySuggestions.push(...jobSuggestions);
       }
 
+      if (type === "all" || type === "threads") {
+        const threadSuggestions = await ForumThread.aggregate([
+          { $match: { title: { $regex: `^${query}`, $options: "i" } } },
+          { $sort: { "views.count": -1 } },
+          { $limit: 3 },
+          { $project: { _id: 0, query: "$title", type: { $literal: "threads" } } },
+        ]);
+        entitySuggestions.push(...threadSuggestions);
+      }
+
       // Get spelling correction suggestions
       const spellingSuggestions = await this.getSpellingCorrectionSuggestions(
         query,
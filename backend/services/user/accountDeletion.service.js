@@ -6,7 +6,14 @@ import Notification from "../../models/notification/notification.model.js";
 import RefreshToken from "../../models/core/refreshToken.model.js";
 import Upvote from "../../models/product/upvote.model.js";
 import Bookmark from "../../models/product/bookmark.model.js";
+import Follow from "../../models/user/follow.model.js";
+import Block from "../../models/user/block.model.js";
+import Conversation from "../../models/message/conversation.model.js";
+import Message from "../../models/message/message.model.js";
 import Comment from "../../models/product/comment.model.js";
+import ForumCategory from "../../models/forum/forumCategory.model.js";
+import ForumThread from "../../models/forum/forumThread.model.js";
+import ForumReply from "../../models/forum/forumReply.model.js";
 import View from "../../models/view/view.model.js";
 import Analytic from "../../models/analytics/analytic.model.js";
 import Job from "../../models/job/job.model.js";
@@ -42,6 +49,7 @@ class AccountDeletionService {
           comments: 0,
           upvotes: 0,
           bookmarks: 0,
+          follows: 0,
           views: 0,
           notifications: 0,
           refreshTokens: 0,
@@ -75,6 +83,30 @@ class AccountDeletionService {
       const deletedComments = await Comment.deleteMany({ user: userId }).session(session);
       deletionSummary.deletedData.comments = deletedComments.deletedCount;
 
+      // Delete user's forum threads with their replies, and their replies elsewhere
+      const threadsByCategory = await ForumThread.aggregate([
+        { $match: { author: user._id } },
+        { $group: { _id: "$category", ids: { $push: "$_id" } } },
+      ]).session(session);
+      const threadIds = threadsByCategory.flatMap((group) => group.ids);
+      const deletedForumReplies = await ForumReply.deleteMany({
+        $or: [{ thread: { $in: threadIds } }, { author: userId }]
+      }).session(session);
+      await ForumThread.deleteMany({ _id: { $in: threadIds } }).session(session);
+      if (threadsByCategory.length > 0) {
+        await ForumCategory.bulkWrite(
+          threadsByCategory.map((group) => ({
+            updateOne: {
+              filter: { _id: group._id },
+              update: { $inc: { threadCount: -group.ids.length } }
+            }
+          })),
+          { session }
+        );
+      }
+      deletionSummary.deletedData.forumThreads = threadIds.length;
+      deletionSummary.deletedData.forumReplies = deletedForumReplies.deletedCount;
+
       // Delete user's upvotes
       const deletedUpvotes = await Upvote.deleteMany({ user: userId }).session(session);
       deletionSummary.deletedData.upvotes = deletedUpvotes.deletedCount;
@@ -83,6 +115,25 @@ class AccountDeletionService {
       const deletedBookmarks = await Bookmark.deleteMany({ user: userId }).session(session);
       deletionSummary.deletedData.bookmarks = deletedBookmarks.deletedCount;
 
+      // Delete follow relationships in both directions
+      const deletedFollows = await Follow.deleteMany({
+        $or: [{ follower: userId }, { following: userId }]
+      }).session(session);
+      deletionSummary.deletedData.follows = deletedFollows.deletedCount;
+
+      // Delete blocks in both directions
+      const deletedBlocks = await Block.deleteMany({
+        $or: [{ blocker: userId }, { blocked: userId }]
+      }).session(session);
+      deletionSummary.deletedData.blocks = deletedBlocks.deletedCount;
+
+      // Delete the user's conversations and every message in them
+      const conversationIds = await Conversation.distinct("_id", { participants: userId }).session(session);
+      const deletedMessages = await Message.deleteMany({ conversation: { $in: conversationIds } }).session(session);
+      await Conversation.deleteMany({ _id: { $in: conversationIds } }).session(session);
+      deletionSummary.deletedData.conversations = conversationIds.length;
+      deletionSummary.deletedData.messages = deletedMessages.deletedCount;
+
       // Delete user's views
       const deletedViews = await View.deleteMany({ user: userId }).session(session);
       deletionSummary.deletedData.views = deletedViews.deletedCount;
@@ -0,0 +1,134 @@
+import mongoose from "mongoose";
+import Block from "../../models/user/block.model.js";
+import Follow from "../../models/user/follow.model.js";
+import User from "../../models/user/user.model.js";
+import { NotFoundError, ValidationError } from "../../utils/logging/error.js";
+import { paginate } from "../../utils/data/cursorPagination.utils.js";
+
+const BLOCK_USER_FIELDS = "firstName lastName username profilePicture";
+
+/**
+ * Service for blocking users. A block works in both directions: neither
+ * user can message the other, and any follow relationship between them is
+ * removed so followers-only content stops being visible.
+ */
+class BlockService {
+  /**
+   * Block a user. Blocking someone twice is a no-op.
+   * @param {string|ObjectId} blockerId - User who blocks
+   * @param {string|ObjectId} targetId - User to block
+   * @returns {Promise<Object>} { block, created }
+   */
+  static async block(blockerId, targetId) {
+    this.validateTarget(blockerId, targetId);
+
+    if (!(await User.exists({ _id: targetId }))) {
+      throw new NotFoundError("User not found");
+    }
+
+    let block = await Block.findOne({ blocker: blockerId, blocked: targetId });
+    if (block) {
+      return { block, created: false };
+    }
+
+    try {
+      block = await Block.create({ blocker: blockerId, blocked: targetId });
+    } catch (error) {
+      if (error.code === 11000) {
+        block = await Block.findOne({ blocker: blockerId, blocked: targetId });
+        return { block, created: false };
+      }
+      throw error;
+    }
+
+    await Follow.deleteMany({
+      $or: [
+        { follower: blockerId, following: targetId },
+        { follower: targetId, following: blockerId },
+      ],
+    });
+
+    return { block, created: true };
+  }
+
+  /**
+   * @param {string|ObjectId} blockerId
+   * @param {string|ObjectId} targetId
+   * @returns {Promise<boolean>} Whether a block was removed
+   */
+  static async unblock(blockerId, targetId) {
+    this.validateTarget(blockerId, targetId);
+
+    const result = await Block.deleteOne({ blocker: blockerId, blocked: targetId });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * @param {string|ObjectId} blockerId
+   * @param {string|ObjectId} targetId
+   * @throws {ValidationError} On invalid IDs or self-block
+   */
+  static validateTarget(blockerId, targetId) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      throw new ValidationError("Invalid user ID");
+    }
+    if (blockerId.toString() === targetId.toString()) {
+      throw new ValidationError("You cannot block yourself");
+    }
+  }
+
+  /**
+   * @param {string|ObjectId} blockerId
+   * @param {string|ObjectId} targetId
+   * @returns {Promise<boolean>} Whether blockerId blocked targetId
+   */
+  static async hasBlocked(blockerId, targetId) {
+    if (!blockerId || !targetId) return false;
+    return Boolean(await Block.exists({ blocker: blockerId, blocked: targetId }));
+  }
+
+  /**
+   * Whether either user blocked the other
+   * @param {string|ObjectId} userA
+   * @param {string|ObjectId} userB
+   * @returns {Promise<boolean>}
+   */
+  static async isBlockedBetween(userA, userB) {
+    if (!userA || !userB) return false;
+    return Boolean(
+      await Block.exists({
+        $or: [
+          { blocker: userA, blocked: userB },
+          { blocker: userB, blocked: userA },
+        ],
+      })
+    );
+  }
+
+  /**
+   * Users blocked by someone, most recent first
+   * @param {string|ObjectId} userId
+   * @param {Object} [options] - { cursor, limit, page, withTotal }
+   * @returns {Promise<Object>} { users, pagination }
+   */
+  static async getBlockedUsers(userId, options = {}) {
+    const { items, pageInfo } = await paginate(
+      Block,
+      { blocker: userId },
+      {
+        ...options,
+        scope: `blocks:${userId}`,
+        sort: { createdAt: -1 },
+        populate: { path: "blocked", select: BLOCK_USER_FIELDS },
+      }
+    );
+
+    const users = items
+      .filter((block) => block.blocked)
+      .map((block) => ({ ...block.blocked, blockedAt: block.createdAt }));
+
+    return { users, pagination: pageInfo };
+  }
+}
+
+export default BlockService;
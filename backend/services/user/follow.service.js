@@ -0,0 +1,304 @@
+import mongoose from "mongoose";
+import Follow from "../../models/user/follow.model.js";
+import User from "../../models/user/user.model.js";
+import Notification from "../../models/notification/notification.model.js";
+import NotificationService from "../notification/notification.service.js";
+import BlockService from "./block.service.js";
+import { ForbiddenError, NotFoundError, ValidationError } from "../../utils/logging/error.js";
+import logger from "../../utils/logging/logger.js";
+import cache from "../../utils/cache/cache.js";
+
+// A user who unfollows and follows again within this window doesn't notify twice
+const FOLLOW_NOTIFICATION_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+const FOLLOW_USER_FIELDS = "firstName lastName username profilePicture headline role";
+
+/**
+ * Service for follow relationships between users and the "followers"
+ * privacy level that depends on them.
+ */
+class FollowService {
+  /**
+   * Follow a user. Following someone twice is a no-op.
+   * @param {string|ObjectId} followerId - User who follows
+   * @param {string|ObjectId} targetId - User to follow
+   * @returns {Promise<Object>} { follow, created }
+   */
+  static async follow(followerId, targetId) {
+    this.validateTarget(followerId, targetId);
+
+    const target = await User.findById(targetId).select("_id").lean();
+    if (!target) {
+      throw new NotFoundError("User not found");
+    }
+
+    if (await BlockService.isBlockedBetween(followerId, targetId)) {
+      throw new ForbiddenError("You can't follow this user");
+    }
+
+    const existing = await Follow.findOne({ follower: followerId, following: targetId });
+    if (existing) {
+      return { follow: existing, created: false };
+    }
+
+    let follow;
+    try {
+      follow = await Follow.create({ follower: followerId, following: targetId });
+    } catch (error) {
+      // Concurrent follow requests hit the unique index
+      if (error.code === 11000) {
+        follow = await Follow.findOne({ follower: followerId, following: targetId });
+        return { follow, created: false };
+      }
+      throw error;
+    }
+
+    await Promise.all([
+      this.invalidateViewerListings(followerId, targetId),
+      this.notifyNewFollower(followerId, targetId),
+    ]);
+
+    return { follow, created: true };
+  }
+
+  /**
+   * Unfollow a user
+   * @param {string|ObjectId} followerId - User who unfollows
+   * @param {string|ObjectId} targetId - User to unfollow
+   * @returns {Promise<boolean>} Whether a relationship was removed
+   */
+  static async unfollow(followerId, targetId) {
+    this.validateTarget(followerId, targetId);
+
+    const result = await Follow.deleteOne({ follower: followerId, following: targetId });
+    if (result.deletedCount > 0) {
+      await this.invalidateViewerListings(followerId, targetId);
+    }
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Drop the target's product listings cached for this viewer, since
+   * followers-only content appears or disappears with the relationship.
+   * @param {string|ObjectId} followerId
+   * @param {string|ObjectId} targetId
+   */
+  static async invalidateViewerListings(followerId, targetId) {
+    await Promise.all([
+      cache.delByPattern(`products:user:${targetId}:${followerId}:*`),
+      cache.delByPattern(`products:user:username:*:${followerId}:*`),
+    ]);
+  }
+
+  /**
+   * @param {string|ObjectId} followerId
+   * @param {string|ObjectId} targetId
+   * @throws {ValidationError} On invalid IDs or self-follow
+   */
+  static validateTarget(followerId, targetId) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      throw new ValidationError("Invalid user ID");
+    }
+    if (followerId.toString() === targetId.toString()) {
+      throw new ValidationError("You cannot follow yourself");
+    }
+  }
+
+  /**
+   * Send the "new follower" notification unless the same follower already
+   * triggered one recently.
+   * @param {string|ObjectId} followerId
+   * @param {string|ObjectId} targetId
+   */
+  static async notifyNewFollower(followerId, targetId) {
+    try {
+      const recent = await Notification.exists({
+        user: targetId,
+        actor: followerId,
+        type: "follow",
+        createdAt: { $gte: new Date(Date.now() - FOLLOW_NOTIFICATION_COOLDOWN_MS) },
+      });
+      if (recent) return;
+
+      const follower = await User.findById(followerId).select("firstName lastName username").lean();
+      const followerName =
+        `${follower?.firstName || ""} ${follower?.lastName || ""}`.trim() ||
+        follower?.username ||
+        "Someone";
+
+      await NotificationService.notify({
+        recipient: targetId,
+        actor: followerId,
+        type: "follow",
+        message: `${followerName} started following you`,
+        data: {
+          followerId,
+          followerUsername: follower?.username,
+        },
+      });
+    } catch (error) {
+      logger.error(`Failed to send follow notification to user ${targetId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @param {string|ObjectId} viewerId
+   * @param {string|ObjectId} targetId
+   * @returns {Promise<boolean>}
+   */
+  static async isFollowing(viewerId, targetId) {
+    if (!viewerId || !targetId) return false;
+    return Boolean(await Follow.exists({ follower: viewerId, following: targetId }));
+  }
+
+  /**
+   * Follower and following counts of a user
+   * @param {string|ObjectId} userId
+   * @returns {Promise<Object>} { followers, following }
+   */
+  static async getCounts(userId) {
+    const [followers, following] = await Promise.all([
+      Follow.countDocuments({ following: userId }),
+      Follow.countDocuments({ follower: userId }),
+    ]);
+    return { followers, following };
+  }
+
+  /**
+   * Counts plus whether the viewer follows the user. Counts stay visible on
+   * restricted profiles.
+   * @param {Object|null} viewer - Authenticated user or null
+   * @param {string|ObjectId} userId
+   * @returns {Promise<Object>} { isFollowing, counts }
+   * @throws {ValidationError|NotFoundError}
+   */
+  static async getFollowStatus(viewer, userId) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      throw new ValidationError("Invalid user ID");
+    }
+    if (!(await User.exists({ _id: userId }))) {
+      throw new NotFoundError("User not found");
+    }
+
+    const [counts, isFollowing] = await Promise.all([
+      this.getCounts(userId),
+      viewer ? this.isFollowing(viewer._id, userId) : false,
+    ]);
+    return { isFollowing, counts };
+  }
+
+  /**
+   * Paginated list of a user's followers
+   * @param {string|ObjectId} userId
+   * @param {Object} [options] - { page, limit }
+   * @returns {Promise<Object>} { users, pagination }
+   */
+  static async getFollowers(userId, options = {}) {
+    return this.listRelations({ following: userId }, "follower", options);
+  }
+
+  /**
+   * Paginated list of the users someone follows
+   * @param {string|ObjectId} userId
+   * @param {Object} [options] - { page, limit }
+   * @returns {Promise<Object>} { users, pagination }
+   */
+  static async getFollowing(userId, options = {}) {
+    return this.listRelations({ follower: userId }, "following", options);
+  }
+
+  static async listRelations(query, populateField, { page = 1, limit = 20 } = {}) {
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const [follows, total] = await Promise.all([
+      Follow.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate(populateField, FOLLOW_USER_FIELDS)
+        .lean(),
+      Follow.countDocuments(query),
+    ]);
+
+    const users = follows
+      .filter((follow) => follow[populateField])
+      .map((follow) => ({ ...follow[populateField], followedAt: follow.createdAt }));
+
+    return {
+      users,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    };
+  }
+
+  /**
+   * Relationship between a viewer and a profile owner, used to resolve
+   * "public" / "followers" / "private" privacy levels.
+   * @param {Object|null} viewer - Authenticated user (req.user) or null
+   * @param {string|ObjectId} ownerId - Profile owner
+   * @returns {Promise<Object>} { isOwner, isAdmin, isFollower }
+   */
+  static async getViewerContext(viewer, ownerId) {
+    const isOwner = Boolean(viewer && viewer._id.toString() === ownerId.toString());
+    const isAdmin = viewer?.role === "admin";
+    const isFollower =
+      !isOwner && viewer ? await this.isFollowing(viewer._id, ownerId) : false;
+
+    return { isOwner, isAdmin, isFollower };
+  }
+
+  /**
+   * Whether a viewer may see content protected by a privacy level
+   * @param {string} level - "public", "followers" or "private"
+   * @param {Object} context - Result of getViewerContext()
+   * @returns {boolean}
+   */
+  static canView(level = "public", context) {
+    if (context.isOwner || context.isAdmin) return true;
+    if (level === "followers") return context.isFollower;
+    if (level === "private") return false;
+    return true;
+  }
+
+  /**
+   * Load a user and throw unless the viewer may see the given privacy setting.
+   * Every endpoint that lists a user's profile content goes through here.
+   * Profiles hidden by user reports are closed to everyone but the user and admins.
+   * @param {Object|null} viewer - Authenticated user or null
+   * @param {string|ObjectId} ownerId - Profile owner
+   * @param {string} setting - "profileVisibility" or "activityVisibility"
+   * @returns {Promise<Object>} { owner, context }
+   * @throws {NotFoundError|ForbiddenError}
+   */
+  static async assertCanView(viewer, ownerId, setting) {
+    if (!mongoose.Types.ObjectId.isValid(ownerId)) {
+      throw new ValidationError("Invalid user ID");
+    }
+
+    const owner = await User.findById(ownerId).select("privacySettings hiddenByReports").lean();
+    if (!owner) {
+      throw new NotFoundError("User not found");
+    }
+
+    const context = await this.getViewerContext(viewer, ownerId);
+    if (owner.hiddenByReports && !context.isOwner && !context.isAdmin) {
+      throw new ForbiddenError("This profile is under review");
+    }
+
+    const level = owner.privacySettings?.[setting] || "public";
+    if (!this.canView(level, context)) {
+      throw new ForbiddenError(
+        level === "followers" ? "Only followers can see this" : "This information is private"
+      );
+    }
+
+    return { owner, context };
+  }
+}
+
+export default FollowService;
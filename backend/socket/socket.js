@@ -3,6 +3,7 @@ import { createAdapter } from "@socket.io/redis-adapter";
 import Redis from "ioredis";
 import logger from "../utils/logging/logger.js";
 import { verifyAccessToken } from "../utils/auth/jwt.utils.js";
+import MessageService from "../services/message/message.service.js";
 
 // Redis client for Socket.io pub/sub
 const pubClient = new Redis({
@@ -128,6 +129,24 @@ export const initializeSocketIO = (httpServer) => {
       }
     });
 
+    // Typing indicators for direct messages, relayed to the other participant
+    socket.on("message:typing", async ({ conversationId, isTyping } = {}) => {
+      try {
+        if (socket.isAnonymous || !conversationId) return;
+
+        const recipientId = await MessageService.getTypingRecipient(socket.userId, conversationId);
+        if (!recipientId) return;
+
+        io.to(`user:${recipientId}`).emit("message:typing", {
+          conversationId,
+          userId: socket.userId,
+          isTyping: Boolean(isTyping),
+        });
+      } catch (error) {
+        logger.error(`Error in message:typing: ${error.message}`);
+      }
+    });
+
     // Handle disconnection
     socket.on("disconnect", () => {
       // Only log authenticated user disconnections to reduce noise
@@ -31,6 +31,13 @@ export const generateEmailToken = (userId) => {
   });
 };
 
+// Generate Password Reset Token
+export const generatePasswordResetToken = (userId) => {
+  return jwt.sign({ id: userId }, process.env.JWT_RESET_SECRET, {
+    expiresIn: "1h", // 1 hour
+  });
+};
+
 // Verify Access Token
 export const verifyAccessToken = (token) => {
   return new Promise((resolve, reject) => {
@@ -70,3 +77,117 @@ export const verifyEmailToken = (token) => {
     });
   });
 };
+
+// Two-factor challenge tokens are signed with their own secret so they can
+// never be accepted as access tokens
+const getTwoFactorSecret = () =>
+  process.env.JWT_TWO_FACTOR_SECRET ||
+  (process.env.JWT_ACCESS_SECRET && `${process.env.JWT_ACCESS_SECRET}:2fa`);
+
+// Generate Two-Factor Challenge Token (issued after the first factor succeeds)
+export const generateTwoFactorChallengeToken = (userId, context = {}) => {
+  const expiresIn = process.env.JWT_TWO_FACTOR_EXPIRES_IN || "5m"; // 5 minutes
+  return jwt.sign({ id: userId, purpose: "2fa_challenge", ...context }, getTwoFactorSecret(), {
+    expiresIn,
+  });
+};
+
+// Verify Two-Factor Challenge Token
+export const verifyTwoFactorChallengeToken = (token) => {
+  return new Promise((resolve, reject) => {
+    jwt.verify(token, getTwoFactorSecret(), (err, decoded) => {
+      if (err) {
+        return reject(err);
+      }
+      if (decoded.purpose !== "2fa_challenge") {
+        return reject(new Error("Invalid token purpose"));
+      }
+      resolve(decoded);
+    });
+  });
+};
+
+// "This wasn't me" links in login alert emails, signed separately for the same reason
+const getSecurityAlertSecret = () =>
+  process.env.JWT_SECURITY_ALERT_SECRET ||
+  (process.env.JWT_ACCESS_SECRET && `${process.env.JWT_ACCESS_SECRET}:security-alert`);
+
+// Generate Security Alert Token (embedded in new-login alert emails). The jti
+// is stored on the user so the link works only once.
+export const generateSecurityAlertToken = (userId, jti) => {
+  const expiresIn = process.env.JWT_SECURITY_ALERT_EXPIRES_IN || "7d"; // Alerts may be read days later
+  return jwt.sign({ id: userId, jti, purpose: "security_alert" }, getSecurityAlertSecret(), {
+    expiresIn,
+  });
+};
+
+// Verify Security Alert Token
+export const verifySecurityAlertToken = (token) => {
+  return new Promise((resolve, reject) => {
+    jwt.verify(token, getSecurityAlertSecret(), (err, decoded) => {
+      if (err) {
+        return reject(err);
+      }
+      if (decoded.purpose !== "security_alert") {
+        return reject(new Error("Invalid token purpose"));
+      }
+      resolve(decoded);
+    });
+  });
+};
+
+// Passkey ceremony tokens carry the WebAuthn challenge between the options and verify requests
+const getWebAuthnSecret = () =>
+  process.env.JWT_WEBAUTHN_SECRET ||
+  (process.env.JWT_ACCESS_SECRET && `${process.env.JWT_ACCESS_SECRET}:webauthn`);
+
+// Generate WebAuthn Ceremony Token
+export const generateWebAuthnCeremonyToken = (payload) => {
+  const expiresIn = process.env.JWT_WEBAUTHN_EXPIRES_IN || "5m"; // 5 minutes
+  return jwt.sign({ ...payload, purpose: "webauthn_ceremony" }, getWebAuthnSecret(), {
+    expiresIn,
+  });
+};
+
+// Verify WebAuthn Ceremony Token
+export const verifyWebAuthnCeremonyToken = (token) => {
+  return new Promise((resolve, reject) => {
+    jwt.verify(token, getWebAuthnSecret(), (err, decoded) => {
+      if (err) {
+        return reject(err);
+      }
+      if (decoded.purpose !== "webauthn_ceremony") {
+        return reject(new Error("Invalid token purpose"));
+      }
+      resolve(decoded);
+    });
+  });
+};
+
+// OAuth link tokens let a signed-in user start a provider redirect, which can't carry the access token
+const getOAuthLinkSecret = () =>
+  process.env.JWT_OAUTH_LINK_SECRET ||
+  (process.env.JWT_ACCESS_SECRET && `${process.env.JWT_ACCESS_SECRET}:oauth-link`);
+
+// Generate OAuth Link Token
+export const generateOAuthLinkToken = (userId, provider) => {
+  const expiresIn = process.env.JWT_OAUTH_LINK_EXPIRES_IN || "5m"; // 5 minutes
+  return jwt.sign({ id: userId, provider, purpose: "oauth_link" }, getOAuthLinkSecret(), {
+    expiresIn,
+  });
+};
+
+// Verify OAuth Link Token
+export const verifyOAuthLinkToken = (token) => {
+  return new Promise((resolve, reject) => {
+    jwt.verify(token, getOAuthLinkSecret(), (err, decoded) => {
+      if (err) {
+        return reject(err);
+      }
+      if (decoded.purpose !== "oauth_link") {
+        return reject(new Error("Invalid token purpose"));
+      }
+      resolve(decoded);
+    });
+  });
+};
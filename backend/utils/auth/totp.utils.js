@@ -0,0 +1,102 @@
+// utils/auth/totp.utils.js
+// Time-based one-time passwords (RFC 6238) for authenticator apps, plus
+// helpers for storing the shared secret and recovery codes safely. Code
+// generation and verification are done by otplib.
+
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { generateSecret, generateSync, verifySync } from "otplib";
+
+dotenv.config();
+
+export const TOTP_DIGITS = 6;
+export const TOTP_PERIOD_SECONDS = 30;
+// Accept codes from one step either side to tolerate clock drift
+const TOTP_TOLERANCE_SECONDS = TOTP_PERIOD_SECONDS;
+
+const RECOVERY_CODE_COUNT = 10;
+
+const TOTP_OPTIONS = { digits: TOTP_DIGITS, period: TOTP_PERIOD_SECONDS, algorithm: "sha1" };
+
+// Current 30-second time step
+export const getTotpStep = (timestamp = Date.now()) =>
+  Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+
+// Generate a new random 160-bit secret, base32 encoded
+export const generateTotpSecret = () => generateSecret({ length: 20 });
+
+// Generate the code for a secret at a given time
+export const generateTotp = (secret, timestamp = Date.now()) =>
+  generateSync({ ...TOTP_OPTIONS, secret, epoch: Math.floor(timestamp / 1000) });
+
+/**
+ * Check a code against the secret.
+ * Returns the matching time step so callers can refuse to accept the same
+ * code twice, or null when the code does not match.
+ */
+export const verifyTotp = (secret, code, timestamp = Date.now()) => {
+  const normalized = String(code || "").replace(/\s+/g, "");
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const result = verifySync({
+    ...TOTP_OPTIONS,
+    secret,
+    token: normalized,
+    epoch: Math.floor(timestamp / 1000),
+    epochTolerance: TOTP_TOLERANCE_SECONDS,
+  });
+  return result.valid ? result.timeStep : null;
+};
+
+// otpauth:// URI that authenticator apps import, usually via a QR code
+export const buildOtpAuthUri = ({ secret, accountName, issuer = process.env.TOTP_ISSUER || "Product Bazar" }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// --- Secret storage ---
+
+const getEncryptionKey = () => {
+  const keyMaterial = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_ACCESS_SECRET;
+  if (!keyMaterial) {
+    throw new Error("TWO_FACTOR_ENCRYPTION_KEY environment variable is not set");
+  }
+  return crypto.createHash("sha256").update(keyMaterial).digest();
+};
+
+// Encrypt a TOTP secret for storage (AES-256-GCM, "iv.tag.ciphertext")
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64")).join(".");
+};
+
+export const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split(".").map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+// --- Recovery codes ---
+
+// Normalize user input so "abcd-efgh", "ABCD EFGH" and "abcdefgh" all match
+const normalizeRecoveryCode = (code) => String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+export const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+
+// Generate a fresh set of one-time recovery codes, formatted "xxxx-xxxx"
+export const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) =>
+  Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex"); // 10 hex characters
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
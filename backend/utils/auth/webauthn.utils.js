@@ -0,0 +1,141 @@
+// utils/auth/webauthn.utils.js
+// WebAuthn (passkey) ceremony verification, done by @simplewebauthn/server.
+// This module adapts its results to how passkeys are stored on the user and
+// turns its errors into WebAuthnError. Attestation is requested as "none";
+// challenge, origin, RP ID, flags, signature and counter are all checked.
+
+import crypto from "crypto";
+import dotenv from "dotenv";
+import {
+  verifyRegistrationResponse as verifyRegistration,
+  verifyAuthenticationResponse as verifyAuthentication,
+} from "@simplewebauthn/server";
+import { decodeCredentialPublicKey, cose } from "@simplewebauthn/server/helpers";
+
+dotenv.config();
+
+export const WEBAUTHN_TIMEOUT_MS = 60 * 1000;
+
+// COSE algorithm identifiers we accept, in order of preference
+export const COSE_ALG = { ES256: -7, EdDSA: -8, RS256: -257 };
+export const SUPPORTED_ALGORITHMS = [COSE_ALG.ES256, COSE_ALG.EdDSA, COSE_ALG.RS256];
+
+export class WebAuthnError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WebAuthnError";
+  }
+}
+
+/**
+ * Relying party settings. The RP ID defaults to the client's hostname and
+ * the allowed origins to the client URL.
+ */
+export const getRelyingParty = () => {
+  const clientUrl = new URL(process.env.CLIENT_URL || "http://localhost:3000");
+  const origins = process.env.WEBAUTHN_ORIGINS
+    ? process.env.WEBAUTHN_ORIGINS.split(",").map((origin) => origin.trim())
+    : [clientUrl.origin];
+
+  return {
+    id: process.env.WEBAUTHN_RP_ID || clientUrl.hostname,
+    name: process.env.WEBAUTHN_RP_NAME || "Product Bazar",
+    origins,
+  };
+};
+
+export const generateChallenge = () => crypto.randomBytes(32).toString("base64url");
+
+export const toBase64Url = (buffer) => Buffer.from(buffer).toString("base64url");
+
+// The library expects the full PublicKeyCredential JSON; older clients only sent id
+const toResponseJSON = (credential) => {
+  if (!credential || typeof credential !== "object" || !credential.response) {
+    throw new WebAuthnError("Missing passkey response");
+  }
+  return {
+    ...credential,
+    rawId: credential.rawId || credential.id,
+    type: credential.type || "public-key",
+    clientExtensionResults: credential.clientExtensionResults || {},
+  };
+};
+
+// Run a library verification, reporting any failure as a WebAuthnError
+const runVerification = async (verify) => {
+  let result;
+  try {
+    result = await verify();
+  } catch (error) {
+    throw new WebAuthnError(error.message);
+  }
+  if (!result.verified) {
+    throw new WebAuthnError("Passkey response could not be verified");
+  }
+  return result;
+};
+
+/**
+ * Verify a registration (navigator.credentials.create) response
+ * @param {Object} params - { credential, expectedChallenge, requireUserVerification }
+ * @returns {Promise<Object>} { credentialId, publicKey, algorithm, signCount, transports, backedUp, userVerified }
+ */
+export const verifyRegistrationResponse = async ({ credential, expectedChallenge, requireUserVerification = false }) => {
+  const rp = getRelyingParty();
+  const { registrationInfo } = await runVerification(() =>
+    verifyRegistration({
+      response: toResponseJSON(credential),
+      expectedChallenge,
+      expectedOrigin: rp.origins,
+      expectedRPID: rp.id,
+      requireUserVerification,
+      supportedAlgorithmIDs: SUPPORTED_ALGORITHMS,
+    })
+  );
+
+  const { credential: created, credentialBackedUp, userVerified } = registrationInfo;
+  return {
+    credentialId: created.id,
+    publicKey: toBase64Url(created.publicKey),
+    algorithm: decodeCredentialPublicKey(created.publicKey).get(cose.COSEKEYS.alg),
+    signCount: created.counter,
+    transports: Array.isArray(created.transports) ? created.transports.map(String) : [],
+    backedUp: credentialBackedUp,
+    userVerified,
+  };
+};
+
+/**
+ * Verify an authentication (navigator.credentials.get) response against a stored passkey
+ * @param {Object} params - { credential, expectedChallenge, storedPasskey: { credentialId, publicKey, signCount, transports }, requireUserVerification }
+ * @returns {Promise<Object>} { signCount, userVerified, backedUp }
+ */
+export const verifyAuthenticationResponse = async ({
+  credential,
+  expectedChallenge,
+  storedPasskey,
+  requireUserVerification = false,
+}) => {
+  const rp = getRelyingParty();
+  const { authenticationInfo } = await runVerification(() =>
+    verifyAuthentication({
+      response: toResponseJSON(credential),
+      expectedChallenge,
+      expectedOrigin: rp.origins,
+      expectedRPID: rp.id,
+      credential: {
+        id: storedPasskey.credentialId,
+        publicKey: Buffer.from(storedPasskey.publicKey, "base64url"),
+        counter: storedPasskey.signCount || 0,
+        transports: storedPasskey.transports,
+      },
+      requireUserVerification,
+    })
+  );
+
+  return {
+    signCount: authenticationInfo.newCounter,
+    userVerified: authenticationInfo.userVerified,
+    backedUp: authenticationInfo.credentialBackedUp,
+  };
+};
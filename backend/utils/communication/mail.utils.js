@@ -3,6 +3,7 @@
 import nodemailer from "nodemailer";
 import dotenv from "dotenv";
 import winston from "winston";
+import crypto from "crypto";
 
 dotenv.config();
 
@@ -81,6 +82,10 @@ export const verifyConnection = async () => {
   }
 };
 
+// Escape user-supplied text (names, titles, messages) before putting it in email HTML
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
 // Flexible Email Sending Function
 export const sendEmail = async (options) => {
   const {
@@ -88,6 +93,7 @@ export const sendEmail = async (options) => {
     subject,
     text,
     html,
+    headers,
     from = '"ProductBazar" <noreply@productbazar.com>',
   } = options;
 
@@ -103,6 +109,7 @@ export const sendEmail = async (options) => {
       subject,
       text,
       html,
+      ...(headers && { headers }),
     };
 
     // Send email
@@ -185,6 +192,7 @@ const createEmailTemplate = (content, options = {}) => {
     accentColor = "#DDA0DD",
     textColor = "#1A202C",
     subtleColor = "#718096",
+    unsubscribeUrl = `${process.env.CLIENT_URL}/unsubscribe`,
   } = options;
 
   return `
@@ -1034,9 +1042,7 @@ const createEmailTemplate = (content, options = {}) => {
           <div class="divider" style="margin: 32px 0; height: 1px;"></div>
           <p style="margin: 0; color: ${subtleColor}; font-size: 13px; line-height: 1.6; font-weight: 400;">
             © ${new Date().getFullYear()} <strong>Product Bazar</strong>. All rights reserved.<br>
-            <a href="${
-              process.env.CLIENT_URL
-            }/unsubscribe" style="color: ${subtleColor}; text-decoration: none; font-weight: 500; border-bottom: 1px solid transparent; transition: all 0.3s ease;">Unsubscribe</a> • 
+            <a href="${unsubscribeUrl}" style="color: ${subtleColor}; text-decoration: none; font-weight: 500; border-bottom: 1px solid transparent; transition: all 0.3s ease;">Unsubscribe</a> • 
             <a href="${
               process.env.CLIENT_URL
             }/privacy" style="color: ${subtleColor}; text-decoration: none; font-weight: 500; border-bottom: 1px solid transparent; transition: all 0.3s ease;">Privacy Policy</a> • 
@@ -1673,12 +1679,24 @@ export const sendProductFeaturedEmail = async (
 };
 
 // Weekly Digest Email
+// options.period switches the copy between "daily" and "weekly" digests;
+// options.notifications and options.interestProducts add the personal sections.
 export const sendWeeklyDigestEmail = async (
   email,
   userName,
   weeklyStats,
-  featuredProducts
+  featuredProducts,
+  options = {}
 ) => {
+  const {
+    period = "weekly",
+    notifications = [],
+    interestProducts = [],
+    unsubscribeLink = null,
+  } = options;
+  const periodLabel = period === "daily" ? "Daily" : "Weekly";
+  const periodNoun = period === "daily" ? "today" : "this week";
+
   try {
     if (!email) {
       logger.error(
@@ -1687,7 +1705,7 @@ export const sendWeeklyDigestEmail = async (
       return { success: false, error: "No email address provided" };
     }
 
-    logger.info(`Sending weekly digest email to: ${email}`);
+    logger.info(`Sending ${period} digest email to: ${email}`);
 
     const content = `
       <div style="text-align: center; margin-bottom: 32px;">
@@ -1695,13 +1713,42 @@ export const sendWeeklyDigestEmail = async (
           ${getSVGIcon('trending', 32, '#ffffff')}
         </div>
         <h1 style="color: #2D3748; font-size: 32px; font-weight: 700; margin: 0 0 16px 0; line-height: 1.2;">
-          Your Weekly Digest
+          Your ${periodLabel} Digest
         </h1>
         <p style="color: #718096; font-size: 18px; margin: 0; max-width: 400px; margin: 0 auto;">
-          Here's what happened in your Product Bazar community this week.
+          Hi ${escapeHtml(userName || "there")}, here's what happened in your Product Bazar community ${periodNoun}.
         </p>
       </div>
 
+      ${
+        notifications.length > 0
+          ? `
+        <div class="card">
+          <h2 style="color: #2D3748; font-size: 24px; font-weight: 600; margin: 0 0 20px 0; text-align: center; display: flex; align-items: center; justify-content: center; gap: 8px;">
+            ${getSVGIcon('mail', 24, '#2D3748')} Activity You Missed
+          </h2>
+          ${notifications
+            .slice(0, 10)
+            .map(
+              (notification) => `
+            <div style="border-bottom: 1px solid #E2E8F0; padding: 12px 0;">
+              <p style="color: #2D3748; font-size: 15px; margin: 0;">
+                ${escapeHtml(notification.message)}
+              </p>
+            </div>
+          `
+            )
+            .join("")}
+          <div style="text-align: center; margin: 24px 0 0 0;">
+            <a href="${process.env.CLIENT_URL}/notifications" class="btn btn-secondary">
+              View All Notifications
+            </a>
+          </div>
+        </div>
+      `
+          : ""
+      }
+
       ${
         weeklyStats
           ? `
@@ -1748,7 +1795,7 @@ export const sendWeeklyDigestEmail = async (
           ? `
         <div class="card">
           <h2 style="color: #2D3748; font-size: 24px; font-weight: 600; margin: 0 0 20px 0; text-align: center; display: flex; align-items: center; justify-content: center; gap: 8px;">
-            ${getSVGIcon('trending', 24, '#2D3748')} Trending This Week
+            ${getSVGIcon('trending', 24, '#2D3748')} Trending ${period === "daily" ? "Today" : "This Week"}
           </h2>
           
           ${featuredProducts
@@ -1758,13 +1805,11 @@ export const sendWeeklyDigestEmail = async (
             <div style="border: 1px solid #E2E8F0; border-radius: 8px; padding: 16px; margin: 12px 0; background: #FAFAFA;">
               <div style="display: flex; align-items: center; gap: 12px;">
                 <div style="width: 40px; height: 40px; background: linear-gradient(135deg, #8A2BE2 0%, #9932CC 100%); border-radius: 8px; display: flex; align-items: center; justify-content: center;">
-                  <span style="color: white; font-weight: 600;">${product.title.charAt(
-                    0
-                  )}</span>
+                  <span style="color: white; font-weight: 600;">${escapeHtml(product.title.charAt(0))}</span>
                 </div>
                 <div style="flex: 1;">
                   <h4 style="color: #2D3748; font-size: 16px; font-weight: 600; margin: 0 0 4px 0;">
-                    ${product.title}
+                    ${escapeHtml(product.title)}
                   </h4>
                   <p style="color: #718096; font-size: 14px; margin: 0;">
                     ${product.upvotes || 0} upvotes • ${
@@ -1790,6 +1835,35 @@ export const sendWeeklyDigestEmail = async (
           : ""
       }
 
+      ${
+        interestProducts.length > 0
+          ? `
+        <div class="card">
+          <h2 style="color: #2D3748; font-size: 24px; font-weight: 600; margin: 0 0 20px 0; text-align: center; display: flex; align-items: center; justify-content: center; gap: 8px;">
+            ${getSVGIcon('lightbulb', 24, '#2D3748')} New In Your Interests
+          </h2>
+          ${interestProducts
+            .slice(0, 5)
+            .map(
+              (product) => `
+            <div style="border: 1px solid #E2E8F0; border-radius: 8px; padding: 16px; margin: 12px 0; background: #FAFAFA;">
+              <a href="${process.env.CLIENT_URL}/product/${encodeURIComponent(product.slug)}" style="text-decoration: none;">
+                <h4 style="color: #2D3748; font-size: 16px; font-weight: 600; margin: 0 0 4px 0;">
+                  ${escapeHtml(product.title)}
+                </h4>
+              </a>
+              <p style="color: #718096; font-size: 14px; margin: 0;">
+                ${escapeHtml(product.tagline)}
+              </p>
+            </div>
+          `
+            )
+            .join("")}
+        </div>
+      `
+          : ""
+      }
+
       <div style="background: linear-gradient(135deg, #F7FAFC 0%, #E6FFFA 100%); padding: 24px; border-radius: 12px; margin: 24px 0; text-align: center;">
         <h3 style="color: #2D3748; font-size: 20px; font-weight: 600; margin: 0 0 12px 0; display: flex; align-items: center; justify-content: center; gap: 8px;">
           ${getSVGIcon('rocket', 20, '#2D3748')} Keep Building & Discovering
@@ -1804,19 +1878,26 @@ export const sendWeeklyDigestEmail = async (
     `;
 
     const htmlContent = createEmailTemplate(content, {
-      preheader: `Your weekly Product Bazar digest - trending products and your stats inside!`,
+      preheader: `Your ${period} Product Bazar digest - trending products and your stats inside!`,
+      ...(unsubscribeLink && { unsubscribeUrl: unsubscribeLink }),
     });
 
     const result = await sendEmail({
       to: email,
-      subject: `Your Weekly Product Bazar Digest`,
+      subject: `Your ${periodLabel} Product Bazar Digest`,
       html: htmlContent,
       from: `"${process.env.EMAIL_FROM_NAME || "Product Bazar Digest"}" <${
         process.env.EMAIL_FROM || "digest@productbazar.com"
       }>`,
+      ...(unsubscribeLink && {
+        headers: {
+          "List-Unsubscribe": `<${unsubscribeLink}>`,
+          "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+        },
+      }),
     });
 
-    logger.info(`Weekly digest email sent successfully to: ${email}`);
+    logger.info(`${periodLabel} digest email sent successfully to: ${email}`);
     return { success: true };
   } catch (error) {
     logger.error(`Failed to send weekly digest email: ${error.message}`, {
@@ -1826,6 +1907,524 @@ export const sendWeeklyDigestEmail = async (
   }
 };
 
+// Job Expiry Reminder Email
+// extendUrl is a one-click signed link that pushes expiresAt out by 30 days.
+export const sendJobExpiryReminderEmail = async (
+  email,
+  userName,
+  job,
+  extendUrl
+) => {
+  try {
+    if (!email) {
+      logger.error(
+        "Cannot send job expiry reminder email: No email address provided"
+      );
+      return { success: false, error: "No email address provided" };
+    }
+
+    logger.info(`Sending job expiry reminder email to: ${email}`);
+
+    const expiryDate = new Date(job.expiresAt).toLocaleDateString("en-US", {
+      weekday: "long",
+      month: "long",
+      day: "numeric",
+      year: "numeric",
+    });
+
+    const content = `
+      <div style="text-align: center; margin-bottom: 32px;">
+        <div style="width: 80px; height: 80px; background: linear-gradient(135deg, #8A2BE2 0%, #9932CC 100%); border-radius: 50%; margin: 0 auto 24px; display: flex; align-items: center; justify-content: center;">
+          ${getSVGIcon('alert', 32, '#ffffff')}
+        </div>
+        <h1 style="color: #2D3748; font-size: 28px; font-weight: 700; margin: 0 0 16px 0; line-height: 1.2;">
+          Your job posting expires soon
+        </h1>
+        <p style="color: #718096; font-size: 18px; margin: 0 auto; max-width: 420px;">
+          Hi ${escapeHtml(userName)}, "${escapeHtml(job.title)}" will stop accepting applications on ${expiryDate}.
+        </p>
+      </div>
+
+      <div class="card">
+        <p style="color: #4A5568; font-size: 16px; margin: 0 0 20px 0; line-height: 1.6; text-align: center;">
+          Still hiring? Keep the posting open for another 30 days with one click.
+        </p>
+        <div style="text-align: center; margin: 24px 0;">
+          <a href="${extendUrl}" class="btn">
+            Extend 30 Days
+          </a>
+        </div>
+        <div style="text-align: center;">
+          <a href="${process.env.CLIENT_URL}/jobs/${job.slug}" class="btn btn-secondary">
+            View Posting
+          </a>
+        </div>
+      </div>
+
+      <p style="color: #718096; font-size: 14px; text-align: center; margin: 24px 0 0 0;">
+        If the position is filled, no action is needed. The posting will close automatically and pending applicants will be notified.
+      </p>
+    `;
+
+    const htmlContent = createEmailTemplate(content, {
+      preheader: `"${escapeHtml(job.title)}" expires on ${expiryDate}. Extend it with one click.`,
+    });
+
+    await sendEmail({
+      to: email,
+      subject: `Your job posting "${job.title}" expires soon`,
+      html: htmlContent,
+      from: `"${process.env.EMAIL_FROM_NAME || "Product Bazar"}" <${
+        process.env.EMAIL_FROM || "notifications@productbazar.com"
+      }>`,
+    });
+
+    logger.info(`Job expiry reminder email sent successfully to: ${email}`);
+    return { success: true };
+  } catch (error) {
+    logger.error(`Failed to send job expiry reminder email: ${error.message}`, {
+      stack: error.stack,
+    });
+    return { success: false, error: error.message };
+  }
+};
+
+// Job Closed Email (sent to applicants whose application was still open)
+export const sendJobClosedEmail = async (email, userName, job, reason = "closed") => {
+  try {
+    if (!email) {
+      logger.error("Cannot send job closed email: No email address provided");
+      return { success: false, error: "No email address provided" };
+    }
+
+    logger.info(`Sending job closed email to: ${email}`);
+
+    const companyName = job.company?.name ? ` at ${escapeHtml(job.company.name)}` : "";
+    const headline =
+      reason === "filled"
+        ? "This position has been filled"
+        : "This job posting has closed";
+    const message =
+      reason === "filled"
+        ? `The ${escapeHtml(job.title)} position${companyName} has been filled. Thank you for your interest and the time you put into your application.`
+        : `The ${escapeHtml(job.title)} posting${companyName} is no longer accepting applications. The employer may still review applications received before it closed.`;
+
+    const content = `
+      <div style="text-align: center; margin-bottom: 32px;">
+        <h1 style="color: #2D3748; font-size: 28px; font-weight: 700; margin: 0 0 16px 0; line-height: 1.2;">
+          ${headline}
+        </h1>
+        <p style="color: #718096; font-size: 18px; margin: 0 auto; max-width: 420px;">
+          Hi ${escapeHtml(userName)}, ${message}
+        </p>
+      </div>
+
+      <div class="card" style="text-align: center;">
+        <p style="color: #4A5568; font-size: 16px; margin: 0 0 20px 0; line-height: 1.6;">
+          New roles are posted every day. Keep exploring opportunities that match your skills.
+        </p>
+        <a href="${process.env.CLIENT_URL}/jobs" class="btn">
+          Browse Jobs
+        </a>
+      </div>
+    `;
+
+    const htmlContent = createEmailTemplate(content, {
+      preheader: `Update on your application for ${escapeHtml(job.title)}`,
+    });
+
+    await sendEmail({
+      to: email,
+      subject: `Update on your application: ${job.title}`,
+      html: htmlContent,
+      from: `"${process.env.EMAIL_FROM_NAME || "Product Bazar"}" <${
+        process.env.EMAIL_FROM || "notifications@productbazar.com"
+      }>`,
+    });
+
+    logger.info(`Job closed email sent successfully to: ${email}`);
+    return { success: true };
+  } catch (error) {
+    logger.error(`Failed to send job closed email: ${error.message}`, {
+      stack: error.stack,
+    });
+    return { success: false, error: error.message };
+  }
+};
+
+// New Login Alert Email (sent when an account is accessed from an unrecognized device)
+export const sendNewLoginAlertEmail = async (email, userName, login, secureAccountUrl) => {
+  try {
+    if (!email) {
+      logger.error("Cannot send new login alert email: No email address provided");
+      return { success: false, error: "No email address provided" };
+    }
+
+    logger.info(`Sending new login alert email to: ${maskEmail(email)}`);
+
+    const signedInAt = new Date(login.time).toLocaleString("en-US", {
+      dateStyle: "long",
+      timeStyle: "short",
+      timeZone: "UTC",
+    });
+    const rows = [
+      ["Device", login.device],
+      ["Location", login.location || "Unknown"],
+      ["IP address", login.ipAddress],
+      ["Time", `${signedInAt} UTC`],
+    ]
+      .map(
+        ([label, value]) => `
+          <tr>
+            <td style="color: #718096; font-size: 14px; padding: 6px 16px 6px 0;">${label}</td>
+            <td style="color: #2D3748; font-size: 14px; font-weight: 600; padding: 6px 0;">${escapeHtml(value)}</td>
+          </tr>`
+      )
+      .join("");
+
+    const content = `
+      <div style="text-align: center; margin-bottom: 32px;">
+        <div style="width: 80px; height: 80px; background: linear-gradient(135deg, #8A2BE2 0%, #9932CC 100%); border-radius: 50%; margin: 0 auto 24px; display: flex; align-items: center; justify-content: center;">
+          ${getSVGIcon('shield', 32, '#ffffff')}
+        </div>
+        <h1 style="color: #2D3748; font-size: 28px; font-weight: 700; margin: 0 0 16px 0; line-height: 1.2;">
+          New sign-in to your account
+        </h1>
+        <p style="color: #718096; font-size: 18px; margin: 0 auto; max-width: 420px;">
+          Hi ${escapeHtml(userName)}, your Product Bazar account was just accessed from a device we haven't seen before.
+        </p>
+      </div>
+
+      <div class="card">
+        <table style="margin: 0 auto 24px auto; border-collapse: collapse;">${rows}
+        </table>
+        <p style="color: #4A5568; font-size: 16px; margin: 0 0 20px 0; line-height: 1.6; text-align: center;">
+          If this was you, there's nothing to do. If it wasn't, secure your account now. We'll sign out every device and ask you to choose a new password.
+        </p>
+        <div style="text-align: center; margin: 24px 0;">
+          <a href="${secureAccountUrl}" class="btn">
+            This wasn't me
+          </a>
+        </div>
+      </div>
+
+      <p style="color: #718096; font-size: 14px; text-align: center; margin: 24px 0 0 0;">
+        You're receiving this because login alerts are turned on in your security settings.
+      </p>
+    `;
+
+    const htmlContent = createEmailTemplate(content, {
+      preheader: `New sign-in from ${login.device}`,
+    });
+
+    await sendEmail({
+      to: email,
+      subject: "New sign-in to your Product Bazar account",
+      html: htmlContent,
+      from: `"${process.env.EMAIL_FROM_NAME || "Product Bazar Security"}" <${
+        process.env.EMAIL_FROM || "security@productbazar.com"
+      }>`,
+    });
+
+    logger.info(`New login alert email sent successfully to: ${maskEmail(email)}`);
+    return { success: true };
+  } catch (error) {
+    logger.error(`Failed to send new login alert email: ${error.message}`, {
+      stack: error.stack,
+    });
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Tell a maker about a moderation decision on their product
+ * @param {string} email
+ * @param {string} userName
+ * @param {Object} product - { name, slug }
+ * @param {string} decision - "approved", "rejected" or "banned"
+ * @param {string} [reason] - Reviewer's reason, shown for rejections and bans
+ */
+export const sendProductModerationEmail = async (email, userName, product, decision, reason = "") => {
+  try {
+    if (!email) {
+      logger.error("Cannot send product moderation email: No email address provided");
+      return { success: false, error: "No email address provided" };
+    }
+
+    logger.info(`Sending product ${decision} email to: ${maskEmail(email)}`);
+
+    const productName = escapeHtml(product.name);
+
+    const copy = {
+      approved: {
+        icon: "rocket",
+        subject: `${product.name} has been approved`,
+        headline: "Your product is approved",
+        message: `<strong>${productName}</strong> passed review and is visible to everyone on Product Bazar.`,
+        action: "View product",
+        url: `${process.env.CLIENT_URL}/product/${product.slug}`,
+      },
+      rejected: {
+        icon: "alert",
+        subject: `${product.name} needs changes`,
+        headline: "Your product needs changes",
+        message: `<strong>${productName}</strong> didn't pass review and is hidden from listings and search. Update it and it will be reviewed again.`,
+        action: "Review your product",
+        url: `${process.env.CLIENT_URL}/product/${product.slug}`,
+      },
+      banned: {
+        icon: "lock",
+        subject: `${product.name} has been removed`,
+        headline: "Your product has been removed",
+        message: `<strong>${productName}</strong> was removed from Product Bazar for breaking our guidelines. Reply to this email if you think this is a mistake.`,
+        action: "Review your product",
+        url: `${process.env.CLIENT_URL}/product/${product.slug}`,
+      },
+    }[decision];
+
+    if (!copy) {
+      return { success: false, error: `Unknown moderation decision: ${decision}` };
+    }
+
+    const reasonBlock = reason
+      ? `
+        <p style="color: #718096; font-size: 14px; margin: 0 0 8px 0; text-transform: uppercase; letter-spacing: 0.05em;">
+          Reviewer notes
+        </p>
+        <p style="color: #2D3748; font-size: 16px; margin: 0 0 24px 0; line-height: 1.6; white-space: pre-line;">${escapeHtml(reason)}</p>`
+      : "";
+
+    const content = `
+      <div style="text-align: center; margin-bottom: 32px;">
+        <div style="width: 80px; height: 80px; background: linear-gradient(135deg, #8A2BE2 0%, #9932CC 100%); border-radius: 50%; margin: 0 auto 24px; display: flex; align-items: center; justify-content: center;">
+          ${getSVGIcon(copy.icon, 32, '#ffffff')}
+        </div>
+        <h1 style="color: #2D3748; font-size: 28px; font-weight: 700; margin: 0 0 16px 0; line-height: 1.2;">
+          ${copy.headline}
+        </h1>
+        <p style="color: #718096; font-size: 18px; margin: 0 auto; max-width: 420px;">
+          Hi ${escapeHtml(userName)}, ${copy.message}
+        </p>
+      </div>
+
+      <div class="card">${reasonBlock}
+        <div style="text-align: center;">
+          <a href="${copy.url}" class="btn">
+            ${copy.action}
+          </a>
+        </div>
+      </div>
+    `;
+
+    const htmlContent = createEmailTemplate(content, {
+      preheader: copy.headline,
+    });
+
+    await sendEmail({
+      to: email,
+      subject: copy.subject,
+      html: htmlContent,
+      from: `"${process.env.EMAIL_FROM_NAME || "Product Bazar"}" <${
+        process.env.EMAIL_FROM || "notifications@productbazar.com"
+      }>`,
+    });
+
+    logger.info(`Product ${decision} email sent successfully to: ${maskEmail(email)}`);
+    return { success: true };
+  } catch (error) {
+    logger.error(`Failed to send product moderation email: ${error.message}`, {
+      stack: error.stack,
+    });
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Tell a candidate their application moved to a new stage
+ * @param {string} email
+ * @param {string} userName
+ * @param {Object} job - { title, slug, company }
+ * @param {Object} application - { _id }
+ * @param {string} stage - Status the application moved to
+ * @param {string} [message] - Poster's note to the candidate
+ */
+export const sendApplicationStageEmail = async (email, userName, job, application, stage, message = "") => {
+  try {
+    if (!email) {
+      logger.error("Cannot send application stage email: No email address provided");
+      return { success: false, error: "No email address provided" };
+    }
+
+    logger.info(`Sending application ${stage.toLowerCase()} email to: ${maskEmail(email)}`);
+
+    const role = `<strong>${escapeHtml(job.title)}</strong>${
+      job.company?.name ? ` at ${escapeHtml(job.company.name)}` : ""
+    }`;
+
+    const copy = {
+      Pending: {
+        icon: "target",
+        headline: "Your application is back in review",
+        message: `Your application for ${role} is waiting for another look from the hiring team.`,
+      },
+      Reviewed: {
+        icon: "lightbulb",
+        headline: "Your application has been reviewed",
+        message: `The hiring team has reviewed your application for ${role}. We'll let you know as soon as there's a next step.`,
+      },
+      Shortlisted: {
+        icon: "star",
+        headline: "You've been shortlisted",
+        message: `Good news: you're on the shortlist for ${role}. Expect the hiring team to reach out about next steps.`,
+      },
+      Rejected: {
+        icon: "mail",
+        headline: "An update on your application",
+        message: `Thank you for applying for ${role}. The hiring team has decided not to move forward with your application this time.`,
+      },
+      Hired: {
+        icon: "rocket",
+        headline: "Congratulations, you got the job!",
+        message: `The hiring team has marked you as hired for ${role}. They'll be in touch with the details.`,
+      },
+    }[stage];
+
+    if (!copy) {
+      return { success: false, error: `No email template for stage: ${stage}` };
+    }
+
+    const messageBlock = message
+      ? `
+        <p style="color: #718096; font-size: 14px; margin: 0 0 8px 0; text-transform: uppercase; letter-spacing: 0.05em;">
+          Message from the hiring team
+        </p>
+        <p style="color: #2D3748; font-size: 16px; margin: 0 0 24px 0; line-height: 1.6; white-space: pre-line;">${escapeHtml(message)}</p>`
+      : "";
+
+    const content = `
+      <div style="text-align: center; margin-bottom: 32px;">
+        <div style="width: 80px; height: 80px; background: linear-gradient(135deg, #8A2BE2 0%, #9932CC 100%); border-radius: 50%; margin: 0 auto 24px; display: flex; align-items: center; justify-content: center;">
+          ${getSVGIcon(copy.icon, 32, '#ffffff')}
+        </div>
+        <h1 style="color: #2D3748; font-size: 28px; font-weight: 700; margin: 0 0 16px 0; line-height: 1.2;">
+          ${copy.headline}
+        </h1>
+        <p style="color: #718096; font-size: 18px; margin: 0 auto; max-width: 420px;">
+          Hi ${escapeHtml(userName)}, ${copy.message}
+        </p>
+      </div>
+
+      <div class="card">${messageBlock}
+        <div style="text-align: center;">
+          <a href="${process.env.CLIENT_URL}/profile/applications/${application._id}" class="btn">
+            View your application
+          </a>
+        </div>
+      </div>
+    `;
+
+    const htmlContent = createEmailTemplate(content, {
+      preheader: copy.headline,
+    });
+
+    await sendEmail({
+      to: email,
+      subject: `${copy.headline}: ${job.title}`,
+      html: htmlContent,
+      from: `"${process.env.EMAIL_FROM_NAME || "Product Bazar"}" <${
+        process.env.EMAIL_FROM || "notifications@productbazar.com"
+      }>`,
+    });
+
+    logger.info(`Application ${stage.toLowerCase()} email sent successfully to: ${maskEmail(email)}`);
+    return { success: true };
+  } catch (error) {
+    logger.error(`Failed to send application stage email: ${error.message}`, {
+      stack: error.stack,
+    });
+    return { success: false, error: error.message };
+  }
+};
+
+// Job Alert Email (new postings matching a saved job search)
+export const sendJobAlertEmail = async (email, userName, alert, jobs, unsubscribeLink = null) => {
+  try {
+    if (!email) {
+      logger.error("Cannot send job alert email: No email address provided");
+      return { success: false, error: "No email address provided" };
+    }
+
+    logger.info(`Sending job alert email to: ${maskEmail(email)}`);
+
+    const headline =
+      jobs.length === 1 ? "A new job matches your search" : `${jobs.length} new jobs match your search`;
+
+    const jobCards = jobs
+      .map((job) => {
+        const details = [job.company?.name, job.locationType, job.jobType, job.experienceLevel]
+          .filter(Boolean)
+          .map(escapeHtml)
+          .join(" • ");
+        return `
+        <a href="${process.env.CLIENT_URL}/jobs/${job.slug}" style="display: block; text-decoration: none; border: 1px solid #E2E8F0; border-radius: 8px; padding: 16px; margin: 12px 0; background: #FAFAFA;">
+          <h4 style="color: #2D3748; font-size: 16px; font-weight: 600; margin: 0 0 4px 0;">${escapeHtml(job.title)}</h4>
+          <p style="color: #718096; font-size: 14px; margin: 0;">${details}</p>
+        </a>`;
+      })
+      .join("");
+
+    const content = `
+      <div style="text-align: center; margin-bottom: 32px;">
+        <div style="width: 80px; height: 80px; background: linear-gradient(135deg, #8A2BE2 0%, #9932CC 100%); border-radius: 50%; margin: 0 auto 24px; display: flex; align-items: center; justify-content: center;">
+          ${getSVGIcon("target", 32, '#ffffff')}
+        </div>
+        <h1 style="color: #2D3748; font-size: 28px; font-weight: 700; margin: 0 0 16px 0; line-height: 1.2;">
+          ${headline}
+        </h1>
+        <p style="color: #718096; font-size: 18px; margin: 0 auto; max-width: 420px;">
+          Hi ${escapeHtml(userName)}, here's what was posted for your saved search <strong>${escapeHtml(alert.name)}</strong>.
+        </p>
+      </div>
+
+      <div class="card">${jobCards}
+        <div style="text-align: center; margin: 24px 0 0 0;">
+          <a href="${process.env.CLIENT_URL}/user/job-alerts" class="btn btn-secondary">
+            Manage job alerts
+          </a>
+        </div>
+      </div>
+    `;
+
+    const htmlContent = createEmailTemplate(content, {
+      preheader: headline,
+      ...(unsubscribeLink && { unsubscribeUrl: unsubscribeLink }),
+    });
+
+    await sendEmail({
+      to: email,
+      subject: jobs.length === 1 ? `New job: ${jobs[0].title}` : `${headline}: ${alert.name}`,
+      html: htmlContent,
+      from: `"${process.env.EMAIL_FROM_NAME || "Product Bazar"}" <${
+        process.env.EMAIL_FROM || "notifications@productbazar.com"
+      }>`,
+      ...(unsubscribeLink && {
+        headers: {
+          "List-Unsubscribe": `<${unsubscribeLink}>`,
+          "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+        },
+      }),
+    });
+
+    logger.info(`Job alert email sent successfully to: ${maskEmail(email)}`);
+    return { success: true };
+  } catch (error) {
+    logger.error(`Failed to send job alert email: ${error.message}`, {
+      stack: error.stack,
+    });
+    return { success: false, error: error.message };
+  }
+};
+
 /**
  * Enhanced email validation utility
  */
@@ -1834,14 +2433,64 @@ export const validateEmail = (email) => {
   return emailRegex.test(email);
 };
 
+const getUnsubscribeSecret = () =>
+  process.env.UNSUBSCRIBE_SECRET || process.env.JWT_EMAIL_VERIFICATION_SECRET;
+
+const signUnsubscribePayload = (payload) =>
+  crypto
+    .createHmac("sha256", getUnsubscribeSecret())
+    .update(payload)
+    .digest("base64url");
+
 /**
- * Generate unsubscribe link with token
+ * Generate unsubscribe link with an HMAC-signed token
+ * The token encodes the email and the preference to turn off
+ * ("all", "digest", an emailNotifications key or "job-alert-<alertId>").
  */
 export const generateUnsubscribeLink = (email, type = "all") => {
-  const token = Buffer.from(`${email}:${type}:${Date.now()}`).toString(
-    "base64"
+  const payload = Buffer.from(`${email}:${type}:${Date.now()}`).toString(
+    "base64url"
   );
-  return `${process.env.CLIENT_URL}/unsubscribe?token=${token}`;
+  const token = `${payload}.${signUnsubscribePayload(payload)}`;
+  const baseUrl = process.env.SERVER_URL || process.env.CLIENT_URL;
+  return `${baseUrl}/api/v1/notifications/unsubscribe?token=${token}`;
+};
+
+/**
+ * Verify an unsubscribe token produced by generateUnsubscribeLink
+ * @returns {{email: string, type: string, issuedAt: number}|null} Decoded payload or null if invalid
+ */
+export const verifyUnsubscribeToken = (token) => {
+  if (!token || typeof token !== "string" || !getUnsubscribeSecret()) {
+    return null;
+  }
+
+  const [payload, signature] = token.split(".");
+  if (!payload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(signUnsubscribePayload(payload));
+  const received = Buffer.from(signature);
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return null;
+  }
+
+  const decoded = Buffer.from(payload, "base64url").toString("utf8");
+  const lastSeparator = decoded.lastIndexOf(":");
+  const typeSeparator = decoded.lastIndexOf(":", lastSeparator - 1);
+  if (typeSeparator <= 0) {
+    return null;
+  }
+
+  return {
+    email: decoded.slice(0, typeSeparator),
+    type: decoded.slice(typeSeparator + 1, lastSeparator),
+    issuedAt: parseInt(decoded.slice(lastSeparator + 1), 10),
+  };
 };
 
 /**
@@ -1887,10 +2536,17 @@ export default {
   sendWelcomeEmail,
   sendProductFeaturedEmail,
   sendWeeklyDigestEmail,
+  sendJobExpiryReminderEmail,
+  sendJobClosedEmail,
+  sendNewLoginAlertEmail,
+  sendProductModerationEmail,
+  sendApplicationStageEmail,
+  sendJobAlertEmail,
   verifyConnection,
   maskEmail,
   validateEmail,
   generateUnsubscribeLink,
+  verifyUnsubscribeToken,
   sendBulkEmails,
   createEmailTemplate,
 };
@@ -293,6 +293,48 @@ export const verifyOTP = async (phone, code) => {
   }
 };
 
+/**
+ * Send a plain text message (alerts, not verification codes).
+ * Returns false instead of throwing so callers can treat SMS as best-effort.
+ */
+export const sendSMS = async (phone, body) => {
+  const normalizedPhone = normalizePhone(phone);
+  if (!normalizedPhone) {
+    logger.warn('Skipping SMS: invalid phone number format');
+    return false;
+  }
+
+  // Development mode
+  if (process.env.NODE_ENV !== 'production' || !twilioClient) {
+    logger.info(`[DEV MODE] SMS to ${normalizedPhone}: ${body}`);
+    return true;
+  }
+
+  if (!process.env.TWILIO_PHONE_NUMBER) {
+    logger.warn('Skipping SMS: TWILIO_PHONE_NUMBER is not configured');
+    return false;
+  }
+
+  try {
+    const message = await retryWithExponentialBackoff(() =>
+      twilioClient.messages.create({
+        to: normalizedPhone,
+        from: process.env.TWILIO_PHONE_NUMBER,
+        body
+      })
+    );
+    logger.info(`SMS sent to ${normalizedPhone}`, { sid: message.sid });
+    return true;
+  } catch (twilioError) {
+    logger.error('Twilio SMS failed:', {
+      error: twilioError.message,
+      code: twilioError.code,
+      phone: normalizedPhone
+    });
+    return false;
+  }
+};
+
 // Cleanup intervals
 setInterval(() => {
   const now = new Date();
@@ -41,6 +41,26 @@ export const SCORING_CONSTANTS = {
     }
   },
   
+  // Stored product trending score, recomputed by TrendingService. Engagement
+  // in the window is weighted, boosted by upvote velocity and for brand new
+  // products, then decayed by age.
+  TRENDING_SCORE: {
+    WINDOW_DAYS: 7,  // Only engagement this recent counts
+    WEIGHTS: {
+      UPVOTES: 3,
+      COMMENTS: 2,
+      VIEWS: 0.5,
+      BOOKMARKS: 2.5
+    },
+    VELOCITY_WEIGHT: 5,  // Multiplier per upvote per day...
+    MAX_VELOCITY_BOOST: 3,  // ...capped at this
+    NEW_PRODUCT_HOURS: 48,
+    NEW_PRODUCT_BOOST: 1.5,
+    HALF_LIFE_HOURS: 72,
+    DECAY_EXPONENT: 1.5,
+    SCORE_MIDPOINT: 50  // Score that maps to 0.5 when scaled to 0-1 for recommendations
+  },
+
   // Minimum thresholds
   THRESHOLDS: {
     MIN_VIEWS: 5,  // Minimum views for quality filtering
@@ -0,0 +1,320 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { ValidationError } from "../logging/error.js";
+
+/**
+ * Keyset ("cursor") pagination shared by list endpoints.
+ *
+ * A cursor holds the sort key values of the last item of a page plus its _id,
+ * which is always appended as a tie-breaker so the order is total. Cursors are
+ * HMAC-signed and bound to a scope (endpoint + sort), so clients can't forge
+ * or replay them against a different listing.
+ */
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+// Counting stops here; larger totals are reported as approximate
+const MAX_EXACT_COUNT = 10000;
+
+const getSecret = () => process.env.CURSOR_SECRET || process.env.JWT_ACCESS_SECRET;
+
+const sign = (body) =>
+  crypto.createHmac("sha256", getSecret()).update(body).digest("base64url");
+
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $o: value.toString() };
+  return value === undefined ? null : value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === "object") {
+    if (value.$d) return new Date(value.$d);
+    if (value.$o) return new mongoose.Types.ObjectId(value.$o);
+  }
+  return value;
+};
+
+const getPath = (doc, path) =>
+  path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+/**
+ * Normalize a Mongoose-style sort ("-createdAt name" or { createdAt: -1 })
+ * into ordered [field, direction] pairs ending with _id.
+ * @param {string|Object} sort
+ * @returns {Array<[string, number]>}
+ */
+export const normalizeSort = (sort = "-createdAt") => {
+  let spec;
+  if (typeof sort === "string") {
+    spec = sort
+      .split(/[\s,]+/)
+      .filter(Boolean)
+      .map((field) => (field.startsWith("-") ? [field.slice(1), -1] : [field, 1]));
+  } else {
+    spec = Object.entries(sort).map(([field, direction]) => [
+      field,
+      direction === -1 || direction === "desc" || direction === "-1" ? -1 : 1,
+    ]);
+  }
+
+  spec = spec.filter(([field]) => field !== "_id");
+  spec.push(["_id", spec.length > 0 ? spec[spec.length - 1][1] : -1]);
+  return spec;
+};
+
+/**
+ * @param {Array<[string, number]>} sortSpec
+ * @returns {Object} Sort object usable by find() and $sort
+ */
+export const toSortObject = (sortSpec) => Object.fromEntries(sortSpec);
+
+/**
+ * Create a signed cursor pointing after the given document
+ * @param {Object} doc - Last item of a page
+ * @param {Array<[string, number]>} sortSpec - Result of normalizeSort()
+ * @param {string} scope - Listing the cursor belongs to
+ * @param {Object} [meta] - Extra JSON state carried to the next page
+ * @returns {string}
+ */
+export const encodeCursor = (doc, sortSpec, scope, meta) => {
+  const payload = {
+    s: scope,
+    v: sortSpec.map(([field]) => encodeValue(getPath(doc, field))),
+    ...(meta && { m: meta }),
+  };
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${body}.${sign(body)}`;
+};
+
+/**
+ * Verify a cursor and return its sort key values and extra state
+ * @param {string} cursor
+ * @param {Array<[string, number]>} sortSpec
+ * @param {string} scope
+ * @returns {Object} { values, meta } with values in sortSpec order
+ * @throws {ValidationError} When the cursor is malformed, tampered with or
+ *   belongs to another listing or sort order
+ */
+export const parseCursor = (cursor, sortSpec, scope) => {
+  const [body, signature] = String(cursor).split(".");
+  if (!body || !signature) {
+    throw new ValidationError("Invalid cursor");
+  }
+
+  const expected = Buffer.from(sign(body));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new ValidationError("Invalid cursor");
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch (error) {
+    throw new ValidationError("Invalid cursor");
+  }
+
+  if (payload.s !== scope || !Array.isArray(payload.v) || payload.v.length !== sortSpec.length) {
+    throw new ValidationError("Cursor does not match this listing");
+  }
+
+  return { values: payload.v.map(decodeValue), meta: payload.m || {} };
+};
+
+/**
+ * Verify a cursor and return the sort key values it holds
+ * @param {string} cursor
+ * @param {Array<[string, number]>} sortSpec
+ * @param {string} scope
+ * @returns {Array} Values in sortSpec order
+ * @throws {ValidationError}
+ */
+export const decodeCursor = (cursor, sortSpec, scope) => parseCursor(cursor, sortSpec, scope).values;
+
+/**
+ * Build the filter selecting documents strictly after the cursor position:
+ * (a < x) OR (a = x AND b < y) OR ... for every key of the sort.
+ * Missing values sort lowest in MongoDB, which null handling mirrors.
+ * @param {Array<[string, number]>} sortSpec
+ * @param {Array} values - Decoded cursor values
+ * @returns {Object}
+ */
+export const buildCursorFilter = (sortSpec, values) => {
+  const branches = [];
+
+  sortSpec.forEach(([field, direction], index) => {
+    const value = values[index];
+    const equalities = {};
+    sortSpec.slice(0, index).forEach(([prevField], prevIndex) => {
+      equalities[prevField] = values[prevIndex];
+    });
+
+    let condition;
+    if (value === null) {
+      // Nothing sorts below null; ascending order continues with non-null values
+      if (direction === -1) return;
+      condition = { $ne: null };
+    } else {
+      condition = direction === -1 ? { $lt: value } : { $gt: value };
+      // Descending past the last non-null value continues with missing ones
+      if (direction === -1 && field !== "_id") {
+        branches.push({ ...equalities, [field]: null });
+      }
+    }
+
+    branches.push({ ...equalities, [field]: condition });
+  });
+
+  return branches.length > 0 ? { $or: branches } : { _id: null };
+};
+
+/**
+ * Scope string for a listing and its sort, so a cursor taken under one sort
+ * order is rejected under another
+ * @param {string} scope - Listing name (e.g. "notifications:<userId>")
+ * @param {Array<[string, number]>} sortSpec
+ * @returns {string}
+ */
+export const getCursorScope = (scope, sortSpec) =>
+  `${scope}|${sortSpec.map(([field, direction]) => `${direction < 0 ? "-" : ""}${field}`).join(",")}`;
+
+/**
+ * Verify a cursor and build the filter for the documents after it
+ * @param {string} cursor
+ * @param {Array<[string, number]>} sortSpec
+ * @param {string} scope - Result of getCursorScope()
+ * @returns {Object}
+ * @throws {ValidationError}
+ */
+export const getCursorFilter = (cursor, sortSpec, scope) =>
+  buildCursorFilter(sortSpec, decodeCursor(cursor, sortSpec, scope));
+
+/**
+ * Read cursor pagination parameters from a request query. `page` is still
+ * honored for clients that haven't switched to cursors yet.
+ * @param {Object} query - req.query
+ * @param {Object} [options] - { defaultLimit, maxLimit }
+ * @returns {Object} { cursor, limit, page, withTotal }
+ */
+export const parseCursorParams = (query = {}, options = {}) => {
+  const { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = options;
+  const cursor = typeof query.cursor === "string" && query.cursor ? query.cursor : null;
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+  const page = cursor ? 1 : Math.max(parseInt(query.page, 10) || 1, 1);
+
+  // Totals are included on the first page unless explicitly turned off
+  const withTotal =
+    query.includeTotal === "true" || (query.includeTotal !== "false" && !cursor && page === 1);
+
+  return { cursor, limit, page, withTotal };
+};
+
+/**
+ * Count matching documents, stopping at MAX_EXACT_COUNT. Unfiltered
+ * collections use the collection metadata estimate.
+ * @param {Model} Model
+ * @param {Object} filter
+ * @returns {Promise<Object>} { total, isApproximate }
+ */
+export const countApproximate = async (Model, filter = {}) => {
+  if (Object.keys(filter).length === 0) {
+    return { total: await Model.estimatedDocumentCount(), isApproximate: true };
+  }
+
+  const total = await Model.countDocuments(filter, { limit: MAX_EXACT_COUNT });
+  return { total, isApproximate: total >= MAX_EXACT_COUNT };
+};
+
+/**
+ * Turn a limit+1 result into a page and its pageInfo
+ * @param {Array} docs - Up to limit + 1 documents in sort order
+ * @param {Object} options - { sortSpec, limit, scope, count, meta }
+ * @returns {Object} { items, pageInfo }
+ */
+export const buildPage = (docs, { sortSpec, limit, scope, count = null, meta }) => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  const pageInfo = {
+    limit,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sortSpec, scope, meta) : null,
+  };
+
+  if (count) {
+    pageInfo.approxTotal = count.total;
+    pageInfo.totalIsApproximate = count.isApproximate;
+  }
+
+  return { items, pageInfo };
+};
+
+/**
+ * Fetch one page of a find() query
+ * @param {Model} Model - Mongoose model
+ * @param {Object} filter - Query conditions
+ * @param {Object} options
+ * @param {string|Object} options.sort - Sort keys (an _id tie-breaker is added)
+ * @param {string} options.scope - Name binding cursors to this listing
+ * @param {number} [options.limit]
+ * @param {string|null} [options.cursor]
+ * @param {number} [options.page] - Legacy offset page, ignored with a cursor
+ * @param {boolean} [options.withTotal] - Include an approximate total
+ * @param {string} [options.select]
+ * @param {*} [options.populate] - Anything accepted by Query#populate
+ * @param {boolean|Object} [options.lean=true] - Query#lean argument, false for documents
+ * @returns {Promise<Object>} { items, pageInfo }
+ */
+export const paginate = async (Model, filter = {}, options = {}) => {
+  const {
+    sort,
+    scope,
+    limit = DEFAULT_LIMIT,
+    cursor = null,
+    page = 1,
+    withTotal = false,
+    select,
+    populate,
+    lean = true,
+  } = options;
+
+  const sortSpec = normalizeSort(sort);
+  const fullScope = getCursorScope(scope, sortSpec);
+
+  const pageFilter = cursor
+    ? { $and: [filter, getCursorFilter(cursor, sortSpec, fullScope)] }
+    : filter;
+
+  let query = Model.find(pageFilter).sort(toSortObject(sortSpec));
+  if (!cursor && page > 1) {
+    query = query.skip((page - 1) * limit);
+  }
+  query = query.limit(limit + 1);
+  if (select) query = query.select(select);
+  if (populate) query = query.populate(populate);
+  if (lean) query = query.lean(lean === true ? undefined : lean);
+
+  const [docs, count] = await Promise.all([
+    query,
+    withTotal ? countApproximate(Model, filter) : null,
+  ]);
+
+  return buildPage(docs, { sortSpec, limit, scope: fullScope, count });
+};
+
+export default {
+  normalizeSort,
+  toSortObject,
+  encodeCursor,
+  parseCursor,
+  decodeCursor,
+  buildCursorFilter,
+  getCursorScope,
+  getCursorFilter,
+  parseCursorParams,
+  countApproximate,
+  buildPage,
+  paginate,
+};
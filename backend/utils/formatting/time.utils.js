@@ -53,9 +53,78 @@ export const sensitizationDate = (date) => {
   return new Date(date);
 };
 
+/**
+ * Check that a string is an IANA time zone name (e.g. "America/Los_Angeles")
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Calendar date and wall-clock time of an instant in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {Object} { year, month (1-12), day, hour, minute, second }
+ */
+export const getZonedDateParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  }).formatToParts(date);
+
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
+  };
+};
+
+// Milliseconds the time zone is ahead of UTC at the given instant
+const getTimeZoneOffset = (date, timeZone) => {
+  const p = getZonedDateParts(date, timeZone);
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * The instant a calendar day starts in a time zone. The offset is checked a
+ * second time so days that begin right after a DST change come out right.
+ * @param {number} year
+ * @param {number} month - 1-12; out-of-range values roll over like Date.UTC
+ * @param {number} day
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export const getZonedStartOfDay = (year, month, day, timeZone) => {
+  const midnight = Date.UTC(year, month - 1, day);
+  const guess = midnight - getTimeZoneOffset(new Date(midnight), timeZone);
+  return new Date(midnight - getTimeZoneOffset(new Date(guess), timeZone));
+};
+
 export default {
   getTimeOfDay,
   getDateWithOffset,
   formatTimestamp,
-  sensitizationDate
+  sensitizationDate,
+  isValidTimeZone,
+  getZonedDateParts,
+  getZonedStartOfDay
 };
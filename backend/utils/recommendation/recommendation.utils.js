@@ -6,12 +6,12 @@ import {
   calculatePsychologicalFactors,
   calculateEngagementScore,
   calculateRecencyScore,
-  calculateTrendingScore,
   calculateSimilarityScore,
   calculatePersonalizedScore,
   normalizeScore,
 } from "./recommendationScoring.utils.js";
 import recommendationCacheService from "../../services/recommendation/recommendationCache.service.js";
+import TrendingService from "../../services/product/trending.service.js";
 import logger from "../logging/logger.js";
 import { buildAggregationPipeline } from "./recommendationPipelines.js";
 import { generateScoreExplanation } from "../data/generateExplanation.js";
@@ -86,8 +86,8 @@ export const fetchAndScoreProducts = async (
   } = validate.options(options);
   const fetchLimit = Math.max(limit * 2, 20);
 
-  // Ensure we always fetch only published products
-  const finalQuery = { ...query, status: "Published" };
+  // Ensure we always fetch only public products
+  const finalQuery = { ...query, ...Product.publicFilter() };
 
   // Add a default date range if not specified
   if (!finalQuery.createdAt || finalQuery.createdAt.$gte === null) {
@@ -135,10 +135,7 @@ export const fetchAndScoreProducts = async (
         let score;
         switch (context.reason) {
           case "trending":
-            score = calculateTrendingScore(product, {
-              recentDays: days || 7,
-              timeContext,
-            });
+            score = TrendingService.normalize(product.trendingScore);
             break;
           case "new":
             score =
@@ -424,7 +421,6 @@ export {
   calculatePsychologicalFactors,
   calculateEngagementScore,
   calculateRecencyScore,
-  calculateTrendingScore,
   calculateSimilarityScore,
   calculatePersonalizedScore,
   normalizeScore,
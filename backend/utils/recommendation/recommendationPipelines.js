@@ -1,15 +1,23 @@
+import mongoose from "mongoose";
+
 export const buildAggregationPipeline = (config = {}) => {
   const {
-    match = { status: "Published" }, // Renamed from $match to match for clarity
+    match = mongoose.model("Product").publicFilter(), // Renamed from $match to match for clarity
     lookups = ["views", "upvotes", "bookmarks", "categories", "users"],
     extraFields = {},
     sort = { createdAt: -1 },
     limit = 50,
     skip = 0,
+    // Sort is on stored, indexed fields: page before the lookups so only
+    // the returned products get joined
+    indexedSort = false,
   } = config;
 
   // Use match explicitly as the value for the $match stage
   const pipeline = [{ $match: match }];
+  if (indexedSort) {
+    pipeline.push({ $sort: sort }, { $skip: skip }, { $limit: limit });
+  }
 
   const lookupConfigs = {
     views: {
@@ -116,6 +124,11 @@ export const buildAggregationPipeline = (config = {}) => {
     }
   });
 
-  pipeline.push({ $sort: sort }, { $skip: skip }, { $limit: limit });
+  if (indexedSort) {
+    // $lookup keeps order in practice, but it isn't guaranteed
+    pipeline.push({ $sort: sort });
+  } else {
+    pipeline.push({ $sort: sort }, { $skip: skip }, { $limit: limit });
+  }
   return pipeline;
 };
\ No newline at end of file
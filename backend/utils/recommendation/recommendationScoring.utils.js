@@ -1,7 +1,9 @@
 // file: backend/Utils/recommendationScoring.utils.js
 import mongoose from "mongoose";
+import { MODERATION_VISIBLE_FILTER } from "../../models/product/product.model.js";
 import { generateScoreExplanation } from "../data/generateExplanation.js";
 import { SCORING_CONSTANTS } from "../constants/scoring/scoring.constants.js";
+import TrendingService from "../../services/product/trending.service.js";
 import logger from "../logging/logger.js";
 
 // Helper function to get similarity features between two products
@@ -167,88 +169,6 @@ export const calculatePsychologicalFactors = (product, userContext = {}) => {
   return multiplier;
 };
 
-/**
- * Calculate trending score based on recent engagement
- */
-export const calculateTrendingScore = (product, options = {}) => {
-  if (!product) return 0;
-
-  const { recentDays = 7, timeContext = {} } = options;
-  const now = new Date();
-  const recentDate = new Date(now.getTime() - recentDays * 24 * 60 * 60 * 1000);
-
-  // Extract recent engagement metrics
-  const totalViews = product.views?.count || 0;
-  const recentViews = product.views?.recentCount || Math.round(totalViews * 0.5); // Fallback if recentCount not available
-  
-  // Use upvoteCount directly if available, or fallback to upvotes array
-  const totalUpvotes = product.upvoteCount || (product.upvotes?.length || 0);
-  const recentUpvotes = product.upvotes?.filter(
-    (u) => new Date(u.createdAt) >= recentDate
-  ).length || Math.round(totalUpvotes * 0.3); // Estimate if filtering not possible
-  
-  // Use commentCount directly if available, or fallback to comments array
-  const totalComments = product.commentCount || (product.comments?.length || 0);
-  const recentComments = product.comments?.filter(
-    (c) => new Date(c.createdAt) >= recentDate
-  ).length || Math.round(totalComments * 0.3); // Estimate if filtering not possible
-  
-  // Get bookmarks for additional signal
-  const totalBookmarks = product.bookmarkCount || 0;
-
-  // Calculate velocity metrics (engagement per day)
-  const daysWindow = Math.max(1, recentDays);
-  const viewsPerDay = recentViews / daysWindow;
-  const upvotesPerDay = recentUpvotes / daysWindow;
-  const commentsPerDay = recentComments / daysWindow;
-  
-  // Calculate engagement acceleration (comparing recent to historical)
-  const viewsAcceleration = totalViews > 0 ? (recentViews / totalViews) * daysWindow : 0;
-  const upvotesAcceleration = totalUpvotes > 0 ? (recentUpvotes / totalUpvotes) * daysWindow : 0;
-  const commentsAcceleration = totalComments > 0 ? (recentComments / totalComments) * daysWindow : 0;
-  
-  // Calculate engagement growth factor (boosting products with accelerating metrics)
-  const accelerationFactor = (viewsAcceleration + upvotesAcceleration + commentsAcceleration) / 3;
-  const growthBoost = Math.min(2.0, 1.0 + accelerationFactor);
-
-  // Calculate base trending score with velocity components
-  let trendingScore =
-    viewsPerDay * SCORING_CONSTANTS.viewsTrendingWeight +
-    upvotesPerDay * SCORING_CONSTANTS.upvotesTrendingWeight * 1.5 + // Increase upvote importance
-    commentsPerDay * SCORING_CONSTANTS.commentsTrendingWeight +
-    (totalBookmarks / daysWindow) * SCORING_CONSTANTS.bookmarkWeight;
-
-  // Boost brand new products
-  const ageInDays = (now - new Date(product.createdAt)) / (1000 * 60 * 60 * 24);
-  
-  // Apply recency boost with a curve that decays over time
-  let recencyBoost = 1.0;
-  if (ageInDays <= 3) {
-    recencyBoost = 1.5; // Significant boost for very new products (0-3 days)
-  } else if (ageInDays <= 7) {
-    recencyBoost = 1.3; // Good boost for products less than a week old
-  } else if (ageInDays <= 14) {
-    recencyBoost = 1.1; // Slight boost for products less than two weeks old
-  }
-  
-  // Apply growth boost based on acceleration factor
-  trendingScore *= recencyBoost * growthBoost;
-  
-  // Apply a quality floor to ensure minimum engagement
-  const minQualityThreshold = 0.05;
-  if (trendingScore < minQualityThreshold && (totalViews < 5 || totalUpvotes < 2)) {
-    trendingScore *= 0.5; // Reduce score for products with very low engagement
-  }
-
-  // Normalize score to 0-1 range
-  const normalizedScore = Math.min(
-    1,
-    trendingScore / SCORING_CONSTANTS.trendingNormalizationFactor
-  );
-
-  return normalizedScore;
-};
-
 /**
  * Calculate similarity score for similar products
  */
@@ -516,6 +436,8 @@ export const fetchAndScoreProducts = async (
   try {
     if (!query.status && !query["$or"]?.some((clause) => clause.status))
       query.status = "Published";
+    // Recommendations are public whatever status was asked for
+    Object.assign(query, MODERATION_VISIBLE_FILTER);
 
     const pipeline = [
       { $match: query },
@@ -624,6 +546,7 @@ export const fetchAndScoreProducts = async (
           status: 1,
           launchedAt: 1,
           parentCategory: 1,
+          trendingScore: 1,
         },
       },
       { $sort: sort },
@@ -655,10 +578,7 @@ export const fetchAndScoreProducts = async (
 
         switch (context.reason) {
           case "trending":
-            score = calculateTrendingScore(product, {
-              recentDays: 7,
-              timeContext: context.timeContext,
-            });
+            score = TrendingService.normalize(product.trendingScore);
             if (scoreDetail) scoreDetail.base = scoreDetail.engagement = score;
             break;
           case "new":
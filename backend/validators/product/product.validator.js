@@ -1,4 +1,4 @@
-import { body, query, param } from "express-validator";
+import { body, query, param, validationResult } from "express-validator";
 import { AppError } from "../../utils/logging/error.js";
 
 // Product creation validation
@@ -187,6 +187,42 @@ export const validateUpdateProduct = [
   body("links.demo").optional().isURL().withMessage("Demo URL must be valid"),
 ];
 
+// Scheduled launches can't be set further out than this
+const MAX_SCHEDULE_AHEAD_DAYS = 365;
+
+// Scheduled launch time for a draft, on create and update. An empty value
+// clears the schedule. Unlike the field checks above, failures stop the request.
+export const validateScheduledLaunch = [
+  body("scheduledLaunchAt")
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .withMessage("Scheduled launch must be a valid date and time")
+    .bail()
+    .custom((value, { req }) => {
+      const launchAt = new Date(value);
+      if (launchAt <= new Date()) {
+        throw new Error("Scheduled launch must be in the future");
+      }
+      if (launchAt - Date.now() > MAX_SCHEDULE_AHEAD_DAYS * 24 * 60 * 60 * 1000) {
+        throw new Error(`Scheduled launch can't be more than ${MAX_SCHEDULE_AHEAD_DAYS} days ahead`);
+      }
+      if (req.body.status && req.body.status !== "Draft") {
+        throw new Error("Scheduled products must be saved as Draft");
+      }
+      return true;
+    }),
+
+  (req, res, next) => {
+    const [error] = validationResult(req)
+      .array()
+      .filter((err) => err.path === "scheduledLaunchAt");
+    if (error) {
+      return next(new AppError(error.msg, 400));
+    }
+    next();
+  },
+];
+
 // Comment validation
 export const validateComment = [
   body("content")
@@ -322,6 +358,7 @@ export const validateGalleryImages = (req, res, next) => {
 export default {
   validateCreateProduct,
   validateUpdateProduct,
+  validateScheduledLaunch,
   validateComment,
   validateReply,
   validateSearchParams,
@@ -67,6 +67,7 @@ const AddProductModal = ({ isOpen, onClose }) => {
     description: "",
     category: "",
     status: "Draft",
+    scheduledLaunchAt: "",
     thumbnail: null,
     pricingType: "free",
     pricingAmount: 0,
@@ -243,6 +244,11 @@ const AddProductModal = ({ isOpen, onClose }) => {
         ...formData,
         tags: formData.tags.join(","),
         links: JSON.stringify(formData.links),
+        // datetime-local has no zone, so send the maker's local time as ISO
+        scheduledLaunchAt:
+          formData.status === "Draft" && formData.scheduledLaunchAt
+            ? new Date(formData.scheduledLaunchAt).toISOString()
+            : "",
       };
 
       if (formData.thumbnail) {
@@ -555,6 +561,29 @@ const AddProductModal = ({ isOpen, onClose }) => {
                         "Your product will be visible to everyone."}
                     </p>
                   </div>
+
+                  {formData.status === "Draft" && (
+                    <div>
+                      <label
+                        htmlFor="scheduledLaunchAt"
+                        className="block text-sm font-medium text-gray-700 mb-1"
+                      >
+                        Schedule Launch (optional)
+                      </label>
+                      <input
+                        type="datetime-local"
+                        id="scheduledLaunchAt"
+                        name="scheduledLaunchAt"
+                        value={formData.scheduledLaunchAt}
+                        onChange={handleChange}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-violet-500 focus:border-violet-500 transition-colors"
+                      />
+                      <p className="mt-1 text-xs text-gray-500">
+                        Your product goes live automatically at this time, and
+                        your followers are notified.
+                      </p>
+                    </div>
+                  )}
                 </div>
               )}
 
@@ -4,11 +4,10 @@ import {
   FaLock,
   FaTimes,
   FaGoogle,
-  FaGithub,
-  FaTwitter,
 } from "react-icons/fa";
 import { motion, AnimatePresence } from "framer-motion";
 import GoogleAuthButton from './GoogleAuthButton';
+import OAuthProviderButton from './OAuthProviderButton';
 
 // Animation variants
 const backdropVariants = {
@@ -170,21 +169,8 @@ const LoginPrompt = ({
                 {/* Social Login Options */}
                 <div className="grid grid-cols-3 gap-3">
                   <GoogleAuthButton isLogin={true} size="default" />
-                  <motion.button
-                    className="py-2.5 px-4 bg-[#24292E] text-white rounded-lg flex items-center justify-center"
-                    whileHover={{ scale: 1.05 }}
-                    whileTap={{ scale: 0.95 }}
-                  >
-                    <FaGithub size={16} />
-                  </motion.button>
-
-                  <motion.button
-                    className="py-2.5 px-4 bg-[#1DA1F2] text-white rounded-lg flex items-center justify-center"
-                    whileHover={{ scale: 1.05 }}
-                    whileTap={{ scale: 0.95 }}
-                  >
-                    <FaTwitter size={16} />
-                  </motion.button>
+                  <OAuthProviderButton provider="github" compact />
+                  <OAuthProviderButton provider="linkedin" compact />
                 </div>
               </div>
 
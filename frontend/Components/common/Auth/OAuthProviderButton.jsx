@@ -0,0 +1,67 @@
+"use client";
+
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { FaGithub, FaLinkedin } from 'react-icons/fa';
+import { cn } from '@/lib/utils';
+import { oauthHandler } from '@/lib/utils/oauth';
+
+export const OAUTH_PROVIDER_STYLES = {
+  github: { label: 'GitHub', Icon: FaGithub, className: 'bg-[#24292E] hover:bg-[#1b1f23] text-white' },
+  linkedin: { label: 'LinkedIn', Icon: FaLinkedin, className: 'bg-[#0A66C2] hover:bg-[#004182] text-white' },
+};
+
+/**
+ * GitHub / LinkedIn OAuth Button
+ *
+ * Same flow as GoogleAuthButton: redirects to the API, which sends the user on to the provider.
+ * `compact` renders an icon-only button for tight rows of social options.
+ */
+const OAuthProviderButton = ({ provider, isLogin = true, compact = false, className = "", disabled = false }) => {
+  const [isLoading, setIsLoading] = useState(false);
+  const { label, Icon, className: providerClassName } = OAUTH_PROVIDER_STYLES[provider];
+
+  const handleAuth = () => {
+    setIsLoading(true);
+
+    if (oauthHandler.isOAuthCallback()) {
+      oauthHandler.clearOAuthParams();
+    }
+
+    const baseUrl = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5004';
+    const oauthUrl = oauthHandler.generateOAuthUrl(provider, isLogin ? 'login' : 'register', baseUrl);
+
+    if (oauthUrl) {
+      window.location.href = oauthUrl;
+    } else {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <motion.button
+      type="button"
+      onClick={handleAuth}
+      disabled={disabled || isLoading}
+      className={cn(
+        "w-full flex items-center justify-center gap-2.5 font-medium rounded-lg shadow-sm transition-colors duration-300",
+        "disabled:opacity-60 disabled:cursor-not-allowed",
+        compact ? "py-2.5 px-4" : "px-4 py-3 h-12 text-sm",
+        providerClassName,
+        className
+      )}
+      whileHover={{ y: disabled || isLoading ? 0 : -1 }}
+      whileTap={{ scale: disabled || isLoading ? 1 : 0.98 }}
+      aria-label={`${isLogin ? 'Sign in' : 'Sign up'} with ${label}`}
+    >
+      {isLoading ? (
+        <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin" />
+      ) : (
+        <Icon size={compact ? 16 : 18} />
+      )}
+      {!compact && <span className="tracking-wide select-none">{label}</span>}
+    </motion.button>
+  );
+};
+
+export default OAuthProviderButton;
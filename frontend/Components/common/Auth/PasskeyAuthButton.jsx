@@ -0,0 +1,82 @@
+"use client";
+
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { HiOutlineFingerPrint } from 'react-icons/hi';
+import { cn } from '@/lib/utils';
+import { useAuth } from '@/lib/contexts/auth-context';
+import { isPasskeySupported } from '@/lib/utils/auth/webauthn';
+
+/**
+ * Passkey Sign-In Button
+ *
+ * Starts a passwordless WebAuthn sign-in. Hidden in browsers without passkey support.
+ * On success the redirect is handled in AuthContext, like the other sign-in methods.
+ */
+const PasskeyAuthButton = ({ className = "", disabled = false }) => {
+  const { loginWithPasskey } = useAuth();
+  const [isSupported, setIsSupported] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Checked after mount so server and client render the same markup
+  useEffect(() => {
+    setIsSupported(isPasskeySupported());
+  }, []);
+
+  const handlePasskeyLogin = async () => {
+    setIsLoading(true);
+    setError('');
+    const result = await loginWithPasskey();
+    setIsLoading(false);
+
+    if (!result.success && !result.cancelled) {
+      setError(result.message);
+    }
+  };
+
+  if (!isSupported) return null;
+
+  return (
+    <div className="w-full">
+      <motion.button
+        type="button"
+        onClick={handlePasskeyLogin}
+        disabled={disabled || isLoading}
+        className={cn(
+          "w-full flex items-center justify-center gap-3 px-6 py-3 h-12 font-medium rounded-lg",
+          "border border-gray-200 bg-white text-gray-700 shadow-sm",
+          "transition-all duration-300 ease-out",
+          "hover:border-gray-300 hover:shadow-md hover:bg-gray-50/50",
+          "focus:outline-none focus:ring-2 focus:ring-violet-500/20 focus:ring-offset-1 focus:border-violet-300",
+          "disabled:opacity-60 disabled:cursor-not-allowed",
+          className
+        )}
+        whileHover={{ y: disabled || isLoading ? 0 : -1 }}
+        whileTap={{ scale: disabled || isLoading ? 1 : 0.98 }}
+        aria-label="Sign in with a passkey"
+      >
+        {isLoading ? (
+          <div className="w-4 h-4 border-2 border-violet-500 border-t-transparent rounded-full animate-spin" />
+        ) : (
+          <HiOutlineFingerPrint className="w-5 h-5 text-violet-600" />
+        )}
+        <span className="tracking-wide select-none">
+          {isLoading ? 'Waiting for your passkey...' : 'Sign in with a passkey'}
+        </span>
+      </motion.button>
+
+      {error && (
+        <motion.p
+          initial={{ opacity: 0, y: -5 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mt-2 text-sm text-red-600 bg-red-50/80 border border-red-200/50 rounded-lg p-3"
+        >
+          {error}
+        </motion.p>
+      )}
+    </div>
+  );
+};
+
+export default PasskeyAuthButton;
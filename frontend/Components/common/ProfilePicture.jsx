@@ -30,7 +30,7 @@ const ProfilePicture = ({
     const profileUrl =
       user.profilePicture?.url ||
       (typeof user.profilePicture === 'string' ? user.profilePicture : '') ||
-      user.googleProfile?.profilePicture || 
+      user.linkedAccounts?.find((account) => account.profilePicture)?.profilePicture ||
       '';
 
     return profileUrl && profileUrl !== '/Assets/Image/Profile.png' ? profileUrl : null;
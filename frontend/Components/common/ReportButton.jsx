@@ -0,0 +1,172 @@
+"use client";
+
+import React, { useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { FiFlag, FiX, FiLoader } from "react-icons/fi";
+import { toast } from "react-hot-toast";
+import { useAuth } from "@/lib/contexts/auth-context";
+import { makePriorityRequest } from "@/lib/api/api";
+
+// Mirrors REPORT_REASONS in backend/models/core/report.model.js
+const REASONS = [
+  { id: "spam", label: "Spam or misleading" },
+  { id: "harassment", label: "Harassment or abuse" },
+  { id: "scam", label: "Scam or fraud" },
+  { id: "fake", label: "Fake or not what it claims to be" },
+  { id: "impersonation", label: "Impersonation" },
+  { id: "inappropriate", label: "Inappropriate content" },
+  { id: "other", label: "Something else" },
+];
+
+const NOUNS = {
+  product: "product",
+  comment: "comment",
+  reply: "reply",
+  project: "project",
+  job: "job posting",
+  user: "profile",
+};
+
+/**
+ * Flag button that opens a dialog for reporting a product, comment, reply,
+ * project, job posting or user
+ */
+const ReportButton = ({ targetType, targetId, iconOnly = false, className = "" }) => {
+  const { isAuthenticated } = useAuth();
+  const [isOpen, setIsOpen] = useState(false);
+  const [reason, setReason] = useState("");
+  const [details, setDetails] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const noun = NOUNS[targetType] || "content";
+
+  const handleOpen = () => {
+    if (!isAuthenticated) {
+      toast.error(`Sign in to report this ${noun}`);
+      return;
+    }
+    setIsOpen(true);
+  };
+
+  const handleClose = () => {
+    setIsOpen(false);
+    setReason("");
+    setDetails("");
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!reason) return;
+
+    setIsSubmitting(true);
+    try {
+      const response = await makePriorityRequest("post", "/reports", {
+        data: { targetType, targetId, reason, details: details.trim() },
+      });
+      toast.success(response.data.message || "Report submitted");
+      handleClose();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to submit report");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={handleOpen}
+        className={`inline-flex items-center gap-1.5 text-gray-500 hover:text-red-600 transition-colors ${className}`}
+        aria-label={`Report this ${noun}`}
+      >
+        <FiFlag className="w-4 h-4" />
+        {!iconOnly && <span>Report</span>}
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-4"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={(e) => e.target === e.currentTarget && handleClose()}
+          >
+            <motion.form
+              onSubmit={handleSubmit}
+              className="bg-white rounded-xl shadow-xl max-w-md w-full overflow-hidden"
+              initial={{ scale: 0.95, y: 20 }}
+              animate={{ scale: 1, y: 0 }}
+              exit={{ scale: 0.95, y: 20 }}
+            >
+              <div className="flex justify-between items-center p-5 border-b border-gray-100">
+                <h3 className="text-lg font-semibold text-gray-900">Report this {noun}</h3>
+                <button
+                  type="button"
+                  onClick={handleClose}
+                  className="p-1.5 rounded-full text-gray-500 hover:bg-gray-100"
+                  aria-label="Close dialog"
+                >
+                  <FiX size={18} />
+                </button>
+              </div>
+
+              <div className="p-5 space-y-2">
+                {REASONS.map((option) => (
+                  <label
+                    key={option.id}
+                    className={`flex items-center gap-3 p-3 rounded-lg border cursor-pointer text-sm ${
+                      reason === option.id
+                        ? "border-violet-300 bg-violet-50 text-violet-800"
+                        : "border-gray-200 text-gray-700 hover:bg-gray-50"
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="report-reason"
+                      value={option.id}
+                      checked={reason === option.id}
+                      onChange={() => setReason(option.id)}
+                      className="text-violet-600"
+                    />
+                    {option.label}
+                  </label>
+                ))}
+
+                <textarea
+                  value={details}
+                  onChange={(e) => setDetails(e.target.value)}
+                  rows={3}
+                  maxLength={1000}
+                  placeholder="Anything else our team should know? (optional)"
+                  className="w-full mt-2 p-3 border border-gray-300 rounded-lg text-sm bg-white text-gray-800"
+                />
+              </div>
+
+              <div className="flex justify-end gap-2 px-5 pb-5">
+                <button
+                  type="button"
+                  onClick={handleClose}
+                  className="px-4 py-2 rounded-lg text-sm text-gray-700 hover:bg-gray-100"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={!reason || isSubmitting}
+                  className="flex items-center px-4 py-2 rounded-lg text-sm font-medium bg-red-600 text-white hover:bg-red-700 disabled:opacity-50"
+                >
+                  {isSubmitting && <FiLoader className="animate-spin mr-2" />}
+                  Submit report
+                </button>
+              </div>
+            </motion.form>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </>
+  );
+};
+
+export default ReportButton;
@@ -0,0 +1,416 @@
+"use client";
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import Link from 'next/link';
+import {
+  FiShield,
+  FiSearch,
+  FiChevronLeft,
+  FiChevronRight,
+  FiLoader,
+  FiCheck,
+  FiX,
+  FiSlash,
+  FiRotateCcw,
+  FiExternalLink,
+  FiClock,
+} from 'react-icons/fi';
+import { toast } from 'react-hot-toast';
+import { makePriorityRequest } from '@/lib/api/api';
+import logger from '@/lib/utils/logger';
+
+const QUEUES = [
+  { id: 'pending', label: 'Pending' },
+  { id: 'approved', label: 'Approved' },
+  { id: 'rejected', label: 'Rejected' },
+  { id: 'banned', label: 'Banned' },
+];
+
+const ACTION_LABELS = {
+  approve: 'Approved',
+  reject: 'Rejected',
+  ban: 'Banned',
+  unban: 'Unbanned',
+  resubmit: 'Resubmitted by maker',
+  auto_hide: 'Hidden after user reports',
+  resolve_reports: 'Reports resolved',
+  dismiss_reports: 'Reports dismissed',
+};
+
+// Rejections and bans are emailed to the maker with the reason, so one is required
+const REASON_REQUIRED = ['reject', 'ban'];
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : '—';
+
+const userName = (person) =>
+  person ? [person.firstName, person.lastName].filter(Boolean).join(' ') || person.username || 'Unknown' : 'Unknown';
+
+const AdminModerationPage = () => {
+  const [queue, setQueue] = useState('pending');
+  const [products, setProducts] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [selectedProduct, setSelectedProduct] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [reason, setReason] = useState('');
+  const [pendingAction, setPendingAction] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [search, setSearch] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+
+  // Reference to the current abort controller for canceling requests
+  const abortControllerRef = useRef(null);
+
+  const fetchQueue = useCallback(async () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort('Canceled due to new request');
+    }
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const queryParams = new URLSearchParams({ queue, page: currentPage, limit: 15 });
+      if (search) {
+        queryParams.append('search', search);
+      }
+
+      const response = await makePriorityRequest('get', `/admin/moderation/products?${queryParams.toString()}`, {
+        signal: controller.signal,
+      });
+
+      setProducts(response.data.data.products);
+      setCounts(response.data.data.counts);
+      setTotalPages(response.data.data.totalPages);
+    } catch (err) {
+      if (err.name !== 'CanceledError' && err.code !== 'ERR_CANCELED') {
+        logger.error('Error fetching moderation queue:', err);
+        setError(err.response?.data?.message || 'Failed to fetch moderation queue');
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  }, [queue, currentPage, search]);
+
+  useEffect(() => {
+    fetchQueue();
+
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort('Component unmounted');
+      }
+    };
+  }, [fetchQueue]);
+
+  const handleSelect = async (product) => {
+    setSelectedProduct(product);
+    setReason('');
+    setHistory([]);
+    setHistoryLoading(true);
+
+    try {
+      const response = await makePriorityRequest('get', `/admin/moderation/products/${product._id}/history`);
+      setHistory(response.data.data.history);
+    } catch (err) {
+      logger.error('Error fetching moderation history:', err);
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
+  const handleQueueChange = (nextQueue) => {
+    setQueue(nextQueue);
+    setCurrentPage(1);
+    setSelectedProduct(null);
+  };
+
+  const handleDecision = async (decision) => {
+    if (!selectedProduct) return;
+
+    if (REASON_REQUIRED.includes(decision) && !reason.trim()) {
+      toast.error('Add a reason for the maker first');
+      return;
+    }
+
+    setPendingAction(decision);
+    try {
+      const response = await makePriorityRequest(
+        'post',
+        `/admin/moderation/products/${selectedProduct._id}/${decision}`,
+        { data: { reason: reason.trim() } }
+      );
+
+      toast.success(response.data.message);
+      setSelectedProduct(null);
+      setReason('');
+      await fetchQueue();
+    } catch (err) {
+      toast.error(err.response?.data?.message || `Failed to ${decision} product`);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const isBanned = selectedProduct?.flags?.isBanned;
+  const decisions = isBanned
+    ? [{ id: 'unban', label: 'Unban', icon: FiRotateCcw, className: 'bg-violet-600 hover:bg-violet-700 text-white' }]
+    : [
+        { id: 'approve', label: 'Approve', icon: FiCheck, className: 'bg-green-600 hover:bg-green-700 text-white' },
+        { id: 'reject', label: 'Reject', icon: FiX, className: 'bg-amber-500 hover:bg-amber-600 text-white' },
+        { id: 'ban', label: 'Ban', icon: FiSlash, className: 'bg-red-600 hover:bg-red-700 text-white' },
+      ].filter((action) => !(action.id === 'approve' && selectedProduct?.moderation?.status === 'approved'));
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4 md:p-8">
+      <div className="max-w-7xl mx-auto">
+        <div className="flex items-center mb-6">
+          <FiShield className="text-violet-600 w-6 h-6 mr-2" />
+          <h1 className="text-2xl font-semibold text-gray-800">Product Moderation</h1>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 text-red-600 rounded-lg">
+            {error}
+          </div>
+        )}
+
+        {/* Queue tabs */}
+        <div className="flex flex-wrap gap-2 mb-6">
+          {QUEUES.map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => handleQueueChange(tab.id)}
+              className={`px-4 py-2 rounded-lg text-sm font-medium ${
+                queue === tab.id
+                  ? 'bg-violet-600 text-white'
+                  : 'bg-white text-gray-700 border border-gray-200 hover:bg-gray-100'
+              }`}
+            >
+              {tab.label}
+              {counts[tab.id] !== undefined && (
+                <span className={`ml-2 text-xs ${queue === tab.id ? 'text-violet-100' : 'text-gray-400'}`}>
+                  {counts[tab.id]}
+                </span>
+              )}
+            </button>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Product List */}
+          <div className="lg:col-span-1 bg-white rounded-xl shadow-sm p-4">
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                setCurrentPage(1);
+              }}
+              className="flex space-x-2 mb-4"
+            >
+              <input
+                type="text"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search products..."
+                className="flex-grow p-2 border border-gray-300 rounded-md text-sm bg-white text-gray-800"
+              />
+              <button type="submit" className="p-2 bg-violet-600 text-white rounded-md hover:bg-violet-700">
+                <FiSearch />
+              </button>
+            </form>
+
+            {isLoading ? (
+              <div className="flex justify-center items-center h-40">
+                <FiLoader className="animate-spin text-violet-600 w-6 h-6" />
+              </div>
+            ) : products.length === 0 ? (
+              <div className="text-center py-8 text-gray-500">
+                Nothing in this queue
+              </div>
+            ) : (
+              <div className="space-y-2 max-h-[60vh] overflow-y-auto">
+                {products.map((product) => (
+                  <div
+                    key={product._id}
+                    onClick={() => handleSelect(product)}
+                    className={`p-3 rounded-lg cursor-pointer flex items-center ${
+                      selectedProduct?._id === product._id
+                        ? 'bg-violet-100 border border-violet-300'
+                        : 'bg-gray-50 hover:bg-gray-100 border border-gray-100'
+                    }`}
+                  >
+                    <div className="w-10 h-10 rounded-lg bg-gray-200 flex-shrink-0 overflow-hidden">
+                      {product.thumbnail ? (
+                        <img src={product.thumbnail} alt={product.name} className="w-full h-full object-cover" />
+                      ) : (
+                        <div className="w-full h-full flex items-center justify-center bg-violet-100 text-violet-600">
+                          {product.name?.charAt(0) || '?'}
+                        </div>
+                      )}
+                    </div>
+                    <div className="ml-3 min-w-0">
+                      <div className="font-medium text-gray-800 truncate">{product.name}</div>
+                      <div className="text-xs text-gray-500 truncate">
+                        {userName(product.maker)} · {formatDate(product.createdAt)}
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* Pagination */}
+            {totalPages > 1 && (
+              <div className="flex justify-between items-center mt-4 pt-4 border-t">
+                <button
+                  onClick={() => setCurrentPage((prev) => Math.max(prev - 1, 1))}
+                  disabled={currentPage === 1}
+                  className={`p-2 rounded-md ${
+                    currentPage === 1 ? 'text-gray-400 cursor-not-allowed' : 'text-violet-600 hover:bg-violet-50'
+                  }`}
+                >
+                  <FiChevronLeft />
+                </button>
+                <span className="text-sm text-gray-600">
+                  Page {currentPage} of {totalPages}
+                </span>
+                <button
+                  onClick={() => setCurrentPage((prev) => Math.min(prev + 1, totalPages))}
+                  disabled={currentPage === totalPages}
+                  className={`p-2 rounded-md ${
+                    currentPage === totalPages ? 'text-gray-400 cursor-not-allowed' : 'text-violet-600 hover:bg-violet-50'
+                  }`}
+                >
+                  <FiChevronRight />
+                </button>
+              </div>
+            )}
+          </div>
+
+          {/* Product Review */}
+          <div className="lg:col-span-2">
+            {selectedProduct ? (
+              <div className="space-y-6">
+                <div className="bg-white rounded-xl shadow-sm p-6">
+                  <div className="flex items-start justify-between gap-4">
+                    <div>
+                      <h2 className="text-xl font-semibold text-gray-800">{selectedProduct.name}</h2>
+                      {selectedProduct.tagline && (
+                        <p className="text-gray-600 mt-1">{selectedProduct.tagline}</p>
+                      )}
+                      <p className="text-sm text-gray-500 mt-2">
+                        By {userName(selectedProduct.maker)}
+                        {selectedProduct.maker?.email && ` (${selectedProduct.maker.email})`}
+                        {selectedProduct.categoryName && ` · ${selectedProduct.categoryName}`}
+                        {` · ${selectedProduct.status}`}
+                      </p>
+                    </div>
+                    <Link
+                      href={`/product/${selectedProduct.slug}`}
+                      target="_blank"
+                      className="flex items-center text-sm text-violet-600 hover:text-violet-700 flex-shrink-0"
+                    >
+                      View <FiExternalLink className="ml-1" />
+                    </Link>
+                  </div>
+
+                  {selectedProduct.description && (
+                    <p className="mt-4 text-sm text-gray-700 whitespace-pre-line line-clamp-6">
+                      {selectedProduct.description}
+                    </p>
+                  )}
+
+                  {selectedProduct.links?.website && (
+                    <a
+                      href={selectedProduct.links.website}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="inline-block mt-3 text-sm text-violet-600 hover:underline break-all"
+                    >
+                      {selectedProduct.links.website}
+                    </a>
+                  )}
+
+                  {(isBanned ? selectedProduct.flags.banReason : selectedProduct.moderation?.reviewNotes) && (
+                    <div className="mt-4 p-3 bg-amber-50 text-amber-800 rounded-lg text-sm">
+                      <span className="font-medium">{isBanned ? 'Ban reason: ' : 'Review notes: '}</span>
+                      {isBanned ? selectedProduct.flags.banReason : selectedProduct.moderation.reviewNotes}
+                    </div>
+                  )}
+                </div>
+
+                {/* Decision */}
+                <div className="bg-white rounded-xl shadow-sm p-6">
+                  <h3 className="text-lg font-medium text-gray-800 mb-3">Decision</h3>
+                  <textarea
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                    rows={3}
+                    maxLength={1000}
+                    placeholder={isBanned ? 'Notes (optional)' : 'Reason shown to the maker (required to reject or ban)'}
+                    className="w-full p-3 border border-gray-300 rounded-md text-sm bg-white text-gray-800"
+                  />
+                  <div className="flex flex-wrap gap-2 mt-3">
+                    {decisions.map(({ id, label, icon: Icon, className }) => (
+                      <button
+                        key={id}
+                        onClick={() => handleDecision(id)}
+                        disabled={pendingAction !== null}
+                        className={`flex items-center px-4 py-2 rounded-md text-sm font-medium disabled:opacity-50 ${className}`}
+                      >
+                        {pendingAction === id ? (
+                          <FiLoader className="animate-spin mr-2" />
+                        ) : (
+                          <Icon className="mr-2" />
+                        )}
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                {/* History */}
+                <div className="bg-white rounded-xl shadow-sm p-6">
+                  <h3 className="text-lg font-medium text-gray-800 mb-3">History</h3>
+                  {historyLoading ? (
+                    <FiLoader className="animate-spin text-violet-600 w-5 h-5" />
+                  ) : history.length === 0 ? (
+                    <p className="text-sm text-gray-500">No moderation actions yet</p>
+                  ) : (
+                    <ul className="space-y-3">
+                      {history.map((entry) => (
+                        <li key={entry._id} className="flex items-start text-sm">
+                          <FiClock className="text-gray-400 mt-0.5 mr-2 flex-shrink-0" />
+                          <div>
+                            <span className="font-medium text-gray-800">{ACTION_LABELS[entry.action] || entry.action}</span>
+                            <span className="text-gray-500">
+                              {entry.actor ? ` by ${userName(entry.actor)}` : ''} · {formatDate(entry.createdAt)}
+                            </span>
+                            {entry.reason && <p className="text-gray-600 mt-0.5 whitespace-pre-line">{entry.reason}</p>}
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </div>
+            ) : (
+              <div className="bg-white rounded-xl shadow-sm p-8 text-center">
+                <FiShield className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+                <h3 className="text-lg font-medium text-gray-700 mb-2">No Product Selected</h3>
+                <p className="text-gray-500">Select a product from the queue to review it.</p>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminModerationPage;
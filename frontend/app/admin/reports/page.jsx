@@ -0,0 +1,418 @@
+"use client";
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import Link from 'next/link';
+import {
+  FiFlag,
+  FiChevronLeft,
+  FiChevronRight,
+  FiLoader,
+  FiCheck,
+  FiX,
+  FiExternalLink,
+  FiEyeOff,
+} from 'react-icons/fi';
+import { toast } from 'react-hot-toast';
+import { makePriorityRequest } from '@/lib/api/api';
+import logger from '@/lib/utils/logger';
+
+const STATUSES = [
+  { id: 'open', label: 'Open' },
+  { id: 'resolved', label: 'Resolved' },
+  { id: 'dismissed', label: 'Dismissed' },
+];
+
+const TARGET_TYPES = [
+  { id: '', label: 'All types' },
+  { id: 'product', label: 'Products' },
+  { id: 'comment', label: 'Comments' },
+  { id: 'reply', label: 'Replies' },
+  { id: 'project', label: 'Projects' },
+  { id: 'job', label: 'Jobs' },
+  { id: 'user', label: 'Users' },
+];
+
+const REASON_LABELS = {
+  spam: 'Spam',
+  harassment: 'Harassment',
+  scam: 'Scam',
+  fake: 'Fake',
+  impersonation: 'Impersonation',
+  inappropriate: 'Inappropriate',
+  other: 'Other',
+};
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : '—';
+
+const userName = (person) =>
+  person ? [person.firstName, person.lastName].filter(Boolean).join(' ') || person.username || 'Unknown' : 'Unknown';
+
+// Title and public link for each kind of reported target
+const describeTarget = (type, target) => {
+  if (!target || target.deleted) return { title: 'Deleted content', href: null };
+
+  switch (type) {
+    case 'product':
+      return { title: target.name, href: `/product/${target.slug}` };
+    case 'comment':
+    case 'reply':
+      return { title: target.content, href: null };
+    case 'project':
+      return { title: target.title, href: `/projects/${target.slug}` };
+    case 'job':
+      return { title: `${target.title}${target.company?.name ? ` at ${target.company.name}` : ''}`, href: `/jobs/${target.slug}` };
+    case 'user':
+      return { title: userName(target), href: target.username ? `/user/${target.username}` : null };
+    default:
+      return { title: 'Unknown', href: null };
+  }
+};
+
+const AdminReportsPage = () => {
+  const [status, setStatus] = useState('open');
+  const [targetType, setTargetType] = useState('');
+  const [items, setItems] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [threshold, setThreshold] = useState(null);
+  const [selectedItem, setSelectedItem] = useState(null);
+  const [reports, setReports] = useState([]);
+  const [reportsLoading, setReportsLoading] = useState(false);
+  const [notes, setNotes] = useState('');
+  const [pendingAction, setPendingAction] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+
+  // Reference to the current abort controller for canceling requests
+  const abortControllerRef = useRef(null);
+
+  const fetchReports = useCallback(async () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort('Canceled due to new request');
+    }
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const queryParams = new URLSearchParams({ status, page: currentPage, limit: 15 });
+      if (targetType) {
+        queryParams.append('targetType', targetType);
+      }
+
+      const response = await makePriorityRequest('get', `/admin/reports?${queryParams.toString()}`, {
+        signal: controller.signal,
+      });
+
+      setItems(response.data.data.items);
+      setCounts(response.data.data.counts);
+      setThreshold(response.data.data.threshold);
+      setTotalPages(response.data.data.totalPages);
+    } catch (err) {
+      if (err.name !== 'CanceledError' && err.code !== 'ERR_CANCELED') {
+        logger.error('Error fetching reports:', err);
+        setError(err.response?.data?.message || 'Failed to fetch reports');
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  }, [status, targetType, currentPage]);
+
+  useEffect(() => {
+    fetchReports();
+
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort('Component unmounted');
+      }
+    };
+  }, [fetchReports]);
+
+  const handleSelect = async (item) => {
+    setSelectedItem(item);
+    setNotes('');
+    setReports([]);
+    setReportsLoading(true);
+
+    try {
+      const response = await makePriorityRequest('get', `/admin/reports/${item.targetType}/${item.target._id}`);
+      setReports(response.data.data.reports);
+    } catch (err) {
+      logger.error('Error fetching target reports:', err);
+    } finally {
+      setReportsLoading(false);
+    }
+  };
+
+  const handleDecision = async (decision) => {
+    if (!selectedItem) return;
+
+    setPendingAction(decision);
+    try {
+      const response = await makePriorityRequest(
+        'post',
+        `/admin/reports/${selectedItem.targetType}/${selectedItem.target._id}/${decision}`,
+        { data: { notes: notes.trim() } }
+      );
+
+      toast.success(response.data.message);
+      setSelectedItem(null);
+      setNotes('');
+      await fetchReports();
+    } catch (err) {
+      toast.error(err.response?.data?.message || `Failed to ${decision} reports`);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const selected = selectedItem ? describeTarget(selectedItem.targetType, selectedItem.target) : null;
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4 md:p-8">
+      <div className="max-w-7xl mx-auto">
+        <div className="flex items-center mb-6">
+          <FiFlag className="text-violet-600 w-6 h-6 mr-2" />
+          <h1 className="text-2xl font-semibold text-gray-800">Reports</h1>
+          {threshold && (
+            <span className="ml-3 text-sm text-gray-500">
+              Content is hidden automatically after {threshold} open reports
+            </span>
+          )}
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 text-red-600 rounded-lg">
+            {error}
+          </div>
+        )}
+
+        {/* Status tabs and type filter */}
+        <div className="flex flex-wrap items-center gap-2 mb-6">
+          {STATUSES.map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => {
+                setStatus(tab.id);
+                setCurrentPage(1);
+                setSelectedItem(null);
+              }}
+              className={`px-4 py-2 rounded-lg text-sm font-medium ${
+                status === tab.id
+                  ? 'bg-violet-600 text-white'
+                  : 'bg-white text-gray-700 border border-gray-200 hover:bg-gray-100'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+
+          <select
+            value={targetType}
+            onChange={(e) => {
+              setTargetType(e.target.value);
+              setCurrentPage(1);
+              setSelectedItem(null);
+            }}
+            className="ml-auto p-2 border border-gray-300 rounded-md text-sm bg-white text-gray-800"
+          >
+            {TARGET_TYPES.map((type) => (
+              <option key={type.id} value={type.id}>
+                {type.label}
+                {type.id && counts[type.id] ? ` (${counts[type.id]} open)` : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Reported targets */}
+          <div className="lg:col-span-1 bg-white rounded-xl shadow-sm p-4">
+            {isLoading ? (
+              <div className="flex justify-center items-center h-40">
+                <FiLoader className="animate-spin text-violet-600 w-6 h-6" />
+              </div>
+            ) : items.length === 0 ? (
+              <div className="text-center py-8 text-gray-500">
+                No reports here
+              </div>
+            ) : (
+              <div className="space-y-2 max-h-[60vh] overflow-y-auto">
+                {items.map((item) => {
+                  const { title } = describeTarget(item.targetType, item.target);
+                  return (
+                    <div
+                      key={`${item.targetModel}:${item.target._id}`}
+                      onClick={() => handleSelect(item)}
+                      className={`p-3 rounded-lg cursor-pointer ${
+                        selectedItem?.target._id === item.target._id
+                          ? 'bg-violet-100 border border-violet-300'
+                          : 'bg-gray-50 hover:bg-gray-100 border border-gray-100'
+                      }`}
+                    >
+                      <div className="flex items-center justify-between gap-2">
+                        <span className="text-xs uppercase tracking-wide text-gray-500">{item.targetType}</span>
+                        <span className="text-xs font-medium text-red-600">
+                          {item.reportCount} report{item.reportCount === 1 ? '' : 's'}
+                        </span>
+                      </div>
+                      <div className="font-medium text-gray-800 truncate mt-1">{title}</div>
+                      <div className="text-xs text-gray-500 flex items-center gap-1 mt-1">
+                        {item.target.hiddenByReports && <FiEyeOff className="text-amber-600" />}
+                        {Object.entries(item.reasons)
+                          .map(([reason, count]) => `${REASON_LABELS[reason] || reason} ×${count}`)
+                          .join(', ')}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+
+            {/* Pagination */}
+            {totalPages > 1 && (
+              <div className="flex justify-between items-center mt-4 pt-4 border-t">
+                <button
+                  onClick={() => setCurrentPage((prev) => Math.max(prev - 1, 1))}
+                  disabled={currentPage === 1}
+                  className={`p-2 rounded-md ${
+                    currentPage === 1 ? 'text-gray-400 cursor-not-allowed' : 'text-violet-600 hover:bg-violet-50'
+                  }`}
+                >
+                  <FiChevronLeft />
+                </button>
+                <span className="text-sm text-gray-600">
+                  Page {currentPage} of {totalPages}
+                </span>
+                <button
+                  onClick={() => setCurrentPage((prev) => Math.min(prev + 1, totalPages))}
+                  disabled={currentPage === totalPages}
+                  className={`p-2 rounded-md ${
+                    currentPage === totalPages ? 'text-gray-400 cursor-not-allowed' : 'text-violet-600 hover:bg-violet-50'
+                  }`}
+                >
+                  <FiChevronRight />
+                </button>
+              </div>
+            )}
+          </div>
+
+          {/* Triage */}
+          <div className="lg:col-span-2">
+            {selectedItem ? (
+              <div className="space-y-6">
+                <div className="bg-white rounded-xl shadow-sm p-6">
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <span className="text-xs uppercase tracking-wide text-gray-500">{selectedItem.targetType}</span>
+                      <h2 className="text-lg font-semibold text-gray-800 whitespace-pre-line break-words">{selected.title}</h2>
+                      {selectedItem.targetOwner && selectedItem.targetType !== 'user' && (
+                        <p className="text-sm text-gray-500 mt-1">
+                          By {userName(selectedItem.targetOwner)}
+                          {selectedItem.targetOwner.email && ` (${selectedItem.targetOwner.email})`}
+                        </p>
+                      )}
+                      {selectedItem.target.hiddenByReports && (
+                        <p className="text-sm text-amber-700 mt-2 flex items-center gap-1">
+                          <FiEyeOff /> Hidden from everyone but its owner
+                        </p>
+                      )}
+                    </div>
+                    {selected.href && (
+                      <Link
+                        href={selected.href}
+                        target="_blank"
+                        className="flex items-center text-sm text-violet-600 hover:text-violet-700 flex-shrink-0"
+                      >
+                        View <FiExternalLink className="ml-1" />
+                      </Link>
+                    )}
+                  </div>
+                </div>
+
+                {/* Decision */}
+                {status === 'open' && (
+                  <div className="bg-white rounded-xl shadow-sm p-6">
+                    <h3 className="text-lg font-medium text-gray-800 mb-1">Decision</h3>
+                    <p className="text-sm text-gray-500 mb-3">
+                      Resolving keeps the {selectedItem.targetType} hidden. Dismissing shows it again.
+                    </p>
+                    <textarea
+                      value={notes}
+                      onChange={(e) => setNotes(e.target.value)}
+                      rows={3}
+                      maxLength={1000}
+                      placeholder="Internal notes (optional)"
+                      className="w-full p-3 border border-gray-300 rounded-md text-sm bg-white text-gray-800"
+                    />
+                    <div className="flex flex-wrap gap-2 mt-3">
+                      {[
+                        { id: 'resolve', label: 'Resolve', icon: FiCheck, className: 'bg-red-600 hover:bg-red-700 text-white' },
+                        { id: 'dismiss', label: 'Dismiss', icon: FiX, className: 'bg-gray-600 hover:bg-gray-700 text-white' },
+                      ].map(({ id, label, icon: Icon, className }) => (
+                        <button
+                          key={id}
+                          onClick={() => handleDecision(id)}
+                          disabled={pendingAction !== null}
+                          className={`flex items-center px-4 py-2 rounded-md text-sm font-medium disabled:opacity-50 ${className}`}
+                        >
+                          {pendingAction === id ? (
+                            <FiLoader className="animate-spin mr-2" />
+                          ) : (
+                            <Icon className="mr-2" />
+                          )}
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {/* Individual reports */}
+                <div className="bg-white rounded-xl shadow-sm p-6">
+                  <h3 className="text-lg font-medium text-gray-800 mb-3">Reports</h3>
+                  {reportsLoading ? (
+                    <FiLoader className="animate-spin text-violet-600 w-5 h-5" />
+                  ) : (
+                    <ul className="space-y-3">
+                      {reports.map((report) => (
+                        <li key={report._id} className="text-sm border-b border-gray-100 pb-3 last:border-0">
+                          <div>
+                            <span className="font-medium text-gray-800">{REASON_LABELS[report.reason] || report.reason}</span>
+                            <span className="text-gray-500">
+                              {' '}by {userName(report.reporter)} · {formatDate(report.createdAt)} · {report.status}
+                            </span>
+                          </div>
+                          {report.details && <p className="text-gray-600 mt-0.5 whitespace-pre-line">{report.details}</p>}
+                          {report.reviewedBy && (
+                            <p className="text-xs text-gray-400 mt-1">
+                              Reviewed by {userName(report.reviewedBy)} · {formatDate(report.reviewedAt)}
+                              {report.reviewNotes && ` · ${report.reviewNotes}`}
+                            </p>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </div>
+            ) : (
+              <div className="bg-white rounded-xl shadow-sm p-8 text-center">
+                <FiFlag className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+                <h3 className="text-lg font-medium text-gray-700 mb-2">Nothing Selected</h3>
+                <p className="text-gray-500">Select a reported item to review its reports.</p>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminReportsPage;
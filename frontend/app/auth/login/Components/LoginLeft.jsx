@@ -12,7 +12,10 @@ import {
 } from "react-icons/hi";
 import { useAuth } from "@/lib/contexts/auth-context";
 import EmailLoginForm from './EmailLoginForm';
+import TwoFactorChallengeForm from './TwoFactorChallengeForm';
 import GoogleAuthButton from 'Components/common/Auth/GoogleAuthButton';
+import OAuthProviderButton from 'Components/common/Auth/OAuthProviderButton';
+import PasskeyAuthButton from 'Components/common/Auth/PasskeyAuthButton';
 import SocialDivider from 'Components/common/Auth/SocialDivider';
 import { debounce } from "lodash"; // For performance optimization
 
@@ -34,6 +37,20 @@ const LoginLeft = () => {
   const [otpCountdown, setOtpCountdown] = useState(120);
   const [formErrors, setFormErrors] = useState({});
   const [authMethod, setAuthMethod] = useState('email'); // 'email' or 'phone'
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
+
+  // Google sign-in redirects back here when the account has two-factor enabled
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('two_factor') !== 'required' || !params.get('challenge')) return;
+
+    setTwoFactorChallenge({
+      challengeToken: params.get('challenge'),
+      methods: (params.get('methods') || 'totp,recovery').split(','),
+      phone: null,
+    });
+    window.history.replaceState({}, document.title, window.location.pathname);
+  }, []);
 
   // Clear context errors when component unmounts or method changes
   useEffect(() => {
@@ -98,8 +115,11 @@ const LoginLeft = () => {
       return;
     }
 
-    await verifyOtpForLogin(phone, otp);
-    // Redirect is now handled in verifyOtpForLogin via handleAuthSuccess
+    const result = await verifyOtpForLogin(phone, otp);
+    if (result?.twoFactorRequired) {
+      setTwoFactorChallenge(result.challenge);
+    }
+    // Otherwise the redirect is handled in verifyOtpForLogin via handleAuthSuccess
   };
 
   // Function to handle resending OTP
@@ -118,8 +138,11 @@ const LoginLeft = () => {
 
   // Handle email login
   const handleEmailLogin = async (credentials) => {
-    await loginWithEmail(credentials);
-    // Redirect is handled in AuthContext
+    const result = await loginWithEmail(credentials);
+    if (result?.twoFactorRequired) {
+      setTwoFactorChallenge(result.challenge);
+    }
+    // Otherwise the redirect is handled in AuthContext
   };
 
   // Toggle between auth methods
@@ -310,7 +333,7 @@ const LoginLeft = () => {
             </div>
           </motion.div>
 
-          {/* Google OAuth Section */}
+          {/* OAuth and passkey sign-in */}
           <motion.div 
             variants={itemVariants} 
             className="mb-6"
@@ -323,6 +346,13 @@ const LoginLeft = () => {
               size="default"
               className="shadow-sm"
             />
+            <div className="mt-3 grid grid-cols-2 gap-3">
+              <OAuthProviderButton provider="github" isLogin={true} />
+              <OAuthProviderButton provider="linkedin" isLogin={true} />
+            </div>
+            <div className="mt-3">
+              <PasskeyAuthButton disabled={authLoading} />
+            </div>
           </motion.div>
 
           {/* Divider */}
@@ -333,7 +363,18 @@ const LoginLeft = () => {
           {/* Form section with enhanced transitions and optimized height */}
           <div className="relative w-full h-full">
             <AnimatePresence mode="wait">
-              {authMethod === "email" ? (
+              {twoFactorChallenge ? (
+                <motion.div key="twoFactor" className="w-full">
+                  <TwoFactorChallengeForm
+                    challenge={twoFactorChallenge}
+                    onCancel={() => {
+                      setTwoFactorChallenge(null);
+                      setIsOtpSent(false);
+                      setOtp("");
+                    }}
+                  />
+                </motion.div>
+              ) : authMethod === "email" ? (
                 <motion.div
                   key="email"
                   initial={{ opacity: 0, y: 20 }}
@@ -0,0 +1,217 @@
+'use client';
+
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { useRouter } from 'next/navigation';
+import { toast } from 'react-hot-toast';
+import { HiOutlineArrowLeft, HiOutlineShieldCheck } from 'react-icons/hi';
+import { useAuth } from '@/lib/contexts/auth-context';
+
+const METHOD_COPY = {
+  totp: {
+    label: 'Authenticator app',
+    prompt: 'Enter the 6-digit code from your authenticator app.',
+    placeholder: '123456',
+  },
+  sms: {
+    label: 'Text message',
+    prompt: 'Enter the code we texted to your phone.',
+    placeholder: '123456',
+  },
+  recovery: {
+    label: 'Recovery code',
+    prompt: 'Enter one of the recovery codes you saved when you set up two-factor authentication.',
+    placeholder: 'xxxxx-xxxxx',
+  },
+  passkey: {
+    label: 'Passkey',
+    prompt: 'Confirm with a passkey on this device, a security key or your phone.',
+  },
+};
+
+const TwoFactorChallengeForm = ({ challenge, onCancel }) => {
+  const router = useRouter();
+  const { verifyTwoFactorLogin, sendTwoFactorSms, getTwoFactorPasskey, authLoading } = useAuth();
+
+  const methods = challenge.methods?.length ? challenge.methods : ['totp', 'recovery'];
+  const [method, setMethod] = useState('totp');
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [smsSentTo, setSmsSentTo] = useState(null);
+  const [isSendingSms, setIsSendingSms] = useState(false);
+
+  const switchMethod = async nextMethod => {
+    setMethod(nextMethod);
+    setCode('');
+    setError('');
+
+    if (nextMethod === 'sms' && !smsSentTo) {
+      await handleSendSms();
+    }
+  };
+
+  const handleSendSms = async () => {
+    setIsSendingSms(true);
+    const result = await sendTwoFactorSms(challenge.challengeToken);
+    setIsSendingSms(false);
+
+    if (result.success) {
+      setSmsSentTo(result.phone || challenge.phone);
+      toast.success(`Code sent to ${result.phone || challenge.phone}`);
+    } else {
+      setError(result.message);
+    }
+  };
+
+  // Returns the fields for verifyTwoFactorLogin, or null after reporting what's wrong
+  const collectProof = async () => {
+    if (method === 'passkey') {
+      const assertion = await getTwoFactorPasskey(challenge.challengeToken);
+      if (!assertion.success) {
+        setError(assertion.message);
+        return null;
+      }
+      return { passkey: assertion.passkey };
+    }
+
+    const trimmed = code.trim();
+    if (method !== 'recovery' && !/^\d{6}$/.test(trimmed)) {
+      setError('Enter the 6-digit code');
+      return null;
+    }
+    if (!trimmed) {
+      setError('Enter a recovery code');
+      return null;
+    }
+    return { code: trimmed };
+  };
+
+  const handleSubmit = async e => {
+    e.preventDefault();
+    setError('');
+
+    const proof = await collectProof();
+    if (!proof) return;
+
+    const result = await verifyTwoFactorLogin({
+      challengeToken: challenge.challengeToken,
+      method,
+      ...proof,
+    });
+
+    if (result.success) {
+      if (result.recoveryCodesRemaining !== undefined && result.recoveryCodesRemaining <= 3) {
+        toast(`You have ${result.recoveryCodesRemaining} recovery codes left. Generate new ones in your security settings.`);
+      }
+      if (result.redirectTo) {
+        router.push(result.redirectTo);
+      }
+      return;
+    }
+
+    if (result.expired) {
+      toast.error(result.message);
+      onCancel();
+      return;
+    }
+    setError(result.message);
+  };
+
+  const copy = METHOD_COPY[method];
+
+  return (
+    <motion.form
+      className="space-y-5 w-full"
+      onSubmit={handleSubmit}
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: -20, transition: { duration: 0.2 } }}
+      transition={{ duration: 0.4, ease: 'easeOut' }}
+    >
+      <motion.button
+        type="button"
+        onClick={onCancel}
+        className="flex items-center text-sm text-violet-600 hover:text-violet-800 transition-colors font-medium"
+        whileHover={{ x: -3 }}
+        whileTap={{ scale: 0.97 }}
+      >
+        <HiOutlineArrowLeft className="mr-1.5" /> Back to sign in
+      </motion.button>
+
+      <div className="flex items-start gap-3 p-4 bg-violet-50/60 border border-violet-100 rounded-xl">
+        <HiOutlineShieldCheck className="text-2xl text-violet-600 flex-shrink-0" />
+        <div>
+          <h3 className="text-sm font-semibold text-gray-900">Two-factor authentication</h3>
+          <p className="text-xs text-gray-600 mt-0.5">
+            {method === 'sms' && smsSentTo ? `Enter the code we texted to ${smsSentTo}.` : copy.prompt}
+          </p>
+        </div>
+      </div>
+
+      {method === 'passkey' ? (
+        error && <p className="text-xs text-red-500">{error}</p>
+      ) : (
+        <div>
+          <label htmlFor="two-factor-code" className="block text-sm font-medium text-gray-700 mb-1.5">
+            {copy.label} code
+          </label>
+          <input
+            id="two-factor-code"
+            name="code"
+            type="text"
+            inputMode={method === 'recovery' ? 'text' : 'numeric'}
+            autoComplete="one-time-code"
+            autoFocus
+            maxLength={method === 'recovery' ? 11 : 6}
+            placeholder={copy.placeholder}
+            value={code}
+            onChange={e => setCode(method === 'recovery' ? e.target.value : e.target.value.replace(/\D/g, ''))}
+            disabled={authLoading}
+            className={`w-full px-4 py-3 border rounded-xl text-center text-lg tracking-[0.3em] text-gray-800 focus:outline-none focus:ring-2 focus:ring-violet-500 focus:border-transparent transition-all duration-300 ${
+              error ? 'border-red-300 bg-red-50/30' : 'border-gray-200 bg-white/60'
+            }`}
+          />
+          {error && <p className="mt-2 text-xs text-red-500">{error}</p>}
+        </div>
+      )}
+
+      <motion.button
+        type="submit"
+        className="w-full py-3.5 bg-gradient-to-br from-violet-600 to-violet-700 text-white font-medium rounded-xl hover:from-violet-700 hover:to-violet-800 transition-all duration-300 shadow-md hover:shadow-xl disabled:opacity-70 disabled:shadow-none"
+        disabled={authLoading}
+        whileHover={{ scale: authLoading ? 1 : 1.02 }}
+        whileTap={{ scale: authLoading ? 1 : 0.98 }}
+      >
+        {authLoading ? 'Verifying...' : method === 'passkey' ? 'Use passkey and sign in' : 'Verify and sign in'}
+      </motion.button>
+
+      <div className="pt-1 space-y-2 text-center text-sm">
+        {method === 'sms' && (
+          <button
+            type="button"
+            onClick={handleSendSms}
+            disabled={isSendingSms}
+            className="block w-full text-violet-600 hover:text-violet-800 disabled:opacity-60"
+          >
+            {isSendingSms ? 'Sending...' : 'Resend code'}
+          </button>
+        )}
+        {methods
+          .filter(option => option !== method)
+          .map(option => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => switchMethod(option)}
+              disabled={isSendingSms}
+              className="block w-full text-gray-500 hover:text-violet-700"
+            >
+              Use {METHOD_COPY[option].label.toLowerCase()} instead
+            </button>
+          ))}
+      </div>
+    </motion.form>
+  );
+};
+
+export default TwoFactorChallengeForm;
@@ -16,6 +16,7 @@ import {
 import { useAuth } from "@/lib/contexts/auth-context";
 import EmailRegistrationForm from "./EmailRegistrationForm";
 import GoogleAuthButton from 'Components/common/Auth/GoogleAuthButton';
+import OAuthProviderButton from 'Components/common/Auth/OAuthProviderButton';
 import SocialDivider from 'Components/common/Auth/SocialDivider';
 import { debounce } from "lodash";
 
@@ -362,7 +363,7 @@ const RegisterLeft = () => {
             </div>
           </motion.div>
 
-          {/* Google OAuth Section */}
+          {/* OAuth Section */}
           <motion.div 
             variants={itemVariants} 
             className="mb-6"
@@ -375,6 +376,10 @@ const RegisterLeft = () => {
               size="default"
               className="shadow-sm"
             />
+            <div className="mt-3 grid grid-cols-2 gap-3">
+              <OAuthProviderButton provider="github" isLogin={false} />
+              <OAuthProviderButton provider="linkedin" isLogin={false} />
+            </div>
           </motion.div>
 
           {/* Divider */}
@@ -0,0 +1,110 @@
+'use client';
+
+import React, { useState } from 'react';
+import Link from 'next/link';
+import { useSearchParams } from 'next/navigation';
+import { motion } from 'framer-motion';
+import { ShieldAlert, ShieldCheck, AlertCircle, RefreshCw } from 'lucide-react';
+import { useAuth } from '@/lib/contexts/auth-context';
+
+const SecureAccount = () => {
+  const searchParams = useSearchParams();
+  const token = searchParams.get('token');
+  const { secureAccount } = useAuth();
+
+  // 'confirm' | 'working' | 'done' | 'error'
+  const [status, setStatus] = useState(token ? 'confirm' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This security link is incomplete.');
+
+  // Runs on click rather than on load so email link scanners can't trigger it
+  const handleSecure = async () => {
+    setStatus('working');
+    const result = await secureAccount(token);
+
+    if (!result.success) {
+      setStatus('error');
+      setMessage(result.message);
+      return;
+    }
+
+    setStatus('done');
+    setMessage(result.message);
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="w-full max-w-md bg-white/80 backdrop-blur-sm border border-violet-100 rounded-3xl p-8 shadow-2xl shadow-primary/10 text-center"
+    >
+      {(status === 'confirm' || status === 'working') && (
+        <>
+          <div className="mx-auto w-16 h-16 mb-6 flex items-center justify-center rounded-full bg-gradient-to-br from-red-400 to-pink-500 shadow-lg">
+            <ShieldAlert className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-2xl font-bold text-gray-900 mb-3">Didn't sign in?</h1>
+          <p className="text-sm text-gray-600 mb-6">
+            We'll sign you out on every device, including any an intruder is using, and email you a link
+            to choose a new password before your password works again.
+          </p>
+          <button
+            type="button"
+            onClick={handleSecure}
+            disabled={status === 'working'}
+            className="w-full py-3.5 bg-gradient-to-r from-red-500 to-pink-600 text-white font-semibold rounded-2xl shadow-lg hover:shadow-xl transition-all disabled:opacity-70 flex items-center justify-center"
+          >
+            {status === 'working' ? (
+              <>
+                <RefreshCw className="w-4 h-4 mr-2 animate-spin" /> Securing your account...
+              </>
+            ) : (
+              'Secure my account'
+            )}
+          </button>
+          <Link href="/" className="block mt-4 text-sm text-gray-500 hover:text-primary">
+            It was me, take me back
+          </Link>
+        </>
+      )}
+
+      {status === 'done' && (
+        <>
+          <div className="mx-auto w-16 h-16 mb-6 flex items-center justify-center rounded-full bg-gradient-to-br from-primary to-purple-600 shadow-lg">
+            <ShieldCheck className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-2xl font-bold text-gray-900 mb-3">Your account is locked down</h1>
+          <p className="text-sm text-gray-600 mb-6">{message}</p>
+          <Link
+            href="/auth/login"
+            className="block w-full py-3.5 bg-gradient-to-r from-primary to-purple-600 text-white font-semibold rounded-2xl shadow-lg hover:shadow-xl transition-all"
+          >
+            Back to sign in
+          </Link>
+        </>
+      )}
+
+      {status === 'error' && (
+        <>
+          <div className="mx-auto w-16 h-16 mb-6 flex items-center justify-center rounded-full bg-red-100">
+            <AlertCircle className="w-8 h-8 text-red-500" />
+          </div>
+          <h1 className="text-2xl font-bold text-gray-900 mb-3">We couldn't use this link</h1>
+          <p className="text-sm text-gray-600 mb-6">{message}</p>
+          <div className="space-y-3">
+            <Link
+              href="/auth/forgot-password"
+              className="block w-full py-3.5 bg-gradient-to-r from-primary to-purple-600 text-white font-semibold rounded-2xl shadow-lg hover:shadow-xl transition-all"
+            >
+              Reset my password
+            </Link>
+            <Link href="/auth/login" className="block text-sm text-gray-500 hover:text-primary">
+              Back to sign in
+            </Link>
+          </div>
+        </>
+      )}
+    </motion.div>
+  );
+};
+
+export default SecureAccount;
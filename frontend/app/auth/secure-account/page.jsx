@@ -0,0 +1,19 @@
+import { Suspense } from 'react'
+import SecureAccount from './Components/SecureAccount'
+
+export const metadata = {
+  title: "Secure Your Account - Product Bazar",
+  description: "Sign out of every device and choose a new password.",
+};
+
+function page() {
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-gradient-to-br from-violet-50 to-purple-50 px-6 py-12">
+      <Suspense fallback={null}>
+        <SecureAccount />
+      </Suspense>
+    </div>
+  )
+}
+
+export default page
@@ -197,6 +197,8 @@ const CompleteProfileContainer = () => {
     }
 
     if (user) {
+      // Picture from a linked OAuth account, for users who haven't uploaded one
+      const linkedPicture = user.linkedAccounts?.find(account => account.profilePicture)?.profilePicture;
       const initialData = {
         firstName: user.firstName || "", lastName: user.lastName || "", email: user.email || "",
         phone: (user.isPhoneVerified && user.phone) ? user.phone : user.phone || "",
@@ -209,7 +211,7 @@ const CompleteProfileContainer = () => {
         skills: user.skills || [],
         interests: user.interests?.map(i => (typeof i === 'string' ? i : i?.name || '')).filter(Boolean) || [],
         socialLinks: user.socialLinks || { facebook: "", twitter: "", linkedin: "", instagram: "", github: "", website: "" },
-        profilePicture: user.profilePicture?.url || user.googleProfile?.profilePicture || "", profileImage: null,
+        profilePicture: user.profilePicture?.url || linkedPicture || "", profileImage: null,
         companyName: user.companyName || "", companyWebsite: user.companyWebsite || "",
         companyRole: user.companyRole || "", industry: user.industry || "",
         roleDetails: {}, // Initialize empty, will be populated below
@@ -223,7 +225,7 @@ const CompleteProfileContainer = () => {
       setFormData(initialData);
       setSkillTags(user.skills || []);
       setInterestTags(initialData.interests); // Use the processed interests
-      setProfileImagePreview(user.profilePicture?.url || user.googleProfile?.profilePicture || null);
+      setProfileImagePreview(user.profilePicture?.url || linkedPicture || null);
 
       // Fetch and merge existing role-specific data
       if (user.role && user.role !== "user" && user._id) {
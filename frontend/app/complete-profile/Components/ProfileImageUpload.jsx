@@ -32,9 +32,10 @@ const ProfileImageUpload = forwardRef(
         return user.profilePicture;
       }
 
-      // Fourth priority: Google profile picture (for OAuth users)
-      if (user?.googleProfile?.profilePicture && !imgError) {
-        return user.googleProfile.profilePicture;
+      // Fourth priority: picture from a linked OAuth account
+      const linkedPicture = user?.linkedAccounts?.find(account => account.profilePicture)?.profilePicture;
+      if (linkedPicture && !imgError) {
+        return linkedPicture;
       }
 
       return null;
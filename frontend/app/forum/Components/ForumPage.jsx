@@ -0,0 +1,253 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import Link from "next/link";
+import { useRouter, useSearchParams } from "next/navigation";
+import { motion } from "framer-motion";
+import { toast } from "react-hot-toast";
+import { MessageSquare, ArrowUp, Eye, Pin, Lock, Plus, Tag, X, Loader2 } from "lucide-react";
+
+import NewThreadForm from "./NewThreadForm";
+import { getForumCategories, getThreads, getPopularTags } from "@/lib/services/forum-service";
+import { useCursorPagination } from "@/lib/hooks/useCursorPagination";
+import { useAuth } from "@/lib/contexts/auth-context";
+import logger from "@/lib/utils/logger";
+
+const SORT_OPTIONS = [
+  { value: "active", label: "Active" },
+  { value: "newest", label: "Newest" },
+  { value: "top", label: "Top" },
+  { value: "unanswered", label: "Unanswered" },
+];
+
+const getAuthorName = (author) =>
+  [author?.firstName, author?.lastName].filter(Boolean).join(" ") || author?.username || "Community member";
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-US", { month: "short", day: "numeric" });
+
+const ThreadRow = ({ thread }) => (
+  <Link
+    href={`/forum/thread/${thread._id}`}
+    className="block p-5 border-b border-gray-100 last:border-b-0 hover:bg-violet-50/30 transition-colors group"
+  >
+    <div className="flex items-start gap-4">
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center gap-2 mb-1">
+          {thread.isPinned && <Pin size={14} className="text-violet-600 flex-shrink-0" />}
+          {thread.isLocked && <Lock size={14} className="text-gray-400 flex-shrink-0" />}
+          <h3 className="font-medium text-gray-900 line-clamp-1 group-hover:text-violet-700 transition-colors">
+            {thread.title}
+          </h3>
+        </div>
+        {thread.excerpt && <p className="text-sm text-gray-500 line-clamp-2 mb-2">{thread.excerpt}</p>}
+        <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+          {thread.category && (
+            <span
+              className="px-2 py-0.5 rounded-full font-medium text-white"
+              style={{ backgroundColor: thread.category.color || "#7C3AED" }}
+            >
+              {thread.category.name}
+            </span>
+          )}
+          <span>{getAuthorName(thread.author)}</span>
+          <span>·</span>
+          <span>
+            {thread.lastReplyBy
+              ? `last reply by ${getAuthorName(thread.lastReplyBy)} ${formatDate(thread.lastActivityAt)}`
+              : formatDate(thread.createdAt)}
+          </span>
+          {thread.tags?.map((tag) => (
+            <span key={tag} className="text-violet-600">#{tag}</span>
+          ))}
+        </div>
+      </div>
+      <div className="hidden sm:flex items-center gap-4 text-sm text-gray-500 flex-shrink-0">
+        <span className="flex items-center gap-1"><ArrowUp size={14} />{thread.upvotes?.count || 0}</span>
+        <span className="flex items-center gap-1"><MessageSquare size={14} />{thread.replyCount || 0}</span>
+        <span className="flex items-center gap-1"><Eye size={14} />{thread.views?.count || 0}</span>
+      </div>
+    </div>
+  </Link>
+);
+
+function ForumPage() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const { isAuthenticated } = useAuth();
+
+  const category = searchParams.get("category") || "";
+  const tag = searchParams.get("tag") || "";
+  const sort = searchParams.get("sort") || "active";
+
+  const [categories, setCategories] = useState([]);
+  const [popularTags, setPopularTags] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+
+  useEffect(() => {
+    getForumCategories()
+      .then(setCategories)
+      .catch((error) => logger.error("Failed to load forum categories:", error));
+    getPopularTags(15)
+      .then(setPopularTags)
+      .catch((error) => logger.error("Failed to load forum tags:", error));
+  }, []);
+
+  const updateFilters = (changes) => {
+    const params = new URLSearchParams(searchParams.toString());
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+      else params.delete(key);
+    });
+    const query = params.toString();
+    router.push(query ? `/forum?${query}` : "/forum", { scroll: false });
+  };
+
+  const fetchPage = useCallback(
+    async (cursor) => {
+      const { threads, pagination } = await getThreads({
+        cursor,
+        sort,
+        ...(category && { category }),
+        ...(tag && { tag }),
+      });
+      return { items: threads, pagination };
+    },
+    [category, tag, sort]
+  );
+
+  const { items: threads, isLoading, hasMore, error, sentinelRef } = useCursorPagination(
+    fetchPage,
+    [category, tag, sort]
+  );
+
+  const handleNewThread = () => {
+    if (!isAuthenticated) {
+      toast.error("Please log in to start a discussion");
+      return;
+    }
+    setShowForm((prev) => !prev);
+  };
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4 mb-8">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Community Forum</h1>
+          <p className="text-gray-500 mt-1">Ask questions, share feedback and learn from other makers.</p>
+        </div>
+        <motion.button
+          whileHover={{ scale: 1.03 }}
+          whileTap={{ scale: 0.97 }}
+          onClick={handleNewThread}
+          className="flex items-center gap-2 px-5 py-2.5 bg-violet-600 hover:bg-violet-700 text-white rounded-lg shadow-md shadow-violet-200 text-sm font-medium"
+        >
+          <Plus size={16} />
+          New thread
+        </motion.button>
+      </div>
+
+      {showForm && categories.length > 0 && (
+        <NewThreadForm categories={categories} onClose={() => setShowForm(false)} />
+      )}
+
+      <div className="flex flex-col lg:flex-row gap-8">
+        <aside className="lg:w-60 flex-shrink-0 space-y-6">
+          <div>
+            <h2 className="text-xs font-semibold uppercase tracking-wide text-gray-400 mb-2">Categories</h2>
+            <nav className="flex lg:flex-col flex-wrap gap-1">
+              <button
+                onClick={() => updateFilters({ category: "" })}
+                className={`text-left px-3 py-1.5 rounded-lg text-sm transition-colors ${
+                  !category ? "bg-violet-100 text-violet-700 font-medium" : "text-gray-600 hover:bg-gray-100"
+                }`}
+              >
+                All categories
+              </button>
+              {categories.map((cat) => (
+                <button
+                  key={cat._id}
+                  onClick={() => updateFilters({ category: cat.slug })}
+                  className={`flex items-center justify-between text-left px-3 py-1.5 rounded-lg text-sm transition-colors ${
+                    category === cat.slug ? "bg-violet-100 text-violet-700 font-medium" : "text-gray-600 hover:bg-gray-100"
+                  }`}
+                >
+                  <span className="flex items-center gap-2">
+                    <span className="w-2 h-2 rounded-full" style={{ backgroundColor: cat.color }} />
+                    {cat.name}
+                  </span>
+                  <span className="text-xs text-gray-400 ml-2">{cat.threadCount}</span>
+                </button>
+              ))}
+            </nav>
+          </div>
+
+          {popularTags.length > 0 && (
+            <div>
+              <h2 className="text-xs font-semibold uppercase tracking-wide text-gray-400 mb-2">Popular tags</h2>
+              <div className="flex flex-wrap gap-1.5">
+                {popularTags.map(({ tag: name, count }) => (
+                  <button
+                    key={name}
+                    onClick={() => updateFilters({ tag: name })}
+                    className={`px-2.5 py-1 rounded-full text-xs transition-colors ${
+                      tag === name ? "bg-violet-600 text-white" : "bg-gray-100 text-gray-600 hover:bg-violet-50 hover:text-violet-700"
+                    }`}
+                  >
+                    #{name} <span className="opacity-60">{count}</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+        </aside>
+
+        <section className="flex-1 min-w-0">
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            {SORT_OPTIONS.map((option) => (
+              <button
+                key={option.value}
+                onClick={() => updateFilters({ sort: option.value === "active" ? "" : option.value })}
+                className={`px-3 py-1.5 rounded-lg text-sm transition-colors ${
+                  sort === option.value ? "bg-gray-900 text-white" : "text-gray-600 hover:bg-gray-100"
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+            {tag && (
+              <button
+                onClick={() => updateFilters({ tag: "" })}
+                className="ml-auto flex items-center gap-1 px-3 py-1.5 rounded-full bg-violet-50 text-violet-700 text-sm"
+              >
+                <Tag size={12} />
+                {tag}
+                <X size={12} />
+              </button>
+            )}
+          </div>
+
+          <div className="bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden">
+            {threads.map((thread) => (
+              <ThreadRow key={thread._id} thread={thread} />
+            ))}
+
+            {!isLoading && !error && threads.length === 0 && (
+              <p className="p-10 text-center text-gray-500">No threads here yet. Start the first discussion!</p>
+            )}
+            {error && <p className="p-6 text-center text-sm text-red-600">Failed to load threads.</p>}
+            {isLoading && (
+              <div className="flex justify-center p-6">
+                <Loader2 size={20} className="animate-spin text-violet-600" />
+              </div>
+            )}
+          </div>
+
+          {hasMore && <div ref={sentinelRef} className="h-1" />}
+        </section>
+      </div>
+    </div>
+  );
+}
+
+export default ForumPage;
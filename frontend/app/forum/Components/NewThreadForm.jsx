@@ -0,0 +1,143 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { motion } from "framer-motion";
+import { toast } from "react-hot-toast";
+import { X, Loader2 } from "lucide-react";
+
+import { createThread } from "@/lib/services/forum-service";
+import logger from "@/lib/utils/logger";
+
+const MAX_TAGS = 5;
+const MIN_BODY_LENGTH = 20;
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Blank lines become paragraphs; lines starting with "## " become section headings
+const toThreadHtml = (text) =>
+  text
+    .trim()
+    .split(/\n{2,}/)
+    .map((block) => {
+      const heading = block.match(/^(#{2,3})\s+(.+)$/);
+      if (heading) {
+        const level = heading[1].length;
+        return `<h${level}>${escapeHtml(heading[2])}</h${level}>`;
+      }
+      return `<p>${escapeHtml(block).replace(/\n/g, "<br>")}</p>`;
+    })
+    .join("");
+
+const parseTags = (value) =>
+  [...new Set(value.split(",").map((tag) => tag.trim().toLowerCase()).filter(Boolean))].slice(0, MAX_TAGS);
+
+function NewThreadForm({ categories, onClose }) {
+  const router = useRouter();
+  const [title, setTitle] = useState("");
+  const [category, setCategory] = useState(categories[0]?._id || "");
+  const [tags, setTags] = useState("");
+  const [body, setBody] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const canSubmit = title.trim().length >= 5 && body.trim().length >= MIN_BODY_LENGTH && category;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSubmit || isSubmitting) return;
+
+    setIsSubmitting(true);
+    try {
+      const thread = await createThread({
+        title: title.trim(),
+        category,
+        tags: parseTags(tags),
+        body: toThreadHtml(body),
+      });
+      toast.success("Thread published");
+      router.push(`/forum/thread/${thread._id}`);
+    } catch (error) {
+      logger.error("Failed to create thread:", error);
+      toast.error(error.response?.data?.message || "Failed to publish thread");
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <motion.form
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      onSubmit={handleSubmit}
+      className="bg-white border border-violet-100 rounded-2xl shadow-sm p-6 mb-8 space-y-4"
+    >
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-gray-900">Start a discussion</h2>
+        <button type="button" onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600" aria-label="Close">
+          <X size={18} />
+        </button>
+      </div>
+
+      <input
+        type="text"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        placeholder="What would you like to discuss?"
+        maxLength={200}
+        className="w-full px-4 py-2.5 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-violet-500 focus:border-transparent"
+      />
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <select
+          value={category}
+          onChange={(e) => setCategory(e.target.value)}
+          className="w-full px-4 py-2.5 border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-violet-500"
+        >
+          {categories.map((cat) => (
+            <option key={cat._id} value={cat._id}>
+              {cat.name}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={tags}
+          onChange={(e) => setTags(e.target.value)}
+          placeholder={`Tags, comma separated (up to ${MAX_TAGS})`}
+          className="w-full px-4 py-2.5 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-violet-500 focus:border-transparent"
+        />
+      </div>
+
+      <div>
+        <textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          placeholder="Share the details. Separate paragraphs with a blank line; start a line with ## for a section heading."
+          rows={8}
+          maxLength={50000}
+          className="w-full px-4 py-3 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-violet-500 focus:border-transparent resize-y"
+        />
+        {body.trim().length > 0 && body.trim().length < MIN_BODY_LENGTH && (
+          <p className="text-xs text-gray-500 mt-1">At least {MIN_BODY_LENGTH} characters.</p>
+        )}
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          type="submit"
+          disabled={!canSubmit || isSubmitting}
+          className="flex items-center gap-2 px-5 py-2.5 bg-violet-600 hover:bg-violet-700 text-white rounded-lg text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSubmitting && <Loader2 size={16} className="animate-spin" />}
+          Publish thread
+        </button>
+      </div>
+    </motion.form>
+  );
+}
+
+export default NewThreadForm;
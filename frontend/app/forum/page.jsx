@@ -0,0 +1,21 @@
+import { Suspense } from 'react'
+import ForumPage from './Components/ForumPage'
+
+export const metadata = {
+  title: "Forum - Product Bazar",
+  description: "Ask questions, share feedback and discuss products with the Product Bazar community.",
+};
+
+function page() {
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-50 to-white">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+        <Suspense fallback={null}>
+          <ForumPage />
+        </Suspense>
+      </div>
+    </div>
+  )
+}
+
+export default page
@@ -0,0 +1,340 @@
+"use client";
+
+import { useState, useCallback } from "react";
+import Link from "next/link";
+import Image from "next/image";
+import { motion } from "framer-motion";
+import { toast } from "react-hot-toast";
+import { MessageSquare, ArrowUp, CornerDownRight, Trash2, Lock, Loader2 } from "lucide-react";
+
+import { useAuth } from "@/lib/contexts/auth-context";
+import { useCursorPagination } from "@/lib/hooks/useCursorPagination";
+import { getThreadReplies, addThreadReply, deleteThreadReply, toggleReplyUpvote } from "@/lib/services/forum-service";
+import logger from "@/lib/utils/logger";
+
+const MAX_REPLY_LENGTH = 10000;
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// The API stores replies as sanitized HTML; blank lines become paragraphs
+const toReplyHtml = (text) =>
+  text
+    .trim()
+    .split(/\n{2,}/)
+    .map((paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, "<br>")}</p>`)
+    .join("");
+
+const getName = (user) =>
+  [user?.firstName, user?.lastName].filter(Boolean).join(" ") || user?.username || "Community member";
+
+const timeAgo = (date) => {
+  const seconds = Math.floor((Date.now() - new Date(date).getTime()) / 1000);
+  if (seconds < 60) return "just now";
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  const days = Math.floor(hours / 24);
+  if (days < 30) return `${days}d ago`;
+  return new Date(date).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+};
+
+const ReplyAvatar = ({ author }) =>
+  author?.profilePicture?.url ? (
+    <Image
+      src={author.profilePicture.url}
+      alt={getName(author)}
+      width={36}
+      height={36}
+      className="w-9 h-9 rounded-full object-cover flex-shrink-0"
+    />
+  ) : (
+    <div className="w-9 h-9 rounded-full bg-violet-100 text-violet-700 text-sm font-semibold flex items-center justify-center flex-shrink-0">
+      {getName(author).charAt(0).toUpperCase()}
+    </div>
+  );
+
+const ReplyForm = ({ onSubmit, onCancel, placeholder, autoFocus = false }) => {
+  const [text, setText] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!text.trim() || isSubmitting) return;
+
+    setIsSubmitting(true);
+    try {
+      await onSubmit(toReplyHtml(text));
+      setText("");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder={placeholder}
+        autoFocus={autoFocus}
+        maxLength={MAX_REPLY_LENGTH}
+        rows={autoFocus ? 3 : 4}
+        className="w-full px-4 py-3 border border-gray-200 rounded-lg text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-violet-500 focus:border-transparent resize-y"
+      />
+      <div className="flex items-center justify-end gap-2">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800 rounded-lg"
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={!text.trim() || isSubmitting}
+          className="flex items-center gap-2 px-4 py-2 text-sm bg-violet-600 hover:bg-violet-700 text-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSubmitting && <Loader2 size={14} className="animate-spin" />}
+          Post reply
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const ReplyItem = ({ reply, currentUser, isLocked, activeReplyId, setActiveReplyId, onReply, onDelete, onUpvote }) => {
+  const isOwner = currentUser && (reply.author?._id === currentUser._id || currentUser.role === "admin");
+  const isReplying = activeReplyId === reply._id;
+
+  return (
+    <div className="flex gap-3">
+      <Link href={reply.author?.username ? `/user/${reply.author.username}` : "#"}>
+        <ReplyAvatar author={reply.author} />
+      </Link>
+      <div className="flex-1 min-w-0">
+        <div className="flex flex-wrap items-center gap-x-2 text-sm">
+          <span className="font-medium text-gray-900">{getName(reply.author)}</span>
+          <span className="text-gray-400">·</span>
+          <span className="text-gray-500">{timeAgo(reply.createdAt)}</span>
+          {reply.editedAt && <span className="text-gray-400 text-xs">(edited)</span>}
+        </div>
+
+        {reply.depth > 0 && reply.replyingTo?.username && (
+          <div className="flex items-center text-xs text-gray-500 mt-0.5">
+            <CornerDownRight size={12} className="mr-1" />
+            replying to
+            <Link href={`/user/${reply.replyingTo.username}`} className="ml-1 text-violet-600 hover:underline">
+              @{reply.replyingTo.username}
+            </Link>
+          </div>
+        )}
+
+        <div
+          className="prose prose-sm max-w-none text-gray-700 mt-1.5"
+          dangerouslySetInnerHTML={{ __html: reply.body }}
+        />
+
+        <div className="flex items-center gap-4 mt-2 text-sm">
+          <button
+            onClick={() => onUpvote(reply)}
+            className={`flex items-center gap-1 transition-colors ${
+              reply.upvotes?.userHasUpvoted ? "text-violet-600" : "text-gray-500 hover:text-violet-600"
+            }`}
+            aria-pressed={Boolean(reply.upvotes?.userHasUpvoted)}
+          >
+            <ArrowUp size={14} />
+            <span>{reply.upvotes?.count || 0}</span>
+          </button>
+          {!isLocked && (
+            <button
+              onClick={() => setActiveReplyId(isReplying ? null : reply._id)}
+              className="flex items-center gap-1 text-gray-500 hover:text-violet-600 transition-colors"
+            >
+              <MessageSquare size={14} />
+              <span>Reply</span>
+            </button>
+          )}
+          {isOwner && (
+            <button
+              onClick={() => onDelete(reply)}
+              className="flex items-center gap-1 text-gray-400 hover:text-red-600 transition-colors"
+            >
+              <Trash2 size={14} />
+              <span>Delete</span>
+            </button>
+          )}
+        </div>
+
+        {isReplying && (
+          <div className="mt-3">
+            <ReplyForm
+              autoFocus
+              placeholder={`Reply to ${getName(reply.author)}...`}
+              onCancel={() => setActiveReplyId(null)}
+              onSubmit={(body) => onReply(body, reply._id)}
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Reply list and composer for a forum thread. Top-level replies are paged;
+ * each one arrives with its full nested conversation.
+ */
+function ThreadReplies({ threadId, isLocked, replyCount, onCountChange }) {
+  const { user, isAuthenticated } = useAuth();
+  const [activeReplyId, setActiveReplyId] = useState(null);
+  // Upvote results applied on top of the fetched pages
+  const [upvoteOverrides, setUpvoteOverrides] = useState({});
+
+  const fetchPage = useCallback(
+    async (cursor) => {
+      const { replies, pagination } = await getThreadReplies(threadId, { cursor });
+      return { items: replies, pagination };
+    },
+    [threadId]
+  );
+
+  const { items: replies, isLoading, hasMore, error, reset, sentinelRef } = useCursorPagination(
+    fetchPage,
+    [threadId],
+    { enabled: Boolean(threadId) }
+  );
+
+  const withOverrides = (reply) =>
+    upvoteOverrides[reply._id] ? { ...reply, upvotes: upvoteOverrides[reply._id] } : reply;
+
+  const requireAuth = (action) => {
+    if (isAuthenticated) return true;
+    toast.error(`Please log in to ${action}`);
+    return false;
+  };
+
+  const handleReply = async (body, parentId = null) => {
+    if (!requireAuth("reply")) return;
+
+    try {
+      await addThreadReply(threadId, { body, parentId });
+      setActiveReplyId(null);
+      onCountChange?.(1);
+      reset();
+      toast.success("Reply posted");
+    } catch (err) {
+      logger.error("Failed to post reply:", err);
+      toast.error(err.response?.data?.message || "Failed to post reply");
+      throw err;
+    }
+  };
+
+  const handleDelete = async (reply) => {
+    if (!window.confirm("Delete this reply and the replies under it?")) return;
+
+    try {
+      const deletedCount = await deleteThreadReply(reply._id);
+      onCountChange?.(-(deletedCount || 1));
+      reset();
+      toast.success("Reply deleted");
+    } catch (err) {
+      logger.error("Failed to delete reply:", err);
+      toast.error(err.response?.data?.message || "Failed to delete reply");
+    }
+  };
+
+  const handleUpvote = async (reply) => {
+    if (!requireAuth("upvote")) return;
+
+    try {
+      const { upvoted, count } = await toggleReplyUpvote(reply._id);
+      setUpvoteOverrides((prev) => ({ ...prev, [reply._id]: { count, userHasUpvoted: upvoted } }));
+    } catch (err) {
+      logger.error("Failed to upvote reply:", err);
+      toast.error("Failed to update upvote");
+    }
+  };
+
+  const itemProps = {
+    currentUser: user,
+    isLocked,
+    activeReplyId,
+    setActiveReplyId,
+    onReply: handleReply,
+    onDelete: handleDelete,
+    onUpvote: handleUpvote,
+  };
+
+  return (
+    <section id="replies" className="max-w-3xl mx-auto mt-16 pb-16">
+      <h2 className="text-2xl font-bold text-gray-900 mb-6 flex items-center gap-2">
+        <MessageSquare size={22} className="text-violet-600" />
+        {replyCount || 0} {replyCount === 1 ? "Reply" : "Replies"}
+      </h2>
+
+      {isLocked ? (
+        <div className="flex items-center gap-2 p-4 mb-8 bg-gray-50 border border-gray-200 rounded-lg text-sm text-gray-600">
+          <Lock size={16} />
+          This thread is locked. New replies are disabled.
+        </div>
+      ) : isAuthenticated ? (
+        <div className="mb-10">
+          <ReplyForm placeholder="Share your thoughts..." onSubmit={(body) => handleReply(body)} />
+        </div>
+      ) : (
+        <div className="p-4 mb-8 bg-violet-50 border border-violet-100 rounded-lg text-sm text-gray-700">
+          <Link href="/auth/login" className="text-violet-600 font-medium hover:underline">
+            Log in
+          </Link>{" "}
+          to join the discussion.
+        </div>
+      )}
+
+      <div className="space-y-8">
+        {replies.map((reply) => (
+          <motion.div
+            key={reply._id}
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="space-y-5"
+          >
+            <ReplyItem reply={withOverrides(reply)} {...itemProps} />
+            {reply.replies?.length > 0 && (
+              <div className="ml-6 pl-6 border-l-2 border-violet-100 space-y-5">
+                {reply.replies.map((nested) => (
+                  <ReplyItem key={nested._id} reply={withOverrides(nested)} {...itemProps} />
+                ))}
+              </div>
+            )}
+          </motion.div>
+        ))}
+      </div>
+
+      {!isLoading && !error && replies.length === 0 && (
+        <p className="text-center text-gray-500 py-8">No replies yet. Start the conversation!</p>
+      )}
+
+      {error && (
+        <p className="text-center text-red-600 text-sm py-4">Failed to load replies.</p>
+      )}
+
+      {isLoading && (
+        <div className="flex justify-center py-6">
+          <Loader2 size={20} className="animate-spin text-violet-600" />
+        </div>
+      )}
+
+      {hasMore && <div ref={sentinelRef} className="h-1" />}
+    </section>
+  );
+}
+
+export default ThreadReplies;
@@ -0,0 +1,65 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import Link from "next/link";
+import { Sparkles, Building, MapPin } from "lucide-react";
+import logger from "@/lib/utils/logger";
+import { getRecommendedJobs, getMatchScoreClass } from "@/lib/utils/job/job-match";
+
+/**
+ * Open jobs that best fit the signed-in user's jobseeker/freelancer profile
+ */
+const RecommendedJobs = () => {
+  const [jobs, setJobs] = useState([]);
+
+  useEffect(() => {
+    getRecommendedJobs(6)
+      .then((data) => setJobs(data.jobs))
+      .catch((error) => logger.error("Error fetching recommended jobs:", error));
+  }, []);
+
+  // Nothing to show without a profile or any good matches
+  if (jobs.length === 0) return null;
+
+  return (
+    <div className="mb-10">
+      <h2 className="flex items-center text-lg font-semibold text-gray-900 mb-4">
+        <Sparkles size={18} className="mr-2 text-violet-600" />
+        Recommended for you
+      </h2>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+        {jobs.map((job) => (
+          <Link
+            key={job._id}
+            href={`/jobs/${job.slug}`}
+            className="block p-4 bg-white border border-gray-100 rounded-xl shadow-sm hover:border-violet-200 hover:shadow-md transition-all"
+          >
+            <div className="flex items-start justify-between gap-2">
+              <h3 className="font-semibold text-gray-900 line-clamp-2">{job.title}</h3>
+              <span className={`flex-shrink-0 px-2 py-0.5 text-xs font-medium rounded-full ${getMatchScoreClass(job.match.score)}`}>
+                {job.match.score}%
+              </span>
+            </div>
+            <p className="flex items-center mt-2 text-sm text-gray-500 truncate">
+              <Building size={14} className="mr-1.5 flex-shrink-0" />
+              {job.company?.name}
+            </p>
+            {job.location && (
+              <p className="flex items-center mt-1 text-sm text-gray-500 truncate">
+                <MapPin size={14} className="mr-1.5 flex-shrink-0" />
+                {job.location}
+              </p>
+            )}
+            {job.match.matchingSkills.length > 0 && (
+              <p className="mt-2 text-xs text-green-700 truncate">
+                {job.match.matchingSkills.join(" · ")}
+              </p>
+            )}
+          </Link>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RecommendedJobs;
@@ -0,0 +1,123 @@
+"use client";
+
+import { useState } from "react";
+import Link from "next/link";
+import { X, Loader2, Bell } from "lucide-react";
+import { toast } from "react-hot-toast";
+import logger from "@/lib/utils/logger";
+import { ALERT_FREQUENCIES, createJobAlert } from "@/lib/utils/job/job-alerts";
+
+// Short description of a search, e.g. "React · Remote · From 80000"
+export const describeCriteria = (criteria) =>
+  [
+    criteria.query && `“${criteria.query}”`,
+    criteria.jobType,
+    criteria.locationType,
+    criteria.experienceLevel,
+    criteria.salaryMin && `From ${criteria.salaryMin}`,
+    criteria.salaryMax && `Up to ${criteria.salaryMax}`,
+    (Array.isArray(criteria.skills) ? criteria.skills.join(", ") : criteria.skills) || null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+/**
+ * Dialog that saves the jobs page's current search as a job alert
+ */
+const SaveSearchModal = ({ criteria, onClose }) => {
+  const [name, setName] = useState(criteria.query || "");
+  const [frequency, setFrequency] = useState("daily");
+  const [emailEnabled, setEmailEnabled] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await createJobAlert({
+        ...criteria,
+        name: name.trim() || describeCriteria(criteria).slice(0, 100),
+        frequency,
+        emailEnabled,
+      });
+      toast.success("Search saved. We'll let you know about new matching jobs.");
+      onClose();
+    } catch (error) {
+      logger.error("Error saving job alert:", error);
+      toast.error(error.response?.data?.message || "Couldn't save this search");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-xl max-w-md w-full p-6">
+        <div className="flex items-start justify-between mb-4">
+          <h3 className="flex items-center text-lg font-semibold text-gray-900">
+            <Bell size={18} className="mr-2 text-violet-600" />
+            Save this search
+          </h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close">
+            <X size={20} />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-500 mb-4">{describeCriteria(criteria)}</p>
+
+        <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={100}
+          placeholder="e.g. Remote React roles"
+          className="w-full px-4 py-2.5 mb-4 border border-gray-200 rounded-xl focus:outline-none focus:border-violet-600 focus:ring-1 focus:ring-violet-600"
+        />
+
+        <label className="block text-sm font-medium text-gray-700 mb-1">Send me new jobs</label>
+        <select
+          value={frequency}
+          onChange={(e) => setFrequency(e.target.value)}
+          className="w-full px-4 py-2.5 mb-4 border border-gray-200 rounded-xl bg-white focus:outline-none focus:border-violet-600 focus:ring-1 focus:ring-violet-600"
+        >
+          {ALERT_FREQUENCIES.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+
+        <label className="flex items-center gap-2 text-sm text-gray-700 mb-6">
+          <input
+            type="checkbox"
+            checked={emailEnabled}
+            onChange={(e) => setEmailEnabled(e.target.checked)}
+            className="rounded text-violet-600 focus:ring-violet-500"
+          />
+          Also send them by email
+        </label>
+
+        <div className="flex items-center justify-between">
+          <Link href="/user/job-alerts" className="text-sm text-gray-500 hover:text-violet-700">
+            Manage alerts
+          </Link>
+          <div className="flex gap-2">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-sm border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="flex items-center bg-violet-600 text-white px-4 py-2 text-sm rounded-lg hover:bg-violet-700 disabled:opacity-60 transition-colors"
+            >
+              {saving && <Loader2 size={16} className="mr-2 animate-spin" />}
+              Save search
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SaveSearchModal;
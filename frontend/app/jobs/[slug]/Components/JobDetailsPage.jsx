@@ -26,6 +26,12 @@ import { useAuth } from "@/lib/contexts/auth-context";
 import { makePriorityRequest } from "@/lib/api/api";
 import logger from "@/lib/utils/logger";
 import LoaderComponent from "Components/UI/LoaderComponent";
+import ReportButton from "Components/common/ReportButton";
+import ScreeningQuestionsFields, {
+  findUnansweredQuestion,
+  toAnswerList,
+} from "./ScreeningQuestionsFields";
+import JobMatchCard from "./JobMatchCard";
 import { toast } from "react-hot-toast";
 import Link from "next/link";
 
@@ -38,6 +44,7 @@ export default function JobDetailPage({ slug }) {
   const [applying, setApplying] = useState(false);
   const [resume, setResume] = useState(null);
   const [coverLetter, setCoverLetter] = useState("");
+  const [screeningAnswers, setScreeningAnswers] = useState({});
   const [showApplyForm, setShowApplyForm] = useState(false);
   const [applicationSubmitted, setApplicationSubmitted] = useState(false);
   const [scrollPosition, setScrollPosition] = useState(0);
@@ -54,6 +61,14 @@ export default function JobDetailPage({ slug }) {
     return () => window.removeEventListener('scroll', handleScroll);
   }, []);
 
+  // Confirmation after the one-click "extend 30 days" link in the reminder email
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get("extended") === "true") {
+      toast.success("Job posting extended by 30 days");
+    }
+  }, []);
+
   const fetchJob = useCallback(async () => {
     try {
       setLoading(true);
@@ -181,6 +196,12 @@ export default function JobDetailPage({ slug }) {
       return;
     }
 
+    const unanswered = findUnansweredQuestion(job.screeningQuestions, screeningAnswers);
+    if (unanswered) {
+      toast.error(`Please answer: ${unanswered.prompt}`);
+      return;
+    }
+
     // Validate file type
     const allowedTypes = ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
     if (!allowedTypes.includes(resume.type)) {
@@ -211,6 +232,7 @@ export default function JobDetailPage({ slug }) {
       // Add data field with JSON string for additional fields
       const jsonData = {
         coverLetter: coverLetter.trim(),
+        answers: toAnswerList(job.screeningQuestions, screeningAnswers),
         resumeInfo: {
           name: resume.name,
           type: resume.type,
@@ -240,6 +262,7 @@ export default function JobDetailPage({ slug }) {
         setApplicationSubmitted(true);
         setShowApplyForm(false);
         setCoverLetter("");
+        setScreeningAnswers({});
         setResume(null);
         
         // Scroll to success message
@@ -333,11 +356,14 @@ export default function JobDetailPage({ slug }) {
     );
   }
 
+  // Closed, filled, expired or past-deadline postings can't be applied to
+  const isAcceptingApplications = job.isAcceptingApplications !== false;
+
   return (
     <div className="min-h-screen bg-gray-50 pt-8 pb-16">
       {/* Sticky Apply Button */}
       <AnimatePresence>
-        {showStickyApply && !applicationSubmitted && (
+        {showStickyApply && !applicationSubmitted && isAcceptingApplications && (
           <motion.div 
             className="fixed bottom-0 left-0 right-0 bg-white shadow-lg border-t border-gray-200 py-3 px-4 z-50"
             initial={{ y: 100 }}
@@ -497,6 +523,14 @@ export default function JobDetailPage({ slug }) {
                     <CheckCircle size={18} />
                     Application Submitted
                   </button>
+                ) : !isAcceptingApplications ? (
+                  <button
+                    className="bg-gray-100 text-gray-600 border border-gray-200 px-6 py-3 rounded-lg flex items-center justify-center gap-2 cursor-default"
+                    disabled
+                  >
+                    <Briefcase size={18} />
+                    {job.status === "Filled" ? "Position Filled" : "No Longer Accepting Applications"}
+                  </button>
                 ) : (
                   <button
                     onClick={handleApplyButtonClick}
@@ -524,6 +558,9 @@ export default function JobDetailPage({ slug }) {
                     Apply on Website
                   </a>
                 )}
+                {user?._id !== (job.poster?._id || job.poster) && (
+                  <ReportButton targetType="job" targetId={job._id} className="px-2 py-3 text-sm" />
+                )}
               </div>
             </div>
           </div>
@@ -622,6 +659,12 @@ export default function JobDetailPage({ slug }) {
                   </p>
                 </div>
 
+                <ScreeningQuestionsFields
+                  questions={job.screeningQuestions}
+                  answers={screeningAnswers}
+                  onChange={setScreeningAnswers}
+                />
+
                 <div className="bg-gray-50 -mx-8 -mb-8 px-8 py-4 mt-8 border-t border-gray-200 flex flex-col sm:flex-row justify-end gap-4">
                   <button
                     type="button"
@@ -808,6 +851,11 @@ export default function JobDetailPage({ slug }) {
               </ul>
             </div>
 
+            {/* Match with the viewer's profile */}
+            {isAuthenticated && user?._id !== (job.poster?._id || job.poster) && (
+              <JobMatchCard jobId={job._id} />
+            )}
+
             {/* Skills */}
             {job.skills && job.skills.length > 0 && (
               <div className="bg-white rounded-xl shadow-sm p-6">
@@ -0,0 +1,87 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import Link from "next/link";
+import { Target } from "lucide-react";
+import logger from "@/lib/utils/logger";
+import { MATCH_FACTOR_LABELS, getJobMatch, getMatchScoreClass } from "@/lib/utils/job/job-match";
+
+/**
+ * How well the signed-in user's jobseeker/freelancer profile fits a job
+ */
+const JobMatchCard = ({ jobId }) => {
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    getJobMatch(jobId)
+      .then(setResult)
+      .catch((error) => logger.error(`Error fetching match for job ${jobId}:`, error));
+  }, [jobId]);
+
+  if (!result) return null;
+
+  const { profileComplete, match } = result;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6">
+      <h2 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
+        <Target size={18} className="mr-2 text-violet-600" />
+        Your Match
+      </h2>
+
+      {!profileComplete ? (
+        <p className="text-sm text-gray-600">
+          Add your skills and preferences to a jobseeker or freelancer profile to see how well you fit this job.{" "}
+          <Link href="/user/settings" className="text-violet-700 hover:text-violet-900 font-medium">
+            Complete your profile
+          </Link>
+        </p>
+      ) : (
+        <>
+          <div className="flex items-center gap-3 mb-4">
+            <span className={`px-3 py-1 rounded-full text-lg font-bold ${getMatchScoreClass(match.score)}`}>
+              {match.score}%
+            </span>
+            <span className="text-sm text-gray-500">match with your profile</span>
+          </div>
+
+          <ul className="space-y-3 mb-4">
+            {match.factors.map((factor) => (
+              <li key={factor.key}>
+                <div className="flex justify-between text-xs text-gray-500 mb-1">
+                  <span>{MATCH_FACTOR_LABELS[factor.key] || factor.key}</span>
+                  <span>{factor.score}%</span>
+                </div>
+                <div className="h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                  <div className="h-full bg-violet-500 rounded-full" style={{ width: `${factor.score}%` }} />
+                </div>
+                {factor.detail && <p className="text-xs text-gray-400 mt-1">{factor.detail}</p>}
+              </li>
+            ))}
+          </ul>
+
+          {(match.matchingSkills.length > 0 || match.missingSkills.length > 0) && (
+            <div className="flex flex-wrap gap-2">
+              {match.matchingSkills.map((skill) => (
+                <span key={skill} className="bg-green-50 text-green-700 px-2.5 py-1 rounded-full text-xs font-medium">
+                  {skill}
+                </span>
+              ))}
+              {match.missingSkills.map((skill) => (
+                <span
+                  key={skill}
+                  title="Not on your profile"
+                  className="bg-gray-100 text-gray-500 px-2.5 py-1 rounded-full text-xs font-medium"
+                >
+                  {skill}
+                </span>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default JobMatchCard;
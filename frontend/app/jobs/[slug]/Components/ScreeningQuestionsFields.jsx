@@ -0,0 +1,130 @@
+"use client";
+
+const inputClass =
+  "w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-violet-500 focus:border-violet-500 transition-all";
+
+const isAnswered = (answer) =>
+  answer !== undefined && answer !== null && answer !== "" && !(Array.isArray(answer) && answer.length === 0);
+
+// First required question left unanswered, if any
+export const findUnansweredQuestion = (questions = [], answers = {}) =>
+  questions.find((question) => question.required && !isAnswered(answers[question._id]));
+
+// Answers in the shape the apply endpoint expects
+export const toAnswerList = (questions = [], answers = {}) =>
+  questions
+    .filter((question) => isAnswered(answers[question._id]))
+    .map((question) => ({ questionId: question._id, answer: answers[question._id] }));
+
+/**
+ * Inputs for a job's screening questions in the apply form
+ */
+const ScreeningQuestionsFields = ({ questions = [], answers, onChange }) => {
+  if (questions.length === 0) return null;
+
+  const setAnswer = (questionId, answer) => onChange({ ...answers, [questionId]: answer });
+
+  const toggleChoice = (questionId, option) => {
+    const selected = answers[questionId] || [];
+    setAnswer(
+      questionId,
+      selected.includes(option) ? selected.filter((value) => value !== option) : [...selected, option]
+    );
+  };
+
+  return (
+    <div className="space-y-5">
+      <h3 className="text-sm font-semibold text-gray-900">Screening Questions</h3>
+      {questions.map((question) => {
+        const answer = answers[question._id];
+        return (
+          <div key={question._id}>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {question.prompt}
+              {question.required && <span className="text-red-500"> *</span>}
+            </label>
+
+            {question.type === "short_text" && (
+              <input
+                value={answer || ""}
+                onChange={(e) => setAnswer(question._id, e.target.value)}
+                maxLength={300}
+                className={inputClass}
+              />
+            )}
+
+            {question.type === "long_text" && (
+              <textarea
+                value={answer || ""}
+                onChange={(e) => setAnswer(question._id, e.target.value)}
+                maxLength={5000}
+                rows={4}
+                className={inputClass}
+              />
+            )}
+
+            {question.type === "number" && (
+              <input
+                type="number"
+                value={answer ?? ""}
+                onChange={(e) => setAnswer(question._id, e.target.value === "" ? "" : Number(e.target.value))}
+                className={inputClass}
+              />
+            )}
+
+            {question.type === "yes_no" && (
+              <div className="flex gap-6">
+                {[
+                  { label: "Yes", value: true },
+                  { label: "No", value: false },
+                ].map(({ label, value }) => (
+                  <label key={label} className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="radio"
+                      name={`question-${question._id}`}
+                      checked={answer === value}
+                      onChange={() => setAnswer(question._id, value)}
+                      className="text-violet-600 focus:ring-violet-500"
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            )}
+
+            {question.type === "single_choice" && (
+              <select
+                value={answer || ""}
+                onChange={(e) => setAnswer(question._id, e.target.value)}
+                className={inputClass}
+              >
+                <option value="">Select an option</option>
+                {question.options.map((option) => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+            )}
+
+            {question.type === "multi_choice" && (
+              <div className="space-y-2">
+                {question.options.map((option) => (
+                  <label key={option} className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={(answer || []).includes(option)}
+                      onChange={() => toggleChoice(question._id, option)}
+                      className="rounded text-violet-600 focus:ring-violet-500"
+                    />
+                    {option}
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ScreeningQuestionsFields;
@@ -19,11 +19,23 @@ import {
   Sliders,
   RefreshCw,
   XCircle,
+  Bell,
 } from "lucide-react";
 import { useAuth } from "@/lib/contexts/auth-context";
 import logger from "@/lib/utils/logger";
 import LoaderComponent from "Components/UI/LoaderComponent";
 import { makePriorityRequest } from "@/lib/api/api";
+import SaveSearchModal from "./Components/SaveSearchModal";
+import RecommendedJobs from "./Components/RecommendedJobs";
+
+const EMPTY_FILTERS = {
+  jobType: "",
+  locationType: "",
+  experienceLevel: "",
+  salaryMin: "",
+  salaryMax: "",
+  skills: "",
+};
 
 // Debounce utility function
 const debounce = (func, wait) => {
@@ -124,16 +136,8 @@ export default function JobsPage() {
   const [searchInputValue, setSearchInputValue] = useState("");
   const [searchSuggestions, setSearchSuggestions] = useState([]);
   const [showSuggestions, setShowSuggestions] = useState(false);
-  const [draftFilters, setDraftFilters] = useState({
-    jobType: "",
-    locationType: "",
-    experienceLevel: "",
-  });
-  const [filters, setFilters] = useState({
-    jobType: "",
-    locationType: "",
-    experienceLevel: "",
-  });
+  const [draftFilters, setDraftFilters] = useState({ ...EMPTY_FILTERS });
+  const [filters, setFilters] = useState({ ...EMPTY_FILTERS });
   const [pagination, setPagination] = useState({
     currentPage: 1,
     totalPages: 1,
@@ -349,16 +353,8 @@ export default function JobsPage() {
   const resetAllFilters = () => {
     setSearchInputValue("");
     setSearchTerm("");
-    setDraftFilters({
-      jobType: "",
-      locationType: "",
-      experienceLevel: "",
-    });
-    setFilters({
-      jobType: "",
-      locationType: "",
-      experienceLevel: "",
-    });
+    setDraftFilters({ ...EMPTY_FILTERS });
+    setFilters({ ...EMPTY_FILTERS });
     // Reset to page 1
     setPagination(prev => ({ ...prev, currentPage: 1 }));
     // Return true to indicate success (useful for chaining)
@@ -532,13 +528,31 @@ export default function JobsPage() {
 
   // Count active filters
   useEffect(() => {
-    let count = 0;
-    if (filters.jobType) count++;
-    if (filters.locationType) count++;
-    if (filters.experienceLevel) count++;
-    setActiveFilters(count);
+    setActiveFilters(Object.values(filters).filter(Boolean).length);
   }, [filters]);
 
+  // Open a search from a link, e.g. "View jobs" on a saved job alert
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const urlFilters = Object.fromEntries(
+      Object.keys(EMPTY_FILTERS).map((key) => [key, params.get(key) || ""])
+    );
+    const search = params.get("search") || "";
+    const hasFilters = Object.values(urlFilters).some(Boolean);
+    if (!search && !hasFilters) return;
+
+    setDraftFilters(urlFilters);
+    setFilters(urlFilters);
+    setShowFilters(hasFilters);
+    if (search) {
+      setSearchInputValue(search);
+      setSearchTerm(processSearchQuery(search));
+    }
+  }, []);
+
+  const [saveSearchOpen, setSaveSearchOpen] = useState(false);
+  const canSaveSearch = activeFilters > 0 || searchInputValue.trim() !== "";
+
   // Animation variants
   const containerVariants = {
     hidden: { opacity: 0 },
@@ -736,6 +750,41 @@ export default function JobsPage() {
                       </select>
                       <ChevronDown className="absolute right-4 top-9 text-gray-400 pointer-events-none" size={16} />
                     </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1 ml-1">Salary from</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={draftFilters.salaryMin}
+                        onChange={(e) => handleFilterChange("salaryMin", e.target.value)}
+                        placeholder="Any"
+                        className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:border-violet-600 focus:ring-1 focus:ring-violet-600 transition-all bg-white"
+                      />
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1 ml-1">Salary up to</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={draftFilters.salaryMax}
+                        onChange={(e) => handleFilterChange("salaryMax", e.target.value)}
+                        placeholder="Any"
+                        className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:border-violet-600 focus:ring-1 focus:ring-violet-600 transition-all bg-white"
+                      />
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1 ml-1">Skills</label>
+                      <input
+                        type="text"
+                        value={draftFilters.skills}
+                        onChange={(e) => handleFilterChange("skills", e.target.value)}
+                        placeholder="e.g. React, Node.js"
+                        className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:border-violet-600 focus:ring-1 focus:ring-violet-600 transition-all bg-white"
+                      />
+                    </div>
                   </div>
 
                   <div className="flex justify-between">
@@ -743,17 +792,9 @@ export default function JobsPage() {
                       type="button"
                       onClick={() => {
                         // Reset draft filters
-                        setDraftFilters({
-                          jobType: "",
-                          locationType: "",
-                          experienceLevel: "",
-                        });
+                        setDraftFilters({ ...EMPTY_FILTERS });
                         // Apply the reset filters immediately
-                        setFilters({
-                          jobType: "",
-                          locationType: "",
-                          experienceLevel: "",
-                        });
+                        setFilters({ ...EMPTY_FILTERS });
                         // Reset to page 1
                         setPagination(prev => ({ ...prev, currentPage: 1 }));
                       }}
@@ -834,6 +875,27 @@ export default function JobsPage() {
                     </button>
                   </span>
                 )}
+                {[
+                  { key: "salaryMin", label: filters.salaryMin && `From ${filters.salaryMin}` },
+                  { key: "salaryMax", label: filters.salaryMax && `Up to ${filters.salaryMax}` },
+                  { key: "skills", label: filters.skills && `Skills: ${filters.skills}` },
+                ]
+                  .filter(({ label }) => label)
+                  .map(({ key, label }) => (
+                    <span key={key} className="inline-flex items-center px-3 py-1 rounded-full text-sm bg-violet-50 text-violet-800">
+                      {label}
+                      <button
+                        type="button"
+                        onClick={() => {
+                          setFilters(prev => ({ ...prev, [key]: "" }));
+                          setDraftFilters(prev => ({ ...prev, [key]: "" }));
+                        }}
+                        className="ml-1 text-violet-600 hover:text-violet-800"
+                      >
+                        <X size={14} />
+                      </button>
+                    </span>
+                  ))}
                 <button
                   type="button"
                   onClick={() => {
@@ -850,26 +912,55 @@ export default function JobsPage() {
           </form>
         </motion.div>
 
-        {/* Post Job Button (for authenticated users) */}
-        {isAuthenticated && user?.roleCapabilities?.canPostJobs && (
+        {/* Saved searches and Post Job Button (for authenticated users) */}
+        {isAuthenticated && (
           <motion.div
-            className="mb-8 flex justify-end"
+            className="mb-8 flex flex-wrap justify-end gap-3"
             initial={{ opacity: 0, y: 10 }}
             animate={{ opacity: 1, y: 0 }}
             transition={{ duration: 0.4 }}
           >
-            <motion.button
-              onClick={() => router.push("/jobs/post")}
-              className="bg-violet-600 text-white px-6 py-3 rounded-xl hover:bg-violet-700 transition-all flex items-center gap-2 font-medium"
-              whileHover={{ scale: 1.02 }}
-              whileTap={{ scale: 0.98 }}
+            <button
+              onClick={() => router.push("/user/job-alerts")}
+              className="px-4 py-3 text-sm text-gray-600 hover:text-violet-700 transition-colors"
             >
-              <Plus size={18} />
-              Post a Job
-            </motion.button>
+              My job alerts
+            </button>
+            {canSaveSearch && (
+              <motion.button
+                onClick={() => setSaveSearchOpen(true)}
+                className="border border-violet-200 text-violet-700 px-6 py-3 rounded-xl hover:bg-violet-50 transition-all flex items-center gap-2 font-medium"
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+              >
+                <Bell size={18} />
+                Save this search
+              </motion.button>
+            )}
+            {user?.roleCapabilities?.canPostJobs && (
+              <motion.button
+                onClick={() => router.push("/jobs/post")}
+                className="bg-violet-600 text-white px-6 py-3 rounded-xl hover:bg-violet-700 transition-all flex items-center gap-2 font-medium"
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+              >
+                <Plus size={18} />
+                Post a Job
+              </motion.button>
+            )}
           </motion.div>
         )}
 
+        {saveSearchOpen && (
+          <SaveSearchModal
+            criteria={{ query: searchInputValue.trim(), ...filters }}
+            onClose={() => setSaveSearchOpen(false)}
+          />
+        )}
+
+        {/* Profile-based recommendations, only while browsing without a search */}
+        {isAuthenticated && !canSaveSearch && <RecommendedJobs />}
+
         {/* Job Listings */}
         <div>
           {loading ? (
@@ -939,7 +1030,7 @@ export default function JobsPage() {
                   </p>
                 </div>
               )}
-              {(filters.jobType || filters.locationType || filters.experienceLevel) && (
+              {activeFilters > 0 && (
                 <div className="bg-violet-50 p-3 rounded-lg mb-4 max-w-md mx-auto">
                   <p className="text-violet-800 text-sm font-medium mb-1">Active filters:</p>
                   <div className="flex flex-wrap gap-2">
@@ -958,6 +1049,16 @@ export default function JobsPage() {
                         Experience: {filters.experienceLevel}
                       </span>
                     )}
+                    {(filters.salaryMin || filters.salaryMax) && (
+                      <span className="text-xs bg-white px-2 py-1 rounded border border-violet-200 text-violet-700">
+                        Salary: {filters.salaryMin || "Any"} - {filters.salaryMax || "Any"}
+                      </span>
+                    )}
+                    {filters.skills && (
+                      <span className="text-xs bg-white px-2 py-1 rounded border border-violet-200 text-violet-700">
+                        Skills: {filters.skills}
+                      </span>
+                    )}
                   </div>
                 </div>
               )}
@@ -966,16 +1067,8 @@ export default function JobsPage() {
                   // Reset all filters and search
                   setSearchInputValue("");
                   setSearchTerm("");
-                  setDraftFilters({
-                    jobType: "",
-                    locationType: "",
-                    experienceLevel: "",
-                  });
-                  setFilters({
-                    jobType: "",
-                    locationType: "",
-                    experienceLevel: "",
-                  });
+                  setDraftFilters({ ...EMPTY_FILTERS });
+                  setFilters({ ...EMPTY_FILTERS });
                   setError(null);
 
                   // Trigger a fetch immediately with reset filters
@@ -32,6 +32,7 @@ import logger from "@/lib/utils/logger";
 import dynamic from "next/dynamic";
 import SkillsInput from "./SkillsInput";
 import JobPostHeader from "./JobPostHeader";
+import ScreeningQuestionsEditor from "./ScreeningQuestionsEditor";
 
 // Dynamic import for RichTextEditor to disable SSR
 const RichTextEditor = dynamic(() => import("./RichTextEditor"), {
@@ -109,6 +110,7 @@ const JobPostForm = () => {
       applicationUrl: "",
       applicationEmail: user?.email || "",
       applicationInstructions: "",
+      screeningQuestions: [],
       benefits: "",
       deadline: "",
       status: "Published",
@@ -853,6 +855,22 @@ const JobPostForm = () => {
                     )}
                   />
                 </div>
+
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Screening Questions
+                  </label>
+                  <p className="mb-3 text-xs text-gray-500">
+                    Optional: Ask candidates a few questions when they apply. Answers that match a rejection rule decline the application automatically.
+                  </p>
+                  <Controller
+                    name="screeningQuestions"
+                    control={control}
+                    render={({ field }) => (
+                      <ScreeningQuestionsEditor value={field.value} onChange={field.onChange} />
+                    )}
+                  />
+                </div>
               </div>
 
               <div className="mt-8 flex justify-between">
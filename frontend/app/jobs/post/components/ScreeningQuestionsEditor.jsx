@@ -0,0 +1,170 @@
+"use client";
+
+import { Plus, Trash2 } from "lucide-react";
+
+export const QUESTION_TYPES = [
+  { value: "short_text", label: "Short text" },
+  { value: "long_text", label: "Long text" },
+  { value: "yes_no", label: "Yes / No" },
+  { value: "single_choice", label: "Single choice" },
+  { value: "multi_choice", label: "Multiple choice" },
+  { value: "number", label: "Number" },
+];
+
+const MAX_QUESTIONS = 15;
+
+const CHOICE_TYPES = ["single_choice", "multi_choice"];
+
+const inputClass =
+  "w-full px-3 py-2 text-sm border border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-200 focus:border-indigo-400 transition-all duration-200";
+
+const newQuestion = () => ({ prompt: "", type: "short_text", required: false });
+
+/**
+ * Editor for a job's screening questions. Knockout rules mark answers that
+ * reject an application automatically.
+ */
+const ScreeningQuestionsEditor = ({ value = [], onChange }) => {
+  const update = (index, changes) =>
+    onChange(value.map((question, i) => (i === index ? { ...question, ...changes } : question)));
+
+  const changeType = (index, type) =>
+    update(index, {
+      type,
+      options: CHOICE_TYPES.includes(type) ? value[index].options || ["", ""] : undefined,
+      knockout: undefined,
+    });
+
+  const toggleKnockoutOption = (index, option) => {
+    const values = value[index].knockout?.values || [];
+    update(index, {
+      knockout: {
+        values: values.includes(option) ? values.filter((v) => v !== option) : [...values, option],
+      },
+    });
+  };
+
+  return (
+    <div className="space-y-4">
+      {value.map((question, index) => {
+        const options = question.options || [];
+        return (
+          <div key={question._id || index} className="p-4 border border-gray-200 rounded-lg bg-gray-50/50 space-y-3">
+            <div className="flex gap-3">
+              <input
+                value={question.prompt}
+                onChange={(e) => update(index, { prompt: e.target.value })}
+                maxLength={300}
+                placeholder={`Question ${index + 1}`}
+                className={inputClass}
+              />
+              <select
+                value={question.type}
+                onChange={(e) => changeType(index, e.target.value)}
+                className="px-3 py-2 text-sm border border-gray-200 rounded-lg"
+              >
+                {QUESTION_TYPES.map((type) => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => onChange(value.filter((_, i) => i !== index))}
+                className="p-2 text-gray-400 hover:text-red-500"
+                aria-label="Remove question"
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+
+            {CHOICE_TYPES.includes(question.type) && (
+              <div>
+                <label className="block text-xs font-medium text-gray-600 mb-1">Options, one per line</label>
+                <textarea
+                  value={options.join("\n")}
+                  onChange={(e) => update(index, { options: e.target.value.split("\n") })}
+                  rows={3}
+                  className={inputClass}
+                />
+                {options.some((option) => option.trim()) && (
+                  <div className="mt-2 flex flex-wrap gap-3">
+                    <span className="text-xs text-gray-500">Reject if chosen:</span>
+                    {options.filter((option) => option.trim()).map((option) => (
+                      <label key={option} className="flex items-center gap-1 text-xs text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={(question.knockout?.values || []).includes(option.trim())}
+                          onChange={() => toggleKnockoutOption(index, option.trim())}
+                          className="rounded text-indigo-600"
+                        />
+                        {option.trim()}
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {question.type === "yes_no" && (
+              <select
+                value={question.knockout?.values?.length ? String(question.knockout.values[0]) : ""}
+                onChange={(e) =>
+                  update(index, {
+                    knockout: e.target.value ? { values: [e.target.value === "true"] } : undefined,
+                  })
+                }
+                className="px-3 py-2 text-sm border border-gray-200 rounded-lg"
+              >
+                <option value="">Don't reject on either answer</option>
+                <option value="true">Reject if "Yes"</option>
+                <option value="false">Reject if "No"</option>
+              </select>
+            )}
+
+            {question.type === "number" && (
+              <div className="grid grid-cols-2 gap-3">
+                <input
+                  type="number"
+                  value={question.knockout?.min ?? ""}
+                  onChange={(e) => update(index, { knockout: { ...question.knockout, min: e.target.value } })}
+                  placeholder="Reject below"
+                  className={inputClass}
+                />
+                <input
+                  type="number"
+                  value={question.knockout?.max ?? ""}
+                  onChange={(e) => update(index, { knockout: { ...question.knockout, max: e.target.value } })}
+                  placeholder="Reject above"
+                  className={inputClass}
+                />
+              </div>
+            )}
+
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={question.required}
+                onChange={(e) => update(index, { required: e.target.checked })}
+                className="rounded text-indigo-600"
+              />
+              Required
+            </label>
+          </div>
+        );
+      })}
+
+      {value.length < MAX_QUESTIONS && (
+        <button
+          type="button"
+          onClick={() => onChange([...value, newQuestion()])}
+          className="inline-flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800"
+        >
+          <Plus size={16} />
+          Add screening question
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ScreeningQuestionsEditor;
@@ -179,7 +179,6 @@ const CommentSection = ({ productSlug, productId, onCommentCountChange }) => {
   const [submitting, setSubmitting] = useState(false);
   const [loadingMore, setLoadingMore] = useState(false);
   const [pagination, setPagination] = useState(null);
-  const [page, setPage] = useState(1);
   const [showLoginPrompt, setShowLoginPrompt] = useState(false);
   const [activeReplyId, setActiveReplyId] = useState(null);
   const [activeEditId, setActiveEditId] = useState(null);
@@ -197,10 +196,10 @@ const CommentSection = ({ productSlug, productId, onCommentCountChange }) => {
 
   // Update comment count in parent component
   useEffect(() => {
-    if (onCommentCountChange && pagination?.total !== undefined) {
-      onCommentCountChange(pagination.total);
+    if (onCommentCountChange && pagination?.approxTotal !== undefined) {
+      onCommentCountChange(pagination.approxTotal);
     }
-  }, [pagination?.total, onCommentCountChange]);
+  }, [pagination?.approxTotal, onCommentCountChange]);
 
   useEffect(() => {
     if (typeof window !== "undefined") {
@@ -219,14 +218,12 @@ const CommentSection = ({ productSlug, productId, onCommentCountChange }) => {
 
       try {
         const result = await getComments(productSlug, {
-          page: 1,
           signal: controller.signal,
         });
         if (isMounted) {
           if (result.success) {
             setComments(result.comments || []);
             setPagination(result.pagination || null);
-            setPage(1);
           } else {
             showToast("error", result.message || "Failed to load comments");
             setComments([]);
@@ -257,20 +254,22 @@ const CommentSection = ({ productSlug, productId, onCommentCountChange }) => {
 
   // Load More Comments
   const loadMoreComments = useCallback(async () => {
-    if (!pagination || !pagination.hasNextPage || loadingMore) return;
+    if (!pagination?.hasMore || !pagination.nextCursor || loadingMore) return;
     const controller = new AbortController();
     setLoadingMore(true);
-    const nextPage = page + 1;
 
     try {
       const result = await getComments(productSlug, {
-        page: nextPage,
+        cursor: pagination.nextCursor,
         signal: controller.signal,
       });
       if (result.success) {
         setComments((prev) => [...prev, ...(result.comments || [])]);
-        setPagination(result.pagination || null);
-        setPage(nextPage);
+        // Totals only come with the first page
+        setPagination((prev) => ({
+          ...(result.pagination || {}),
+          approxTotal: prev?.approxTotal,
+        }));
       } else {
         showToast("error", result.message || "Failed to load more");
       }
@@ -283,7 +282,7 @@ const CommentSection = ({ productSlug, productId, onCommentCountChange }) => {
       setLoadingMore(false);
     }
     return () => controller.abort();
-  }, [productSlug, page, pagination, loadingMore, getComments, showToast]);
+  }, [productSlug, pagination, loadingMore, getComments, showToast]);
 
   // Authentication Check
   const requireAuth = useCallback(
@@ -408,7 +407,7 @@ const CommentSection = ({ productSlug, productId, onCommentCountChange }) => {
             setComments((prev) => [result.data, ...prev]); // Add to top
             showToast("success", "Comment added!");
             setPagination((prev) =>
-              prev ? { ...prev, total: (prev.total || 0) + 1 } : { total: 1 }
+              prev ? { ...prev, approxTotal: (prev.approxTotal || 0) + 1 } : { approxTotal: 1 }
             );
           } else {
             showToast("error", result.message || "Failed to add comment");
@@ -520,7 +519,7 @@ const CommentSection = ({ productSlug, productId, onCommentCountChange }) => {
             `${itemType === "reply" ? "Reply" : "Comment"} deleted.`
           );
           setPagination((prev) =>
-            prev ? { ...prev, total: Math.max(0, (prev.total || 0) - 1) } : null
+            prev ? { ...prev, approxTotal: Math.max(0, (prev.approxTotal || 0) - 1) } : null
           );
           setDeleteModalState({
             isOpen: false,
@@ -688,7 +687,7 @@ const CommentSection = ({ productSlug, productId, onCommentCountChange }) => {
             showToast("success", "Reply added!");
             handleCancelReply(); // Close the form
             setPagination((prev) =>
-              prev ? { ...prev, total: (prev.total || 0) + 1 } : { total: 1 }
+              prev ? { ...prev, approxTotal: (prev.approxTotal || 0) + 1 } : { approxTotal: 1 }
             );
             // Record interaction
             if (recordInteraction) {
@@ -733,7 +732,7 @@ const CommentSection = ({ productSlug, productId, onCommentCountChange }) => {
     <div ref={commentSectionRef} className="mt-16 pt-8">
       <SectionHeader
         title="Discussion"
-        count={pagination?.total ?? comments.length ?? 0}
+        count={pagination?.approxTotal ?? comments.length ?? 0}
       />
 
       <div className="mb-10">
@@ -784,7 +783,7 @@ const CommentSection = ({ productSlug, productId, onCommentCountChange }) => {
         )}
       </div>
 
-      {pagination && pagination.hasNextPage && (
+      {pagination?.hasMore && (
         <div className="mt-10 flex justify-center">
           <LoadMoreButton onClick={loadMoreComments} isLoading={loadingMore} />
         </div>
@@ -3,6 +3,7 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { FaHeart, FaRegHeart, FaReply, FaEdit, FaTrash, FaEllipsisH } from 'react-icons/fa';
 import { motion, AnimatePresence } from 'framer-motion';
+import ReportButton from 'Components/common/ReportButton';
 
 // Enhanced button animations with more fluid transitions
 const iconButtonVariants = {
@@ -109,6 +110,16 @@ const CommentActions = ({ comment, user, onLike, onReply, onEdit, onDelete, dept
         />
       )}
 
+      {/* Anyone but the author can report a comment */}
+      {user && comment.user?._id !== user._id && (
+        <ReportButton
+          targetType={depth > 0 ? 'reply' : 'comment'}
+          targetId={comment._id}
+          iconOnly
+          className="p-2 rounded-full hover:bg-red-50"
+        />
+      )}
+
       {/* Better accessibility for dropdown menu */}
       {isOwner && (
         <div className="relative inline-block" ref={menuRef}>
@@ -2,8 +2,9 @@ import React from "react";
 import { motion } from "framer-motion";
 import { Share2, Globe } from "lucide-react";
 import { fadeInUp } from "../Constants";
+import ReportButton from "Components/common/ReportButton";
 
-const ProductFooter = ({ product, showToast }) => {
+const ProductFooter = ({ product, showToast, isOwner = false }) => {
   if (!product) return null;
   
   return (
@@ -36,6 +37,10 @@ const ProductFooter = ({ product, showToast }) => {
         >
           <Share2 size={16} /> Spread the Legend
         </motion.button>
+
+        {!isOwner && (
+          <ReportButton targetType="product" targetId={product._id} className="px-4 py-2" />
+        )}
       </motion.div>
 
       {/* Enhanced Footer with CTA Reminder */}
@@ -0,0 +1,380 @@
+"use client";
+
+import React, { useState, useEffect, useCallback } from "react";
+import { motion } from "framer-motion";
+import { formatDistanceToNow, format } from "date-fns";
+import {
+  Sparkles,
+  History,
+  RotateCcw,
+  Pencil,
+  Trash2,
+  ChevronDown,
+  ChevronUp,
+  Loader2,
+} from "lucide-react";
+import { makePriorityRequest } from "@/lib/api/api";
+import logger from "@/lib/utils/logger";
+import NarrativeParagraph from "../Common/NarrativeParagraph";
+import { fadeInUp, staggerContainer } from "../Constants";
+
+// Fields a restore can change that are safe to merge straight into the page
+// state (category comes back unpopulated, so it waits for the next fetch)
+const RESTORED_FIELDS = ["name", "slug", "tagline", "description", "tags", "links", "pricing"];
+
+const FIELD_LABELS = {
+  name: "Name",
+  tagline: "Tagline",
+  description: "Description",
+  tags: "Tags",
+  links: "Links",
+  pricing: "Pricing",
+  category: "Category",
+};
+
+const EMPTY_FORM = { title: "", version: "", body: "" };
+
+const lastSeenKey = (productId) => `changelog:lastSeen:${productId}`;
+
+const readLastSeen = (productId) => {
+  if (typeof window === "undefined") return null;
+  const value = localStorage.getItem(lastSeenKey(productId));
+  return value ? new Date(value) : null;
+};
+
+const ChangelogSection = ({ product, isOwner, showToast, onRevisionRestored }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [lastSeen, setLastSeen] = useState(null);
+
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [revisions, setRevisions] = useState([]);
+  const [revisionsLoading, setRevisionsLoading] = useState(false);
+  const [restoringNumber, setRestoringNumber] = useState(null);
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      const response = await makePriorityRequest("get", `/products/${product.slug}/changelog`, {
+        params: { limit: 20 },
+      });
+      setEntries(response.data.data || []);
+    } catch (err) {
+      logger.error("Error fetching changelog:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [product.slug]);
+
+  const fetchRevisions = useCallback(async () => {
+    setRevisionsLoading(true);
+    try {
+      const response = await makePriorityRequest("get", `/products/${product.slug}/revisions`);
+      setRevisions(response.data.data || []);
+    } catch (err) {
+      logger.error("Error fetching revisions:", err);
+    } finally {
+      setRevisionsLoading(false);
+    }
+  }, [product.slug]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  // Remember the previous visit for the "New" markers, then mark everything
+  // as seen for next time
+  useEffect(() => {
+    if (!product._id) return;
+    setLastSeen(readLastSeen(product._id));
+    localStorage.setItem(lastSeenKey(product._id), new Date().toISOString());
+  }, [product._id]);
+
+  useEffect(() => {
+    if (historyOpen) fetchRevisions();
+  }, [historyOpen, fetchRevisions]);
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.title.trim() || !form.body.trim()) {
+      showToast("error", "Give your update a title and some details");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = editingId
+        ? await makePriorityRequest("put", `/products/${product.slug}/changelog/${editingId}`, { data: form })
+        : await makePriorityRequest("post", `/products/${product.slug}/changelog`, { data: form });
+
+      const entry = response.data.data;
+      setEntries((prev) =>
+        editingId ? prev.map((item) => (item._id === entry._id ? entry : item)) : [entry, ...prev]
+      );
+      showToast("success", response.data.message);
+      resetForm();
+    } catch (err) {
+      showToast("error", err.response?.data?.message || "Couldn't save your update");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (entry) => {
+    setEditingId(entry._id);
+    setForm({ title: entry.title, version: entry.version || "", body: entry.body });
+  };
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm(`Delete "${entry.title}"?`)) return;
+
+    try {
+      await makePriorityRequest("delete", `/products/${product.slug}/changelog/${entry._id}`);
+      setEntries((prev) => prev.filter((item) => item._id !== entry._id));
+      if (editingId === entry._id) resetForm();
+      showToast("success", "Update deleted");
+    } catch (err) {
+      showToast("error", err.response?.data?.message || "Couldn't delete the update");
+    }
+  };
+
+  const handleRestore = async (revision) => {
+    const target = revision.number === 0 ? "before its first edit" : `after revision ${revision.number}`;
+    if (!window.confirm(`Restore the product to how it was ${target}?`)) return;
+
+    setRestoringNumber(revision.number);
+    try {
+      const response = await makePriorityRequest(
+        "post",
+        `/products/${product.slug}/revisions/${revision.number}/restore`
+      );
+      const restored = response.data.data.product;
+      showToast("success", response.data.message);
+      onRevisionRestored?.(
+        Object.fromEntries(RESTORED_FIELDS.map((field) => [field, restored[field]])),
+        response.data.slugChanged ? response.data.newSlug : null
+      );
+      if (!response.data.slugChanged) fetchRevisions();
+    } catch (err) {
+      showToast("error", err.response?.data?.message || "Couldn't restore that revision");
+    } finally {
+      setRestoringNumber(null);
+    }
+  };
+
+  const newCount = lastSeen ? entries.filter((entry) => new Date(entry.createdAt) > lastSeen).length : 0;
+
+  return (
+    <>
+      <NarrativeParagraph delay={0.15} intent="lead">
+        Products grow up. Here's what the makers of <strong>{product.name}</strong> have
+        shipped lately
+        {newCount > 0 && (
+          <>
+            {" "}– <strong>{newCount} new</strong> since your last visit
+          </>
+        )}
+        .
+      </NarrativeParagraph>
+
+      {isOwner && (
+        <motion.form
+          variants={fadeInUp}
+          onSubmit={handleSubmit}
+          className="mb-8 p-5 bg-white border border-violet-100 rounded-lg space-y-3"
+        >
+          <div className="flex gap-3">
+            <input
+              type="text"
+              value={form.title}
+              onChange={(e) => setForm((prev) => ({ ...prev, title: e.target.value }))}
+              placeholder="What shipped?"
+              maxLength={120}
+              className="flex-1 px-3 py-2 border border-gray-200 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-violet-200"
+            />
+            <input
+              type="text"
+              value={form.version}
+              onChange={(e) => setForm((prev) => ({ ...prev, version: e.target.value }))}
+              placeholder="Version (optional)"
+              maxLength={30}
+              className="w-40 px-3 py-2 border border-gray-200 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-violet-200"
+            />
+          </div>
+          <textarea
+            value={form.body}
+            onChange={(e) => setForm((prev) => ({ ...prev, body: e.target.value }))}
+            placeholder="Tell your upvoters what changed"
+            maxLength={5000}
+            rows={4}
+            className="w-full px-3 py-2 border border-gray-200 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-violet-200"
+          />
+          <div className="flex justify-end gap-2">
+            {editingId && (
+              <button
+                type="button"
+                onClick={resetForm}
+                className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800"
+              >
+                Cancel
+              </button>
+            )}
+            <button
+              type="submit"
+              disabled={saving}
+              className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-violet-600 rounded-md hover:bg-violet-700 disabled:opacity-60"
+            >
+              {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+              {editingId ? "Save changes" : "Publish update"}
+            </button>
+          </div>
+        </motion.form>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <Loader2 className="w-6 h-6 text-violet-400 animate-spin" />
+        </div>
+      ) : entries.length === 0 ? (
+        <NarrativeParagraph intent="aside">
+          No updates posted yet – this chapter is still being written.
+        </NarrativeParagraph>
+      ) : (
+        <motion.ol variants={staggerContainer} className="relative border-l-2 border-violet-100 ml-2 space-y-6">
+          {entries.map((entry, index) => {
+            const isNew = lastSeen && new Date(entry.createdAt) > lastSeen;
+            return (
+              <motion.li
+                key={entry._id}
+                className="ml-6"
+                initial={{ opacity: 0, x: -20 }}
+                animate={{ opacity: 1, x: 0 }}
+                transition={{ delay: 0.2 + index * 0.07 }}
+              >
+                <span className="absolute -left-[9px] mt-1.5 w-4 h-4 rounded-full bg-white border-2 border-violet-300" />
+                <div className="flex flex-wrap items-center gap-2 mb-1">
+                  <h4 className="text-base font-semibold text-gray-800">{entry.title}</h4>
+                  {entry.version && (
+                    <span className="px-2 py-0.5 text-xs font-mono text-violet-700 bg-violet-50 rounded">
+                      {entry.version}
+                    </span>
+                  )}
+                  {isNew && (
+                    <span className="inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium text-amber-800 bg-amber-50 border border-amber-200 rounded-full">
+                      <Sparkles className="w-3 h-3" />
+                      New
+                    </span>
+                  )}
+                  {isOwner && (
+                    <span className="ml-auto flex gap-1">
+                      <button
+                        type="button"
+                        onClick={() => handleEdit(entry)}
+                        className="p-1 text-gray-400 hover:text-violet-600"
+                        aria-label="Edit update"
+                      >
+                        <Pencil className="w-4 h-4" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(entry)}
+                        className="p-1 text-gray-400 hover:text-red-600"
+                        aria-label="Delete update"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </span>
+                  )}
+                </div>
+                <time
+                  dateTime={entry.createdAt}
+                  title={format(new Date(entry.createdAt), "PPpp")}
+                  className="block mb-2 text-xs text-gray-500"
+                >
+                  {formatDistanceToNow(new Date(entry.createdAt), { addSuffix: true })}
+                </time>
+                <p className="text-sm text-gray-700 whitespace-pre-line">{entry.body}</p>
+              </motion.li>
+            );
+          })}
+        </motion.ol>
+      )}
+
+      {isOwner && (
+        <div className="mt-8">
+          <button
+            type="button"
+            onClick={() => setHistoryOpen((open) => !open)}
+            className="inline-flex items-center gap-2 text-sm font-medium text-gray-600 hover:text-violet-700"
+          >
+            <History className="w-4 h-4" />
+            Edit history
+            {historyOpen ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+          </button>
+
+          {historyOpen && (
+            <div className="mt-4 space-y-3">
+              {revisionsLoading ? (
+                <Loader2 className="w-5 h-5 text-violet-400 animate-spin" />
+              ) : revisions.length === 0 ? (
+                <p className="text-sm text-gray-500">No edits recorded yet.</p>
+              ) : (
+                revisions.map((revision, index) => (
+                  <div
+                    key={revision._id}
+                    className="flex items-start justify-between gap-4 p-3 bg-slate-50 border border-slate-200 rounded-md"
+                  >
+                    <div className="text-sm">
+                      <p className="font-medium text-gray-800">
+                        {revision.number === 0 ? "Original version" : `Revision ${revision.number}`}
+                        {revision.restoredFrom != null && (
+                          <span className="font-normal text-gray-500">
+                            {" "}· restored {revision.restoredFrom === 0 ? "the original" : `revision ${revision.restoredFrom}`}
+                          </span>
+                        )}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {revision.editor?.fullName || revision.editor?.username || "Unknown editor"} ·{" "}
+                        {formatDistanceToNow(new Date(revision.createdAt), { addSuffix: true })}
+                      </p>
+                      {revision.changes.length > 0 && (
+                        <p className="mt-1 text-xs text-gray-600">
+                          Changed {revision.changes.map((change) => FIELD_LABELS[change.field] || change.field).join(", ")}
+                        </p>
+                      )}
+                    </div>
+                    {index > 0 && (
+                      <button
+                        type="button"
+                        onClick={() => handleRestore(revision)}
+                        disabled={restoringNumber !== null}
+                        className="inline-flex items-center gap-1 px-3 py-1.5 text-xs font-medium text-violet-700 bg-white border border-violet-200 rounded-md hover:bg-violet-50 disabled:opacity-60"
+                      >
+                        {restoringNumber === revision.number ? (
+                          <Loader2 className="w-3 h-3 animate-spin" />
+                        ) : (
+                          <RotateCcw className="w-3 h-3" />
+                        )}
+                        Restore
+                      </button>
+                    )}
+                  </div>
+                ))
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default ChangelogSection;
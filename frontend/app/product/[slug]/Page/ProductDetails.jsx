@@ -24,6 +24,8 @@ import {
   Rocket,
   PenTool,
   Compass,
+  Award,
+  Sparkles,
 } from 'lucide-react';
 
 // Import components from the new structure
@@ -40,10 +42,20 @@ import GallerySection from '../Components/Sections/GallerySection';
 import MakerSection from '../Components/Sections/MakerSection';
 import CommentsSection from '../Components/Sections/CommentsSection';
 import RelatedSection from '../Components/Sections/RelatedSection';
+import ChangelogSection from '../Components/Sections/ChangelogSection';
 
 // Date formatting
 import { formatDistanceToNow, format } from 'date-fns';
 
+// Leaderboard badges, longest period first (see LeaderboardService on the backend)
+const BADGE_PERIODS = { month: 'Month', week: 'Week', day: 'Day' };
+
+const formatBadgePeriod = ({ period, periodKey }) => {
+  if (period === 'month') return format(new Date(`${periodKey}-01T00:00:00`), 'MMMM yyyy');
+  const date = format(new Date(`${periodKey}T00:00:00`), 'MMM d, yyyy');
+  return period === 'week' ? `Week of ${date}` : date;
+};
+
 const ProductDetailPage = ({ slug }) => {
   const router = useRouter();
   const { isAuthenticated, user } = useAuth();
@@ -488,6 +500,18 @@ const ProductDetailPage = ({ slug }) => {
     [slug, updateProductInCache, showToast]
   );
 
+  const handleRevisionRestored = useCallback(
+    (restoredFields, newSlug) => {
+      if (newSlug) {
+        router.replace(`/product/${newSlug}`);
+        return;
+      }
+      setProduct(prev => ({ ...prev, ...restoredFields }));
+      updateProductInCache(slug, restoredFields);
+    },
+    [slug, router, updateProductInCache]
+  );
+
   // --- Derived Data ---
   const [formattedDate, setFormattedDate] = useState('');
   const [launchedDateFormatted, setLaunchedDateFormatted] = useState(null);
@@ -507,6 +531,13 @@ const ProductDetailPage = ({ slug }) => {
 
   const isOwner = isAuthenticated && user && product && user._id === product.maker?._id;
 
+  const badges = useMemo(() => {
+    const order = Object.keys(BADGE_PERIODS);
+    return [...(product?.badges || [])]
+      .filter((badge) => BADGE_PERIODS[badge.period])
+      .sort((a, b) => order.indexOf(a.period) - order.indexOf(b.period) || a.rank - b.rank);
+  }, [product?.badges]);
+
   const getThumbnailUrl = useCallback(() => {
     if (!product) return '/images/placeholder-story-loading.png';
     const sources = [
@@ -691,6 +722,48 @@ const ProductDetailPage = ({ slug }) => {
           onEditClick={() => setEditModalOpen(true)}
         />
 
+        {/* Moderation notice - only the maker can reach a rejected, banned or report-hidden product */}
+        {isOwner && (product.flags?.isBanned || product.moderation?.status === 'rejected' || product.hiddenByReports) && (
+          <div className="max-w-3xl mx-auto mb-8 p-4 rounded-xl border border-amber-200 bg-amber-50 text-amber-800 flex items-start gap-3">
+            <AlertCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+            <div className="text-sm">
+              <p className="font-medium">
+                {product.flags?.isBanned
+                  ? 'This product was removed for breaking our guidelines and is hidden from everyone else.'
+                  : product.moderation?.status === 'rejected'
+                    ? "This product didn't pass review and is hidden from listings and search. Edit it to send it for review again."
+                    : 'This product was reported by other members and is hidden until our team reviews it.'}
+              </p>
+              {(product.flags?.isBanned ? product.flags.banReason : product.moderation?.reviewNotes) && (
+                <p className="mt-1 whitespace-pre-line">
+                  {product.flags?.isBanned ? product.flags.banReason : product.moderation.reviewNotes}
+                </p>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Leaderboard badges */}
+        {badges.length > 0 && (
+          <div className="max-w-3xl mx-auto mb-8 flex flex-wrap justify-center gap-2">
+            {badges.map((badge) => (
+              <span
+                key={`${badge.period}-${badge.periodKey}`}
+                title={formatBadgePeriod(badge)}
+                className={`inline-flex items-center gap-1.5 px-3 py-1.5 rounded-full text-sm font-medium border ${
+                  badge.rank === 1
+                    ? 'bg-amber-50 border-amber-200 text-amber-800'
+                    : 'bg-violet-50 border-violet-200 text-violet-800'
+                }`}
+              >
+                <Award className="w-4 h-4" />
+                #{badge.rank} Product of the {BADGE_PERIODS[badge.period]}
+                <span className="font-normal opacity-75">· {formatBadgePeriod(badge)}</span>
+              </span>
+            ))}
+          </div>
+        )}
+
         {/* Main Article */}
         <motion.article initial="hidden" animate="visible" className="max-w-3xl mx-auto">
           {/* === PROLOGUE / HEADER === */}
@@ -740,20 +813,36 @@ const ProductDetailPage = ({ slug }) => {
             />
           </StorySection>
 
-          {/* === CHAPTER 4: FEATURES/TAGS === */}
+          {/* === CHAPTER 4: CHANGELOG === */}
+          <StorySection
+            title="What's New"
+            icon={Sparkles}
+            delay={0.1}
+            chapterNumber={4}
+            id="changelog"
+          >
+            <ChangelogSection
+              product={product}
+              isOwner={isOwner}
+              showToast={showToast}
+              onRevisionRestored={handleRevisionRestored}
+            />
+          </StorySection>
+
+          {/* === CHAPTER 5: FEATURES/TAGS === */}
           {(product.tags && product.tags.length > 0) || product.features?.length > 0 ? (
             <StorySection
               title="Secret Sauce & Special Powers"
               icon={Rocket}
               delay={0.1}
-              chapterNumber={4}
+              chapterNumber={5}
               id="features"
             >
               <FeaturesSection product={product} />
             </StorySection>
           ) : null}
 
-          {/* === CHAPTER 5: GALLERY === */}
+          {/* === CHAPTER 6: GALLERY === */}
           <StorySection
             title={
               product.gallery && product.gallery.length > 0
@@ -762,7 +851,7 @@ const ProductDetailPage = ({ slug }) => {
             }
             icon={Camera}
             delay={0.1}
-            chapterNumber={5}
+            chapterNumber={6}
             id={product.gallery && product.gallery.length > 0 ? 'gallery' : 'gallery-missing'}
           >
             <GallerySection
@@ -772,25 +861,25 @@ const ProductDetailPage = ({ slug }) => {
             />
           </StorySection>
 
-          {/* === CHAPTER 6: MAKER === */}
+          {/* === CHAPTER 7: MAKER === */}
           {product.maker && (
             <StorySection
               title="The Mastermind"
               icon={PenTool}
               delay={0.1}
-              chapterNumber={6}
+              chapterNumber={7}
               id="maker"
             >
               <MakerSection product={product} makerName={makerName} />
             </StorySection>
           )}
 
-          {/* === CHAPTER 7: COMMENTS === */}
+          {/* === CHAPTER 8: COMMENTS === */}
           <StorySection
             title="Your Turn to Speak!"
             icon={MessageSquare}
             delay={0.1}
-            chapterNumber={7}
+            chapterNumber={8}
             id="comments"
           >
             <CommentsSection
@@ -800,13 +889,13 @@ const ProductDetailPage = ({ slug }) => {
             />
           </StorySection>
 
-          {/* === CHAPTER 8: RELATED PRODUCTS === */}
+          {/* === CHAPTER 9: RELATED PRODUCTS === */}
           {product?._id && (
             <StorySection
               title="Where To Next, Explorer?"
               icon={Compass}
               delay={0.1}
-              chapterNumber={8}
+              chapterNumber={9}
               id="similar"
             >
               <RelatedSection product={product} router={router} />
@@ -814,7 +903,7 @@ const ProductDetailPage = ({ slug }) => {
           )}
 
           {/* Footer with share button and final CTA */}
-          <ProductFooter product={product} showToast={showToast} />
+          <ProductFooter product={product} showToast={showToast} isOwner={isOwner} />
         </motion.article>
       </div>
     </div>
@@ -0,0 +1,72 @@
+"use client";
+
+import React, { useCallback } from "react";
+import { Loader2 } from "lucide-react";
+
+import NumberedProductList from "./NumberedProductList";
+import { useProduct } from "@/lib/contexts/product-context";
+import { useCursorPagination } from "@/lib/hooks/useCursorPagination";
+import logger from "@/lib/utils/logger";
+
+const PAGE_SIZE = 10;
+
+// Every published product, newest first, loaded page by page while scrolling
+const AllProductsSection = ({ sort = "newest", category }) => {
+  const { getAllProducts } = useProduct();
+
+  const fetchPage = useCallback(
+    async (cursor) => {
+      const { products, pagination } = await getAllProducts({
+        cursor,
+        limit: PAGE_SIZE,
+        sort,
+        category,
+      });
+      if (!pagination) {
+        throw new Error("Failed to load products");
+      }
+      return { items: products, pagination };
+    },
+    [getAllProducts, sort, category]
+  );
+
+  const { items, total, isLoading, hasMore, error, loadMore, sentinelRef } =
+    useCursorPagination(fetchPage, [sort, category]);
+
+  if (error) {
+    logger.error("Failed to load product feed:", error);
+  }
+
+  return (
+    <div>
+      <NumberedProductList
+        products={items}
+        title="All Products"
+        description={
+          total ? `${total.toLocaleString()} products and counting` : "Everything launched on the platform"
+        }
+        isLoading={isLoading && items.length === 0}
+        emptyMessage={error ? "We couldn't load products right now" : "No products found"}
+      />
+
+      {items.length > 0 && (
+        <div ref={sentinelRef} className="flex justify-center py-6" aria-live="polite">
+          {isLoading ? (
+            <Loader2 className="w-5 h-5 text-violet-600 animate-spin" aria-label="Loading more products" />
+          ) : hasMore ? (
+            <button
+              onClick={loadMore}
+              className="px-4 py-2 text-sm font-medium text-violet-700 bg-violet-50 rounded-lg hover:bg-violet-100 transition-colors"
+            >
+              Load more
+            </button>
+          ) : (
+            <p className="text-sm text-gray-500">You&apos;ve reached the end</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AllProductsSection;
@@ -4,34 +4,11 @@ import React, { useEffect, useState } from 'react';
 import Link from 'next/link';
 import { motion } from 'framer-motion';
 import { MessageSquare, ArrowRight, Users, Clock, Tag } from 'lucide-react';
+import { getTrendingThreads } from '@/lib/services/forum-service';
+import logger from '@/lib/utils/logger';
 
-// Sample data function to avoid duplication
-const getSampleThreads = () => [
-  {
-    id: 1,
-    title: "Best tools for startup founders in 2025?",
-    commentCount: 24,
-    author: "Jessica Chen",
-    category: "Tools",
-    createdAt: new Date(Date.now() - 3600000).toISOString()
-  },
-  {
-    id: 2,
-    title: "How do you validate your product idea?",
-    commentCount: 18,
-    author: "Mike Johnson",
-    category: "Strategy",
-    createdAt: new Date(Date.now() - 7200000).toISOString()
-  },
-  {
-    id: 3,
-    title: "Looking for feedback on my new AI app",
-    commentCount: 12,
-    author: "Sarah Smith",
-    category: "Feedback",
-    createdAt: new Date(Date.now() - 10800000).toISOString()
-  }
-];
+const getAuthorName = (author) =>
+  [author?.firstName, author?.lastName].filter(Boolean).join(' ') || author?.username || 'Community member';
 
 const ForumThreadsSection = () => {
   const [threads, setThreads] = useState([]);
@@ -41,32 +18,10 @@ const ForumThreadsSection = () => {
     const fetchThreads = async () => {
       setIsLoading(true);
       try {
-        // Check if we're in development mode and use sample data directly
-        // This prevents unnecessary 404 errors when the API endpoint doesn't exist yet
-        if (process.env.NODE_ENV === 'development') {
-          // Use sample data directly in development
-          setTimeout(() => {
-            setThreads(getSampleThreads());
-            setIsLoading(false);
-          }, 500); // Simulate network delay
-          return;
-        }
-
-        // In production, try to fetch from the API
-        try {
-          const response = await fetch('/api/forum/trending-threads');
-          if (!response.ok) throw new Error(`HTTP error ${response.status}`);
-          const data = await response.json();
-          setThreads(data.threads || []);
-        } catch (apiError) {
-          console.error("Failed to fetch forum threads:", apiError);
-          // Fallback to sample data
-          setThreads(getSampleThreads());
-        }
+        setThreads(await getTrendingThreads(3));
       } catch (error) {
-        console.error("Error in thread fetching:", error);
-        // Fallback to sample data
-        setThreads(getSampleThreads());
+        logger.error("Failed to fetch forum threads:", error);
+        setThreads([]);
       } finally {
         setIsLoading(false);
       }
@@ -137,13 +92,13 @@ const ForumThreadsSection = () => {
         >
           {threads.map((thread, index) => (
             <motion.div
-              key={thread.id}
+              key={thread._id}
               initial={{ opacity: 0, y: 10 }}
               animate={{ opacity: 1, y: 0 }}
               transition={{ duration: 0.3, delay: index * 0.1 }}
             >
               <Link
-                href={`/forum/thread/${thread.id}`}
+                href={`/forum/thread/${thread._id}`}
                 className="block p-5 border-b border-gray-100 last:border-b-0 hover:bg-violet-50/30 transition-colors duration-200 group"
               >
                 <h3 className="font-medium text-gray-900 mb-3 line-clamp-1 group-hover:text-violet-700 transition-colors">{thread.title}</h3>
@@ -151,11 +106,11 @@ const ForumThreadsSection = () => {
                   <div className="flex items-center gap-2 flex-wrap">
                     <span className="flex items-center bg-violet-50 text-violet-700 px-2.5 py-1 rounded-full text-xs font-medium">
                       <Tag className="w-3 h-3 mr-1.5" />
-                      {thread.category}
+                      {thread.category?.name}
                     </span>
                     <span className="flex items-center text-gray-500 bg-gray-50 px-2.5 py-1 rounded-full">
                       <Users className="w-3 h-3 mr-1.5" />
-                      {thread.author}
+                      {getAuthorName(thread.author)}
                     </span>
                   </div>
                   <div className="flex items-center gap-2 text-gray-500">
@@ -165,7 +120,7 @@ const ForumThreadsSection = () => {
                     </span>
                     <span className="flex items-center bg-indigo-50 text-indigo-700 px-2.5 py-1 rounded-full">
                       <MessageSquare className="w-3 h-3 mr-1.5" />
-                      {thread.commentCount}
+                      {thread.replyCount}
                     </span>
                   </div>
                 </div>
@@ -56,6 +56,7 @@ const HybridFeedSection = dynamic(() => import('./HybridFeedSection'), { ssr: fa
 const InterestBasedSection = dynamic(() => import('./InterestBasedSection'), { ssr: false });
 const ForumThreadsSection = dynamic(() => import('./ForumThreadsSection'), { ssr: false });
 const CommunityPicksSection = dynamic(() => import('./CommunityPicksSection'), { ssr: false });
+const AllProductsSection = dynamic(() => import('./AllProductsSection'), { ssr: false });
 
 // Error and loading components
 const ErrorFallback = memo(({ type = 'section', retry, error }) => {
@@ -791,6 +792,24 @@ export default function Home() {
           </div>
         </SectionWrapper>
       )}
+
+      {/* All Products - infinite scroll over the cursor-paginated product list */}
+      <SectionWrapper id="all-products-section" delay={0.4} testId="all-products-section">
+        <div
+          aria-labelledby="all-products-heading"
+          className="bg-white rounded-xl overflow-hidden border border-gray-100 p-6"
+        >
+          <h2 id="all-products-heading" className="sr-only">
+            All Products
+          </h2>
+          <SuspenseWithErrorBoundary
+            fallbackType="product feed"
+            testId="all-products-skeleton"
+          >
+            <AllProductsSection />
+          </SuspenseWithErrorBoundary>
+        </div>
+      </SectionWrapper>
     </div>
   ), [isAuthenticated, recommendations, router]);
 
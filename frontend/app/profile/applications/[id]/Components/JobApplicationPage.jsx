@@ -28,6 +28,7 @@ import ApplicationStatusBadge from "../../components/ApplicationStatusBadge";
 import LoaderComponent from "../../../../../Components/UI/LoaderComponent";
 import WithdrawModal from "../../components/WithdrawModal";
 import { makePriorityRequest } from "@/lib/api/api";
+import { getResumeDownloadUrl, downloadResume } from "@/lib/utils/job/resume-download";
 import logger from "@/lib/utils/logger";
 import { toast } from "react-hot-toast";
 
@@ -41,6 +42,7 @@ const ApplicationDetailPage = () => {
   const [withdrawModalOpen, setWithdrawModalOpen] = useState(false);
   const [downloadingResume, setDownloadingResume] = useState(false);
   const [downloadProgress, setDownloadProgress] = useState(0);
+  const [resumeDownloads, setResumeDownloads] = useState([]);
 
   // Fetch application details
   const fetchApplication = async () => {
@@ -73,6 +75,16 @@ const ApplicationDetailPage = () => {
     }
   }, [user, id]);
 
+  // Who has opened the resume (only shown to the applicant)
+  const isApplicant = application && user && (application.applicant?._id || application.applicant) === user._id;
+  useEffect(() => {
+    if (!isApplicant) return;
+
+    makePriorityRequest("get", `/jobs/applications/${id}/resume-downloads`)
+      .then((response) => setResumeDownloads(response.data.data.downloads || []))
+      .catch((error) => logger.error("Error fetching resume downloads:", error));
+  }, [isApplicant, id]);
+
   // Format date
   const formatDate = (dateString, formatStr = "PPP") => {
     try {
@@ -92,7 +104,11 @@ const ApplicationDetailPage = () => {
 
       if (response.data.status === "success") {
         toast.success("Application withdrawn successfully");
-        setApplication({ ...application, status: "Withdrawn" });
+        setApplication({
+          ...application,
+          status: "Withdrawn",
+          stageHistory: response.data.data.application.stageHistory,
+        });
         setWithdrawModalOpen(false);
       }
     } catch (error) {
@@ -112,46 +128,10 @@ const ApplicationDetailPage = () => {
       setDownloadingResume(true);
       setDownloadProgress(0);
 
-      // Get the API URL for downloading the resume
-      const baseUrl = process.env.NEXT_PUBLIC_API_BASE_URL || 'http://localhost:5004/api/v1';
-
       // Get filename from resume data or generate one
       const filename = application.resume?.name || `resume-${application._id}.pdf`;
 
-      // Get the access token
-      const token = localStorage.getItem('accessToken');
-      if (!token) {
-        toast.error("Authentication required");
-        setDownloadingResume(false);
-        return;
-      }
-
-      // Create the download URL with token
-      const downloadUrl = `${baseUrl}/jobs/applications/${application._id}/resume?token=${encodeURIComponent(token)}`;
-
-      // Use fetch to download the file
-      const response = await fetch(downloadUrl);
-
-      if (!response.ok) {
-        throw new Error(`Failed to download resume: ${response.statusText}`);
-      }
-
-      // Get the blob from the response
-      const blob = await response.blob();
-
-      // Create a download link
-      const url = window.URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = filename;
-
-      // Append to body, click, and remove
-      document.body.appendChild(link);
-      link.click();
-
-      // Clean up
-      window.URL.revokeObjectURL(url);
-      document.body.removeChild(link);
+      await downloadResume(application._id, filename);
 
       // Show success message
       toast.success("Resume downloaded successfully");
@@ -300,7 +280,32 @@ const ApplicationDetailPage = () => {
                   </div>
                 </div>
 
-                {application.status !== "Pending" && (
+                {(application.stageHistory || []).map((change, index) => (
+                  <div key={index} className="flex items-start">
+                    <div className="flex-shrink-0 w-10 h-10 rounded-full bg-blue-100 flex items-center justify-center mr-3">
+                      <User size={20} className="text-blue-600" />
+                    </div>
+                    <div>
+                      <div className="flex items-center gap-2">
+                        <h3 className="text-sm font-medium text-gray-900">
+                          {change.to === "Withdrawn" ? "You withdrew your application" : `Moved to ${change.to}`}
+                        </h3>
+                        <ApplicationStatusBadge status={change.to} />
+                      </div>
+                      <p className="text-sm text-gray-500">
+                        {formatDate(change.createdAt, "PPP p")}
+                      </p>
+                      {change.message && (
+                        <p className="mt-2 text-sm text-gray-700 bg-gray-50 border-l-2 border-violet-300 rounded-r-md px-3 py-2 whitespace-pre-line">
+                          {change.message}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                ))}
+
+                {/* Applications moved before stage history was kept */}
+                {application.status !== "Pending" && !application.stageHistory?.length && (
                   <div className="flex items-start">
                     <div className="flex-shrink-0 w-10 h-10 rounded-full bg-blue-100 flex items-center justify-center mr-3">
                       <User size={20} className="text-blue-600" />
@@ -358,19 +363,16 @@ const ApplicationDetailPage = () => {
               {application.resume?.fileType === 'application/pdf' && (
                 <div className="mt-3">
                   <button
-                    onClick={() => {
-                      // Get the API URL for downloading the resume
-                      const token = localStorage.getItem('accessToken');
-                      if (!token) {
-                        toast.error("Authentication required");
-                        return;
+                    onClick={async () => {
+                      // Open the tab now so it isn't blocked, then point it at a fresh link
+                      const previewTab = window.open('', '_blank');
+                      try {
+                        previewTab.location = await getResumeDownloadUrl(application._id);
+                      } catch (error) {
+                        previewTab.close();
+                        logger.error("Error opening resume preview:", error);
+                        toast.error("Couldn't open the resume");
                       }
-
-                      const baseUrl = process.env.NEXT_PUBLIC_API_BASE_URL || 'http://localhost:5004/api/v1';
-                      const previewUrl = `${baseUrl}/jobs/applications/${application._id}/resume?token=${encodeURIComponent(token)}`;
-
-                      // Open in new tab
-                      window.open(previewUrl, '_blank');
                     }}
                     className="text-sm text-violet-600 hover:text-violet-800 flex items-center"
                   >
@@ -381,6 +383,35 @@ const ApplicationDetailPage = () => {
               )}
             </div>
 
+            {/* Resume Downloads */}
+            {isApplicant && (
+              <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">Who Opened Your Resume</h2>
+                {resumeDownloads.length === 0 ? (
+                  <p className="text-sm text-gray-500">Nobody has downloaded your resume yet.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-100">
+                    {resumeDownloads.map((download) => (
+                      <li key={download._id} className="flex items-center justify-between py-2 text-sm">
+                        <span className="text-gray-800">
+                          {download.viewerRole === "applicant"
+                            ? "You"
+                            : `${download.viewer?.firstName || ""} ${download.viewer?.lastName || ""}`.trim() ||
+                              download.viewer?.username ||
+                              "Someone"}
+                          <span className="text-gray-500">
+                            {download.viewerRole === "poster" && " · Hiring team"}
+                            {download.viewerRole === "admin" && " · Product Bazar admin"}
+                          </span>
+                        </span>
+                        <span className="text-gray-500">{formatDate(download.createdAt, "PPP p")}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
             {/* Cover Letter */}
             {application.coverLetter && (
               <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
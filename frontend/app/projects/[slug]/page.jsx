@@ -48,6 +48,7 @@ import { toast } from "react-hot-toast";
 import Image from "next/image";
 import Link from "next/link";
 import { Badge } from "Components/UI/Badge/badge";
+import ReportButton from "Components/common/ReportButton";
 import { DropdownMenu, DropdownMenuTrigger, DropdownMenuContent, DropdownMenuLabel, DropdownMenuSeparator, DropdownMenuItem } from "../../../Components/UI/DropdownMenu/DropdownMenu";
 
 // Animation variants
@@ -714,6 +715,10 @@ export default function ProjectDetailPage() {
                         <span className="relative z-10">Share</span>
                       </motion.button>
 
+                      {user?._id !== (currentProject.owner?._id || currentProject.owner) && (
+                        <ReportButton targetType="project" targetId={currentProject._id} className="px-3 py-2 text-sm" />
+                      )}
+
                       {/* Project Management Buttons - Only visible to project owner or users with permission */}
                       {isAuthenticated && currentProject && (
                         <>
@@ -17,6 +17,7 @@ import {
   ArrowUp,
   Bookmark,
   Eye,
+  MessageSquare,
 } from 'lucide-react';
 import Link from 'next/link';
 import { toast } from 'react-hot-toast';
@@ -215,6 +216,7 @@ const SearchPage = ({ searchParams }) => {
       users: counts.users || 0,
       jobs: counts.jobs || 0,
       projects: counts.projects || 0,
+      threads: counts.threads || 0,
     };
 
     const sortedTabs = Object.entries(tabCounts)
@@ -281,6 +283,15 @@ const SearchPage = ({ searchParams }) => {
           relevanceScore += 15;
         }
         break;
+      case 'threads':
+        if (
+          ['forum', 'thread', 'discussion', 'question', 'advice', 'help'].some(
+            term => queryLower.includes(term) || term.includes(queryLower)
+          )
+        ) {
+          relevanceScore += 15;
+        }
+        break;
       case 'users':
         const namePattern = /^[a-z]+(\s[a-z]+)?$/i;
         if (namePattern.test(queryLower) && count > 0) {
@@ -350,6 +361,8 @@ const SearchPage = ({ searchParams }) => {
                 return <ProjectResultItem key={item._id} project={item} query={query} />;
               case 'users':
                 return <UserResultItem key={item._id} user={item} query={query} />;
+              case 'threads':
+                return <ThreadResultItem key={item._id} thread={item} query={query} />;
               default:
                 return null;
             }
@@ -623,6 +636,12 @@ const SearchPage = ({ searchParams }) => {
                   label: 'Users',
                   icon: <User size={14} className="mr-1" />,
                 },
+                {
+                  id: 'threads',
+                  count: counts.threads || 0,
+                  label: 'Discussions',
+                  icon: <MessageSquare size={14} className="mr-1" />,
+                },
               ].map(tabInfo => (
                 <button
                   key={tabInfo.id}
@@ -718,6 +737,11 @@ const SearchPage = ({ searchParams }) => {
                       count: counts.users || 0,
                       relevance: calculateTypeRelevance('users', query),
                     },
+                    threads: {
+                      type: 'threads',
+                      count: counts.threads || 0,
+                      relevance: calculateTypeRelevance('threads', query),
+                    },
                   })
                     .filter(([_, info]) => info.count > 0)
                     .sort((a, b) => {
@@ -1493,4 +1517,77 @@ UserResultItem.propTypes = {
   query: PropTypes.string.isRequired,
 };
 
+const ThreadResultItem = ({ thread, query }) => {
+  const author = thread.authorDetails?.[0];
+  const category = thread.categoryDetails?.[0];
+  const authorName =
+    [author?.firstName, author?.lastName].filter(Boolean).join(' ') || author?.username || 'Community member';
+  const isTitleMatch = query && thread.title?.toLowerCase().includes(query.toLowerCase());
+
+  return (
+    <motion.div
+      variants={itemVariants}
+      className="bg-white rounded-xl border border-gray-200 overflow-hidden transition-shadow relative"
+    >
+      <Link href={`/forum/thread/${thread._id}`} className="block p-6">
+        <div className="flex items-start">
+          <div className="flex-shrink-0 mr-4">
+            <div className="w-14 h-14 rounded-lg bg-violet-100 flex items-center justify-center text-violet-600">
+              <MessageSquare size={24} />
+            </div>
+          </div>
+          <div className="flex-1">
+            <h3 className="text-lg font-semibold text-gray-900 mb-1">{thread.title}</h3>
+            <p className="text-gray-600 mb-2">
+              {authorName}
+              {category && <span className="text-gray-400"> in {category.name}</span>}
+            </p>
+            {thread.excerpt && <p className="text-gray-500 text-sm mb-3 line-clamp-2">{thread.excerpt}</p>}
+            <div className="flex flex-wrap items-center gap-3 text-sm text-gray-500">
+              <span className="flex items-center">
+                <MessageSquare size={14} className="mr-1" />
+                {thread.replyCount || 0} replies
+              </span>
+              <span className="flex items-center">
+                <ArrowUp size={14} className="mr-1" />
+                {thread.upvoteCount || 0}
+              </span>
+              <span className="flex items-center">
+                <Eye size={14} className="mr-1" />
+                {thread.views?.count || 0}
+              </span>
+              {thread.tags?.slice(0, 3).map(tag => (
+                <span key={tag} className="px-2 py-1 bg-gray-100 text-gray-600 rounded-full text-xs">
+                  #{tag}
+                </span>
+              ))}
+            </div>
+          </div>
+        </div>
+      </Link>
+
+      {isTitleMatch && (
+        <div className="absolute top-2 right-2 px-2 py-0.5 bg-violet-100 text-violet-700 rounded text-xs font-medium">
+          Title match
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+ThreadResultItem.propTypes = {
+  thread: PropTypes.shape({
+    _id: PropTypes.string,
+    title: PropTypes.string,
+    excerpt: PropTypes.string,
+    tags: PropTypes.arrayOf(PropTypes.string),
+    replyCount: PropTypes.number,
+    upvoteCount: PropTypes.number,
+    views: PropTypes.shape({ count: PropTypes.number }),
+    authorDetails: PropTypes.array,
+    categoryDetails: PropTypes.array,
+  }).isRequired,
+  query: PropTypes.string,
+};
+
 export default SearchPage;
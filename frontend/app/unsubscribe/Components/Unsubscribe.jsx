@@ -0,0 +1,109 @@
+'use client';
+
+import React, { useState } from 'react';
+import Link from 'next/link';
+import { useSearchParams } from 'next/navigation';
+import { motion } from 'framer-motion';
+import { MailX, MailCheck, AlertCircle, RefreshCw } from 'lucide-react';
+import { makePriorityRequest } from '@/lib/api/api';
+import logger from '@/lib/utils/logger';
+
+const Unsubscribe = () => {
+  const searchParams = useSearchParams();
+  const token = searchParams.get('token');
+
+  // 'confirm' | 'working' | 'done' | 'error'
+  const [status, setStatus] = useState(token ? 'confirm' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This unsubscribe link is incomplete.');
+  const [type, setType] = useState(null);
+
+  // Runs on click rather than on load so email link scanners can't trigger it
+  const handleUnsubscribe = async () => {
+    setStatus('working');
+    try {
+      const response = await makePriorityRequest('post', '/notifications/unsubscribe', {
+        params: { token },
+      });
+      setStatus('done');
+      setMessage(response.data.message);
+      setType(response.data.data?.type);
+    } catch (error) {
+      logger.error('Error unsubscribing:', error);
+      setStatus('error');
+      setMessage(error.response?.data?.message || 'This unsubscribe link is invalid or no longer works.');
+    }
+  };
+
+  const isJobAlert = type?.startsWith('job-alert-');
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="w-full max-w-md bg-white/80 backdrop-blur-sm border border-violet-100 rounded-3xl p-8 shadow-2xl shadow-primary/10 text-center"
+    >
+      {(status === 'confirm' || status === 'working') && (
+        <>
+          <div className="mx-auto w-16 h-16 mb-6 flex items-center justify-center rounded-full bg-gradient-to-br from-primary to-purple-600 shadow-lg">
+            <MailX className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-2xl font-bold text-gray-900 mb-3">Unsubscribe?</h1>
+          <p className="text-sm text-gray-600 mb-6">
+            You'll stop getting the emails this link came from. You can turn them back on in your settings.
+          </p>
+          <button
+            type="button"
+            onClick={handleUnsubscribe}
+            disabled={status === 'working'}
+            className="w-full py-3.5 bg-gradient-to-r from-primary to-purple-600 text-white font-semibold rounded-2xl shadow-lg hover:shadow-xl transition-all disabled:opacity-70 flex items-center justify-center"
+          >
+            {status === 'working' ? (
+              <>
+                <RefreshCw className="w-4 h-4 mr-2 animate-spin" /> Unsubscribing...
+              </>
+            ) : (
+              'Unsubscribe'
+            )}
+          </button>
+          <Link href="/" className="block mt-4 text-sm text-gray-500 hover:text-primary">
+            Keep getting them
+          </Link>
+        </>
+      )}
+
+      {status === 'done' && (
+        <>
+          <div className="mx-auto w-16 h-16 mb-6 flex items-center justify-center rounded-full bg-gradient-to-br from-primary to-purple-600 shadow-lg">
+            <MailCheck className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-2xl font-bold text-gray-900 mb-3">You're unsubscribed</h1>
+          <p className="text-sm text-gray-600 mb-6">{message}</p>
+          <Link
+            href={isJobAlert ? '/user/job-alerts' : '/user/settings'}
+            className="block w-full py-3.5 bg-gradient-to-r from-primary to-purple-600 text-white font-semibold rounded-2xl shadow-lg hover:shadow-xl transition-all"
+          >
+            {isJobAlert ? 'Manage job alerts' : 'Manage email settings'}
+          </Link>
+        </>
+      )}
+
+      {status === 'error' && (
+        <>
+          <div className="mx-auto w-16 h-16 mb-6 flex items-center justify-center rounded-full bg-red-100">
+            <AlertCircle className="w-8 h-8 text-red-500" />
+          </div>
+          <h1 className="text-2xl font-bold text-gray-900 mb-3">We couldn't use this link</h1>
+          <p className="text-sm text-gray-600 mb-6">{message}</p>
+          <Link
+            href="/user/settings"
+            className="block w-full py-3.5 bg-gradient-to-r from-primary to-purple-600 text-white font-semibold rounded-2xl shadow-lg hover:shadow-xl transition-all"
+          >
+            Manage email settings
+          </Link>
+        </>
+      )}
+    </motion.div>
+  );
+};
+
+export default Unsubscribe;
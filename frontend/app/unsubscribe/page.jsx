@@ -0,0 +1,19 @@
+import { Suspense } from 'react'
+import Unsubscribe from './Components/Unsubscribe'
+
+export const metadata = {
+  title: "Unsubscribe - Product Bazar",
+  description: "Stop receiving these emails from Product Bazar.",
+};
+
+function page() {
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-gradient-to-br from-violet-50 to-purple-50 px-6 py-12">
+      <Suspense fallback={null}>
+        <Unsubscribe />
+      </Suspense>
+    </div>
+  )
+}
+
+export default page
@@ -0,0 +1,63 @@
+// src/components/profile/FollowButton.jsx
+'use client';
+
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { useRouter } from 'next/navigation';
+import { FiUserPlus, FiUserCheck } from 'react-icons/fi';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '@/lib/contexts/auth-context';
+import api from '@/lib/api/api';
+import logger from '@/lib/utils/logger';
+
+export default function FollowButton({ userId, initialIsFollowing = false, onChange }) {
+  const router = useRouter();
+  const { isAuthenticated } = useAuth();
+  const [isFollowing, setIsFollowing] = useState(initialIsFollowing);
+  const [isHovering, setIsHovering] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleClick = async () => {
+    if (!isAuthenticated) {
+      router.push(`/auth/login?redirect=${encodeURIComponent(window.location.pathname)}`);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = isFollowing
+        ? await api.delete(`/users/${userId}/follow`)
+        : await api.post(`/users/${userId}/follow`);
+
+      if (response.data?.status === 'success') {
+        const { isFollowing: nextIsFollowing, counts } = response.data.data;
+        setIsFollowing(nextIsFollowing);
+        onChange?.({ isFollowing: nextIsFollowing, counts });
+      }
+    } catch (error) {
+      logger.error('Failed to update follow status:', error);
+      toast.error(error.response?.data?.message || 'Failed to update follow status');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.button
+      whileHover={{ scale: 1.02 }}
+      whileTap={{ scale: 0.98 }}
+      onClick={handleClick}
+      onMouseEnter={() => setIsHovering(true)}
+      onMouseLeave={() => setIsHovering(false)}
+      disabled={loading}
+      className={`px-3 py-1.5 rounded-md text-sm font-medium transition-colors flex items-center gap-1.5 whitespace-nowrap disabled:opacity-60 ${
+        isFollowing
+          ? 'border border-gray-200 text-gray-600 hover:border-red-200 hover:text-red-600 hover:bg-red-50'
+          : 'bg-violet-500 text-white hover:bg-violet-600'
+      }`}
+    >
+      {isFollowing ? <FiUserCheck className="w-3.5 h-3.5" /> : <FiUserPlus className="w-3.5 h-3.5" />}
+      {isFollowing ? (isHovering ? 'Unfollow' : 'Following') : 'Follow'}
+    </motion.button>
+  );
+}
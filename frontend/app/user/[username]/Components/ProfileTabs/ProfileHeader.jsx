@@ -3,8 +3,10 @@ import Image from 'next/image';
 import { motion } from 'framer-motion';
 import { FiExternalLink, FiEdit3, FiMapPin, FiMail, FiLink } from 'react-icons/fi';
 import { headerVariants } from '@/lib/utils/ui/animations';
+import FollowButton from './FollowButton';
+import ReportButton from 'Components/common/ReportButton';
 
-export default function ProfileHeader({ user, isOwnProfile, onEdit }) {
+export default function ProfileHeader({ user, isOwnProfile, onEdit, followCounts, onFollowChange }) {
   return (
     <div>
       {/* Banner */}
@@ -97,6 +99,17 @@ export default function ProfileHeader({ user, isOwnProfile, onEdit }) {
                 {user.bio && (
                   <p className="text-gray-500 text-sm max-w-2xl line-clamp-2">{user.bio}</p>
                 )}
+                {followCounts && (
+                  <div className="flex items-center gap-4 text-sm text-gray-500 justify-center md:justify-start">
+                    <span>
+                      <span className="font-medium text-gray-800">{followCounts.followers}</span>{' '}
+                      {followCounts.followers === 1 ? 'Follower' : 'Followers'}
+                    </span>
+                    <span>
+                      <span className="font-medium text-gray-800">{followCounts.following}</span> Following
+                    </span>
+                  </div>
+                )}
                 <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500 justify-center md:justify-start">
                   {user.address && (user.address.city || user.address.country) && (
                     <span className="flex items-center gap-1">
@@ -131,6 +144,16 @@ export default function ProfileHeader({ user, isOwnProfile, onEdit }) {
                 transition={{ delay: 0.3 }}
                 className="flex flex-col gap-2"
               >
+                {!isOwnProfile && (
+                  <FollowButton
+                    userId={user._id}
+                    initialIsFollowing={user.isFollowing}
+                    onChange={onFollowChange}
+                  />
+                )}
+                {!isOwnProfile && (
+                  <ReportButton targetType="user" targetId={user._id} className="text-xs justify-center" />
+                )}
                 {isOwnProfile && (
                   <motion.button
                     whileHover={{ scale: 1.02 }}
@@ -14,6 +14,7 @@ import { pageVariants } from '@/lib/utils/ui/animations';
 import logger from '@/lib/utils/logger';
 import eventBus, { EVENT_TYPES } from '@/lib/utils/event-bus';
 import api from '@/lib/api/api';
+import { FiLock } from 'react-icons/fi';
 
 export default function ProfilePage({ initialUser, initialProducts, initialInteractionCounts, initialStatusCounts, initialTotalPages }) {
   const { user: currentUser, authLoading } = useAuth();
@@ -30,9 +31,12 @@ export default function ProfilePage({ initialUser, initialProducts, initialInter
   const [activeProductFilter, setActiveProductFilter] = useState('all');
   const [statusCounts, setStatusCounts] = useState(initialStatusCounts);
   const [interactionCounts, setInteractionCounts] = useState(initialInteractionCounts);
+  const [profileUser, setProfileUser] = useState(initialUser);
+  const [followCounts, setFollowCounts] = useState(initialUser?.followCounts || null);
   const productsPerPage = 6;
 
   const isOwnProfile = currentUser?._id === initialUser?._id;
+  const canViewActivity = profileUser?.canViewActivity !== false;
 
   // Fetch user products with pagination and filters
   const fetchUserProducts = useCallback(
@@ -148,6 +152,61 @@ export default function ProfilePage({ initialUser, initialProducts, initialInter
     };
   }, [initialUser?._id, fetchUserProducts, currentPage, activeProductFilter]);
 
+  // The server render is anonymous, so followers-only content is re-fetched
+  // with the viewer's credentials once they are known
+  useEffect(() => {
+    if (authLoading || !currentUser || !initialUser?.username) return;
+    if (!initialUser.isRestricted && initialUser.canViewActivity !== false) return;
+
+    const refetchProfile = async () => {
+      try {
+        const response = await api.get(`/auth/user/username/${initialUser.username}`);
+        const refreshedUser = response.data?.data?.user;
+        if (!refreshedUser) return;
+
+        setProfileUser(refreshedUser);
+        setFollowCounts(refreshedUser.followCounts || null);
+
+        if (initialUser.isRestricted && !refreshedUser.isRestricted) {
+          fetchUserProducts(1, 'all');
+        }
+
+        if (refreshedUser.canViewActivity) {
+          const interactionResponse = await api.get(`/users/${refreshedUser._id}/interactions`);
+          setInteractionCounts({
+            bookmarks: interactionResponse.data?.bookmarkCount || 0,
+            upvotes: interactionResponse.data?.upvoteCount || 0,
+          });
+        }
+      } catch (error) {
+        logger.error('Failed to refresh profile for viewer:', error);
+      }
+    };
+
+    refetchProfile();
+  }, [authLoading, currentUser, initialUser, fetchUserProducts]);
+
+  const handleFollowChange = useCallback(
+    ({ counts }) => {
+      if (counts) setFollowCounts(counts);
+      // Following may unlock followers-only content
+      if (profileUser?.isRestricted || !canViewActivity) {
+        api
+          .get(`/auth/user/username/${initialUser.username}`)
+          .then((response) => {
+            const refreshedUser = response.data?.data?.user;
+            if (!refreshedUser) return;
+            if (profileUser?.isRestricted && !refreshedUser.isRestricted) {
+              fetchUserProducts(1, 'all');
+            }
+            setProfileUser(refreshedUser);
+          })
+          .catch((error) => logger.error('Failed to refresh profile after follow:', error));
+      }
+    },
+    [profileUser?.isRestricted, canViewActivity, initialUser?.username, fetchUserProducts]
+  );
+
   // Show profile completion modal for own profile
   useEffect(() => {
     if (isOwnProfile && currentUser && !currentUser.isProfileCompleted) {
@@ -237,6 +296,47 @@ export default function ProfilePage({ initialUser, initialProducts, initialInter
     );
   }
 
+  if (profileUser.isRestricted) {
+    return (
+      <motion.div
+        className="min-h-screen bg-white"
+        initial="hidden"
+        animate="visible"
+        variants={pageVariants}
+      >
+        <ProfileHeader
+          user={profileUser}
+          isOwnProfile={isOwnProfile}
+          followCounts={followCounts}
+          onFollowChange={handleFollowChange}
+        />
+        <div className="max-w-4xl mx-auto px-4">
+          <div className="bg-white rounded-xl border border-gray-100 p-8 text-center">
+            <div className="w-12 h-12 mx-auto mb-4 bg-violet-50 rounded-full flex items-center justify-center">
+              <FiLock className="w-5 h-5 text-violet-500" />
+            </div>
+            <h2 className="text-lg font-medium text-gray-900 mb-2">
+              {profileUser.restrictedBy === 'followers'
+                ? 'This profile is visible to followers only'
+                : profileUser.restrictedBy === 'review'
+                  ? 'This profile is under review'
+                  : 'This profile is private'}
+            </h2>
+            <p className="text-sm text-gray-500">
+              {profileUser.restrictedBy === 'followers'
+                ? `Follow ${profileUser.firstName || profileUser.username} to see their products and activity.`
+                : profileUser.restrictedBy === 'review'
+                  ? 'It has been reported by other members and is hidden until our team reviews it.'
+                  : `${profileUser.firstName || profileUser.username} has chosen to keep their profile private.`}
+            </p>
+          </div>
+        </div>
+      </motion.div>
+    );
+  }
+
+  const visibleTab = !canViewActivity && ['Activity', 'Upvotes'].includes(activeTab) ? 'Overview' : activeTab;
+
   return (
     <motion.div
       className="min-h-screen bg-white"
@@ -244,17 +344,23 @@ export default function ProfilePage({ initialUser, initialProducts, initialInter
       animate="visible"
       variants={pageVariants}
     >
-      <ProfileHeader user={initialUser} isOwnProfile={isOwnProfile} onEdit={() => setIsEditModalOpen(true)} />
+      <ProfileHeader
+        user={profileUser}
+        isOwnProfile={isOwnProfile}
+        onEdit={() => setIsEditModalOpen(true)}
+        followCounts={followCounts}
+        onFollowChange={handleFollowChange}
+      />
       <ProfileStats
         productsCount={products.length}
         bookmarks={interactionCounts.bookmarks}
         upvotes={interactionCounts.upvotes}
-        activities={initialUser.activity?.length || 0}
+        activities={profileUser.activity?.length || 0}
       />
-      <ProfileTabs activeTab={activeTab} setActiveTab={setActiveTab} />
+      <ProfileTabs activeTab={visibleTab} setActiveTab={setActiveTab} canViewActivity={canViewActivity} />
       <ProfileContent
-        activeTab={activeTab}
-        user={initialUser}
+        activeTab={visibleTab}
+        user={profileUser}
         products={products}
         interactionCounts={interactionCounts}
         isOwnProfile={isOwnProfile}
@@ -3,12 +3,17 @@ import { motion } from 'framer-motion';
 import { FiGrid, FiPackage, FiActivity, FiAward } from 'react-icons/fi';
 import { tabVariants } from '@/lib/utils/ui/animations';
 
-export default function ProfileTabs({ activeTab, setActiveTab }) {
+export default function ProfileTabs({ activeTab, setActiveTab, canViewActivity = true }) {
   const tabs = [
     { name: 'Overview', icon: FiGrid },
     { name: 'Products', icon: FiPackage },
-    { name: 'Activity', icon: FiActivity },
-    { name: 'Upvotes', icon: FiAward },
+    // Activity and upvotes follow the user's activityVisibility setting
+    ...(canViewActivity
+      ? [
+          { name: 'Activity', icon: FiActivity },
+          { name: 'Upvotes', icon: FiAward },
+        ]
+      : []),
   ];
 
   return (
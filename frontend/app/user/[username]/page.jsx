@@ -40,6 +40,19 @@ export default async function UserProfilePage({ params }) {
     }
     const user = userResponse.data.data.user;
 
+    // Restricted profiles (followers-only or private) have nothing else to load
+    if (user.isRestricted) {
+      return (
+        <ProfilePage
+          initialUser={user}
+          initialProducts={[]}
+          initialInteractionCounts={{ bookmarks: 0, upvotes: 0 }}
+          initialStatusCounts={{ all: 0, published: 0, draft: 0, archived: 0 }}
+          initialTotalPages={1}
+        />
+      );
+    }
+
     // Fetch products data
     const productsResponse = await makePriorityRequest('get', `/products/user/${user._id}`, {
       params: { page: 1, limit: 6, filter: 'all' },
@@ -53,12 +66,19 @@ export default async function UserProfilePage({ params }) {
       archived: productsResponse.data?.statusCounts?.archived || 0,
     };
 
-    // Fetch interaction data
-    const interactionResponse = await makePriorityRequest('get', `/users/${user._id}/interactions`);
-    const interactionCounts = {
-      bookmarks: interactionResponse.data?.bookmarkCount || 0,
-      upvotes: interactionResponse.data?.upvoteCount || 0,
-    };
+    // Fetch interaction data (not available when the user's activity is hidden from this viewer)
+    let interactionCounts = { bookmarks: 0, upvotes: 0 };
+    if (user.canViewActivity) {
+      try {
+        const interactionResponse = await makePriorityRequest('get', `/users/${user._id}/interactions`);
+        interactionCounts = {
+          bookmarks: interactionResponse.data?.bookmarkCount || 0,
+          upvotes: interactionResponse.data?.upvoteCount || 0,
+        };
+      } catch (error) {
+        logger.warn(`Interaction counts unavailable for ${username}:`, error);
+      }
+    }
 
     // Pass the data as props to the ProfilePage component
     return (
@@ -0,0 +1,214 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useRouter } from "next/navigation";
+import Link from "next/link";
+import { Bell, BellOff, Pause, Play, Trash2, Search, Mail } from "lucide-react";
+import { formatDistanceToNow } from "date-fns";
+import { toast } from "react-hot-toast";
+import { useAuth } from "@/lib/contexts/auth-context";
+import logger from "@/lib/utils/logger";
+import LoaderComponent from "Components/UI/LoaderComponent";
+import {
+  ALERT_FREQUENCIES,
+  getJobAlerts,
+  updateJobAlert,
+  deleteJobAlert,
+  getAlertSearchUrl,
+} from "@/lib/utils/job/job-alerts";
+import { describeCriteria } from "@/app/jobs/Components/SaveSearchModal";
+
+export default function JobAlertsPage() {
+  const { user, authLoading, isInitialized } = useAuth();
+  const router = useRouter();
+  const [alerts, setAlerts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    if (authLoading || !isInitialized) {
+      return;
+    }
+
+    if (!user) {
+      toast.error("Please log in to manage your job alerts", { icon: '🔑' });
+      router.push("/auth/login?redirect=/user/job-alerts");
+      return;
+    }
+
+    getJobAlerts()
+      .then(setAlerts)
+      .catch((error) => {
+        logger.error("Error fetching job alerts:", error);
+        toast.error("Couldn't load your job alerts");
+      })
+      .finally(() => setLoading(false));
+  }, [user, router, authLoading, isInitialized]);
+
+  const handleUpdate = async (alert, changes, successMessage) => {
+    setBusyId(alert._id);
+    try {
+      const updated = await updateJobAlert(alert._id, changes);
+      setAlerts((prev) => prev.map((item) => (item._id === alert._id ? updated : item)));
+      if (successMessage) toast.success(successMessage);
+    } catch (error) {
+      logger.error("Error updating job alert:", error);
+      toast.error(error.response?.data?.message || "Couldn't update this alert");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (alert) => {
+    if (!window.confirm(`Delete the "${alert.name}" job alert?`)) return;
+
+    setBusyId(alert._id);
+    try {
+      await deleteJobAlert(alert._id);
+      setAlerts((prev) => prev.filter((item) => item._id !== alert._id));
+      toast.success("Job alert deleted");
+    } catch (error) {
+      logger.error("Error deleting job alert:", error);
+      toast.error(error.response?.data?.message || "Couldn't delete this alert");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading || authLoading || !isInitialized) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoaderComponent size="large" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-white py-12 px-4">
+      <div className="max-w-3xl mx-auto">
+        <div className="flex flex-col sm:flex-row sm:items-end justify-between gap-4 mb-8">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Job Alerts</h1>
+            <p className="text-sm text-gray-500 mt-1">
+              Saved searches send you new matching jobs as notifications and emails.
+            </p>
+          </div>
+          <Link
+            href="/jobs"
+            className="flex items-center self-start sm:self-auto px-4 py-2 text-sm bg-violet-600 text-white rounded-lg hover:bg-violet-700 transition-colors"
+          >
+            <Search size={16} className="mr-2" />
+            Search jobs
+          </Link>
+        </div>
+
+        {alerts.length === 0 ? (
+          <div className="text-center py-16 border border-gray-100 rounded-2xl">
+            <div className="w-16 h-16 bg-violet-50 rounded-full flex items-center justify-center mx-auto mb-6">
+              <Bell size={28} className="text-violet-600" />
+            </div>
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">No job alerts yet</h3>
+            <p className="text-gray-600 max-w-sm mx-auto">
+              Search or filter jobs, then choose “Save this search” to hear about new matches.
+            </p>
+          </div>
+        ) : (
+          <ul className="space-y-4">
+            {alerts.map((alert) => {
+              const busy = busyId === alert._id;
+              return (
+                <li
+                  key={alert._id}
+                  className={`p-5 border rounded-xl shadow-sm ${
+                    alert.paused ? "bg-gray-50 border-gray-100" : "bg-white border-gray-100"
+                  }`}
+                >
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <h2 className="font-semibold text-gray-900 truncate">
+                        {alert.name}
+                        {alert.paused && (
+                          <span className="ml-2 px-2 py-0.5 text-xs font-medium text-gray-600 bg-gray-200 rounded-full">
+                            Paused
+                          </span>
+                        )}
+                      </h2>
+                      <p className="text-sm text-gray-500 mt-1">{describeCriteria(alert)}</p>
+                      <p className="text-xs text-gray-400 mt-1">
+                        {alert.lastSentAt
+                          ? `Last sent ${formatDistanceToNow(new Date(alert.lastSentAt), { addSuffix: true })}`
+                          : "No matches sent yet"}
+                      </p>
+                    </div>
+                    <Link
+                      href={getAlertSearchUrl(alert)}
+                      className="flex-shrink-0 text-sm text-violet-700 hover:text-violet-900"
+                    >
+                      View jobs
+                    </Link>
+                  </div>
+
+                  <div className="flex flex-wrap items-center gap-3 mt-4">
+                    <select
+                      value={alert.frequency}
+                      disabled={busy}
+                      onChange={(e) => handleUpdate(alert, { frequency: e.target.value }, "Frequency updated")}
+                      className="text-sm border border-gray-200 rounded-lg py-1.5 pl-3 pr-8 text-gray-700 focus:ring-violet-500 focus:border-violet-500"
+                    >
+                      {ALERT_FREQUENCIES.map(({ value, label }) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+
+                    <button
+                      disabled={busy}
+                      onClick={() =>
+                        handleUpdate(
+                          alert,
+                          { emailEnabled: !alert.emailEnabled },
+                          alert.emailEnabled ? "Emails turned off" : "Emails turned on"
+                        )
+                      }
+                      className="flex items-center px-3 py-1.5 text-sm border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-60 transition-colors"
+                    >
+                      {alert.emailEnabled ? (
+                        <Mail size={14} className="mr-1.5" />
+                      ) : (
+                        <BellOff size={14} className="mr-1.5" />
+                      )}
+                      {alert.emailEnabled ? "Email on" : "Notifications only"}
+                    </button>
+
+                    <button
+                      disabled={busy}
+                      onClick={() =>
+                        handleUpdate(
+                          alert,
+                          { paused: !alert.paused },
+                          alert.paused ? "Job alert resumed" : "Job alert paused"
+                        )
+                      }
+                      className="flex items-center px-3 py-1.5 text-sm border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-60 transition-colors"
+                    >
+                      {alert.paused ? <Play size={14} className="mr-1.5" /> : <Pause size={14} className="mr-1.5" />}
+                      {alert.paused ? "Resume" : "Pause"}
+                    </button>
+
+                    <button
+                      disabled={busy}
+                      onClick={() => handleDelete(alert)}
+                      className="flex items-center px-3 py-1.5 text-sm text-red-600 hover:bg-red-50 rounded-lg disabled:opacity-60 transition-colors ml-auto"
+                    >
+                      <Trash2 size={14} className="mr-1.5" />
+                      Delete
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -652,6 +652,14 @@ function MyJobs() {
                           View
                         </button>
                       )}
+                      {job._id && (
+                        <button
+                          onClick={() => router.push(`/user/myjobs/pipeline/${job._id}`)}
+                          className="px-3 py-1.5 text-sm border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                        >
+                          Pipeline
+                        </button>
+                      )}
                       {job._id && (
                         <button
                           onClick={() => router.push(`/user/myjobs/edit/${job._id}`)}
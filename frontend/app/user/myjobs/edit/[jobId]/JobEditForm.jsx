@@ -27,6 +27,7 @@ import { useJob } from "@/lib/contexts/job-context";
 import logger from "@/lib/utils/logger";
 import RichTextEditor from "@/app/jobs/post/components/RichTextEditor";
 import SkillsInput from "@/app/jobs/post/components/SkillsInput";
+import ScreeningQuestionsEditor from "@/app/jobs/post/components/ScreeningQuestionsEditor";
 
 const JobEditForm = ({ job }) => {
   const router = useRouter();
@@ -97,6 +98,7 @@ const JobEditForm = ({ job }) => {
       applicationUrl: job?.applicationUrl || "",
       applicationEmail: job?.applicationEmail || "",
       applicationInstructions: job?.applicationInstructions || "",
+      screeningQuestions: job?.screeningQuestions || [],
       benefits: arrayToHtml(job?.benefits) || "",
       deadline: job?.deadline ? new Date(job.deadline).toISOString().split('T')[0] : "",
       status: job?.status || "Published",
@@ -861,6 +863,22 @@ const JobEditForm = ({ job }) => {
                     )}
                   />
                 </div>
+
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Screening Questions
+                  </label>
+                  <p className="mb-3 text-xs text-gray-500">
+                    Optional: Ask candidates a few questions when they apply. Answers that match a rejection rule decline the application automatically.
+                  </p>
+                  <Controller
+                    name="screeningQuestions"
+                    control={control}
+                    render={({ field }) => (
+                      <ScreeningQuestionsEditor value={field.value} onChange={field.onChange} />
+                    )}
+                  />
+                </div>
               </div>
 
               <div className="mt-8 flex justify-between">
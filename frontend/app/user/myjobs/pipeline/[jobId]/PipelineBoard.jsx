@@ -0,0 +1,360 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { motion } from "framer-motion";
+import { ChevronLeft, Settings, Star, X, History, Loader2, FileText } from "lucide-react";
+import { format, formatDistanceToNow } from "date-fns";
+import { toast } from "react-hot-toast";
+import { useJob } from "@/lib/contexts/job-context";
+import { downloadResume } from "@/lib/utils/job/resume-download";
+import { getMatchScoreClass } from "@/lib/utils/job/job-match";
+import logger from "@/lib/utils/logger";
+import ApplicationStatusBadge from "@/app/profile/applications/components/ApplicationStatusBadge";
+
+// Stages the poster moves cards between; "Withdrawn" is shown read-only
+const PIPELINE_STAGES = ["Pending", "Reviewed", "Shortlisted", "Rejected", "Hired"];
+
+const applicantName = (applicant) =>
+  `${applicant?.firstName || ""} ${applicant?.lastName || ""}`.trim() ||
+  applicant?.username ||
+  "Applicant";
+
+const PipelineBoard = ({ pipeline, onRefresh, sort, onSortChange }) => {
+  const router = useRouter();
+  const { moveApplication, updateJob } = useJob();
+  const { job, stages, transitions } = pipeline;
+
+  const [dragged, setDragged] = useState(null);
+  const [pendingMove, setPendingMove] = useState(null);
+  const [moveMessage, setMoveMessage] = useState("");
+  const [moving, setMoving] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  const [rulesOpen, setRulesOpen] = useState(false);
+  const [rules, setRules] = useState(transitions);
+  const [savingRules, setSavingRules] = useState(false);
+
+  const handleResumeDownload = async (application) => {
+    try {
+      await downloadResume(application._id, application.resume?.name || `resume-${application._id}.pdf`);
+    } catch (error) {
+      logger.error("Error downloading resume:", error);
+      toast.error("Couldn't download the resume");
+    }
+  };
+
+  const canMove = (from, to) => from !== to && (transitions[from] || []).includes(to);
+
+  const requestMove = (application, to) => {
+    if (!canMove(application.status, to)) {
+      toast.error(`Applications can't move from ${application.status} to ${to}`);
+      return;
+    }
+    setMoveMessage("");
+    setPendingMove({ application, to });
+  };
+
+  const confirmMove = async () => {
+    setMoving(true);
+    const updated = await moveApplication(pendingMove.application._id, pendingMove.to, moveMessage.trim());
+    setMoving(false);
+    if (updated) {
+      setPendingMove(null);
+      await onRefresh();
+    }
+  };
+
+  const handleDrop = (to) => {
+    if (dragged) requestMove(dragged, to);
+    setDragged(null);
+  };
+
+  const toggleRule = (from, to) => {
+    setRules((prev) => {
+      const targets = prev[from] || [];
+      return {
+        ...prev,
+        [from]: targets.includes(to) ? targets.filter((stage) => stage !== to) : [...targets, to],
+      };
+    });
+  };
+
+  const saveRules = async () => {
+    setSavingRules(true);
+    const updated = await updateJob(job._id, { pipelineTransitions: rules });
+    setSavingRules(false);
+    if (updated) {
+      toast.success("Stage rules saved");
+      setRulesOpen(false);
+      await onRefresh();
+    }
+  };
+
+  return (
+    <>
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-8">
+        <div>
+          <button
+            onClick={() => router.push("/user/myjobs")}
+            className="flex items-center text-sm text-gray-500 hover:text-violet-700 mb-2"
+          >
+            <ChevronLeft size={16} className="mr-1" />
+            My Jobs
+          </button>
+          <h1 className="text-2xl font-bold text-gray-900">{job.title}</h1>
+          <p className="text-sm text-gray-500">
+            {job.company?.name} · Drag a candidate to another stage to move them
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={sort}
+            onChange={(e) => onSortChange(e.target.value)}
+            className="text-sm border border-gray-200 rounded-lg py-2 pl-3 pr-8 text-gray-700 focus:ring-violet-500 focus:border-violet-500"
+          >
+            <option value="recent">Recent activity</option>
+            <option value="match">Best match</option>
+          </select>
+          <button
+            onClick={() => {
+              setRules(transitions);
+              setRulesOpen((open) => !open);
+            }}
+            className="flex items-center px-4 py-2 text-sm border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            <Settings size={16} className="mr-2" />
+            Stage rules
+          </button>
+        </div>
+      </div>
+
+      {rulesOpen && (
+        <div className="mb-8 p-6 bg-white border border-gray-100 rounded-xl shadow-sm overflow-x-auto">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Allowed moves</h2>
+          <p className="text-sm text-gray-500 mb-4">Tick where candidates in each stage can be moved to.</p>
+          <table className="text-sm">
+            <thead>
+              <tr>
+                <th className="pr-4 text-left font-medium text-gray-500">From \ To</th>
+                {PIPELINE_STAGES.map((to) => (
+                  <th key={to} className="px-3 font-medium text-gray-700">{to}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {PIPELINE_STAGES.map((from) => (
+                <tr key={from}>
+                  <td className="pr-4 py-2 font-medium text-gray-700">{from}</td>
+                  {PIPELINE_STAGES.map((to) => (
+                    <td key={to} className="px-3 py-2 text-center">
+                      {from !== to && (
+                        <input
+                          type="checkbox"
+                          checked={(rules[from] || []).includes(to)}
+                          onChange={() => toggleRule(from, to)}
+                          className="rounded text-violet-600 focus:ring-violet-500"
+                        />
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="flex justify-end mt-4">
+            <button
+              onClick={saveRules}
+              disabled={savingRules}
+              className="flex items-center bg-violet-600 text-white px-4 py-2 text-sm rounded-lg hover:bg-violet-700 disabled:opacity-60 transition-colors"
+            >
+              {savingRules && <Loader2 size={16} className="mr-2 animate-spin" />}
+              Save rules
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="flex gap-4 overflow-x-auto pb-4">
+        {stages.map(({ status, count, applications }) => {
+          const isDropTarget = dragged && canMove(dragged.status, status);
+          return (
+            <div
+              key={status}
+              onDragOver={(e) => isDropTarget && e.preventDefault()}
+              onDrop={() => handleDrop(status)}
+              className={`flex-shrink-0 w-72 rounded-xl border p-3 transition-colors ${
+                isDropTarget ? "bg-violet-50 border-violet-300 border-dashed" : "bg-gray-50 border-gray-100"
+              }`}
+            >
+              <div className="flex items-center justify-between mb-3">
+                <ApplicationStatusBadge status={status} />
+                <span className="text-sm font-medium text-gray-500">{count}</span>
+              </div>
+
+              <div className="space-y-3">
+                {applications.map((application) => {
+                  const targets = (transitions[application.status] || []).filter((to) => to !== application.status);
+                  const isExpanded = expandedId === application._id;
+                  return (
+                    <motion.div
+                      key={application._id}
+                      layout
+                      draggable={targets.length > 0}
+                      onDragStart={() => setDragged(application)}
+                      onDragEnd={() => setDragged(null)}
+                      className={`bg-white rounded-lg border border-gray-100 shadow-sm p-3 ${
+                        targets.length > 0 ? "cursor-grab active:cursor-grabbing" : ""
+                      }`}
+                    >
+                      <div className="flex items-start justify-between gap-2">
+                        <div className="min-w-0">
+                          <p className="font-medium text-gray-900 truncate">{applicantName(application.applicant)}</p>
+                          <p className="text-xs text-gray-500 truncate">{application.applicant?.email}</p>
+                        </div>
+                        <div className="flex flex-col items-end gap-1 flex-shrink-0">
+                          {application.match?.score != null && (
+                            <span
+                              title="Profile match"
+                              className={`px-2 py-0.5 text-xs font-medium rounded-full ${getMatchScoreClass(application.match.score)}`}
+                            >
+                              {application.match.score}% match
+                            </span>
+                          )}
+                          {application.rating > 0 && (
+                            <span className="flex items-center text-xs text-amber-600">
+                              <Star size={12} className="mr-0.5 fill-current" />
+                              {application.rating}
+                            </span>
+                          )}
+                        </div>
+                      </div>
+                      <p className="mt-2 text-xs text-gray-400">
+                        Applied {formatDistanceToNow(new Date(application.createdAt), { addSuffix: true })}
+                      </p>
+                      {application.screening?.knockedOut && (
+                        <span className="inline-block mt-2 px-2 py-0.5 text-xs text-red-700 bg-red-50 border border-red-100 rounded-full">
+                          Screened out
+                        </span>
+                      )}
+
+                      <div className="flex items-center justify-between mt-3 gap-2">
+                        {targets.length > 0 ? (
+                          <select
+                            value=""
+                            onChange={(e) => e.target.value && requestMove(application, e.target.value)}
+                            className="text-xs border border-gray-200 rounded-md py-1 pl-2 pr-6 text-gray-600 focus:ring-violet-500 focus:border-violet-500"
+                          >
+                            <option value="">Move to…</option>
+                            {targets.map((to) => (
+                              <option key={to} value={to}>{to}</option>
+                            ))}
+                          </select>
+                        ) : (
+                          <span />
+                        )}
+                        <button
+                          onClick={() => handleResumeDownload(application)}
+                          className="flex items-center text-xs text-gray-500 hover:text-violet-700"
+                        >
+                          <FileText size={12} className="mr-1" />
+                          Resume
+                        </button>
+                        {(application.stageHistory?.length > 0 || application.answers?.length > 0) && (
+                          <button
+                            onClick={() => setExpandedId(isExpanded ? null : application._id)}
+                            className="flex items-center text-xs text-gray-500 hover:text-violet-700"
+                          >
+                            <History size={12} className="mr-1" />
+                            Details
+                          </button>
+                        )}
+                      </div>
+
+                      {isExpanded && application.answers?.length > 0 && (
+                        <dl className="mt-3 pt-3 border-t border-gray-100 space-y-1">
+                          {application.answers.map((item) => (
+                            <div key={item.questionId || item.question} className="text-xs">
+                              <dt className="text-gray-500">{item.question}</dt>
+                              <dd className="text-gray-800">
+                                {typeof item.answer === "boolean"
+                                  ? item.answer ? "Yes" : "No"
+                                  : Array.isArray(item.answer) ? item.answer.join(", ") : String(item.answer)}
+                              </dd>
+                            </div>
+                          ))}
+                        </dl>
+                      )}
+
+                      {isExpanded && application.stageHistory?.length > 0 && (
+                        <ol className="mt-3 pt-3 border-t border-gray-100 space-y-2">
+                          {application.stageHistory.map((change, index) => (
+                            <li key={index} className="text-xs text-gray-600">
+                              <span className="font-medium">{change.from || "New"} → {change.to}</span>
+                              <span className="text-gray-400"> · {format(new Date(change.createdAt), "PP p")}</span>
+                              {change.message && (
+                                <p className="mt-0.5 text-gray-500 italic whitespace-pre-line">“{change.message}”</p>
+                              )}
+                            </li>
+                          ))}
+                        </ol>
+                      )}
+                    </motion.div>
+                  );
+                })}
+                {count > applications.length && (
+                  <p className="text-xs text-center text-gray-400">
+                    Showing the {applications.length} most recent of {count}
+                  </p>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {pendingMove && (
+        <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-xl shadow-xl max-w-md w-full p-6">
+            <div className="flex items-start justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">
+                Move {applicantName(pendingMove.application.applicant)} to {pendingMove.to}
+              </h3>
+              <button onClick={() => setPendingMove(null)} className="text-gray-400 hover:text-gray-600">
+                <X size={20} />
+              </button>
+            </div>
+            <p className="text-sm text-gray-500 mb-3">
+              The candidate gets an email about this. Add a note if you'd like it included.
+            </p>
+            <textarea
+              value={moveMessage}
+              onChange={(e) => setMoveMessage(e.target.value)}
+              maxLength={2000}
+              rows={4}
+              placeholder="Optional message to the candidate"
+              className="w-full border border-gray-200 rounded-lg p-3 text-sm focus:ring-violet-500 focus:border-violet-500"
+            />
+            <div className="flex justify-end gap-2 mt-4">
+              <button
+                onClick={() => setPendingMove(null)}
+                className="px-4 py-2 text-sm border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={confirmMove}
+                disabled={moving}
+                className="flex items-center bg-violet-600 text-white px-4 py-2 text-sm rounded-lg hover:bg-violet-700 disabled:opacity-60 transition-colors"
+              >
+                {moving && <Loader2 size={16} className="mr-2 animate-spin" />}
+                Move
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default PipelineBoard;
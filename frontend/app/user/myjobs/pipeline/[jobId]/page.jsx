@@ -0,0 +1,75 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useParams, useRouter } from "next/navigation";
+import { toast } from "react-hot-toast";
+import { useAuth } from "@/lib/contexts/auth-context";
+import { useJob } from "@/lib/contexts/job-context";
+import PipelineBoard from "./PipelineBoard";
+import LoaderComponent from "Components/UI/LoaderComponent";
+
+export default function JobPipelinePage() {
+  const { jobId } = useParams();
+  const { user, authLoading, isInitialized } = useAuth();
+  const { getJobPipeline, error, setError } = useJob();
+  const [pipeline, setPipeline] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [sort, setSort] = useState("recent");
+  const router = useRouter();
+
+  const fetchPipeline = useCallback(async () => {
+    const data = await getJobPipeline(jobId, { sort });
+    if (data) {
+      setPipeline(data);
+    }
+    return data;
+  }, [jobId, sort, getJobPipeline]);
+
+  useEffect(() => {
+    if (authLoading || !isInitialized) {
+      return;
+    }
+
+    if (!user) {
+      toast.error("Please log in to manage applications", { icon: '🔑' });
+      router.push(`/auth/login?redirect=/user/myjobs/pipeline/${jobId}`);
+      return;
+    }
+
+    setError(null);
+    fetchPipeline().finally(() => setLoading(false));
+  }, [jobId, user, router, authLoading, isInitialized, fetchPipeline, setError]);
+
+  if (loading || authLoading || !isInitialized) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoaderComponent size="large" />
+      </div>
+    );
+  }
+
+  if (!pipeline) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <h2 className="text-2xl font-bold text-gray-800 mb-4">Error</h2>
+          <p className="text-gray-600 mb-6">{error || "The hiring pipeline could not be loaded."}</p>
+          <button
+            onClick={() => router.push("/user/myjobs")}
+            className="bg-violet-600 text-white px-6 py-3 rounded-lg hover:bg-violet-700 transition-colors"
+          >
+            Back to My Jobs
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-white py-12 px-4">
+      <div className="max-w-7xl mx-auto">
+        <PipelineBoard pipeline={pipeline} onRefresh={fetchPipeline} sort={sort} onSortChange={setSort} />
+      </div>
+    </div>
+  );
+}
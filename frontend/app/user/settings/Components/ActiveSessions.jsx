@@ -0,0 +1,212 @@
+"use client";
+
+import React, { useState, useEffect, useCallback } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import {
+  FiMonitor,
+  FiSmartphone,
+  FiTablet,
+  FiHelpCircle,
+  FiMapPin,
+  FiCalendar,
+  FiClock,
+  FiLock,
+  FiRefreshCw,
+  FiX,
+} from "react-icons/fi";
+import { makePriorityRequest } from "@/lib/api/api";
+import { toast } from "react-hot-toast";
+
+const DEVICE_ICONS = {
+  desktop: FiMonitor,
+  mobile: FiSmartphone,
+  tablet: FiTablet,
+};
+
+const formatRelativeTime = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hr ago`;
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? "" : "s"} ago`;
+};
+
+const SessionRow = ({ session, onRevoke, isRevoking }) => {
+  const DeviceIcon = DEVICE_ICONS[session.deviceType] || FiHelpCircle;
+
+  return (
+    <motion.li
+      layout
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0, height: 0 }}
+      className={`p-4 flex items-start justify-between gap-4 ${
+        session.isCurrent ? "bg-gradient-to-r from-green-50 to-white" : "bg-white"
+      }`}
+    >
+      <div className="flex items-start min-w-0">
+        <div className={`p-2 rounded-lg mr-3 ${session.isCurrent ? "bg-green-100" : "bg-gray-100"}`}>
+          <DeviceIcon className={session.isCurrent ? "text-green-600" : "text-gray-500"} />
+        </div>
+        <div className="min-w-0">
+          <p className="text-sm font-medium text-gray-900 flex items-center flex-wrap gap-2">
+            {session.label}
+            {session.isCurrent && (
+              <span className="px-2 py-0.5 bg-green-100 text-green-700 text-xs font-medium rounded-full flex items-center">
+                <span className="w-1.5 h-1.5 bg-green-500 rounded-full mr-1 animate-pulse"></span>
+                This device
+              </span>
+            )}
+          </p>
+          {(session.browser || session.os) && (
+            <p className="text-xs text-gray-500 mt-0.5">
+              {[session.browser, session.os].filter(Boolean).join(" · ")}
+            </p>
+          )}
+          <div className="mt-1.5 flex flex-wrap items-center gap-x-3 gap-y-1 text-xs text-gray-500">
+            <span className="flex items-center">
+              <FiMapPin className="mr-1 text-gray-400" />
+              {session.location || session.ipAddress || "Unknown location"}
+            </span>
+            <span className="flex items-center">
+              <FiCalendar className="mr-1 text-gray-400" />
+              Signed in {new Date(session.createdAt).toLocaleDateString()}
+            </span>
+            <span className="flex items-center">
+              <FiClock className="mr-1 text-gray-400" />
+              Active {formatRelativeTime(session.lastUsedAt)}
+            </span>
+          </div>
+        </div>
+      </div>
+      {!session.isCurrent && (
+        <button
+          type="button"
+          onClick={() => onRevoke(session._id)}
+          disabled={isRevoking}
+          className="flex-shrink-0 px-3 py-1.5 text-xs font-medium text-red-600 bg-white border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-60 flex items-center"
+        >
+          {isRevoking ? <FiRefreshCw className="mr-1 animate-spin" /> : <FiX className="mr-1" />}
+          Sign out
+        </button>
+      )}
+    </motion.li>
+  );
+};
+
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [revokingId, setRevokingId] = useState(null);
+  const [isRevokingAll, setIsRevokingAll] = useState(false);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await makePriorityRequest("get", "/auth/sessions");
+      setSessions(response.data.data.sessions || []);
+    } catch (error) {
+      console.error("Error fetching active sessions:", error);
+      toast.error(error.response?.data?.message || "Failed to load active sessions");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (sessionId) => {
+    setRevokingId(sessionId);
+    try {
+      await makePriorityRequest("delete", `/auth/sessions/${sessionId}`);
+      setSessions((prev) => prev.filter((session) => session._id !== sessionId));
+      toast.success("Session signed out");
+    } catch (error) {
+      console.error("Error revoking session:", error);
+      toast.error(error.response?.data?.message || "Failed to sign out session");
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    setIsRevokingAll(true);
+    try {
+      const response = await makePriorityRequest("delete", "/auth/sessions");
+      setSessions((prev) => prev.filter((session) => session.isCurrent));
+      toast.success(response.data.message || "Signed out of all other sessions");
+    } catch (error) {
+      console.error("Error logging out all sessions:", error);
+      toast.error(error.response?.data?.message || "Failed to sign out other sessions");
+    } finally {
+      setIsRevokingAll(false);
+    }
+  };
+
+  const otherSessionCount = sessions.filter((session) => !session.isCurrent).length;
+
+  return (
+    <div className="pt-5">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-base font-medium text-gray-800">Active Sessions</h4>
+        <button
+          type="button"
+          onClick={fetchSessions}
+          className="text-gray-400 hover:text-violet-600"
+          aria-label="Refresh sessions"
+        >
+          <FiRefreshCw className={isLoading ? "animate-spin" : ""} />
+        </button>
+      </div>
+
+      <div className="bg-gray-50 rounded-lg border border-gray-200 overflow-hidden mb-4">
+        {isLoading ? (
+          <p className="p-4 text-sm text-gray-500">Loading sessions...</p>
+        ) : sessions.length === 0 ? (
+          <p className="p-4 text-sm text-gray-500">No active sessions found.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            <AnimatePresence initial={false}>
+              {sessions.map((session) => (
+                <SessionRow
+                  key={session._id}
+                  session={session}
+                  onRevoke={handleRevoke}
+                  isRevoking={revokingId === session._id}
+                />
+              ))}
+            </AnimatePresence>
+          </ul>
+        )}
+      </div>
+
+      {otherSessionCount > 0 && (
+        <motion.button
+          type="button"
+          onClick={handleRevokeOthers}
+          disabled={isRevokingAll}
+          className="flex items-center px-4 py-2 text-sm font-medium text-red-600 bg-red-50 hover:bg-red-100 rounded-lg transition-colors border border-red-200"
+          whileHover={{ scale: 1.01 }}
+          whileTap={{ scale: 0.99 }}
+        >
+          {isRevokingAll ? (
+            <>
+              <FiRefreshCw className="mr-2 animate-spin" />
+              Signing out...
+            </>
+          ) : (
+            <>
+              <FiLock className="mr-2" />
+              Sign out of all other sessions
+            </>
+          )}
+        </motion.button>
+      )}
+    </div>
+  );
+};
+
+export default ActiveSessions;
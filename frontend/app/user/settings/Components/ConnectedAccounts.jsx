@@ -0,0 +1,175 @@
+"use client";
+
+import React, { useState, useEffect, useCallback } from "react";
+import Image from "next/image";
+import { FiLink, FiRefreshCw, FiExternalLink } from "react-icons/fi";
+import { FaGoogle, FaGithub, FaLinkedin } from "react-icons/fa";
+import { makePriorityRequest } from "@/lib/api/api";
+import { toast } from "react-hot-toast";
+
+const PROVIDER_ICONS = {
+  google: { Icon: FaGoogle, className: "text-[#DB4437]" },
+  github: { Icon: FaGithub, className: "text-[#24292E]" },
+  linkedin: { Icon: FaLinkedin, className: "text-[#0A66C2]" },
+};
+
+const ProviderRow = ({ status, onLink, onUnlink, isWorking }) => {
+  const { Icon, className } = PROVIDER_ICONS[status.provider] || { Icon: FiLink, className: "text-gray-500" };
+  const { account } = status;
+
+  return (
+    <li className="p-4 bg-white flex items-center justify-between gap-4">
+      <div className="flex items-center min-w-0">
+        <div className="p-2 rounded-lg mr-3 bg-gray-50">
+          <Icon className={className} />
+        </div>
+        <div className="min-w-0">
+          <p className="text-sm font-medium text-gray-900">{status.label}</p>
+          {account ? (
+            <p className="text-xs text-gray-500 mt-0.5 flex items-center gap-1.5 truncate">
+              {account.profilePicture && (
+                <Image
+                  src={account.profilePicture}
+                  alt=""
+                  width={16}
+                  height={16}
+                  className="rounded-full"
+                  unoptimized
+                />
+              )}
+              {account.username ? `@${account.username}` : account.email || account.displayName}
+              {account.profileUrl && (
+                <a
+                  href={account.profileUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-gray-400 hover:text-violet-600"
+                  aria-label={`Open ${status.label} profile`}
+                >
+                  <FiExternalLink />
+                </a>
+              )}
+            </p>
+          ) : (
+            <p className="text-xs text-gray-500 mt-0.5">
+              {status.enabled ? "Not connected" : "Not available right now"}
+            </p>
+          )}
+        </div>
+      </div>
+
+      {status.linked ? (
+        <button
+          type="button"
+          onClick={() => onUnlink(status)}
+          disabled={isWorking || !status.canUnlink}
+          title={status.canUnlink ? undefined : "Add a password or another sign-in method before disconnecting"}
+          className="flex-shrink-0 px-3 py-1.5 text-xs font-medium text-red-600 bg-white border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Disconnect
+        </button>
+      ) : (
+        <button
+          type="button"
+          onClick={() => onLink(status)}
+          disabled={isWorking || !status.enabled}
+          className="flex-shrink-0 px-3 py-1.5 text-xs font-medium text-violet-700 bg-violet-50 border border-violet-200 rounded-lg hover:bg-violet-100 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Connect
+        </button>
+      )}
+    </li>
+  );
+};
+
+const ConnectedAccounts = () => {
+  const [providers, setProviders] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [workingProvider, setWorkingProvider] = useState(null);
+
+  const fetchProviders = useCallback(async () => {
+    try {
+      const response = await makePriorityRequest("get", "/auth/linked-accounts");
+      setProviders(response.data.data.providers || []);
+    } catch (error) {
+      console.error("Error fetching linked accounts:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchProviders();
+  }, [fetchProviders]);
+
+  // The API sends the browser back here after a provider link attempt
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const linked = params.get("linked");
+    const linkError = params.get("link_error");
+    if (!linked && !linkError) return;
+
+    if (linkError) {
+      toast.error(linkError);
+    } else {
+      toast.success("Account connected");
+    }
+    params.delete("linked");
+    params.delete("link_error");
+    const query = params.toString();
+    window.history.replaceState({}, document.title, `${window.location.pathname}${query ? `?${query}` : ""}`);
+  }, []);
+
+  const handleLink = async ({ provider, label }) => {
+    setWorkingProvider(provider);
+    try {
+      const response = await makePriorityRequest("post", `/auth/${provider}/link`);
+      window.location.href = response.data.data.url;
+    } catch (error) {
+      toast.error(error.response?.data?.message || `Failed to connect ${label}`);
+      setWorkingProvider(null);
+    }
+  };
+
+  const handleUnlink = async ({ provider, label }) => {
+    setWorkingProvider(provider);
+    try {
+      await makePriorityRequest("delete", `/auth/${provider}/unlink`);
+      toast.success(`${label} disconnected`);
+      await fetchProviders();
+    } catch (error) {
+      toast.error(error.response?.data?.message || `Failed to disconnect ${label}`);
+    } finally {
+      setWorkingProvider(null);
+    }
+  };
+
+  return (
+    <div className="py-4">
+      <h4 className="text-base font-medium text-gray-800">Connected Accounts</h4>
+      <p className="text-sm text-gray-500 mt-1">
+        Sign in with these accounts instead of your password. You can't disconnect your only way to sign in.
+      </p>
+
+      {isLoading ? (
+        <div className="mt-3 flex items-center text-sm text-gray-500">
+          <FiRefreshCw className="animate-spin mr-2" /> Loading connected accounts...
+        </div>
+      ) : (
+        <ul className="mt-4 bg-gray-50 rounded-lg border border-gray-200 overflow-hidden divide-y divide-gray-200">
+          {providers.map((status) => (
+            <ProviderRow
+              key={status.provider}
+              status={status}
+              onLink={handleLink}
+              onUnlink={handleUnlink}
+              isWorking={workingProvider !== null}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ConnectedAccounts;
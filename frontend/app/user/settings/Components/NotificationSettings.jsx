@@ -22,6 +22,9 @@ const NotificationSettings = ({ user }) => {
         user?.notificationPreferences?.emailNotifications?.upvotes ?? true,
       newsletter:
         user?.notificationPreferences?.emailNotifications?.newsletter ?? true,
+      digestFrequency:
+        user?.notificationPreferences?.emailNotifications?.digestFrequency ??
+        "weekly",
     },
     pushNotifications: {
       productUpdates:
@@ -58,6 +61,17 @@ const NotificationSettings = ({ user }) => {
     }));
   };
 
+  const handleDigestFrequencyChange = (e) => {
+    const { value } = e.target;
+    setSettings((prev) => ({
+      ...prev,
+      emailNotifications: {
+        ...prev.emailNotifications,
+        digestFrequency: value,
+      },
+    }));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsSubmitting(true);
@@ -179,6 +193,22 @@ const NotificationSettings = ({ user }) => {
                 label="Weekly newsletter"
                 icon={<FiBell size={18} className="text-gray-500" />}
               />
+
+              <div className="flex items-center justify-between py-3">
+                <div className="flex items-center">
+                  <FiMail size={18} className="text-gray-500" />
+                  <span className="ml-3 text-gray-700">Email digest</span>
+                </div>
+                <select
+                  value={settings.emailNotifications.digestFrequency}
+                  onChange={handleDigestFrequencyChange}
+                  className="px-3 py-1.5 text-sm border border-gray-200 rounded-md bg-white text-gray-700 focus:outline-none focus:ring-2 focus:ring-violet-300"
+                >
+                  <option value="daily">Daily</option>
+                  <option value="weekly">Weekly</option>
+                  <option value="never">Never</option>
+                </select>
+              </div>
             </div>
           </div>
 
@@ -0,0 +1,263 @@
+"use client";
+
+import React, { useState, useEffect, useCallback } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { FiKey, FiPlus, FiEdit2, FiTrash2, FiCheck, FiX, FiRefreshCw, FiCloud } from "react-icons/fi";
+import { makePriorityRequest } from "@/lib/api/api";
+import { createPasskey, isPasskeySupported, getPasskeyErrorMessage } from "@/lib/utils/auth/webauthn";
+import { toast } from "react-hot-toast";
+
+const inputClassName =
+  "w-full px-3 py-2 border border-gray-200 rounded-lg text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-violet-500 focus:border-transparent";
+
+// Enter would otherwise submit the surrounding security settings form
+const submitOnEnter = (action) => (e) => {
+  if (e.key === "Enter") {
+    e.preventDefault();
+    action();
+  }
+};
+
+const PasskeyRow = ({ passkey, onRename, onRemove, isWorking }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [name, setName] = useState(passkey.name);
+
+  const handleSave = async () => {
+    if (await onRename(passkey._id, name)) {
+      setIsEditing(false);
+    }
+  };
+
+  return (
+    <motion.li
+      layout
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0, height: 0 }}
+      className="p-4 bg-white flex items-start justify-between gap-4"
+    >
+      <div className="flex items-start min-w-0 flex-1">
+        <div className="p-2 rounded-lg mr-3 bg-violet-50">
+          <FiKey className="text-violet-600" />
+        </div>
+        <div className="min-w-0 flex-1">
+          {isEditing ? (
+            <input
+              type="text"
+              value={name}
+              maxLength={50}
+              autoFocus
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={submitOnEnter(handleSave)}
+              className={inputClassName}
+              aria-label="Passkey name"
+            />
+          ) : (
+            <p className="text-sm font-medium text-gray-900 flex items-center flex-wrap gap-2">
+              {passkey.name}
+              {passkey.backedUp && (
+                <span className="px-2 py-0.5 bg-blue-50 text-blue-700 text-xs font-medium rounded-full flex items-center">
+                  <FiCloud className="mr-1" /> Synced
+                </span>
+              )}
+            </p>
+          )}
+          <p className="text-xs text-gray-500 mt-1">
+            Added {new Date(passkey.createdAt).toLocaleDateString()}
+            {" · "}
+            {passkey.lastUsedAt ? `Last used ${new Date(passkey.lastUsedAt).toLocaleDateString()}` : "Never used"}
+          </p>
+        </div>
+      </div>
+
+      <div className="flex-shrink-0 flex items-center gap-1">
+        {isEditing ? (
+          <>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={isWorking}
+              className="p-2 text-green-600 hover:bg-green-50 rounded-lg"
+              aria-label="Save name"
+            >
+              <FiCheck />
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setName(passkey.name);
+                setIsEditing(false);
+              }}
+              className="p-2 text-gray-500 hover:bg-gray-100 rounded-lg"
+              aria-label="Cancel"
+            >
+              <FiX />
+            </button>
+          </>
+        ) : (
+          <>
+            <button
+              type="button"
+              onClick={() => setIsEditing(true)}
+              className="p-2 text-gray-500 hover:text-violet-600 hover:bg-violet-50 rounded-lg"
+              aria-label={`Rename ${passkey.name}`}
+            >
+              <FiEdit2 />
+            </button>
+            <button
+              type="button"
+              onClick={() => onRemove(passkey._id)}
+              disabled={isWorking}
+              className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg disabled:opacity-60"
+              aria-label={`Remove ${passkey.name}`}
+            >
+              <FiTrash2 />
+            </button>
+          </>
+        )}
+      </div>
+    </motion.li>
+  );
+};
+
+const PasskeySettings = () => {
+  const [passkeys, setPasskeys] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isWorking, setIsWorking] = useState(false);
+  const [isSupported, setIsSupported] = useState(true);
+  const [newName, setNewName] = useState("");
+
+  const fetchPasskeys = useCallback(async () => {
+    try {
+      const response = await makePriorityRequest("get", "/auth/passkeys");
+      setPasskeys(response.data.data.passkeys || []);
+    } catch (error) {
+      console.error("Error fetching passkeys:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    setIsSupported(isPasskeySupported());
+    fetchPasskeys();
+  }, [fetchPasskeys]);
+
+  const handleAdd = async () => {
+    setIsWorking(true);
+    try {
+      const optionsResponse = await makePriorityRequest("post", "/auth/passkeys/register/options");
+      const { ceremonyToken, publicKey } = optionsResponse.data.data;
+      const credential = await createPasskey(publicKey);
+
+      const response = await makePriorityRequest("post", "/auth/passkeys/register/verify", {
+        data: { ceremonyToken, credential, name: newName.trim() || undefined },
+      });
+      setPasskeys((prev) => [...prev, response.data.data.passkey]);
+      setNewName("");
+      toast.success("Passkey added. You can now use it to sign in.");
+    } catch (error) {
+      if (error?.name !== "NotAllowedError") {
+        toast.error(getPasskeyErrorMessage(error));
+      }
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleRename = async (passkeyId, name) => {
+    try {
+      const response = await makePriorityRequest("patch", `/auth/passkeys/${passkeyId}`, {
+        data: { name },
+      });
+      const updated = response.data.data.passkey;
+      setPasskeys((prev) => prev.map((passkey) => (passkey._id === passkeyId ? updated : passkey)));
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to rename passkey");
+      return false;
+    }
+  };
+
+  const handleRemove = async (passkeyId) => {
+    setIsWorking(true);
+    try {
+      await makePriorityRequest("delete", `/auth/passkeys/${passkeyId}`);
+      setPasskeys((prev) => prev.filter((passkey) => passkey._id !== passkeyId));
+      toast.success("Passkey removed");
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to remove passkey");
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div className="py-4">
+      <div>
+        <div className="flex items-center">
+          <h4 className="text-base font-medium text-gray-800">Passkeys</h4>
+          {passkeys.length > 0 && (
+            <span className="ml-2 px-2 py-0.5 bg-green-100 text-green-800 text-xs font-medium rounded-full">
+              {passkeys.length} active
+            </span>
+          )}
+        </div>
+        <p className="text-sm text-gray-500 mt-1">
+          Sign in with your fingerprint, face or screen lock instead of a password. When two-factor
+          authentication is on, a passkey can also confirm your sign-in.
+        </p>
+      </div>
+
+      {isLoading ? (
+        <div className="mt-3 flex items-center text-sm text-gray-500">
+          <FiRefreshCw className="animate-spin mr-2" /> Loading passkeys...
+        </div>
+      ) : (
+        passkeys.length > 0 && (
+          <ul className="mt-4 bg-gray-50 rounded-lg border border-gray-200 overflow-hidden divide-y divide-gray-200">
+            <AnimatePresence initial={false}>
+              {passkeys.map((passkey) => (
+                <PasskeyRow
+                  key={passkey._id}
+                  passkey={passkey}
+                  onRename={handleRename}
+                  onRemove={handleRemove}
+                  isWorking={isWorking}
+                />
+              ))}
+            </AnimatePresence>
+          </ul>
+        )
+      )}
+
+      {isSupported ? (
+        <div className="mt-4 flex flex-col sm:flex-row gap-2">
+          <input
+            type="text"
+            value={newName}
+            maxLength={50}
+            placeholder="Name (e.g. Work laptop)"
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={submitOnEnter(handleAdd)}
+            className={`${inputClassName} sm:max-w-xs`}
+            aria-label="New passkey name"
+          />
+          <button
+            type="button"
+            onClick={handleAdd}
+            disabled={isWorking}
+            className="px-4 py-2 text-sm bg-violet-600 text-white rounded-lg hover:bg-violet-700 disabled:opacity-60 flex items-center justify-center"
+          >
+            {isWorking ? <FiRefreshCw className="mr-1.5 animate-spin" /> : <FiPlus className="mr-1.5" />}
+            Add a passkey
+          </button>
+        </div>
+      ) : (
+        <p className="mt-3 text-xs text-gray-500">This browser doesn't support passkeys.</p>
+      )}
+    </div>
+  );
+};
+
+export default PasskeySettings;
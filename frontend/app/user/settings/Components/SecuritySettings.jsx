@@ -8,14 +8,10 @@ import {
   FiKey,
   FiShield,
   FiAlertTriangle,
-  FiLock,
   FiEye,
   FiEyeOff,
   FiX,
   FiInfo,
-  FiRefreshCw,
-  FiCalendar,
-  FiMonitor,
   FiTrash2,
 } from "react-icons/fi";
 import { makePriorityRequest } from "@/lib/api/api";
@@ -23,6 +19,10 @@ import { toast } from "react-hot-toast";
 import { useAuth } from "@/lib/contexts/auth-context";
 import { useRouter } from "next/navigation";
 import DeleteAccountModal from "../../../../Components/Modal/DeleteAccountModal";
+import TwoFactorSettings from "./TwoFactorSettings";
+import PasskeySettings from "./PasskeySettings";
+import ConnectedAccounts from "./ConnectedAccounts";
+import ActiveSessions from "./ActiveSessions";
 
 const SecuritySettings = ({ user }) => {
   const { deleteAccount } = useAuth();
@@ -34,9 +34,6 @@ const SecuritySettings = ({ user }) => {
     confirmPassword: "",
   });
 
-  const [twoFactorEnabled, setTwoFactorEnabled] = useState(
-    user?.securitySettings?.twoFactorEnabled || false
-  );
   const [loginAlerts, setLoginAlerts] = useState(
     user?.securitySettings?.loginAlerts || false
   );
@@ -52,7 +49,6 @@ const SecuritySettings = ({ user }) => {
   const [showNewPassword, setShowNewPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [passwordStrength, setPasswordStrength] = useState(0);
-  const [logoutAllLoading, setLogoutAllLoading] = useState(false);
 
   // Delete account modal state
   const [showDeleteModal, setShowDeleteModal] = useState(false);
@@ -186,11 +182,9 @@ const SecuritySettings = ({ user }) => {
     setSecuritySuccess("");
 
     try {
+      // Two-factor has its own setup flow, so only the alert preference is saved here
       await makePriorityRequest("put", "/auth/security-settings", {
-        securitySettings: {
-          twoFactorEnabled,
-          loginAlerts,
-        },
+        data: { securitySettings: { loginAlerts } },
       });
 
       setSecuritySuccess("Security settings updated successfully");
@@ -210,24 +204,6 @@ const SecuritySettings = ({ user }) => {
     }
   };
 
-  const handleLogoutAllSessions = async () => {
-    setLogoutAllLoading(true);
-    try {
-      await makePriorityRequest("post", "/auth/logout-all");
-      toast.success("Successfully logged out of all other sessions");
-      setTimeout(() => {
-        window.location.reload();
-      }, 1500);
-    } catch (error) {
-      console.error("Error logging out all sessions:", error);
-      toast.error(
-        error.response?.data?.message || "Failed to logout all sessions"
-      );
-    } finally {
-      setLogoutAllLoading(false);
-    }
-  };
-
   const handleDeleteAccount = async () => {
     try {
       const result = await deleteAccount();
@@ -525,43 +501,11 @@ const SecuritySettings = ({ user }) => {
         <div className="p-6">
           <form onSubmit={handleSecuritySubmit}>
             <div className="divide-y divide-gray-100">
-              <div className="py-4">
-                <div className="flex items-center justify-between">
-                  <div>
-                    <div className="flex items-center">
-                      <h4 className="text-base font-medium text-gray-800">
-                        Two-Factor Authentication
-                      </h4>
-                      <span className="ml-2 px-2 py-0.5 bg-violet-100 text-violet-800 text-xs font-medium rounded-full">
-                        Coming Soon
-                      </span>
-                    </div>
-                    <p className="text-sm text-gray-500 mt-1">
-                      Add an extra layer of security to your account by requiring a verification code
-                    </p>
-                  </div>
-                  <label className="relative inline-flex items-center cursor-pointer">
-                    <input
-                      type="checkbox"
-                      className="sr-only peer"
-                      checked={twoFactorEnabled}
-                      onChange={() => setTwoFactorEnabled(!twoFactorEnabled)}
-                      disabled={true}
-                    />
-                    <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-2 peer-focus:ring-violet-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-violet-600 opacity-70"></div>
-                  </label>
-                </div>
+              <TwoFactorSettings />
 
-                {twoFactorEnabled && (
-                  <div className="mt-4 p-3.5 bg-amber-50 rounded-lg flex items-start border border-amber-200">
-                    <FiAlertTriangle className="text-amber-500 mt-0.5 mr-2.5 flex-shrink-0" />
-                    <div className="text-sm text-amber-700">
-                      <p className="font-medium mb-1">Two-factor authentication setup required</p>
-                      <p>After saving your settings, you'll need to complete the setup process by scanning a QR code and verifying your authentication app.</p>
-                    </div>
-                  </div>
-                )}
-              </div>
+              <PasskeySettings />
+
+              <ConnectedAccounts />
 
               <div className="py-4">
                 <div className="flex items-center justify-between">
@@ -570,9 +514,6 @@ const SecuritySettings = ({ user }) => {
                       <h4 className="text-base font-medium text-gray-800">
                         Login Alerts
                       </h4>
-                      <span className="ml-2 px-2 py-0.5 bg-violet-100 text-violet-800 text-xs font-medium rounded-full">
-                        Coming Soon
-                      </span>
                     </div>
                     <p className="text-sm text-gray-500 mt-1">
                       Receive email notifications when your account is accessed from a new device or location
@@ -593,75 +534,13 @@ const SecuritySettings = ({ user }) => {
                   <div className="mt-4 p-3.5 bg-blue-50 rounded-lg flex items-start border border-blue-200">
                     <FiInfo className="text-blue-500 mt-0.5 mr-2.5 flex-shrink-0" />
                     <p className="text-sm text-blue-700">
-                      You'll receive email notifications when someone logs into your account from an unrecognized device or location.
+                      You'll get an email when someone signs in from an unrecognized device or location, plus a text if SMS security alerts are on in your notification settings. Each alert has a link to sign out everywhere if it wasn't you.
                     </p>
                   </div>
                 )}
               </div>
 
-              <div className="pt-5">
-                <h4 className="text-base font-medium text-gray-800 mb-3">
-                  Active Sessions
-                </h4>
-
-                <div className="bg-gray-50 rounded-lg border border-gray-200 overflow-hidden mb-4">
-                  <div className="bg-gradient-to-r from-green-50 to-white p-4 border-b border-gray-200">
-                    <div className="flex justify-between items-center">
-                      <div>
-                        <p className="text-base font-medium text-gray-900 flex items-center">
-                          <FiMonitor className="mr-2 text-green-600" />
-                          Current Session
-                        </p>
-                        <div className="mt-1 flex flex-col sm:flex-row sm:items-center text-sm text-gray-500">
-                          <div className="flex items-center">
-                            <FiCalendar className="mr-1.5 text-gray-400" />
-                            <span>{new Date().toLocaleString()}</span>
-                          </div>
-                          <span className="hidden sm:inline mx-2">•</span>
-                          <div className="flex items-center mt-0.5 sm:mt-0">
-                            <div className="w-2 h-2 rounded-full bg-green-500 mr-1.5"></div>
-                            <span>{navigator.platform}</span>
-                          </div>
-                        </div>
-                      </div>
-                      <span className="px-2 py-1 bg-green-100 text-green-700 text-xs font-medium rounded-full flex items-center">
-                        <div className="w-1.5 h-1.5 bg-green-500 rounded-full mr-1 animate-pulse"></div>
-                        Active Now
-                      </span>
-                    </div>
-                  </div>
-                  
-                  <div className="p-4 bg-white">
-                    <div className="flex items-center justify-between">
-                      <p className="text-sm text-gray-500">
-                        This is your current active session
-                      </p>
-                      <span className="text-xs text-gray-400">Last Login: {user?.lastLogin || "Unknown"}</span>
-                    </div>
-                  </div>
-                </div>
-
-                <motion.button
-                  type="button"
-                  onClick={handleLogoutAllSessions}
-                  disabled={logoutAllLoading}
-                  className="flex items-center px-4 py-2 text-sm font-medium text-red-600 bg-red-50 hover:bg-red-100 rounded-lg transition-colors border border-red-200"
-                  whileHover={{ scale: 1.01 }}
-                  whileTap={{ scale: 0.99 }}
-                >
-                  {logoutAllLoading ? (
-                    <>
-                      <FiRefreshCw className="mr-2 animate-spin" />
-                      Signing out...
-                    </>
-                  ) : (
-                    <>
-                      <FiLock className="mr-2" />
-                      Sign out of all other sessions
-                    </>
-                  )}
-                </motion.button>
-              </div>
+              <ActiveSessions />
             </div>
 
             <div className="mt-6 pt-5 border-t border-gray-100">
@@ -0,0 +1,372 @@
+"use client";
+
+import React, { useState, useEffect, useCallback } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import {
+  FiShield,
+  FiCheck,
+  FiCopy,
+  FiDownload,
+  FiAlertTriangle,
+  FiRefreshCw,
+  FiX,
+  FiSmartphone,
+} from "react-icons/fi";
+import { makePriorityRequest } from "@/lib/api/api";
+import { toast } from "react-hot-toast";
+
+// Split a base32 secret into groups of four so it's easier to type by hand
+const formatSecret = (secret = "") => secret.match(/.{1,4}/g)?.join(" ") || "";
+
+const inputClassName =
+  "w-full px-4 py-2.5 border border-gray-200 rounded-lg text-gray-800 focus:outline-none focus:ring-2 focus:ring-violet-500 focus:border-transparent";
+
+// Enter would otherwise submit the surrounding security settings form
+const submitOnEnter = (action) => (e) => {
+  if (e.key === "Enter") {
+    e.preventDefault();
+    action();
+  }
+};
+
+const RecoveryCodesPanel = ({ codes, onDone }) => {
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join("\n"));
+      toast.success("Recovery codes copied");
+    } catch {
+      toast.error("Couldn't copy to clipboard");
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob(
+      [`Product Bazar recovery codes\nEach code can be used once.\n\n${codes.join("\n")}\n`],
+      { type: "text/plain" }
+    );
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "productbazar-recovery-codes.txt";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="mt-4 p-4 bg-amber-50 rounded-lg border border-amber-200">
+      <div className="flex items-start">
+        <FiAlertTriangle className="text-amber-500 mt-0.5 mr-2.5 flex-shrink-0" />
+        <div className="text-sm text-amber-700">
+          <p className="font-medium mb-1">Save your recovery codes</p>
+          <p>
+            Use one of these if you lose access to your authenticator app. Each code works once, and
+            they won't be shown again.
+          </p>
+        </div>
+      </div>
+      <div className="mt-3 grid grid-cols-2 gap-2 font-mono text-sm text-gray-800">
+        {codes.map((code) => (
+          <span key={code} className="px-3 py-1.5 bg-white rounded border border-amber-100 text-center">
+            {code}
+          </span>
+        ))}
+      </div>
+      <div className="mt-4 flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="px-3 py-2 text-sm bg-white border border-gray-200 rounded-lg text-gray-700 hover:bg-gray-50 flex items-center"
+        >
+          <FiCopy className="mr-1.5" /> Copy
+        </button>
+        <button
+          type="button"
+          onClick={handleDownload}
+          className="px-3 py-2 text-sm bg-white border border-gray-200 rounded-lg text-gray-700 hover:bg-gray-50 flex items-center"
+        >
+          <FiDownload className="mr-1.5" /> Download
+        </button>
+        <button
+          type="button"
+          onClick={onDone}
+          className="px-3 py-2 text-sm bg-violet-600 text-white rounded-lg hover:bg-violet-700 flex items-center"
+        >
+          <FiCheck className="mr-1.5" /> I've saved them
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isWorking, setIsWorking] = useState(false);
+
+  // 'idle' | 'setup' | 'regenerate' | 'disable'
+  const [mode, setMode] = useState("idle");
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [password, setPassword] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await makePriorityRequest("get", "/auth/2fa/status");
+      setStatus(response.data.data);
+    } catch (error) {
+      console.error("Error fetching two-factor status:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const resetForm = () => {
+    setMode("idle");
+    setSetup(null);
+    setCode("");
+    setPassword("");
+    setUseRecoveryCode(false);
+  };
+
+  const runAction = async (action, fallbackMessage) => {
+    setIsWorking(true);
+    try {
+      await action();
+    } catch (error) {
+      toast.error(error.response?.data?.message || fallbackMessage);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleStartSetup = () =>
+    runAction(async () => {
+      const response = await makePriorityRequest("post", "/auth/2fa/setup");
+      setSetup(response.data.data);
+      setMode("setup");
+    }, "Failed to start two-factor setup");
+
+  const handleEnable = () =>
+    runAction(async () => {
+      const response = await makePriorityRequest("post", "/auth/2fa/enable", {
+        data: { code: code.trim() },
+      });
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      resetForm();
+      toast.success("Two-factor authentication enabled");
+      await fetchStatus();
+    }, "Failed to enable two-factor authentication");
+
+  const handleRegenerate = () =>
+    runAction(async () => {
+      const response = await makePriorityRequest("post", "/auth/2fa/recovery-codes", {
+        data: { code: code.trim(), method: useRecoveryCode ? "recovery" : "totp" },
+      });
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      resetForm();
+      toast.success("New recovery codes generated");
+      await fetchStatus();
+    }, "Failed to regenerate recovery codes");
+
+  const handleDisable = () =>
+    runAction(async () => {
+      await makePriorityRequest("post", "/auth/2fa/disable", {
+        data: {
+          code: code.trim(),
+          method: useRecoveryCode ? "recovery" : "totp",
+          ...(status?.passwordRequired && { password }),
+        },
+      });
+      resetForm();
+      setRecoveryCodes(null);
+      toast.success("Two-factor authentication disabled");
+      await fetchStatus();
+    }, "Failed to disable two-factor authentication");
+
+  const codeInput = (onSubmit) => (
+    <div>
+      <label htmlFor="two-factor-settings-code" className="block text-sm font-medium text-gray-700 mb-1.5">
+        {useRecoveryCode ? "Recovery code" : "Code from your authenticator app"}
+      </label>
+      <input
+        id="two-factor-settings-code"
+        type="text"
+        inputMode={useRecoveryCode ? "text" : "numeric"}
+        autoComplete="one-time-code"
+        maxLength={useRecoveryCode ? 11 : 6}
+        placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "123456"}
+        value={code}
+        onChange={(e) => setCode(useRecoveryCode ? e.target.value : e.target.value.replace(/\D/g, ""))}
+        onKeyDown={submitOnEnter(onSubmit)}
+        className={`${inputClassName} tracking-widest`}
+      />
+    </div>
+  );
+
+  if (isLoading) {
+    return (
+      <div className="py-4 flex items-center text-sm text-gray-500">
+        <FiRefreshCw className="animate-spin mr-2" /> Loading two-factor settings...
+      </div>
+    );
+  }
+
+  return (
+    <div className="py-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="flex items-center">
+            <h4 className="text-base font-medium text-gray-800">Two-Factor Authentication</h4>
+            {status?.enabled && (
+              <span className="ml-2 px-2 py-0.5 bg-green-100 text-green-800 text-xs font-medium rounded-full">
+                Enabled
+              </span>
+            )}
+          </div>
+          <p className="text-sm text-gray-500 mt-1">
+            {status?.enabled
+              ? `Sign-ins require a code from your authenticator app. ${status.recoveryCodesRemaining} recovery codes left.`
+              : "Add an extra layer of security to your account by requiring a verification code"}
+          </p>
+        </div>
+        {mode === "idle" && !status?.enabled && (
+          <button
+            type="button"
+            onClick={handleStartSetup}
+            disabled={isWorking}
+            className="px-4 py-2 text-sm bg-violet-600 text-white rounded-lg hover:bg-violet-700 disabled:opacity-60 flex items-center"
+          >
+            <FiShield className="mr-1.5" /> Set up
+          </button>
+        )}
+      </div>
+
+      {status?.enabled && status.smsFallbackAvailable && mode === "idle" && (
+        <p className="mt-2 text-xs text-gray-500 flex items-center">
+          <FiSmartphone className="mr-1.5" /> Your verified phone can also receive sign-in codes.
+        </p>
+      )}
+
+      {status?.enabled && mode === "idle" && !recoveryCodes && (
+        <div className="mt-4 flex flex-wrap gap-2">
+          <button
+            type="button"
+            onClick={() => setMode("regenerate")}
+            className="px-3 py-2 text-sm bg-white border border-gray-200 rounded-lg text-gray-700 hover:bg-gray-50 flex items-center"
+          >
+            <FiRefreshCw className="mr-1.5" /> New recovery codes
+          </button>
+          <button
+            type="button"
+            onClick={() => setMode("disable")}
+            className="px-3 py-2 text-sm bg-white border border-red-200 rounded-lg text-red-600 hover:bg-red-50 flex items-center"
+          >
+            <FiX className="mr-1.5" /> Turn off
+          </button>
+        </div>
+      )}
+
+      <AnimatePresence>
+        {mode !== "idle" && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: "auto" }}
+            exit={{ opacity: 0, height: 0 }}
+            className="mt-4 p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-4"
+          >
+            {mode === "setup" && setup && (
+              <>
+                <div className="text-sm text-gray-600 space-y-2">
+                  <p>
+                    1. In your authenticator app (Google Authenticator, 1Password, Authy...), add an account
+                    using this setup key:
+                  </p>
+                  <p className="font-mono text-base text-gray-900 bg-white border border-gray-200 rounded px-3 py-2 break-all select-all">
+                    {formatSecret(setup.secret)}
+                  </p>
+                  <p>
+                    On a phone with an authenticator app installed, you can{" "}
+                    <a href={setup.otpauthUri} className="text-violet-600 hover:underline">
+                      open the key directly
+                    </a>
+                    .
+                  </p>
+                  <p>2. Enter the 6-digit code the app shows.</p>
+                </div>
+                {codeInput(handleEnable)}
+              </>
+            )}
+
+            {(mode === "regenerate" || mode === "disable") && (
+              <>
+                {mode === "disable" && status?.passwordRequired && (
+                  <div>
+                    <label htmlFor="two-factor-settings-password" className="block text-sm font-medium text-gray-700 mb-1.5">
+                      Password
+                    </label>
+                    <input
+                      id="two-factor-settings-password"
+                      type="password"
+                      autoComplete="current-password"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      className={inputClassName}
+                    />
+                  </div>
+                )}
+                {codeInput(mode === "disable" ? handleDisable : handleRegenerate)}
+                <button
+                  type="button"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode);
+                    setCode("");
+                  }}
+                  className="text-xs text-violet-600 hover:text-violet-800"
+                >
+                  {useRecoveryCode ? "Use your authenticator app instead" : "Use a recovery code instead"}
+                </button>
+              </>
+            )}
+
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={mode === "setup" ? handleEnable : mode === "disable" ? handleDisable : handleRegenerate}
+                disabled={isWorking || !code}
+                className={`px-4 py-2 text-sm text-white rounded-lg disabled:opacity-60 ${
+                  mode === "disable" ? "bg-red-600 hover:bg-red-700" : "bg-violet-600 hover:bg-violet-700"
+                }`}
+              >
+                {isWorking
+                  ? "Please wait..."
+                  : mode === "setup"
+                  ? "Verify and enable"
+                  : mode === "disable"
+                  ? "Turn off two-factor"
+                  : "Generate new codes"}
+              </button>
+              <button
+                type="button"
+                onClick={resetForm}
+                disabled={isWorking}
+                className="px-4 py-2 text-sm bg-white border border-gray-200 rounded-lg text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {recoveryCodes && <RecoveryCodesPanel codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
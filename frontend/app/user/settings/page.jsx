@@ -39,6 +39,14 @@ const SettingsPage = () => {
     }
   }, [user, authLoading, router]);
 
+  // Open a specific tab from a link, e.g. /user/settings?tab=security after linking an account
+  useEffect(() => {
+    const tab = new URLSearchParams(window.location.search).get("tab");
+    if (["profile", "notifications", "privacy", "security", "roles"].includes(tab)) {
+      setActiveTab(tab);
+    }
+  }, []);
+
   // Check screen size for responsive design
   useEffect(() => {
     const checkScreenSize = () => {
@@ -56,18 +56,18 @@ export async function serverGetProductBySlug(slug, bypassCache = false) {
 }
 
 export async function serverGetAllProducts({
-  page = 1,
+  cursor,
   limit = 10,
   sort = "newest",
   category,
   status,
   bypassCache = false,
 } = {}) {
-  logger.info(`[Server Action] Fetching all products with params:`, { page, limit, sort, category, status, bypassCache });
+  logger.info(`[Server Action] Fetching all products with params:`, { cursor, limit, sort, category, status, bypassCache });
   try {
     const params = new URLSearchParams({
-      page: String(page),
       limit: String(limit),
+      ...(cursor && { cursor }),
       sort,
       ...(category && { category }),
       ...(status && { status }),
@@ -204,9 +204,9 @@ export async function serverDeleteProduct(slug) {
 }
 
 export async function serverGetComments(slug, options = {}) {
-  const { page = 1, limit = 10, signal } = options;
+  const { cursor, limit = 10, signal } = options;
 
-  logger.info(`[Server Action] Fetching comments for product: ${slug}, page: ${page}, limit: ${limit}`);
+  logger.info(`[Server Action] Fetching comments for product: ${slug}, cursor: ${cursor || "start"}, limit: ${limit}`);
 
   if (!slug) {
     logger.error("[Server Action] serverGetComments: Slug is required");
@@ -215,8 +215,8 @@ export async function serverGetComments(slug, options = {}) {
 
   try {
     const params = new URLSearchParams({
-      page: String(page),
       limit: String(limit),
+      ...(cursor && { cursor }),
       _t: String(Date.now()), // Cache busting
     });
 
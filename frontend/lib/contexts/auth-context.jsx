@@ -6,6 +6,7 @@ import api, { makePriorityRequest } from '../api/api.js';
 import logger from '../utils/logger.js';
 import { oauthHandler } from '../utils/oauth.js';
 import { runAllCleanup } from '../utils/cleanup-utils.js';
+import { getPasskeyAssertion, getPasskeyErrorMessage } from '../utils/auth/webauthn.js';
 
 const AuthContext = createContext({});
 
@@ -670,6 +671,11 @@ export const AuthProvider = ({ children }) => {
           password,
         });
 
+        // Password accepted, but the account has 2FA: hand the challenge to the form
+        if (response.data.data?.twoFactorRequired) {
+          return { success: false, twoFactorRequired: true, challenge: response.data.data };
+        }
+
         if (response.data.status === 'success' || response.data.success) {
           handleAuthSuccess(response.data);
           return { success: true };
@@ -899,6 +905,9 @@ export const AuthProvider = ({ children }) => {
           phone,
           code,
         });
+        if (response.data.data?.twoFactorRequired) {
+          return { success: false, twoFactorRequired: true, challenge: response.data.data };
+        }
         if (response.data.status === 'success') {
           handleAuthSuccess(response.data);
           return { success: true };
@@ -916,6 +925,109 @@ export const AuthProvider = ({ children }) => {
     [handleAuthSuccess, setAuthLoading, setError] // Added handleAuthSuccess
   );
 
+  // Passwordless sign-in with a passkey; counts as both factors
+  const loginWithPasskey = useCallback(async () => {
+    setAuthLoading(true);
+    setError('');
+    try {
+      const optionsResponse = await api.post('/auth/passkeys/login/options');
+      const { ceremonyToken, publicKey } = optionsResponse.data.data;
+      const credential = await getPasskeyAssertion(publicKey);
+
+      const response = await api.post('/auth/passkeys/login/verify', { ceremonyToken, credential });
+      if (response.data.status === 'success') {
+        await handleAuthSuccess(response.data);
+        return { success: true };
+      }
+      setError(response.data.message || 'Passkey sign-in failed');
+      return { success: false, message: response.data.message };
+    } catch (err) {
+      const errorMessage = getPasskeyErrorMessage(err);
+      setError(errorMessage);
+      return { success: false, message: errorMessage, cancelled: err?.name === 'NotAllowedError' };
+    } finally {
+      setAuthLoading(false);
+    }
+  }, [handleAuthSuccess]);
+
+  // Sign a pending two-factor challenge with a passkey; the result goes to verifyTwoFactorLogin
+  const getTwoFactorPasskey = useCallback(async challengeToken => {
+    setError('');
+    try {
+      const response = await api.post('/auth/2fa/passkey/options', { challengeToken });
+      const { ceremonyToken, publicKey } = response.data.data;
+      const credential = await getPasskeyAssertion(publicKey);
+      return { success: true, passkey: { ceremonyToken, credential } };
+    } catch (err) {
+      const errorMessage = getPasskeyErrorMessage(err);
+      setError(errorMessage);
+      return { success: false, message: errorMessage };
+    }
+  }, []);
+
+  // Finish a sign-in that requires a second factor
+  const verifyTwoFactorLogin = useCallback(
+    async ({ challengeToken, code, method = 'totp', passkey }) => {
+      setAuthLoading(true);
+      setError('');
+      try {
+        const response = await api.post('/auth/2fa/verify', { challengeToken, code, method, passkey });
+        if (response.data.status === 'success') {
+          await handleAuthSuccess(response.data);
+          return {
+            success: true,
+            redirectTo: response.data.data?.redirectTo,
+            recoveryCodesRemaining: response.data.data?.recoveryCodesRemaining,
+          };
+        }
+        setError(response.data.message || 'Verification failed');
+        return { success: false, message: response.data.message };
+      } catch (err) {
+        const errorMessage = err.response?.data?.message || 'Verification failed';
+        setError(errorMessage);
+        return {
+          success: false,
+          message: errorMessage,
+          // The challenge token expired; the user has to start over
+          expired: err.response?.status === 401 && /expired/i.test(errorMessage),
+        };
+      } finally {
+        setAuthLoading(false);
+      }
+    },
+    [handleAuthSuccess]
+  );
+
+  // Text a fallback code for a pending two-factor sign-in
+  const sendTwoFactorSms = useCallback(async challengeToken => {
+    setError('');
+    try {
+      const response = await api.post('/auth/2fa/sms', { challengeToken });
+      return { success: true, phone: response.data.data?.phone };
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Failed to send code';
+      setError(errorMessage);
+      return { success: false, message: errorMessage };
+    }
+  }, []);
+
+  // "This wasn't me" from a login alert: every session is signed out server-side
+  const secureAccount = useCallback(
+    async token => {
+      setError('');
+      try {
+        const response = await api.post('/auth/secure-account', { token });
+        clearAuthState();
+        return { success: true, message: response.data.message };
+      } catch (err) {
+        const errorMessage = err.response?.data?.message || 'Failed to secure your account';
+        setError(errorMessage);
+        return { success: false, message: errorMessage };
+      }
+    },
+    [clearAuthState]
+  );
+
   // Logout function
   const logout = useCallback(async () => {
     // Use a ref to prevent multiple concurrent logout attempts
@@ -1714,6 +1826,11 @@ export const AuthProvider = ({ children }) => {
     verifyOtpForRegister,
     loginWithPhone,
     verifyOtpForLogin,
+    loginWithPasskey,
+    verifyTwoFactorLogin,
+    sendTwoFactorSms,
+    getTwoFactorPasskey,
+    secureAccount,
     logout,
     requestOtp,
     verifyOtp,
@@ -1751,6 +1868,11 @@ export const AuthProvider = ({ children }) => {
     verifyOtpForRegister,
     loginWithPhone,
     verifyOtpForLogin,
+    loginWithPasskey,
+    verifyTwoFactorLogin,
+    sendTwoFactorSms,
+    getTwoFactorPasskey,
+    secureAccount,
     logout,
     requestOtp,
     verifyOtp,
@@ -481,6 +481,61 @@ export const JobProvider = ({ children }) => {
     }
   }, [handleApiError]);
 
+  // Get a job's applications grouped by pipeline stage (for the poster)
+  // sort: "recent" (default) or "match" to rank candidates by profile match
+  const getJobPipeline = useCallback(async (jobId, { sort } = {}) => {
+    try {
+      setLoading(true);
+      clearError();
+
+      const response = await makePriorityRequest('get', `/jobs/${jobId}/pipeline`, {
+        params: sort ? { sort } : undefined,
+      });
+
+      if (response.data.status === "success") {
+        return response.data.data;
+      }
+      setError("Failed to load the hiring pipeline");
+      return null;
+    } catch (error) {
+      handleApiError(error, "Failed to load the hiring pipeline");
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, [handleApiError]);
+
+  // Move an application to another pipeline stage, with an optional note to the candidate
+  const moveApplication = useCallback(async (applicationId, status, message = "") => {
+    try {
+      clearError();
+
+      const response = await makePriorityRequest(
+        'patch',
+        `/jobs/applications/${applicationId}`,
+        {
+          data: { status, message },
+        }
+      );
+
+      if (response.data.status === "success") {
+        toast(`Moved to ${status}`, {
+          icon: '✅',
+          style: {
+            borderRadius: '10px',
+            background: '#f0fdf4',
+            color: '#166534',
+          },
+        });
+        return response.data.data.application;
+      }
+      return null;
+    } catch (error) {
+      handleApiError(error, "Failed to move application");
+      return null;
+    }
+  }, [handleApiError]);
+
   // Context value
   const value = {
     jobs,
@@ -499,6 +554,8 @@ export const JobProvider = ({ children }) => {
     getUserApplications,
     applyForJob,
     withdrawApplication,
+    getJobPipeline,
+    moveApplication,
   };
 
   return <JobContext.Provider value={value}>{children}</JobContext.Provider>;
@@ -162,8 +162,8 @@ export const ProductProvider = ({ children }) => {
         if (!result.success) {
           throw new Error(result.message || "Failed to fetch products");
         }
-        // Assuming serverGetAllProducts returns { products: [], pagination: {} }
-        // And products are already normalized if needed by the server action
+        // pagination carries { hasMore, nextCursor, approxTotal }; pass
+        // nextCursor back as options.cursor to load the following page
         const products = (result.data || []).filter(p => p && p._id);
         addProductsToMapping(products); // For socket updates
 
@@ -0,0 +1,105 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+/**
+ * Accumulates pages from a cursor-paginated endpoint and loads the next page
+ * when the sentinel element scrolls into view.
+ * @param {Function} fetchPage - async (cursor) => ({ items, pagination }), where
+ *   pagination carries the API's { hasMore, nextCursor, approxTotal }
+ * @param {Array} deps - Values that restart the list from the first page
+ * @param {Object} [options] - { enabled = true, rootMargin = '400px' }
+ * @returns {Object} { items, total, isLoading, hasMore, error, loadMore, reset, sentinelRef }
+ */
+export const useCursorPagination = (fetchPage, deps = [], options = {}) => {
+  const { enabled = true, rootMargin = '400px' } = options;
+
+  const [items, setItems] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(true);
+  const [total, setTotal] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const sentinelRef = useRef(null);
+  const fetchPageRef = useRef(fetchPage);
+  const loadingRef = useRef(false);
+  // Bumped on reset so responses for a previous list are dropped
+  const generationRef = useRef(0);
+
+  useEffect(() => {
+    fetchPageRef.current = fetchPage;
+  }, [fetchPage]);
+
+  const loadPage = useCallback(async (pageCursor, generation) => {
+    if (loadingRef.current) return;
+    loadingRef.current = true;
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const { items: pageItems = [], pagination } = await fetchPageRef.current(pageCursor);
+      if (generation !== generationRef.current) return;
+
+      setItems((prev) => {
+        if (!pageCursor) return pageItems;
+        const seen = new Set(prev.map((item) => item._id));
+        return [...prev, ...pageItems.filter((item) => !seen.has(item._id))];
+      });
+      setCursor(pagination?.nextCursor || null);
+      setHasMore(Boolean(pagination?.hasMore && pagination?.nextCursor));
+      if (!pageCursor && pagination?.approxTotal !== undefined) {
+        setTotal(pagination.approxTotal);
+      }
+    } catch (err) {
+      if (generation === generationRef.current) {
+        setError(err);
+        setHasMore(false);
+      }
+    } finally {
+      if (generation === generationRef.current) {
+        loadingRef.current = false;
+        setIsLoading(false);
+      }
+    }
+  }, []);
+
+  const reset = useCallback(() => {
+    generationRef.current += 1;
+    loadingRef.current = false;
+    setItems([]);
+    setCursor(null);
+    setHasMore(true);
+    setTotal(null);
+    loadPage(null, generationRef.current);
+  }, [loadPage]);
+
+  useEffect(() => {
+    if (enabled) reset();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [enabled, reset, ...deps]);
+
+  const loadMore = useCallback(() => {
+    if (!hasMore || !cursor) return;
+    loadPage(cursor, generationRef.current);
+  }, [hasMore, cursor, loadPage]);
+
+  // Observe the sentinel; re-created after each page so a sentinel that is
+  // still visible keeps loading
+  useEffect(() => {
+    const node = sentinelRef.current;
+    if (!enabled || !node || !hasMore || typeof IntersectionObserver === 'undefined') return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0]?.isIntersecting) loadMore();
+      },
+      { rootMargin }
+    );
+    observer.observe(node);
+
+    return () => observer.disconnect();
+  }, [enabled, hasMore, loadMore, rootMargin]);
+
+  return { items, total, isLoading, hasMore, error, loadMore, reset, sentinelRef };
+};
+
+export default useCursorPagination;
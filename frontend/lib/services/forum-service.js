@@ -0,0 +1,182 @@
+import api from '../api/api.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Fetch active forum categories
+ * @returns {Promise<Array>} Categories in display order
+ */
+export const getForumCategories = async () => {
+  try {
+    const response = await api.get('/forum/categories');
+    return response.data.data.categories;
+  } catch (error) {
+    logger.error('Error fetching forum categories:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch a page of threads
+ * @param {Object} params - { category, tag, author, sort, cursor, limit }
+ * @returns {Promise<Object>} { threads, pagination }
+ */
+export const getThreads = async (params = {}) => {
+  try {
+    const response = await api.get('/forum/threads', { params });
+    return { threads: response.data.data.threads, pagination: response.data.pagination };
+  } catch (error) {
+    logger.error('Error fetching forum threads:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the most discussed threads of the past week
+ * @param {number} limit
+ * @returns {Promise<Array>}
+ */
+export const getTrendingThreads = async (limit = 5) => {
+  try {
+    const response = await api.get('/forum/threads/trending', { params: { limit } });
+    return response.data.data.threads;
+  } catch (error) {
+    logger.error('Error fetching trending threads:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the most used thread tags
+ * @param {number} limit
+ * @returns {Promise<Array>} [{ tag, count }]
+ */
+export const getPopularTags = async (limit = 20) => {
+  try {
+    const response = await api.get('/forum/tags', { params: { limit } });
+    return response.data.data.tags;
+  } catch (error) {
+    logger.error('Error fetching forum tags:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch a thread. Each call counts as a view.
+ * @param {string} threadId
+ * @returns {Promise<Object>}
+ */
+export const getThread = async (threadId) => {
+  try {
+    const response = await api.get(`/forum/threads/${threadId}`);
+    return response.data.data.thread;
+  } catch (error) {
+    logger.error('Error fetching thread:', error);
+    throw error;
+  }
+};
+
+/**
+ * Start a thread
+ * @param {Object} data - { title, body, category, tags }
+ * @returns {Promise<Object>} The created thread
+ */
+export const createThread = async (data) => {
+  try {
+    const response = await api.post('/forum/threads', data);
+    return response.data.data.thread;
+  } catch (error) {
+    logger.error('Error creating thread:', error);
+    throw error;
+  }
+};
+
+/**
+ * Toggle the current user's upvote on a thread
+ * @param {string} threadId
+ * @returns {Promise<Object>} { upvoted, count }
+ */
+export const toggleThreadUpvote = async (threadId) => {
+  try {
+    const response = await api.post(`/forum/threads/${threadId}/upvote`);
+    return response.data.data;
+  } catch (error) {
+    logger.error('Error toggling thread upvote:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch a page of top-level replies with their nested replies
+ * @param {string} threadId
+ * @param {Object} params - { cursor, limit }
+ * @returns {Promise<Object>} { replies, pagination }
+ */
+export const getThreadReplies = async (threadId, params = {}) => {
+  try {
+    const response = await api.get(`/forum/threads/${threadId}/replies`, { params });
+    return { replies: response.data.data.replies, pagination: response.data.pagination };
+  } catch (error) {
+    logger.error('Error fetching thread replies:', error);
+    throw error;
+  }
+};
+
+/**
+ * Reply to a thread, or to one of its replies when parentId is given
+ * @param {string} threadId
+ * @param {Object} data - { body, parentId }
+ * @returns {Promise<Object>} The created reply
+ */
+export const addThreadReply = async (threadId, data) => {
+  try {
+    const response = await api.post(`/forum/threads/${threadId}/replies`, data);
+    return response.data.data.reply;
+  } catch (error) {
+    logger.error('Error adding reply:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a reply and the replies nested under it
+ * @param {string} replyId
+ * @returns {Promise<number>} Number of replies deleted
+ */
+export const deleteThreadReply = async (replyId) => {
+  try {
+    const response = await api.delete(`/forum/replies/${replyId}`);
+    return response.data.data.deletedCount;
+  } catch (error) {
+    logger.error('Error deleting reply:', error);
+    throw error;
+  }
+};
+
+/**
+ * Toggle the current user's upvote on a reply
+ * @param {string} replyId
+ * @returns {Promise<Object>} { upvoted, count }
+ */
+export const toggleReplyUpvote = async (replyId) => {
+  try {
+    const response = await api.post(`/forum/replies/${replyId}/upvote`);
+    return response.data.data;
+  } catch (error) {
+    logger.error('Error toggling reply upvote:', error);
+    throw error;
+  }
+};
+
+export default {
+  getForumCategories,
+  getThreads,
+  getTrendingThreads,
+  getPopularTags,
+  getThread,
+  createThread,
+  toggleThreadUpvote,
+  getThreadReplies,
+  addThreadReply,
+  deleteThreadReply,
+  toggleReplyUpvote,
+};
@@ -0,0 +1,105 @@
+/**
+ * Browser side of passkey (WebAuthn) ceremonies.
+ *
+ * The API sends options with binary fields as base64url strings and expects
+ * credentials back in the same form, so these helpers convert in both directions.
+ */
+
+const base64UrlToBuffer = (value) => {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+};
+
+const bufferToBase64Url = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const toDescriptors = (credentials = []) =>
+  credentials.map((credential) => ({ ...credential, id: base64UrlToBuffer(credential.id) }));
+
+/**
+ * Whether this browser can use passkeys
+ * @returns {boolean}
+ */
+export const isPasskeySupported = () =>
+  typeof window !== "undefined" && typeof window.PublicKeyCredential === "function";
+
+/**
+ * Create a passkey from registration options
+ * @param {Object} publicKey - Options from /auth/passkeys/register/options
+ * @returns {Promise<Object>} Credential ready to send to the API
+ */
+export const createPasskey = async (publicKey) => {
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      ...publicKey,
+      challenge: base64UrlToBuffer(publicKey.challenge),
+      user: { ...publicKey.user, id: base64UrlToBuffer(publicKey.user.id) },
+      excludeCredentials: toDescriptors(publicKey.excludeCredentials),
+    },
+  });
+
+  return {
+    id: credential.id,
+    rawId: bufferToBase64Url(credential.rawId),
+    type: credential.type,
+    clientExtensionResults: credential.getClientExtensionResults?.() || {},
+    response: {
+      clientDataJSON: bufferToBase64Url(credential.response.clientDataJSON),
+      attestationObject: bufferToBase64Url(credential.response.attestationObject),
+      transports: credential.response.getTransports?.() || [],
+    },
+  };
+};
+
+/**
+ * Sign a challenge with an existing passkey
+ * @param {Object} publicKey - Options from a passkey login or 2FA options endpoint
+ * @returns {Promise<Object>} Assertion ready to send to the API
+ */
+export const getPasskeyAssertion = async (publicKey) => {
+  const credential = await navigator.credentials.get({
+    publicKey: {
+      ...publicKey,
+      challenge: base64UrlToBuffer(publicKey.challenge),
+      allowCredentials: toDescriptors(publicKey.allowCredentials),
+    },
+  });
+
+  const { response } = credential;
+  return {
+    id: credential.id,
+    rawId: bufferToBase64Url(credential.rawId),
+    type: credential.type,
+    clientExtensionResults: credential.getClientExtensionResults?.() || {},
+    response: {
+      clientDataJSON: bufferToBase64Url(response.clientDataJSON),
+      authenticatorData: bufferToBase64Url(response.authenticatorData),
+      signature: bufferToBase64Url(response.signature),
+      ...(response.userHandle && { userHandle: bufferToBase64Url(response.userHandle) }),
+    },
+  };
+};
+
+/**
+ * Friendly message for a failed or cancelled ceremony
+ * @param {Error} error
+ * @returns {string}
+ */
+export const getPasskeyErrorMessage = (error) => {
+  if (error?.name === "NotAllowedError") return "Passkey request was cancelled or timed out";
+  if (error?.name === "InvalidStateError") return "This device already has a passkey for your account";
+  if (error?.name === "SecurityError") return "Passkeys aren't available on this site";
+  return error?.response?.data?.message || error?.message || "Passkey request failed";
+};
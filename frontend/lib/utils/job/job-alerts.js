@@ -0,0 +1,63 @@
+import { makePriorityRequest } from '@/lib/api/api';
+
+export const ALERT_FREQUENCIES = [
+  { value: 'instant', label: 'As soon as they’re posted' },
+  { value: 'daily', label: 'Once a day' },
+  { value: 'weekly', label: 'Once a week' },
+];
+
+// Search criteria a saved alert stores, in the jobs page's query param names
+export const ALERT_CRITERIA = ['search', 'jobType', 'locationType', 'experienceLevel', 'salaryMin', 'salaryMax', 'skills'];
+
+/**
+ * The current user's job alerts, newest first
+ * @returns {Promise<Array>}
+ */
+export const getJobAlerts = async () => {
+  const response = await makePriorityRequest('get', '/job-alerts');
+  return response.data.data.alerts;
+};
+
+/**
+ * Save a search as a job alert
+ * @param {Object} alert - { name, query, jobType, locationType, experienceLevel, salaryMin, salaryMax, skills, frequency, emailEnabled }
+ * @returns {Promise<Object>} The new alert
+ */
+export const createJobAlert = async (alert) => {
+  const response = await makePriorityRequest('post', '/job-alerts', { data: alert });
+  return response.data.data.alert;
+};
+
+/**
+ * Update an alert, e.g. { paused: true } or { frequency: 'weekly' }
+ * @param {string} alertId
+ * @param {Object} changes
+ * @returns {Promise<Object>} The updated alert
+ */
+export const updateJobAlert = async (alertId, changes) => {
+  const response = await makePriorityRequest('patch', `/job-alerts/${alertId}`, { data: changes });
+  return response.data.data.alert;
+};
+
+/**
+ * Delete an alert
+ * @param {string} alertId
+ */
+export const deleteJobAlert = async (alertId) => {
+  await makePriorityRequest('delete', `/job-alerts/${alertId}`);
+};
+
+/**
+ * Link to the jobs page with an alert's search filled in
+ * @param {Object} alert
+ * @returns {string}
+ */
+export const getAlertSearchUrl = (alert) => {
+  const params = new URLSearchParams();
+  if (alert.query) params.set('search', alert.query);
+  ALERT_CRITERIA.filter((key) => key !== 'search').forEach((key) => {
+    const value = Array.isArray(alert[key]) ? alert[key].join(',') : alert[key];
+    if (value !== null && value !== undefined && value !== '') params.set(key, value);
+  });
+  return `/jobs?${params.toString()}`;
+};
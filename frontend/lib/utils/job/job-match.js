@@ -0,0 +1,40 @@
+import { makePriorityRequest } from '@/lib/api/api';
+
+export const MATCH_FACTOR_LABELS = {
+  skills: 'Skills',
+  experience: 'Experience',
+  jobType: 'Job type',
+  location: 'Location',
+  salary: 'Salary',
+};
+
+/**
+ * Tailwind classes for a match score badge
+ * @param {number} score - 0-100
+ * @returns {string}
+ */
+export const getMatchScoreClass = (score) => {
+  if (score >= 75) return 'bg-green-50 text-green-700';
+  if (score >= 50) return 'bg-amber-50 text-amber-700';
+  return 'bg-gray-100 text-gray-600';
+};
+
+/**
+ * How well the current user's profile matches a job
+ * @param {string} jobId
+ * @returns {Promise<Object>} { profileComplete, match }
+ */
+export const getJobMatch = async (jobId) => {
+  const response = await makePriorityRequest('get', `/jobs/${jobId}/match`);
+  return response.data.data;
+};
+
+/**
+ * Open jobs that best match the current user's profile, each with its match
+ * @param {number} [limit]
+ * @returns {Promise<Object>} { profileComplete, jobs }
+ */
+export const getRecommendedJobs = async (limit = 10) => {
+  const response = await makePriorityRequest('get', '/jobs/recommended', { params: { limit } });
+  return response.data.data;
+};
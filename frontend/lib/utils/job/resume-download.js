@@ -0,0 +1,38 @@
+import { makePriorityRequest } from '@/lib/api/api';
+
+/**
+ * Ask the API for a short-lived, signed resume download URL. Links only work
+ * for the signed-in user and expire after a few minutes, so request one
+ * right before opening it.
+ * @param {string} applicationId
+ * @returns {Promise<string>} Download URL
+ */
+export const getResumeDownloadUrl = async (applicationId) => {
+  const response = await makePriorityRequest('post', `/jobs/applications/${applicationId}/resume-link`);
+  const { token } = response.data.data;
+
+  const baseUrl = process.env.NEXT_PUBLIC_API_BASE_URL || 'http://localhost:5004/api/v1';
+  return `${baseUrl}/jobs/applications/${applicationId}/resume?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Download an application's resume through a signed link
+ * @param {string} applicationId
+ * @param {string} filename - Name to save the file as
+ */
+export const downloadResume = async (applicationId, filename) => {
+  const response = await fetch(await getResumeDownloadUrl(applicationId));
+  if (!response.ok) {
+    throw new Error(`Failed to download resume: ${response.statusText}`);
+  }
+
+  const url = window.URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+
+  window.URL.revokeObjectURL(url);
+  document.body.removeChild(link);
+};